@@ -0,0 +1,121 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Accessibility accommodations for a quiz.
+ *
+ * Lists the quiz's user overrides with the accommodation of each student,
+ * and edits one of them when a user is given.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_agentdetect\accommodation;
+use local_agentdetect\form\accommodation_form;
+
+$cmid = required_param('cmid', PARAM_INT);
+$userid = optional_param('userid', 0, PARAM_INT);
+
+[$course, $cm] = get_course_and_cm_from_cmid($cmid, 'quiz');
+require_login($course, false, $cm);
+
+$context = context_module::instance($cm->id);
+require_capability('local/agentdetect:manageaccommodations', $context);
+
+$listurl = new moodle_url('/local/agentdetect/accommodations.php', ['cmid' => $cm->id]);
+$PAGE->set_url($userid ? new moodle_url($listurl, ['userid' => $userid]) : $listurl);
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('admin');
+$PAGE->set_title(get_string('accommodations', 'local_agentdetect') . ': ' . format_string($cm->name));
+$PAGE->set_heading($course->fullname);
+
+$overridesurl = new moodle_url('/mod/quiz/overrides.php', ['cmid' => $cm->id, 'mode' => 'user']);
+
+if ($userid) {
+    $overrides = accommodation::get_for_quiz($cm);
+    $override = null;
+    foreach ($overrides as $candidate) {
+        if ((int) $candidate->userid === $userid) {
+            $override = $candidate;
+            break;
+        }
+    }
+    if (!$override) {
+        throw new moodle_exception('accommodation:nooverride', 'local_agentdetect', $overridesurl);
+    }
+
+    $form = new accommodation_form($PAGE->url, ['student' => fullname($override)]);
+    $form->set_data([
+        'cmid' => $cm->id,
+        'userid' => $userid,
+        'mode' => $override->mode ?? accommodation_form::MODE_NONE,
+        'reason' => $override->reason ?? '',
+    ]);
+
+    if ($form->is_cancelled()) {
+        redirect($listurl);
+    } else if ($data = $form->get_data()) {
+        $mode = $data->mode === accommodation_form::MODE_NONE ? null : $data->mode;
+        accommodation::set($cm, $userid, $mode, $mode === null ? '' : trim($data->reason));
+        redirect($listurl, get_string('accommodation:saved', 'local_agentdetect'), null, \core\output\notification::NOTIFY_SUCCESS);
+    }
+
+    echo $OUTPUT->header();
+    echo $OUTPUT->heading(get_string('accommodations', 'local_agentdetect') . ': ' . format_string($cm->name));
+    $form->display();
+    echo $OUTPUT->footer();
+    exit;
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('accommodations', 'local_agentdetect') . ': ' . format_string($cm->name));
+
+echo html_writer::div(get_string('accommodations:intro', 'local_agentdetect', $overridesurl->out()), 'alert alert-info');
+
+$overrides = accommodation::get_for_quiz($cm);
+if (!$overrides) {
+    echo $OUTPUT->notification(get_string('accommodations:nooverrides', 'local_agentdetect'), 'info');
+    echo $OUTPUT->footer();
+    exit;
+}
+
+$table = new html_table();
+$table->head = [
+    get_string('accommodation:student', 'local_agentdetect'),
+    get_string('accommodation:mode', 'local_agentdetect'),
+    get_string('accommodation:reason', 'local_agentdetect'),
+    '',
+];
+$table->attributes['class'] = 'table table-striped table-sm';
+$table->data = [];
+foreach ($overrides as $override) {
+    $table->data[] = [
+        fullname($override),
+        get_string('accommodation:mode_' . ($override->mode ?? accommodation_form::MODE_NONE), 'local_agentdetect'),
+        s($override->reason ?? ''),
+        html_writer::link(
+            new moodle_url($listurl, ['userid' => $override->userid]),
+            get_string('edit')
+        ),
+    ];
+}
+echo html_writer::table($table);
+
+echo $OUTPUT->footer();
@@ -0,0 +1,10 @@
+define("local_agentdetect/builtin_detectors",["exports","local_agentdetect/registry","local_agentdetect/fingerprint","local_agentdetect/interaction","local_agentdetect/injection","local_agentdetect/comet"],(function(_exports,Registry,Fingerprint,Interaction,Injection,Comet){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}
+/**
+   * Registration of the detectors shipped with this plugin.
+   *
+   * @module     local_agentdetect/builtin_detectors
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.registerAll=_exports.getManifest=_exports.default=_exports.STATUS=_exports.MODULES=void 0,Registry=_interopRequireWildcard(Registry),Fingerprint=_interopRequireWildcard(Fingerprint),Interaction=_interopRequireWildcard(Interaction),Injection=_interopRequireWildcard(Injection),Comet=_interopRequireWildcard(Comet);const MODULES=["fingerprint","interaction","injection","comet","extensionprobe"];_exports.MODULES=MODULES;const HOSTED_MODULES={extensionprobe:{detector:"fingerprint",requires:["fingerprint","comet"]}},STATUS={RAN:"ran",DISABLED:"disabled",FAILED:"failed"};_exports.STATUS=STATUS;const isEnabled=(modules,module)=>{var _HOSTED_MODULES$modul;return[module,...(null===(_HOSTED_MODULES$modul=HOSTED_MODULES[module])||void 0===_HOSTED_MODULES$modul?void 0:_HOSTED_MODULES$modul.requires)||[]].every((name=>!1!==modules[name]))},registerAll=function(){let modules=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};isEnabled(modules,"fingerprint")&&Registry.register({name:"fingerprint",analyze:()=>Fingerprint.collect({comet:isEnabled(modules,"comet"),extensionProbe:isEnabled(modules,"extensionprobe")}),scoring:{mode:"boost"}}),isEnabled(modules,"interaction")&&Registry.register({name:"interaction",start:options=>Interaction.startMonitoring({contextId:options.contextId,accommodation:options.accommodation}),stop:()=>Interaction.stopMonitoring(),analyze:()=>Interaction.analyze(),unloadData:()=>(Interaction.saveToSessionStorage(),{interaction:Interaction.analyze(),duration:Date.now()-(Interaction.getRawData().startTime||Date.now())}),scoring:{mode:"base"}}),isEnabled(modules,"injection")&&Registry.register({name:"injection",start:options=>Injection.startMonitoring({debug:options.debug}),stop:()=>Injection.stopMonitoring(),analyze:()=>Injection.analyze(),scoring:{mode:"boost"}}),isEnabled(modules,"comet")&&Registry.register({name:"comet",analyze:results=>Comet.analyze(results),scoring:{mode:"boost"}})};_exports.registerAll=registerAll;const getManifest=function(){let modules=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{},results=arguments.length>1&&void 0!==arguments[1]?arguments[1]:null;const manifest={};for(const module of MODULES){var _HOSTED_MODULES$modul2;const detector=(null===(_HOSTED_MODULES$modul2=HOSTED_MODULES[module])||void 0===_HOSTED_MODULES$modul2?void 0:_HOSTED_MODULES$modul2.detector)||module;isEnabled(modules,module)?!Registry.get(detector)||Registry.hasFailed(detector)||results&&!results[detector]?manifest[module]=STATUS.FAILED:manifest[module]=STATUS.RAN:manifest[module]=STATUS.DISABLED}return manifest};_exports.getManifest=getManifest;var _default={MODULES:MODULES,STATUS:STATUS,registerAll:registerAll,getManifest:getManifest};return _exports.default=_default,_exports.default}));
+
+//# sourceMappingURL=builtin_detectors.min.js.map
\ No newline at end of file
@@ -0,0 +1,13 @@
+define("local_agentdetect/comet",["exports","local_agentdetect/scoring_profile"],(function(_exports,ScoringProfile){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.extractSignals=_exports.default=_exports.calculateCometScore=_exports.analyze=void 0,ScoringProfile=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}
+/**
+   * Comet agentic mode detection.
+   *
+   * Derives a Comet-specific summary from the results of the fingerprint,
+   * interaction and injection detectors.
+   *
+   * @module     local_agentdetect/comet
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */(ScoringProfile);const extractSignals=function(){var _fingerprint$webdrive;let fingerprint=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{},interaction=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{},injection=arguments.length>2&&void 0!==arguments[2]?arguments[2]:{};const signals=[];fingerprint.cometExtension&&signals.push(...fingerprint.cometExtension.signals||[]),fingerprint.cometRuntime&&signals.push(...fingerprint.cometRuntime.signals||[]),fingerprint.perplexityNetwork&&signals.push(...fingerprint.perplexityNetwork.signals||[]);const webdriverChange=((null===(_fingerprint$webdrive=fingerprint.webdriver)||void 0===_fingerprint$webdrive?void 0:_fingerprint$webdrive.signals)||[]).find((s=>"webdriver.changed_mid_session"===s.name));webdriverChange&&signals.push(webdriverChange);const cometAnomalies=(interaction.anomalies||[]).filter((a=>a.name.startsWith("comet.")));signals.push(...cometAnomalies);const cometInjections=(injection.signals||[]).filter((s=>s.name.includes("comet")||s.name.includes("perplexity")||s.name.includes("npclhjbddhklpbnacpjloidibaggcgon")));return signals.push(...cometInjections),{detected:signals.length>0,signalCount:signals.length,signals:signals,score:calculateCometScore(signals)}};_exports.extractSignals=extractSignals;const analyze=function(){let results=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};return extractSignals(results.fingerprint,results.interaction,results.injection)};_exports.analyze=analyze;const calculateCometScore=signals=>{if(0===signals.length)return 0;const tiers=ScoringProfile.getProfile().comet,totalWeight=signals.reduce(((sum,s)=>sum+ScoringProfile.weightOf(s)),0);if(signals.some((s=>tiers.definitive.includes(s.name)||tiers.definitivePrefixes.some((prefix=>s.name.startsWith(prefix))))))return Math.min(100,70+totalWeight);const tier1=signals.filter((s=>tiers.tier1Weighted.includes(s.name)&&s.weight>=tiers.tier1MinWeight||tiers.tier1Any.includes(s.name))),tier2=signals.filter((s=>tiers.tier2Prefixes.some((prefix=>s.name.startsWith(prefix)))&&!tier1.includes(s)));return tier1.length>=1&&tier2.length>=2?Math.min(100,2*totalWeight):tier1.length>=1?Math.min(100,Math.round(1.5*totalWeight)):Math.min(40,totalWeight)};_exports.calculateCometScore=calculateCometScore;var _default={analyze:analyze,extractSignals:extractSignals,calculateCometScore:calculateCometScore};return _exports.default=_default,_exports.default}));
+
+//# sourceMappingURL=comet.min.js.map
\ No newline at end of file
@@ -1,13 +1,12 @@
-define("local_agentdetect/detector",["exports","local_agentdetect/fingerprint","local_agentdetect/interaction","local_agentdetect/injection","core/ajax","core/log"],(function(_exports,Fingerprint,Interaction,Injection,_ajax,_log){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _interopRequireWildcard(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}return newObj.default=obj,cache&&cache.set(obj,newObj),newObj}
+define("local_agentdetect/detector",["exports","local_agentdetect/registry","local_agentdetect/builtin_detectors","local_agentdetect/scoring_profile","local_agentdetect/hmac","local_agentdetect/report_queue","local_agentdetect/report_delta","core/ajax","core/log"],(function(_exports,Registry,BuiltinDetectors,ScoringProfile,Hmac,ReportQueue,ReportDelta,_ajax,_log){function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}function _interopRequireWildcard(e,t){if("function"==typeof WeakMap)var r=new WeakMap,n=new WeakMap;return(_interopRequireWildcard=function(e,t){if(!t&&e&&e.__esModule)return e;var o,i,f={__proto__:null,default:e};if(null===e||"object"!=typeof e&&"function"!=typeof e)return f;if(o=t?n:r){if(o.has(e))return o.get(e);o.set(e,f)}for(const t in e)"default"!==t&&{}.hasOwnProperty.call(e,t)&&((i=(o=Object.defineProperty)&&Object.getOwnPropertyDescriptor(e,t))&&(i.get||i.set)?o(f,t,i):f[t]=e[t]);return f})(e,t)}
 /**
    * Main agent detection module.
    *
-   * Orchestrates fingerprint and interaction detection, combines results,
-   * and reports to the Moodle backend.
+   * Orchestrates the detectors in local_agentdetect/registry, combines
+   * their results, and reports to the Moodle backend.
    *
    * @module     local_agentdetect/detector
    * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
    * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.shutdown=_exports.runAnalysis=_exports.init=_exports.getStatus=_exports.default=_exports.collectAndReport=void 0,Fingerprint=_interopRequireWildcard(Fingerprint),Interaction=_interopRequireWildcard(Interaction),Injection=_interopRequireWildcard(Injection),_ajax=_interopRequireDefault(_ajax),_log=_interopRequireDefault(_log);let config={enabled:!0,reportInterval:3e4,minReportScore:10,contextId:null,sessionKey:null,debug:!1},reportTimer=null,sessionId=null;let initialized=!1;const init=async function(){let options=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};if(initialized)return void _log.default.debug("[AgentDetect] Already initialized");if(config={...config,...options},!config.enabled)return void _log.default.debug("[AgentDetect] Detection disabled");sessionId=restoreOrCreateSessionId(),_log.default.debug("[AgentDetect] Initializing detection",{sessionId:sessionId,config:config}),Interaction.startMonitoring({contextId:config.contextId}),Injection.startMonitoring({debug:config.debug});const initialFingerprint=await Fingerprint.collect();config.debug&&_log.default.debug("[AgentDetect] Initial fingerprint:",initialFingerprint),initialFingerprint.score>=config.minReportScore&&await reportSignals({type:"fingerprint",data:initialFingerprint}),startPeriodicReporting(),window.addEventListener("beforeunload",handlePageUnload),document.addEventListener("visibilitychange",handleVisibilityChange),initialized=!0,_log.default.debug("[AgentDetect] Initialization complete")};_exports.init=init;const restoreOrCreateSessionId=()=>{try{const stored=sessionStorage.getItem("agentdetect_session");if(stored){const parsed=JSON.parse(stored);if(Date.now()-(parsed.timestamp||0)<18e5&&parsed.id)return _log.default.debug("[AgentDetect] Restored session ID from prior page",parsed.id),parsed.id}}catch(e){}const newId=`${Date.now().toString(36)}-${Math.random().toString(36).substring(2,10)}`;try{sessionStorage.setItem("agentdetect_session",JSON.stringify({id:newId,timestamp:Date.now()}))}catch(e){}return newId},startPeriodicReporting=()=>{reportTimer&&clearInterval(reportTimer),reportTimer=setInterval((async()=>{await collectAndReport()}),config.reportInterval)},collectAndReport=async()=>{const fingerprint=await Fingerprint.collect(),interaction=Interaction.analyze(),injection=Injection.analyze(),comet=extractCometSignals(fingerprint,interaction,injection),combinedScore=calculateCombinedScore(fingerprint.score,interaction.score,injection.score,comet.score),result={sessionId:sessionId,timestamp:Date.now(),pageUrl:window.location.href,pageTitle:document.title,fingerprint:fingerprint,interaction:interaction,injection:injection,comet:comet,combinedScore:combinedScore,verdict:getVerdict(combinedScore),detectedAgent:comet.detected?"comet_agentic":null};return config.debug&&_log.default.debug("[AgentDetect] Analysis result:",result),combinedScore>=config.minReportScore&&await reportSignals({type:"combined",data:result}),result};_exports.collectAndReport=collectAndReport;const calculateCombinedScore=function(fingerprintScore,interactionScore){let injectionScore=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0,cometScore=arguments.length>3&&void 0!==arguments[3]?arguments[3]:0,score=interactionScore;return injectionScore>=50?score=Math.min(100,score+25):injectionScore>=25?score=Math.min(100,score+15):injectionScore>=10&&(score=Math.min(100,score+5)),fingerprintScore>=70?score=Math.min(100,score+30):fingerprintScore>=40?score=Math.min(100,score+15):fingerprintScore>=20&&(score=Math.min(100,score+5)),cometScore>=70?(score=Math.max(score,80),score=Math.min(100,score+10)):cometScore>=40?score=Math.min(100,score+15):cometScore>=20&&(score=Math.min(100,score+5)),Math.round(score)},extractCometSignals=(fingerprint,interaction,injection)=>{var _fingerprint$webdrive;const signals=[];fingerprint.cometExtension&&signals.push(...fingerprint.cometExtension.signals||[]),fingerprint.cometRuntime&&signals.push(...fingerprint.cometRuntime.signals||[]),fingerprint.perplexityNetwork&&signals.push(...fingerprint.perplexityNetwork.signals||[]);const webdriverChange=((null===(_fingerprint$webdrive=fingerprint.webdriver)||void 0===_fingerprint$webdrive?void 0:_fingerprint$webdrive.signals)||[]).find((s=>"webdriver.changed_mid_session"===s.name));webdriverChange&&signals.push(webdriverChange);const cometAnomalies=(interaction.anomalies||[]).filter((a=>a.name.startsWith("comet.")));signals.push(...cometAnomalies);const cometInjections=(injection.signals||[]).filter((s=>s.name.includes("comet")||s.name.includes("perplexity")||s.name.includes("npclhjbddhklpbnacpjloidibaggcgon")));return signals.push(...cometInjections),{detected:signals.length>0,signalCount:signals.length,signals:signals,score:calculateCometScore(signals)}},calculateCometScore=signals=>{if(0===signals.length)return 0;const totalWeight=signals.reduce(((sum,s)=>sum+(s.weight||s.maxWeight||0)),0);if(signals.some((s=>"comet_overlay_js"===s.name||"comet.extension.script_injected"===s.name||"comet.extension.resource_probe"===s.name||"comet_agent_src"===s.name||"network.perplexity_agent"===s.name||s.name.startsWith("comet.runtime."))))return Math.min(100,70+totalWeight);const TIER1_WEIGHTED=["comet.ultra_precise_center","comet.low_mouse_to_action_ratio","comet.low_per_page_mouse_ratio"],TIER1_ANY=["comet.zero_keystrokes"],tier1=signals.filter((s=>TIER1_WEIGHTED.includes(s.name)&&s.weight>=10||TIER1_ANY.includes(s.name))),tier2=signals.filter((s=>s.name.startsWith("comet.")&&!tier1.includes(s)));return tier1.length>=1&&tier2.length>=2?Math.min(100,2*totalWeight):tier1.length>=1?Math.min(100,Math.round(1.5*totalWeight)):Math.min(40,totalWeight)},getVerdict=score=>score>=80?"HIGH_CONFIDENCE_AGENT":score>=60?"PROBABLE_AGENT":score>=40?"SUSPICIOUS":score>=20?"LOW_SUSPICION":"LIKELY_HUMAN",reportSignals=async payload=>{if(config.sessionKey)try{const response=await _ajax.default.call([{methodname:"local_agentdetect_report_signals",args:{sesskey:config.sessionKey,contextid:config.contextId,sessionid:sessionId,signaltype:payload.type,signaldata:JSON.stringify(payload.data)}}])[0];config.debug&&_log.default.debug("[AgentDetect] Report response:",response)}catch(error){_log.default.error("[AgentDetect] Failed to report signals:",error)}else _log.default.warn("[AgentDetect] No session key configured, skipping report")},handlePageUnload=()=>{if(Interaction.saveToSessionStorage(),navigator.sendBeacon&&config.sessionKey){const interaction=Interaction.analyze(),payload={sesskey:config.sessionKey,contextid:config.contextId,sessionid:sessionId,signaltype:"unload",signaldata:JSON.stringify({pageUrl:window.location.href,pageTitle:document.title,interaction:interaction,duration:Date.now()-(Interaction.getRawData().startTime||Date.now())})},url=M.cfg.wwwroot+"/local/agentdetect/beacon.php";navigator.sendBeacon(url,JSON.stringify(payload))}},handleVisibilityChange=async()=>{"hidden"===document.visibilityState&&await collectAndReport()},runAnalysis=async()=>await collectAndReport();_exports.runAnalysis=runAnalysis;const getStatus=()=>({initialized:initialized,sessionId:sessionId,isMonitoring:Interaction.getRawData().isMonitoring,config:{enabled:config.enabled,reportInterval:config.reportInterval,minReportScore:config.minReportScore}});_exports.getStatus=getStatus;const shutdown=()=>{reportTimer&&(clearInterval(reportTimer),reportTimer=null),Interaction.stopMonitoring(),Injection.stopMonitoring(),window.removeEventListener("beforeunload",handlePageUnload),document.removeEventListener("visibilitychange",handleVisibilityChange),initialized=!1,_log.default.debug("[AgentDetect] Shutdown complete")};_exports.shutdown=shutdown;var _default={init:init,runAnalysis:runAnalysis,getStatus:getStatus,shutdown:shutdown,collectAndReport:collectAndReport};return _exports.default=_default,_exports.default}));
-
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.shutdown=_exports.runAnalysis=_exports.init=_exports.getStatus=_exports.getQuizAttemptId=_exports.default=_exports.collectAndReport=_exports.calculateCombinedScore=void 0,Registry=_interopRequireWildcard(Registry),BuiltinDetectors=_interopRequireWildcard(BuiltinDetectors),ScoringProfile=_interopRequireWildcard(ScoringProfile),Hmac=_interopRequireWildcard(Hmac),ReportQueue=_interopRequireWildcard(ReportQueue),ReportDelta=_interopRequireWildcard(ReportDelta),_ajax=_interopRequireDefault(_ajax),_log=_interopRequireDefault(_log);let config={enabled:!0,reportInterval:3e4,heartbeatInterval:15e3,minReportScore:10,contextId:null,sessionKey:null,debug:!1,scoringProfile:null,channel:null,accommodation:null,modules:{},policy:null};const native={setTimeout:window.setTimeout.bind(window),clearTimeout:window.clearTimeout.bind(window),sendBeacon:navigator.sendBeacon?navigator.sendBeacon.bind(navigator):null};let reportTimer=null;let flushTimer=null,heartbeatTimer=null,heartbeats=0,sessionId=null,attemptId=0;const ATTEMPT_PAGES=["page-mod-quiz-attempt","page-mod-quiz-summary"],sequences={reports:0,heartbeat:0};let initialized=!1;const init=async(options={})=>{if(initialized)return void _log.default.debug("[AgentDetect] Already initialized");if(config={...config,...options},!config.enabled)return void _log.default.debug("[AgentDetect] Detection disabled");attemptId=getQuizAttemptId(),sessionId=restoreOrCreateSessionId(attemptId),_log.default.debug("[AgentDetect] Initializing detection",{sessionId:sessionId,attemptId:attemptId,config:config}),ScoringProfile.setProfile(config.scoringProfile);const restored=ReportQueue.init(sendQueuedReports,signArgs);restored&&(_log.default.debug("[AgentDetect] Restored "+restored+" undelivered report(s)"),scheduleFlush()),BuiltinDetectors.registerAll(config.modules||{}),Registry.startAll({contextId:config.contextId,debug:config.debug,accommodation:config.accommodation});const fingerprintDetector=Registry.get("fingerprint"),initialFingerprint=fingerprintDetector?await fingerprintDetector.analyze({}):null;config.debug&&_log.default.debug("[AgentDetect] Initial fingerprint:",initialFingerprint),initialFingerprint&&initialFingerprint.score>=config.minReportScore&&(queueReport({type:"fingerprint",data:{...initialFingerprint,profileVersion:ScoringProfile.getVersion(),attemptId:attemptId||null}}),scheduleFlush()),startPeriodicReporting(),startHeartbeat(),window.addEventListener("beforeunload",handlePageUnload),document.addEventListener("visibilitychange",handleVisibilityChange),initialized=!0,_log.default.debug("[AgentDetect] Initialization complete")};_exports.init=init;const getQuizAttemptId=()=>{if(!document.body||!ATTEMPT_PAGES.includes(document.body.id))return 0;const input=document.querySelector('form input[name="attempt"]'),attempt=new URLSearchParams(window.location.search).get("attempt")||(input?input.value:"");return parseInt(attempt,10)||0};_exports.getQuizAttemptId=getQuizAttemptId;const restoreOrCreateSessionId=(attempt=0)=>{const storageKey=attempt?"agentdetect_session_attempt_"+attempt:"agentdetect_session";try{const stored=sessionStorage.getItem(storageKey);if(stored){const parsed=JSON.parse(stored),age=Date.now()-(parsed.timestamp||0);if((attempt||age<18e5)&&parsed.id)return _log.default.debug("[AgentDetect] Restored session ID from prior page",parsed.id),parsed.id}}catch(e){}const newId=`${Date.now().toString(36)}-${Math.random().toString(36).substring(2,10)}`;try{sessionStorage.setItem(storageKey,JSON.stringify({id:newId,timestamp:Date.now()}))}catch(e){}return newId},startPeriodicReporting=()=>{reportTimer&&clearInterval(reportTimer),reportTimer=setInterval((async()=>{await collectAndReport()}),config.reportInterval)},startHeartbeat=()=>{stopHeartbeat();const beat=()=>{sendHeartbeat(),heartbeatTimer=native.setTimeout(beat,config.heartbeatInterval)};beat()},stopHeartbeat=()=>{heartbeatTimer&&(native.clearTimeout(heartbeatTimer),heartbeatTimer=null)},sendHeartbeat=()=>{heartbeats++,sendBeaconReport("heartbeat",JSON.stringify({beat:heartbeats}))},collectAndReport=async()=>{const detectorResults=await Registry.analyzeAll(),combinedScore=calculateCombinedScore(detectorResults),result={sessionId:sessionId,attemptId:attemptId||null,timestamp:Date.now(),pageUrl:window.location.href,pageTitle:document.title,...detectorResults,combinedScore:combinedScore,verdict:ScoringProfile.getVerdict(combinedScore),detectedAgent:detectorResults.comet?.detected?"comet_agentic":null,profileVersion:ScoringProfile.getVersion(),detectors:Registry.getNames(),modules:BuiltinDetectors.getManifest(config.modules||{},detectorResults)};return config.debug&&_log.default.debug("[AgentDetect] Analysis result:",result),combinedScore>=config.minReportScore&&queueReport({type:"combined",data:ReportDelta.encode(sessionId,result)}),await flushReports(),result};_exports.collectAndReport=collectAndReport;const calculateCombinedScore=detectorResults=>{const detectors=Registry.getDetectors();let score=0;for(const detector of detectors)"base"===detector.scoring.mode&&(score=Math.max(score,detectorResults[detector.name]?.score||0));for(const detector of detectors){if("boost"!==detector.scoring.mode)continue;const tiers=ScoringProfile.getBoostTiers(detector.name)||detector.scoring.tiers||[];score=applyBoost(score,detectorResults[detector.name]?.score||0,tiers)}return Math.round(score)};_exports.calculateCombinedScore=calculateCombinedScore;const applyBoost=(score,detectorScore,tiers)=>{const tier=tiers.find((t=>detectorScore>=t.min));return tier?(tier.floor&&(score=Math.max(score,tier.floor)),Math.min(100,score+(tier.add||0))):score},queueReport=payload=>{if(!config.sessionKey)return void _log.default.warn("[AgentDetect] No session key configured, skipping report");if(!config.channel)return void _log.default.warn("[AgentDetect] No reporting channel configured, skipping report");const args=signReport({sesskey:config.sessionKey,contextid:config.contextId,sessionid:sessionId,signaltype:payload.type,signaldata:JSON.stringify(payload.data)});ReportQueue.enqueue(args.nonce+":"+args.sequence,args,config.channel.key)},scheduleFlush=()=>{flushTimer||(flushTimer=setTimeout(flushReports,5e3))},flushReports=async()=>{flushTimer&&(clearTimeout(flushTimer),flushTimer=null),await ReportQueue.flush()},sendQueuedReports=async batch=>{const[{args:first}]=batch;try{const response=await _ajax.default.call([{methodname:"local_agentdetect_report_signals_batch",args:{sesskey:first.sesskey,contextid:first.contextid,reports:batch.map((({args:args})=>({sessionid:args.sessionid,signaltype:args.signaltype,signaldata:args.signaldata,nonce:args.nonce,sequence:args.sequence,signature:args.signature,dropped:args.dropped||0})))}}])[0];return config.debug&&_log.default.debug("[AgentDetect] Report response:",response),response.results&&response.results.some((result=>result.resync))&&ReportDelta.reset(),!0}catch(error){if(error&&error.errorcode)throw error;return _log.default.error("[AgentDetect] Failed to report signals, will retry:",error),!1}},signReport=args=>{const stream="heartbeat"===args.signaltype?"heartbeat":"reports",signed={...args,nonce:config.channel.nonce,sequence:++sequences[stream],dropped:0};return signed.signature=signArgs(config.channel.key,signed),signed},signArgs=(key,args)=>{const message=[args.nonce,args.sequence,args.dropped||0,args.sessionid,args.signaltype,args.signaldata];return Hmac.hmacSha256(key,message.join("\n"))},sendBeaconReport=(signaltype,signaldata)=>!!(native.sendBeacon&&config.sessionKey&&config.channel)&&sendBeacon([signReport({sesskey:config.sessionKey,contextid:config.contextId,sessionid:sessionId,signaltype:signaltype,signaldata:signaldata})]),sendBeacon=reports=>{const url=M.cfg.wwwroot+"/local/agentdetect/beacon.php";return native.sendBeacon(url,JSON.stringify(reports))},handlePageUnload=()=>{const unloadData=Registry.collectUnloadData();if(!config.sessionKey||!config.channel)return;const report=signReport({sesskey:config.sessionKey,contextid:config.contextId,sessionid:sessionId,signaltype:"unload",signaldata:JSON.stringify({pageUrl:window.location.href,pageTitle:document.title,attemptId:attemptId||null,...unloadData,profileVersion:ScoringProfile.getVersion(),modules:BuiltinDetectors.getManifest(config.modules||{})})});native.sendBeacon&&ReportQueue.drain(sendBeacon,[report])||ReportQueue.enqueue(report.nonce+":"+report.sequence,report,config.channel.key)},handleVisibilityChange=async()=>{"hidden"===document.visibilityState?await collectAndReport():heartbeatTimer&&sendHeartbeat()},runAnalysis=async()=>await collectAndReport();_exports.runAnalysis=runAnalysis;const getStatus=()=>({initialized:initialized,sessionId:sessionId,attemptId:attemptId,isMonitoring:Registry.isRunning(),detectors:Registry.getNames(),modules:BuiltinDetectors.getManifest(config.modules||{}),queuedReports:ReportQueue.size(),config:{enabled:config.enabled,reportInterval:config.reportInterval,heartbeatInterval:config.heartbeatInterval,minReportScore:config.minReportScore,policy:config.policy}});_exports.getStatus=getStatus;const shutdown=()=>{reportTimer&&(clearInterval(reportTimer),reportTimer=null),stopHeartbeat(),flushTimer&&(clearTimeout(flushTimer),flushTimer=null),Registry.stopAll(),window.removeEventListener("beforeunload",handlePageUnload),document.removeEventListener("visibilitychange",handleVisibilityChange),initialized=!1,_log.default.debug("[AgentDetect] Shutdown complete")};_exports.shutdown=shutdown;_exports.default={init:init,runAnalysis:runAnalysis,getStatus:getStatus,getQuizAttemptId:getQuizAttemptId,shutdown:shutdown,collectAndReport:collectAndReport,calculateCombinedScore:calculateCombinedScore}}));
 //# sourceMappingURL=detector.min.js.map
\ No newline at end of file
@@ -0,0 +1,15 @@
+define("local_agentdetect/hmac",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.sha256=_exports.hmacSha256=_exports.default=void 0;
+/**
+   * Synchronous HMAC-SHA256.
+   *
+   * Reports are signed during page unload, where the asynchronous Web Crypto
+   * API cannot be awaited before sendBeacon(), and on plain-HTTP sites, where
+   * it is unavailable. Output matches PHP's hash_hmac('sha256', ...).
+   *
+   * @module     local_agentdetect/hmac
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const K=[1116352408,1899447441,3049323471,3921009573,961987163,1508970993,2453635748,2870763221,3624381080,310598401,607225278,1426881987,1925078388,2162078206,2614888103,3248222580,3835390401,4022224774,264347078,604807628,770255983,1249150122,1555081692,1996064986,2554220882,2821834349,2952996808,3210313671,3336571891,3584528711,113926993,338241895,666307205,773529912,1294757372,1396182291,1695183700,1986661051,2177026350,2456956037,2730485921,2820302411,3259730800,3345764771,3516065817,3600352804,4094571909,275423344,430227734,506948616,659060556,883997877,958139571,1322822218,1537002063,1747873779,1955562222,2024104815,2227730452,2361852424,2428436474,2756734187,3204031479,3329325298],rotr=(x,n)=>x>>>n|x<<32-n,sha256=bytes=>{const bitLength=8*bytes.length,paddedLength=64*Math.ceil((bytes.length+9)/64),padded=new Uint8Array(paddedLength);padded.set(bytes),padded[bytes.length]=128;const view=new DataView(padded.buffer);view.setUint32(paddedLength-4,bitLength>>>0),view.setUint32(paddedLength-8,Math.floor(bitLength/4294967296));const hash=[1779033703,3144134277,1013904242,2773480762,1359893119,2600822924,528734635,1541459225],w=new Array(64);for(let offset=0;offset<paddedLength;offset+=64){for(let i=0;i<16;i++)w[i]=view.getUint32(offset+4*i);for(let i=16;i<64;i++){const s0=rotr(w[i-15],7)^rotr(w[i-15],18)^w[i-15]>>>3,s1=rotr(w[i-2],17)^rotr(w[i-2],19)^w[i-2]>>>10;w[i]=w[i-16]+s0+w[i-7]+s1|0}let a=hash[0],b=hash[1],c=hash[2],d=hash[3],e=hash[4],f=hash[5],g=hash[6],h=hash[7];for(let i=0;i<64;i++){const t1=h+(rotr(e,6)^rotr(e,11)^rotr(e,25))+(e&f^~e&g)+K[i]+w[i]|0,s0=rotr(a,2)^rotr(a,13)^rotr(a,22),maj=a&b^a&c^b&c;h=g,g=f,f=e,e=d+t1|0,d=c,c=b,b=a,a=t1+(s0+maj|0)|0}hash[0]=hash[0]+a|0,hash[1]=hash[1]+b|0,hash[2]=hash[2]+c|0,hash[3]=hash[3]+d|0,hash[4]=hash[4]+e|0,hash[5]=hash[5]+f|0,hash[6]=hash[6]+g|0,hash[7]=hash[7]+h|0}const digest=new Uint8Array(32),digestView=new DataView(digest.buffer);return hash.forEach(((word,i)=>digestView.setUint32(4*i,word>>>0))),digest};_exports.sha256=sha256;const hmacSha256=(key,message)=>{const encoder=new TextEncoder;let keyBytes=encoder.encode(key);keyBytes.length>64&&(keyBytes=sha256(keyBytes));const inner=new Uint8Array(64),outer=new Uint8Array(64);for(let i=0;i<64;i++){const k=keyBytes[i]||0;inner[i]=54^k,outer[i]=92^k}const messageBytes=encoder.encode(message),innerInput=new Uint8Array(64+messageBytes.length);innerInput.set(inner),innerInput.set(messageBytes,64);const innerHash=sha256(innerInput),outerInput=new Uint8Array(64+innerHash.length);return outerInput.set(outer),outerInput.set(innerHash,64),Array.from(sha256(outerInput),(byte=>byte.toString(16).padStart(2,"0"))).join("")};_exports.hmacSha256=hmacSha256;var _default={sha256:sha256,hmacSha256:hmacSha256};return _exports.default=_default,_exports.default}));
+
+//# sourceMappingURL=hmac.min.js.map
\ No newline at end of file
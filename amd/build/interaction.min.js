@@ -1,14 +1,13 @@
-define("local_agentdetect/interaction",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.stopMonitoring=_exports.startMonitoring=_exports.saveToSessionStorage=_exports.reset=_exports.getRawData=_exports.default=_exports.analyze=void 0;
+define("local_agentdetect/interaction",["exports","local_agentdetect/scoring_profile"],(function(_exports,ScoringProfile){function _getRequireWildcardCache(nodeInterop){if("function"!=typeof WeakMap)return null;var cacheBabelInterop=new WeakMap,cacheNodeInterop=new WeakMap;return(_getRequireWildcardCache=function(nodeInterop){return nodeInterop?cacheNodeInterop:cacheBabelInterop})(nodeInterop)}function _slicedToArray(arr,i){return function(arr){if(Array.isArray(arr))return arr}
 /**
-   * Interaction anomaly detection module.
-   *
-   * Monitors user interactions (mouse, keyboard, scroll) to detect
-   * patterns typical of automated browsers versus human users.
-   *
-   * @module     local_agentdetect/interaction
-   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
-   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */
-const CONFIG={minMouseMoves:20,minClicks:3,minKeystrokes:10,perfectTimingVariance:5,minHumanReactionTime:50,maxMouseSpeed:1e4,centerClickTolerance:5,maxStoredEvents:500,analysisInterval:1e4},eventStore={mouseMoves:[],clicks:[],keystrokes:[],scrolls:[],hovers:[],focusChanges:[],pointerEvents:[],startTime:Date.now(),pageLoadCount:1,pageStartTime:Date.now(),perPageStats:[]};let contextId=null,analysisCache=null,isMonitoring=!1;const startMonitoring=function(){let options=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};isMonitoring||(isMonitoring=!0,contextId=options.contextId||null,eventStore.startTime=Date.now(),eventStore.pageStartTime=Date.now(),loadFromSessionStorage(),document.addEventListener("mousemove",handleMouseMove,{passive:!0}),document.addEventListener("click",handleClick,{capture:!0,passive:!0}),document.addEventListener("mousedown",handleMouseDown,{capture:!0,passive:!0}),document.addEventListener("mouseup",handleMouseUp,{capture:!0,passive:!0}),document.addEventListener("mouseover",handleMouseOver,{passive:!0}),document.addEventListener("mouseout",handleMouseOut,{passive:!0}),document.addEventListener("keydown",handleKeyDown,{capture:!0,passive:!0}),document.addEventListener("keyup",handleKeyUp,{capture:!0,passive:!0}),document.addEventListener("scroll",handleScroll,{passive:!0}),window.addEventListener("scroll",handleScroll,{passive:!0}),document.addEventListener("focusin",handleFocusIn,{passive:!0}),document.addEventListener("focusout",handleFocusOut,{passive:!0}),document.addEventListener("pointerdown",handlePointerDown,{capture:!0,passive:!0}),document.addEventListener("pointermove",handlePointerMove,{passive:!0}))};_exports.startMonitoring=startMonitoring;const stopMonitoring=()=>{isMonitoring&&(isMonitoring=!1,document.removeEventListener("mousemove",handleMouseMove),document.removeEventListener("click",handleClick,{capture:!0}),document.removeEventListener("mousedown",handleMouseDown,{capture:!0}),document.removeEventListener("mouseup",handleMouseUp,{capture:!0}),document.removeEventListener("mouseover",handleMouseOver),document.removeEventListener("mouseout",handleMouseOut),document.removeEventListener("keydown",handleKeyDown,{capture:!0}),document.removeEventListener("keyup",handleKeyUp,{capture:!0}),document.removeEventListener("scroll",handleScroll),window.removeEventListener("scroll",handleScroll),document.removeEventListener("focusin",handleFocusIn),document.removeEventListener("focusout",handleFocusOut),document.removeEventListener("pointerdown",handlePointerDown,{capture:!0}),document.removeEventListener("pointermove",handlePointerMove))};_exports.stopMonitoring=stopMonitoring;const handleMouseMove=e=>{const now=Date.now(),lastMove=eventStore.mouseMoves[eventStore.mouseMoves.length-1],moveData={x:e.clientX,y:e.clientY,timestamp:now,deltaTime:lastMove?now-lastMove.timestamp:0,deltaX:lastMove?e.clientX-lastMove.x:0,deltaY:lastMove?e.clientY-lastMove.y:0};if(moveData.deltaTime>0){const distance=Math.sqrt(moveData.deltaX**2+moveData.deltaY**2);moveData.velocity=distance/moveData.deltaTime}addToStore("mouseMoves",moveData)},handleClick=e=>{const now=Date.now(),target=e.target,rect=target.getBoundingClientRect(),elementCenterX=rect.left+rect.width/2,elementCenterY=rect.top+rect.height/2,offsetFromCenter=Math.sqrt((e.clientX-elementCenterX)**2+(e.clientY-elementCenterY)**2),clickData={x:e.clientX,y:e.clientY,timestamp:now,target:{tagName:target.tagName,id:target.id,className:target.className,width:rect.width,height:rect.height},offsetFromCenter:offsetFromCenter,hadPrecedingHover:checkPrecedingHover(target),hadPrecedingMouseMove:checkPrecedingMouseMove(e.clientX,e.clientY)};addToStore("clicks",clickData)},handleMouseDown=()=>{const lastClick=eventStore.clicks[eventStore.clicks.length-1];lastClick&&!lastClick.mousedownTime&&(lastClick.mousedownTime=Date.now())},handleMouseUp=()=>{const lastClick=eventStore.clicks[eventStore.clicks.length-1];lastClick&&lastClick.mousedownTime&&(lastClick.clickDuration=Date.now()-lastClick.mousedownTime)},handleMouseOver=e=>{addToStore("hovers",{target:e.target,timestamp:Date.now(),type:"over"})},handleMouseOut=e=>{addToStore("hovers",{target:e.target,timestamp:Date.now(),type:"out"})},handleKeyDown=e=>{const now=Date.now(),lastKeystroke=eventStore.keystrokes[eventStore.keystrokes.length-1];addToStore("keystrokes",{key:1===e.key.length?"char":e.key,timestamp:now,deltaTime:lastKeystroke?now-lastKeystroke.timestamp:0,type:"down"})},handleKeyUp=()=>{const keydowns=eventStore.keystrokes.filter((k=>"down"===k.type&&!k.holdDuration)),matchingKeydown=keydowns[keydowns.length-1];matchingKeydown&&(matchingKeydown.holdDuration=Date.now()-matchingKeydown.timestamp)},handleScroll=()=>{const now=Date.now(),lastScroll=eventStore.scrolls[eventStore.scrolls.length-1];addToStore("scrolls",{scrollY:window.scrollY,scrollX:window.scrollX,timestamp:now,deltaTime:lastScroll?now-lastScroll.timestamp:0,deltaY:lastScroll?window.scrollY-lastScroll.scrollY:0,deltaX:lastScroll?window.scrollX-lastScroll.scrollX:0})},handleFocusIn=e=>{addToStore("focusChanges",{target:{tagName:e.target.tagName,id:e.target.id,type:e.target.type},timestamp:Date.now(),type:"in"})},handleFocusOut=e=>{addToStore("focusChanges",{target:{tagName:e.target.tagName,id:e.target.id,type:e.target.type},timestamp:Date.now(),type:"out"})},handlePointerDown=e=>{addToStore("pointerEvents",{type:"down",x:e.clientX,y:e.clientY,timestamp:Date.now(),pointerType:e.pointerType})},handlePointerMove=e=>{const now=Date.now(),last=eventStore.pointerEvents[eventStore.pointerEvents.length-1];last&&now-last.timestamp<50||addToStore("pointerEvents",{type:"move",x:e.clientX,y:e.clientY,timestamp:now,pointerType:e.pointerType})};let lastPeriodicSave=0;const addToStore=(storeName,data)=>{eventStore[storeName].push(data),eventStore[storeName].length>CONFIG.maxStoredEvents&&eventStore[storeName].shift(),analysisCache=null;const now=Date.now();if(now-lastPeriodicSave>2e3){lastPeriodicSave=now;try{saveToSessionStorage()}catch(e){}}},checkPrecedingHover=target=>eventStore.hovers.slice(-20).some((h=>h.target===target&&"over"===h.type)),checkPrecedingMouseMove=(x,y)=>{const recentMoves=eventStore.mouseMoves.slice(-10);return 0!==recentMoves.length&&recentMoves.some((m=>Math.sqrt((m.x-x)**2+(m.y-y)**2)<50))},analyze=()=>{if(analysisCache)return analysisCache;const results={timestamp:Date.now(),duration:Date.now()-eventStore.startTime,pageLoadCount:eventStore.pageLoadCount,eventCounts:{mouseMoves:eventStore.mouseMoves.length,clicks:eventStore.clicks.length,keystrokes:eventStore.keystrokes.length,scrolls:eventStore.scrolls.length,hovers:eventStore.hovers.length,focusChanges:eventStore.focusChanges.length,pointerEvents:eventStore.pointerEvents.length},anomalies:[],score:0};return results.anomalies.push(...analyzeMouseMovement()),results.anomalies.push(...analyzeClicks()),results.anomalies.push(...analyzeKeystrokes()),results.anomalies.push(...analyzeScrolling()),results.anomalies.push(...analyzeEventSequence()),results.anomalies.push(...analyzeActionBursts()),results.anomalies.push(...analyzeCDPClickPatterns()),results.anomalies.push(...analyzePointerEvents()),results.anomalies.push(...analyzePerPageRatio()),results.anomalies.push(...analyzeScrollClickCorrelation()),results.score=calculateInteractionScore(results.anomalies),analysisCache=results,results};_exports.analyze=analyze;const analyzeMouseMovement=()=>{const anomalies=[],moves=eventStore.mouseMoves;if(moves.length<CONFIG.minMouseMoves)return anomalies.push({name:"mouse.insufficient_data",value:moves.length,weight:2}),anomalies;const linearSegments=findLinearSegments(moves);linearSegments>.3*moves.length&&anomalies.push({name:"mouse.linear_movement",value:linearSegments/moves.length,weight:3});const teleports=moves.filter((m=>m.velocity>CONFIG.maxMouseSpeed));teleports.length>0&&anomalies.push({name:"mouse.teleport",value:teleports.length,weight:8});const duration=Date.now()-eventStore.startTime;moves.length<duration/5e3&&anomalies.push({name:"mouse.sparse_movement",value:moves.length,weight:5});const velocities=moves.filter((m=>m.velocity)).map((m=>m.velocity));if(velocities.length>5){const variance=calculateVariance(velocities);variance<.1&&anomalies.push({name:"mouse.constant_velocity",value:variance,weight:6})}const totalClicks=eventStore.clicks.length;if(totalClicks>=3&&eventStore.pageLoadCount>=2){const movePerClick=moves.length/totalClicks;movePerClick<2?anomalies.push({name:"comet.low_mouse_to_action_ratio",value:movePerClick,weight:10}):movePerClick<5&&anomalies.push({name:"comet.low_mouse_to_action_ratio",value:movePerClick,weight:5})}return anomalies},findLinearSegments=moves=>{let linearCount=0;for(let i=2;i<moves.length;i++){const angle1=Math.atan2(moves[i-1].y-moves[i-2].y,moves[i-1].x-moves[i-2].x),angle2=Math.atan2(moves[i].y-moves[i-1].y,moves[i].x-moves[i-1].x);Math.abs(Math.cos(angle1-angle2))>.99&&linearCount++}return linearCount},analyzeClicks=()=>{const anomalies=[],clicks=eventStore.clicks;if(clicks.length<CONFIG.minClicks)return anomalies;const centerClicks=clicks.filter((c=>c.offsetFromCenter<CONFIG.centerClickTolerance));centerClicks.length>.5*clicks.length&&anomalies.push({name:"click.center_precision",value:centerClicks.length/clicks.length,weight:10});const ultraPreciseClicks=clicks.filter((c=>c.offsetFromCenter<2));ultraPreciseClicks.length>.6*clicks.length&&clicks.length>=3&&anomalies.push({name:"comet.ultra_precise_center",value:ultraPreciseClicks.length/clicks.length,weight:10});const noHoverClicks=clicks.filter((c=>!c.hadPrecedingHover));noHoverClicks.length>.7*clicks.length&&anomalies.push({name:"click.no_hover",value:noHoverClicks.length/clicks.length,weight:6});const noMoveClicks=clicks.filter((c=>!c.hadPrecedingMouseMove));noMoveClicks.length>.5*clicks.length&&anomalies.push({name:"click.no_movement",value:noMoveClicks.length/clicks.length,weight:9});const totalMouseMoves=eventStore.mouseMoves.length;clicks.length>=3&&totalMouseMoves<2*clicks.length&&anomalies.push({name:"click.teleport_pattern",value:totalMouseMoves/clicks.length,weight:10});const interClickTimes=[];for(let i=1;i<clicks.length;i++)interClickTimes.push(clicks[i].timestamp-clicks[i-1].timestamp);const fastClicks=interClickTimes.filter((t=>t<CONFIG.minHumanReactionTime));if(fastClicks.length>0&&anomalies.push({name:"click.superhuman_speed",value:fastClicks.length,weight:3}),interClickTimes.length>=3){const variance=calculateVariance(interClickTimes);variance<CONFIG.perfectTimingVariance&&anomalies.push({name:"click.perfect_timing",value:variance,weight:8})}return anomalies},analyzeKeystrokes=()=>{const anomalies=[],keystrokes=eventStore.keystrokes.filter((k=>"down"===k.type));if(0===keystrokes.length&&eventStore.clicks.length>=5&&eventStore.pageLoadCount>=2&&anomalies.push({name:"comet.zero_keystrokes",value:0,weight:9}),keystrokes.length<CONFIG.minKeystrokes)return anomalies;const interKeyTimes=keystrokes.slice(1).map((k=>k.deltaTime));if(interKeyTimes.length>=5){const variance=calculateVariance(interKeyTimes);variance<CONFIG.perfectTimingVariance&&anomalies.push({name:"keystroke.perfect_timing",value:variance,weight:9})}const keyMean=interKeyTimes.reduce(((a,b)=>a+b),0)/interKeyTimes.length,keyStdDev=Math.sqrt(calculateVariance(interKeyTimes)),keyCV=keyMean>0?keyStdDev/keyMean:0;keyCV<.1&&interKeyTimes.length>=10&&anomalies.push({name:"comet.uniform_keystroke_cadence",value:keyCV,weight:9});const fastKeys=interKeyTimes.filter((t=>t>0&&t<30));fastKeys.length>.3*interKeyTimes.length&&anomalies.push({name:"keystroke.superhuman_speed",value:fastKeys.length/interKeyTimes.length,weight:9});const holdDurations=keystrokes.filter((k=>k.holdDuration)).map((k=>k.holdDuration));if(holdDurations.length>=5){const variance=calculateVariance(holdDurations);if(variance<1&&anomalies.push({name:"keystroke.constant_hold",value:variance,weight:7}),holdDurations.length>=10){const holdMean=holdDurations.reduce(((a,b)=>a+b),0)/holdDurations.length,holdStdDev=Math.sqrt(calculateVariance(holdDurations)),holdCV=holdMean>0?holdStdDev/holdMean:0;holdCV<.1&&anomalies.push({name:"comet.uniform_hold_duration",value:holdCV,weight:8})}}return anomalies},analyzeScrolling=()=>{const anomalies=[],scrolls=eventStore.scrolls;if(scrolls.length<3)return anomalies;const instantScrolls=scrolls.filter((s=>s.deltaTime<10&&Math.abs(s.deltaY)>100));instantScrolls.length>.5*scrolls.length&&anomalies.push({name:"scroll.instant_jump",value:instantScrolls.length/scrolls.length,weight:6});const scrollAmounts=scrolls.map((s=>Math.abs(s.deltaY))).filter((v=>v>0));if(scrollAmounts.length>=3){const variance=calculateVariance(scrollAmounts);variance<1&&anomalies.push({name:"scroll.constant_amount",value:variance,weight:5})}return anomalies},analyzeEventSequence=()=>{const anomalies=[],hoverRatio=eventStore.hovers.length/Math.max(eventStore.clicks.length,1);hoverRatio<2&&eventStore.clicks.length>=CONFIG.minClicks&&anomalies.push({name:"sequence.low_hover_ratio",value:hoverRatio,weight:5});const directFocus=eventStore.focusChanges.filter((f=>![...eventStore.clicks.slice(-5),...eventStore.keystrokes.slice(-5)].some((e=>Math.abs(e.timestamp-f.timestamp)<100))));directFocus.length>.5*eventStore.focusChanges.length&&eventStore.focusChanges.length>=3&&anomalies.push({name:"sequence.direct_focus",value:directFocus.length/eventStore.focusChanges.length,weight:3});const focusIns=eventStore.focusChanges.filter((f=>"in"===f.type));if(focusIns.length>=3){let rapidSequentialFocus=0;for(let j=1;j<focusIns.length;j++){const gap=focusIns[j].timestamp-focusIns[j-1].timestamp,differentTarget=focusIns[j].target.id!==focusIns[j-1].target.id;gap<200&&differentTarget&&rapidSequentialFocus++}rapidSequentialFocus>=4&&anomalies.push({name:"comet.rapid_focus_sequence",value:rapidSequentialFocus,weight:5})}return anomalies},calculateVariance=arr=>{if(arr.length<2)return 0;const mean=arr.reduce(((a,b)=>a+b),0)/arr.length;return arr.map((value=>Math.pow(value-mean,2))).reduce(((a,b)=>a+b),0)/arr.length},calculateInteractionScore=anomalies=>{if(0===anomalies.length)return 0;const totalWeight=anomalies.reduce(((sum,a)=>sum+(a.weight||0)),0),maxPossibleWeight=10*anomalies.length,hasCenterPrecision=anomalies.some((a=>"click.center_precision"===a.name)),hasTeleport=anomalies.some((a=>"click.teleport_pattern"===a.name)),hasNoMovement=anomalies.some((a=>"click.no_movement"===a.name)),hasUltraPrecise=anomalies.some((a=>"comet.ultra_precise_center"===a.name)),hasLowMouseRatio=anomalies.some((a=>"comet.low_mouse_to_action_ratio"===a.name&&a.weight>=10)),hasZeroKeystrokes=anomalies.some((a=>"comet.zero_keystrokes"===a.name)),hasLowPerPageRatio=anomalies.some((a=>"comet.low_per_page_mouse_ratio"===a.name));let multiplier=1;const strongSignals=[hasCenterPrecision,hasTeleport,hasNoMovement,hasUltraPrecise,hasLowMouseRatio,hasZeroKeystrokes,hasLowPerPageRatio].filter(Boolean).length;strongSignals>=3?multiplier=1.5:strongSignals>=2&&(multiplier=1.25);let rawScore=totalWeight/Math.max(maxPossibleWeight,30)*100*multiplier;const totalEvents=eventStore.clicks.length+eventStore.keystrokes.length+eventStore.mouseMoves.length;if(totalEvents<10){rawScore*=hasCenterPrecision||hasUltraPrecise||hasLowMouseRatio||hasZeroKeystrokes||hasLowPerPageRatio?.7:.3}else totalEvents<25&&(rawScore*=.85);return Math.min(100,Math.round(rawScore))},analyzeActionBursts=()=>{const anomalies=[],allActions=[...eventStore.clicks.map((e=>({timestamp:e.timestamp,actionType:"click"}))),...eventStore.keystrokes.filter((k=>"down"===k.type)).map((e=>({timestamp:e.timestamp,actionType:"keystroke"}))),...eventStore.focusChanges.map((e=>({timestamp:e.timestamp,actionType:"focus"})))].sort(((a,b)=>a.timestamp-b.timestamp));if(allActions.length<5)return anomalies;let burstCount=0,readThenActCount=0,i=0;for(;i<allActions.length;){let windowEnd=i;for(;windowEnd<allActions.length&&allActions[windowEnd].timestamp-allActions[i].timestamp<2e3;)windowEnd++;const burstSize=windowEnd-i,actionTypes=new Set(allActions.slice(i,windowEnd).map((a=>a.actionType)));if(burstSize>=5&&actionTypes.size>=2){if(burstCount++,i>0){allActions[i].timestamp-allActions[i-1].timestamp>=3e3&&readThenActCount++}i=windowEnd}else i++}const pages=Math.max(eventStore.pageLoadCount,1),readActPerPage=readThenActCount/pages;return burstCount/pages>=3&&anomalies.push({name:"comet.action_burst",value:burstCount,weight:5}),readActPerPage>=2&&anomalies.push({name:"comet.read_then_act",value:readThenActCount,weight:5}),anomalies},analyzeCDPClickPatterns=()=>{const anomalies=[],clicks=eventStore.clicks,moves=eventStore.mouseMoves;if(clicks.length<3)return anomalies;const latestMoveTime=moves.length>0?moves[moves.length-1].timestamp:0;let zeroTrailClicks=0,validClicks=0;for(const click of clicks){if(latestMoveTime>0&&click.timestamp<latestMoveTime-3e4)continue;validClicks++;0===moves.filter((m=>m.timestamp>click.timestamp-300&&m.timestamp<click.timestamp)).length&&zeroTrailClicks++}if(validClicks<3)return anomalies;const ratio=zeroTrailClicks/validClicks;return ratio>.85&&anomalies.push({name:"comet.no_mousemove_trail",value:ratio,weight:6}),anomalies},analyzePointerEvents=()=>{const anomalies=[],clicks=eventStore.clicks,pointerDowns=eventStore.pointerEvents.filter((p=>"down"===p.type));if(clicks.length<3)return anomalies;const ratio=pointerDowns.length/clicks.length;return ratio<.3&&anomalies.push({name:"comet.missing_pointer_events",value:ratio,weight:4}),anomalies},analyzePerPageRatio=()=>{const anomalies=[],pageStart=eventStore.pageStartTime,currentPageMoves=eventStore.mouseMoves.filter((m=>m.timestamp>=pageStart)).length,currentPageClicks=eventStore.clicks.filter((c=>c.timestamp>=pageStart)).length,pagesWithClicks=[...eventStore.perPageStats,{moves:currentPageMoves,clicks:currentPageClicks}].filter((p=>p.clicks>=1));if(pagesWithClicks.length<3)return anomalies;const lowRatioFraction=pagesWithClicks.filter((p=>p.moves/p.clicks<3)).length/pagesWithClicks.length;return lowRatioFraction>=.7&&anomalies.push({name:"comet.low_per_page_mouse_ratio",value:lowRatioFraction,weight:10}),anomalies},analyzeScrollClickCorrelation=()=>{const anomalies=[],clicks=eventStore.clicks,scrolls=eventStore.scrolls;if(clicks.length<5||scrolls.length<5)return anomalies;let scrollPrecededClicks=0;for(const click of clicks){scrolls.some((s=>s.timestamp>click.timestamp-500&&s.timestamp<click.timestamp))&&scrollPrecededClicks++}const ratio=scrollPrecededClicks/clicks.length;return ratio>=.7&&anomalies.push({name:"comet.scroll_then_click",value:ratio,weight:8}),anomalies},getStorageKey=()=>contextId?`agentdetect_events_${contextId}`:"agentdetect_events",loadFromSessionStorage=()=>{try{const stored=sessionStorage.getItem(getStorageKey());if(!stored)return;const data=JSON.parse(stored);data.startTime&&(eventStore.startTime=data.startTime),eventStore.pageLoadCount=(data.pageLoadCount||1)+1;const storeNames=["mouseMoves","clicks","keystrokes","scrolls","focusChanges","pointerEvents"];for(const name of storeNames)data[name]&&Array.isArray(data[name])&&(eventStore[name]=[...data[name],...eventStore[name]],eventStore[name].length>CONFIG.maxStoredEvents&&(eventStore[name]=eventStore[name].slice(-CONFIG.maxStoredEvents)));data.perPageStats&&Array.isArray(data.perPageStats)&&(eventStore.perPageStats=data.perPageStats),analysisCache=null}catch(e){}},saveToSessionStorage=()=>{try{const pageStart=eventStore.pageStartTime,currentPageMoves=eventStore.mouseMoves.filter((m=>m.timestamp>=pageStart)).length,currentPageClicks=eventStore.clicks.filter((c=>c.timestamp>=pageStart)).length,currentPageKeys=eventStore.keystrokes.filter((k=>k.timestamp>=pageStart)).length,currentPageScrolls=eventStore.scrolls.filter((s=>s.timestamp>=pageStart)).length,updatedPerPageStats=[...eventStore.perPageStats,{moves:currentPageMoves,clicks:currentPageClicks,keys:currentPageKeys,scrolls:currentPageScrolls}].slice(-20),data={startTime:eventStore.startTime,pageLoadCount:eventStore.pageLoadCount,perPageStats:updatedPerPageStats,mouseMoves:eventStore.mouseMoves.slice(-200),clicks:eventStore.clicks.slice(-200).map((c=>({x:c.x,y:c.y,timestamp:c.timestamp,offsetFromCenter:c.offsetFromCenter,hadPrecedingHover:c.hadPrecedingHover,hadPrecedingMouseMove:c.hadPrecedingMouseMove,clickDuration:c.clickDuration}))),keystrokes:eventStore.keystrokes.slice(-200).map((k=>({key:k.key,timestamp:k.timestamp,deltaTime:k.deltaTime,type:k.type,holdDuration:k.holdDuration}))),scrolls:eventStore.scrolls.slice(-200),focusChanges:eventStore.focusChanges.slice(-200).map((f=>({target:f.target,timestamp:f.timestamp,type:f.type}))),pointerEvents:(()=>{const downs=eventStore.pointerEvents.filter((p=>"down"===p.type)).slice(-200),remaining=200-downs.length,moves=remaining>0?eventStore.pointerEvents.filter((p=>"down"!==p.type)).slice(-remaining):[];return[...downs,...moves].sort(((a,b)=>a.timestamp-b.timestamp))})()};sessionStorage.setItem(getStorageKey(),JSON.stringify(data))}catch(e){}};_exports.saveToSessionStorage=saveToSessionStorage;const getRawData=()=>({...eventStore,isMonitoring:isMonitoring});_exports.getRawData=getRawData;const reset=()=>{eventStore.mouseMoves=[],eventStore.clicks=[],eventStore.keystrokes=[],eventStore.scrolls=[],eventStore.hovers=[],eventStore.focusChanges=[],eventStore.pointerEvents=[],eventStore.startTime=Date.now(),eventStore.pageStartTime=Date.now(),eventStore.pageLoadCount=1,eventStore.perPageStats=[],analysisCache=null};_exports.reset=reset;var _default={startMonitoring:startMonitoring,stopMonitoring:stopMonitoring,analyze:analyze,getRawData:getRawData,reset:reset,saveToSessionStorage:saveToSessionStorage,CONFIG:CONFIG};return _exports.default=_default,_exports.default}));
+ * Interaction anomaly detection module.
+ *
+ * Monitors user interactions (mouse, touch, pen, keyboard, scroll) to detect
+ * patterns typical of automated browsers versus human users.
+ *
+ * @module     local_agentdetect/interaction
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */(arr)||function(r,l){var t=null==r?null:"undefined"!=typeof Symbol&&r[Symbol.iterator]||r["@@iterator"];if(null!=t){var e,n,i,u,a=[],f=!0,o=!1;try{if(i=(t=t.call(r)).next,0===l){if(Object(t)!==t)return;f=!1}else for(;!(f=(e=i.call(t)).done)&&(a.push(e.value),a.length!==l);f=!0);}catch(r){o=!0,n=r}finally{try{if(!f&&null!=t.return&&(u=t.return(),Object(u)!==u))return}finally{if(o)throw n}}return a}}(arr,i)||function(o,minLen){if(!o)return;if("string"==typeof o)return _arrayLikeToArray(o,minLen);var n=Object.prototype.toString.call(o).slice(8,-1);"Object"===n&&o.constructor&&(n=o.constructor.name);if("Map"===n||"Set"===n)return Array.from(o);if("Arguments"===n||/^(?:Ui|I)nt(?:8|16|32)(?:Clamped)?Array$/.test(n))return _arrayLikeToArray(o,minLen)}(arr,i)||function(){throw new TypeError("Invalid attempt to destructure non-iterable instance.\nIn order to be iterable, non-array objects must have a [Symbol.iterator]() method.")}()}function _arrayLikeToArray(arr,len){(null==len||len>arr.length)&&(len=arr.length);for(var i=0,arr2=new Array(len);i<len;i++)arr2[i]=arr[i];return arr2}Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.stopMonitoring=_exports.startMonitoring=_exports.saveToSessionStorage=_exports.reset=_exports.replayEvent=_exports.getRawData=_exports.getKeyHand=_exports.detectModality=_exports.describeInput=_exports.describeCopy=_exports.default=_exports.calculateInteractionScore=_exports.analyze=_exports.MODALITIES=_exports.INPUT_SOURCES=_exports.DESKTOP_ANOMALIES=_exports.COPY_SOURCES=_exports.ASSISTIVE_PATTERNS=_exports.ACCOMMODATION_WEIGHT_FACTOR=_exports.ACCOMMODATION_MODES=_exports.ACCOMMODATED_ANOMALIES=void 0,ScoringProfile=function(obj,nodeInterop){if(!nodeInterop&&obj&&obj.__esModule)return obj;if(null===obj||"object"!=typeof obj&&"function"!=typeof obj)return{default:obj};var cache=_getRequireWildcardCache(nodeInterop);if(cache&&cache.has(obj))return cache.get(obj);var newObj={},hasPropertyDescriptor=Object.defineProperty&&Object.getOwnPropertyDescriptor;for(var key in obj)if("default"!==key&&Object.prototype.hasOwnProperty.call(obj,key)){var desc=hasPropertyDescriptor?Object.getOwnPropertyDescriptor(obj,key):null;desc&&(desc.get||desc.set)?Object.defineProperty(newObj,key,desc):newObj[key]=obj[key]}newObj.default=obj,cache&&cache.set(obj,newObj);return newObj}(ScoringProfile);const CONFIG={minMouseMoves:20,minClicks:3,minKeystrokes:10,minContacts:5,minApproaches:5,minApproachMoves:8,minApproachDistance:50,minTypedKeys:50,minDigraphs:15,perfectTimingVariance:5,minHumanReactionTime:50,maxMouseSpeed:1e4,centerClickTolerance:5,minTapDuration:20,tapTolerance:10,contactWindow:1e3,approachPause:300,maxTypingGap:1e4,typingPause:500,typingWindow:20,keyInputWindow:1e3,largePaste:200,minProgrammaticInsert:20,minUntrustedEvents:3,clickPressWindow:1e3,minAbsence:2e3,copyLeaveWindow:3e4,returnPasteWindow:3e4,minReturnPaste:20,maxStoredEvents:500,contactMoveInterval:20,analysisInterval:1e4},ACCOMMODATED_ANOMALIES=["comet.zero_keystrokes","mouse.insufficient_data","sequence.direct_focus","comet.rapid_focus_sequence","comet.missing_pointer_events","input.programmatic_set","keystroke.flat_digraphs","keystroke.no_pauses","keystroke.no_corrections","keystroke.constant_rate"];_exports.ACCOMMODATED_ANOMALIES=ACCOMMODATED_ANOMALIES;const MOUSELESS_ANOMALIES=["mouse.sparse_movement","click.no_hover","click.no_movement","click.teleport_pattern","comet.no_mousemove_trail","comet.low_mouse_to_action_ratio","comet.low_per_page_mouse_ratio","sequence.low_hover_ratio"],PATTERNS_KEYBOARD_NAVIGATION="assistive.keyboard_navigation",PATTERNS_VIRTUAL_CURSOR="assistive.virtual_cursor",PATTERNS_VOICE_CONTROL="assistive.voice_control",ACCESSIBILITY_CLICK_ANOMALIES=["click.center_precision","comet.ultra_precise_center","click.zero_detail"],ASSISTIVE_PATTERNS={[PATTERNS_KEYBOARD_NAVIGATION]:MOUSELESS_ANOMALIES,[PATTERNS_VIRTUAL_CURSOR]:[...MOUSELESS_ANOMALIES,...ACCESSIBILITY_CLICK_ANOMALIES],[PATTERNS_VOICE_CONTROL]:[...MOUSELESS_ANOMALIES,...ACCESSIBILITY_CLICK_ANOMALIES]};_exports.ASSISTIVE_PATTERNS=ASSISTIVE_PATTERNS;const ACCOMMODATION_MODES={REWEIGHT:"reweight",SUPPRESS:"suppress"};_exports.ACCOMMODATION_MODES=ACCOMMODATION_MODES;_exports.ACCOMMODATION_WEIGHT_FACTOR=.25;const NAVIGATION_KEYS=["Tab","ArrowUp","ArrowDown","ArrowLeft","ArrowRight","Home","End","PageUp","PageDown"],CORRECTION_KEYS=["Backspace","Delete"],TEXT_INPUT_TYPES=["text","search","email","url"],LEFT_HAND_KEYS=["Backquote","Digit1","Digit2","Digit3","Digit4","Digit5",...Array.from("QWERTASDFGZXCVB",(letter=>"Key"+letter))],RIGHT_HAND_KEYS=["Digit6","Digit7","Digit8","Digit9","Digit0","Minus","Equal","BracketLeft","BracketRight","Backslash","Semicolon","Quote","Comma","Period","Slash","IntlBackslash",...Array.from("YUIOPHJKLNM",(letter=>"Key"+letter))],INPUT_SOURCES={TYPED:"typed",PASTED:"pasted",DROPPED:"dropped",AUTOFILLED:"autofilled",PROGRAMMATIC:"programmatic"};_exports.INPUT_SOURCES=INPUT_SOURCES;const COPY_SOURCES={QUESTION:"question",ANSWER:"answer",PAGE:"page"};_exports.COPY_SOURCES=COPY_SOURCES;const MODALITIES={MOUSE:"mouse",TOUCH:"touch",PEN:"pen"};_exports.MODALITIES=MODALITIES;const DESKTOP_ANOMALIES=["mouse.insufficient_data","mouse.linear_movement","mouse.teleport","mouse.sparse_movement","mouse.constant_velocity","click.no_hover","click.no_movement","click.teleport_pattern","comet.low_mouse_to_action_ratio","comet.no_mousemove_trail","comet.low_per_page_mouse_ratio","comet.zero_keystrokes","sequence.low_hover_ratio","trajectory.smooth_curvature","trajectory.minimum_jerk","trajectory.no_correction","trajectory.fitts_violation","mouse.no_movement_delta"];_exports.DESKTOP_ANOMALIES=DESKTOP_ANOMALIES;const STRONG_SIGNALS={mouse:{strong:["click.center_precision","click.teleport_pattern","click.no_movement","comet.ultra_precise_center","comet.low_mouse_to_action_ratio","comet.zero_keystrokes","comet.low_per_page_mouse_ratio","event.untrusted","event.impossible_coordinates"],reliable:["click.center_precision","comet.ultra_precise_center","comet.low_mouse_to_action_ratio","comet.zero_keystrokes","comet.low_per_page_mouse_ratio","event.untrusted"]},touch:{strong:["click.center_precision","comet.ultra_precise_center","touch.instant_tap","touch.fixed_tap_offset","touch.click_without_contact","event.untrusted","event.impossible_coordinates"],reliable:["click.center_precision","comet.ultra_precise_center","touch.instant_tap","touch.click_without_contact","event.untrusted"]}},TOUCH_PHASES={touchstart:"start",touchmove:"move",touchend:"end",touchcancel:"end"},eventStore={mouseMoves:[],clicks:[],keystrokes:[],scrolls:[],hovers:[],focusChanges:[],pointerEvents:[],contacts:[],inputs:[],timeline:[],startTime:Date.now(),pageLoadCount:1,pageStartTime:Date.now(),perPageStats:[]};let contextId=null,analysisCache=null,isMonitoring=!1,attemptId=null,lastMouseDownAt=0,lastKeyDownAt=0,fieldLengths=new WeakMap,pendingTransfers=new WeakMap;const editorFrames={byDocument:new WeakMap,documents:[]};let absence=null,accommodation=null;const startMonitoring=function(){let options=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};isMonitoring||(isMonitoring=!0,contextId=options.contextId||null,accommodation=Object.values(ACCOMMODATION_MODES).includes(options.accommodation)?options.accommodation:null,eventStore.startTime=Date.now(),eventStore.pageStartTime=Date.now(),loadFromSessionStorage(),document.addEventListener("mousemove",handleMouseMove,{passive:!0}),document.addEventListener("click",handleClick,{capture:!0,passive:!0}),document.addEventListener("mousedown",handleMouseDown,{capture:!0,passive:!0}),document.addEventListener("mouseup",handleMouseUp,{capture:!0,passive:!0}),document.addEventListener("mouseover",handleMouseOver,{passive:!0}),document.addEventListener("mouseout",handleMouseOut,{passive:!0}),document.addEventListener("keydown",handleKeyDown,{capture:!0,passive:!0}),document.addEventListener("keyup",handleKeyUp,{capture:!0,passive:!0}),document.addEventListener("scroll",handleScroll,{passive:!0}),window.addEventListener("scroll",handleScroll,{passive:!0}),document.addEventListener("focusin",handleFocusIn,{passive:!0}),document.addEventListener("focusout",handleFocusOut,{passive:!0}),document.addEventListener("pointerdown",handlePointerDown,{capture:!0,passive:!0}),document.addEventListener("pointermove",handlePointerMove,{passive:!0}),document.addEventListener("pointerup",handlePointerUp,{capture:!0,passive:!0}),Object.keys(TOUCH_PHASES).forEach((type=>{document.addEventListener(type,handleTouch,{capture:!0,passive:!0})})),INPUT_LISTENERS.forEach((_ref=>{let _ref2=_slicedToArray(_ref,2),type=_ref2[0],handler=_ref2[1];document.addEventListener(type,handler,{capture:!0,passive:!0})})),document.querySelectorAll(".que iframe").forEach(attachEditorFrame),checkAnswerFields(),document.addEventListener("visibilitychange",handleVisibilityChange,{passive:!0}),window.addEventListener("blur",handleWindowBlur,{passive:!0}),window.addEventListener("focus",handleWindowFocus,{passive:!0}),document.addEventListener("copy",handleCopy,{capture:!0,passive:!0}),document.addEventListener("cut",handleCopy,{capture:!0,passive:!0}))};_exports.startMonitoring=startMonitoring;const stopMonitoring=()=>{isMonitoring&&(isMonitoring=!1,document.removeEventListener("mousemove",handleMouseMove),document.removeEventListener("click",handleClick,{capture:!0}),document.removeEventListener("mousedown",handleMouseDown,{capture:!0}),document.removeEventListener("mouseup",handleMouseUp,{capture:!0}),document.removeEventListener("mouseover",handleMouseOver),document.removeEventListener("mouseout",handleMouseOut),document.removeEventListener("keydown",handleKeyDown,{capture:!0}),document.removeEventListener("keyup",handleKeyUp,{capture:!0}),document.removeEventListener("scroll",handleScroll),window.removeEventListener("scroll",handleScroll),document.removeEventListener("focusin",handleFocusIn),document.removeEventListener("focusout",handleFocusOut),document.removeEventListener("pointerdown",handlePointerDown,{capture:!0}),document.removeEventListener("pointermove",handlePointerMove),document.removeEventListener("pointerup",handlePointerUp,{capture:!0}),Object.keys(TOUCH_PHASES).forEach((type=>{document.removeEventListener(type,handleTouch,{capture:!0})})),INPUT_LISTENERS.forEach((_ref3=>{let _ref4=_slicedToArray(_ref3,2),type=_ref4[0],handler=_ref4[1];document.removeEventListener(type,handler,{capture:!0})})),editorFrames.documents.forEach((frameDocument=>{INPUT_LISTENERS.forEach((_ref5=>{let _ref6=_slicedToArray(_ref5,2),type=_ref6[0],handler=_ref6[1];frameDocument.removeEventListener(type,handler,{capture:!0})})),frameDocument.removeEventListener("keydown",handleFrameKeyDown,{capture:!0}),frameDocument.defaultView&&(frameDocument.defaultView.removeEventListener("blur",handleWindowBlur),frameDocument.defaultView.removeEventListener("focus",handleWindowFocus))})),editorFrames.byDocument=new WeakMap,editorFrames.documents=[],document.removeEventListener("visibilitychange",handleVisibilityChange),window.removeEventListener("blur",handleWindowBlur),window.removeEventListener("focus",handleWindowFocus),document.removeEventListener("copy",handleCopy,{capture:!0}),document.removeEventListener("cut",handleCopy,{capture:!0}))};_exports.stopMonitoring=stopMonitoring;const handleMouseMove=e=>{const now=Date.now(),lastMove=eventStore.mouseMoves[eventStore.mouseMoves.length-1],moveData={x:e.clientX,y:e.clientY,timestamp:now,deltaTime:lastMove?now-lastMove.timestamp:0,deltaX:lastMove?e.clientX-lastMove.x:0,deltaY:lastMove?e.clientY-lastMove.y:0,...getAuthenticity(e),movementX:e.movementX,movementY:e.movementY,...getQuestionSlot(e.target)};if(moveData.deltaTime>0){const distance=Math.sqrt(moveData.deltaX**2+moveData.deltaY**2);moveData.velocity=distance/moveData.deltaTime}addToStore("mouseMoves",moveData)},handleClick=e=>{const now=Date.now(),target=e.target,rect=target.getBoundingClientRect(),elementCenterX=rect.left+rect.width/2,elementCenterY=rect.top+rect.height/2,offsetFromCenter=Math.sqrt((e.clientX-elementCenterX)**2+(e.clientY-elementCenterY)**2),clickData={x:e.clientX,y:e.clientY,timestamp:now,target:{tagName:target.tagName,id:target.id,className:target.className,width:rect.width,height:rect.height},offsetFromCenter:offsetFromCenter,hadPrecedingHover:checkPrecedingHover(target),hadPrecedingMouseMove:checkPrecedingMouseMove(e.clientX,e.clientY),...getAuthenticity(e),detail:e.detail,pressed:now-lastMouseDownAt<=CONFIG.clickPressWindow,...getQuestionSlot(target)};addToStore("clicks",clickData)},handleMouseDown=()=>{lastMouseDownAt=Date.now();const lastClick=eventStore.clicks[eventStore.clicks.length-1];lastClick&&!lastClick.mousedownTime&&(lastClick.mousedownTime=Date.now())},handleMouseUp=()=>{const lastClick=eventStore.clicks[eventStore.clicks.length-1];lastClick&&lastClick.mousedownTime&&(lastClick.clickDuration=Date.now()-lastClick.mousedownTime)},handleMouseOver=e=>{addToStore("hovers",{target:e.target,timestamp:Date.now(),type:"over"})},handleMouseOut=e=>{addToStore("hovers",{target:e.target,timestamp:Date.now(),type:"out"})},handleKeyDown=e=>{const now=Date.now(),lastKeystroke=eventStore.keystrokes[eventStore.keystrokes.length-1];lastKeyDownAt=now,addToStore("keystrokes",{key:1===e.key.length?"char":e.key,hand:getKeyHand(e.code),text:isTextField(e.target),trusted:!1!==e.isTrusted,timestamp:now,deltaTime:lastKeystroke?now-lastKeystroke.timestamp:0,type:"down",...getQuestionSlot(e.target)})},getKeyHand=code=>"Space"===code?"space":LEFT_HAND_KEYS.includes(code)?"left":RIGHT_HAND_KEYS.includes(code)?"right":null;_exports.getKeyHand=getKeyHand;const isTextField=target=>!!target&&("TEXTAREA"===target.tagName||!0===target.isContentEditable||"INPUT"===target.tagName&&TEXT_INPUT_TYPES.includes(target.type)),handleKeyUp=()=>{const keydowns=eventStore.keystrokes.filter((k=>"down"===k.type&&!k.holdDuration)),matchingKeydown=keydowns[keydowns.length-1];matchingKeydown&&(matchingKeydown.holdDuration=Date.now()-matchingKeydown.timestamp)},handleFrameKeyDown=()=>{lastKeyDownAt=Date.now()},handleTransfer=e=>{const field=getAnswerField(e.target);if(!field)return;const data="paste"===e.type?e.clipboardData:e.dataTransfer;pendingTransfers.set(field,{source:"paste"===e.type?INPUT_SOURCES.PASTED:INPUT_SOURCES.DROPPED,size:"number"==typeof e.size?e.size:getTransferSize(data)})},handleBeforeInput=e=>{const field=getAnswerField(e.target);field&&checkFieldLength(field,"number"==typeof e.length?e.length:getFieldLength(field))},handleInput=e=>{const field=getAnswerField(e.target);if(!field)return;const length="number"==typeof e.length?e.length:getFieldLength(field),previous=fieldLengths.has(field)?fieldLengths.get(field):0,transfer=pendingTransfers.get(field);pendingTransfers.delete(field),fieldLengths.set(field,length),addToStore("inputs",{source:getInputSource(e,transfer),inputType:e.inputType||null,size:transfer?transfer.size:Math.max(length-previous,0),length:length,timestamp:Date.now(),...getQuestionSlot(field)})},getInputSource=(e,transfer)=>{if(!1===e.isTrusted)return INPUT_SOURCES.PROGRAMMATIC;if(e.inputType&&e.inputType.startsWith("insertFromPaste"))return INPUT_SOURCES.PASTED;if("insertFromDrop"===e.inputType)return INPUT_SOURCES.DROPPED;if(transfer)return transfer.source;if(!e.inputType)return INPUT_SOURCES.AUTOFILLED;return Date.now()-lastKeyDownAt<=CONFIG.keyInputWindow||e.inputType.startsWith("history")?INPUT_SOURCES.TYPED:INPUT_SOURCES.PROGRAMMATIC},checkFieldLength=(field,length)=>{const previous=fieldLengths.get(field);fieldLengths.set(field,length),void 0!==previous&&previous!==length&&addToStore("inputs",{source:INPUT_SOURCES.PROGRAMMATIC,inputType:null,size:Math.max(length-previous,0),length:length,timestamp:Date.now(),...getQuestionSlot(field)})},checkAnswerFields=()=>{isMonitoring&&document.querySelectorAll('.que textarea, .que input, .que [contenteditable="true"], .que iframe').forEach((element=>{getAnswerField(element)===element&&checkFieldLength(element,getFieldLength(element))}))},getAnswerField=target=>{var _field$style,_field$getAttribute;const field=target&&editorFrames.byDocument.get(target.ownerDocument)||target;return field&&"function"==typeof field.closest&&field.closest(".que")?!0===field.hidden||"none"===(null===(_field$style=field.style)||void 0===_field$style?void 0:_field$style.display)||"true"===(null===(_field$getAttribute=field.getAttribute)||void 0===_field$getAttribute?void 0:_field$getAttribute.call(field,"aria-hidden"))?null:isTextField(field)||"IFRAME"===field.tagName?field:null:null},describeInput=e=>{const field=getAnswerField(e.target);return{inputType:e.inputType,isTrusted:e.isTrusted,size:["paste","drop"].includes(e.type)?getTransferSize(e.clipboardData||e.dataTransfer):void 0,length:field?getFieldLength(field):void 0}};_exports.describeInput=describeInput;const getFieldLength=field=>{try{var _field$contentDocumen;return"IFRAME"===field.tagName?(null===(_field$contentDocumen=field.contentDocument)||void 0===_field$contentDocumen||null===(_field$contentDocumen=_field$contentDocumen.body)||void 0===_field$contentDocumen?void 0:_field$contentDocumen.textContent.length)||0:"TEXTAREA"===field.tagName||"INPUT"===field.tagName?(field.value||"").length:(field.textContent||"").length}catch(e){return 0}},getTransferSize=data=>data&&"function"==typeof data.getData?(data.getData("text/plain")||"").length:0,attachEditorFrame=frame=>{let frameDocument=null;try{frameDocument=frame.contentDocument}catch(e){return}frameDocument&&!editorFrames.byDocument.has(frameDocument)&&(editorFrames.byDocument.set(frameDocument,frame),editorFrames.documents.push(frameDocument),INPUT_LISTENERS.forEach((_ref7=>{let _ref8=_slicedToArray(_ref7,2),type=_ref8[0],handler=_ref8[1];frameDocument.addEventListener(type,handler,{capture:!0,passive:!0})})),frameDocument.addEventListener("keydown",handleFrameKeyDown,{capture:!0,passive:!0}),frameDocument.defaultView&&(frameDocument.defaultView.addEventListener("blur",handleWindowBlur,{passive:!0}),frameDocument.defaultView.addEventListener("focus",handleWindowFocus,{passive:!0})),checkFieldLength(frame,getFieldLength(frame)))},INPUT_LISTENERS=[["paste",handleTransfer],["drop",handleTransfer],["beforeinput",handleBeforeInput],["input",handleInput]],handleVisibilityChange=e=>{("boolean"==typeof e.hidden?e.hidden:"hidden"===document.visibilityState)?leavePage(!0):returnToPage()},handleWindowBlur=()=>{leavePage(!1)},handleWindowFocus=()=>{returnToPage()},leavePage=hidden=>{absence?absence.hidden=absence.hidden||hidden:absence={left:Date.now(),hidden:hidden}},returnToPage=()=>{if(!absence)return;const now=Date.now();now-absence.left>=CONFIG.minAbsence&&addToStore("timeline",{type:"departure",left:absence.left,duration:now-absence.left,hidden:absence.hidden,timestamp:now}),absence=null},handleCopy=e=>{const _ref9="number"==typeof e.size?e:describeCopy(e),source=_ref9.source,size=_ref9.size;addToStore("timeline",{type:e.type,source:source,size:size,timestamp:Date.now(),...getQuestionSlot(e.target)})},describeCopy=e=>{const field=getAnswerField(e.target);let source=COPY_SOURCES.PAGE;return field?source=COPY_SOURCES.ANSWER:e.target&&"function"==typeof e.target.closest&&e.target.closest(".que .formulation")&&(source=COPY_SOURCES.QUESTION),{source:source,size:getSelectionSize(field||e.target)}};_exports.describeCopy=describeCopy;const getSelectionSize=target=>{try{if("number"==typeof target.selectionStart)return Math.abs(target.selectionEnd-target.selectionStart);const selection=(target.ownerDocument||document).getSelection();return selection?selection.toString().length:0}catch(e){return 0}},handleScroll=e=>{const now=Date.now(),lastScroll=eventStore.scrolls[eventStore.scrolls.length-1],position="number"==typeof(null==e?void 0:e.scrollY)?e:window;addToStore("scrolls",{scrollY:position.scrollY,scrollX:position.scrollX,timestamp:now,deltaTime:lastScroll?now-lastScroll.timestamp:0,deltaY:lastScroll?position.scrollY-lastScroll.scrollY:0,deltaX:lastScroll?position.scrollX-lastScroll.scrollX:0})},handleFocusIn=e=>{isMonitoring&&"IFRAME"===e.target.tagName&&getAnswerField(e.target)&&attachEditorFrame(e.target),addToStore("focusChanges",{target:{tagName:e.target.tagName,id:e.target.id,type:e.target.type},timestamp:Date.now(),type:"in",...getQuestionSlot(e.target)})},handleFocusOut=e=>{addToStore("focusChanges",{target:{tagName:e.target.tagName,id:e.target.id,type:e.target.type},timestamp:Date.now(),type:"out",...getQuestionSlot(e.target)})},handlePointerDown=e=>{addToStore("pointerEvents",{type:"down",x:e.clientX,y:e.clientY,timestamp:Date.now(),pointerType:e.pointerType,trusted:!1!==e.isTrusted,...getQuestionSlot(e.target)}),"pen"===e.pointerType&&addContact("start","pen",getPenContact(e),e.target)},handlePointerMove=e=>{"pen"===e.pointerType&&e.buttons>0&&addContact("move","pen",getPenContact(e),e.target);const now=Date.now(),last=eventStore.pointerEvents[eventStore.pointerEvents.length-1];last&&now-last.timestamp<50||addToStore("pointerEvents",{type:"move",x:e.clientX,y:e.clientY,timestamp:now,pointerType:e.pointerType})},handlePointerUp=e=>{"pen"===e.pointerType&&addContact("end","pen",getPenContact(e),e.target)},handleTouch=e=>{const type=TOUCH_PHASES[e.type];Array.from(e.changedTouches||[]).forEach((touch=>{addContact(type,"touch",{id:touch.identifier,x:touch.clientX,y:touch.clientY,radius:((touch.radiusX||0)+(touch.radiusY||0))/2,force:touch.force||0},e.target)}))},getPenContact=e=>({id:e.pointerId,x:e.clientX,y:e.clientY,radius:((e.width||0)+(e.height||0))/4,force:e.pressure||0}),addContact=(type,pointerType,contact,target)=>{const now=Date.now();if("move"===type){const last=lastContactOf(pointerType,contact.id);if(last&&now-last.timestamp<CONFIG.contactMoveInterval)return}addToStore("contacts",{type:type,pointerType:pointerType,...contact,timestamp:now,...getQuestionSlot(target)})},lastContactOf=(pointerType,id)=>{for(let i=eventStore.contacts.length-1;i>=0;i--){const contact=eventStore.contacts[i];if(contact.pointerType===pointerType&&contact.id===id)return contact}return null};let lastPeriodicSave=0;const addToStore=(storeName,data)=>{eventStore[storeName].push(data),eventStore[storeName].length>CONFIG.maxStoredEvents&&eventStore[storeName].shift(),analysisCache=null;const now=Date.now();if(isMonitoring&&now-lastPeriodicSave>2e3){lastPeriodicSave=now;try{saveToSessionStorage()}catch(e){}}},getAuthenticity=e=>({trusted:!1!==e.isTrusted,screenX:e.screenX,screenY:e.screenY}),checkPrecedingHover=target=>eventStore.hovers.slice(-20).some((h=>h.target===target&&"over"===h.type)),checkPrecedingMouseMove=(x,y)=>{const recentMoves=eventStore.mouseMoves.slice(-10);return 0!==recentMoves.length&&recentMoves.some((m=>Math.sqrt((m.x-x)**2+(m.y-y)**2)<50))},replayEvent=function(type,event){let attempt=arguments.length>2&&void 0!==arguments[2]?arguments[2]:0;const handlers={mousemove:handleMouseMove,click:handleClick,mousedown:handleMouseDown,mouseup:handleMouseUp,mouseover:handleMouseOver,mouseout:handleMouseOut,keydown:handleKeyDown,keyup:handleKeyUp,scroll:handleScroll,focusin:handleFocusIn,focusout:handleFocusOut,pointerdown:handlePointerDown,pointermove:handlePointerMove,pointerup:handlePointerUp,touchstart:handleTouch,touchmove:handleTouch,touchend:handleTouch,touchcancel:handleTouch,paste:handleTransfer,drop:handleTransfer,beforeinput:handleBeforeInput,input:handleInput,visibilitychange:handleVisibilityChange,blur:handleWindowBlur,focus:handleWindowFocus,copy:handleCopy,cut:handleCopy};handlers[type]&&(attemptId=attempt,handlers[type](event))};_exports.replayEvent=replayEvent;const getQuestionSlot=target=>{const question=target&&target.closest?target.closest('.que[id^="question-"]'):null,match=question?/^question-\d+-(\d+)$/.exec(question.id):null,attempt=match?getAttemptId():0;return attempt?{attempt:attempt,slot:parseInt(match[1],10)}:{}},getAttemptId=()=>{if(null===attemptId){const input=document.querySelector('#responseform input[name="attempt"]');attemptId=input&&parseInt(input.value,10)||0}return attemptId},analyze=()=>{if(checkAnswerFields(),analysisCache)return analysisCache;const results={timestamp:Date.now(),duration:Date.now()-eventStore.startTime,pageLoadCount:eventStore.pageLoadCount,eventCounts:{mouseMoves:eventStore.mouseMoves.length,clicks:eventStore.clicks.length,keystrokes:eventStore.keystrokes.length,scrolls:eventStore.scrolls.length,hovers:eventStore.hovers.length,focusChanges:eventStore.focusChanges.length,pointerEvents:eventStore.pointerEvents.length,contacts:eventStore.contacts.length,departures:eventStore.timeline.filter((t=>"departure"===t.type)).length,...countPresses(eventStore.pointerEvents,eventStore.contacts)},modality:MODALITIES.MOUSE,anomalies:[],score:0,slots:[],assistive:[],accommodation:null};if(results.anomalies.push(...analyzeMouseMovement()),results.anomalies.push(...analyzeTrajectories()),results.anomalies.push(...analyzeClicks()),results.anomalies.push(...analyzeKeystrokes()),results.anomalies.push(...analyzeInputs()),results.anomalies.push(...analyzeAuthenticity()),results.anomalies.push(...analyzeTimeline()),results.anomalies.push(...analyzeScrolling()),results.anomalies.push(...analyzeEventSequence()),results.anomalies.push(...analyzeActionBursts()),results.anomalies.push(...analyzeCDPClickPatterns()),results.anomalies.push(...analyzePointerEvents()),results.anomalies.push(...analyzePerPageRatio()),results.anomalies.push(...analyzeScrollClickCorrelation()),results.modality=detectModality(results.eventCounts),results.modality!==MODALITIES.MOUSE&&(results.anomalies=results.anomalies.filter((a=>!DESKTOP_ANOMALIES.includes(a.name))),results.anomalies.push(...analyzeContacts())),results.assistive=analyzeAssistiveTechnology(),accommodation){const adjusted=accommodate(results.anomalies,results.assistive,accommodation);results.anomalies=adjusted.anomalies,results.accommodation={mode:accommodation,anomalies:adjusted.adjusted}}return results.score=calculateInteractionScore(results.anomalies,results.eventCounts),results.slots=analyzeSlots(results.assistive),analysisCache=results,results};_exports.analyze=analyze;const analyzeMouseMovement=()=>{const anomalies=[],moves=eventStore.mouseMoves;if(moves.length<CONFIG.minMouseMoves)return anomalies.push({name:"mouse.insufficient_data",value:moves.length,weight:2}),anomalies;const linearSegments=findLinearSegments(moves);linearSegments>.3*moves.length&&anomalies.push({name:"mouse.linear_movement",value:linearSegments/moves.length,weight:3});const teleports=moves.filter((m=>m.velocity>CONFIG.maxMouseSpeed));teleports.length>0&&anomalies.push({name:"mouse.teleport",value:teleports.length,weight:8});const duration=Date.now()-eventStore.startTime;moves.length<duration/5e3&&anomalies.push({name:"mouse.sparse_movement",value:moves.length,weight:5});const velocities=moves.filter((m=>m.velocity)).map((m=>m.velocity));if(velocities.length>5){const variance=calculateVariance(velocities);variance<.1&&anomalies.push({name:"mouse.constant_velocity",value:variance,weight:6})}const totalClicks=eventStore.clicks.length;if(totalClicks>=3&&eventStore.pageLoadCount>=2){const movePerClick=moves.length/totalClicks;movePerClick<2?anomalies.push({name:"comet.low_mouse_to_action_ratio",value:movePerClick,weight:10}):movePerClick<5&&anomalies.push({name:"comet.low_mouse_to_action_ratio",value:movePerClick,weight:5})}return anomalies},findLinearSegments=moves=>{let linearCount=0;for(let i=2;i<moves.length;i++){const angle1=Math.atan2(moves[i-1].y-moves[i-2].y,moves[i-1].x-moves[i-2].x),angle2=Math.atan2(moves[i].y-moves[i-1].y,moves[i].x-moves[i-1].x);Math.abs(Math.cos(angle1-angle2))>.99&&linearCount++}return linearCount},analyzeTrajectories=function(){let moves=arguments.length>0&&void 0!==arguments[0]?arguments[0]:eventStore.mouseMoves,clicks=arguments.length>1&&void 0!==arguments[1]?arguments[1]:eventStore.clicks;const anomalies=[],approaches=findApproaches(moves,clicks).map(describeApproach);if(approaches.length<CONFIG.minApproaches)return anomalies;const curved=approaches.filter((a=>a.straightness<.99)),smooth=curved.filter((a=>0===a.curvatureReversals));curved.length>=3&&smooth.length>.7*curved.length&&anomalies.push({name:"trajectory.smooth_curvature",value:smooth.length/curved.length,weight:4});const minimumJerk=approaches.filter((a=>a.accelerationReversals<=1));minimumJerk.length>.7*approaches.length&&anomalies.push({name:"trajectory.minimum_jerk",value:minimumJerk.length/approaches.length,weight:5});const uncorrected=approaches.filter((a=>a.subMovements<2&&!a.overshoot));uncorrected.length>=.9*approaches.length&&anomalies.push({name:"trajectory.no_correction",value:uncorrected.length/approaches.length,weight:5});const aimed=approaches.filter((a=>a.width>0));if(aimed.length>=CONFIG.minApproaches){const difficulties=aimed.map((a=>Math.log2(a.distance/a.width+1))),times=aimed.map((a=>a.duration));if(Math.max(...difficulties)-Math.min(...difficulties)>=1){const correlation=calculateCorrelation(difficulties,times);correlation<.2&&anomalies.push({name:"trajectory.fitts_violation",value:correlation,weight:4})}}return anomalies},findApproaches=(moves,clicks)=>{const approaches=[];return clicks.forEach(((click,i)=>{const since=i>0?clicks[i-1].timestamp:-1/0,before=moves.filter((m=>m.timestamp>since&&m.timestamp<=click.timestamp));let first=before.length-1;if(first<0||click.timestamp-before[first].timestamp>CONFIG.approachPause)return;for(;first>0&&before[first].timestamp-before[first-1].timestamp<=CONFIG.approachPause;)first--;const run=before.slice(first),distance=Math.hypot(click.x-run[0].x,click.y-run[0].y);if(run.length<CONFIG.minApproachMoves||distance<CONFIG.minApproachDistance)return;const target=click.target||{};approaches.push({moves:run,click:click,distance:distance,duration:click.timestamp-run[0].timestamp,width:Math.min(target.width||0,target.height||0)})})),approaches},describeApproach=approach=>{const moves=approach.moves,click=approach.click,distance=approach.distance,points=moves.map(((m,i)=>{const window=moves.slice(Math.max(i-1,0),i+2);return{x:window.reduce(((sum,p)=>sum+p.x),0)/window.length,y:window.reduce(((sum,p)=>sum+p.y),0)/window.length,timestamp:m.timestamp}}));let length=0;const headings=[],speeds=[];for(let i=1;i<points.length;i++){const dx=points[i].x-points[i-1].x,dy=points[i].y-points[i-1].y,step=Math.hypot(dx,dy),elapsed=points[i].timestamp-points[i-1].timestamp;length+=step,step>=5&&headings.push(Math.atan2(dy,dx)),elapsed>0&&speeds.push(step/elapsed)}const turns=headings.slice(1).map(((heading,i)=>Math.atan2(Math.sin(heading-headings[i]),Math.cos(heading-headings[i])))),peakSpeed=Math.max(0,...speeds),accelerations=speeds.slice(1).map(((speed,i)=>speed-speeds[i])),start=moves[0],ux=(click.x-start.x)/distance,uy=(click.y-start.y)/distance,reach=Math.max(...moves.map((m=>(m.x-start.x)*ux+(m.y-start.y)*uy)));return{...approach,straightness:length>0?distance/Math.max(length,distance):1,curvatureReversals:countReversals(turns,.02),accelerationReversals:countReversals(accelerations,.05*peakSpeed),subMovements:countSubMovements(speeds),overshoot:reach>distance+2}},countReversals=(values,deadband)=>{let reversals=0,sign=0;for(const value of values)Math.abs(value)<deadband||(sign&&Math.sign(value)!==sign&&reversals++,sign=Math.sign(value));return reversals},countSubMovements=speeds=>{const floor=.1*Math.max(0,...speeds);let count=0,low=1/0;return speeds.forEach(((speed,i)=>{low=Math.min(low,speed);speed>=floor&&(0===i||speed>=speeds[i-1])&&(i===speeds.length-1||speed>speeds[i+1])&&(0===count||low<.5*speed)&&(count++,low=speed)})),count},analyzeClicks=function(){let clicks=arguments.length>0&&void 0!==arguments[0]?arguments[0]:eventStore.clicks,moveCount=arguments.length>1&&void 0!==arguments[1]?arguments[1]:eventStore.mouseMoves.length;const anomalies=[];if(clicks.length<CONFIG.minClicks)return anomalies;const centerClicks=clicks.filter((c=>c.offsetFromCenter<CONFIG.centerClickTolerance));centerClicks.length>.5*clicks.length&&anomalies.push({name:"click.center_precision",value:centerClicks.length/clicks.length,weight:10});const ultraPreciseClicks=clicks.filter((c=>c.offsetFromCenter<2));ultraPreciseClicks.length>.6*clicks.length&&clicks.length>=3&&anomalies.push({name:"comet.ultra_precise_center",value:ultraPreciseClicks.length/clicks.length,weight:10});const noHoverClicks=clicks.filter((c=>!c.hadPrecedingHover));noHoverClicks.length>.7*clicks.length&&anomalies.push({name:"click.no_hover",value:noHoverClicks.length/clicks.length,weight:6});const noMoveClicks=clicks.filter((c=>!c.hadPrecedingMouseMove));noMoveClicks.length>.5*clicks.length&&anomalies.push({name:"click.no_movement",value:noMoveClicks.length/clicks.length,weight:9}),clicks.length>=3&&moveCount<2*clicks.length&&anomalies.push({name:"click.teleport_pattern",value:moveCount/clicks.length,weight:10});const interClickTimes=[];for(let i=1;i<clicks.length;i++)interClickTimes.push(clicks[i].timestamp-clicks[i-1].timestamp);const fastClicks=interClickTimes.filter((t=>t<CONFIG.minHumanReactionTime));if(fastClicks.length>0&&anomalies.push({name:"click.superhuman_speed",value:fastClicks.length,weight:3}),interClickTimes.length>=3){const variance=calculateVariance(interClickTimes);variance<CONFIG.perfectTimingVariance&&anomalies.push({name:"click.perfect_timing",value:variance,weight:8})}return anomalies},analyzeKeystrokes=()=>{const anomalies=[],keystrokes=eventStore.keystrokes.filter((k=>"down"===k.type));return 0===keystrokes.length&&eventStore.clicks.length>=5&&eventStore.pageLoadCount>=2&&anomalies.push({name:"comet.zero_keystrokes",value:0,weight:9}),anomalies.push(...analyzeKeystrokeTiming(keystrokes)),anomalies.push(...analyzeFreeText(keystrokes)),anomalies},analyzeKeystrokeTiming=keystrokes=>{const anomalies=[];if(keystrokes.length<CONFIG.minKeystrokes)return anomalies;const interKeyTimes=keystrokes.slice(1).map((k=>k.deltaTime));if(interKeyTimes.length>=5){const variance=calculateVariance(interKeyTimes);variance<CONFIG.perfectTimingVariance&&anomalies.push({name:"keystroke.perfect_timing",value:variance,weight:9})}const keyMean=interKeyTimes.reduce(((a,b)=>a+b),0)/interKeyTimes.length,keyStdDev=Math.sqrt(calculateVariance(interKeyTimes)),keyCV=keyMean>0?keyStdDev/keyMean:0;keyCV<.1&&interKeyTimes.length>=10&&anomalies.push({name:"comet.uniform_keystroke_cadence",value:keyCV,weight:9});const fastKeys=interKeyTimes.filter((t=>t>0&&t<30));fastKeys.length>.3*interKeyTimes.length&&anomalies.push({name:"keystroke.superhuman_speed",value:fastKeys.length/interKeyTimes.length,weight:9});const holdDurations=keystrokes.filter((k=>k.holdDuration)).map((k=>k.holdDuration));if(holdDurations.length>=5){const variance=calculateVariance(holdDurations);if(variance<1&&anomalies.push({name:"keystroke.constant_hold",value:variance,weight:7}),holdDurations.length>=10){const holdMean=holdDurations.reduce(((a,b)=>a+b),0)/holdDurations.length,holdStdDev=Math.sqrt(calculateVariance(holdDurations)),holdCV=holdMean>0?holdStdDev/holdMean:0;holdCV<.1&&anomalies.push({name:"comet.uniform_hold_duration",value:holdCV,weight:8})}}return anomalies},analyzeFreeText=keystrokes=>{const anomalies=[],typed=keystrokes.filter((k=>k.text)),characters=typed.filter((k=>"char"===k.key)).length;if(characters<CONFIG.minTypedKeys)return anomalies;const gaps=[];if(typed.slice(1).forEach(((k,i)=>{const previous=typed[i],latency=k.timestamp-previous.timestamp;latency>0&&latency<=CONFIG.maxTypingGap&&k.attempt===previous.attempt&&k.slot===previous.slot&&gaps.push({latency:latency,digraph:getDigraph(previous,k)})})),gaps.length<CONFIG.minTypedKeys)return anomalies;const latencies=gaps.map((gap=>gap.latency)),digraphLatencies=digraph=>gaps.filter((gap=>gap.digraph===digraph)).map((gap=>gap.latency)),_ref0=[digraphLatencies("same"),digraphLatencies("alternate")],sameHand=_ref0[0],alternating=_ref0[1];if(sameHand.length>=CONFIG.minDigraphs&&alternating.length>=CONFIG.minDigraphs){const ratio=calculateMedian(sameHand)/calculateMedian(alternating);ratio<1.1&&anomalies.push({name:"keystroke.flat_digraphs",value:ratio,weight:4})}const pause=Math.max(3*calculateMedian(latencies),CONFIG.typingPause),pauseRatio=latencies.filter((latency=>latency>=pause)).length/latencies.length;pauseRatio<.01&&anomalies.push({name:"keystroke.no_pauses",value:pauseRatio,weight:5});const corrections=typed.filter((k=>CORRECTION_KEYS.includes(k.key))).length;characters>=2*CONFIG.minTypedKeys&&corrections/characters<.005&&anomalies.push({name:"keystroke.no_corrections",value:corrections/characters,weight:4});const rates=[];for(let i=0;i+CONFIG.typingWindow<=latencies.length;i+=CONFIG.typingWindow){const duration=latencies.slice(i,i+CONFIG.typingWindow).reduce(((a,b)=>a+b),0);rates.push(1e3*CONFIG.typingWindow/duration)}if(rates.length>=5){const mean=rates.reduce(((a,b)=>a+b),0)/rates.length,rateCV=Math.sqrt(calculateVariance(rates))/mean;rateCV<.1&&anomalies.push({name:"keystroke.constant_rate",value:rateCV,weight:5})}return anomalies},getDigraph=(first,second)=>{const hands=["left","right"];return"char"===first.key&&"char"===second.key&&hands.includes(first.hand)&&hands.includes(second.hand)?first.hand===second.hand?"same":"alternate":null},analyzeInputs=function(){let inputs=arguments.length>0&&void 0!==arguments[0]?arguments[0]:eventStore.inputs;const anomalies=[],largest=sources=>Math.max(0,...inputs.filter((i=>sources.includes(i.source))).map((i=>i.size))),pasted=largest([INPUT_SOURCES.PASTED,INPUT_SOURCES.DROPPED]);pasted>=CONFIG.largePaste&&anomalies.push({name:"input.large_paste",value:pasted,weight:6});const programmatic=largest([INPUT_SOURCES.PROGRAMMATIC]);return programmatic>=CONFIG.minProgrammaticInsert&&anomalies.push({name:"input.programmatic_set",value:programmatic,weight:8}),anomalies},analyzeAuthenticity=function(){let events=arguments.length>0&&void 0!==arguments[0]?arguments[0]:eventStore;const anomalies=[],keydowns=events.keystrokes.filter((k=>"down"===k.type)),pointerDowns=events.pointerEvents.filter((p=>"down"===p.type)),untrusted=[...events.clicks,...keydowns,...pointerDowns,...events.mouseMoves].filter((event=>!1===event.trusted)).length;untrusted>=CONFIG.minUntrustedEvents&&anomalies.push({name:"event.untrusted",value:untrusted,weight:10});const positioned=[...events.mouseMoves,...events.clicks.filter((c=>c.x||c.y))].filter((event=>"number"==typeof event.screenX&&"number"==typeof event.screenY)).sort(((a,b)=>a.timestamp-b.timestamp));let compared=0,impossible=0;positioned.slice(1).forEach(((event,i)=>{const previous=positioned[i],axes=[[event.x-previous.x,event.screenX-previous.screenX],[event.y-previous.y,event.screenY-previous.screenY]].filter((_ref1=>{let client=_slicedToArray(_ref1,1)[0];return Math.abs(client)>=5}));axes.length&&(compared++,axes.some((_ref11=>{let _ref12=_slicedToArray(_ref11,2),client=_ref12[0],screen=_ref12[1];return Math.sign(client)!==Math.sign(screen)}))&&impossible++)})),impossible>=3&&impossible>.5*compared&&anomalies.push({name:"event.impossible_coordinates",value:impossible/compared,weight:9});const uncounted=events.clicks.filter((c=>c.pressed&&0===c.detail)).length;uncounted>=3&&anomalies.push({name:"click.zero_detail",value:uncounted,weight:7});const moved=events.mouseMoves.filter((m=>(m.deltaX||m.deltaY)&&"number"==typeof m.movementX));return moved.length>=CONFIG.minMouseMoves&&moved.every((m=>0===m.movementX&&0===m.movementY))&&anomalies.push({name:"mouse.no_movement_delta",value:moved.length,weight:6}),anomalies},analyzeTimeline=function(){let timeline=arguments.length>0&&void 0!==arguments[0]?arguments[0]:eventStore.timeline,inputs=arguments.length>1&&void 0!==arguments[1]?arguments[1]:eventStore.inputs;const anomalies=[],copies=timeline.filter((t=>t.source===COPY_SOURCES.QUESTION&&t.size>0)),departures=timeline.filter((t=>"departure"===t.type)),pastes=inputs.filter((i=>i.source===INPUT_SOURCES.PASTED&&i.size>=CONFIG.minReturnPaste));copies.length&&anomalies.push({name:"focus.question_copied",value:copies.length,weight:3});const followed=new Set;pastes.forEach((paste=>{const departure=departures.filter((d=>d.timestamp<=paste.timestamp&&paste.timestamp-d.timestamp<=CONFIG.returnPasteWindow)).pop();departure&&followed.add(departure)}));const copied=Array.from(followed).filter((d=>copies.some((c=>c.timestamp<=d.left&&d.left-c.timestamp<=CONFIG.copyLeaveWindow))));return copied.length&&anomalies.push({name:"focus.copy_leave_paste",value:copied.length,weight:9}),followed.size>copied.length&&anomalies.push({name:"focus.paste_after_return",value:followed.size-copied.length,weight:5}),anomalies},analyzeSlots=function(){let assistive=arguments.length>0&&void 0!==arguments[0]?arguments[0]:[];const slots=new Map,storeNames=["mouseMoves","clicks","keystrokes","focusChanges","pointerEvents","contacts","inputs","timeline"];storeNames.forEach((storeName=>{eventStore[storeName].forEach((event=>{if(!event.slot)return;const name=event.attempt+":"+event.slot;slots.has(name)||slots.set(name,{attempt:event.attempt,slot:event.slot,...Object.fromEntries(storeNames.map((store=>[store,[]])))}),slots.get(name)[storeName].push(event)}))}));const departures=eventStore.timeline.filter((t=>"departure"===t.type)),names=Array.from(slots.keys()).sort(((a,b)=>{const _ref13=[slots.get(a),slots.get(b)],first=_ref13[0],second=_ref13[1];return first.attempt-second.attempt||first.slot-second.slot}));return names.map((name=>{const events=slots.get(name),keystrokes=events.keystrokes.filter((k=>"down"===k.type)),eventCounts={mouseMoves:events.mouseMoves.length,clicks:events.clicks.length,keystrokes:keystrokes.length,focusChanges:events.focusChanges.length,contacts:events.contacts.length,...countPresses(events.pointerEvents,events.contacts)};let anomalies=[...analyzeClicks(events.clicks,events.mouseMoves.length),...analyzeKeystrokeTiming(keystrokes),...analyzeFreeText(keystrokes),...analyzeInputs(events.inputs),...analyzeAuthenticity(events),...analyzeTimeline([...events.timeline,...departures],events.inputs)];return detectModality(eventCounts)!==MODALITIES.MOUSE&&(anomalies=anomalies.filter((a=>!DESKTOP_ANOMALIES.includes(a.name))),anomalies.push(...analyzeContacts(events.contacts,events.clicks))),accommodation&&(anomalies=accommodate(anomalies,assistive,accommodation).anomalies),{name:name,attempt:events.attempt,slot:events.slot,eventCounts:eventCounts,anomalies:anomalies,score:calculateInteractionScore(anomalies,eventCounts)}}))},analyzeScrolling=()=>{const anomalies=[],scrolls=eventStore.scrolls;if(scrolls.length<3)return anomalies;const instantScrolls=scrolls.filter((s=>s.deltaTime<10&&Math.abs(s.deltaY)>100));instantScrolls.length>.5*scrolls.length&&anomalies.push({name:"scroll.instant_jump",value:instantScrolls.length/scrolls.length,weight:6});const scrollAmounts=scrolls.map((s=>Math.abs(s.deltaY))).filter((v=>v>0));if(scrollAmounts.length>=3){const variance=calculateVariance(scrollAmounts);variance<1&&anomalies.push({name:"scroll.constant_amount",value:variance,weight:5})}return anomalies},analyzeEventSequence=()=>{const anomalies=[],hoverRatio=eventStore.hovers.length/Math.max(eventStore.clicks.length,1);hoverRatio<2&&eventStore.clicks.length>=CONFIG.minClicks&&anomalies.push({name:"sequence.low_hover_ratio",value:hoverRatio,weight:5});const directFocus=eventStore.focusChanges.filter((f=>![...eventStore.clicks.slice(-5),...eventStore.keystrokes.slice(-5)].some((e=>Math.abs(e.timestamp-f.timestamp)<100))));directFocus.length>.5*eventStore.focusChanges.length&&eventStore.focusChanges.length>=3&&anomalies.push({name:"sequence.direct_focus",value:directFocus.length/eventStore.focusChanges.length,weight:3});const focusIns=eventStore.focusChanges.filter((f=>"in"===f.type));if(focusIns.length>=3){let rapidSequentialFocus=0;for(let j=1;j<focusIns.length;j++){const gap=focusIns[j].timestamp-focusIns[j-1].timestamp,differentTarget=focusIns[j].target.id!==focusIns[j-1].target.id;gap<200&&differentTarget&&rapidSequentialFocus++}rapidSequentialFocus>=4&&anomalies.push({name:"comet.rapid_focus_sequence",value:rapidSequentialFocus,weight:5})}return anomalies},analyzeContacts=function(){let contacts=arguments.length>0&&void 0!==arguments[0]?arguments[0]:eventStore.contacts,clicks=arguments.length>1&&void 0!==arguments[1]?arguments[1]:eventStore.clicks;const anomalies=[],starts=contacts.filter((c=>"start"===c.type)),gestures=findGestures(contacts),samples=contacts.filter((c=>"end"!==c.type)),radii=samples.map((c=>c.radius||0)),forces=samples.map((c=>c.force||0)),reported=radii.some((r=>r>0))||forces.some((f=>f>0));starts.length>=CONFIG.minContacts&&reported&&0===calculateVariance(radii)&&0===calculateVariance(forces)&&anomalies.push({name:"touch.uniform_contact",value:starts.length,weight:6});const taps=gestures.filter((g=>g.end&&g.samples.every((c=>Math.hypot(c.x-g.start.x,c.y-g.start.y)<CONFIG.tapTolerance))));if(taps.length>=CONFIG.minClicks){const instant=taps.filter((g=>g.end.timestamp-g.start.timestamp<CONFIG.minTapDuration));instant.length>.5*taps.length&&anomalies.push({name:"touch.instant_tap",value:instant.length/taps.length,weight:8})}const swipes=gestures.filter((g=>g.end&&!taps.includes(g)&&g.samples.length>=4));if(swipes.length>=3){const mechanical=swipes.filter(isMechanicalSwipe);mechanical.length>.5*swipes.length&&anomalies.push({name:"touch.linear_swipe",value:mechanical.length/swipes.length,weight:5})}const tapped=clicks.filter((c=>contacts.some((t=>t.timestamp<=c.timestamp&&c.timestamp-t.timestamp<CONFIG.contactWindow))));if(tapped.length>=CONFIG.minContacts){const offsets=tapped.map((c=>c.offsetFromCenter)),meanOffset=offsets.reduce(((a,b)=>a+b),0)/offsets.length,spread=Math.sqrt(calculateVariance(offsets));spread<1&&meanOffset>=CONFIG.centerClickTolerance&&anomalies.push({name:"touch.fixed_tap_offset",value:spread,weight:7})}if(clicks.length>=CONFIG.minClicks){const untouched=clicks.length-tapped.length;untouched>.5*clicks.length&&anomalies.push({name:"touch.click_without_contact",value:untouched/clicks.length,weight:9})}return anomalies},findGestures=contacts=>{const gestures=[],open=new Map;for(const contact of contacts){const key=contact.pointerType+":"+contact.id;if("start"===contact.type){const gesture={start:contact,end:null,samples:[contact]};open.set(key,gesture),gestures.push(gesture);continue}const gesture=open.get(key);gesture&&(gesture.samples.push(contact),"end"===contact.type&&(gesture.end=contact,open.delete(key)))}return gestures},isMechanicalSwipe=gesture=>{const points=gesture.samples.filter((c=>"end"!==c.type)),displacement=Math.hypot(points[points.length-1].x-points[0].x,points[points.length-1].y-points[0].y);let length=0;const speeds=[];for(let i=1;i<points.length;i++){const distance=Math.hypot(points[i].x-points[i-1].x,points[i].y-points[i-1].y),elapsed=points[i].timestamp-points[i-1].timestamp;length+=distance,elapsed>0&&speeds.push(distance/elapsed)}if(0===displacement||speeds.length<2)return!1;const meanSpeed=speeds.reduce(((a,b)=>a+b),0)/speeds.length,speedCV=meanSpeed>0?Math.sqrt(calculateVariance(speeds))/meanSpeed:0;return length/displacement<1.01&&speedCV<.1},analyzeAssistiveTechnology=()=>{const patterns=[],keydowns=eventStore.keystrokes.filter((k=>"down"===k.type)),navigationKeys=keydowns.filter((k=>NAVIGATION_KEYS.includes(k.key))),focusIns=eventStore.focusChanges.filter((f=>"in"===f.type)),pointerDowns=eventStore.pointerEvents.filter((p=>"down"===p.type));if(navigationKeys.length>=5&&focusIns.length>=3){const keyLed=focusIns.filter((f=>navigationKeys.some((k=>f.timestamp>=k.timestamp&&f.timestamp-k.timestamp<150)))).length;keyLed>=.5*focusIns.length&&patterns.push({name:PATTERNS_KEYBOARD_NAVIGATION,value:keyLed/focusIns.length})}const clicks=eventStore.clicks;if(clicks.length<CONFIG.minClicks)return patterns;const pointerless=clicks.filter((c=>c.offsetFromCenter<CONFIG.centerClickTolerance&&!pointerDowns.some((p=>p.timestamp<=c.timestamp&&c.timestamp-p.timestamp<100))&&!eventStore.mouseMoves.some((m=>m.timestamp<c.timestamp&&c.timestamp-m.timestamp<300)))),focusLed=pointerless.filter((c=>{var _c$target;const focus=((events,timestamp)=>{for(let i=events.length-1;i>=0;i--)if(events[i].timestamp<=timestamp)return events[i];return null})(focusIns,c.timestamp);return focus&&(null===(_c$target=c.target)||void 0===_c$target?void 0:_c$target.id)&&focus.target.id===c.target.id&&c.timestamp-focus.timestamp>=100}));focusLed.length>=CONFIG.minClicks&&focusLed.length>=.5*clicks.length&&patterns.push({name:PATTERNS_VIRTUAL_CURSOR,value:focusLed.length/clicks.length});const actions=[...clicks,...keydowns,...focusIns].map((e=>e.timestamp)).sort(((a,b)=>a-b)),spoken=pointerless.filter((c=>{if(focusLed.includes(c))return!1;const previous=actions.filter((t=>t<c.timestamp-100)).pop();return void 0===previous||c.timestamp-previous>=1e3}));return spoken.length>=CONFIG.minClicks&&spoken.length>=.5*clicks.length&&patterns.push({name:PATTERNS_VOICE_CONTROL,value:spoken.length/clicks.length}),patterns},accommodate=(anomalies,assistive,mode)=>{const result={anomalies:[],adjusted:[]};for(const anomaly of anomalies){let because=ACCOMMODATED_ANOMALIES.includes(anomaly.name)?"accommodation":null;if(!because){const pattern=assistive.find((p=>ASSISTIVE_PATTERNS[p.name].includes(anomaly.name)));because=pattern?pattern.name:null}if(!because){result.anomalies.push(anomaly);continue}const weight=ScoringProfile.weightOf(anomaly);result.adjusted.push({name:anomaly.name,weight:weight,because:because}),mode===ACCOMMODATION_MODES.REWEIGHT&&result.anomalies.push({...anomaly,name:"accommodated."+anomaly.name,weight:.25*weight})}return result},calculateVariance=arr=>{if(arr.length<2)return 0;const mean=arr.reduce(((a,b)=>a+b),0)/arr.length;return arr.map((value=>Math.pow(value-mean,2))).reduce(((a,b)=>a+b),0)/arr.length},calculateMedian=arr=>{const sorted=[...arr].sort(((a,b)=>a-b)),middle=Math.floor(sorted.length/2);return sorted.length%2?sorted[middle]:(sorted[middle-1]+sorted[middle])/2},calculateCorrelation=(xs,ys)=>{const meanX=xs.reduce(((a,b)=>a+b),0)/xs.length,meanY=ys.reduce(((a,b)=>a+b),0)/ys.length,covariance=xs.reduce(((sum,x,i)=>sum+(x-meanX)*(ys[i]-meanY)),0)/xs.length,spread=Math.sqrt(calculateVariance(xs)*calculateVariance(ys));return spread>0?covariance/spread:0},countPresses=(pointerEvents,contacts)=>{const downs=pointerEvents.filter((p=>"down"===p.type)),count=pointerType=>downs.filter((p=>p.pointerType===pointerType)).length,touchStarts=contacts.filter((c=>"start"===c.type&&"touch"===c.pointerType)).length;return{mousePresses:count("mouse"),touchPresses:Math.max(count("touch"),touchStarts),penPresses:count("pen")}},detectModality=function(){let eventCounts=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};const mouse=eventCounts.mousePresses||0,touch=eventCounts.touchPresses||0,pen=eventCounts.penPresses||0;return Math.max(touch,pen)<=mouse?MODALITIES.MOUSE:pen>touch?MODALITIES.PEN:MODALITIES.TOUCH};_exports.detectModality=detectModality;const calculateInteractionScore=function(anomalies){let eventCounts=arguments.length>1&&void 0!==arguments[1]?arguments[1]:{};const touchModel=detectModality(eventCounts)!==MODALITIES.MOUSE;if(touchModel&&(anomalies=anomalies.filter((a=>!DESKTOP_ANOMALIES.includes(a.name)))),0===anomalies.length)return 0;const totalWeight=anomalies.reduce(((sum,a)=>sum+ScoringProfile.weightOf(a)),0),maxPossibleWeight=10*anomalies.length,model=STRONG_SIGNALS[touchModel?"touch":"mouse"],present=new Set(anomalies.filter((a=>"comet.low_mouse_to_action_ratio"!==a.name||a.weight>=10)).map((a=>a.name)));let multiplier=1;const strongSignals=model.strong.filter((name=>present.has(name))).length;strongSignals>=3?multiplier=1.5:strongSignals>=2&&(multiplier=1.25);let rawScore=totalWeight/Math.max(maxPossibleWeight,30)*100*multiplier;const totalActions=(eventCounts.clicks||0)+(eventCounts.keystrokes||0),totalMoves=(touchModel?eventCounts.contacts:eventCounts.mouseMoves)||0,totalEvents=totalActions+totalMoves;if(totalEvents<10){rawScore*=model.reliable.some((name=>present.has(name)))?.7:.3}else totalEvents<25&&(rawScore*=.85);return Math.min(100,Math.round(rawScore))};_exports.calculateInteractionScore=calculateInteractionScore;const analyzeActionBursts=()=>{const anomalies=[],allActions=[...eventStore.clicks.map((e=>({timestamp:e.timestamp,actionType:"click"}))),...eventStore.keystrokes.filter((k=>"down"===k.type)).map((e=>({timestamp:e.timestamp,actionType:"keystroke"}))),...eventStore.focusChanges.map((e=>({timestamp:e.timestamp,actionType:"focus"})))].sort(((a,b)=>a.timestamp-b.timestamp));if(allActions.length<5)return anomalies;let burstCount=0,readThenActCount=0,i=0;for(;i<allActions.length;){let windowEnd=i;for(;windowEnd<allActions.length&&allActions[windowEnd].timestamp-allActions[i].timestamp<2e3;)windowEnd++;const burstSize=windowEnd-i,actionTypes=new Set(allActions.slice(i,windowEnd).map((a=>a.actionType)));if(burstSize>=5&&actionTypes.size>=2){if(burstCount++,i>0){allActions[i].timestamp-allActions[i-1].timestamp>=3e3&&readThenActCount++}i=windowEnd}else i++}const pages=Math.max(eventStore.pageLoadCount,1),readActPerPage=readThenActCount/pages;return burstCount/pages>=3&&anomalies.push({name:"comet.action_burst",value:burstCount,weight:5}),readActPerPage>=2&&anomalies.push({name:"comet.read_then_act",value:readThenActCount,weight:5}),anomalies},analyzeCDPClickPatterns=()=>{const anomalies=[],clicks=eventStore.clicks,moves=eventStore.mouseMoves;if(clicks.length<3)return anomalies;const latestMoveTime=moves.length>0?moves[moves.length-1].timestamp:0;let zeroTrailClicks=0,validClicks=0;for(const click of clicks){if(latestMoveTime>0&&click.timestamp<latestMoveTime-3e4)continue;validClicks++;0===moves.filter((m=>m.timestamp>click.timestamp-300&&m.timestamp<click.timestamp)).length&&zeroTrailClicks++}if(validClicks<3)return anomalies;const ratio=zeroTrailClicks/validClicks;return ratio>.85&&anomalies.push({name:"comet.no_mousemove_trail",value:ratio,weight:6}),anomalies},analyzePointerEvents=()=>{const anomalies=[],clicks=eventStore.clicks,pointerDowns=eventStore.pointerEvents.filter((p=>"down"===p.type));if(clicks.length<3)return anomalies;const ratio=pointerDowns.length/clicks.length;return ratio<.3&&anomalies.push({name:"comet.missing_pointer_events",value:ratio,weight:4}),anomalies},analyzePerPageRatio=()=>{const anomalies=[],pageStart=eventStore.pageStartTime,currentPageMoves=eventStore.mouseMoves.filter((m=>m.timestamp>=pageStart)).length,currentPageClicks=eventStore.clicks.filter((c=>c.timestamp>=pageStart)).length,pagesWithClicks=[...eventStore.perPageStats,{moves:currentPageMoves,clicks:currentPageClicks}].filter((p=>p.clicks>=1));if(pagesWithClicks.length<3)return anomalies;const lowRatioFraction=pagesWithClicks.filter((p=>p.moves/p.clicks<3)).length/pagesWithClicks.length;return lowRatioFraction>=.7&&anomalies.push({name:"comet.low_per_page_mouse_ratio",value:lowRatioFraction,weight:10}),anomalies},analyzeScrollClickCorrelation=()=>{const anomalies=[],clicks=eventStore.clicks,scrolls=eventStore.scrolls;if(clicks.length<5||scrolls.length<5)return anomalies;let scrollPrecededClicks=0;for(const click of clicks){scrolls.some((s=>s.timestamp>click.timestamp-500&&s.timestamp<click.timestamp))&&scrollPrecededClicks++}const ratio=scrollPrecededClicks/clicks.length;return ratio>=.7&&anomalies.push({name:"comet.scroll_then_click",value:ratio,weight:8}),anomalies},getStorageKey=()=>contextId?`agentdetect_events_${contextId}`:"agentdetect_events",loadFromSessionStorage=()=>{try{const stored=sessionStorage.getItem(getStorageKey());if(!stored)return;const data=JSON.parse(stored);data.startTime&&(eventStore.startTime=data.startTime),eventStore.pageLoadCount=(data.pageLoadCount||1)+1;const storeNames=["mouseMoves","clicks","keystrokes","scrolls","focusChanges","pointerEvents","contacts","inputs","timeline"];for(const name of storeNames)data[name]&&Array.isArray(data[name])&&(eventStore[name]=[...data[name],...eventStore[name]],eventStore[name].length>CONFIG.maxStoredEvents&&(eventStore[name]=eventStore[name].slice(-CONFIG.maxStoredEvents)));data.perPageStats&&Array.isArray(data.perPageStats)&&(eventStore.perPageStats=data.perPageStats),analysisCache=null}catch(e){}},saveToSessionStorage=()=>{try{const pageStart=eventStore.pageStartTime,currentPageMoves=eventStore.mouseMoves.filter((m=>m.timestamp>=pageStart)).length,currentPageClicks=eventStore.clicks.filter((c=>c.timestamp>=pageStart)).length,currentPageKeys=eventStore.keystrokes.filter((k=>k.timestamp>=pageStart)).length,currentPageScrolls=eventStore.scrolls.filter((s=>s.timestamp>=pageStart)).length,updatedPerPageStats=[...eventStore.perPageStats,{moves:currentPageMoves,clicks:currentPageClicks,keys:currentPageKeys,scrolls:currentPageScrolls}].slice(-20),data={startTime:eventStore.startTime,pageLoadCount:eventStore.pageLoadCount,perPageStats:updatedPerPageStats,mouseMoves:eventStore.mouseMoves.slice(-200),clicks:eventStore.clicks.slice(-200).map((c=>({x:c.x,y:c.y,timestamp:c.timestamp,offsetFromCenter:c.offsetFromCenter,hadPrecedingHover:c.hadPrecedingHover,hadPrecedingMouseMove:c.hadPrecedingMouseMove,clickDuration:c.clickDuration,trusted:c.trusted,screenX:c.screenX,screenY:c.screenY,detail:c.detail,pressed:c.pressed,target:c.target?{tagName:c.target.tagName,id:c.target.id,width:c.target.width,height:c.target.height}:void 0,attempt:c.attempt,slot:c.slot}))),keystrokes:eventStore.keystrokes.slice(-200).map((k=>({key:k.key,hand:k.hand,text:k.text,trusted:k.trusted,timestamp:k.timestamp,deltaTime:k.deltaTime,type:k.type,holdDuration:k.holdDuration,attempt:k.attempt,slot:k.slot}))),scrolls:eventStore.scrolls.slice(-200),focusChanges:eventStore.focusChanges.slice(-200).map((f=>({target:f.target,timestamp:f.timestamp,type:f.type,attempt:f.attempt,slot:f.slot}))),pointerEvents:(()=>{const downs=eventStore.pointerEvents.filter((p=>"down"===p.type)).slice(-200),remaining=200-downs.length,moves=remaining>0?eventStore.pointerEvents.filter((p=>"down"!==p.type)).slice(-remaining):[];return[...downs,...moves].sort(((a,b)=>a.timestamp-b.timestamp))})(),contacts:eventStore.contacts.slice(-200),inputs:eventStore.inputs.slice(-200),timeline:eventStore.timeline.slice(-200)};sessionStorage.setItem(getStorageKey(),JSON.stringify(data))}catch(e){}};_exports.saveToSessionStorage=saveToSessionStorage;const getRawData=()=>({...eventStore,isMonitoring:isMonitoring});_exports.getRawData=getRawData;const reset=()=>{eventStore.mouseMoves=[],eventStore.clicks=[],eventStore.keystrokes=[],eventStore.scrolls=[],eventStore.hovers=[],eventStore.focusChanges=[],eventStore.pointerEvents=[],eventStore.contacts=[],eventStore.inputs=[],eventStore.timeline=[],eventStore.startTime=Date.now(),eventStore.pageStartTime=Date.now(),eventStore.pageLoadCount=1,eventStore.perPageStats=[],analysisCache=null,attemptId=null,lastMouseDownAt=0,lastKeyDownAt=0,fieldLengths=new WeakMap,pendingTransfers=new WeakMap,absence=null};_exports.reset=reset;var _default={ACCOMMODATED_ANOMALIES:ACCOMMODATED_ANOMALIES,ASSISTIVE_PATTERNS:ASSISTIVE_PATTERNS,ACCOMMODATION_MODES:ACCOMMODATION_MODES,ACCOMMODATION_WEIGHT_FACTOR:.25,MODALITIES:MODALITIES,DESKTOP_ANOMALIES:DESKTOP_ANOMALIES,INPUT_SOURCES:INPUT_SOURCES,COPY_SOURCES:COPY_SOURCES,startMonitoring:startMonitoring,stopMonitoring:stopMonitoring,replayEvent:replayEvent,analyze:analyze,detectModality:detectModality,getKeyHand:getKeyHand,describeInput:describeInput,describeCopy:describeCopy,calculateInteractionScore:calculateInteractionScore,getRawData:getRawData,reset:reset,saveToSessionStorage:saveToSessionStorage,CONFIG:CONFIG};return _exports.default=_default,_exports.default}));
 
 //# sourceMappingURL=interaction.min.js.map
\ No newline at end of file
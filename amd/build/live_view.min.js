@@ -0,0 +1,12 @@
+define("local_agentdetect/live_view",["exports","core/ajax","core/log"],(function(_exports,_ajax,_log){function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}
+/**
+   * Live proctoring view.
+   *
+   * Polls local_agentdetect_get_live_attempts and redraws the attempts table
+   * rendered by liveview.php. Polling pauses while the tab is hidden.
+   *
+   * @module     local_agentdetect/live_view
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=_exports.default=void 0,_ajax=_interopRequireDefault(_ajax),_log=_interopRequireDefault(_log);const VERDICT_BADGES={HIGH_CONFIDENCE_AGENT:["HIGH","badge-danger"],PROBABLE_AGENT:["PROBABLE","badge-warning"],SUSPICIOUS:["SUSPICIOUS","badge-warning"],LOW_SUSPICION:["LOW","badge-info"],LIKELY_HUMAN:["HUMAN","badge-success"]};let config=null,pollTimer=null,polling=!1;const init=options=>{config=options,document.addEventListener("visibilitychange",handleVisibilityChange),poll()};_exports.init=init;const poll=async()=>{pollTimer=null,polling=!0;try{const data=await _ajax.default.call([{methodname:"local_agentdetect_get_live_attempts",args:{cmid:config.cmid}}])[0];render(data)}catch(error){_log.default.error("[AgentDetect] Failed to refresh the live view:",error)}finally{polling=!1}document.hidden||(pollTimer=setTimeout(poll,config.pollInterval))},handleVisibilityChange=()=>{document.hidden?pollTimer&&(clearTimeout(pollTimer),pollTimer=null):pollTimer||polling||poll()},render=data=>{const table=document.getElementById("agentdetect-liveview");if(!table)return;const tbody=table.tBodies[0]||table.createTBody(),columns=table.tHead?table.tHead.rows[0].cells.length:6;if(data.attempts.length)tbody.replaceChildren(...data.attempts.map((attempt=>renderAttempt(attempt,data.timenow))));else{const row=document.createElement("tr"),cell=createCell(getString("liveview:noattempts"),"text-muted");cell.colSpan=columns,row.appendChild(cell),tbody.replaceChildren(row)}const updated=document.getElementById("agentdetect-liveview-updated");updated&&(updated.textContent=getString("liveview:updated",formatTime(data.timenow)))},renderAttempt=(attempt,timenow)=>{const row=document.createElement("tr");row.dataset.attemptid=attempt.attemptid;const hasScore="number"==typeof attempt.combinedscore;attempt.silent||hasScore&&attempt.combinedscore>=70?row.className="table-danger":hasScore&&attempt.combinedscore>=40&&(row.className="table-warning");const student=document.createElement("td"),link=document.createElement("a");link.href=config.reportUrl+"&userid="+attempt.userid,link.textContent=attempt.fullname,student.appendChild(link),row.appendChild(student),row.appendChild(createCell(formatTime(attempt.timestart))),hasScore?row.appendChild(createBadgeCell(String(attempt.combinedscore),getScoreClass(attempt.combinedscore))):row.appendChild(createCell(getString("liveview:noreport"),"text-muted"));const[label,badgeClass]=VERDICT_BADGES[attempt.verdict]||[attempt.verdict||"-","badge-secondary"];row.appendChild(attempt.verdict?createBadgeCell(label,badgeClass,attempt.verdict):createCell("-"));const anomalies=createCell(attempt.anomalies.map((anomaly=>anomaly.name)).join(", ")||"-");return anomalies.title=attempt.anomalies.map((anomaly=>anomaly.name+" ("+anomaly.weight+")")).join("\n"),row.appendChild(anomalies),attempt.silent&&!attempt.lastheartbeat?row.appendChild(createCell(getString("liveview:silentsincestart",timenow-attempt.timestart),"text-danger font-weight-bold")):attempt.lastheartbeat?attempt.silent?row.appendChild(createCell(getString("liveview:silent",timenow-attempt.lastheartbeat),"text-danger font-weight-bold")):row.appendChild(createCell(getString("liveview:secondsago",Math.max(timenow-attempt.lastheartbeat,0)))):row.appendChild(createCell(getString("liveview:noheartbeat"),"text-muted")),row},createCell=(text,className="")=>{const cell=document.createElement("td");return cell.textContent=text,className&&(cell.className=className),cell},createBadgeCell=(text,badgeClass,title="")=>{const cell=document.createElement("td"),badge=document.createElement("span");return badge.className="badge "+badgeClass,badge.textContent=text,title&&(badge.title=title),cell.appendChild(badge),cell},getScoreClass=score=>score>=70?"badge-danger":score>=40?"badge-warning":"badge-success",formatTime=timestamp=>new Date(1e3*timestamp).toLocaleTimeString(),getString=(key,a)=>M.util.get_string(key,"local_agentdetect",a);_exports.default={init:init}}));
+//# sourceMappingURL=live_view.min.js.map
\ No newline at end of file
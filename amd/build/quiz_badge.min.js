@@ -1,13 +1,20 @@
-define("local_agentdetect/quiz_badge",["exports","core/ajax","core/log"],(function(_exports,_ajax,_log){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+define("local_agentdetect/quiz_badge",["exports","core/ajax","core/log","theme_boost/bootstrap/popover"],(function(_exports,_ajax,_log,_popover){function _interopRequireDefault(e){return e&&e.__esModule?e:{default:e}}
 /**
    * Quiz badge injection module.
    *
-   * Adds visual agent detection indicators next to student names on
-   * quiz report overview and quiz review pages.
+   * Adds a visual agent detection indicator next to the student's name on
+   * quiz review pages, and marks the individual questions whose interaction
+   * looked automated. The badges of the quiz report are in its agent
+   * detection column; see local_agentdetect/report_column.
+   *
+   * Badges show the flag of the attempt where the detector ran in it, and
+   * otherwise the student's flag for the quiz as a whole. An attempt badge
+   * opens a popover with the scores reported over the attempt, its verdict
+   * and strongest signals, loaded when it is first opened, from which the
+   * student's flag can be confirmed, cleared or noted.
    *
    * @module     local_agentdetect/quiz_badge
    * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
    * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
-   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=void 0,_ajax=_interopRequireDefault(_ajax),_log=_interopRequireDefault(_log);_exports.init=config=>{_log.default.debug("[AgentDetect Badge] Initialising with config:",config),"overview"===config.mode?injectOverviewBadges(config):"review"===config.mode&&injectReviewBadge(config)};const injectOverviewBadges=async config=>{const userLinks=document.querySelectorAll('table.quizattemptsreport a[href*="user/view.php"], table.generaltable a[href*="user/view.php"]');if(!userLinks.length)return void _log.default.debug("[AgentDetect Badge] No user links found on overview page.");const userMap=new Map;if(userLinks.forEach((link=>{const url=new URL(link.href,window.location.origin),uid=parseInt(url.searchParams.get("id"),10);uid&&!isNaN(uid)&&(userMap.has(uid)||userMap.set(uid,[]),userMap.get(uid).push(link))})),!userMap.size)return;const userIds=Array.from(userMap.keys());_log.default.debug("[AgentDetect Badge] Fetching flags for",userIds.length,"users");try{(await fetchFlags(userIds,config.contextid)).forEach((flag=>{const links=userMap.get(flag.userid);links&&links.length>0&&appendBadge(links[0],flag,config)}))}catch(err){_log.default.error("[AgentDetect Badge] Failed to fetch flags:",err)}},injectReviewBadge=async config=>{const summaryTable=document.querySelector("table.quizreviewsummary");if(!summaryTable)return void _log.default.debug("[AgentDetect Badge] No quiz review summary table found.");const userLink=summaryTable.querySelector('a[href*="user/view.php"]');if(!userLink)return;const url=new URL(userLink.href,window.location.origin),uid=parseInt(url.searchParams.get("id"),10);if(uid&&!isNaN(uid))try{const flags=await fetchFlags([uid],config.contextid);flags.length>0&&appendBadge(userLink,flags[0],config)}catch(err){_log.default.error("[AgentDetect Badge] Failed to fetch flag:",err)}},fetchFlags=(userIds,contextId)=>_ajax.default.call([{methodname:"local_agentdetect_get_user_flags",args:{userids:userIds,contextid:contextId}}])[0],appendBadge=(link,flag,config)=>{if(link.parentElement.querySelector(".agentdetect-badge"))return;let iconName,cssClass,tooltip;if("agent_suspected"===flag.flagtype||"agent_confirmed"===flag.flagtype)iconName="i/warning",cssClass="agentdetect-badge text-danger",tooltip=flag.flagtype.replace("_"," ")+" (score: "+flag.maxscore+")";else if("low_suspicion"===flag.flagtype)iconName="i/flagged",cssClass="agentdetect-badge text-warning",tooltip="Low suspicion (score: "+flag.maxscore+")";else{if("likely_human"!==flag.flagtype)return;iconName="i/checkedcircle",cssClass="agentdetect-badge text-success",tooltip="Likely human (score: "+flag.maxscore+")"}const reportUrl=config.reportUrl+"&userid="+flag.userid,badgeLink=document.createElement("a");badgeLink.href=reportUrl,badgeLink.className=cssClass,badgeLink.title=tooltip,badgeLink.style.marginLeft="4px",badgeLink.style.textDecoration="none";const img=document.createElement("img");img.src=M.util.image_url(iconName,"core"),img.alt=tooltip,img.className="icon",img.style.width="16px",img.style.height="16px",badgeLink.appendChild(img),link.parentElement.insertBefore(badgeLink,link.nextSibling)}}));
-
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.init=_exports.createBadge=_exports.FLAG_UPDATED_EVENT=void 0,_ajax=_interopRequireDefault(_ajax),_log=_interopRequireDefault(_log),_popover=_interopRequireDefault(_popover);const VERDICT_BADGES={HIGH_CONFIDENCE_AGENT:["verdict:highconfidenceagent","badge-danger"],PROBABLE_AGENT:["verdict:probableagent","badge-warning"],SUSPICIOUS:["verdict:suspicious","badge-warning"],LOW_SUSPICION:["verdict:lowsuspicion","badge-info"],LIKELY_HUMAN:["verdict:likelyhuman","badge-success"]},ACTION_DONE={confirm:"popover:confirmed",clear:"popover:cleared",note:"popover:noteadded"},FLAG_UPDATED_EVENT=_exports.FLAG_UPDATED_EVENT="local_agentdetect/flagupdated",details=new Map,openPopovers=new Set;let listening=!1;_exports.init=config=>{_log.default.debug("[AgentDetect Badge] Initialising with config:",config),injectReviewBadge(config),config.attemptid&&markQuestions(config.attemptid)};const injectReviewBadge=async config=>{const summaryTable=document.querySelector("table.quizreviewsummary");if(!summaryTable)return void _log.default.debug("[AgentDetect Badge] No quiz review summary table found.");const userLink=summaryTable.querySelector('a[href*="user/view.php"]');if(!userLink)return;const uid=(link=>{const url=new URL(link.href,window.location.origin);return parseInt(url.searchParams.get("id"),10)||0})(userLink);if(uid)try{const attemptFlags=config.attemptid?await fetchAttemptFlags([config.attemptid]):[],flags=attemptFlags.length?attemptFlags:await fetchFlags([uid],config.contextid);flags.length>0&&appendBadge(userLink,flags[0],config)}catch(err){_log.default.error("[AgentDetect Badge] Failed to fetch flag:",err)}},markQuestions=async attemptId=>{let data;try{data=await _ajax.default.call([{methodname:"local_agentdetect_get_attempt_slots",args:{attemptid:attemptId}}])[0]}catch(err){return void _log.default.error("[AgentDetect Badge] Failed to fetch question scores:",err)}data.slots.filter((slot=>slot.score>=40)).forEach((slot=>{const question=Array.from(document.querySelectorAll('.que[id^="question-"]')).find((element=>element.id.endsWith("-"+slot.slot))),info=question?question.querySelector(".info"):null;if(!info||info.querySelector(".agentdetect-slot-badge"))return;const badge=document.createElement("span");badge.className="agentdetect-slot-badge badge "+(slot.score>=70?"badge-danger":"badge-warning"),badge.textContent=M.util.get_string("review:slotscore","local_agentdetect",slot.score),badge.title=M.util.get_string("review:slotsignals","local_agentdetect",slot.anomalies.map((anomaly=>anomaly.name)).join(", ")),info.appendChild(badge),question.classList.add("agentdetect-slot-flagged")}))},fetchFlags=(userIds,contextId)=>_ajax.default.call([{methodname:"local_agentdetect_get_user_flags",args:{userids:userIds,contextid:contextId}}])[0],fetchAttemptFlags=attemptIds=>_ajax.default.call([{methodname:"local_agentdetect_get_attempt_flags",args:{attemptids:attemptIds}}])[0],appendBadge=(link,flag,config)=>{if(link.parentElement.querySelector(".agentdetect-badge"))return;const badgeLink=createBadge(flag,config);badgeLink&&link.parentElement.insertBefore(badgeLink,link.nextSibling)},createBadge=(flag,config)=>{const style=getBadgeStyle(flag);if(!style)return null;const reportUrl=config.reportUrl+"&userid="+flag.userid,badgeLink=document.createElement("a");badgeLink.href=reportUrl,badgeLink.style.marginLeft="4px",badgeLink.style.textDecoration="none";const img=document.createElement("img");return img.className="icon",img.style.width="16px",img.style.height="16px",badgeLink.appendChild(img),styleBadge(badgeLink,style),flag.attemptid&&attachPopover(badgeLink,flag,config),badgeLink};_exports.createBadge=createBadge;const getBadgeStyle=flag=>"agent_suspected"===flag.flagtype||"agent_confirmed"===flag.flagtype?{iconName:"i/warning",cssClass:"agentdetect-badge text-danger",tooltip:flag.flagtype.replace("_"," ")+" (score: "+flag.maxscore+")"}:"low_suspicion"===flag.flagtype?{iconName:"i/flagged",cssClass:"agentdetect-badge text-warning",tooltip:"Low suspicion (score: "+flag.maxscore+")"}:"likely_human"===flag.flagtype?{iconName:"i/checkedcircle",cssClass:"agentdetect-badge text-success",tooltip:"Likely human (score: "+flag.maxscore+")"}:null,styleBadge=(badgeLink,style)=>{const img=badgeLink.querySelector("img");badgeLink.className=style.cssClass,badgeLink.title=style.tooltip,img.src=M.util.image_url(style.iconName,"core"),img.alt=style.tooltip},attachPopover=(badgeLink,flag,config)=>{const content=document.createElement("div");content.className="agentdetect-popover small",content.style.minWidth="240px";const popover=new _popover.default(badgeLink,{title:getString("popover:title"),content:content,html:!0,sanitize:!1,trigger:"manual",placement:"auto",container:"body"});badgeLink.setAttribute("role","button"),badgeLink.setAttribute("aria-expanded","false");let shown=!1,pinned=!1,loaded=!1;const open={badgeLink:badgeLink,content:content,isPinned:()=>pinned},show=()=>{var attemptId;(shown||(popover.show(),shown=!0,badgeLink.setAttribute("aria-expanded","true"),openPopovers.add(open),listenForClose()),loaded)||(loaded=!0,content.textContent=getString("popover:loading"),(attemptId=flag.attemptid,details.has(attemptId)||details.set(attemptId,_ajax.default.call([{methodname:"local_agentdetect_get_attempt_detail",args:{attemptid:attemptId}}])[0]),details.get(attemptId)).then((detail=>(renderDetail(content,detail,badgeLink,flag,config),popover.update(),detail))).catch((err=>{_log.default.error("[AgentDetect Badge] Failed to fetch attempt detail:",err),content.textContent=getString("popover:failed"),details.delete(flag.attemptid),loaded=!1})))},hide=()=>{pinned=!1,shown&&(popover.hide(),shown=!1,badgeLink.setAttribute("aria-expanded","false"),openPopovers.delete(open))};open.hide=hide,badgeLink.addEventListener("mouseenter",show),badgeLink.addEventListener("mouseleave",(()=>{pinned||hide()})),badgeLink.addEventListener("click",(e=>{e.preventDefault(),pinned?hide():(pinned=!0,show())}))},listenForClose=()=>{listening||(listening=!0,document.addEventListener("keydown",(e=>{"Escape"===e.key&&openPopovers.forEach((open=>open.hide()))})),document.addEventListener("click",(e=>{openPopovers.forEach((open=>{const outside=!open.badgeLink.contains(e.target)&&!open.content.contains(e.target);(!open.badgeLink.isConnected||open.isPinned()&&outside)&&open.hide()}))})))},renderDetail=(content,detail,badgeLink,flag,config)=>{content.textContent="";const summary=document.createElement("div");if(summary.className="mb-2",detail.verdict){const[label,badgeClass]=VERDICT_BADGES[detail.verdict]||[null,"badge-secondary"],verdict=document.createElement("span");verdict.className="badge "+badgeClass+" mr-2",verdict.textContent=label?getString(label):detail.verdict,summary.appendChild(verdict)}if(summary.appendChild(document.createTextNode(getString("popover:highestscore",detail.maxscore))),content.appendChild(summary),appendHeading(content,getString("popover:timeline")),detail.timeline.length?content.appendChild(createTimeline(detail.timeline)):appendText(content,getString("popover:noreports")),appendHeading(content,getString("popover:signals")),detail.signals.length){const list=document.createElement("ul");list.className="pl-3 mb-2",detail.signals.forEach((signal=>{const item=document.createElement("li"),name=document.createElement("code");name.textContent=signal.name,item.appendChild(name),signal.explanation&&item.appendChild(document.createTextNode(" "+signal.explanation)),list.appendChild(item)})),content.appendChild(list)}else appendText(content,getString("popover:nosignals"));const notes=document.createElement("div");content.appendChild(notes);const showNotes=text=>{if(notes.textContent="",text){appendHeading(notes,getString("popover:notes"));appendText(notes,text).style.whiteSpace="pre-wrap"}};showNotes(detail.notes),detail.canmanage&&content.appendChild(createActions(detail,badgeLink,flag,showNotes));const report=document.createElement("a");report.href=config.reportUrl+"&userid="+detail.userid,report.textContent=getString("popover:fullreport"),content.appendChild(report)},createTimeline=timeline=>{const svgNs="http://www.w3.org/2000/svg",scores=timeline.map((point=>point.score)),last=Math.max(scores.length-1,1),points=(scores.length>1?scores:[scores[0],scores[0]]).map(((score,i)=>(100*i/last).toFixed(1)+","+(100-score))).join(" "),svg=document.createElementNS(svgNs,"svg");svg.setAttribute("viewBox","0 0 100 100"),svg.setAttribute("preserveAspectRatio","none"),svg.setAttribute("width","100%"),svg.setAttribute("height","40"),svg.setAttribute("role","img"),svg.setAttribute("aria-label",getString("popover:timelinelabel",{count:scores.length,min:Math.min(...scores),max:Math.max(...scores)})),svg.classList.add("d-block","mb-2","border");const line=document.createElementNS(svgNs,"polyline");return line.setAttribute("points",points),line.setAttribute("fill","none"),line.setAttribute("stroke","currentColor"),line.setAttribute("stroke-width","2"),line.setAttribute("vector-effect","non-scaling-stroke"),svg.appendChild(line),svg},createActions=(detail,badgeLink,flag,showNotes)=>{const actions=document.createElement("div");actions.className="my-2";const status=document.createElement("div");status.setAttribute("role","status");const noteForm=document.createElement("div");noteForm.className="mt-2",noteForm.hidden=!0;const textarea=document.createElement("textarea");textarea.className="form-control form-control-sm mb-1",textarea.rows=3,textarea.setAttribute("aria-label",getString("popover:addnote")),noteForm.appendChild(textarea);const update=(action,note="")=>(status.textContent="",((userId,contextId,action,note)=>_ajax.default.call([{methodname:"local_agentdetect_update_user_flag",args:{userid:userId,contextid:contextId,action:action,note:note}}])[0])(detail.userid,detail.contextid,action,note).then((result=>("note"!==action&&(flag.flagtype="confirm"===action?"agent_confirmed":"cleared",styleBadge(badgeLink,getBadgeStyle(flag)||{iconName:"i/checked",cssClass:"agentdetect-badge text-muted",tooltip:getString("popover:cleared")}),badgeLink.dispatchEvent(new CustomEvent(FLAG_UPDATED_EVENT,{bubbles:!0,detail:flag}))),showNotes(result.notes),status.textContent=getString(ACTION_DONE[action]),result))).catch((err=>{_log.default.error("[AgentDetect Badge] Failed to update flag:",err),status.textContent=getString("popover:actionfailed")}))),confirmButton=createButton(getString("popover:confirm"),"btn-danger",(()=>update("confirm"))),clearButton=createButton(getString("popover:clear"),"btn-secondary",(()=>update("clear"))),noteButton=createButton(getString("popover:addnote"),"btn-link",(()=>{noteForm.hidden=!noteForm.hidden,noteForm.hidden||textarea.focus()})),saveButton=createButton(getString("popover:savenote"),"btn-primary",(()=>{const note=textarea.value.trim();note&&update("note",note).then((()=>(textarea.value="",noteForm.hidden=!0,null)))}));return noteForm.appendChild(saveButton),noteButton.hidden=!detail.hasflag,actions.append(confirmButton,clearButton,noteButton,noteForm,status),actions},createButton=(label,btnClass,onClick)=>{const button=document.createElement("button");return button.type="button",button.className="btn btn-sm "+btnClass+" mr-1",button.textContent=label,button.addEventListener("click",onClick),button},appendHeading=(parent,text)=>{const heading=document.createElement("div");heading.className="font-weight-bold",heading.textContent=text,parent.appendChild(heading)},appendText=(parent,text)=>{const paragraph=document.createElement("p");return paragraph.className="mb-2",paragraph.textContent=text,parent.appendChild(paragraph),paragraph},getString=(key,a)=>M.util.get_string(key,"local_agentdetect",a)}));
 //# sourceMappingURL=quiz_badge.min.js.map
\ No newline at end of file
@@ -0,0 +1,41 @@
+define("local_agentdetect/recording",["exports","local_agentdetect/builtin_detectors","local_agentdetect/comet","local_agentdetect/detector","local_agentdetect/fingerprint","local_agentdetect/injection","local_agentdetect/interaction","local_agentdetect/registry","local_agentdetect/scoring_profile"],(function(_exports,BuiltinDetectors,Comet,Detector,Fingerprint,Injection,Interaction,Registry,ScoringProfile){function _interopRequireWildcard(e,t){if("function"==typeof WeakMap)var r=new WeakMap,n=new WeakMap;return(_interopRequireWildcard=function(e,t){if(!t&&e&&e.__esModule)return e;var o,i,f={__proto__:null,default:e};if(null===e||"object"!=typeof e&&"function"!=typeof e)return f;if(o=t?n:r){if(o.has(e))return o.get(e);o.set(e,f)}for(const t in e)"default"!==t&&{}.hasOwnProperty.call(e,t)&&((i=(o=Object.defineProperty)&&Object.getOwnPropertyDescriptor(e,t))&&(i.get||i.set)?o(f,t,i):f[t]=e[t]);return f})(e,t)}
+/**
+   * Session recording and offline replay.
+   *
+   * Records what the interaction and injection detectors see on a page, and
+   * replays a recording through them under a fake clock, so the analysis and
+   * combined score come out as they did live. A disputed flag can then be
+   * re-scored under a different scoring profile, or kept as a regression
+   * fixture.
+   *
+   * A recording covers one page load. It is a JSON object:
+   *
+   * - version: FORMAT_VERSION.
+   * - startTime, duration: when recording started (ms since the epoch) and for how long (ms).
+   * - page: {path, attempt, viewport}; attempt is the quiz attempt ID, 0 off attempt pages.
+   * - fingerprint: Fingerprint.collect() results at export time.
+   * - targets: event targets as {tagName, id, className, type, question}; question is the
+   *   id of the enclosing quiz question container, if any.
+   * - scan: the page as the injection detector's initial scan saw it (Injection.describeScan()).
+   * - events: [{t, type, isTrusted, ...}] with t in ms since startTime. Mouse and pointer events
+   *   carry x, y, screenX, screenY, movementX, movementY and target (an index into targets), clicks
+   *   also the target's rect and detail and pointer events the pointerType, pointerId, pressure,
+   *   width, height and buttons. Touch events carry target and touches, the changed touches as
+   *   {id, x, y, radiusX, radiusY, force}. Key events carry key, hand (Interaction.getKeyHand())
+   *   and target, scrolls scrollX and scrollY, focus events target. Paste, drop, beforeinput and
+   *   input events carry target and the inputType, size and length of Interaction.describeInput(),
+   *   copy and cut events target and the source and size of Interaction.describeCopy(), and
+   *   visibilitychange events hidden, whether the page was hidden. The window's own blur and focus
+   *   events carry nothing more. Type 'mutation' carries changes as Injection.describeMutation()
+   *   gives them.
+   * - truncated: whether events were dropped after MAX_EVENTS.
+   *
+   * Typed characters are not recorded, only that a character key was pressed and with which hand,
+   * nor is the text of answers or of what was copied, only its length. Answers set by a script
+   * without an event, and events in editor frames, are not recorded.
+   *
+   * @module     local_agentdetect/recording
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.stop=_exports.start=_exports.replay=_exports.exportRecording=_exports.default=_exports.MAX_EVENTS=_exports.FORMAT_VERSION=_exports.FORMAT_HISTORY=void 0,BuiltinDetectors=_interopRequireWildcard(BuiltinDetectors),Comet=_interopRequireWildcard(Comet),Detector=_interopRequireWildcard(Detector),Fingerprint=_interopRequireWildcard(Fingerprint),Injection=_interopRequireWildcard(Injection),Interaction=_interopRequireWildcard(Interaction),Registry=_interopRequireWildcard(Registry),ScoringProfile=_interopRequireWildcard(ScoringProfile);const FORMAT_VERSION=_exports.FORMAT_VERSION=6,FORMAT_HISTORY=_exports.FORMAT_HISTORY=[{version:1,changes:"Mouse, pointer, key, scroll, focus and mutation events."},{version:2,changes:"Touch and pointerup events; pointer events carry pointerId, pressure, width, height and buttons."},{version:3,changes:"Key events carry hand."},{version:4,changes:"Paste, drop, beforeinput and input events, with their inputType, isTrusted, size and length."},{version:5,changes:"Events carry isTrusted, mouse and pointer events screen and movement coordinates, clicks detail."},{version:6,changes:"Copy, cut and visibilitychange events, and blur and focus events of the window."}],MAX_EVENTS=_exports.MAX_EVENTS=1e5,LISTENERS=[["mousemove",!1],["click",!0],["mousedown",!0],["mouseup",!0],["mouseover",!1],["mouseout",!1],["keydown",!0],["keyup",!0],["scroll",!1],["focusin",!1],["focusout",!1],["pointerdown",!0],["pointermove",!1],["pointerup",!0],["touchstart",!0],["touchmove",!0],["touchend",!0],["touchcancel",!0],["paste",!0],["drop",!0],["beforeinput",!0],["input",!0],["visibilitychange",!1],["copy",!0],["cut",!0]],WINDOW_LISTENERS=["scroll","blur","focus"],HAND_KEYS={left:"KeyF",right:"KeyJ",space:"Space"};let recording=null,targetIndexes=null,observer=null;const start=()=>{if(recording)return;const attemptInput=document.querySelector('#responseform input[name="attempt"]');recording={version:FORMAT_VERSION,startTime:Date.now(),page:{path:window.location.pathname+window.location.search,attempt:attemptInput&&parseInt(attemptInput.value,10)||0,viewport:{width:window.innerWidth,height:window.innerHeight}},targets:[],scan:compactScan(Injection.describeScan()),events:[],truncated:!1},targetIndexes=new WeakMap,LISTENERS.forEach((([type,capture])=>{document.addEventListener(type,handleEvent,{capture:capture,passive:!0})})),WINDOW_LISTENERS.forEach((type=>{window.addEventListener(type,handleEvent,{passive:!0})})),observer=new MutationObserver(handleMutations),observer.observe(document.body,Injection.OBSERVER_OPTIONS)};_exports.start=start;const stop=()=>{LISTENERS.forEach((([type,capture])=>{document.removeEventListener(type,handleEvent,{capture:capture})})),WINDOW_LISTENERS.forEach((type=>{window.removeEventListener(type,handleEvent)})),observer&&(observer.disconnect(),observer=null)};_exports.stop=stop;const exportRecording=async()=>{if(!recording)return null;const fingerprint=await Fingerprint.collect();return JSON.parse(JSON.stringify({...recording,duration:Date.now()-recording.startTime,fingerprint:fingerprint}))};_exports.exportRecording=exportRecording;const replay=(source,options={})=>{if(!source||source.version!==FORMAT_VERSION||!Array.isArray(source.events))throw new Error("Unsupported recording version: "+(source?source.version:source));Registry.getNames().length||BuiltinDetectors.registerAll();const previousProfile=ScoringProfile.getProfile();options.profile&&ScoringProfile.setProfile(options.profile);const realNow=Date.now;let now=source.startTime;Date.now=()=>now;try{Interaction.stopMonitoring(),Injection.stopMonitoring(),Interaction.reset(),Injection.reset(),source.scan&&Injection.processScan(source.scan);const targets=(source.targets||[]).map(createTarget),attempt=source.page?.attempt||0;for(const event of source.events)now=source.startTime+event.t,"mutation"===event.type?event.changes.forEach(Injection.processMutation):Interaction.replayEvent(event.type,createEvent(event,targets),attempt);now=source.startTime+(source.duration||0);const fingerprint=source.fingerprint||{signals:[]},results={fingerprint:{...fingerprint,score:Fingerprint.calculateFingerprintScore(fingerprint)},interaction:Interaction.analyze(),injection:Injection.analyze()};results.comet=Comet.analyze(results);const combinedScore=Detector.calculateCombinedScore(results);return{...results,combinedScore:combinedScore,verdict:ScoringProfile.getVerdict(combinedScore),profileVersion:ScoringProfile.getVersion()}}finally{Date.now=realNow,options.profile&&ScoringProfile.setProfile(previousProfile)}};_exports.replay=replay;const handleEvent=e=>{const event={t:Date.now()-recording.startTime,type:e.type,isTrusted:e.isTrusted};if("scroll"===e.type?(event.scrollX=window.scrollX,event.scrollY=window.scrollY):event.target=getTargetIndex(e.target),"number"==typeof e.clientX&&(event.x=e.clientX,event.y=e.clientY,event.screenX=e.screenX,event.screenY=e.screenY,event.movementX=e.movementX,event.movementY=e.movementY),"click"===e.type&&e.target.getBoundingClientRect){const rect=e.target.getBoundingClientRect();event.rect={left:rect.left,top:rect.top,width:rect.width,height:rect.height},event.detail=e.detail}e.type.startsWith("pointer")&&(event.pointerType=e.pointerType,event.pointerId=e.pointerId,event.pressure=e.pressure,event.width=e.width,event.height=e.height,event.buttons=e.buttons),e.type.startsWith("touch")&&(event.touches=Array.from(e.changedTouches||[],(touch=>({id:touch.identifier,x:touch.clientX,y:touch.clientY,radiusX:touch.radiusX,radiusY:touch.radiusY,force:touch.force})))),e.type.startsWith("key")&&(event.key=e.key&&1===e.key.length?"char":e.key,event.hand=Interaction.getKeyHand(e.code)),["paste","drop","beforeinput","input"].includes(e.type)&&Object.assign(event,Interaction.describeInput(e)),["copy","cut"].includes(e.type)&&Object.assign(event,Interaction.describeCopy(e)),"visibilitychange"===e.type&&(event.hidden="hidden"===document.visibilityState),addEvent(event)},handleMutations=mutations=>{const changes=[];for(const mutation of mutations)for(const change of Injection.describeMutation(mutation))"added"===change.kind?changes.push({...change,descendants:change.descendants.filter((snapshot=>!snapshot.moodle))}):change.node.moodle||changes.push(change);changes.length&&addEvent({t:Date.now()-recording.startTime,type:"mutation",changes:changes})},addEvent=event=>{recording.events.length>=MAX_EVENTS?recording.truncated=!0:recording.events.push(event)},compactScan=scan=>({elements:scan.elements.filter((snapshot=>!snapshot.moodle)),resources:scan.resources}),getTargetIndex=element=>{if(!element||!element.tagName)return null;if(!targetIndexes.has(element)){const question=element.closest('.que[id^="question-"]');targetIndexes.set(element,recording.targets.length),recording.targets.push({tagName:element.tagName,id:element.id||"",className:"string"==typeof element.className?element.className:element.getAttribute("class")||"",type:element.type||"",question:question?question.id:null})}return targetIndexes.get(element)},createTarget=descriptor=>{const question=descriptor.question?{id:descriptor.question}:null;return{tagName:descriptor.tagName,id:descriptor.id,className:descriptor.className,type:descriptor.type,rect:{left:0,top:0,width:0,height:0},getBoundingClientRect(){return this.rect},closest:()=>question}},createEvent=(event,targets)=>{const target=null===event.target||void 0===event.target?null:targets[event.target];return target&&event.rect&&(target.rect=event.rect),{type:event.type,target:target,clientX:event.x,clientY:event.y,screenX:event.screenX,screenY:event.screenY,movementX:event.movementX,movementY:event.movementY,detail:event.detail,key:event.key,code:HAND_KEYS[event.hand],pointerType:event.pointerType,pointerId:event.pointerId,pressure:event.pressure,width:event.width,height:event.height,buttons:event.buttons,changedTouches:(event.touches||[]).map((touch=>({identifier:touch.id,clientX:touch.x,clientY:touch.y,radiusX:touch.radiusX,radiusY:touch.radiusY,force:touch.force}))),scrollX:event.scrollX,scrollY:event.scrollY,inputType:event.inputType,isTrusted:event.isTrusted,size:event.size,length:event.length,source:event.source,hidden:event.hidden}};_exports.default={FORMAT_VERSION:FORMAT_VERSION,FORMAT_HISTORY:FORMAT_HISTORY,MAX_EVENTS:MAX_EVENTS,start:start,stop:stop,exportRecording:exportRecording,replay:replay}}));
+//# sourceMappingURL=recording.min.js.map
\ No newline at end of file
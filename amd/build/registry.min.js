@@ -0,0 +1,36 @@
+define("local_agentdetect/registry",["exports","core/log"],(function(_exports,_log){var obj;
+/**
+   * Detector registry.
+   *
+   * Detection modules register themselves here with a name, a start/stop
+   * lifecycle, an async analyze() and a scoring contribution. The main
+   * detector orchestrates whatever is registered, so adding a detector
+   * (including one shipped by another plugin) does not require editing
+   * the orchestrator or the combined-score formula.
+   *
+   * A detector definition looks like:
+   *
+   *     {
+   *         name: 'mydetector',               // Key of this detector's result in the report payload.
+   *         start: (options) => {},           // Optional. Called when detection starts.
+   *         stop: () => {},                   // Optional. Called on shutdown.
+   *         analyze: async(results) => ({score: 0}), // Receives results of detectors registered before it.
+   *         unloadData: () => ({}),           // Optional. Synchronous data merged into the unload beacon.
+   *         scoring: {mode: 'boost', tiers: [{min: 50, add: 25}]},
+   *     }
+   *
+   * Scoring modes:
+   * - 'base': the detector's score is the starting point of the combined score
+   *   (the highest base score wins when several are registered).
+   * - 'boost': the first tier whose `min` the score reaches is applied. A tier
+   *   may raise the running score to a `floor` and then `add` to it. Tiers set
+   *   for the detector's name in the scoring profile take precedence over the
+   *   definition's own.
+   * - 'none': the detector is reported but does not affect the combined score.
+   *
+   * @module     local_agentdetect/registry
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.unregister=_exports.stopAll=_exports.startAll=_exports.register=_exports.isRunning=_exports.hasFailed=_exports.getNames=_exports.getDetectors=_exports.get=_exports.default=_exports.collectUnloadData=_exports.analyzeAll=void 0,_log=(obj=_log)&&obj.__esModule?obj:{default:obj};const detectors=new Map,failed=new Set;let runningOptions=null;const register=definition=>{definition&&definition.name&&"function"==typeof definition.analyze?(detectors.has(definition.name)&&unregister(definition.name),detectors.set(definition.name,{scoring:{mode:"none"},...definition}),runningOptions&&startDetector(detectors.get(definition.name),runningOptions)):_log.default.warn("[AgentDetect] Ignoring invalid detector definition",definition)};_exports.register=register;const unregister=name=>{const detector=detectors.get(name);detector&&(runningOptions&&stopDetector(detector),detectors.delete(name),failed.delete(name))};_exports.unregister=unregister;const get=name=>detectors.get(name)||null;_exports.get=get;const getDetectors=()=>Array.from(detectors.values());_exports.getDetectors=getDetectors;const getNames=()=>Array.from(detectors.keys());_exports.getNames=getNames;const hasFailed=name=>failed.has(name);_exports.hasFailed=hasFailed;const isRunning=()=>null!==runningOptions;_exports.isRunning=isRunning;const startAll=function(){let options=arguments.length>0&&void 0!==arguments[0]?arguments[0]:{};runningOptions=options;for(const detector of detectors.values())startDetector(detector,options)};_exports.startAll=startAll;const stopAll=()=>{for(const detector of detectors.values())stopDetector(detector);runningOptions=null};_exports.stopAll=stopAll;const analyzeAll=async()=>{const results={};for(const detector of detectors.values())try{results[detector.name]=await detector.analyze(results)}catch(error){_log.default.error(`[AgentDetect] Detector "${detector.name}" failed to analyze`,error)}return results};_exports.analyzeAll=analyzeAll;const collectUnloadData=()=>{const data={};for(const detector of detectors.values())if("function"==typeof detector.unloadData)try{Object.assign(data,detector.unloadData())}catch(error){}return data};_exports.collectUnloadData=collectUnloadData;const startDetector=(detector,options)=>{if("function"==typeof detector.start)try{detector.start(options),failed.delete(detector.name)}catch(error){failed.add(detector.name),_log.default.error(`[AgentDetect] Detector "${detector.name}" failed to start`,error)}},stopDetector=detector=>{if("function"==typeof detector.stop)try{detector.stop()}catch(error){_log.default.error(`[AgentDetect] Detector "${detector.name}" failed to stop`,error)}};var _default={register:register,unregister:unregister,get:get,getDetectors:getDetectors,getNames:getNames,hasFailed:hasFailed,isRunning:isRunning,startAll:startAll,stopAll:stopAll,analyzeAll:analyzeAll,collectUnloadData:collectUnloadData};return _exports.default=_default,_exports.default}));
+
+//# sourceMappingURL=registry.min.js.map
\ No newline at end of file
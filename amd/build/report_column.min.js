@@ -0,0 +1,18 @@
+define("local_agentdetect/report_column",["exports","core/ajax","core/log","local_agentdetect/quiz_badge"],(function(_exports,_ajax,_log,_quiz_badge){function _interopRequireDefault(obj){return obj&&obj.__esModule?obj:{default:obj}}
+/**
+   * Agent detection column of the quiz report.
+   *
+   * Adds a column after the student's name to the attempts table of the
+   * quiz overview and responses reports, with the flag of each attempt:
+   * its own where the detector ran in it, and otherwise the student's flag
+   * for the quiz. The column sorts the attempts on the page by flag, and a
+   * filter above the table hides those not flagged. The quiz report offers
+   * plugins no way to add columns on the server, so the column is added
+   * here, and added again whenever the table is re-rendered.
+   *
+   * @module     local_agentdetect/report_column
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.refresh=_exports.init=_exports.getAttemptId=_exports.destroy=void 0,_ajax=_interopRequireDefault(_ajax),_log=_interopRequireDefault(_log);const SEVERITY={agent_confirmed:5,agent_suspected:4,low_suspicion:3,likely_human:2,cleared:1},FLAGGED=["agent_confirmed","agent_suspected"],DOWNLOAD_FORMATS=["csv","excel"],ARIA_SORT={1:"descending",0:"none","-1":"ascending"},flags=new Map;let config=null,observer=null,root=null,refreshTimer=null,sortDirection=0,flaggedOnly=!1;_exports.init=cfg=>(config=cfg,flaggedOnly=readFilter(),root=document.querySelector('[role="main"]')||document.body,observer=new MutationObserver((()=>{clearTimeout(refreshTimer),refreshTimer=setTimeout(refresh,100)})),document.addEventListener(_quiz_badge.FLAG_UPDATED_EVENT,handleFlagUpdated),refresh());_exports.destroy=()=>{observer&&observer.disconnect(),clearTimeout(refreshTimer),document.removeEventListener(_quiz_badge.FLAG_UPDATED_EVENT,handleFlagUpdated),observer=null,root=null,config=null,flags.clear(),sortDirection=0};const handleFlagUpdated=e=>{e.detail&&e.detail.attemptid&&flags.has(e.detail.attemptid)&&refresh()},refresh=async()=>{const table=document.querySelector("table.quizattemptsreport");if(!table)return void observe();withoutObserving((()=>addColumn(table)));const missing=getAttemptRows(table).map(getAttemptId).filter((attemptId=>!flags.has(attemptId)));if(missing.length)try{await fetchFlags(missing)}catch(err){_log.default.error("[AgentDetect Column] Failed to fetch flags:",err)}const current=document.querySelector("table.quizattemptsreport");current&&withoutObserving((()=>{addColumn(current),fillColumn(current),applySort(current),applyFilter(current)}))};_exports.refresh=refresh;const withoutObserving=callback=>{observer&&observer.disconnect();try{callback()}finally{observe()}},observe=()=>{observer&&root&&observer.observe(root,{childList:!0,subtree:!0})},fetchFlags=attemptIds=>{const requests=[];for(let i=0;i<attemptIds.length;i+=1e3)requests.push({methodname:"local_agentdetect_get_quiz_flags",args:{cmid:config.cmid,attemptids:attemptIds.slice(i,i+1e3)}});return Promise.all(_ajax.default.call(requests)).then((batches=>(attemptIds.forEach((attemptId=>flags.set(attemptId,null))),batches.flat().forEach((flag=>{flags.set(flag.attemptid,"attempt"===flag.source?flag:{...flag,attemptid:0})})),batches)))},addColumn=table=>{const headerRow=table.tHead?table.tHead.rows[0]:null;if(!headerRow)return;let header=headerRow.querySelector(".agentdetect-column");if(!header){header=createHeader();const index=getNameColumnIndex(headerRow);headerRow.insertBefore(header,headerRow.cells[index+1]||null)}const index=header.cellIndex;Array.from(table.tBodies).forEach((body=>{Array.from(body.rows).forEach((row=>{if(row.querySelector(".agentdetect-column"))return;void 0===row.dataset.agentdetectOrder&&(row.dataset.agentdetectOrder=row.sectionRowIndex);row.insertCell(Math.min(index,row.cells.length)).className="agentdetect-column cell"}))})),addToolbar(table)},getNameColumnIndex=headerRow=>{const cells=Array.from(headerRow.cells),index=cells.findIndex((cell=>cell.querySelector('a[href*="tsort=firstname"], a[href*="tsort=lastname"]')));return-1===index?cells.length-1:index},createHeader=()=>{const header=document.createElement("th");header.className="agentdetect-column header",header.scope="col";const button=document.createElement("button");return button.type="button",button.className="btn btn-link p-0 font-weight-bold",button.textContent=getString("column:heading"),button.title=getString("column:sort"),button.addEventListener("click",(()=>{sortDirection=1===sortDirection?-1:sortDirection+1,withoutObserving((()=>applySort(header.closest("table"))))})),header.appendChild(button),header},addToolbar=table=>{const anchor=table.closest(".no-overflow")||table;if(anchor.previousElementSibling&&anchor.previousElementSibling.classList.contains("agentdetect-toolbar"))return;const toolbar=document.createElement("div");toolbar.className="agentdetect-toolbar d-flex flex-wrap align-items-center my-2";const filter=document.createElement("div");filter.className="form-check mr-3";const checkbox=document.createElement("input");checkbox.type="checkbox",checkbox.className="form-check-input",checkbox.id="agentdetect-flaggedonly",checkbox.checked=flaggedOnly,checkbox.addEventListener("change",(()=>{flaggedOnly=checkbox.checked,saveFilter(flaggedOnly);const current=document.querySelector("table.quizattemptsreport");current&&withoutObserving((()=>applyFilter(current)))}));const label=document.createElement("label");if(label.className="form-check-label",label.htmlFor=checkbox.id,label.textContent=getString("column:flaggedonly"),filter.append(checkbox,label),toolbar.appendChild(filter),config.downloadUrl){const download=document.createElement("span");download.textContent=getString("column:download")+": ",DOWNLOAD_FORMATS.forEach(((format,i)=>{const link=document.createElement("a");link.href=config.downloadUrl+"&dataformat="+format,link.textContent=M.util.get_string("dataformat","dataformat_"+format),i&&download.appendChild(document.createTextNode(" | ")),download.appendChild(link)})),toolbar.appendChild(download)}anchor.parentElement.insertBefore(toolbar,anchor)},fillColumn=table=>{getAttemptRows(table).forEach((row=>{const attemptId=getAttemptId(row),flag=flags.get(attemptId),cell=row.querySelector("td.agentdetect-column"),state=flag?flag.flagtype+":"+flag.maxscore:"";if(!cell||cell.dataset.agentdetectState===state)return;if(cell.dataset.agentdetectState=state,!flag)return void(cell.textContent="");let label=cell.querySelector(".agentdetect-label");if(label||(label=document.createElement("span"),label.className="agentdetect-label","attempt"!==flag.source&&(label.classList.add("text-muted"),label.title=getString("column:sourceuser")),cell.appendChild(label)),label.textContent=getString("flagtype:"+flag.flagtype)+" ("+flag.maxscore+")",!cell.querySelector(".agentdetect-badge")){const badge=(0,_quiz_badge.createBadge)(flag,config);badge&&cell.appendChild(badge)}}))},applySort=table=>{const header=table.querySelector("th.agentdetect-column");header&&header.setAttribute("aria-sort",ARIA_SORT[sortDirection]),Array.from(table.tBodies).forEach((body=>{const rows=Array.from(body.rows),order=row=>Number(row.dataset.agentdetectOrder)||0,attempts=rows.filter((row=>getAttemptId(row))).sort(((a,b)=>{const difference=getSortValue(b)-getSortValue(a);return sortDirection&&difference?sortDirection*difference:order(a)-order(b)})),others=rows.filter((row=>!getAttemptId(row))).sort(((a,b)=>order(a)-order(b))),sorted=attempts.concat(others);sorted.some(((row,i)=>row!==rows[i]))&&sorted.forEach((row=>body.appendChild(row)))}))},getSortValue=row=>{const flag=flags.get(getAttemptId(row));return flag?1e3*(SEVERITY[flag.flagtype]||0)+flag.maxscore:-1},applyFilter=table=>{getAttemptRows(table).forEach((row=>{const flag=flags.get(getAttemptId(row));row.classList.toggle("d-none",flaggedOnly&&!(flag&&FLAGGED.includes(flag.flagtype)))}))},getAttemptRows=table=>Array.from(table.tBodies).flatMap((body=>Array.from(body.rows))).filter((row=>getAttemptId(row))),getAttemptId=row=>{const review=row.querySelector('a[href*="mod/quiz/review.php"]');if(!review)return 0;const url=new URL(review.href,window.location.origin);return parseInt(url.searchParams.get("attempt"),10)||0};_exports.getAttemptId=getAttemptId;const readFilter=()=>{try{return"1"===window.sessionStorage.getItem("agentdetect_flaggedonly_"+config.cmid)}catch(e){return!1}},saveFilter=on=>{try{window.sessionStorage.setItem("agentdetect_flaggedonly_"+config.cmid,on?"1":"0")}catch(e){}},getString=key=>M.util.get_string(key,"local_agentdetect")}));
+
+//# sourceMappingURL=report_column.min.js.map
\ No newline at end of file
@@ -0,0 +1,24 @@
+define("local_agentdetect/report_delta",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.reset=_exports.encode=_exports.diff=_exports.default=_exports.apply=_exports.SNAPSHOT_INTERVAL=_exports.ITEMS_KEY=void 0;
+/**
+   * Delta encoding for periodic analysis reports.
+   *
+   * The first report of a detection session is sent in full; later ones only
+   * carry what changed since the previous report, as a JSON merge patch
+   * (RFC 7396): changed values replace old ones, null removes a key, and nested
+   * objects are patched key by key. Lists of uniquely named objects, such as
+   * anomalies and injection signals, are patched item by item under ITEMS_KEY
+   * instead of being re-sent whole.
+   *
+   * Every report carries a revision; a delta also names the revision it
+   * applies to. The server rebuilds the full report from these in
+   * \local_agentdetect\report_delta, and asks for a full snapshot (see reset())
+   * when it cannot. A full snapshot also goes out every SNAPSHOT_INTERVAL
+   * reports, so a lost report never costs more than that.
+   *
+   * @module     local_agentdetect/report_delta
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const STORAGE_KEY="agentdetect_report_base";_exports.ITEMS_KEY="$items";_exports.SNAPSHOT_INTERVAL=20;let base=null;const encode=(sessionId,data)=>{const previous=load(sessionId),current=JSON.parse(JSON.stringify(data)),revision=previous?previous.revision+1:1;let report,deltas=0;return previous&&previous.deltas<20?(report={revision:revision,baseRevision:previous.revision,delta:diff(previous.data,current)},deltas=previous.deltas+1):report={...current,revision:revision},save({sessionId:sessionId,revision:revision,data:current,deltas:deltas}),report};_exports.encode=encode;const reset=()=>{save(null)};_exports.reset=reset;const diff=(previous,next)=>{if(isNamedList(previous)&&isNamedList(next))return diffItems(previous,next);if(!isObject(previous)||!isObject(next))return next;const patch={};return Object.keys(previous).forEach((key=>{key in next||(patch[key]=null)})),Object.keys(next).forEach((key=>{isEqual(previous[key],next[key])||(patch[key]=key in previous?diff(previous[key],next[key]):next[key])})),patch};_exports.diff=diff;const apply=(target,patch)=>{if(!isObject(patch))return patch;if(1===Object.keys(patch).length&&"$items"in patch)return applyItems(Array.isArray(target)?target:[],patch.$items);const result=isObject(target)?{...target}:{};return Object.keys(patch).forEach((key=>{null===patch[key]?delete result[key]:result[key]=apply(result[key],patch[key])})),result};_exports.apply=apply;const diffItems=(previous,next)=>{const items={};next.forEach((item=>{const old=previous.find((candidate=>candidate.name===item.name));isEqual(old,item)||(items[item.name]=item)})),previous.forEach((item=>{next.some((candidate=>candidate.name===item.name))||(items[item.name]=null)}));const patch={$items:items};return isEqual(apply(previous,patch),next)?patch:next},applyItems=(list,items)=>{const result=[...list];return Object.keys(items).forEach((name=>{const index=result.findIndex((item=>isObject(item)&&item.name===name));null===items[name]?index>=0&&result.splice(index,1):index>=0?result[index]=items[name]:result.push(items[name])})),result},isObject=value=>null!==value&&"object"==typeof value&&!Array.isArray(value),isNamedList=value=>Array.isArray(value)&&value.every((item=>isObject(item)&&"string"==typeof item.name))&&new Set(value.map((item=>item.name))).size===value.length,isEqual=(a,b)=>{if(a===b)return!0;if(Array.isArray(a)&&Array.isArray(b))return a.length===b.length&&a.every(((item,index)=>isEqual(item,b[index])));if(isObject(a)&&isObject(b)){const keys=Object.keys(a);return keys.length===Object.keys(b).length&&keys.every((key=>key in b&&isEqual(a[key],b[key])))}return!1},load=sessionId=>{if(!base)try{base=JSON.parse(sessionStorage.getItem(STORAGE_KEY))}catch(e){base=null}return base&&base.sessionId===sessionId&&Number.isInteger(base.revision)?base:null},save=value=>{base=value;try{value?sessionStorage.setItem(STORAGE_KEY,JSON.stringify(value)):sessionStorage.removeItem(STORAGE_KEY)}catch(e){}};var _default={ITEMS_KEY:"$items",SNAPSHOT_INTERVAL:20,encode:encode,reset:reset,diff:diff,apply:apply};return _exports.default=_default,_exports.default}));
+
+//# sourceMappingURL=report_delta.min.js.map
\ No newline at end of file
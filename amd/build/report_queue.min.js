@@ -0,0 +1,29 @@
+define("local_agentdetect/report_queue",["exports","core/log"],(function(_exports,_log){var e;
+/**
+   * Persistent retry queue for signal reports.
+   *
+   * Every report goes through the queue, which is kept in sessionStorage so it
+   * survives navigation and is flushed again on the next page load. Reports
+   * are sent strictly in order, in batches of consecutive reports for the same
+   * context: once a batch fails, later ones wait behind it, so the server never
+   * sees a sequence number out of order. Failed sends are retried with
+   * exponential backoff.
+   *
+   * Entries look like {id, args, key, attempts, queuedAt}, where args are the
+   * report_signals web service arguments (also accepted by beacon.php), id
+   * identifies the signed payload, so the same report is never queued twice,
+   * and key is the key of the channel the report was signed with. Keeping the
+   * key in sessionStorage gives nothing away: the page it was issued to
+   * already handed it to every script running there.
+   *
+   * Reports dropped when the queue is full have already been given sequence
+   * numbers, so the server would see a gap. The next queued report on the same
+   * channel carries the number dropped before it in args.dropped, and is signed
+   * again since the signature covers that count. The server records the count
+   * with the gap.
+   *
+   * @module     local_agentdetect/report_queue
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.size=_exports.init=_exports.getRetryDelay=_exports.flush=_exports.enqueue=_exports.drain=_exports.default=_exports.clear=_exports.MAX_ENTRIES=_exports.MAX_DELAY=_exports.BATCH_SIZE=_exports.BASE_DELAY=void 0,_log=(e=_log)&&e.__esModule?e:{default:e};const STORAGE_KEY="agentdetect_report_queue",MAX_ENTRIES=_exports.MAX_ENTRIES=25,BATCH_SIZE=_exports.BATCH_SIZE=10,BASE_DELAY=_exports.BASE_DELAY=2e3,MAX_DELAY=_exports.MAX_DELAY=6e4;let entries=[],sender=null,signer=null,retryTimer=null,failures=0,flushing=!1;const init=(send,sign)=>(sender=send,signer=sign,entries=load(),failures=0,entries.length);_exports.init=init;const enqueue=(id,args,key)=>{if(entries.some((entry=>entry.id===id)))return!1;if(entries.push({id:id,args:args,key:key,attempts:0,queuedAt:Date.now()}),entries.length>MAX_ENTRIES){const dropped=entries.splice(0,entries.length-MAX_ENTRIES);dropped.forEach(countDropped),_log.default.warn("[AgentDetect] Report queue full, dropped "+dropped.length+" oldest report(s)")}return save(),!0};_exports.enqueue=enqueue;const flush=async()=>{if(!flushing&&!retryTimer&&sender){flushing=!0;try{for(;entries.length;){const batch=getNextBatch();try{if(!await sender(batch))return batch.forEach((entry=>entry.attempts++)),save(),void scheduleRetry()}catch(error){_log.default.error("[AgentDetect] Dropping "+batch.length+" report(s) that cannot be delivered:",error)}entries=entries.filter((queued=>!batch.includes(queued))),failures=0,save()}}finally{flushing=!1}}};_exports.flush=flush;const drain=(sendBeacon,following=[])=>!!sendBeacon([...entries.map((entry=>entry.args)),...following])&&(entries=[],save(),!0);_exports.drain=drain;const getRetryDelay=failed=>Math.min(BASE_DELAY*Math.pow(2,Math.max(failed-1,0)),MAX_DELAY);_exports.getRetryDelay=getRetryDelay;const size=()=>entries.length;_exports.size=size;const clear=()=>{retryTimer&&(clearTimeout(retryTimer),retryTimer=null),entries=[],failures=0,save()};_exports.clear=clear;const getNextBatch=()=>{const[first]=entries,batch=[];for(const entry of entries){if(batch.length>=BATCH_SIZE||entry.args.contextid!==first.args.contextid||entry.args.sesskey!==first.args.sesskey)break;batch.push(entry)}return batch},countDropped=dropped=>{const next=entries.find((entry=>entry.args.nonce===dropped.args.nonce));next&&(next.args.dropped=(next.args.dropped||0)+(dropped.args.dropped||0)+1,next.args.signature=signer(next.key,next.args))},scheduleRetry=()=>{failures++;const delay=getRetryDelay(failures);_log.default.debug("[AgentDetect] Report failed, retrying in "+delay+"ms ("+entries.length+" queued)"),retryTimer=setTimeout((()=>{retryTimer=null,flush()}),delay)},load=()=>{try{const stored=JSON.parse(sessionStorage.getItem(STORAGE_KEY));return Array.isArray(stored)?stored.filter((entry=>entry&&entry.id&&entry.args&&entry.key)):[]}catch(e){return[]}},save=()=>{for(let oldest=0;oldest<=entries.length;oldest++){const kept=entries.slice(oldest);try{return void(kept.length?sessionStorage.setItem(STORAGE_KEY,JSON.stringify(kept)):sessionStorage.removeItem(STORAGE_KEY))}catch(e){}}};_exports.default={MAX_ENTRIES:MAX_ENTRIES,BATCH_SIZE:BATCH_SIZE,BASE_DELAY:BASE_DELAY,MAX_DELAY:MAX_DELAY,init:init,enqueue:enqueue,flush:flush,drain:drain,getRetryDelay:getRetryDelay,size:size,clear:clear}}));
+//# sourceMappingURL=report_queue.min.js.map
\ No newline at end of file
@@ -0,0 +1,16 @@
+define("local_agentdetect/scoring_profile",["exports"],(function(_exports){Object.defineProperty(_exports,"__esModule",{value:!0}),_exports.weightOf=_exports.setProfile=_exports.getVersion=_exports.getVerdict=_exports.getProfile=_exports.getBoostTiers=_exports.default=_exports.DEFAULT_PROFILE=void 0;
+/**
+   * Scoring profile.
+   *
+   * Holds the verdict bands, boost tiers, Comet tier lists and per-signal
+   * weight overrides used to score a session. The server sends the profile
+   * configured in the plugin settings (see \local_agentdetect\scoring_profile)
+   * to detector.init(); until then the built-in defaults below apply.
+   *
+   * @module     local_agentdetect/scoring_profile
+   * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+   * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+   */
+const DEFAULT_PROFILE={version:1,threshold:70,bands:[{min:80,verdict:"HIGH_CONFIDENCE_AGENT"},{min:60,verdict:"PROBABLE_AGENT"},{min:40,verdict:"SUSPICIOUS"},{min:20,verdict:"LOW_SUSPICION"}],boosts:{fingerprint:[{min:70,add:30},{min:40,add:15},{min:20,add:5}],injection:[{min:50,add:25},{min:25,add:15},{min:10,add:5}],comet:[{min:70,floor:80,add:10},{min:40,add:15},{min:20,add:5}]},comet:{definitive:["comet_overlay_js","comet.extension.script_injected","comet.extension.resource_probe","comet_agent_src","network.perplexity_agent"],definitivePrefixes:["comet.runtime."],tier1Weighted:["comet.ultra_precise_center","comet.low_mouse_to_action_ratio","comet.low_per_page_mouse_ratio"],tier1MinWeight:10,tier1Any:["comet.zero_keystrokes"],tier2Prefixes:["comet."]},weights:{}};_exports.DEFAULT_PROFILE=DEFAULT_PROFILE;let profile=DEFAULT_PROFILE;const setProfile=serverProfile=>{profile=serverProfile?{...DEFAULT_PROFILE,...serverProfile,boosts:{...DEFAULT_PROFILE.boosts,...serverProfile.boosts||{}},comet:{...DEFAULT_PROFILE.comet,...serverProfile.comet||{}},weights:{...serverProfile.weights||{}}}:DEFAULT_PROFILE};_exports.setProfile=setProfile;const getProfile=()=>profile;_exports.getProfile=getProfile;const getVersion=()=>profile.version;_exports.getVersion=getVersion;const getVerdict=score=>{const band=profile.bands.find((b=>score>=b.min));return band?band.verdict:"LIKELY_HUMAN"};_exports.getVerdict=getVerdict;const getBoostTiers=name=>profile.boosts[name]||null;_exports.getBoostTiers=getBoostTiers;const weightOf=signal=>{const override=profile.weights[signal.name];return"number"==typeof override?override:signal.weight||signal.maxWeight||0};_exports.weightOf=weightOf;var _default={DEFAULT_PROFILE:DEFAULT_PROFILE,setProfile:setProfile,getProfile:getProfile,getVersion:getVersion,getVerdict:getVerdict,getBoostTiers:getBoostTiers,weightOf:weightOf};return _exports.default=_default,_exports.default}));
+
+//# sourceMappingURL=scoring_profile.min.js.map
\ No newline at end of file
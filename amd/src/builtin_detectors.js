@@ -0,0 +1,172 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Registration of the detectors shipped with this plugin.
+ *
+ * @module     local_agentdetect/builtin_detectors
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as Registry from 'local_agentdetect/registry';
+import * as Fingerprint from 'local_agentdetect/fingerprint';
+import * as Interaction from 'local_agentdetect/interaction';
+import * as Injection from 'local_agentdetect/injection';
+import * as Comet from 'local_agentdetect/comet';
+
+/**
+ * Detection modules that can be switched on and off, as detection_modules::SETTINGS on the server.
+ *
+ * Every module but the extension resource probe is a detector of the same name.
+ *
+ * @type {Array<string>}
+ */
+export const MODULES = ['fingerprint', 'interaction', 'injection', 'comet', 'extensionprobe'];
+
+/**
+ * Modules that run inside another module's detector, and the modules they need.
+ *
+ * @type {Object<string, {detector: string, requires: Array<string>}>}
+ */
+const HOSTED_MODULES = {
+    extensionprobe: {detector: 'fingerprint', requires: ['fingerprint', 'comet']},
+};
+
+/**
+ * Manifest status of each module, as detection_modules::STATUS_* on the server.
+ *
+ * @type {Object<string, string>}
+ */
+export const STATUS = {
+    RAN: 'ran',
+    DISABLED: 'disabled',
+    FAILED: 'failed',
+};
+
+/**
+ * Whether a module is switched on.
+ *
+ * @param {Object<string, boolean>} modules Module switches; modules left out are on.
+ * @param {string} module Module name.
+ * @returns {boolean}
+ */
+const isEnabled = (modules, module) => {
+    const requires = HOSTED_MODULES[module]?.requires || [];
+    return [module, ...requires].every((name) => modules[name] !== false);
+};
+
+/**
+ * Register the built-in detectors of the modules that are switched on.
+ *
+ * Registration order matters: Comet derives its signals from the
+ * fingerprint, interaction and injection results, so it comes last.
+ *
+ * @param {Object<string, boolean>} modules Module switches from the server; modules left out are on.
+ * @returns {void}
+ */
+export const registerAll = (modules = {}) => {
+    // Fingerprint is a bonus - only helps when it detects something.
+    // This catches headless browsers, automation tools with webdriver flag, etc.
+    // Modern extension-based AI tools won't trigger fingerprint, and that's OK.
+    if (isEnabled(modules, 'fingerprint')) {
+        Registry.register({
+            name: 'fingerprint',
+            analyze: () => Fingerprint.collect({
+                comet: isEnabled(modules, 'comet'),
+                extensionProbe: isEnabled(modules, 'extensionprobe'),
+            }),
+            scoring: {mode: 'boost'}, // Tiers come from the scoring profile.
+        });
+    }
+
+    // Interaction is the base score - it catches both:
+    // 1. Automated agents (teleport clicks, superhuman speed)
+    // 2. Human-driven AI usage (tab switches, copy-paste patterns, pauses)
+    if (isEnabled(modules, 'interaction')) {
+        Registry.register({
+            name: 'interaction',
+            start: (options) => Interaction.startMonitoring({
+                contextId: options.contextId,
+                accommodation: options.accommodation,
+            }),
+            stop: () => Interaction.stopMonitoring(),
+            analyze: () => Interaction.analyze(),
+            unloadData: () => {
+                // Save interaction events to sessionStorage for cross-page accumulation.
+                Interaction.saveToSessionStorage();
+                return {
+                    interaction: Interaction.analyze(),
+                    duration: Date.now() - (Interaction.getRawData().startTime || Date.now()),
+                };
+            },
+            scoring: {mode: 'base'},
+        });
+    }
+
+    // Injection detection adds to the score - catches AI helper extensions.
+    // This is direct evidence of tools being present on the page.
+    if (isEnabled(modules, 'injection')) {
+        Registry.register({
+            name: 'injection',
+            start: (options) => Injection.startMonitoring({debug: options.debug}),
+            stop: () => Injection.stopMonitoring(),
+            analyze: () => Injection.analyze(),
+            scoring: {mode: 'boost'}, // Tiers come from the scoring profile.
+        });
+    }
+
+    // Comet agentic mode signals — definitive category.
+    if (isEnabled(modules, 'comet')) {
+        Registry.register({
+            name: 'comet',
+            analyze: (results) => Comet.analyze(results),
+            scoring: {mode: 'boost'}, // Tiers come from the scoring profile.
+        });
+    }
+};
+
+/**
+ * Build the manifest of which modules ran, for a report.
+ *
+ * A module is disabled when it, or a module it needs, is switched off, and
+ * failed when it is on but its detector is not registered, did not start,
+ * or left no result in the report.
+ *
+ * @param {Object<string, boolean>} modules Module switches from the server; modules left out are on.
+ * @param {Object|null} results Detector results of the report, or null for a report without them.
+ * @returns {Object<string, string>} Status of each module, by module name.
+ */
+export const getManifest = (modules = {}, results = null) => {
+    const manifest = {};
+    for (const module of MODULES) {
+        const detector = HOSTED_MODULES[module]?.detector || module;
+        if (!isEnabled(modules, module)) {
+            manifest[module] = STATUS.DISABLED;
+        } else if (!Registry.get(detector) || Registry.hasFailed(detector) || (results && !results[detector])) {
+            manifest[module] = STATUS.FAILED;
+        } else {
+            manifest[module] = STATUS.RAN;
+        }
+    }
+    return manifest;
+};
+
+export default {
+    MODULES,
+    STATUS,
+    registerAll,
+    getManifest,
+};
@@ -0,0 +1,153 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Comet agentic mode detection.
+ *
+ * Derives a Comet-specific summary from the results of the fingerprint,
+ * interaction and injection detectors.
+ *
+ * @module     local_agentdetect/comet
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as ScoringProfile from 'local_agentdetect/scoring_profile';
+
+/**
+ * Extract Comet-specific signals from all detection sub-modules.
+ *
+ * @param {Object} fingerprint Fingerprint results.
+ * @param {Object} interaction Interaction analysis results.
+ * @param {Object} injection Injection analysis results.
+ * @returns {Object} Comet detection summary with signals and score.
+ */
+export const extractSignals = (fingerprint = {}, interaction = {}, injection = {}) => {
+    const signals = [];
+
+    // From fingerprint: Comet extension probing, runtime artifacts, and webdriver change.
+    if (fingerprint.cometExtension) {
+        signals.push(...(fingerprint.cometExtension.signals || []));
+    }
+    if (fingerprint.cometRuntime) {
+        signals.push(...(fingerprint.cometRuntime.signals || []));
+    }
+    if (fingerprint.perplexityNetwork) {
+        signals.push(...(fingerprint.perplexityNetwork.signals || []));
+    }
+    // Webdriver mid-session change (debugger attachment).
+    const webdriverChange = (fingerprint.webdriver?.signals || []).find(
+        (s) => s.name === 'webdriver.changed_mid_session'
+    );
+    if (webdriverChange) {
+        signals.push(webdriverChange);
+    }
+
+    // From interaction: comet-prefixed anomalies.
+    const cometAnomalies = (interaction.anomalies || []).filter(
+        (a) => a.name.startsWith('comet.')
+    );
+    signals.push(...cometAnomalies);
+
+    // From injection: Comet-specific findings.
+    const cometInjections = (injection.signals || []).filter(
+        (s) => s.name.includes('comet') || s.name.includes('perplexity') ||
+               s.name.includes('npclhjbddhklpbnacpjloidibaggcgon')
+    );
+    signals.push(...cometInjections);
+
+    return {
+        detected: signals.length > 0,
+        signalCount: signals.length,
+        signals,
+        score: calculateCometScore(signals),
+    };
+};
+
+/**
+ * Analyze the results of earlier detectors for Comet agentic mode.
+ *
+ * @param {Object} results Detector results keyed by detector name.
+ * @returns {Object} Comet detection summary with signals and score.
+ */
+export const analyze = (results = {}) => {
+    return extractSignals(results.fingerprint, results.interaction, results.injection);
+};
+
+/**
+ * Calculate Comet agentic mode score from extracted signals.
+ *
+ * Uses a tiered approach: Tier 1 (physically-impossible) signals compound
+ * with Tier 2 (temporal/behavioral) signals. Temporal-only signals are
+ * capped to prevent false positives from normal quiz-taking behavior.
+ * The tier lists and signal weights come from the scoring profile.
+ * Ported to PHP as \local_agentdetect\scorer::score_comet(); keep both in step.
+ *
+ * @param {Array} signals Comet-specific signals.
+ * @returns {number} Score from 0-100.
+ */
+export const calculateCometScore = (signals) => {
+    if (signals.length === 0) {
+        return 0;
+    }
+
+    const tiers = ScoringProfile.getProfile().comet;
+    const totalWeight = signals.reduce((sum, s) => sum + ScoringProfile.weightOf(s), 0);
+
+    // Definitive signals = immediate high score (extension/runtime detection).
+    const hasDefinitiveSignal = signals.some((s) =>
+        tiers.definitive.includes(s.name) ||
+        tiers.definitivePrefixes.some((prefix) => s.name.startsWith(prefix))
+    );
+
+    if (hasDefinitiveSignal) {
+        return Math.min(100, 70 + totalWeight);
+    }
+
+    // Tier 1: physically-impossible signals (low false-positive risk).
+    // These indicate behaviour a human physically cannot produce. Weighted
+    // entries only count in their extreme variant (e.g. low_mouse_to_action_ratio
+    // at weight 10, movePerClick < 2).
+    const tier1 = signals.filter((s) =>
+        (tiers.tier1Weighted.includes(s.name) && s.weight >= tiers.tier1MinWeight) ||
+        tiers.tier1Any.includes(s.name)
+    );
+
+    // Tier 2: temporal/behavioral signals (higher false-positive risk).
+    // Action bursts, read-then-act, focus sequences — humans trigger these during quizzes.
+    const tier2 = signals.filter((s) =>
+        tiers.tier2Prefixes.some((prefix) => s.name.startsWith(prefix)) && !tier1.includes(s)
+    );
+
+    // Compounding requires at least 1 Tier 1 signal.
+    if (tier1.length >= 1 && tier2.length >= 2) {
+        // Strong fingerprint + behavioral confirmation.
+        return Math.min(100, totalWeight * 2);
+    }
+
+    if (tier1.length >= 1) {
+        // Tier 1 alone — moderate boost.
+        return Math.min(100, Math.round(totalWeight * 1.5));
+    }
+
+    // Temporal-only signals — cap the score to prevent false positives.
+    return Math.min(40, totalWeight);
+};
+
+export default {
+    analyze,
+    extractSignals,
+    calculateCometScore,
+};
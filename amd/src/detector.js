@@ -16,17 +16,20 @@
 /**
  * Main agent detection module.
  *
- * Orchestrates fingerprint and interaction detection, combines results,
- * and reports to the Moodle backend.
+ * Orchestrates the detectors in local_agentdetect/registry, combines
+ * their results, and reports to the Moodle backend.
  *
  * @module     local_agentdetect/detector
  * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
-import * as Fingerprint from 'local_agentdetect/fingerprint';
-import * as Interaction from 'local_agentdetect/interaction';
-import * as Injection from 'local_agentdetect/injection';
+import * as Registry from 'local_agentdetect/registry';
+import * as BuiltinDetectors from 'local_agentdetect/builtin_detectors';
+import * as ScoringProfile from 'local_agentdetect/scoring_profile';
+import * as Hmac from 'local_agentdetect/hmac';
+import * as ReportQueue from 'local_agentdetect/report_queue';
+import * as ReportDelta from 'local_agentdetect/report_delta';
 import Ajax from 'core/ajax';
 import Log from 'core/log';
 
@@ -38,12 +41,39 @@ import Log from 'core/log';
 let config = {
     enabled: true,
     reportInterval: 30000, // Ms - how often to report to server.
+    heartbeatInterval: 15000, // Ms - how often to tell the server the detector is still running.
     minReportScore: 10, // Minimum combined score to report.
     contextId: null,
     sessionKey: null,
     debug: false,
+    scoringProfile: null, // Versioned scoring profile from the plugin settings.
+    channel: null, // Per-page reporting channel {nonce, key} for signing reports.
+    accommodation: null, // Accommodation mode granted to the user here, if any.
+    modules: {}, // Detection modules switched on or off here; modules left out are on.
+    policy: null, // Detection policy of the activity {monitoring, sensitivity, reportInterval, threshold}.
 };
 
+/**
+ * Browser functions the heartbeat relies on, captured when this module loads.
+ *
+ * An agent that later replaces setTimeout or sendBeacon on the page does not
+ * stop the heartbeat; the server notices if it stops anyway.
+ *
+ * @type {Object}
+ */
+const native = {
+    setTimeout: window.setTimeout.bind(window),
+    clearTimeout: window.clearTimeout.bind(window),
+    sendBeacon: navigator.sendBeacon ? navigator.sendBeacon.bind(navigator) : null,
+};
+
+/**
+ * Signal type heartbeats are sent as.
+ *
+ * @type {string}
+ */
+const HEARTBEAT_TYPE = 'heartbeat';
+
 /**
  * Report timer reference.
  *
@@ -51,6 +81,34 @@ let config = {
  */
 let reportTimer = null;
 
+/**
+ * How long a queued report may wait for others to share its request (ms).
+ *
+ * @type {number}
+ */
+const COALESCE_DELAY = 5000;
+
+/**
+ * Pending coalesced flush timer.
+ *
+ * @type {number|null}
+ */
+let flushTimer = null;
+
+/**
+ * Heartbeat timer reference.
+ *
+ * @type {number|null}
+ */
+let heartbeatTimer = null;
+
+/**
+ * Number of heartbeats sent from this page.
+ *
+ * @type {number}
+ */
+let heartbeats = 0;
+
 /**
  * Session ID for this detection session.
  * Persisted in sessionStorage to survive page navigations within a quiz.
@@ -60,12 +118,34 @@ let reportTimer = null;
 let sessionId = null;
 
 /**
- * Maximum age (ms) for a reusable session ID from sessionStorage.
+ * Quiz attempt ID the session is keyed by, 0 outside quiz attempts.
+ *
+ * @type {number}
+ */
+let attemptId = 0;
+
+/**
+ * Maximum age (ms) for a reusable session ID from sessionStorage, outside quiz attempts.
  *
  * @type {number}
  */
 const SESSION_MAX_AGE = 30 * 60 * 1000; // 30 minutes.
 
+/**
+ * Body IDs of the quiz pages that belong to an attempt in progress.
+ *
+ * @type {string[]}
+ */
+const ATTEMPT_PAGES = ['page-mod-quiz-attempt', 'page-mod-quiz-summary'];
+
+/**
+ * Sequence number of the last report sent on this page's channel, per stream.
+ * Heartbeats are numbered separately so they never overtake a report in flight.
+ *
+ * @type {Object<string, number>}
+ */
+const sequences = {reports: 0, heartbeat: 0};
+
 /**
  * Whether detection has been initialized.
  *
@@ -93,35 +173,49 @@ export const init = async(options = {}) => {
         return;
     }
 
-    // Restore or generate session ID (persists across page loads within same tab).
-    sessionId = restoreOrCreateSessionId();
+    // Restore or generate session ID (persists across page loads within same tab), one per quiz attempt.
+    attemptId = getQuizAttemptId();
+    sessionId = restoreOrCreateSessionId(attemptId);
 
-    Log.debug('[AgentDetect] Initializing detection', {sessionId, config});
+    Log.debug('[AgentDetect] Initializing detection', {sessionId, attemptId, config});
 
-    // Start interaction monitoring with context for cross-page accumulation.
-    Interaction.startMonitoring({contextId: config.contextId});
+    ScoringProfile.setProfile(config.scoringProfile);
 
-    // Start injection detection (watches for AI helper UI injected by extensions).
-    Injection.startMonitoring({debug: config.debug});
+    // Retry reports that earlier pages could not deliver.
+    const restored = ReportQueue.init(sendQueuedReports, signArgs);
+    if (restored) {
+        Log.debug('[AgentDetect] Restored ' + restored + ' undelivered report(s)');
+        scheduleFlush();
+    }
+
+    // Register the built-in detectors that are switched on and start everything registered.
+    // Detectors from other plugins may register before or after this point.
+    BuiltinDetectors.registerAll(config.modules || {});
+    Registry.startAll({contextId: config.contextId, debug: config.debug, accommodation: config.accommodation});
 
     // Collect initial fingerprint.
-    const initialFingerprint = await Fingerprint.collect();
+    const fingerprintDetector = Registry.get('fingerprint');
+    const initialFingerprint = fingerprintDetector ? await fingerprintDetector.analyze({}) : null;
 
     if (config.debug) {
         Log.debug('[AgentDetect] Initial fingerprint:', initialFingerprint);
     }
 
-    // If fingerprint score is high, report immediately.
-    if (initialFingerprint.score >= config.minReportScore) {
-        await reportSignals({
+    // If fingerprint score is high, report it shortly, along with any restored reports.
+    if (initialFingerprint && initialFingerprint.score >= config.minReportScore) {
+        queueReport({
             type: 'fingerprint',
-            data: initialFingerprint,
+            data: {...initialFingerprint, profileVersion: ScoringProfile.getVersion(), attemptId: attemptId || null},
         });
+        scheduleFlush();
     }
 
     // Start periodic reporting.
     startPeriodicReporting();
 
+    // Let the server know the detector is still running.
+    startHeartbeat();
+
     // Report on page unload.
     window.addEventListener('beforeunload', handlePageUnload);
 
@@ -143,20 +237,42 @@ const generateSessionId = () => {
     return `${timestamp}-${random}`;
 };
 
+/**
+ * Get the quiz attempt the page belongs to.
+ *
+ * Only the attempt and summary pages count; the review page of a finished
+ * attempt is looked at by someone else as often as by the student.
+ *
+ * @returns {number} Attempt ID, 0 if this is not a page of a quiz attempt.
+ */
+export const getQuizAttemptId = () => {
+    if (!document.body || !ATTEMPT_PAGES.includes(document.body.id)) {
+        return 0;
+    }
+    const input = document.querySelector('form input[name="attempt"]');
+    const attempt = new URLSearchParams(window.location.search).get('attempt') || (input ? input.value : '');
+    return parseInt(attempt, 10) || 0;
+};
+
 /**
  * Restore session ID from sessionStorage or create a new one.
  * This allows the same session to span multiple page loads within a quiz.
  *
+ * A quiz attempt keeps its own session for as long as it lasts, so a long
+ * attempt is not split and two attempts in one tab are not merged. Other
+ * pages share a session for up to SESSION_MAX_AGE.
+ *
+ * @param {number} [attempt] Quiz attempt ID of the page, 0 if none.
  * @returns {string} Session ID.
  */
-const restoreOrCreateSessionId = () => {
-    const storageKey = 'agentdetect_session';
+const restoreOrCreateSessionId = (attempt = 0) => {
+    const storageKey = attempt ? 'agentdetect_session_attempt_' + attempt : 'agentdetect_session';
     try {
         const stored = sessionStorage.getItem(storageKey);
         if (stored) {
             const parsed = JSON.parse(stored);
             const age = Date.now() - (parsed.timestamp || 0);
-            if (age < SESSION_MAX_AGE && parsed.id) {
+            if ((attempt || age < SESSION_MAX_AGE) && parsed.id) {
                 Log.debug('[AgentDetect] Restored session ID from prior page', parsed.id);
                 return parsed.id;
             }
@@ -202,327 +318,352 @@ const stopPeriodicReporting = () => {
 };
 
 /**
- * Collect all signals and report to server.
+ * Start sending heartbeats.
  *
- * @returns {Promise<Object>} Combined analysis results.
+ * Uses a setTimeout chain rather than setInterval, through the functions
+ * captured at module load.
+ *
+ * @returns {void}
  */
-export const collectAndReport = async() => {
-    // Collect fingerprint.
-    const fingerprint = await Fingerprint.collect();
+const startHeartbeat = () => {
+    stopHeartbeat();
 
-    // Analyze interactions.
-    const interaction = Interaction.analyze();
+    const beat = () => {
+        sendHeartbeat();
+        heartbeatTimer = native.setTimeout(beat, config.heartbeatInterval);
+    };
+    beat();
+};
+
+/**
+ * Stop sending heartbeats.
+ *
+ * @returns {void}
+ */
+const stopHeartbeat = () => {
+    if (heartbeatTimer) {
+        native.clearTimeout(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+};
 
-    // Analyze injected content (AI helper extensions).
-    const injection = Injection.analyze();
+/**
+ * Send a single heartbeat.
+ *
+ * Goes through sendBeacon rather than Ajax.call, so overriding the latter
+ * does not silence it.
+ *
+ * @returns {void}
+ */
+const sendHeartbeat = () => {
+    heartbeats++;
+    sendBeaconReport(HEARTBEAT_TYPE, JSON.stringify({beat: heartbeats}));
+};
 
-    // Extract Comet agentic mode signals from all sub-modules.
-    const comet = extractCometSignals(fingerprint, interaction, injection);
+/**
+ * Collect all signals and report to server.
+ *
+ * @returns {Promise<Object>} Combined analysis results.
+ */
+export const collectAndReport = async() => {
+    // Run every registered detector; results are keyed by detector name.
+    const detectorResults = await Registry.analyzeAll();
 
     // Combine scores.
-    const combinedScore = calculateCombinedScore(fingerprint.score, interaction.score, injection.score, comet.score);
+    const combinedScore = calculateCombinedScore(detectorResults);
 
     const result = {
         sessionId,
+        attemptId: attemptId || null,
         timestamp: Date.now(),
         pageUrl: window.location.href,
         pageTitle: document.title,
-        fingerprint,
-        interaction,
-        injection,
-        comet,
+        ...detectorResults,
         combinedScore,
-        verdict: getVerdict(combinedScore),
-        detectedAgent: comet.detected ? 'comet_agentic' : null,
+        verdict: ScoringProfile.getVerdict(combinedScore),
+        detectedAgent: detectorResults.comet?.detected ? 'comet_agentic' : null,
+        profileVersion: ScoringProfile.getVersion(),
+        detectors: Registry.getNames(),
+        modules: BuiltinDetectors.getManifest(config.modules || {}, detectorResults),
     };
 
     if (config.debug) {
         Log.debug('[AgentDetect] Analysis result:', result);
     }
 
-    // Only report if score meets threshold.
+    // Only report if score meets threshold, sending only what changed since the last report.
     if (combinedScore >= config.minReportScore) {
-        await reportSignals({
+        queueReport({
             type: 'combined',
-            data: result,
+            data: ReportDelta.encode(sessionId, result),
         });
     }
 
+    // Send it together with anything queued since the last report.
+    await flushReports();
+
     return result;
 };
 
 /**
- * Calculate combined score from fingerprint, interaction, injection, and Comet signals.
+ * Calculate combined score from the results of all registered detectors.
  *
- * Interaction score is the primary signal (catches human-driven AI tool usage).
- * Injection score adds evidence of AI helper extensions being present.
- * Fingerprint score is a bonus when detected (catches automated headless browsers).
- * Comet score is a definitive category for Perplexity Comet agentic mode.
+ * Each detector declares how it contributes (see local_agentdetect/registry):
+ * the highest 'base' score is the starting point, then every 'boost'
+ * detector applies the first tier its score reaches, in registration order.
+ * Tiers come from the scoring profile, falling back to the detector's own.
+ * Ported to PHP as \local_agentdetect\scorer::combine(); keep both in step.
  *
- * @param {number} fingerprintScore Fingerprint score (0-100).
- * @param {number} interactionScore Interaction score (0-100).
- * @param {number} injectionScore Injection detection score (0-100).
- * @param {number} cometScore Comet agentic mode score (0-100).
+ * @param {Object} detectorResults Detector results keyed by detector name.
  * @returns {number} Combined score (0-100).
  */
-const calculateCombinedScore = (fingerprintScore, interactionScore, injectionScore = 0, cometScore = 0) => {
-    // Interaction is the base score - it catches both:
-    // 1. Automated agents (teleport clicks, superhuman speed)
-    // 2. Human-driven AI usage (tab switches, copy-paste patterns, pauses)
-    let score = interactionScore;
-
-    // Injection detection adds to the score - catches AI helper extensions.
-    // This is direct evidence of tools being present on the page.
-    if (injectionScore >= 50) {
-        // Strong injection signals - significant boost.
-        score = Math.min(100, score + 25);
-    } else if (injectionScore >= 25) {
-        // Moderate injection signals - modest boost.
-        score = Math.min(100, score + 15);
-    } else if (injectionScore >= 10) {
-        // Weak injection signals - small boost.
-        score = Math.min(100, score + 5);
-    }
+export const calculateCombinedScore = (detectorResults) => {
+    const detectors = Registry.getDetectors();
 
-    // Fingerprint is a bonus - only helps when it detects something.
-    // This catches headless browsers, automation tools with webdriver flag, etc.
-    // Modern extension-based AI tools won't trigger fingerprint, and that's OK.
-    if (fingerprintScore >= 70) {
-        // Strong automation fingerprint - significant boost.
-        score = Math.min(100, score + 30);
-    } else if (fingerprintScore >= 40) {
-        // Moderate fingerprint signals - modest boost.
-        score = Math.min(100, score + 15);
-    } else if (fingerprintScore >= 20) {
-        // Weak fingerprint signals - small boost.
-        score = Math.min(100, score + 5);
+    let score = 0;
+    for (const detector of detectors) {
+        if (detector.scoring.mode === 'base') {
+            score = Math.max(score, detectorResults[detector.name]?.score || 0);
+        }
     }
-    // If fingerprint is 0-19, no adjustment - interaction score stands alone.
-
-    // Comet agentic mode signals — definitive category.
-    // With tier-aware scoring, only real agents reach cometScore >= 70.
-    if (cometScore >= 70) {
-        // Strong Comet agentic evidence — ensure HIGH_CONFIDENCE.
-        score = Math.max(score, 80);
-        score = Math.min(100, score + 10);
-    } else if (cometScore >= 40) {
-        // Moderate Comet signals — modest boost.
-        score = Math.min(100, score + 15);
-    } else if (cometScore >= 20) {
-        // Weak Comet signals — small boost.
-        score = Math.min(100, score + 5);
+
+    for (const detector of detectors) {
+        if (detector.scoring.mode !== 'boost') {
+            continue;
+        }
+        const tiers = ScoringProfile.getBoostTiers(detector.name) || detector.scoring.tiers || [];
+        score = applyBoost(score, detectorResults[detector.name]?.score || 0, tiers);
     }
 
     return Math.round(score);
 };
 
 /**
- * Extract Comet-specific signals from all detection sub-modules.
+ * Apply the first boost tier reached by a detector score.
  *
- * @param {Object} fingerprint Fingerprint results.
- * @param {Object} interaction Interaction analysis results.
- * @param {Object} injection Injection analysis results.
- * @returns {Object} Comet detection summary with signals and score.
+ * @param {number} score Running combined score.
+ * @param {number} detectorScore The boosting detector's score (0-100).
+ * @param {Array<{min: number, add: number, floor: number}>} tiers Tiers, highest first.
+ * @returns {number} Updated combined score (0-100).
  */
-const extractCometSignals = (fingerprint, interaction, injection) => {
-    const signals = [];
-
-    // From fingerprint: Comet extension probing, runtime artifacts, and webdriver change.
-    if (fingerprint.cometExtension) {
-        signals.push(...(fingerprint.cometExtension.signals || []));
-    }
-    if (fingerprint.cometRuntime) {
-        signals.push(...(fingerprint.cometRuntime.signals || []));
+const applyBoost = (score, detectorScore, tiers) => {
+    const tier = tiers.find((t) => detectorScore >= t.min);
+    if (!tier) {
+        return score;
     }
-    if (fingerprint.perplexityNetwork) {
-        signals.push(...(fingerprint.perplexityNetwork.signals || []));
+    if (tier.floor) {
+        score = Math.max(score, tier.floor);
     }
-    // Webdriver mid-session change (debugger attachment).
-    const webdriverChange = (fingerprint.webdriver?.signals || []).find(
-        (s) => s.name === 'webdriver.changed_mid_session'
-    );
-    if (webdriverChange) {
-        signals.push(webdriverChange);
-    }
-
-    // From interaction: comet-prefixed anomalies.
-    const cometAnomalies = (interaction.anomalies || []).filter(
-        (a) => a.name.startsWith('comet.')
-    );
-    signals.push(...cometAnomalies);
-
-    // From injection: Comet-specific findings.
-    const cometInjections = (injection.signals || []).filter(
-        (s) => s.name.includes('comet') || s.name.includes('perplexity') ||
-               s.name.includes('npclhjbddhklpbnacpjloidibaggcgon')
-    );
-    signals.push(...cometInjections);
-
-    return {
-        detected: signals.length > 0,
-        signalCount: signals.length,
-        signals,
-        score: calculateCometScore(signals),
-    };
+    return Math.min(100, score + (tier.add || 0));
 };
 
 /**
- * Calculate Comet agentic mode score from extracted signals.
- *
- * Uses a tiered approach: Tier 1 (physically-impossible) signals compound
- * with Tier 2 (temporal/behavioral) signals. Temporal-only signals are
- * capped to prevent false positives from normal quiz-taking behavior.
+ * Sign a report and queue it for the next batch sent to the Moodle backend.
  *
- * @param {Array} signals Comet-specific signals.
- * @returns {number} Score from 0-100.
+ * @param {Object} payload Signal data to report.
+ * @returns {void}
  */
-const calculateCometScore = (signals) => {
-    if (signals.length === 0) {
-        return 0;
-    }
-
-    const totalWeight = signals.reduce((sum, s) => sum + (s.weight || s.maxWeight || 0), 0);
-
-    // Definitive signals = immediate high score (extension/runtime detection).
-    const hasDefinitiveSignal = signals.some((s) =>
-        s.name === 'comet_overlay_js' ||
-        s.name === 'comet.extension.script_injected' ||
-        s.name === 'comet.extension.resource_probe' ||
-        s.name === 'comet_agent_src' ||
-        s.name === 'network.perplexity_agent' ||
-        s.name.startsWith('comet.runtime.')
-    );
-
-    if (hasDefinitiveSignal) {
-        return Math.min(100, 70 + totalWeight);
+const queueReport = (payload) => {
+    if (!config.sessionKey) {
+        Log.warn('[AgentDetect] No session key configured, skipping report');
+        return;
     }
 
-    // Tier 1: physically-impossible signals (low false-positive risk).
-    // These indicate behaviour a human physically cannot produce.
-    const TIER1_WEIGHTED = [
-        'comet.ultra_precise_center', // Clicks land within 2px of center.
-        'comet.low_mouse_to_action_ratio', // Only the extreme variant (weight 10, movePerClick < 2).
-        'comet.low_per_page_mouse_ratio', // Per-page ratio consistently agent-like.
-    ];
-    const TIER1_ANY = [
-        'comet.zero_keystrokes', // Zero keystrokes across entire quiz.
-    ];
-    const tier1 = signals.filter((s) =>
-        (TIER1_WEIGHTED.includes(s.name) && s.weight >= 10) ||
-        TIER1_ANY.includes(s.name)
-    );
-
-    // Tier 2: temporal/behavioral signals (higher false-positive risk).
-    // Action bursts, read-then-act, focus sequences — humans trigger these during quizzes.
-    const tier2 = signals.filter((s) =>
-        s.name.startsWith('comet.') && !tier1.includes(s)
-    );
-
-    // Compounding requires at least 1 Tier 1 signal.
-    if (tier1.length >= 1 && tier2.length >= 2) {
-        // Strong fingerprint + behavioral confirmation.
-        return Math.min(100, totalWeight * 2);
+    if (!config.channel) {
+        Log.warn('[AgentDetect] No reporting channel configured, skipping report');
+        return;
     }
 
-    if (tier1.length >= 1) {
-        // Tier 1 alone — moderate boost.
-        return Math.min(100, Math.round(totalWeight * 1.5));
-    }
+    const args = signReport({
+        sesskey: config.sessionKey,
+        contextid: config.contextId,
+        sessionid: sessionId,
+        signaltype: payload.type,
+        signaldata: JSON.stringify(payload.data),
+    });
 
-    // Temporal-only signals — cap the score to prevent false positives.
-    return Math.min(40, totalWeight);
+    // Queued rather than sent, so that a report which fails is kept and retried in order.
+    ReportQueue.enqueue(args.nonce + ':' + args.sequence, args, config.channel.key);
 };
 
 /**
- * Get human-readable verdict from score.
+ * Flush the report queue within COALESCE_DELAY, unless something flushes it sooner.
  *
- * @param {number} score Combined score.
- * @returns {string} Verdict string.
+ * @returns {void}
  */
-const getVerdict = (score) => {
-    if (score >= 80) {
-        return 'HIGH_CONFIDENCE_AGENT';
-    } else if (score >= 60) {
-        return 'PROBABLE_AGENT';
-    } else if (score >= 40) {
-        return 'SUSPICIOUS';
-    } else if (score >= 20) {
-        return 'LOW_SUSPICION';
+const scheduleFlush = () => {
+    if (!flushTimer) {
+        flushTimer = setTimeout(flushReports, COALESCE_DELAY);
     }
-    return 'LIKELY_HUMAN';
 };
 
 /**
- * Report signals to the Moodle backend.
+ * Send every queued report now.
  *
- * @param {Object} payload Signal data to report.
  * @returns {Promise<void>}
  */
-const reportSignals = async(payload) => {
-    if (!config.sessionKey) {
-        Log.warn('[AgentDetect] No session key configured, skipping report');
-        return;
+const flushReports = async() => {
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
     }
+    await ReportQueue.flush();
+};
 
+/**
+ * Send a batch of queued reports to the server.
+ *
+ * @param {Array<Object>} batch Queue entries sharing a context and session key.
+ * @returns {Promise<boolean>} True once the server has answered, false if the request did not get through.
+ */
+const sendQueuedReports = async(batch) => {
+    const [{args: first}] = batch;
     try {
         const response = await Ajax.call([{
-            methodname: 'local_agentdetect_report_signals',
+            methodname: 'local_agentdetect_report_signals_batch',
             args: {
-                sesskey: config.sessionKey,
-                contextid: config.contextId,
-                sessionid: sessionId,
-                signaltype: payload.type,
-                signaldata: JSON.stringify(payload.data),
+                sesskey: first.sesskey,
+                contextid: first.contextid,
+                reports: batch.map(({args}) => ({
+                    sessionid: args.sessionid,
+                    signaltype: args.signaltype,
+                    signaldata: args.signaldata,
+                    nonce: args.nonce,
+                    sequence: args.sequence,
+                    signature: args.signature,
+                    dropped: args.dropped || 0,
+                })),
             },
         }])[0];
 
         if (config.debug) {
             Log.debug('[AgentDetect] Report response:', response);
         }
+
+        // The server could not rebuild a delta, so start again from a full report.
+        if (response.results && response.results.some((result) => result.resync)) {
+            ReportDelta.reset();
+        }
+        return true;
     } catch (error) {
-        Log.error('[AgentDetect] Failed to report signals:', error);
+        // Exceptions thrown by the server carry an error code and will not go away on retry.
+        if (error && error.errorcode) {
+            throw error;
+        }
+        Log.error('[AgentDetect] Failed to report signals, will retry:', error);
+        return false;
     }
 };
 
+/**
+ * Sign a report with the next sequence number on this page's channel.
+ *
+ * @param {Object} args Report arguments without nonce, sequence and signature.
+ * @returns {Object} The arguments with nonce, sequence, dropped and signature added.
+ */
+const signReport = (args) => {
+    // Must match report_channel::get_stream().
+    const stream = args.signaltype === HEARTBEAT_TYPE ? 'heartbeat' : 'reports';
+    const signed = {...args, nonce: config.channel.nonce, sequence: ++sequences[stream], dropped: 0};
+    signed.signature = signArgs(config.channel.key, signed);
+    return signed;
+};
+
+/**
+ * Compute the signature of report arguments.
+ *
+ * The signed message must match report_channel::build_message().
+ *
+ * @param {string} key Key of the channel the report was numbered on.
+ * @param {Object} args Report arguments, as for the report_signals web service.
+ * @returns {string} Hex HMAC-SHA256 signature.
+ */
+const signArgs = (key, args) => {
+    const message = [args.nonce, args.sequence, args.dropped || 0, args.sessionid, args.signaltype, args.signaldata];
+    return Hmac.hmacSha256(key, message.join('\n'));
+};
+
+/**
+ * Send a signed report to the beacon endpoint.
+ *
+ * @param {string} signaltype Signal type.
+ * @param {string} signaldata JSON-encoded signal data.
+ * @returns {boolean} Whether the browser queued the beacon.
+ */
+const sendBeaconReport = (signaltype, signaldata) => {
+    if (!native.sendBeacon || !config.sessionKey || !config.channel) {
+        return false;
+    }
+
+    return sendBeacon([signReport({
+        sesskey: config.sessionKey,
+        contextid: config.contextId,
+        sessionid: sessionId,
+        signaltype,
+        signaldata,
+    })]);
+};
+
+/**
+ * Post already signed reports to the beacon endpoint, which handles them in order.
+ *
+ * @param {Array<Object>} reports Report arguments, as for the report_signals web service.
+ * @returns {boolean} Whether the browser queued the beacon.
+ */
+const sendBeacon = (reports) => {
+    const url = M.cfg.wwwroot + '/local/agentdetect/beacon.php';
+    return native.sendBeacon(url, JSON.stringify(reports));
+};
+
 /**
  * Handle page unload - save state for cross-page continuity and send final report.
  *
  * @returns {void}
  */
 const handlePageUnload = () => {
-    // Save interaction events to sessionStorage for cross-page accumulation.
-    Interaction.saveToSessionStorage();
-
-    // Use sendBeacon for reliable delivery during unload.
-    if (navigator.sendBeacon && config.sessionKey) {
-        const interaction = Interaction.analyze();
-        const payload = {
-            sesskey: config.sessionKey,
-            contextid: config.contextId,
-            sessionid: sessionId,
-            signaltype: 'unload',
-            signaldata: JSON.stringify({
-                pageUrl: window.location.href,
-                pageTitle: document.title,
-                interaction,
-                duration: Date.now() - (Interaction.getRawData().startTime || Date.now()),
-            }),
-        };
-
-        const url = M.cfg.wwwroot + '/local/agentdetect/beacon.php';
-        navigator.sendBeacon(url, JSON.stringify(payload));
+    // Detectors persist cross-page state and hand back synchronous unload data.
+    const unloadData = Registry.collectUnloadData();
+
+    if (!config.sessionKey || !config.channel) {
+        return;
+    }
+
+    const report = signReport({
+        sesskey: config.sessionKey,
+        contextid: config.contextId,
+        sessionid: sessionId,
+        signaltype: 'unload',
+        signaldata: JSON.stringify({
+            pageUrl: window.location.href,
+            pageTitle: document.title,
+            attemptId: attemptId || null,
+            ...unloadData,
+            profileVersion: ScoringProfile.getVersion(),
+            modules: BuiltinDetectors.getManifest(config.modules || {}),
+        }),
+    });
+
+    // Use sendBeacon for reliable delivery during unload, undelivered reports and the unload report in
+    // one request so they arrive in order. If the browser will not take it, they wait for the next page.
+    if (!native.sendBeacon || !ReportQueue.drain(sendBeacon, [report])) {
+        ReportQueue.enqueue(report.nonce + ':' + report.sequence, report, config.channel.key);
     }
 };
 
 /**
  * Handle visibility change - report when tab loses focus.
  *
+ * How long the student stays away is timed by the interaction detector.
+ *
  * @returns {void}
  */
 const handleVisibilityChange = async() => {
     if (document.visibilityState === 'hidden') {
         // Tab lost focus - good time to report.
         await collectAndReport();
+    } else if (heartbeatTimer) {
+        // Timers in background tabs are throttled; beat straight away on return.
+        sendHeartbeat();
     }
 };
 
@@ -546,11 +687,17 @@ export const getStatus = () => {
     return {
         initialized,
         sessionId,
-        isMonitoring: Interaction.getRawData().isMonitoring,
+        attemptId,
+        isMonitoring: Registry.isRunning(),
+        detectors: Registry.getNames(),
+        modules: BuiltinDetectors.getManifest(config.modules || {}),
+        queuedReports: ReportQueue.size(),
         config: {
             enabled: config.enabled,
             reportInterval: config.reportInterval,
+            heartbeatInterval: config.heartbeatInterval,
             minReportScore: config.minReportScore,
+            policy: config.policy,
         },
     };
 };
@@ -562,8 +709,12 @@ export const getStatus = () => {
  */
 export const shutdown = () => {
     stopPeriodicReporting();
-    Interaction.stopMonitoring();
-    Injection.stopMonitoring();
+    stopHeartbeat();
+    if (flushTimer) {
+        clearTimeout(flushTimer);
+        flushTimer = null;
+    }
+    Registry.stopAll();
     window.removeEventListener('beforeunload', handlePageUnload);
     document.removeEventListener('visibilitychange', handleVisibilityChange);
     initialized = false;
@@ -574,6 +725,8 @@ export default {
     init,
     runAnalysis,
     getStatus,
+    getQuizAttemptId,
     shutdown,
     collectAndReport,
+    calculateCombinedScore,
 };
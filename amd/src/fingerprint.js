@@ -24,6 +24,8 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+import * as ScoringProfile from 'local_agentdetect/scoring_profile';
+
 /**
  * Comet agent extension ID (Perplexity's agentic browser).
  *
@@ -146,17 +148,23 @@ const DOM_MARKERS = [
 /**
  * Collect all technical fingerprint signals.
  *
+ * The Comet probes, and the extension resource probe among them, can be
+ * switched off; their sections are then null.
+ *
+ * @param {Object} options Probes to run.
+ * @param {boolean} options.comet Whether to probe for the Comet extension, runtime and network.
+ * @param {boolean} options.extensionProbe Whether the Comet probe may load extension resources.
  * @returns {Promise<Object>} Fingerprint data with detected signals and scores.
  */
-export const collect = async() => {
+export const collect = async({comet = true, extensionProbe = true} = {}) => {
     const signals = {
         timestamp: Date.now(),
         webdriver: detectWebdriver(),
         headless: detectHeadless(),
         extensions: await detectExtensions(),
-        cometExtension: await detectCometExtension(),
-        cometRuntime: detectCometRuntimeArtifacts(),
-        perplexityNetwork: detectPerplexityNetwork(),
+        cometExtension: comet ? await detectCometExtension(extensionProbe) : null,
+        cometRuntime: comet ? detectCometRuntimeArtifacts() : null,
+        perplexityNetwork: comet ? detectPerplexityNetwork() : null,
         globals: detectAutomationGlobals(),
         domMarkers: detectDomMarkers(),
         canvas: await collectCanvasFingerprint(),
@@ -427,9 +435,10 @@ const detectDomMarkers = () => {
  * Probes for the comet-agent extension by attempting to load known resources
  * and scanning the DOM for extension artifacts.
  *
+ * @param {boolean} probe Whether to try loading extension resources.
  * @returns {Promise<Object>} Comet extension detection results.
  */
-const detectCometExtension = async() => {
+const detectCometExtension = async(probe) => {
     const results = {
         detected: false,
         isAgentic: false,
@@ -485,7 +494,7 @@ const detectCometExtension = async() => {
     }
 
     // Probe extension resources via Image load.
-    if (!results.detected) {
+    if (!results.detected && probe) {
         const probeResult = await probeExtensionResource();
         if (probeResult) {
             results.detected = true;
@@ -764,29 +773,31 @@ const collectNavigatorInfo = () => {
 /**
  * Calculate overall fingerprint score.
  *
+ * Ported to PHP as \local_agentdetect\scorer::score_fingerprint(); keep both in step.
+ *
  * @param {Object} signals Collected signals.
  * @returns {number} Score from 0-100 (higher = more likely automated).
  */
-const calculateFingerprintScore = (signals) => {
+export const calculateFingerprintScore = (signals) => {
     let totalWeight = 0;
     let maxWeight = 0;
 
     // Aggregate all signal weights.
     const allSignals = [
-        ...(signals.webdriver.signals || []),
-        ...(signals.headless.signals || []),
-        ...(signals.extensions.signals || []),
+        ...(signals.webdriver?.signals || []),
+        ...(signals.headless?.signals || []),
+        ...(signals.extensions?.signals || []),
         ...(signals.cometExtension?.signals || []),
         ...(signals.cometRuntime?.signals || []),
         ...(signals.perplexityNetwork?.signals || []),
-        ...(signals.globals.signals || []),
-        ...(signals.domMarkers.signals || []),
-        ...(signals.canvas.anomalies || []),
-        ...(signals.webgl.anomalies || []),
+        ...(signals.globals?.signals || []),
+        ...(signals.domMarkers?.signals || []),
+        ...(signals.canvas?.anomalies || []),
+        ...(signals.webgl?.anomalies || []),
     ];
 
     for (const signal of allSignals) {
-        totalWeight += signal.weight || 0;
+        totalWeight += ScoringProfile.weightOf(signal);
         maxWeight += 10; // Max possible weight per signal.
     }
 
@@ -816,6 +827,7 @@ const hashString = async(str) => {
 
 export default {
     collect,
+    calculateFingerprintScore,
     KNOWN_EXTENSIONS,
     AUTOMATION_GLOBALS,
 };
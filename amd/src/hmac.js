@@ -0,0 +1,163 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Synchronous HMAC-SHA256.
+ *
+ * Reports are signed during page unload, where the asynchronous Web Crypto
+ * API cannot be awaited before sendBeacon(), and on plain-HTTP sites, where
+ * it is unavailable. Output matches PHP's hash_hmac('sha256', ...).
+ *
+ * @module     local_agentdetect/hmac
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * SHA-256 round constants.
+ *
+ * @type {Array<number>}
+ */
+const K = [
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+/**
+ * SHA-256 block size in bytes.
+ *
+ * @type {number}
+ */
+const BLOCK_SIZE = 64;
+
+/**
+ * Rotate a 32-bit word right.
+ *
+ * @param {number} x Word.
+ * @param {number} n Bits.
+ * @returns {number} Rotated word.
+ */
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+/**
+ * Compute the SHA-256 digest of a byte array.
+ *
+ * @param {Uint8Array} bytes Input.
+ * @returns {Uint8Array} 32-byte digest.
+ */
+export const sha256 = (bytes) => {
+    const bitLength = bytes.length * 8;
+    const paddedLength = Math.ceil((bytes.length + 9) / BLOCK_SIZE) * BLOCK_SIZE;
+    const padded = new Uint8Array(paddedLength);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const view = new DataView(padded.buffer);
+    view.setUint32(paddedLength - 4, bitLength >>> 0);
+    view.setUint32(paddedLength - 8, Math.floor(bitLength / 0x100000000));
+
+    const hash = [
+        0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+    ];
+    const w = new Array(64);
+
+    for (let offset = 0; offset < paddedLength; offset += BLOCK_SIZE) {
+        for (let i = 0; i < 16; i++) {
+            w[i] = view.getUint32(offset + i * 4);
+        }
+        for (let i = 16; i < 64; i++) {
+            const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+            const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+            w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+        }
+
+        let [a, b, c, d, e, f, g, h] = hash;
+        for (let i = 0; i < 64; i++) {
+            const s1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+            const ch = (e & f) ^ (~e & g);
+            const t1 = (h + s1 + ch + K[i] + w[i]) | 0;
+            const s0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+            const maj = (a & b) ^ (a & c) ^ (b & c);
+            const t2 = (s0 + maj) | 0;
+            h = g;
+            g = f;
+            f = e;
+            e = (d + t1) | 0;
+            d = c;
+            c = b;
+            b = a;
+            a = (t1 + t2) | 0;
+        }
+
+        hash[0] = (hash[0] + a) | 0;
+        hash[1] = (hash[1] + b) | 0;
+        hash[2] = (hash[2] + c) | 0;
+        hash[3] = (hash[3] + d) | 0;
+        hash[4] = (hash[4] + e) | 0;
+        hash[5] = (hash[5] + f) | 0;
+        hash[6] = (hash[6] + g) | 0;
+        hash[7] = (hash[7] + h) | 0;
+    }
+
+    const digest = new Uint8Array(32);
+    const digestView = new DataView(digest.buffer);
+    hash.forEach((word, i) => digestView.setUint32(i * 4, word >>> 0));
+    return digest;
+};
+
+/**
+ * Compute HMAC-SHA256 of a message.
+ *
+ * @param {string} key Secret key (UTF-8).
+ * @param {string} message Message (UTF-8).
+ * @returns {string} Lowercase hex signature.
+ */
+export const hmacSha256 = (key, message) => {
+    const encoder = new TextEncoder();
+    let keyBytes = encoder.encode(key);
+    if (keyBytes.length > BLOCK_SIZE) {
+        keyBytes = sha256(keyBytes);
+    }
+
+    const inner = new Uint8Array(BLOCK_SIZE);
+    const outer = new Uint8Array(BLOCK_SIZE);
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+        const k = keyBytes[i] || 0;
+        inner[i] = k ^ 0x36;
+        outer[i] = k ^ 0x5c;
+    }
+
+    const messageBytes = encoder.encode(message);
+    const innerInput = new Uint8Array(BLOCK_SIZE + messageBytes.length);
+    innerInput.set(inner);
+    innerInput.set(messageBytes, BLOCK_SIZE);
+    const innerHash = sha256(innerInput);
+
+    const outerInput = new Uint8Array(BLOCK_SIZE + innerHash.length);
+    outerInput.set(outer);
+    outerInput.set(innerHash, BLOCK_SIZE);
+
+    return Array.from(sha256(outerInput), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+export default {
+    sha256,
+    hmacSha256,
+};
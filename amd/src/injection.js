@@ -27,6 +27,7 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+import * as ScoringProfile from 'local_agentdetect/scoring_profile';
 import Log from 'core/log';
 
 /**
@@ -102,6 +103,18 @@ const FLOATING_UI_INDICATORS = {
     maxZIndex: 9000, // High z-index suggests overlay
 };
 
+/**
+ * What the MutationObserver watches.
+ *
+ * @type {Object}
+ */
+export const OBSERVER_OPTIONS = {
+    childList: true,
+    subtree: true,
+    attributes: true,
+    attributeFilter: ['class', 'id', 'src', 'href', 'style', 'data-comet', 'data-perplexity'],
+};
+
 /**
  * Storage for detected injections.
  *
@@ -157,12 +170,7 @@ export const startMonitoring = (options = {}) => {
 
     // Set up MutationObserver for future changes.
     observer = new MutationObserver(handleMutations);
-    observer.observe(document.body, {
-        childList: true,
-        subtree: true,
-        attributes: true,
-        attributeFilter: ['class', 'id', 'src', 'href', 'style', 'data-comet', 'data-perplexity'],
-    });
+    observer.observe(document.body, OBSERVER_OPTIONS);
 
     if (debugMode) {
         Log.debug('[AgentDetect/Injection] Monitoring started');
@@ -198,14 +206,7 @@ export const stopMonitoring = () => {
  * @returns {void}
  */
 const scanExistingDOM = () => {
-    // Scan all elements for suspicious patterns.
-    const allElements = document.body.querySelectorAll('*');
-    for (const element of allElements) {
-        analyzeElement(element, 'initial_scan');
-    }
-
-    // Look for chrome-extension:// resources.
-    scanExtensionResources();
+    processScan(describeScan());
 
     if (debugMode) {
         Log.debug('[AgentDetect/Injection] Initial scan complete', {
@@ -217,23 +218,85 @@ const scanExistingDOM = () => {
 };
 
 /**
- * Handle DOM mutations.
+ * Describe the page as the initial scan sees it.
  *
- * @param {MutationRecord[]} mutations List of mutations.
+ * @returns {Object} {elements, resources}: every element, described by describeElement(),
+ *     and the extension resources found by findExtensionResources().
+ */
+export const describeScan = () => ({
+    elements: Array.from(document.body.querySelectorAll('*'), describeElement),
+    resources: findExtensionResources(),
+});
+
+/**
+ * Check the page as described by describeScan().
+ *
+ * @param {Object} scan Page description.
  * @returns {void}
  */
+export const processScan = (scan) => {
+    // Scan all elements for suspicious patterns.
+    for (const snapshot of scan.elements) {
+        analyzeSnapshot(snapshot, 'initial_scan');
+    }
+
+    // Record chrome-extension:// resources.
+    for (const resource of scan.resources) {
+        detectionStore.chromeExtensionResources.push({
+            ...resource,
+            timestamp: Date.now(),
+        });
+    }
+};
+
 /**
- * Process a single added element node for extension injection signals.
+ * Describe what a DOM mutation changed.
  *
- * @param {Element} node The added element.
+ * @param {MutationRecord} mutation Mutation.
+ * @returns {Array<Object>} Changes: {kind: 'added', node, descendants} for each added element
+ *     and {kind: 'attribute', node} for a changed attribute, elements described by describeElement().
  */
-const processAddedNode = (node) => {
-    analyzeElement(node, 'mutation_added');
+export const describeMutation = (mutation) => {
+    if (mutation.type === 'attributes') {
+        return mutation.target.tagName ? [{kind: 'attribute', node: describeElement(mutation.target)}] : [];
+    }
+    if (mutation.type !== 'childList') {
+        return [];
+    }
+    return Array.from(mutation.addedNodes)
+        .filter((node) => node.nodeType === Node.ELEMENT_NODE)
+        .map((node) => ({
+            kind: 'added',
+            node: describeElement(node),
+            descendants: Array.from(node.querySelectorAll('*'), describeElement),
+        }));
+};
+
+/**
+ * Check a change described by describeMutation().
+ *
+ * @param {Object} change Change.
+ * @returns {void}
+ */
+export const processMutation = (change) => {
+    if (change.kind === 'added') {
+        processAddedElement(change.node, change.descendants || []);
+    } else if (change.kind === 'attribute') {
+        analyzeSnapshot(change.node, 'mutation_attribute');
+    }
+};
+
+/**
+ * Check an added element, described by describeElement(), and its descendants.
+ *
+ * @param {Object} snapshot The added element.
+ * @param {Array<Object>} descendants Its descendants.
+ */
+const processAddedElement = (snapshot, descendants) => {
+    analyzeSnapshot(snapshot, 'mutation_added');
 
     // Comet-specific: detect extension content script or resource injection.
-    const src = node.getAttribute ? (node.getAttribute('src') || '') : '';
-    const href = node.getAttribute ? (node.getAttribute('href') || '') : '';
-    const resourceUrl = src || href;
+    const resourceUrl = snapshot.attributes.src || snapshot.attributes.href || '';
 
     if (resourceUrl.includes('npclhjbddhklpbnacpjloidibaggcgon') ||
         resourceUrl.includes('chrome-extension://')) {
@@ -241,9 +304,9 @@ const processAddedNode = (node) => {
         detectionStore.injectedElements.push({
             timestamp: Date.now(),
             source: isComet ? 'comet_extension_injection' : 'chrome_extension_injection',
-            tagName: node.tagName,
-            id: node.id || null,
-            className: node.className || null,
+            tagName: snapshot.tagName,
+            id: snapshot.id || null,
+            className: snapshot.className || null,
             findings: [{
                 type: isComet ? 'comet_agentic' : 'extension',
                 name: isComet ? 'comet_overlay_js' : 'chrome_ext_injection',
@@ -252,18 +315,18 @@ const processAddedNode = (node) => {
             }],
         });
         if (debugMode) {
-            Log.debug('[AgentDetect/Injection] Extension resource injected', node.tagName, resourceUrl);
+            Log.debug('[AgentDetect/Injection] Extension resource injected', snapshot.tagName, resourceUrl);
         }
     }
 
     // Check for elements with shadow roots (common for extension UI).
-    if (node.shadowRoot) {
+    if (snapshot.shadowRoot) {
         detectionStore.injectedElements.push({
             timestamp: Date.now(),
             source: 'shadow_dom_injection',
-            tagName: node.tagName,
-            id: node.id || null,
-            className: node.className || null,
+            tagName: snapshot.tagName,
+            id: snapshot.id || null,
+            className: snapshot.className || null,
             findings: [{
                 type: 'shadow_dom',
                 name: 'injected_shadow_root',
@@ -273,40 +336,68 @@ const processAddedNode = (node) => {
     }
 
     // Also scan children of added nodes.
-    const children = node.querySelectorAll ? node.querySelectorAll('*') : [];
-    for (const child of children) {
-        analyzeElement(child, 'mutation_added_child');
+    for (const child of descendants) {
+        analyzeSnapshot(child, 'mutation_added_child');
     }
 };
 
+/**
+ * Handle DOM mutations.
+ *
+ * @param {MutationRecord[]} mutations List of mutations.
+ * @returns {void}
+ */
 const handleMutations = (mutations) => {
     for (const mutation of mutations) {
-        if (mutation.type === 'childList') {
-            for (const node of mutation.addedNodes) {
-                if (node.nodeType === Node.ELEMENT_NODE) {
-                    processAddedNode(node);
-                }
-            }
-        } else if (mutation.type === 'attributes') {
-            analyzeElement(mutation.target, 'mutation_attribute');
+        describeMutation(mutation).forEach(processMutation);
+    }
+};
+
+/**
+ * Describe an element by everything the injection checks look at.
+ *
+ * The checks only ever see these descriptions, so a session recorded
+ * by local_agentdetect/recording replays to the same findings.
+ *
+ * @param {Element} element Element to describe.
+ * @returns {Object} Description: tagName, id, className, attributes, text, shadowRoot, moodle and,
+ *     unless it is a Moodle element, floating (see checkFloatingUI()).
+ */
+export const describeElement = (element) => {
+    const attributes = {};
+    for (const name of ['class', 'id', 'src', 'href']) {
+        const value = element.getAttribute(name);
+        if (value) {
+            attributes[name] = value;
         }
     }
+
+    const snapshot = {
+        tagName: element.tagName,
+        id: element.id || '',
+        className: element.className?.toString() || '',
+        attributes,
+        // Text patterns are only matched on leaf nodes.
+        text: element.children.length === 0 ? element.textContent?.trim().substring(0, 200) || '' : '',
+        shadowRoot: Boolean(element.shadowRoot),
+        moodle: isMoodleElement(element),
+    };
+    if (!snapshot.moodle) {
+        snapshot.floating = checkFloatingUI(element);
+    }
+    return snapshot;
 };
 
 /**
- * Analyze a single element for suspicious patterns.
+ * Check an element described by describeElement() for suspicious patterns.
  *
- * @param {Element} element Element to analyze.
+ * @param {Object} snapshot Element description.
  * @param {string} source How this element was found.
  * @returns {void}
  */
-const analyzeElement = (element, source) => {
-    if (!element || !element.tagName) {
-        return;
-    }
-
+const analyzeSnapshot = (snapshot, source) => {
     // Skip Moodle's own elements (basic heuristic).
-    if (isMoodleElement(element)) {
+    if (snapshot.moodle) {
         return;
     }
 
@@ -314,7 +405,7 @@ const analyzeElement = (element, source) => {
 
     // Check element attributes against suspicious patterns.
     for (const pattern of SUSPICIOUS_ELEMENT_PATTERNS) {
-        const attrValue = element.getAttribute(pattern.attribute);
+        const attrValue = snapshot.attributes[pattern.attribute];
         if (attrValue && pattern.pattern.test(attrValue)) {
             findings.push({
                 type: 'element_pattern',
@@ -327,8 +418,8 @@ const analyzeElement = (element, source) => {
     }
 
     // Check text content for suspicious patterns.
-    const textContent = element.textContent?.trim().substring(0, 200) || '';
-    if (textContent && element.children.length === 0) { // Only leaf nodes
+    const textContent = snapshot.text;
+    if (textContent) {
         for (const pattern of SUSPICIOUS_TEXT_PATTERNS) {
             if (pattern.pattern.test(textContent)) {
                 findings.push({
@@ -342,7 +433,7 @@ const analyzeElement = (element, source) => {
     }
 
     // Check for floating UI (fixed/absolute positioned overlays).
-    const floatingInfo = checkFloatingUI(element);
+    const floatingInfo = snapshot.floating;
     if (floatingInfo) {
         findings.push({
             type: 'floating_ui',
@@ -353,7 +444,7 @@ const analyzeElement = (element, source) => {
     }
 
     // Check for shadow DOM (common in extension-injected UI).
-    if (element.shadowRoot) {
+    if (snapshot.shadowRoot) {
         findings.push({
             type: 'shadow_dom',
             name: 'injected_shadow_root',
@@ -366,9 +457,9 @@ const analyzeElement = (element, source) => {
         const detection = {
             timestamp: Date.now(),
             source: source,
-            tagName: element.tagName,
-            id: element.id || null,
-            className: element.className || null,
+            tagName: snapshot.tagName,
+            id: snapshot.id || null,
+            className: snapshot.className || null,
             findings: findings,
         };
 
@@ -474,19 +565,17 @@ const isMoodleElement = (element) => {
 };
 
 /**
- * Scan for chrome-extension:// or moz-extension:// resources.
+ * Find chrome-extension:// or moz-extension:// resources.
  *
- * @returns {void}
+ * @returns {Array<Object>} Resources as {type, src}.
  */
-const scanExtensionResources = () => {
+const findExtensionResources = () => {
+    const resources = [];
+
     // Check images.
     const images = document.querySelectorAll('img[src^="chrome-extension://"], img[src^="moz-extension://"]');
     for (const img of images) {
-        detectionStore.chromeExtensionResources.push({
-            type: 'image',
-            src: img.src,
-            timestamp: Date.now(),
-        });
+        resources.push({type: 'image', src: img.src});
     }
 
     // Check iframes.
@@ -494,11 +583,7 @@ const scanExtensionResources = () => {
         'iframe[src^="chrome-extension://"], iframe[src^="moz-extension://"]'
     );
     for (const iframe of iframes) {
-        detectionStore.chromeExtensionResources.push({
-            type: 'iframe',
-            src: iframe.src,
-            timestamp: Date.now(),
-        });
+        resources.push({type: 'iframe', src: iframe.src});
     }
 
     // Check stylesheets.
@@ -506,16 +591,14 @@ const scanExtensionResources = () => {
         try {
             if (sheet.href &&
                 (sheet.href.startsWith('chrome-extension://') || sheet.href.startsWith('moz-extension://'))) {
-                detectionStore.chromeExtensionResources.push({
-                    type: 'stylesheet',
-                    src: sheet.href,
-                    timestamp: Date.now(),
-                });
+                resources.push({type: 'stylesheet', src: sheet.href});
             }
         } catch (e) {
             // Cross-origin stylesheet, can't inspect.
         }
     }
+
+    return resources;
 };
 
 /**
@@ -578,10 +661,12 @@ export const analyze = () => {
 /**
  * Calculate injection detection score.
  *
+ * Ported to PHP as \local_agentdetect\scorer::score_injection(); keep both in step.
+ *
  * @param {Array} signals Detected signals.
  * @returns {number} Score from 0-100.
  */
-const calculateInjectionScore = (signals) => {
+export const calculateInjectionScore = (signals) => {
     if (signals.length === 0) {
         return 0;
     }
@@ -591,7 +676,7 @@ const calculateInjectionScore = (signals) => {
     for (const signal of signals) {
         // Weight increases with count but with diminishing returns.
         const countMultiplier = Math.min(signal.count, 5);
-        totalWeight += signal.maxWeight * (1 + (countMultiplier - 1) * 0.2);
+        totalWeight += ScoringProfile.weightOf(signal) * (1 + (countMultiplier - 1) * 0.2);
     }
 
     // Normalize to 0-100 scale.
@@ -626,9 +711,16 @@ export const reset = () => {
 };
 
 export default {
+    OBSERVER_OPTIONS,
     startMonitoring,
     stopMonitoring,
+    describeElement,
+    describeScan,
+    describeMutation,
+    processScan,
+    processMutation,
     analyze,
+    calculateInjectionScore,
     getRawData,
     reset,
 };
@@ -16,7 +16,7 @@
 /**
  * Interaction anomaly detection module.
  *
- * Monitors user interactions (mouse, keyboard, scroll) to detect
+ * Monitors user interactions (mouse, touch, pen, keyboard, scroll) to detect
  * patterns typical of automated browsers versus human users.
  *
  * @module     local_agentdetect/interaction
@@ -24,6 +24,8 @@
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 
+import * as ScoringProfile from 'local_agentdetect/scoring_profile';
+
 /**
  * Configuration for interaction monitoring.
  *
@@ -34,18 +36,298 @@ const CONFIG = {
     minMouseMoves: 20,
     minClicks: 3,
     minKeystrokes: 10,
+    minContacts: 5,
+    minApproaches: 5,
+    minApproachMoves: 8,
+    minApproachDistance: 50, // Px - shorter movements are not aimed at a target.
+    minTypedKeys: 50,
+    minDigraphs: 15,
 
     // Thresholds for anomaly detection.
     perfectTimingVariance: 5, // Ms - variance below this is suspicious.
     minHumanReactionTime: 50, // Ms - clicks faster than this are suspicious.
     maxMouseSpeed: 10000, // Px/ms - movements faster than this are suspicious.
     centerClickTolerance: 5, // Px - clicks within this of element center are suspicious.
+    minTapDuration: 20, // Ms - taps lifted sooner than this are suspicious.
+    tapTolerance: 10, // Px - contacts that move less than this are taps.
+    contactWindow: 1000, // Ms - the click of a tap follows its touch within this.
+    approachPause: 300, // Ms - a pause this long between mouse moves starts a new movement.
+    maxTypingGap: 10000, // Ms - a longer gap between keys in a text field is not part of the typing.
+    typingPause: 500, // Ms - shortest gap between keys that counts as a pause, however fast the typist.
+    typingWindow: 20, // Keys - the typing rate is compared over runs of this many keys.
+    keyInputWindow: 1000, // Ms - a typed change to an answer follows its keydown within this.
+    largePaste: 200, // Chars - pasting or dropping this much into an answer is suspicious.
+    minProgrammaticInsert: 20, // Chars - shorter changes made by script are left out.
+    minUntrustedEvents: 3,
+    clickPressWindow: 1000, // Ms - the click of a mouse button follows its mousedown within this.
+    minAbsence: 2000, // Ms - leaving the page for less than this is not recorded.
+    copyLeaveWindow: 30000, // Ms - leaving this soon after copying the question takes it elsewhere.
+    returnPasteWindow: 30000, // Ms - pasting this soon after coming back brings something back.
+    minReturnPaste: 20, // Chars - shorter pastes after coming back are left out.
 
     // Sampling configuration.
     maxStoredEvents: 500,
+    contactMoveInterval: 20, // Ms - moves of one touch or pen contact are stored at most this often.
     analysisInterval: 10000, // Ms - how often to run analysis.
 };
 
+/**
+ * Anomalies that describe how keyboard-only, screen reader, switch and
+ * voice control users work, adjusted for anyone with an accommodation.
+ *
+ * @type {Array<string>}
+ */
+export const ACCOMMODATED_ANOMALIES = [
+    'comet.zero_keystrokes',
+    'mouse.insufficient_data',
+    'sequence.direct_focus',
+    'comet.rapid_focus_sequence',
+    'comet.missing_pointer_events',
+    // Dictation software inserts text without pressing keys.
+    'input.programmatic_set',
+    // On-screen keyboards driven by a switch and dictation software type at a machine's pace.
+    'keystroke.flat_digraphs',
+    'keystroke.no_pauses',
+    'keystroke.no_corrections',
+    'keystroke.constant_rate',
+];
+
+/**
+ * Anomalies without a mouse, which keyboard navigation explains.
+ *
+ * @type {Array<string>}
+ */
+const MOUSELESS_ANOMALIES = [
+    'mouse.sparse_movement',
+    'click.no_hover',
+    'click.no_movement',
+    'click.teleport_pattern',
+    'comet.no_mousemove_trail',
+    'comet.low_mouse_to_action_ratio',
+    'comet.low_per_page_mouse_ratio',
+    'sequence.low_hover_ratio',
+];
+
+/**
+ * Names of the assistive technology usage patterns.
+ *
+ * @type {Object<string, string>}
+ */
+const PATTERNS = {
+    KEYBOARD_NAVIGATION: 'assistive.keyboard_navigation',
+    VIRTUAL_CURSOR: 'assistive.virtual_cursor',
+    VOICE_CONTROL: 'assistive.voice_control',
+};
+
+/**
+ * Anomalies of clicks made through the accessibility tree, which lands
+ * them at the centre of the element and may press no button to count.
+ *
+ * @type {Array<string>}
+ */
+const ACCESSIBILITY_CLICK_ANOMALIES = ['click.center_precision', 'comet.ultra_precise_center', 'click.zero_detail'];
+
+/**
+ * Assistive technology usage patterns, and the further anomalies each one
+ * explains when the user has an accommodation.
+ *
+ * Screen reader virtual cursors and voice control both activate controls
+ * through the accessibility tree.
+ *
+ * @type {Object<string, Array<string>>}
+ */
+export const ASSISTIVE_PATTERNS = {
+    [PATTERNS.KEYBOARD_NAVIGATION]: MOUSELESS_ANOMALIES,
+    [PATTERNS.VIRTUAL_CURSOR]: [...MOUSELESS_ANOMALIES, ...ACCESSIBILITY_CLICK_ANOMALIES],
+    [PATTERNS.VOICE_CONTROL]: [...MOUSELESS_ANOMALIES, ...ACCESSIBILITY_CLICK_ANOMALIES],
+};
+
+/**
+ * Accommodation modes: keep adjusted anomalies at a fraction of their weight, or drop them.
+ *
+ * @type {Object<string, string>}
+ */
+export const ACCOMMODATION_MODES = {
+    REWEIGHT: 'reweight',
+    SUPPRESS: 'suppress',
+};
+
+/**
+ * Share of its weight a re-weighted anomaly keeps.
+ *
+ * @type {number}
+ */
+export const ACCOMMODATION_WEIGHT_FACTOR = 0.25;
+
+/**
+ * Keys that move focus or the caret without typing.
+ *
+ * @type {Array<string>}
+ */
+const NAVIGATION_KEYS = ['Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown'];
+
+/**
+ * Keys that delete what was typed.
+ *
+ * @type {Array<string>}
+ */
+const CORRECTION_KEYS = ['Backspace', 'Delete'];
+
+/**
+ * Input types that take free text.
+ *
+ * @type {Array<string>}
+ */
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url'];
+
+/**
+ * Physical keys typed with the left hand, by KeyboardEvent.code. The codes
+ * name positions on a US QWERTY keyboard, whatever the layout, so the
+ * hands are right for any layout but the character typed is not revealed.
+ *
+ * @type {Array<string>}
+ */
+const LEFT_HAND_KEYS = [
+    'Backquote', 'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5',
+    ...Array.from('QWERTASDFGZXCVB', (letter) => 'Key' + letter),
+];
+
+/**
+ * Physical keys typed with the right hand, by KeyboardEvent.code.
+ *
+ * @type {Array<string>}
+ */
+const RIGHT_HAND_KEYS = [
+    'Digit6', 'Digit7', 'Digit8', 'Digit9', 'Digit0', 'Minus', 'Equal', 'BracketLeft', 'BracketRight', 'Backslash',
+    'Semicolon', 'Quote', 'Comma', 'Period', 'Slash', 'IntlBackslash',
+    ...Array.from('YUIOPHJKLNM', (letter) => 'Key' + letter),
+];
+
+/**
+ * Where a change to an answer field came from.
+ *
+ * @type {Object<string, string>}
+ */
+export const INPUT_SOURCES = {
+    TYPED: 'typed',
+    PASTED: 'pasted',
+    DROPPED: 'dropped',
+    AUTOFILLED: 'autofilled',
+    PROGRAMMATIC: 'programmatic',
+};
+
+/**
+ * Where copied text came from.
+ *
+ * @type {Object<string, string>}
+ */
+export const COPY_SOURCES = {
+    QUESTION: 'question',
+    ANSWER: 'answer',
+    PAGE: 'page',
+};
+
+/**
+ * Input modalities: what the user presses controls with.
+ *
+ * @type {Object<string, string>}
+ */
+export const MODALITIES = {
+    MOUSE: 'mouse',
+    TOUCH: 'touch',
+    PEN: 'pen',
+};
+
+/**
+ * Anomalies that assume a mouse and a physical keyboard.
+ *
+ * A finger or pen leaves no trail between taps and fires no hovers of its
+ * own, and a tablet has no Tab key to press, so with touch or pen input
+ * these are neither raised nor scored.
+ *
+ * @type {Array<string>}
+ */
+export const DESKTOP_ANOMALIES = [
+    'mouse.insufficient_data',
+    'mouse.linear_movement',
+    'mouse.teleport',
+    'mouse.sparse_movement',
+    'mouse.constant_velocity',
+    'click.no_hover',
+    'click.no_movement',
+    'click.teleport_pattern',
+    'comet.low_mouse_to_action_ratio',
+    'comet.no_mousemove_trail',
+    'comet.low_per_page_mouse_ratio',
+    'comet.zero_keystrokes',
+    'sequence.low_hover_ratio',
+    'trajectory.smooth_curvature',
+    'trajectory.minimum_jerk',
+    'trajectory.no_correction',
+    'trajectory.fitts_violation',
+    'mouse.no_movement_delta',
+];
+
+/**
+ * Anomalies a human cannot produce, and those of them that stay reliable
+ * with very few events, by scoring model.
+ *
+ * @type {Object<string, Object>}
+ */
+const STRONG_SIGNALS = {
+    mouse: {
+        strong: [
+            'click.center_precision',
+            'click.teleport_pattern',
+            'click.no_movement',
+            'comet.ultra_precise_center',
+            'comet.low_mouse_to_action_ratio',
+            'comet.zero_keystrokes',
+            'comet.low_per_page_mouse_ratio',
+            'event.untrusted',
+            'event.impossible_coordinates',
+        ],
+        reliable: [
+            'click.center_precision',
+            'comet.ultra_precise_center',
+            'comet.low_mouse_to_action_ratio',
+            'comet.zero_keystrokes',
+            'comet.low_per_page_mouse_ratio',
+            'event.untrusted',
+        ],
+    },
+    touch: {
+        strong: [
+            'click.center_precision',
+            'comet.ultra_precise_center',
+            'touch.instant_tap',
+            'touch.fixed_tap_offset',
+            'touch.click_without_contact',
+            'event.untrusted',
+            'event.impossible_coordinates',
+        ],
+        reliable: [
+            'click.center_precision',
+            'comet.ultra_precise_center',
+            'touch.instant_tap',
+            'touch.click_without_contact',
+            'event.untrusted',
+        ],
+    },
+};
+
+/**
+ * Contact phase of each touch event type.
+ *
+ * @type {Object<string, string>}
+ */
+const TOUCH_PHASES = {
+    touchstart: 'start',
+    touchmove: 'move',
+    touchend: 'end',
+    touchcancel: 'end',
+};
+
 /**
  * Event storage for analysis.
  *
@@ -59,6 +341,9 @@ const eventStore = {
     hovers: [],
     focusChanges: [],
     pointerEvents: [],
+    contacts: [], // Touch and pen contacts: {type: start|move|end, pointerType, id, x, y, radius, force}.
+    inputs: [], // Changes to answer fields: {source, inputType, size, length}, never the text.
+    timeline: [], // Copies {type: copy|cut, source, size} and departures {type: departure, left, duration, hidden}.
     startTime: Date.now(),
     pageLoadCount: 1,
     pageStartTime: Date.now(), // Timestamp when the current page loaded (not overwritten by restore).
@@ -86,11 +371,71 @@ let analysisCache = null;
  */
 let isMonitoring = false;
 
+/**
+ * Quiz attempt ID of the current page, 0 if it is not an attempt page (null until looked up).
+ *
+ * @type {number|null}
+ */
+let attemptId = null;
+
+/**
+ * When a mouse button last went down.
+ *
+ * @type {number}
+ */
+let lastMouseDownAt = 0;
+
+/**
+ * When a key last went down, in the page or in an editor frame.
+ *
+ * @type {number}
+ */
+let lastKeyDownAt = 0;
+
+/**
+ * Answer fields by the length of their text when last seen.
+ *
+ * @type {WeakMap<Object, number>}
+ */
+let fieldLengths = new WeakMap();
+
+/**
+ * Pastes and drops not yet followed by their input event, by answer field.
+ *
+ * @type {WeakMap<Object, Object>}
+ */
+let pendingTransfers = new WeakMap();
+
+/**
+ * Editor frames by the document they show, and the documents listened to.
+ *
+ * @type {Object}
+ */
+const editorFrames = {
+    byDocument: new WeakMap(),
+    documents: [],
+};
+
+/**
+ * The absence in progress, {left, hidden}, null while the student is on the page.
+ *
+ * @type {Object|null}
+ */
+let absence = null;
+
+/**
+ * Accommodation mode granted to the user on this page, null if none.
+ *
+ * @type {string|null}
+ */
+let accommodation = null;
+
 /**
  * Start monitoring user interactions.
  *
  * @param {Object} options Configuration options.
  * @param {number} options.contextId Context ID for sessionStorage scoping.
+ * @param {string|null} [options.accommodation] Accommodation mode granted to the user, one of ACCOMMODATION_MODES.
  * @returns {void}
  */
 export const startMonitoring = (options = {}) => {
@@ -100,6 +445,7 @@ export const startMonitoring = (options = {}) => {
 
     isMonitoring = true;
     contextId = options.contextId || null;
+    accommodation = Object.values(ACCOMMODATION_MODES).includes(options.accommodation) ? options.accommodation : null;
     eventStore.startTime = Date.now();
     eventStore.pageStartTime = Date.now();
 
@@ -132,9 +478,29 @@ export const startMonitoring = (options = {}) => {
     document.addEventListener('focusin', handleFocusIn, {passive: true});
     document.addEventListener('focusout', handleFocusOut, {passive: true});
 
-    // Pointer event tracking (for CDP dispatch detection).
+    // Pointer event tracking (for CDP dispatch detection, and pen contacts).
     document.addEventListener('pointerdown', handlePointerDown, {capture: true, passive: true});
     document.addEventListener('pointermove', handlePointerMove, {passive: true});
+    document.addEventListener('pointerup', handlePointerUp, {capture: true, passive: true});
+
+    // Touch tracking.
+    Object.keys(TOUCH_PHASES).forEach((type) => {
+        document.addEventListener(type, handleTouch, {capture: true, passive: true});
+    });
+
+    // Answer field changes, with the text already in the fields and their editors.
+    INPUT_LISTENERS.forEach(([type, handler]) => {
+        document.addEventListener(type, handler, {capture: true, passive: true});
+    });
+    document.querySelectorAll('.que iframe').forEach(attachEditorFrame);
+    checkAnswerFields();
+
+    // Leaving the page and coming back, and copying from it.
+    document.addEventListener('visibilitychange', handleVisibilityChange, {passive: true});
+    window.addEventListener('blur', handleWindowBlur, {passive: true});
+    window.addEventListener('focus', handleWindowFocus, {passive: true});
+    document.addEventListener('copy', handleCopy, {capture: true, passive: true});
+    document.addEventListener('cut', handleCopy, {capture: true, passive: true});
 };
 
 /**
@@ -163,6 +529,30 @@ export const stopMonitoring = () => {
     document.removeEventListener('focusout', handleFocusOut);
     document.removeEventListener('pointerdown', handlePointerDown, {capture: true});
     document.removeEventListener('pointermove', handlePointerMove);
+    document.removeEventListener('pointerup', handlePointerUp, {capture: true});
+    Object.keys(TOUCH_PHASES).forEach((type) => {
+        document.removeEventListener(type, handleTouch, {capture: true});
+    });
+    INPUT_LISTENERS.forEach(([type, handler]) => {
+        document.removeEventListener(type, handler, {capture: true});
+    });
+    editorFrames.documents.forEach((frameDocument) => {
+        INPUT_LISTENERS.forEach(([type, handler]) => {
+            frameDocument.removeEventListener(type, handler, {capture: true});
+        });
+        frameDocument.removeEventListener('keydown', handleFrameKeyDown, {capture: true});
+        if (frameDocument.defaultView) {
+            frameDocument.defaultView.removeEventListener('blur', handleWindowBlur);
+            frameDocument.defaultView.removeEventListener('focus', handleWindowFocus);
+        }
+    });
+    editorFrames.byDocument = new WeakMap();
+    editorFrames.documents = [];
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+    window.removeEventListener('blur', handleWindowBlur);
+    window.removeEventListener('focus', handleWindowFocus);
+    document.removeEventListener('copy', handleCopy, {capture: true});
+    document.removeEventListener('cut', handleCopy, {capture: true});
 };
 
 /**
@@ -183,6 +573,10 @@ const handleMouseMove = (e) => {
         deltaTime: lastMove ? now - lastMove.timestamp : 0,
         deltaX: lastMove ? e.clientX - lastMove.x : 0,
         deltaY: lastMove ? e.clientY - lastMove.y : 0,
+        ...getAuthenticity(e),
+        movementX: e.movementX,
+        movementY: e.movementY,
+        ...getQuestionSlot(e.target),
     };
 
     // Calculate velocity.
@@ -226,6 +620,10 @@ const handleClick = (e) => {
         offsetFromCenter: offsetFromCenter,
         hadPrecedingHover: checkPrecedingHover(target),
         hadPrecedingMouseMove: checkPrecedingMouseMove(e.clientX, e.clientY),
+        ...getAuthenticity(e),
+        detail: e.detail,
+        pressed: now - lastMouseDownAt <= CONFIG.clickPressWindow,
+        ...getQuestionSlot(target),
     };
 
     addToStore('clicks', clickData);
@@ -235,6 +633,7 @@ const handleClick = (e) => {
  * Handle mousedown events.
  */
 const handleMouseDown = () => {
+    lastMouseDownAt = Date.now();
     // Store for click duration analysis.
     const lastClick = eventStore.clicks[eventStore.clicks.length - 1];
     if (lastClick && !lastClick.mousedownTime) {
@@ -287,15 +686,50 @@ const handleMouseOut = (e) => {
 const handleKeyDown = (e) => {
     const now = Date.now();
     const lastKeystroke = eventStore.keystrokes[eventStore.keystrokes.length - 1];
+    lastKeyDownAt = now;
 
     addToStore('keystrokes', {
         key: e.key.length === 1 ? 'char' : e.key, // Don't store actual characters for privacy.
+        hand: getKeyHand(e.code),
+        text: isTextField(e.target),
+        trusted: e.isTrusted !== false,
         timestamp: now,
         deltaTime: lastKeystroke ? now - lastKeystroke.timestamp : 0,
         type: 'down',
+        ...getQuestionSlot(e.target),
     });
 };
 
+/**
+ * Find the hand that types a physical key.
+ *
+ * @param {string} [code] KeyboardEvent.code.
+ * @returns {string|null} 'left', 'right', 'space' for the space bar, or null for other keys.
+ */
+export const getKeyHand = (code) => {
+    if (code === 'Space') {
+        return 'space';
+    }
+    if (LEFT_HAND_KEYS.includes(code)) {
+        return 'left';
+    }
+    return RIGHT_HAND_KEYS.includes(code) ? 'right' : null;
+};
+
+/**
+ * Check whether an element takes free text, as essay and short-answer questions do.
+ *
+ * @param {EventTarget} target Event target.
+ * @returns {boolean} Whether it is a text area, a text input or an editable element.
+ */
+const isTextField = (target) => {
+    if (!target) {
+        return false;
+    }
+    return target.tagName === 'TEXTAREA' || target.isContentEditable === true
+        || (target.tagName === 'INPUT' && TEXT_INPUT_TYPES.includes(target.type));
+};
+
 /**
  * Handle keyup events.
  */
@@ -311,293 +745,1436 @@ const handleKeyUp = () => {
 };
 
 /**
- * Handle scroll events.
+ * Note a key going down in an editor frame.
+ *
+ * Keys typed there are not analysed, as the frame's elements are not in
+ * the questions, but they show that the changes to the editor were typed.
  */
-const handleScroll = () => {
-    const now = Date.now();
-    const lastScroll = eventStore.scrolls[eventStore.scrolls.length - 1];
+const handleFrameKeyDown = () => {
+    lastKeyDownAt = Date.now();
+};
 
-    addToStore('scrolls', {
-        scrollY: window.scrollY,
-        scrollX: window.scrollX,
-        timestamp: now,
-        deltaTime: lastScroll ? now - lastScroll.timestamp : 0,
-        deltaY: lastScroll ? window.scrollY - lastScroll.scrollY : 0,
-        deltaX: lastScroll ? window.scrollX - lastScroll.scrollX : 0,
+/**
+ * Handle paste and drop events in answer fields.
+ *
+ * Only the length of the text is read, never the text. The change it makes
+ * follows in an input event.
+ *
+ * @param {ClipboardEvent|DragEvent} e Paste or drop event; a replayed one carries the recorded size.
+ */
+const handleTransfer = (e) => {
+    const field = getAnswerField(e.target);
+    if (!field) {
+        return;
+    }
+    const data = e.type === 'paste' ? e.clipboardData : e.dataTransfer;
+    pendingTransfers.set(field, {
+        source: e.type === 'paste' ? INPUT_SOURCES.PASTED : INPUT_SOURCES.DROPPED,
+        size: typeof e.size === 'number' ? e.size : getTransferSize(data),
     });
 };
 
 /**
- * Handle focus in events.
+ * Handle beforeinput events in answer fields: the text is as it was left,
+ * unless a script has changed it since.
  *
- * @param {FocusEvent} e Focus event.
+ * @param {InputEvent} e Input event; a replayed one carries the recorded field length.
  */
-const handleFocusIn = (e) => {
-    addToStore('focusChanges', {
-        target: {
-            tagName: e.target.tagName,
-            id: e.target.id,
-            type: e.target.type,
-        },
-        timestamp: Date.now(),
-        type: 'in',
-    });
+const handleBeforeInput = (e) => {
+    const field = getAnswerField(e.target);
+    if (field) {
+        checkFieldLength(field, typeof e.length === 'number' ? e.length : getFieldLength(field));
+    }
 };
 
 /**
- * Handle focus out events.
+ * Handle input events in answer fields, recording where the change came from.
  *
- * @param {FocusEvent} e Focus event.
+ * @param {InputEvent} e Input event; a replayed one carries the recorded field length.
  */
-const handleFocusOut = (e) => {
-    addToStore('focusChanges', {
-        target: {
-            tagName: e.target.tagName,
-            id: e.target.id,
-            type: e.target.type,
-        },
+const handleInput = (e) => {
+    const field = getAnswerField(e.target);
+    if (!field) {
+        return;
+    }
+    const length = typeof e.length === 'number' ? e.length : getFieldLength(field);
+    // Fields are measured when monitoring starts; one not seen before, as in a replay, started empty.
+    const previous = fieldLengths.has(field) ? fieldLengths.get(field) : 0;
+    const transfer = pendingTransfers.get(field);
+    pendingTransfers.delete(field);
+    fieldLengths.set(field, length);
+
+    addToStore('inputs', {
+        source: getInputSource(e, transfer),
+        inputType: e.inputType || null,
+        size: transfer ? transfer.size : Math.max(length - previous, 0),
+        length,
         timestamp: Date.now(),
-        type: 'out',
+        ...getQuestionSlot(field),
     });
 };
 
 /**
- * Handle pointerdown events for CDP dispatch detection.
+ * Classify an input event by where the change came from.
  *
- * @param {PointerEvent} e Pointer event.
+ * Events dispatched by a script are not trusted, and text inserted with
+ * execCommand() comes without a key going down. Browser autofill fires a
+ * plain event, without an input type.
+ *
+ * @param {InputEvent} e Input event.
+ * @param {Object} [transfer] The paste or drop it follows.
+ * @returns {string} One of INPUT_SOURCES.
  */
-const handlePointerDown = (e) => {
-    addToStore('pointerEvents', {
-        type: 'down',
-        x: e.clientX,
-        y: e.clientY,
-        timestamp: Date.now(),
-        pointerType: e.pointerType,
-    });
+const getInputSource = (e, transfer) => {
+    if (e.isTrusted === false) {
+        return INPUT_SOURCES.PROGRAMMATIC;
+    }
+    if (e.inputType && e.inputType.startsWith('insertFromPaste')) {
+        return INPUT_SOURCES.PASTED;
+    }
+    if (e.inputType === 'insertFromDrop') {
+        return INPUT_SOURCES.DROPPED;
+    }
+    if (transfer) {
+        return transfer.source;
+    }
+    if (!e.inputType) {
+        return INPUT_SOURCES.AUTOFILLED;
+    }
+    const keyed = Date.now() - lastKeyDownAt <= CONFIG.keyInputWindow;
+    return keyed || e.inputType.startsWith('history') ? INPUT_SOURCES.TYPED : INPUT_SOURCES.PROGRAMMATIC;
 };
 
 /**
- * Handle pointermove events (throttled).
+ * Compare the length of an answer field's text with the last one seen, and
+ * record a change made without an input event, as setting its value does.
  *
- * @param {PointerEvent} e Pointer event.
+ * @param {Object} field Answer field.
+ * @param {number} length Length of its text now.
+ * @returns {void}
  */
-const handlePointerMove = (e) => {
-    const now = Date.now();
-    const last = eventStore.pointerEvents[eventStore.pointerEvents.length - 1];
-    if (last && now - last.timestamp < 50) {
-        return; // Throttle to 20Hz.
+const checkFieldLength = (field, length) => {
+    const previous = fieldLengths.get(field);
+    fieldLengths.set(field, length);
+    if (previous === undefined || previous === length) {
+        return;
     }
-    addToStore('pointerEvents', {
-        type: 'move',
-        x: e.clientX,
-        y: e.clientY,
-        timestamp: now,
-        pointerType: e.pointerType,
+    addToStore('inputs', {
+        source: INPUT_SOURCES.PROGRAMMATIC,
+        inputType: null,
+        size: Math.max(length - previous, 0),
+        length,
+        timestamp: Date.now(),
+        ...getQuestionSlot(field),
     });
 };
 
 /**
- * Timestamp of last periodic save to sessionStorage.
+ * Check every answer field on the page for changes made without an input event.
  *
- * @type {number}
+ * @returns {void}
  */
-let lastPeriodicSave = 0;
+const checkAnswerFields = () => {
+    if (!isMonitoring) {
+        return;
+    }
+    document.querySelectorAll('.que textarea, .que input, .que [contenteditable="true"], .que iframe').forEach((element) => {
+        if (getAnswerField(element) === element) {
+            checkFieldLength(element, getFieldLength(element));
+        }
+    });
+};
 
 /**
- * Add event to storage with size limiting.
+ * Find the answer field an event target belongs to.
  *
- * Also periodically saves to sessionStorage so that cross-page
- * accumulation works even when beforeunload does not fire
- * (e.g. CDP-driven page navigations by agents).
+ * Answer fields are the text areas, text inputs, editable elements and
+ * editor frames of quiz questions. Text areas that an editor has replaced
+ * are hidden, and only receive its text when it saves.
  *
- * @param {string} storeName Name of the store.
- * @param {Object} data Event data.
+ * @param {EventTarget} target Event target.
+ * @returns {Object|null} The field, or null if the target is not in one.
  */
-const addToStore = (storeName, data) => {
-    eventStore[storeName].push(data);
-
-    // Limit store size.
-    if (eventStore[storeName].length > CONFIG.maxStoredEvents) {
-        eventStore[storeName].shift();
+const getAnswerField = (target) => {
+    const field = (target && editorFrames.byDocument.get(target.ownerDocument)) || target;
+    if (!field || typeof field.closest !== 'function' || !field.closest('.que')) {
+        return null;
     }
-
-    // Invalidate cache.
-    analysisCache = null;
-
-    // Periodic save: write to sessionStorage every 2 seconds at most.
-    // This ensures cross-page accumulation even if beforeunload doesn't fire.
-    const now = Date.now();
-    if (now - lastPeriodicSave > 2000) {
-        lastPeriodicSave = now;
-        try {
-            saveToSessionStorage();
-        } catch (e) {
-            // Ignore save errors.
-        }
+    if (field.hidden === true || field.style?.display === 'none' || field.getAttribute?.('aria-hidden') === 'true') {
+        return null;
     }
+    return isTextField(field) || field.tagName === 'IFRAME' ? field : null;
 };
 
 /**
- * Check if there was a hover event before this click.
+ * Describe an event that changes an answer field as a recording keeps it, without the text.
  *
- * @param {Element} target Click target.
- * @returns {boolean} True if hover preceded click.
+ * @param {Event} e Paste, drop, beforeinput or input event.
+ * @returns {Object} {inputType, isTrusted, size, length}: size is the length of the text pasted
+ *     or dropped, length that of the field's text, if the target is in an answer field.
  */
-const checkPrecedingHover = (target) => {
-    const recentHovers = eventStore.hovers.slice(-20);
+export const describeInput = (e) => {
+    const field = getAnswerField(e.target);
+    return {
+        inputType: e.inputType,
+        isTrusted: e.isTrusted,
+        size: ['paste', 'drop'].includes(e.type) ? getTransferSize(e.clipboardData || e.dataTransfer) : undefined,
+        length: field ? getFieldLength(field) : undefined,
+    };
+};
+
+/**
+ * Get the length of an answer field's text.
+ *
+ * @param {Object} field Answer field.
+ * @returns {number} Length, 0 if it cannot be read.
+ */
+const getFieldLength = (field) => {
+    try {
+        if (field.tagName === 'IFRAME') {
+            return field.contentDocument?.body?.textContent.length || 0;
+        }
+        if (field.tagName === 'TEXTAREA' || field.tagName === 'INPUT') {
+            return (field.value || '').length;
+        }
+        return (field.textContent || '').length;
+    } catch (e) {
+        return 0;
+    }
+};
+
+/**
+ * Get the length of the text a paste or drop carries.
+ *
+ * @param {DataTransfer} [data] Clipboard or drag data.
+ * @returns {number} Length, 0 if there is no text.
+ */
+const getTransferSize = (data) => {
+    if (!data || typeof data.getData !== 'function') {
+        return 0;
+    }
+    return (data.getData('text/plain') || '').length;
+};
+
+/**
+ * Listen for changes to the document of an editor frame, once, and for
+ * the student leaving while typing in it.
+ *
+ * Frames from another origin cannot be listened to.
+ *
+ * @param {HTMLIFrameElement} frame Editor frame.
+ * @returns {void}
+ */
+const attachEditorFrame = (frame) => {
+    let frameDocument = null;
+    try {
+        frameDocument = frame.contentDocument;
+    } catch (e) {
+        return;
+    }
+    if (!frameDocument || editorFrames.byDocument.has(frameDocument)) {
+        return;
+    }
+    editorFrames.byDocument.set(frameDocument, frame);
+    editorFrames.documents.push(frameDocument);
+    INPUT_LISTENERS.forEach(([type, handler]) => {
+        frameDocument.addEventListener(type, handler, {capture: true, passive: true});
+    });
+    frameDocument.addEventListener('keydown', handleFrameKeyDown, {capture: true, passive: true});
+    if (frameDocument.defaultView) {
+        frameDocument.defaultView.addEventListener('blur', handleWindowBlur, {passive: true});
+        frameDocument.defaultView.addEventListener('focus', handleWindowFocus, {passive: true});
+    }
+    checkFieldLength(frame, getFieldLength(frame));
+};
+
+/**
+ * Handlers of the events that change answer fields, by event type.
+ *
+ * Rich text editors edit a document in a frame of their own, which gets
+ * the same listeners, along with one that notes when a key goes down.
+ *
+ * @type {Array<Array>}
+ */
+const INPUT_LISTENERS = [
+    ['paste', handleTransfer],
+    ['drop', handleTransfer],
+    ['beforeinput', handleBeforeInput],
+    ['input', handleInput],
+];
+
+/**
+ * Handle the page being hidden, as when the student switches tab, or shown again.
+ *
+ * @param {Event} e Visibilitychange event; a replayed one carries whether the page was hidden.
+ */
+const handleVisibilityChange = (e) => {
+    const hidden = typeof e.hidden === 'boolean' ? e.hidden : document.visibilityState === 'hidden';
+    if (hidden) {
+        leavePage(true);
+    } else {
+        returnToPage();
+    }
+};
+
+/**
+ * Handle the window of the page, or of an editor frame, losing focus to another window.
+ *
+ * Focus moving between the page and an editor frame blurs one window and
+ * focuses the other straight away, which is too short an absence to record.
+ */
+const handleWindowBlur = () => {
+    leavePage(false);
+};
+
+/**
+ * Handle the window of the page, or of an editor frame, getting focus back.
+ */
+const handleWindowFocus = () => {
+    returnToPage();
+};
+
+/**
+ * Note that the student has left the page, unless they already had.
+ *
+ * @param {boolean} hidden Whether the page was hidden, not just left for another window.
+ * @returns {void}
+ */
+const leavePage = (hidden) => {
+    if (absence) {
+        absence.hidden = absence.hidden || hidden;
+        return;
+    }
+    absence = {left: Date.now(), hidden};
+};
+
+/**
+ * Record the absence that the student has come back from.
+ *
+ * @returns {void}
+ */
+const returnToPage = () => {
+    if (!absence) {
+        return;
+    }
+    const now = Date.now();
+    if (now - absence.left >= CONFIG.minAbsence) {
+        addToStore('timeline', {
+            type: 'departure',
+            left: absence.left,
+            duration: now - absence.left,
+            hidden: absence.hidden,
+            timestamp: now,
+        });
+    }
+    absence = null;
+};
+
+/**
+ * Handle copy and cut events, recording where the text came from and how long it was.
+ *
+ * @param {ClipboardEvent} e Copy or cut event; a replayed one carries the recorded source and size.
+ */
+const handleCopy = (e) => {
+    const {source, size} = typeof e.size === 'number' ? e : describeCopy(e);
+    addToStore('timeline', {
+        type: e.type,
+        source,
+        size,
+        timestamp: Date.now(),
+        ...getQuestionSlot(e.target),
+    });
+};
+
+/**
+ * Describe a copy or cut as a recording keeps it, without the text.
+ *
+ * The question is what the formulation of a quiz question shows besides
+ * its answer fields: the question text and the choices.
+ *
+ * @param {ClipboardEvent} e Copy or cut event.
+ * @returns {Object} {source, size}: one of COPY_SOURCES and the length of the text selected.
+ */
+export const describeCopy = (e) => {
+    const field = getAnswerField(e.target);
+    let source = COPY_SOURCES.PAGE;
+    if (field) {
+        source = COPY_SOURCES.ANSWER;
+    } else if (e.target && typeof e.target.closest === 'function' && e.target.closest('.que .formulation')) {
+        source = COPY_SOURCES.QUESTION;
+    }
+    return {source, size: getSelectionSize(field || e.target)};
+};
+
+/**
+ * Get the length of the text selected in a field, or in the document of an element.
+ *
+ * @param {EventTarget} target Text field or element.
+ * @returns {number} Length, 0 if it cannot be read.
+ */
+const getSelectionSize = (target) => {
+    try {
+        if (typeof target.selectionStart === 'number') {
+            return Math.abs(target.selectionEnd - target.selectionStart);
+        }
+        const selection = (target.ownerDocument || document).getSelection();
+        return selection ? selection.toString().length : 0;
+    } catch (e) {
+        return 0;
+    }
+};
+
+/**
+ * Handle scroll events.
+ *
+ * @param {Event} e Scroll event; a replayed one carries the recorded scrollX and scrollY.
+ */
+const handleScroll = (e) => {
+    const now = Date.now();
+    const lastScroll = eventStore.scrolls[eventStore.scrolls.length - 1];
+    const position = typeof e?.scrollY === 'number' ? e : window;
+
+    addToStore('scrolls', {
+        scrollY: position.scrollY,
+        scrollX: position.scrollX,
+        timestamp: now,
+        deltaTime: lastScroll ? now - lastScroll.timestamp : 0,
+        deltaY: lastScroll ? position.scrollY - lastScroll.scrollY : 0,
+        deltaX: lastScroll ? position.scrollX - lastScroll.scrollX : 0,
+    });
+};
+
+/**
+ * Handle focus in events.
+ *
+ * @param {FocusEvent} e Focus event.
+ */
+const handleFocusIn = (e) => {
+    if (isMonitoring && e.target.tagName === 'IFRAME' && getAnswerField(e.target)) {
+        attachEditorFrame(e.target);
+    }
+    addToStore('focusChanges', {
+        target: {
+            tagName: e.target.tagName,
+            id: e.target.id,
+            type: e.target.type,
+        },
+        timestamp: Date.now(),
+        type: 'in',
+        ...getQuestionSlot(e.target),
+    });
+};
+
+/**
+ * Handle focus out events.
+ *
+ * @param {FocusEvent} e Focus event.
+ */
+const handleFocusOut = (e) => {
+    addToStore('focusChanges', {
+        target: {
+            tagName: e.target.tagName,
+            id: e.target.id,
+            type: e.target.type,
+        },
+        timestamp: Date.now(),
+        type: 'out',
+        ...getQuestionSlot(e.target),
+    });
+};
+
+/**
+ * Handle pointerdown events for CDP dispatch detection.
+ *
+ * @param {PointerEvent} e Pointer event.
+ */
+const handlePointerDown = (e) => {
+    addToStore('pointerEvents', {
+        type: 'down',
+        x: e.clientX,
+        y: e.clientY,
+        timestamp: Date.now(),
+        pointerType: e.pointerType,
+        trusted: e.isTrusted !== false,
+        ...getQuestionSlot(e.target),
+    });
+    if (e.pointerType === 'pen') {
+        addContact('start', 'pen', getPenContact(e), e.target);
+    }
+};
+
+/**
+ * Handle pointermove events (throttled).
+ *
+ * @param {PointerEvent} e Pointer event.
+ */
+const handlePointerMove = (e) => {
+    // A pen touching the screen draws a trajectory; one hovering above it does not.
+    if (e.pointerType === 'pen' && e.buttons > 0) {
+        addContact('move', 'pen', getPenContact(e), e.target);
+    }
+
+    const now = Date.now();
+    const last = eventStore.pointerEvents[eventStore.pointerEvents.length - 1];
+    if (last && now - last.timestamp < 50) {
+        return; // Throttle to 20Hz.
+    }
+    addToStore('pointerEvents', {
+        type: 'move',
+        x: e.clientX,
+        y: e.clientY,
+        timestamp: now,
+        pointerType: e.pointerType,
+    });
+};
+
+/**
+ * Handle pointerup events: the end of a pen contact.
+ *
+ * @param {PointerEvent} e Pointer event.
+ */
+const handlePointerUp = (e) => {
+    if (e.pointerType === 'pen') {
+        addContact('end', 'pen', getPenContact(e), e.target);
+    }
+};
+
+/**
+ * Handle touch events: store each touch that changed.
+ *
+ * @param {TouchEvent} e Touch event.
+ */
+const handleTouch = (e) => {
+    const type = TOUCH_PHASES[e.type];
+    Array.from(e.changedTouches || []).forEach((touch) => {
+        addContact(type, 'touch', {
+            id: touch.identifier,
+            x: touch.clientX,
+            y: touch.clientY,
+            radius: ((touch.radiusX || 0) + (touch.radiusY || 0)) / 2,
+            force: touch.force || 0,
+        }, e.target);
+    });
+};
+
+/**
+ * Describe the contact of a pen pointer event as a touch is described.
+ *
+ * @param {PointerEvent} e Pointer event.
+ * @returns {Object} {id, x, y, radius, force}.
+ */
+const getPenContact = (e) => ({
+    id: e.pointerId,
+    x: e.clientX,
+    y: e.clientY,
+    radius: ((e.width || 0) + (e.height || 0)) / 4,
+    force: e.pressure || 0,
+});
+
+/**
+ * Store a touch or pen contact, throttling the moves of each contact.
+ *
+ * @param {string} type Contact phase: start, move or end.
+ * @param {string} pointerType touch or pen.
+ * @param {Object} contact {id, x, y, radius, force}.
+ * @param {EventTarget} target Event target.
+ */
+const addContact = (type, pointerType, contact, target) => {
+    const now = Date.now();
+    if (type === 'move') {
+        const last = lastContactOf(pointerType, contact.id);
+        if (last && now - last.timestamp < CONFIG.contactMoveInterval) {
+            return;
+        }
+    }
+    addToStore('contacts', {
+        type,
+        pointerType,
+        ...contact,
+        timestamp: now,
+        ...getQuestionSlot(target),
+    });
+};
+
+/**
+ * Find the last stored event of a touch or pen contact.
+ *
+ * @param {string} pointerType touch or pen.
+ * @param {number} id Touch identifier or pointer ID.
+ * @returns {Object|null} Contact event.
+ */
+const lastContactOf = (pointerType, id) => {
+    for (let i = eventStore.contacts.length - 1; i >= 0; i--) {
+        const contact = eventStore.contacts[i];
+        if (contact.pointerType === pointerType && contact.id === id) {
+            return contact;
+        }
+    }
+    return null;
+};
+
+/**
+ * Timestamp of last periodic save to sessionStorage.
+ *
+ * @type {number}
+ */
+let lastPeriodicSave = 0;
+
+/**
+ * Add event to storage with size limiting.
+ *
+ * Also periodically saves to sessionStorage so that cross-page
+ * accumulation works even when beforeunload does not fire
+ * (e.g. CDP-driven page navigations by agents).
+ *
+ * @param {string} storeName Name of the store.
+ * @param {Object} data Event data.
+ */
+const addToStore = (storeName, data) => {
+    eventStore[storeName].push(data);
+
+    // Limit store size.
+    if (eventStore[storeName].length > CONFIG.maxStoredEvents) {
+        eventStore[storeName].shift();
+    }
+
+    // Invalidate cache.
+    analysisCache = null;
+
+    // Periodic save: write to sessionStorage every 2 seconds at most.
+    // This ensures cross-page accumulation even if beforeunload doesn't fire.
+    // Replayed events are not saved over the session of the live page.
+    const now = Date.now();
+    if (isMonitoring && now - lastPeriodicSave > 2000) {
+        lastPeriodicSave = now;
+        try {
+            saveToSessionStorage();
+        } catch (e) {
+            // Ignore save errors.
+        }
+    }
+};
+
+/**
+ * Get what shows whether a mouse event came from the browser.
+ *
+ * The browser trusts only the events of its own input, and places them on
+ * the screen where they are in the viewport. Events a script dispatches are
+ * not trusted and are at 0,0 on the screen unless it says otherwise.
+ *
+ * @param {MouseEvent} e Mouse event; replayed events of old recordings are taken as trusted.
+ * @returns {Object} {trusted, screenX, screenY}.
+ */
+const getAuthenticity = (e) => ({
+    trusted: e.isTrusted !== false,
+    screenX: e.screenX,
+    screenY: e.screenY,
+});
+
+/**
+ * Check if there was a hover event before this click.
+ *
+ * @param {Element} target Click target.
+ * @returns {boolean} True if hover preceded click.
+ */
+const checkPrecedingHover = (target) => {
+    const recentHovers = eventStore.hovers.slice(-20);
     return recentHovers.some((h) => h.target === target && h.type === 'over');
 };
 
 /**
- * Check if there was mouse movement leading to click position.
+ * Check if there was mouse movement leading to click position.
+ *
+ * @param {number} x Click X coordinate.
+ * @param {number} y Click Y coordinate.
+ * @returns {boolean} True if mouse movement preceded click.
+ */
+const checkPrecedingMouseMove = (x, y) => {
+    const recentMoves = eventStore.mouseMoves.slice(-10);
+    if (recentMoves.length === 0) {
+        return false;
+    }
+
+    // Check if any recent movement was near the click position.
+    return recentMoves.some((m) => {
+        const distance = Math.sqrt((m.x - x) ** 2 + (m.y - y) ** 2);
+        return distance < 50;
+    });
+};
+
+/**
+ * Feed a recorded event to the handler that saw it live.
+ *
+ * Used by local_agentdetect/recording to replay a session; the caller
+ * controls the clock. The event target needs whatever the handler reads
+ * from it live.
+ *
+ * @param {string} type DOM event type.
+ * @param {Object} event Event-like object.
+ * @param {number} [attempt] Quiz attempt ID of the recorded page, 0 if none.
+ * @returns {void}
+ */
+export const replayEvent = (type, event, attempt = 0) => {
+    const handlers = {
+        mousemove: handleMouseMove,
+        click: handleClick,
+        mousedown: handleMouseDown,
+        mouseup: handleMouseUp,
+        mouseover: handleMouseOver,
+        mouseout: handleMouseOut,
+        keydown: handleKeyDown,
+        keyup: handleKeyUp,
+        scroll: handleScroll,
+        focusin: handleFocusIn,
+        focusout: handleFocusOut,
+        pointerdown: handlePointerDown,
+        pointermove: handlePointerMove,
+        pointerup: handlePointerUp,
+        touchstart: handleTouch,
+        touchmove: handleTouch,
+        touchend: handleTouch,
+        touchcancel: handleTouch,
+        paste: handleTransfer,
+        drop: handleTransfer,
+        beforeinput: handleBeforeInput,
+        input: handleInput,
+        visibilitychange: handleVisibilityChange,
+        blur: handleWindowBlur,
+        focus: handleWindowFocus,
+        copy: handleCopy,
+        cut: handleCopy,
+    };
+    if (handlers[type]) {
+        attemptId = attempt;
+        handlers[type](event);
+    }
+};
+
+/**
+ * Find the quiz question an event target belongs to.
+ *
+ * Moodle renders each question of an attempt in a .que container with the
+ * id question-<usageid>-<slot>. Only attempt pages count: the review page
+ * shows the same containers, but nothing done there changes the answers.
+ *
+ * @param {EventTarget} target Event target.
+ * @returns {Object} {attempt, slot}, or an empty object outside the questions of an attempt.
+ */
+const getQuestionSlot = (target) => {
+    const question = target && target.closest ? target.closest('.que[id^="question-"]') : null;
+    const match = question ? /^question-\d+-(\d+)$/.exec(question.id) : null;
+    const attempt = match ? getAttemptId() : 0;
+    return attempt ? {attempt, slot: parseInt(match[1], 10)} : {};
+};
+
+/**
+ * Get the quiz attempt ID from the attempt form of the page.
+ *
+ * @returns {number} Attempt ID, 0 if this is not a quiz attempt page.
+ */
+const getAttemptId = () => {
+    if (attemptId === null) {
+        const input = document.querySelector('#responseform input[name="attempt"]');
+        attemptId = input ? parseInt(input.value, 10) || 0 : 0;
+    }
+    return attemptId;
+};
+
+/**
+ * Analyze collected interaction data for anomalies.
+ *
+ * @returns {Object} Analysis results with anomaly signals.
+ */
+export const analyze = () => {
+    // A script may have set an answer since the last event.
+    checkAnswerFields();
+    if (analysisCache) {
+        return analysisCache;
+    }
+
+    const results = {
+        timestamp: Date.now(),
+        duration: Date.now() - eventStore.startTime,
+        pageLoadCount: eventStore.pageLoadCount,
+        eventCounts: {
+            mouseMoves: eventStore.mouseMoves.length,
+            clicks: eventStore.clicks.length,
+            keystrokes: eventStore.keystrokes.length,
+            scrolls: eventStore.scrolls.length,
+            hovers: eventStore.hovers.length,
+            focusChanges: eventStore.focusChanges.length,
+            pointerEvents: eventStore.pointerEvents.length,
+            contacts: eventStore.contacts.length,
+            departures: eventStore.timeline.filter((t) => t.type === 'departure').length,
+            ...countPresses(eventStore.pointerEvents, eventStore.contacts),
+        },
+        modality: MODALITIES.MOUSE,
+        anomalies: [],
+        score: 0,
+        slots: [],
+        assistive: [],
+        accommodation: null,
+    };
+
+    // Run individual analyses.
+    results.anomalies.push(...analyzeMouseMovement());
+    results.anomalies.push(...analyzeTrajectories());
+    results.anomalies.push(...analyzeClicks());
+    results.anomalies.push(...analyzeKeystrokes());
+    results.anomalies.push(...analyzeInputs());
+    results.anomalies.push(...analyzeAuthenticity());
+    results.anomalies.push(...analyzeTimeline());
+    results.anomalies.push(...analyzeScrolling());
+    results.anomalies.push(...analyzeEventSequence());
+
+    // Comet agentic mode analyses.
+    results.anomalies.push(...analyzeActionBursts());
+    results.anomalies.push(...analyzeCDPClickPatterns());
+    results.anomalies.push(...analyzePointerEvents());
+    results.anomalies.push(...analyzePerPageRatio());
+    results.anomalies.push(...analyzeScrollClickCorrelation());
+
+    results.modality = detectModality(results.eventCounts);
+    if (results.modality !== MODALITIES.MOUSE) {
+        results.anomalies = results.anomalies.filter((a) => !DESKTOP_ANOMALIES.includes(a.name));
+        results.anomalies.push(...analyzeContacts());
+    }
+
+    results.assistive = analyzeAssistiveTechnology();
+    if (accommodation) {
+        const adjusted = accommodate(results.anomalies, results.assistive, accommodation);
+        results.anomalies = adjusted.anomalies;
+        results.accommodation = {mode: accommodation, anomalies: adjusted.adjusted};
+    }
+
+    // Calculate overall score.
+    results.score = calculateInteractionScore(results.anomalies, results.eventCounts);
+
+    results.slots = analyzeSlots(results.assistive);
+
+    analysisCache = results;
+    return results;
+};
+
+/**
+ * Analyze mouse movement patterns.
+ *
+ * @returns {Array} Anomaly signals.
+ */
+const analyzeMouseMovement = () => {
+    const anomalies = [];
+    const moves = eventStore.mouseMoves;
+
+    if (moves.length < CONFIG.minMouseMoves) {
+        anomalies.push({
+            name: 'mouse.insufficient_data',
+            value: moves.length,
+            weight: 2,
+        });
+        return anomalies;
+    }
+
+    // Check for perfectly linear movements.
+    // Note: humans trigger this at 0.44-0.57 so it's a weak signal.
+    const linearSegments = findLinearSegments(moves);
+    if (linearSegments > moves.length * 0.3) {
+        anomalies.push({
+            name: 'mouse.linear_movement',
+            value: linearSegments / moves.length,
+            weight: 3, // Reduced from 7 — humans trigger this often.
+        });
+    }
+
+    // Check for teleporting (instant position changes).
+    const teleports = moves.filter((m) => m.velocity > CONFIG.maxMouseSpeed);
+    if (teleports.length > 0) {
+        anomalies.push({
+            name: 'mouse.teleport',
+            value: teleports.length,
+            weight: 8,
+        });
+    }
+
+    // Check for no mouse movement at all (common in automated tests).
+    const duration = Date.now() - eventStore.startTime;
+    if (moves.length < duration / 5000) { // Less than 1 move per 5 seconds.
+        anomalies.push({
+            name: 'mouse.sparse_movement',
+            value: moves.length,
+            weight: 5,
+        });
+    }
+
+    // Check velocity variance (humans have high variance).
+    const velocities = moves.filter((m) => m.velocity).map((m) => m.velocity);
+    if (velocities.length > 5) {
+        const variance = calculateVariance(velocities);
+        if (variance < 0.1) {
+            anomalies.push({
+                name: 'mouse.constant_velocity',
+                value: variance,
+                weight: 6,
+            });
+        }
+    }
+
+    // KEY SIGNAL: Mouse-to-click ratio.
+    // Humans generate many mouse moves per click (typically 8-100+).
+    // CDP-driven agents generate almost no mouse moves (0-3 per click).
+    // Use clicks only — keystrokes don't require mouse movement, so including
+    // them inflates the denominator and penalises humans who type answers.
+    const totalClicks = eventStore.clicks.length;
+    if (totalClicks >= 3 && eventStore.pageLoadCount >= 2) {
+        const movePerClick = moves.length / totalClicks;
+        if (movePerClick < 2) {
+            // Almost no mouse movement relative to clicks — very strong agent signal.
+            anomalies.push({
+                name: 'comet.low_mouse_to_action_ratio',
+                value: movePerClick,
+                weight: 10,
+            });
+        } else if (movePerClick < 5) {
+            // Very low mouse movement — suspicious but not definitive.
+            anomalies.push({
+                name: 'comet.low_mouse_to_action_ratio',
+                value: movePerClick,
+                weight: 5,
+            });
+        }
+    }
+
+    return anomalies;
+};
+
+/**
+ * Find linear segments in mouse movement.
  *
- * @param {number} x Click X coordinate.
- * @param {number} y Click Y coordinate.
- * @returns {boolean} True if mouse movement preceded click.
+ * @param {Array} moves Mouse move events.
+ * @returns {number} Count of linear segments.
  */
-const checkPrecedingMouseMove = (x, y) => {
-    const recentMoves = eventStore.mouseMoves.slice(-10);
-    if (recentMoves.length === 0) {
-        return false;
+const findLinearSegments = (moves) => {
+    let linearCount = 0;
+    const threshold = 0.99; // Angle consistency threshold.
+
+    for (let i = 2; i < moves.length; i++) {
+        const angle1 = Math.atan2(
+            moves[i - 1].y - moves[i - 2].y,
+            moves[i - 1].x - moves[i - 2].x
+        );
+        const angle2 = Math.atan2(
+            moves[i].y - moves[i - 1].y,
+            moves[i].x - moves[i - 1].x
+        );
+
+        if (Math.abs(Math.cos(angle1 - angle2)) > threshold) {
+            linearCount++;
+        }
     }
 
-    // Check if any recent movement was near the click position.
-    return recentMoves.some((m) => {
-        const distance = Math.sqrt((m.x - x) ** 2 + (m.y - y) ** 2);
-        return distance < 50;
+    return linearCount;
+};
+
+/**
+ * Analyze the movements that lead to clicks.
+ *
+ * A hand aims in a primary movement that overshoots or falls short, then
+ * corrects in one or more smaller ones; its path wobbles and its speed
+ * rises and falls unevenly, and it takes longer over far or small targets
+ * (Fitts's law). Generated paths, Bézier curves included, bend smoothly,
+ * follow one eased speed profile and land on the target without
+ * correction, in much the same time whatever the target.
+ *
+ * @param {Array} [moves] Mouse moves, all of them by default.
+ * @param {Array} [clicks] Clicks they lead to.
+ * @returns {Array} Anomaly signals.
+ */
+const analyzeTrajectories = (moves = eventStore.mouseMoves, clicks = eventStore.clicks) => {
+    const anomalies = [];
+    const approaches = findApproaches(moves, clicks).map(describeApproach);
+    if (approaches.length < CONFIG.minApproaches) {
+        return anomalies;
+    }
+
+    // Straight approaches have no curvature to speak of.
+    const curved = approaches.filter((a) => a.straightness < 0.99);
+    const smooth = curved.filter((a) => a.curvatureReversals === 0);
+    if (curved.length >= 3 && smooth.length > curved.length * 0.7) {
+        anomalies.push({
+            name: 'trajectory.smooth_curvature',
+            value: smooth.length / curved.length,
+            weight: 4,
+        });
+    }
+
+    // Accelerating once and decelerating once is the minimum-jerk profile of an easing function.
+    const minimumJerk = approaches.filter((a) => a.accelerationReversals <= 1);
+    if (minimumJerk.length > approaches.length * 0.7) {
+        anomalies.push({
+            name: 'trajectory.minimum_jerk',
+            value: minimumJerk.length / approaches.length,
+            weight: 5,
+        });
+    }
+
+    const uncorrected = approaches.filter((a) => a.subMovements < 2 && !a.overshoot);
+    if (uncorrected.length >= approaches.length * 0.9) {
+        anomalies.push({
+            name: 'trajectory.no_correction',
+            value: uncorrected.length / approaches.length,
+            weight: 5,
+        });
+    }
+
+    // Movement time should grow with the index of difficulty, log2(distance / width + 1).
+    const aimed = approaches.filter((a) => a.width > 0);
+    if (aimed.length >= CONFIG.minApproaches) {
+        const difficulties = aimed.map((a) => Math.log2(a.distance / a.width + 1));
+        const times = aimed.map((a) => a.duration);
+        if (Math.max(...difficulties) - Math.min(...difficulties) >= 1) {
+            const correlation = calculateCorrelation(difficulties, times);
+            if (correlation < 0.2) {
+                anomalies.push({
+                    name: 'trajectory.fitts_violation',
+                    value: correlation,
+                    weight: 4,
+                });
+            }
+        }
+    }
+
+    return anomalies;
+};
+
+/**
+ * Find the movement that leads to each click: the unbroken run of mouse
+ * moves since the previous click that ends just before it.
+ *
+ * @param {Array} moves Mouse moves in time order.
+ * @param {Array} clicks Clicks in time order.
+ * @returns {Array} Approaches as {moves, click, distance, duration, width}; width is the smaller
+ *     side of the target, 0 if unknown.
+ */
+const findApproaches = (moves, clicks) => {
+    const approaches = [];
+    clicks.forEach((click, i) => {
+        const since = i > 0 ? clicks[i - 1].timestamp : -Infinity;
+        const before = moves.filter((m) => m.timestamp > since && m.timestamp <= click.timestamp);
+        let first = before.length - 1;
+        if (first < 0 || click.timestamp - before[first].timestamp > CONFIG.approachPause) {
+            return;
+        }
+        while (first > 0 && before[first].timestamp - before[first - 1].timestamp <= CONFIG.approachPause) {
+            first--;
+        }
+
+        const run = before.slice(first);
+        const distance = Math.hypot(click.x - run[0].x, click.y - run[0].y);
+        if (run.length < CONFIG.minApproachMoves || distance < CONFIG.minApproachDistance) {
+            return;
+        }
+        const target = click.target || {};
+        approaches.push({
+            moves: run,
+            click,
+            distance,
+            duration: click.timestamp - run[0].timestamp,
+            width: Math.min(target.width || 0, target.height || 0),
+        });
+    });
+    return approaches;
+};
+
+/**
+ * Compute the trajectory features of an approach.
+ *
+ * Positions are smoothed over three samples first, so that whole pixel
+ * coordinates do not pass for tremor.
+ *
+ * @param {Object} approach Approach from findApproaches().
+ * @returns {Object} The approach with straightness (distance over path length), curvatureReversals,
+ *     accelerationReversals, subMovements and overshoot (whether it went past the click).
+ */
+const describeApproach = (approach) => {
+    const {moves, click, distance} = approach;
+    const points = moves.map((m, i) => {
+        const window = moves.slice(Math.max(i - 1, 0), i + 2);
+        return {
+            x: window.reduce((sum, p) => sum + p.x, 0) / window.length,
+            y: window.reduce((sum, p) => sum + p.y, 0) / window.length,
+            timestamp: m.timestamp,
+        };
+    });
+
+    let length = 0;
+    const headings = [];
+    const speeds = [];
+    for (let i = 1; i < points.length; i++) {
+        const dx = points[i].x - points[i - 1].x;
+        const dy = points[i].y - points[i - 1].y;
+        const step = Math.hypot(dx, dy);
+        const elapsed = points[i].timestamp - points[i - 1].timestamp;
+        length += step;
+        if (step >= 5) {
+            headings.push(Math.atan2(dy, dx));
+        }
+        if (elapsed > 0) {
+            speeds.push(step / elapsed);
+        }
+    }
+
+    // Turns smaller than 0.02 rad, and speed changes under 5% of the peak, are noise.
+    const turns = headings.slice(1).map((heading, i) => Math.atan2(Math.sin(heading - headings[i]),
+        Math.cos(heading - headings[i])));
+    const peakSpeed = Math.max(0, ...speeds);
+    const accelerations = speeds.slice(1).map((speed, i) => speed - speeds[i]);
+
+    // Overshooting carries the pointer past the click along the line of the movement.
+    const start = moves[0];
+    const ux = (click.x - start.x) / distance;
+    const uy = (click.y - start.y) / distance;
+    const reach = Math.max(...moves.map((m) => (m.x - start.x) * ux + (m.y - start.y) * uy));
+
+    return {
+        ...approach,
+        straightness: length > 0 ? distance / Math.max(length, distance) : 1,
+        curvatureReversals: countReversals(turns, 0.02),
+        accelerationReversals: countReversals(accelerations, peakSpeed * 0.05),
+        subMovements: countSubMovements(speeds),
+        overshoot: reach > distance + 2,
+    };
+};
+
+/**
+ * Count the sign changes in a series, ignoring values too small to matter.
+ *
+ * @param {Array<number>} values Series.
+ * @param {number} deadband Values within this of zero are skipped.
+ * @returns {number} Sign changes.
+ */
+const countReversals = (values, deadband) => {
+    let reversals = 0;
+    let sign = 0;
+    for (const value of values) {
+        if (Math.abs(value) < deadband) {
+            continue;
+        }
+        if (sign && Math.sign(value) !== sign) {
+            reversals++;
+        }
+        sign = Math.sign(value);
+    }
+    return reversals;
+};
+
+/**
+ * Count the sub-movements of a speed profile: peaks separated from the
+ * previous one by a fall to under half their speed.
+ *
+ * @param {Array<number>} speeds Speeds in time order.
+ * @returns {number} Sub-movements.
+ */
+const countSubMovements = (speeds) => {
+    const floor = Math.max(0, ...speeds) * 0.1;
+    let count = 0;
+    let low = Infinity;
+    speeds.forEach((speed, i) => {
+        low = Math.min(low, speed);
+        const peak = speed >= floor && (i === 0 || speed >= speeds[i - 1])
+            && (i === speeds.length - 1 || speed > speeds[i + 1]);
+        if (peak && (count === 0 || low < speed * 0.5)) {
+            count++;
+            low = speed;
+        }
     });
+    return count;
+};
+
+/**
+ * Analyze click patterns.
+ *
+ * @param {Array} [clicks] Clicks to analyze, all of them by default.
+ * @param {number} [moveCount] Mouse moves that went with them.
+ * @returns {Array} Anomaly signals.
+ */
+const analyzeClicks = (clicks = eventStore.clicks, moveCount = eventStore.mouseMoves.length) => {
+    const anomalies = [];
+
+    if (clicks.length < CONFIG.minClicks) {
+        return anomalies;
+    }
+
+    // Check for clicks at exact element centers (agents click perfectly).
+    const centerClicks = clicks.filter(
+        (c) => c.offsetFromCenter < CONFIG.centerClickTolerance
+    );
+    if (centerClicks.length > clicks.length * 0.5) {
+        anomalies.push({
+            name: 'click.center_precision',
+            value: centerClicks.length / clicks.length,
+            weight: 10, // Increased - strong agent indicator.
+        });
+    }
+
+    // Ultra-precise center clicks (< 2px offset) -- strong agentic indicator.
+    // Agents target elements by reference, landing at exact computed center.
+    const ultraPreciseClicks = clicks.filter(
+        (c) => c.offsetFromCenter < 2
+    );
+    if (ultraPreciseClicks.length > clicks.length * 0.6 && clicks.length >= 3) {
+        anomalies.push({
+            name: 'comet.ultra_precise_center',
+            value: ultraPreciseClicks.length / clicks.length,
+            weight: 10,
+        });
+    }
+
+    // Check for clicks without preceding hover.
+    const noHoverClicks = clicks.filter((c) => !c.hadPrecedingHover);
+    if (noHoverClicks.length > clicks.length * 0.7) {
+        anomalies.push({
+            name: 'click.no_hover',
+            value: noHoverClicks.length / clicks.length,
+            weight: 6,
+        });
+    }
+
+    // Check for clicks without preceding mouse movement (teleport clicks).
+    const noMoveClicks = clicks.filter((c) => !c.hadPrecedingMouseMove);
+    if (noMoveClicks.length > clicks.length * 0.5) {
+        anomalies.push({
+            name: 'click.no_movement',
+            value: noMoveClicks.length / clicks.length,
+            weight: 9, // Increased - agents teleport to click targets.
+        });
+    }
+
+    // STRONG INDICATOR: Clicks with NO mouse data at all (pure teleport).
+    if (clicks.length >= 3 && moveCount < clicks.length * 2) {
+        anomalies.push({
+            name: 'click.teleport_pattern',
+            value: moveCount / clicks.length,
+            weight: 10, // Very strong - humans move mouse much more than they click.
+        });
+    }
+
+    // Check for impossibly fast clicks (< 50ms reaction time).
+    // Humans trigger this routinely with rapid double-clicks on radio buttons
+    // and "Next page" buttons during quizzes — weak signal on its own.
+    const interClickTimes = [];
+    for (let i = 1; i < clicks.length; i++) {
+        interClickTimes.push(clicks[i].timestamp - clicks[i - 1].timestamp);
+    }
+    const fastClicks = interClickTimes.filter((t) => t < CONFIG.minHumanReactionTime);
+    if (fastClicks.length > 0) {
+        anomalies.push({
+            name: 'click.superhuman_speed',
+            value: fastClicks.length,
+            weight: 3,
+        });
+    }
+
+    // Check for perfectly regular click timing.
+    if (interClickTimes.length >= 3) {
+        const variance = calculateVariance(interClickTimes);
+        if (variance < CONFIG.perfectTimingVariance) {
+            anomalies.push({
+                name: 'click.perfect_timing',
+                value: variance,
+                weight: 8,
+            });
+        }
+    }
+
+    return anomalies;
 };
 
 /**
- * Analyze collected interaction data for anomalies.
+ * Analyze keystroke patterns.
  *
- * @returns {Object} Analysis results with anomaly signals.
+ * @returns {Array} Anomaly signals.
  */
-export const analyze = () => {
-    if (analysisCache) {
-        return analysisCache;
-    }
-
-    const results = {
-        timestamp: Date.now(),
-        duration: Date.now() - eventStore.startTime,
-        pageLoadCount: eventStore.pageLoadCount,
-        eventCounts: {
-            mouseMoves: eventStore.mouseMoves.length,
-            clicks: eventStore.clicks.length,
-            keystrokes: eventStore.keystrokes.length,
-            scrolls: eventStore.scrolls.length,
-            hovers: eventStore.hovers.length,
-            focusChanges: eventStore.focusChanges.length,
-            pointerEvents: eventStore.pointerEvents.length,
-        },
-        anomalies: [],
-        score: 0,
-    };
-
-    // Run individual analyses.
-    results.anomalies.push(...analyzeMouseMovement());
-    results.anomalies.push(...analyzeClicks());
-    results.anomalies.push(...analyzeKeystrokes());
-    results.anomalies.push(...analyzeScrolling());
-    results.anomalies.push(...analyzeEventSequence());
-
-    // Comet agentic mode analyses.
-    results.anomalies.push(...analyzeActionBursts());
-    results.anomalies.push(...analyzeCDPClickPatterns());
-    results.anomalies.push(...analyzePointerEvents());
-    results.anomalies.push(...analyzePerPageRatio());
-    results.anomalies.push(...analyzeScrollClickCorrelation());
+const analyzeKeystrokes = () => {
+    const anomalies = [];
+    const keystrokes = eventStore.keystrokes.filter((k) => k.type === 'down');
 
-    // Calculate overall score.
-    results.score = calculateInteractionScore(results.anomalies);
+    // Zero keystrokes across multiple pages with significant click activity
+    // is a strong agent indicator. Humans press Tab, Space, Enter, arrow keys
+    // even on MCQ quizzes. Require 2+ pages to avoid penalising the first page load.
+    if (keystrokes.length === 0 && eventStore.clicks.length >= 5 && eventStore.pageLoadCount >= 2) {
+        anomalies.push({
+            name: 'comet.zero_keystrokes',
+            value: 0,
+            weight: 9,
+        });
+    }
 
-    analysisCache = results;
-    return results;
+    anomalies.push(...analyzeKeystrokeTiming(keystrokes));
+    anomalies.push(...analyzeFreeText(keystrokes));
+    return anomalies;
 };
 
 /**
- * Analyze mouse movement patterns.
+ * Analyze the timing of keydowns.
  *
+ * @param {Array} keystrokes Keydown events.
  * @returns {Array} Anomaly signals.
  */
-const analyzeMouseMovement = () => {
+const analyzeKeystrokeTiming = (keystrokes) => {
     const anomalies = [];
-    const moves = eventStore.mouseMoves;
-
-    if (moves.length < CONFIG.minMouseMoves) {
-        anomalies.push({
-            name: 'mouse.insufficient_data',
-            value: moves.length,
-            weight: 2,
-        });
+    if (keystrokes.length < CONFIG.minKeystrokes) {
         return anomalies;
     }
 
-    // Check for perfectly linear movements.
-    // Note: humans trigger this at 0.44-0.57 so it's a weak signal.
-    const linearSegments = findLinearSegments(moves);
-    if (linearSegments > moves.length * 0.3) {
-        anomalies.push({
-            name: 'mouse.linear_movement',
-            value: linearSegments / moves.length,
-            weight: 3, // Reduced from 7 — humans trigger this often.
-        });
+    // Check inter-key timing variance.
+    const interKeyTimes = keystrokes.slice(1).map((k) => k.deltaTime);
+    if (interKeyTimes.length >= 5) {
+        const variance = calculateVariance(interKeyTimes);
+        if (variance < CONFIG.perfectTimingVariance) {
+            anomalies.push({
+                name: 'keystroke.perfect_timing',
+                value: variance,
+                weight: 9,
+            });
+        }
     }
 
-    // Check for teleporting (instant position changes).
-    const teleports = moves.filter((m) => m.velocity > CONFIG.maxMouseSpeed);
-    if (teleports.length > 0) {
+    // Comet-specific: check coefficient of variation for inter-key timing.
+    // Human typing has CV > 0.3; agent-dispatched keystrokes have CV < 0.1.
+    const keyMean = interKeyTimes.reduce((a, b) => a + b, 0) / interKeyTimes.length;
+    const keyStdDev = Math.sqrt(calculateVariance(interKeyTimes));
+    const keyCV = keyMean > 0 ? keyStdDev / keyMean : 0;
+
+    if (keyCV < 0.1 && interKeyTimes.length >= 10) {
         anomalies.push({
-            name: 'mouse.teleport',
-            value: teleports.length,
-            weight: 8,
+            name: 'comet.uniform_keystroke_cadence',
+            value: keyCV,
+            weight: 9,
         });
     }
 
-    // Check for no mouse movement at all (common in automated tests).
-    const duration = Date.now() - eventStore.startTime;
-    if (moves.length < duration / 5000) { // Less than 1 move per 5 seconds.
+    // Check for impossibly fast typing (< 30ms between keys is ~2000 WPM).
+    const fastKeys = interKeyTimes.filter((t) => t > 0 && t < 30);
+    if (fastKeys.length > interKeyTimes.length * 0.3) {
         anomalies.push({
-            name: 'mouse.sparse_movement',
-            value: moves.length,
-            weight: 5,
+            name: 'keystroke.superhuman_speed',
+            value: fastKeys.length / interKeyTimes.length,
+            weight: 9,
         });
     }
 
-    // Check velocity variance (humans have high variance).
-    const velocities = moves.filter((m) => m.velocity).map((m) => m.velocity);
-    if (velocities.length > 5) {
-        const variance = calculateVariance(velocities);
-        if (variance < 0.1) {
+    // Check key hold duration variance.
+    const holdDurations = keystrokes.filter((k) => k.holdDuration).map((k) => k.holdDuration);
+    if (holdDurations.length >= 5) {
+        const variance = calculateVariance(holdDurations);
+        if (variance < 1) {
             anomalies.push({
-                name: 'mouse.constant_velocity',
+                name: 'keystroke.constant_hold',
                 value: variance,
-                weight: 6,
+                weight: 7,
             });
         }
+
+        // Comet-specific: check hold duration coefficient of variation.
+        if (holdDurations.length >= 10) {
+            const holdMean = holdDurations.reduce((a, b) => a + b, 0) / holdDurations.length;
+            const holdStdDev = Math.sqrt(calculateVariance(holdDurations));
+            const holdCV = holdMean > 0 ? holdStdDev / holdMean : 0;
+
+            if (holdCV < 0.1) {
+                anomalies.push({
+                    name: 'comet.uniform_hold_duration',
+                    value: holdCV,
+                    weight: 8,
+                });
+            }
+        }
     }
 
-    // KEY SIGNAL: Mouse-to-click ratio.
-    // Humans generate many mouse moves per click (typically 8-100+).
-    // CDP-driven agents generate almost no mouse moves (0-3 per click).
-    // Use clicks only — keystrokes don't require mouse movement, so including
-    // them inflates the denominator and penalises humans who type answers.
-    const totalClicks = eventStore.clicks.length;
-    if (totalClicks >= 3 && eventStore.pageLoadCount >= 2) {
-        const movePerClick = moves.length / totalClicks;
-        if (movePerClick < 2) {
-            // Almost no mouse movement relative to clicks — very strong agent signal.
+    return anomalies;
+};
+
+/**
+ * Analyze the typing of free-text answers.
+ *
+ * Auto-typer extensions type out a prepared answer one keydown at a time,
+ * with gaps randomised enough to pass the cadence checks above. What they
+ * leave out is the structure of composing text: a key after one from the
+ * same hand comes later than a key from the other hand, words come in
+ * bursts between pauses to think, mistakes get deleted, and the pace
+ * drifts as the answer grows. Only which hand typed each key is known,
+ * never the character.
+ *
+ * @param {Array} keystrokes Keydown events.
+ * @returns {Array} Anomaly signals.
+ */
+const analyzeFreeText = (keystrokes) => {
+    const anomalies = [];
+    const typed = keystrokes.filter((k) => k.text);
+    const characters = typed.filter((k) => k.key === 'char').length;
+    if (characters < CONFIG.minTypedKeys) {
+        return anomalies;
+    }
+
+    // Gaps between keys in the same answer; a long gap means the student left the field.
+    const gaps = [];
+    typed.slice(1).forEach((k, i) => {
+        const previous = typed[i];
+        const latency = k.timestamp - previous.timestamp;
+        if (latency > 0 && latency <= CONFIG.maxTypingGap && k.attempt === previous.attempt && k.slot === previous.slot) {
+            gaps.push({latency, digraph: getDigraph(previous, k)});
+        }
+    });
+    if (gaps.length < CONFIG.minTypedKeys) {
+        return anomalies;
+    }
+    const latencies = gaps.map((gap) => gap.latency);
+
+    // Reaching for a key with the hand that has just typed takes longer than with the other.
+    const digraphLatencies = (digraph) => gaps.filter((gap) => gap.digraph === digraph).map((gap) => gap.latency);
+    const [sameHand, alternating] = [digraphLatencies('same'), digraphLatencies('alternate')];
+    if (sameHand.length >= CONFIG.minDigraphs && alternating.length >= CONFIG.minDigraphs) {
+        const ratio = calculateMedian(sameHand) / calculateMedian(alternating);
+        if (ratio < 1.1) {
             anomalies.push({
-                name: 'comet.low_mouse_to_action_ratio',
-                value: movePerClick,
-                weight: 10,
+                name: 'keystroke.flat_digraphs',
+                value: ratio,
+                weight: 4,
             });
-        } else if (movePerClick < 5) {
-            // Very low mouse movement — suspicious but not definitive.
+        }
+    }
+
+    const pause = Math.max(calculateMedian(latencies) * 3, CONFIG.typingPause);
+    const pauseRatio = latencies.filter((latency) => latency >= pause).length / latencies.length;
+    if (pauseRatio < 0.01) {
+        anomalies.push({
+            name: 'keystroke.no_pauses',
+            value: pauseRatio,
+            weight: 5,
+        });
+    }
+
+    const corrections = typed.filter((k) => CORRECTION_KEYS.includes(k.key)).length;
+    if (characters >= CONFIG.minTypedKeys * 2 && corrections / characters < 0.005) {
+        anomalies.push({
+            name: 'keystroke.no_corrections',
+            value: corrections / characters,
+            weight: 4,
+        });
+    }
+
+    // The rate over successive runs of keys, from the start of the answer to its end.
+    const rates = [];
+    for (let i = 0; i + CONFIG.typingWindow <= latencies.length; i += CONFIG.typingWindow) {
+        const duration = latencies.slice(i, i + CONFIG.typingWindow).reduce((a, b) => a + b, 0);
+        rates.push(CONFIG.typingWindow * 1000 / duration);
+    }
+    if (rates.length >= 5) {
+        const mean = rates.reduce((a, b) => a + b, 0) / rates.length;
+        const rateCV = Math.sqrt(calculateVariance(rates)) / mean;
+        if (rateCV < 0.1) {
             anomalies.push({
-                name: 'comet.low_mouse_to_action_ratio',
-                value: movePerClick,
+                name: 'keystroke.constant_rate',
+                value: rateCV,
                 weight: 5,
             });
         }
@@ -607,222 +2184,259 @@ const analyzeMouseMovement = () => {
 };
 
 /**
- * Find linear segments in mouse movement.
+ * Classify a pair of successive keys by the hands that typed them.
  *
- * @param {Array} moves Mouse move events.
- * @returns {number} Count of linear segments.
+ * @param {Object} first Earlier keydown.
+ * @param {Object} second Later keydown.
+ * @returns {string|null} 'same' or 'alternate', or null unless both are character keys of a hand.
  */
-const findLinearSegments = (moves) => {
-    let linearCount = 0;
-    const threshold = 0.99; // Angle consistency threshold.
-
-    for (let i = 2; i < moves.length; i++) {
-        const angle1 = Math.atan2(
-            moves[i - 1].y - moves[i - 2].y,
-            moves[i - 1].x - moves[i - 2].x
-        );
-        const angle2 = Math.atan2(
-            moves[i].y - moves[i - 1].y,
-            moves[i].x - moves[i - 1].x
-        );
-
-        if (Math.abs(Math.cos(angle1 - angle2)) > threshold) {
-            linearCount++;
-        }
+const getDigraph = (first, second) => {
+    const hands = ['left', 'right'];
+    if (first.key !== 'char' || second.key !== 'char' || !hands.includes(first.hand) || !hands.includes(second.hand)) {
+        return null;
     }
-
-    return linearCount;
+    return first.hand === second.hand ? 'same' : 'alternate';
 };
 
 /**
- * Analyze click patterns.
+ * Analyze where the text of answer fields came from.
  *
+ * @param {Array} [inputs] Answer field changes.
  * @returns {Array} Anomaly signals.
  */
-const analyzeClicks = () => {
+const analyzeInputs = (inputs = eventStore.inputs) => {
     const anomalies = [];
-    const clicks = eventStore.clicks;
+    const largest = (sources) => Math.max(0, ...inputs.filter((i) => sources.includes(i.source)).map((i) => i.size));
 
-    if (clicks.length < CONFIG.minClicks) {
-        return anomalies;
-    }
-
-    // Check for clicks at exact element centers (agents click perfectly).
-    const centerClicks = clicks.filter(
-        (c) => c.offsetFromCenter < CONFIG.centerClickTolerance
-    );
-    if (centerClicks.length > clicks.length * 0.5) {
+    const pasted = largest([INPUT_SOURCES.PASTED, INPUT_SOURCES.DROPPED]);
+    if (pasted >= CONFIG.largePaste) {
         anomalies.push({
-            name: 'click.center_precision',
-            value: centerClicks.length / clicks.length,
-            weight: 10, // Increased - strong agent indicator.
+            name: 'input.large_paste',
+            value: pasted,
+            weight: 6,
         });
     }
 
-    // Ultra-precise center clicks (< 2px offset) -- strong agentic indicator.
-    // Agents target elements by reference, landing at exact computed center.
-    const ultraPreciseClicks = clicks.filter(
-        (c) => c.offsetFromCenter < 2
-    );
-    if (ultraPreciseClicks.length > clicks.length * 0.6 && clicks.length >= 3) {
+    // Extensions that write the answer for the student set it from a script.
+    const programmatic = largest([INPUT_SOURCES.PROGRAMMATIC]);
+    if (programmatic >= CONFIG.minProgrammaticInsert) {
         anomalies.push({
-            name: 'comet.ultra_precise_center',
-            value: ultraPreciseClicks.length / clicks.length,
-            weight: 10,
+            name: 'input.programmatic_set',
+            value: programmatic,
+            weight: 8,
         });
     }
 
-    // Check for clicks without preceding hover.
-    const noHoverClicks = clicks.filter((c) => !c.hadPrecedingHover);
-    if (noHoverClicks.length > clicks.length * 0.7) {
+    return anomalies;
+};
+
+/**
+ * Analyze whether events came from the browser's own input.
+ *
+ * Browser extensions that click and type for the student dispatch events
+ * from a script, which the browser marks untrusted, with whatever
+ * coordinates and click count the script gives them. Input injected
+ * through the DevTools protocol is trusted, but leaves out the click count
+ * and mouse movement deltas unless the driver fills them in.
+ *
+ * @param {Object} [events] Events by store: clicks, keystrokes, pointerEvents and mouseMoves.
+ * @returns {Array} Anomaly signals.
+ */
+const analyzeAuthenticity = (events = eventStore) => {
+    const anomalies = [];
+    const keydowns = events.keystrokes.filter((k) => k.type === 'down');
+    const pointerDowns = events.pointerEvents.filter((p) => p.type === 'down');
+
+    const untrusted = [...events.clicks, ...keydowns, ...pointerDowns, ...events.mouseMoves]
+        .filter((event) => event.trusted === false).length;
+    if (untrusted >= CONFIG.minUntrustedEvents) {
         anomalies.push({
-            name: 'click.no_hover',
-            value: noHoverClicks.length / clicks.length,
-            weight: 6,
+            name: 'event.untrusted',
+            value: untrusted,
+            weight: 10,
         });
     }
 
-    // Check for clicks without preceding mouse movement (teleport clicks).
-    const noMoveClicks = clicks.filter((c) => !c.hadPrecedingMouseMove);
-    if (noMoveClicks.length > clicks.length * 0.5) {
+    // Moving across the viewport moves across the screen the same way, whatever the zoom.
+    // Keyboard clicks are at 0,0 in both.
+    const positioned = [...events.mouseMoves, ...events.clicks.filter((c) => c.x || c.y)]
+        .filter((event) => typeof event.screenX === 'number' && typeof event.screenY === 'number')
+        .sort((a, b) => a.timestamp - b.timestamp);
+    let [compared, impossible] = [0, 0];
+    positioned.slice(1).forEach((event, i) => {
+        const previous = positioned[i];
+        const axes = [[event.x - previous.x, event.screenX - previous.screenX],
+            [event.y - previous.y, event.screenY - previous.screenY]].filter(([client]) => Math.abs(client) >= 5);
+        if (axes.length) {
+            compared++;
+            if (axes.some(([client, screen]) => Math.sign(client) !== Math.sign(screen))) {
+                impossible++;
+            }
+        }
+    });
+    if (impossible >= 3 && impossible > compared * 0.5) {
         anomalies.push({
-            name: 'click.no_movement',
-            value: noMoveClicks.length / clicks.length,
-            weight: 9, // Increased - agents teleport to click targets.
+            name: 'event.impossible_coordinates',
+            value: impossible / compared,
+            weight: 9,
         });
     }
 
-    // STRONG INDICATOR: Clicks with NO mouse data at all (pure teleport).
-    const totalMouseMoves = eventStore.mouseMoves.length;
-    if (clicks.length >= 3 && totalMouseMoves < clicks.length * 2) {
+    // Pressing a mouse button counts a click; keyboard and accessibility clicks count none.
+    const uncounted = events.clicks.filter((c) => c.pressed && c.detail === 0).length;
+    if (uncounted >= 3) {
         anomalies.push({
-            name: 'click.teleport_pattern',
-            value: totalMouseMoves / clicks.length,
-            weight: 10, // Very strong - humans move mouse much more than they click.
+            name: 'click.zero_detail',
+            value: uncounted,
+            weight: 7,
         });
     }
 
-    // Check for impossibly fast clicks (< 50ms reaction time).
-    // Humans trigger this routinely with rapid double-clicks on radio buttons
-    // and "Next page" buttons during quizzes — weak signal on its own.
-    const interClickTimes = [];
-    for (let i = 1; i < clicks.length; i++) {
-        interClickTimes.push(clicks[i].timestamp - clicks[i - 1].timestamp);
-    }
-    const fastClicks = interClickTimes.filter((t) => t < CONFIG.minHumanReactionTime);
-    if (fastClicks.length > 0) {
+    // Browsers without movement deltas leave them undefined.
+    const moved = events.mouseMoves.filter((m) => (m.deltaX || m.deltaY) && typeof m.movementX === 'number');
+    if (moved.length >= CONFIG.minMouseMoves && moved.every((m) => m.movementX === 0 && m.movementY === 0)) {
         anomalies.push({
-            name: 'click.superhuman_speed',
-            value: fastClicks.length,
-            weight: 3,
+            name: 'mouse.no_movement_delta',
+            value: moved.length,
+            weight: 6,
         });
     }
 
-    // Check for perfectly regular click timing.
-    if (interClickTimes.length >= 3) {
-        const variance = calculateVariance(interClickTimes);
-        if (variance < CONFIG.perfectTimingVariance) {
-            anomalies.push({
-                name: 'click.perfect_timing',
-                value: variance,
-                weight: 8,
-            });
-        }
-    }
-
     return anomalies;
 };
 
 /**
- * Analyze keystroke patterns.
+ * Analyze what the student did around leaving the page.
+ *
+ * Students who have a chatbot answer for them copy the question, leave
+ * for the chatbot's tab or window, and paste its answer when they come
+ * back. Leaving on its own is left alone: students look away, check
+ * messages and switch windows by accident.
  *
+ * @param {Array} [timeline] Copies and departures.
+ * @param {Array} [inputs] Answer field changes.
  * @returns {Array} Anomaly signals.
  */
-const analyzeKeystrokes = () => {
+const analyzeTimeline = (timeline = eventStore.timeline, inputs = eventStore.inputs) => {
     const anomalies = [];
-    const keystrokes = eventStore.keystrokes.filter((k) => k.type === 'down');
+    const copies = timeline.filter((t) => t.source === COPY_SOURCES.QUESTION && t.size > 0);
+    const departures = timeline.filter((t) => t.type === 'departure');
+    const pastes = inputs.filter((i) => i.source === INPUT_SOURCES.PASTED && i.size >= CONFIG.minReturnPaste);
 
-    // Zero keystrokes across multiple pages with significant click activity
-    // is a strong agent indicator. Humans press Tab, Space, Enter, arrow keys
-    // even on MCQ quizzes. Require 2+ pages to avoid penalising the first page load.
-    if (keystrokes.length === 0 && eventStore.clicks.length >= 5 && eventStore.pageLoadCount >= 2) {
+    if (copies.length) {
         anomalies.push({
-            name: 'comet.zero_keystrokes',
-            value: 0,
-            weight: 9,
+            name: 'focus.question_copied',
+            value: copies.length,
+            weight: 3,
         });
     }
 
-    if (keystrokes.length < CONFIG.minKeystrokes) {
-        return anomalies;
-    }
-
-    // Check inter-key timing variance.
-    const interKeyTimes = keystrokes.slice(1).map((k) => k.deltaTime);
-    if (interKeyTimes.length >= 5) {
-        const variance = calculateVariance(interKeyTimes);
-        if (variance < CONFIG.perfectTimingVariance) {
-            anomalies.push({
-                name: 'keystroke.perfect_timing',
-                value: variance,
-                weight: 9,
-            });
+    // Each departure counts once, however many pastes follow it.
+    const followed = new Set();
+    pastes.forEach((paste) => {
+        const departure = departures.filter((d) => d.timestamp <= paste.timestamp
+            && paste.timestamp - d.timestamp <= CONFIG.returnPasteWindow).pop();
+        if (departure) {
+            followed.add(departure);
         }
-    }
-
-    // Comet-specific: check coefficient of variation for inter-key timing.
-    // Human typing has CV > 0.3; agent-dispatched keystrokes have CV < 0.1.
-    const keyMean = interKeyTimes.reduce((a, b) => a + b, 0) / interKeyTimes.length;
-    const keyStdDev = Math.sqrt(calculateVariance(interKeyTimes));
-    const keyCV = keyMean > 0 ? keyStdDev / keyMean : 0;
+    });
+    const copied = Array.from(followed).filter((d) => copies.some((c) => c.timestamp <= d.left
+        && d.left - c.timestamp <= CONFIG.copyLeaveWindow));
 
-    if (keyCV < 0.1 && interKeyTimes.length >= 10) {
+    if (copied.length) {
         anomalies.push({
-            name: 'comet.uniform_keystroke_cadence',
-            value: keyCV,
+            name: 'focus.copy_leave_paste',
+            value: copied.length,
             weight: 9,
         });
     }
-
-    // Check for impossibly fast typing (< 30ms between keys is ~2000 WPM).
-    const fastKeys = interKeyTimes.filter((t) => t > 0 && t < 30);
-    if (fastKeys.length > interKeyTimes.length * 0.3) {
+    if (followed.size > copied.length) {
         anomalies.push({
-            name: 'keystroke.superhuman_speed',
-            value: fastKeys.length / interKeyTimes.length,
-            weight: 9,
+            name: 'focus.paste_after_return',
+            value: followed.size - copied.length,
+            weight: 5,
         });
     }
 
-    // Check key hold duration variance.
-    const holdDurations = keystrokes.filter((k) => k.holdDuration).map((k) => k.holdDuration);
-    if (holdDurations.length >= 5) {
-        const variance = calculateVariance(holdDurations);
-        if (variance < 1) {
-            anomalies.push({
-                name: 'keystroke.constant_hold',
-                value: variance,
-                weight: 7,
-            });
-        }
-
-        // Comet-specific: check hold duration coefficient of variation.
-        if (holdDurations.length >= 10) {
-            const holdMean = holdDurations.reduce((a, b) => a + b, 0) / holdDurations.length;
-            const holdStdDev = Math.sqrt(calculateVariance(holdDurations));
-            const holdCV = holdMean > 0 ? holdStdDev / holdMean : 0;
+    return anomalies;
+};
 
-            if (holdCV < 0.1) {
-                anomalies.push({
-                    name: 'comet.uniform_hold_duration',
-                    value: holdCV,
-                    weight: 8,
+/**
+ * Analyze the events of each quiz question separately.
+ *
+ * Only the checks of clicks, keys, touches, answer changes and copies make
+ * sense for a single question; the others look at the session as a whole,
+ * as does assistive technology use when an accommodation applies. Leaving
+ * the page belongs to no question, so the copies and pastes of each are
+ * matched with every departure. Each question is judged by the input it
+ * was answered with.
+ *
+ * @param {Array} [assistive] Assistive technology patterns of the session.
+ * @returns {Array} Per-question results: {name, attempt, slot, eventCounts, anomalies, score}.
+ */
+const analyzeSlots = (assistive = []) => {
+    const slots = new Map();
+    const storeNames = ['mouseMoves', 'clicks', 'keystrokes', 'focusChanges', 'pointerEvents', 'contacts', 'inputs',
+        'timeline'];
+    storeNames.forEach((storeName) => {
+        eventStore[storeName].forEach((event) => {
+            if (!event.slot) {
+                return;
+            }
+            const name = event.attempt + ':' + event.slot;
+            if (!slots.has(name)) {
+                slots.set(name, {
+                    attempt: event.attempt,
+                    slot: event.slot,
+                    ...Object.fromEntries(storeNames.map((store) => [store, []])),
                 });
             }
-        }
-    }
+            slots.get(name)[storeName].push(event);
+        });
+    });
 
-    return anomalies;
+    const departures = eventStore.timeline.filter((t) => t.type === 'departure');
+
+    // Keep the order stable so that report deltas can patch questions one by one.
+    const names = Array.from(slots.keys()).sort((a, b) => {
+        const [first, second] = [slots.get(a), slots.get(b)];
+        return first.attempt - second.attempt || first.slot - second.slot;
+    });
+    return names.map((name) => {
+        const events = slots.get(name);
+        const keystrokes = events.keystrokes.filter((k) => k.type === 'down');
+        const eventCounts = {
+            mouseMoves: events.mouseMoves.length,
+            clicks: events.clicks.length,
+            keystrokes: keystrokes.length,
+            focusChanges: events.focusChanges.length,
+            contacts: events.contacts.length,
+            ...countPresses(events.pointerEvents, events.contacts),
+        };
+        let anomalies = [
+            ...analyzeClicks(events.clicks, events.mouseMoves.length),
+            ...analyzeKeystrokeTiming(keystrokes),
+            ...analyzeFreeText(keystrokes),
+            ...analyzeInputs(events.inputs),
+            ...analyzeAuthenticity(events),
+            ...analyzeTimeline([...events.timeline, ...departures], events.inputs),
+        ];
+        if (detectModality(eventCounts) !== MODALITIES.MOUSE) {
+            anomalies = anomalies.filter((a) => !DESKTOP_ANOMALIES.includes(a.name));
+            anomalies.push(...analyzeContacts(events.contacts, events.clicks));
+        }
+        if (accommodation) {
+            anomalies = accommodate(anomalies, assistive, accommodation).anomalies;
+        }
+        return {
+            name,
+            attempt: events.attempt,
+            slot: events.slot,
+            eventCounts,
+            anomalies,
+            score: calculateInteractionScore(anomalies, eventCounts),
+        };
+    });
 };
 
 /**
@@ -932,6 +2546,280 @@ const analyzeEventSequence = () => {
     return anomalies;
 };
 
+/**
+ * Analyze touch and pen contacts.
+ *
+ * People press with a soft contact whose size and pressure keep changing,
+ * hold each tap for tens of milliseconds, land off centre by varying
+ * amounts and swipe along curves that speed up and slow down. Touches
+ * dispatched through CDP or built in script keep one contact size and
+ * pressure, lift at once, and hit every target at the same spot. A click
+ * with no contact before it did not come from the screen at all.
+ *
+ * @param {Array} [contacts] Contacts to analyze, all of them by default.
+ * @param {Array} [clicks] Clicks that went with them.
+ * @returns {Array} Anomaly signals.
+ */
+const analyzeContacts = (contacts = eventStore.contacts, clicks = eventStore.clicks) => {
+    const anomalies = [];
+    const starts = contacts.filter((c) => c.type === 'start');
+    const gestures = findGestures(contacts);
+
+    // Some screens report neither contact size nor pressure, which is no sign of anything.
+    const samples = contacts.filter((c) => c.type !== 'end');
+    const radii = samples.map((c) => c.radius || 0);
+    const forces = samples.map((c) => c.force || 0);
+    const reported = radii.some((r) => r > 0) || forces.some((f) => f > 0);
+    if (starts.length >= CONFIG.minContacts && reported
+        && calculateVariance(radii) === 0 && calculateVariance(forces) === 0) {
+        anomalies.push({
+            name: 'touch.uniform_contact',
+            value: starts.length,
+            weight: 6,
+        });
+    }
+
+    // Taps lifted sooner than a finger can.
+    const taps = gestures.filter((g) => g.end && g.samples.every(
+        (c) => Math.hypot(c.x - g.start.x, c.y - g.start.y) < CONFIG.tapTolerance
+    ));
+    if (taps.length >= CONFIG.minClicks) {
+        const instant = taps.filter((g) => g.end.timestamp - g.start.timestamp < CONFIG.minTapDuration);
+        if (instant.length > taps.length * 0.5) {
+            anomalies.push({
+                name: 'touch.instant_tap',
+                value: instant.length / taps.length,
+                weight: 8,
+            });
+        }
+    }
+
+    // Swipes along a ruler at constant speed.
+    const swipes = gestures.filter((g) => g.end && !taps.includes(g) && g.samples.length >= 4);
+    if (swipes.length >= 3) {
+        const mechanical = swipes.filter(isMechanicalSwipe);
+        if (mechanical.length > swipes.length * 0.5) {
+            anomalies.push({
+                name: 'touch.linear_swipe',
+                value: mechanical.length / swipes.length,
+                weight: 5,
+            });
+        }
+    }
+
+    const tapped = clicks.filter((c) => contacts.some(
+        (t) => t.timestamp <= c.timestamp && c.timestamp - t.timestamp < CONFIG.contactWindow
+    ));
+
+    // Fingers land a different distance from the centre each time. Landing the same distance
+    // off it every time is how an agent avoids click.center_precision.
+    if (tapped.length >= CONFIG.minContacts) {
+        const offsets = tapped.map((c) => c.offsetFromCenter);
+        const meanOffset = offsets.reduce((a, b) => a + b, 0) / offsets.length;
+        const spread = Math.sqrt(calculateVariance(offsets));
+        if (spread < 1 && meanOffset >= CONFIG.centerClickTolerance) {
+            anomalies.push({
+                name: 'touch.fixed_tap_offset',
+                value: spread,
+                weight: 7,
+            });
+        }
+    }
+
+    if (clicks.length >= CONFIG.minClicks) {
+        const untouched = clicks.length - tapped.length;
+        if (untouched > clicks.length * 0.5) {
+            anomalies.push({
+                name: 'touch.click_without_contact',
+                value: untouched / clicks.length,
+                weight: 9,
+            });
+        }
+    }
+
+    return anomalies;
+};
+
+/**
+ * Group contacts into gestures, from a touch or pen going down to it lifting.
+ *
+ * @param {Array} contacts Contacts in time order.
+ * @returns {Array} Gestures as {start, end, samples}: end is null while the contact lasts.
+ */
+const findGestures = (contacts) => {
+    const gestures = [];
+    const open = new Map();
+    for (const contact of contacts) {
+        const key = contact.pointerType + ':' + contact.id;
+        if (contact.type === 'start') {
+            const gesture = {start: contact, end: null, samples: [contact]};
+            open.set(key, gesture);
+            gestures.push(gesture);
+            continue;
+        }
+        const gesture = open.get(key);
+        if (!gesture) {
+            continue;
+        }
+        gesture.samples.push(contact);
+        if (contact.type === 'end') {
+            gesture.end = contact;
+            open.delete(key);
+        }
+    }
+    return gestures;
+};
+
+/**
+ * Check whether a swipe is dead straight and at constant speed.
+ *
+ * @param {Object} gesture Gesture from findGestures().
+ * @returns {boolean} True if the swipe looks scripted.
+ */
+const isMechanicalSwipe = (gesture) => {
+    // The end repeats the last position, so it says nothing of speed.
+    const points = gesture.samples.filter((c) => c.type !== 'end');
+    const displacement = Math.hypot(points[points.length - 1].x - points[0].x, points[points.length - 1].y - points[0].y);
+    let length = 0;
+    const speeds = [];
+    for (let i = 1; i < points.length; i++) {
+        const distance = Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+        const elapsed = points[i].timestamp - points[i - 1].timestamp;
+        length += distance;
+        if (elapsed > 0) {
+            speeds.push(distance / elapsed);
+        }
+    }
+    if (displacement === 0 || speeds.length < 2) {
+        return false;
+    }
+
+    const meanSpeed = speeds.reduce((a, b) => a + b, 0) / speeds.length;
+    const speedCV = meanSpeed > 0 ? Math.sqrt(calculateVariance(speeds)) / meanSpeed : 0;
+    return length / displacement < 1.01 && speedCV < 0.1;
+};
+
+/**
+ * Find the last event of a store at or before a time.
+ *
+ * @param {Array} events Events in time order.
+ * @param {number} timestamp Time.
+ * @returns {Object|null} Event.
+ */
+const lastEventBefore = (events, timestamp) => {
+    for (let i = events.length - 1; i >= 0; i--) {
+        if (events[i].timestamp <= timestamp) {
+            return events[i];
+        }
+    }
+    return null;
+};
+
+/**
+ * Recognise the ways assistive technology drives the page.
+ *
+ * - Keyboard navigation: focus moves right after Tab, arrow or paging keys.
+ * - Virtual cursor: a screen reader in browse mode moves focus onto a
+ *   control, then activates it with a click at its centre and no pointer.
+ * - Voice control: clicks at the centre with no pointer, mouse or keys
+ *   around them, each on its own after a pause for the spoken command.
+ *
+ * Browser agents can look much the same, so the patterns change nothing on
+ * their own; they decide which further anomalies an accommodation covers.
+ *
+ * @returns {Array} Patterns found, as {name, value}: value is the share of focus changes or clicks that fit.
+ */
+const analyzeAssistiveTechnology = () => {
+    const patterns = [];
+    const keydowns = eventStore.keystrokes.filter((k) => k.type === 'down');
+    const navigationKeys = keydowns.filter((k) => NAVIGATION_KEYS.includes(k.key));
+    const focusIns = eventStore.focusChanges.filter((f) => f.type === 'in');
+    const pointerDowns = eventStore.pointerEvents.filter((p) => p.type === 'down');
+
+    if (navigationKeys.length >= 5 && focusIns.length >= 3) {
+        const keyLed = focusIns.filter((f) => navigationKeys.some(
+            (k) => f.timestamp >= k.timestamp && f.timestamp - k.timestamp < 150
+        )).length;
+        if (keyLed >= focusIns.length * 0.5) {
+            patterns.push({name: PATTERNS.KEYBOARD_NAVIGATION, value: keyLed / focusIns.length});
+        }
+    }
+
+    const clicks = eventStore.clicks;
+    if (clicks.length < CONFIG.minClicks) {
+        return patterns;
+    }
+
+    // Clicks made through the accessibility tree: centred, with no pointer or mouse trail.
+    const pointerless = clicks.filter((c) => c.offsetFromCenter < CONFIG.centerClickTolerance
+        && !pointerDowns.some((p) => p.timestamp <= c.timestamp && c.timestamp - p.timestamp < 100)
+        && !eventStore.mouseMoves.some((m) => m.timestamp < c.timestamp && c.timestamp - m.timestamp < 300));
+
+    const focusLed = pointerless.filter((c) => {
+        const focus = lastEventBefore(focusIns, c.timestamp);
+        return focus && c.target?.id && focus.target.id === c.target.id && c.timestamp - focus.timestamp >= 100;
+    });
+    if (focusLed.length >= CONFIG.minClicks && focusLed.length >= clicks.length * 0.5) {
+        patterns.push({name: PATTERNS.VIRTUAL_CURSOR, value: focusLed.length / clicks.length});
+    }
+
+    const actions = [...clicks, ...keydowns, ...focusIns].map((e) => e.timestamp).sort((a, b) => a - b);
+    const spoken = pointerless.filter((c) => {
+        if (focusLed.includes(c)) {
+            return false;
+        }
+        // Whatever came in the last 100 ms, such as the focus the click itself gives, does not count.
+        const previous = actions.filter((t) => t < c.timestamp - 100).pop();
+        return previous === undefined || c.timestamp - previous >= 1000;
+    });
+    if (spoken.length >= CONFIG.minClicks && spoken.length >= clicks.length * 0.5) {
+        patterns.push({name: PATTERNS.VOICE_CONTROL, value: spoken.length / clicks.length});
+    }
+
+    return patterns;
+};
+
+/**
+ * Apply an accommodation to anomalies.
+ *
+ * ACCOMMODATED_ANOMALIES are always adjusted, and so are those explained by
+ * an assistive technology pattern found in the session. Suppressed anomalies
+ * are dropped. Re-weighted ones keep ACCOMMODATION_WEIGHT_FACTOR of their
+ * weight and are renamed accommodated.<name>, so that they no longer count
+ * as strong or Comet signals here or when the server re-scores the report.
+ *
+ * @param {Array} anomalies Anomalies.
+ * @param {Array} assistive Assistive technology patterns from analyzeAssistiveTechnology().
+ * @param {string} mode One of ACCOMMODATION_MODES.
+ * @returns {Object} {anomalies, adjusted}: adjusted lists {name, weight, because} with the
+ *     original name and weight, because being the pattern that explains it or 'accommodation'.
+ */
+const accommodate = (anomalies, assistive, mode) => {
+    const result = {anomalies: [], adjusted: []};
+    for (const anomaly of anomalies) {
+        let because = ACCOMMODATED_ANOMALIES.includes(anomaly.name) ? 'accommodation' : null;
+        if (!because) {
+            const pattern = assistive.find((p) => ASSISTIVE_PATTERNS[p.name].includes(anomaly.name));
+            because = pattern ? pattern.name : null;
+        }
+        if (!because) {
+            result.anomalies.push(anomaly);
+            continue;
+        }
+
+        const weight = ScoringProfile.weightOf(anomaly);
+        result.adjusted.push({name: anomaly.name, weight, because});
+        if (mode === ACCOMMODATION_MODES.REWEIGHT) {
+            result.anomalies.push({
+                ...anomaly,
+                name: 'accommodated.' + anomaly.name,
+                weight: weight * ACCOMMODATION_WEIGHT_FACTOR,
+            });
+        }
+    }
+    return result;
+};
+
 /**
  * Calculate variance of an array of numbers.
  *
@@ -947,44 +2835,115 @@ const calculateVariance = (arr) => {
     return squareDiffs.reduce((a, b) => a + b, 0) / arr.length;
 };
 
+/**
+ * Calculate the median of an array of numbers.
+ *
+ * @param {Array<number>} arr Array of numbers, not empty.
+ * @returns {number} Median.
+ */
+const calculateMedian = (arr) => {
+    const sorted = [...arr].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Calculate the Pearson correlation of two series.
+ *
+ * @param {Array<number>} xs First series.
+ * @param {Array<number>} ys Second series, as long as the first.
+ * @returns {number} Correlation from -1 to 1, 0 if either series is constant.
+ */
+const calculateCorrelation = (xs, ys) => {
+    const meanX = xs.reduce((a, b) => a + b, 0) / xs.length;
+    const meanY = ys.reduce((a, b) => a + b, 0) / ys.length;
+    const covariance = xs.reduce((sum, x, i) => sum + (x - meanX) * (ys[i] - meanY), 0) / xs.length;
+    const spread = Math.sqrt(calculateVariance(xs) * calculateVariance(ys));
+    return spread > 0 ? covariance / spread : 0;
+};
+
+/**
+ * Count presses by input modality.
+ *
+ * A finger press fires both a touch pointerdown and a touchstart, or only
+ * the touchstart in browsers without touch pointer events.
+ *
+ * @param {Array} pointerEvents Pointer events.
+ * @param {Array} contacts Touch and pen contacts.
+ * @returns {Object} {mousePresses, touchPresses, penPresses}.
+ */
+const countPresses = (pointerEvents, contacts) => {
+    const downs = pointerEvents.filter((p) => p.type === 'down');
+    const count = (pointerType) => downs.filter((p) => p.pointerType === pointerType).length;
+    const touchStarts = contacts.filter((c) => c.type === 'start' && c.pointerType === 'touch').length;
+    return {
+        mousePresses: count('mouse'),
+        touchPresses: Math.max(count('touch'), touchStarts),
+        penPresses: count('pen'),
+    };
+};
+
+/**
+ * Detect the input modality: whatever pressed most, the mouse if tied.
+ *
+ * Derived from event counts alone, so that the server reaches the same
+ * answer when it re-scores a report.
+ *
+ * Ported to PHP as \local_agentdetect\scorer::detect_modality(); keep both in step.
+ *
+ * @param {Object} eventCounts Event counts, as in analyze() results.
+ * @returns {string} One of MODALITIES.
+ */
+export const detectModality = (eventCounts = {}) => {
+    const mouse = eventCounts.mousePresses || 0;
+    const touch = eventCounts.touchPresses || 0;
+    const pen = eventCounts.penPresses || 0;
+    if (Math.max(touch, pen) <= mouse) {
+        return MODALITIES.MOUSE;
+    }
+    return pen > touch ? MODALITIES.PEN : MODALITIES.TOUCH;
+};
+
 /**
  * Calculate overall interaction score.
  *
+ * Uses the mouse or the touch model by the input modality of the counts.
+ * The touch model, for pens too, leaves out DESKTOP_ANOMALIES and has its
+ * own strong signals, and counts contacts where the mouse model counts moves.
+ *
  * Applies a confidence discount when total events are low, to avoid
  * false positives from sparse data (e.g. a single quiz page with 2 clicks).
  *
+ * Ported to PHP as \local_agentdetect\scorer::score_interaction(); keep both in step.
+ *
  * @param {Array} anomalies Detected anomalies.
+ * @param {Object} eventCounts Event counts, as in analyze() results.
  * @returns {number} Score from 0-100.
  */
-const calculateInteractionScore = (anomalies) => {
+export const calculateInteractionScore = (anomalies, eventCounts = {}) => {
+    const touchModel = detectModality(eventCounts) !== MODALITIES.MOUSE;
+    if (touchModel) {
+        anomalies = anomalies.filter((a) => !DESKTOP_ANOMALIES.includes(a.name));
+    }
     if (anomalies.length === 0) {
         return 0;
     }
 
-    const totalWeight = anomalies.reduce((sum, a) => sum + (a.weight || 0), 0);
+    const totalWeight = anomalies.reduce((sum, a) => sum + ScoringProfile.weightOf(a), 0);
     const maxPossibleWeight = anomalies.length * 10;
 
     // Check for "smoking gun" combinations that indicate definite agent.
     // Only physically-impossible signals qualify — temporal/behavioral signals
     // (action_burst, read_then_act, no_mousemove_trail) fire for human quiz-takers.
-    const hasCenterPrecision = anomalies.some((a) => a.name === 'click.center_precision');
-    const hasTeleport = anomalies.some((a) => a.name === 'click.teleport_pattern');
-    const hasNoMovement = anomalies.some((a) => a.name === 'click.no_movement');
-    const hasUltraPrecise = anomalies.some((a) => a.name === 'comet.ultra_precise_center');
-    // Only the extreme variant (movePerAction < 2, weight 10) is physically impossible.
-    const hasLowMouseRatio = anomalies.some(
-        (a) => a.name === 'comet.low_mouse_to_action_ratio' && a.weight >= 10
-    );
-    const hasZeroKeystrokes = anomalies.some((a) => a.name === 'comet.zero_keystrokes');
-    const hasLowPerPageRatio = anomalies.some((a) => a.name === 'comet.low_per_page_mouse_ratio');
+    const model = STRONG_SIGNALS[touchModel ? 'touch' : 'mouse'];
+    const present = new Set(anomalies
+        // Only the extreme variant (movePerAction < 2, weight 10) is physically impossible.
+        .filter((a) => a.name !== 'comet.low_mouse_to_action_ratio' || a.weight >= 10)
+        .map((a) => a.name));
 
     // Multiple strong signals = high confidence agent.
     let multiplier = 1.0;
-    const strongSignals = [
-        hasCenterPrecision, hasTeleport, hasNoMovement,
-        hasUltraPrecise, hasLowMouseRatio,
-        hasZeroKeystrokes, hasLowPerPageRatio,
-    ].filter(Boolean).length;
+    const strongSignals = model.strong.filter((name) => present.has(name)).length;
     if (strongSignals >= 3) {
         multiplier = 1.5; // 3+ strong signals = very likely agent.
     } else if (strongSignals >= 2) {
@@ -997,15 +2956,14 @@ const calculateInteractionScore = (anomalies) => {
     // Confidence discount: with very few events, ratios are unreliable.
     // A human clicking 3 times with 2 mouse moves looks identical to an agent.
     // Require more data before giving high scores.
-    const totalActions = eventStore.clicks.length + eventStore.keystrokes.length;
-    const totalMoves = eventStore.mouseMoves.length;
+    const totalActions = (eventCounts.clicks || 0) + (eventCounts.keystrokes || 0);
+    const totalMoves = (touchModel ? eventCounts.contacts : eventCounts.mouseMoves) || 0;
     const totalEvents = totalActions + totalMoves;
 
     if (totalEvents < 10) {
         // Very sparse — heavily discount unless smoking-gun signals present.
         // Center_precision, ultra_precise_center, zero keystrokes are reliable even with few events.
-        const hasReliableSignal = hasCenterPrecision || hasUltraPrecise || hasLowMouseRatio
-            || hasZeroKeystrokes || hasLowPerPageRatio;
+        const hasReliableSignal = model.reliable.some((name) => present.has(name));
         if (!hasReliableSignal) {
             rawScore *= 0.3; // 70% discount for ratio-only signals with sparse data.
         } else {
@@ -1300,7 +3258,8 @@ const loadFromSessionStorage = () => {
         eventStore.pageLoadCount = (data.pageLoadCount || 1) + 1;
 
         // Merge stored events — keep the most recent ones within limits.
-        const storeNames = ['mouseMoves', 'clicks', 'keystrokes', 'scrolls', 'focusChanges', 'pointerEvents'];
+        const storeNames = ['mouseMoves', 'clicks', 'keystrokes', 'scrolls', 'focusChanges', 'pointerEvents', 'contacts',
+            'inputs', 'timeline'];
         for (const name of storeNames) {
             if (data[name] && Array.isArray(data[name])) {
                 // Prepend prior events, then trim to max.
@@ -1358,19 +3317,35 @@ export const saveToSessionStorage = () => {
                 hadPrecedingHover: c.hadPrecedingHover,
                 hadPrecedingMouseMove: c.hadPrecedingMouseMove,
                 clickDuration: c.clickDuration,
+                trusted: c.trusted,
+                screenX: c.screenX,
+                screenY: c.screenY,
+                detail: c.detail,
+                pressed: c.pressed,
+                target: c.target ? {tagName: c.target.tagName, id: c.target.id, width: c.target.width,
+                    height: c.target.height} : undefined,
+                attempt: c.attempt,
+                slot: c.slot,
             })),
             keystrokes: eventStore.keystrokes.slice(-200).map((k) => ({
                 key: k.key,
+                hand: k.hand,
+                text: k.text,
+                trusted: k.trusted,
                 timestamp: k.timestamp,
                 deltaTime: k.deltaTime,
                 type: k.type,
                 holdDuration: k.holdDuration,
+                attempt: k.attempt,
+                slot: k.slot,
             })),
             scrolls: eventStore.scrolls.slice(-200),
             focusChanges: eventStore.focusChanges.slice(-200).map((f) => ({
                 target: f.target,
                 timestamp: f.timestamp,
                 type: f.type,
+                attempt: f.attempt,
+                slot: f.slot,
             })),
             // Prioritize pointer downs over pointer moves to prevent ratio deflation.
             pointerEvents: (() => {
@@ -1381,6 +3356,9 @@ export const saveToSessionStorage = () => {
                     : [];
                 return [...downs, ...moves].sort((a, b) => a.timestamp - b.timestamp);
             })(),
+            contacts: eventStore.contacts.slice(-200),
+            inputs: eventStore.inputs.slice(-200),
+            timeline: eventStore.timeline.slice(-200),
         };
         sessionStorage.setItem(getStorageKey(), JSON.stringify(data));
     } catch (e) {
@@ -1413,17 +3391,40 @@ export const reset = () => {
     eventStore.hovers = [];
     eventStore.focusChanges = [];
     eventStore.pointerEvents = [];
+    eventStore.contacts = [];
+    eventStore.inputs = [];
+    eventStore.timeline = [];
     eventStore.startTime = Date.now();
     eventStore.pageStartTime = Date.now();
     eventStore.pageLoadCount = 1;
     eventStore.perPageStats = [];
     analysisCache = null;
+    attemptId = null;
+    lastMouseDownAt = 0;
+    lastKeyDownAt = 0;
+    fieldLengths = new WeakMap();
+    pendingTransfers = new WeakMap();
+    absence = null;
 };
 
 export default {
+    ACCOMMODATED_ANOMALIES,
+    ASSISTIVE_PATTERNS,
+    ACCOMMODATION_MODES,
+    ACCOMMODATION_WEIGHT_FACTOR,
+    MODALITIES,
+    DESKTOP_ANOMALIES,
+    INPUT_SOURCES,
+    COPY_SOURCES,
     startMonitoring,
     stopMonitoring,
+    replayEvent,
     analyze,
+    detectModality,
+    getKeyHand,
+    describeInput,
+    describeCopy,
+    calculateInteractionScore,
     getRawData,
     reset,
     saveToSessionStorage,
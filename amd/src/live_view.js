@@ -0,0 +1,272 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Live proctoring view.
+ *
+ * Polls local_agentdetect_get_live_attempts and redraws the attempts table
+ * rendered by liveview.php. Polling pauses while the tab is hidden.
+ *
+ * @module     local_agentdetect/live_view
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import Log from 'core/log';
+
+/**
+ * Verdict labels and badge classes, as on the course report.
+ *
+ * @type {Object<string, Array<string>>}
+ */
+const VERDICT_BADGES = {
+    HIGH_CONFIDENCE_AGENT: ['HIGH', 'badge-danger'],
+    PROBABLE_AGENT: ['PROBABLE', 'badge-warning'],
+    SUSPICIOUS: ['SUSPICIOUS', 'badge-warning'],
+    LOW_SUSPICION: ['LOW', 'badge-info'],
+    LIKELY_HUMAN: ['HUMAN', 'badge-success'],
+};
+
+/**
+ * Configuration from PHP.
+ *
+ * @type {Object|null}
+ */
+let config = null;
+
+/**
+ * Pending poll timer.
+ *
+ * @type {number|null}
+ */
+let pollTimer = null;
+
+/**
+ * Whether a request is in flight.
+ *
+ * @type {boolean}
+ */
+let polling = false;
+
+/**
+ * Start refreshing the live view.
+ *
+ * @param {Object} options Configuration from PHP.
+ * @param {number} options.cmid Quiz course module ID.
+ * @param {number} options.pollInterval Time between refreshes (ms).
+ * @param {string} options.reportUrl Course report URL, for per-student links.
+ */
+export const init = (options) => {
+    config = options;
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    poll();
+};
+
+/**
+ * Fetch the attempts in progress and redraw the table.
+ *
+ * @returns {Promise<void>}
+ */
+const poll = async() => {
+    pollTimer = null;
+    polling = true;
+    try {
+        const data = await Ajax.call([{
+            methodname: 'local_agentdetect_get_live_attempts',
+            args: {cmid: config.cmid},
+        }])[0];
+        render(data);
+    } catch (error) {
+        Log.error('[AgentDetect] Failed to refresh the live view:', error);
+    } finally {
+        polling = false;
+    }
+
+    if (!document.hidden) {
+        pollTimer = setTimeout(poll, config.pollInterval);
+    }
+};
+
+/**
+ * Pause polling while the tab is hidden and catch up when it is shown again.
+ *
+ * @returns {void}
+ */
+const handleVisibilityChange = () => {
+    if (document.hidden) {
+        if (pollTimer) {
+            clearTimeout(pollTimer);
+            pollTimer = null;
+        }
+    } else if (!pollTimer && !polling) {
+        poll();
+    }
+};
+
+/**
+ * Redraw the attempts table.
+ *
+ * @param {Object} data Response of local_agentdetect_get_live_attempts.
+ * @returns {void}
+ */
+const render = (data) => {
+    const table = document.getElementById('agentdetect-liveview');
+    if (!table) {
+        return;
+    }
+
+    const tbody = table.tBodies[0] || table.createTBody();
+    const columns = table.tHead ? table.tHead.rows[0].cells.length : 6;
+    if (data.attempts.length) {
+        tbody.replaceChildren(...data.attempts.map((attempt) => renderAttempt(attempt, data.timenow)));
+    } else {
+        const row = document.createElement('tr');
+        const cell = createCell(getString('liveview:noattempts'), 'text-muted');
+        cell.colSpan = columns;
+        row.appendChild(cell);
+        tbody.replaceChildren(row);
+    }
+
+    const updated = document.getElementById('agentdetect-liveview-updated');
+    if (updated) {
+        updated.textContent = getString('liveview:updated', formatTime(data.timenow));
+    }
+};
+
+/**
+ * Render one attempt as a table row.
+ *
+ * @param {Object} attempt Attempt from the response.
+ * @param {number} timenow Server time of the response.
+ * @returns {HTMLElement} Table row.
+ */
+const renderAttempt = (attempt, timenow) => {
+    const row = document.createElement('tr');
+    row.dataset.attemptid = attempt.attemptid;
+
+    const hasScore = typeof attempt.combinedscore === 'number';
+    if (attempt.silent || (hasScore && attempt.combinedscore >= 70)) {
+        row.className = 'table-danger';
+    } else if (hasScore && attempt.combinedscore >= 40) {
+        row.className = 'table-warning';
+    }
+
+    // Student, linked to their course report.
+    const student = document.createElement('td');
+    const link = document.createElement('a');
+    link.href = config.reportUrl + '&userid=' + attempt.userid;
+    link.textContent = attempt.fullname;
+    student.appendChild(link);
+    row.appendChild(student);
+
+    row.appendChild(createCell(formatTime(attempt.timestart)));
+
+    if (hasScore) {
+        row.appendChild(createBadgeCell(String(attempt.combinedscore), getScoreClass(attempt.combinedscore)));
+    } else {
+        row.appendChild(createCell(getString('liveview:noreport'), 'text-muted'));
+    }
+
+    const [label, badgeClass] = VERDICT_BADGES[attempt.verdict] || [attempt.verdict || '-', 'badge-secondary'];
+    row.appendChild(attempt.verdict ? createBadgeCell(label, badgeClass, attempt.verdict) : createCell('-'));
+
+    const anomalies = createCell(attempt.anomalies.map((anomaly) => anomaly.name).join(', ') || '-');
+    anomalies.title = attempt.anomalies.map((anomaly) => anomaly.name + ' (' + anomaly.weight + ')').join('\n');
+    row.appendChild(anomalies);
+
+    if (attempt.silent && !attempt.lastheartbeat) {
+        row.appendChild(createCell(getString('liveview:silentsincestart', timenow - attempt.timestart),
+            'text-danger font-weight-bold'));
+    } else if (!attempt.lastheartbeat) {
+        row.appendChild(createCell(getString('liveview:noheartbeat'), 'text-muted'));
+    } else if (attempt.silent) {
+        row.appendChild(createCell(getString('liveview:silent', timenow - attempt.lastheartbeat), 'text-danger font-weight-bold'));
+    } else {
+        row.appendChild(createCell(getString('liveview:secondsago', Math.max(timenow - attempt.lastheartbeat, 0))));
+    }
+
+    return row;
+};
+
+/**
+ * Create a table cell holding text.
+ *
+ * @param {string} text Cell text.
+ * @param {string} [className] CSS classes.
+ * @returns {HTMLElement} Table cell.
+ */
+const createCell = (text, className = '') => {
+    const cell = document.createElement('td');
+    cell.textContent = text;
+    if (className) {
+        cell.className = className;
+    }
+    return cell;
+};
+
+/**
+ * Create a table cell holding a Bootstrap badge.
+ *
+ * @param {string} text Badge text.
+ * @param {string} badgeClass Badge colour class.
+ * @param {string} [title] Tooltip.
+ * @returns {HTMLElement} Table cell.
+ */
+const createBadgeCell = (text, badgeClass, title = '') => {
+    const cell = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = 'badge ' + badgeClass;
+    badge.textContent = text;
+    if (title) {
+        badge.title = title;
+    }
+    cell.appendChild(badge);
+    return cell;
+};
+
+/**
+ * Get the badge class for a score, as on the course report.
+ *
+ * @param {number} score Combined score.
+ * @returns {string} Badge colour class.
+ */
+const getScoreClass = (score) => {
+    if (score >= 70) {
+        return 'badge-danger';
+    }
+    return score >= 40 ? 'badge-warning' : 'badge-success';
+};
+
+/**
+ * Format a Unix timestamp as a local time of day.
+ *
+ * @param {number} timestamp Seconds since the epoch.
+ * @returns {string} Formatted time.
+ */
+const formatTime = (timestamp) => new Date(timestamp * 1000).toLocaleTimeString();
+
+/**
+ * Get a string passed to the page by liveview.php.
+ *
+ * @param {string} key String identifier.
+ * @param {*} [a] String parameter.
+ * @returns {string} Translated string.
+ */
+const getString = (key, a) => M.util.get_string(key, 'local_agentdetect', a);
+
+export default {
+    init,
+};
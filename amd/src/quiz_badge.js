@@ -16,8 +16,16 @@
 /**
  * Quiz badge injection module.
  *
- * Adds visual agent detection indicators next to student names on
- * quiz report overview and quiz review pages.
+ * Adds a visual agent detection indicator next to the student's name on
+ * quiz review pages, and marks the individual questions whose interaction
+ * looked automated. The badges of the quiz report are in its agent
+ * detection column; see local_agentdetect/report_column.
+ *
+ * Badges show the flag of the attempt where the detector ran in it, and
+ * otherwise the student's flag for the quiz as a whole. An attempt badge
+ * opens a popover with the scores reported over the attempt, its verdict
+ * and strongest signals, loaded when it is first opened, from which the
+ * student's flag can be confirmed, cleared or noted.
  *
  * @module     local_agentdetect/quiz_badge
  * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
@@ -26,85 +34,77 @@
 
 import Ajax from 'core/ajax';
 import Log from 'core/log';
+import Popover from 'theme_boost/bootstrap/popover';
+
+/** @type {Object<string, string[]>} Badge label string and class of each verdict. */
+const VERDICT_BADGES = {
+    HIGH_CONFIDENCE_AGENT: ['verdict:highconfidenceagent', 'badge-danger'],
+    PROBABLE_AGENT: ['verdict:probableagent', 'badge-warning'],
+    SUSPICIOUS: ['verdict:suspicious', 'badge-warning'],
+    LOW_SUSPICION: ['verdict:lowsuspicion', 'badge-info'],
+    LIKELY_HUMAN: ['verdict:likelyhuman', 'badge-success'],
+};
+
+/** @type {Object<string, string>} String saying each flag action was done. */
+const ACTION_DONE = {
+    confirm: 'popover:confirmed',
+    clear: 'popover:cleared',
+    note: 'popover:noteadded',
+};
+
+/** @type {string} Event fired on a badge when its flag is confirmed or cleared, with the flag as detail. */
+export const FLAG_UPDATED_EVENT = 'local_agentdetect/flagupdated';
+
+/** @type {Map<number, Promise<Object>>} Detail requests by attempt ID, so each attempt is fetched once. */
+const details = new Map();
+
+/**
+ * Popovers open now, each with its badge, content and hide function.
+ *
+ * One pair of document listeners closes them all, so badges that are
+ * re-rendered leave no listeners behind, and a closed popover is not kept.
+ *
+ * @type {Set<Object>}
+ */
+const openPopovers = new Set();
+
+/** @type {boolean} Whether the document listeners closing popovers are registered. */
+let listening = false;
 
 /**
- * Initialise badge injection.
+ * Initialise badge injection on a quiz review page.
  *
  * @param {Object} config Configuration from PHP.
- * @param {string} config.mode Page mode: 'overview' or 'review'.
  * @param {number} config.courseid Course ID.
  * @param {number} config.contextid Context ID for AJAX calls.
  * @param {string} config.reportUrl Base URL for the course report page.
+ * @param {number} config.attemptid Quiz attempt ID.
  */
 export const init = (config) => {
     Log.debug('[AgentDetect Badge] Initialising with config:', config);
 
-    if (config.mode === 'overview') {
-        injectOverviewBadges(config);
-    } else if (config.mode === 'review') {
-        injectReviewBadge(config);
+    injectReviewBadge(config);
+    if (config.attemptid) {
+        markQuestions(config.attemptid);
     }
 };
 
 /**
- * Inject badges on the quiz grades overview page.
+ * Get the user a profile link is for.
  *
- * Finds all user profile links in the attempts table, extracts user IDs,
- * makes a single batch AJAX call, and appends icons next to flagged users.
- *
- * @param {Object} config Configuration object.
+ * @param {HTMLAnchorElement} link User profile link.
+ * @returns {number} User ID, 0 if the link has none.
  */
-const injectOverviewBadges = async(config) => {
-    // Find user profile links in the attempts table.
-    const userLinks = document.querySelectorAll(
-        'table.quizattemptsreport a[href*="user/view.php"], ' +
-        'table.generaltable a[href*="user/view.php"]'
-    );
-
-    if (!userLinks.length) {
-        Log.debug('[AgentDetect Badge] No user links found on overview page.');
-        return;
-    }
-
-    // Extract unique user IDs from href params.
-    const userMap = new Map();
-    userLinks.forEach((link) => {
-        const url = new URL(link.href, window.location.origin);
-        const uid = parseInt(url.searchParams.get('id'), 10);
-        if (uid && !isNaN(uid)) {
-            if (!userMap.has(uid)) {
-                userMap.set(uid, []);
-            }
-            userMap.get(uid).push(link);
-        }
-    });
-
-    if (!userMap.size) {
-        return;
-    }
-
-    const userIds = Array.from(userMap.keys());
-    Log.debug('[AgentDetect Badge] Fetching flags for', userIds.length, 'users');
-
-    try {
-        const flags = await fetchFlags(userIds, config.contextid);
-        flags.forEach((flag) => {
-            const links = userMap.get(flag.userid);
-            if (links && links.length > 0) {
-                // Only badge the first link per user to avoid duplicates across attempt rows.
-                appendBadge(links[0], flag, config);
-            }
-        });
-    } catch (err) {
-        Log.error('[AgentDetect Badge] Failed to fetch flags:', err);
-    }
+const getUserId = (link) => {
+    const url = new URL(link.href, window.location.origin);
+    return parseInt(url.searchParams.get('id'), 10) || 0;
 };
 
 /**
  * Inject a badge on the single attempt review page.
  *
- * Finds the user link in the quiz review summary table and checks
- * their flag status.
+ * Finds the user link in the quiz review summary table and checks the
+ * flag of the attempt, or the user's if the detector did not run in it.
  *
  * @param {Object} config Configuration object.
  */
@@ -121,14 +121,14 @@ const injectReviewBadge = async(config) => {
         return;
     }
 
-    const url = new URL(userLink.href, window.location.origin);
-    const uid = parseInt(url.searchParams.get('id'), 10);
-    if (!uid || isNaN(uid)) {
+    const uid = getUserId(userLink);
+    if (!uid) {
         return;
     }
 
     try {
-        const flags = await fetchFlags([uid], config.contextid);
+        const attemptFlags = config.attemptid ? await fetchAttemptFlags([config.attemptid]) : [];
+        const flags = attemptFlags.length ? attemptFlags : await fetchFlags([uid], config.contextid);
         if (flags.length > 0) {
             appendBadge(userLink, flags[0], config);
         }
@@ -137,6 +137,45 @@ const injectReviewBadge = async(config) => {
     }
 };
 
+/**
+ * Mark the questions of a reviewed attempt whose interaction looked automated.
+ *
+ * Uses the same score bands as the course report: 40 and over is
+ * suspicious, 70 and over is high.
+ *
+ * @param {number} attemptId Quiz attempt ID.
+ */
+const markQuestions = async(attemptId) => {
+    let data;
+    try {
+        data = await Ajax.call([{
+            methodname: 'local_agentdetect_get_attempt_slots',
+            args: {attemptid: attemptId},
+        }])[0];
+    } catch (err) {
+        Log.error('[AgentDetect Badge] Failed to fetch question scores:', err);
+        return;
+    }
+
+    data.slots.filter((slot) => slot.score >= 40).forEach((slot) => {
+        // Question containers are named question-<usageid>-<slot>.
+        const question = Array.from(document.querySelectorAll('.que[id^="question-"]'))
+            .find((element) => element.id.endsWith('-' + slot.slot));
+        const info = question ? question.querySelector('.info') : null;
+        if (!info || info.querySelector('.agentdetect-slot-badge')) {
+            return;
+        }
+
+        const badge = document.createElement('span');
+        badge.className = 'agentdetect-slot-badge badge ' + (slot.score >= 70 ? 'badge-danger' : 'badge-warning');
+        badge.textContent = M.util.get_string('review:slotscore', 'local_agentdetect', slot.score);
+        badge.title = M.util.get_string('review:slotsignals', 'local_agentdetect',
+            slot.anomalies.map((anomaly) => anomaly.name).join(', '));
+        info.appendChild(badge);
+        question.classList.add('agentdetect-slot-flagged');
+    });
+};
+
 /**
  * Fetch user flags via AJAX.
  *
@@ -155,6 +194,62 @@ const fetchFlags = (userIds, contextId) => {
     return request[0];
 };
 
+/**
+ * Fetch the flags of quiz attempts via AJAX.
+ *
+ * @param {number[]} attemptIds Quiz attempt IDs.
+ * @returns {Promise<Array>} Flags of the attempts the detector ran in.
+ */
+const fetchAttemptFlags = (attemptIds) => {
+    const request = Ajax.call([{
+        methodname: 'local_agentdetect_get_attempt_flags',
+        args: {
+            attemptids: attemptIds,
+        },
+    }]);
+    return request[0];
+};
+
+/**
+ * Fetch the detail of a quiz attempt via AJAX, once per attempt.
+ *
+ * @param {number} attemptId Quiz attempt ID.
+ * @returns {Promise<Object>} Score timeline, verdict, strongest signals and flag notes.
+ */
+const fetchAttemptDetail = (attemptId) => {
+    if (!details.has(attemptId)) {
+        details.set(attemptId, Ajax.call([{
+            methodname: 'local_agentdetect_get_attempt_detail',
+            args: {
+                attemptid: attemptId,
+            },
+        }])[0]);
+    }
+    return details.get(attemptId);
+};
+
+/**
+ * Confirm, clear or add a note to a student's flag via AJAX.
+ *
+ * @param {number} userId User ID.
+ * @param {number} contextId Context ID of the flag.
+ * @param {string} action confirm, clear or note.
+ * @param {string} note Note to add.
+ * @returns {Promise<Object>} The flag type and notes after the update.
+ */
+const updateFlag = (userId, contextId, action, note) => {
+    const request = Ajax.call([{
+        methodname: 'local_agentdetect_update_user_flag',
+        args: {
+            userid: userId,
+            contextid: contextId,
+            action: action,
+            note: note,
+        },
+    }]);
+    return request[0];
+};
+
 /**
  * Append a detection badge icon next to a user link.
  *
@@ -168,25 +263,27 @@ const appendBadge = (link, flag, config) => {
         return;
     }
 
-    let iconName;
-    let cssClass;
-    let tooltip;
+    const badgeLink = createBadge(flag, config);
+    if (badgeLink) {
+        link.parentElement.insertBefore(badgeLink, link.nextSibling);
+    }
+};
 
-    if (flag.flagtype === 'agent_suspected' || flag.flagtype === 'agent_confirmed') {
-        iconName = 'i/warning';
-        cssClass = 'agentdetect-badge text-danger';
-        tooltip = flag.flagtype.replace('_', ' ') + ' (score: ' + flag.maxscore + ')';
-    } else if (flag.flagtype === 'low_suspicion') {
-        iconName = 'i/flagged';
-        cssClass = 'agentdetect-badge text-warning';
-        tooltip = 'Low suspicion (score: ' + flag.maxscore + ')';
-    } else if (flag.flagtype === 'likely_human') {
-        iconName = 'i/checkedcircle';
-        cssClass = 'agentdetect-badge text-success';
-        tooltip = 'Likely human (score: ' + flag.maxscore + ')';
-    } else {
+/**
+ * Create a detection badge icon for a flag.
+ *
+ * The badge links to the student in the course report. The badge of an
+ * attempt's own flag opens a popover with the detail of the attempt.
+ *
+ * @param {Object} flag The flag data, with attemptid if it is an attempt's own flag.
+ * @param {Object} config Configuration with reportUrl.
+ * @returns {HTMLAnchorElement|null} The badge, null if the flag is not shown.
+ */
+export const createBadge = (flag, config) => {
+    const style = getBadgeStyle(flag);
+    if (!style) {
         // Cleared or unknown — don't show badge.
-        return;
+        return null;
     }
 
     // Build the badge link to the course report.
@@ -194,19 +291,418 @@ const appendBadge = (link, flag, config) => {
 
     const badgeLink = document.createElement('a');
     badgeLink.href = reportUrl;
-    badgeLink.className = cssClass;
-    badgeLink.title = tooltip;
     badgeLink.style.marginLeft = '4px';
     badgeLink.style.textDecoration = 'none';
 
     // Use Moodle pix icon.
     const img = document.createElement('img');
-    img.src = M.util.image_url(iconName, 'core');
-    img.alt = tooltip;
     img.className = 'icon';
     img.style.width = '16px';
     img.style.height = '16px';
 
     badgeLink.appendChild(img);
-    link.parentElement.insertBefore(badgeLink, link.nextSibling);
+    styleBadge(badgeLink, style);
+
+    if (flag.attemptid) {
+        attachPopover(badgeLink, flag, config);
+    }
+    return badgeLink;
+};
+
+/**
+ * Get how a flag is shown.
+ *
+ * @param {Object} flag The flag data.
+ * @returns {Object|null} Icon name, CSS class and tooltip, null if the flag is not shown.
+ */
+const getBadgeStyle = (flag) => {
+    if (flag.flagtype === 'agent_suspected' || flag.flagtype === 'agent_confirmed') {
+        return {
+            iconName: 'i/warning',
+            cssClass: 'agentdetect-badge text-danger',
+            tooltip: flag.flagtype.replace('_', ' ') + ' (score: ' + flag.maxscore + ')',
+        };
+    } else if (flag.flagtype === 'low_suspicion') {
+        return {
+            iconName: 'i/flagged',
+            cssClass: 'agentdetect-badge text-warning',
+            tooltip: 'Low suspicion (score: ' + flag.maxscore + ')',
+        };
+    } else if (flag.flagtype === 'likely_human') {
+        return {
+            iconName: 'i/checkedcircle',
+            cssClass: 'agentdetect-badge text-success',
+            tooltip: 'Likely human (score: ' + flag.maxscore + ')',
+        };
+    }
+    return null;
+};
+
+/**
+ * Apply a badge style to a badge link.
+ *
+ * @param {HTMLAnchorElement} badgeLink The badge link.
+ * @param {Object} style Style from getBadgeStyle.
+ */
+const styleBadge = (badgeLink, style) => {
+    const img = badgeLink.querySelector('img');
+    badgeLink.className = style.cssClass;
+    badgeLink.title = style.tooltip;
+    img.src = M.util.image_url(style.iconName, 'core');
+    img.alt = style.tooltip;
 };
+
+/**
+ * Open a popover with the detail of an attempt from its badge.
+ *
+ * Hovering over the badge previews the popover; clicking it keeps it open
+ * until the badge is clicked again, Escape is pressed or the page is
+ * clicked elsewhere. The detail is loaded the first time it opens.
+ *
+ * @param {HTMLAnchorElement} badgeLink The badge link.
+ * @param {Object} flag The flag of the attempt.
+ * @param {Object} config Configuration object.
+ */
+const attachPopover = (badgeLink, flag, config) => {
+    const content = document.createElement('div');
+    content.className = 'agentdetect-popover small';
+    content.style.minWidth = '240px';
+
+    const popover = new Popover(badgeLink, {
+        title: getString('popover:title'),
+        content: content,
+        html: true,
+        sanitize: false,
+        trigger: 'manual',
+        placement: 'auto',
+        container: 'body',
+    });
+    badgeLink.setAttribute('role', 'button');
+    badgeLink.setAttribute('aria-expanded', 'false');
+
+    let shown = false;
+    let pinned = false;
+    let loaded = false;
+
+    const open = {badgeLink, content, isPinned: () => pinned};
+
+    const show = () => {
+        if (!shown) {
+            popover.show();
+            shown = true;
+            badgeLink.setAttribute('aria-expanded', 'true');
+            openPopovers.add(open);
+            listenForClose();
+        }
+        if (loaded) {
+            return;
+        }
+        loaded = true;
+        content.textContent = getString('popover:loading');
+        fetchAttemptDetail(flag.attemptid).then((detail) => {
+            renderDetail(content, detail, badgeLink, flag, config);
+            popover.update();
+            return detail;
+        }).catch((err) => {
+            Log.error('[AgentDetect Badge] Failed to fetch attempt detail:', err);
+            content.textContent = getString('popover:failed');
+            details.delete(flag.attemptid);
+            loaded = false;
+        });
+    };
+
+    const hide = () => {
+        pinned = false;
+        if (shown) {
+            popover.hide();
+            shown = false;
+            badgeLink.setAttribute('aria-expanded', 'false');
+            openPopovers.delete(open);
+        }
+    };
+    open.hide = hide;
+
+    badgeLink.addEventListener('mouseenter', show);
+    badgeLink.addEventListener('mouseleave', () => {
+        if (!pinned) {
+            hide();
+        }
+    });
+    badgeLink.addEventListener('click', (e) => {
+        e.preventDefault();
+        if (pinned) {
+            hide();
+        } else {
+            pinned = true;
+            show();
+        }
+    });
+};
+
+/**
+ * Register the document listeners that close open popovers, once per page.
+ *
+ * Escape closes every popover; a click elsewhere closes those pinned open,
+ * and any whose badge is no longer on the page.
+ */
+const listenForClose = () => {
+    if (listening) {
+        return;
+    }
+    listening = true;
+
+    document.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            openPopovers.forEach((open) => open.hide());
+        }
+    });
+    document.addEventListener('click', (e) => {
+        openPopovers.forEach((open) => {
+            const outside = !open.badgeLink.contains(e.target) && !open.content.contains(e.target);
+            if (!open.badgeLink.isConnected || (open.isPinned() && outside)) {
+                open.hide();
+            }
+        });
+    });
+};
+
+/**
+ * Fill a popover with the detail of an attempt.
+ *
+ * @param {HTMLElement} content The popover content element.
+ * @param {Object} detail Detail from local_agentdetect_get_attempt_detail.
+ * @param {HTMLAnchorElement} badgeLink The badge the popover belongs to.
+ * @param {Object} flag The flag of the attempt.
+ * @param {Object} config Configuration object.
+ */
+const renderDetail = (content, detail, badgeLink, flag, config) => {
+    content.textContent = '';
+
+    // Verdict and highest score.
+    const summary = document.createElement('div');
+    summary.className = 'mb-2';
+    if (detail.verdict) {
+        const [label, badgeClass] = VERDICT_BADGES[detail.verdict] || [null, 'badge-secondary'];
+        const verdict = document.createElement('span');
+        verdict.className = 'badge ' + badgeClass + ' mr-2';
+        verdict.textContent = label ? getString(label) : detail.verdict;
+        summary.appendChild(verdict);
+    }
+    summary.appendChild(document.createTextNode(getString('popover:highestscore', detail.maxscore)));
+    content.appendChild(summary);
+
+    // Scores over the attempt.
+    appendHeading(content, getString('popover:timeline'));
+    if (detail.timeline.length) {
+        content.appendChild(createTimeline(detail.timeline));
+    } else {
+        appendText(content, getString('popover:noreports'));
+    }
+
+    // Strongest signals, explained.
+    appendHeading(content, getString('popover:signals'));
+    if (detail.signals.length) {
+        const list = document.createElement('ul');
+        list.className = 'pl-3 mb-2';
+        detail.signals.forEach((signal) => {
+            const item = document.createElement('li');
+            const name = document.createElement('code');
+            name.textContent = signal.name;
+            item.appendChild(name);
+            if (signal.explanation) {
+                item.appendChild(document.createTextNode(' ' + signal.explanation));
+            }
+            list.appendChild(item);
+        });
+        content.appendChild(list);
+    } else {
+        appendText(content, getString('popover:nosignals'));
+    }
+
+    // Notes on the student's flag.
+    const notes = document.createElement('div');
+    content.appendChild(notes);
+    const showNotes = (text) => {
+        notes.textContent = '';
+        if (text) {
+            appendHeading(notes, getString('popover:notes'));
+            const body = appendText(notes, text);
+            body.style.whiteSpace = 'pre-wrap';
+        }
+    };
+    showNotes(detail.notes);
+
+    if (detail.canmanage) {
+        content.appendChild(createActions(detail, badgeLink, flag, showNotes));
+    }
+
+    const report = document.createElement('a');
+    report.href = config.reportUrl + '&userid=' + detail.userid;
+    report.textContent = getString('popover:fullreport');
+    content.appendChild(report);
+};
+
+/**
+ * Draw the scores reported over an attempt as a line.
+ *
+ * @param {Object[]} timeline Scores with time, earliest first.
+ * @returns {SVGElement} The chart.
+ */
+const createTimeline = (timeline) => {
+    const svgNs = 'http://www.w3.org/2000/svg';
+    const scores = timeline.map((point) => point.score);
+    const last = Math.max(scores.length - 1, 1);
+    const points = (scores.length > 1 ? scores : [scores[0], scores[0]])
+        .map((score, i) => (i * 100 / last).toFixed(1) + ',' + (100 - score)).join(' ');
+
+    const svg = document.createElementNS(svgNs, 'svg');
+    svg.setAttribute('viewBox', '0 0 100 100');
+    svg.setAttribute('preserveAspectRatio', 'none');
+    svg.setAttribute('width', '100%');
+    svg.setAttribute('height', '40');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', getString('popover:timelinelabel', {
+        count: scores.length,
+        min: Math.min(...scores),
+        max: Math.max(...scores),
+    }));
+    svg.classList.add('d-block', 'mb-2', 'border');
+
+    const line = document.createElementNS(svgNs, 'polyline');
+    line.setAttribute('points', points);
+    line.setAttribute('fill', 'none');
+    line.setAttribute('stroke', 'currentColor');
+    line.setAttribute('stroke-width', '2');
+    line.setAttribute('vector-effect', 'non-scaling-stroke');
+    svg.appendChild(line);
+
+    return svg;
+};
+
+/**
+ * Create the buttons that confirm, clear or add a note to the student's flag.
+ *
+ * @param {Object} detail Detail of the attempt.
+ * @param {HTMLAnchorElement} badgeLink The badge of the attempt.
+ * @param {Object} flag The flag of the attempt.
+ * @param {Function} showNotes Shows the notes of the flag.
+ * @returns {HTMLElement} The actions.
+ */
+const createActions = (detail, badgeLink, flag, showNotes) => {
+    const actions = document.createElement('div');
+    actions.className = 'my-2';
+
+    const status = document.createElement('div');
+    status.setAttribute('role', 'status');
+
+    const noteForm = document.createElement('div');
+    noteForm.className = 'mt-2';
+    noteForm.hidden = true;
+    const textarea = document.createElement('textarea');
+    textarea.className = 'form-control form-control-sm mb-1';
+    textarea.rows = 3;
+    textarea.setAttribute('aria-label', getString('popover:addnote'));
+    noteForm.appendChild(textarea);
+
+    const update = (action, note = '') => {
+        status.textContent = '';
+        return updateFlag(detail.userid, detail.contextid, action, note).then((result) => {
+            if (action !== 'note') {
+                flag.flagtype = action === 'confirm' ? 'agent_confirmed' : 'cleared';
+                styleBadge(badgeLink, getBadgeStyle(flag) || {
+                    iconName: 'i/checked',
+                    cssClass: 'agentdetect-badge text-muted',
+                    tooltip: getString('popover:cleared'),
+                });
+                badgeLink.dispatchEvent(new CustomEvent(FLAG_UPDATED_EVENT, {bubbles: true, detail: flag}));
+            }
+            showNotes(result.notes);
+            status.textContent = getString(ACTION_DONE[action]);
+            return result;
+        }).catch((err) => {
+            Log.error('[AgentDetect Badge] Failed to update flag:', err);
+            status.textContent = getString('popover:actionfailed');
+        });
+    };
+
+    const confirmButton = createButton(getString('popover:confirm'), 'btn-danger', () => update('confirm'));
+    const clearButton = createButton(getString('popover:clear'), 'btn-secondary', () => update('clear'));
+    const noteButton = createButton(getString('popover:addnote'), 'btn-link', () => {
+        noteForm.hidden = !noteForm.hidden;
+        if (!noteForm.hidden) {
+            textarea.focus();
+        }
+    });
+    const saveButton = createButton(getString('popover:savenote'), 'btn-primary', () => {
+        const note = textarea.value.trim();
+        if (!note) {
+            return;
+        }
+        update('note', note).then(() => {
+            textarea.value = '';
+            noteForm.hidden = true;
+            return null;
+        });
+    });
+    noteForm.appendChild(saveButton);
+
+    // Only a flag that exists can be noted.
+    noteButton.hidden = !detail.hasflag;
+
+    actions.append(confirmButton, clearButton, noteButton, noteForm, status);
+    return actions;
+};
+
+/**
+ * Create a small button.
+ *
+ * @param {string} label Button label.
+ * @param {string} btnClass Bootstrap button class.
+ * @param {Function} onClick Click handler.
+ * @returns {HTMLButtonElement} The button.
+ */
+const createButton = (label, btnClass, onClick) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-sm ' + btnClass + ' mr-1';
+    button.textContent = label;
+    button.addEventListener('click', onClick);
+    return button;
+};
+
+/**
+ * Append a small heading.
+ *
+ * @param {HTMLElement} parent Element to append to.
+ * @param {string} text Heading text.
+ */
+const appendHeading = (parent, text) => {
+    const heading = document.createElement('div');
+    heading.className = 'font-weight-bold';
+    heading.textContent = text;
+    parent.appendChild(heading);
+};
+
+/**
+ * Append a paragraph of text.
+ *
+ * @param {HTMLElement} parent Element to append to.
+ * @param {string} text The text.
+ * @returns {HTMLElement} The paragraph.
+ */
+const appendText = (parent, text) => {
+    const paragraph = document.createElement('p');
+    paragraph.className = 'mb-2';
+    paragraph.textContent = text;
+    parent.appendChild(paragraph);
+    return paragraph;
+};
+
+/**
+ * Get a string of this plugin.
+ *
+ * @param {string} key String key.
+ * @param {*} [a] String argument.
+ * @returns {string} The string.
+ */
+const getString = (key, a) => M.util.get_string(key, 'local_agentdetect', a);
@@ -0,0 +1,538 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Session recording and offline replay.
+ *
+ * Records what the interaction and injection detectors see on a page, and
+ * replays a recording through them under a fake clock, so the analysis and
+ * combined score come out as they did live. A disputed flag can then be
+ * re-scored under a different scoring profile, or kept as a regression
+ * fixture.
+ *
+ * A recording covers one page load. It is a JSON object:
+ *
+ * - version: FORMAT_VERSION.
+ * - startTime, duration: when recording started (ms since the epoch) and for how long (ms).
+ * - page: {path, attempt, viewport}; attempt is the quiz attempt ID, 0 off attempt pages.
+ * - fingerprint: Fingerprint.collect() results at export time.
+ * - targets: event targets as {tagName, id, className, type, question}; question is the
+ *   id of the enclosing quiz question container, if any.
+ * - scan: the page as the injection detector's initial scan saw it (Injection.describeScan()).
+ * - events: [{t, type, isTrusted, ...}] with t in ms since startTime. Mouse and pointer events
+ *   carry x, y, screenX, screenY, movementX, movementY and target (an index into targets), clicks
+ *   also the target's rect and detail and pointer events the pointerType, pointerId, pressure,
+ *   width, height and buttons. Touch events carry target and touches, the changed touches as
+ *   {id, x, y, radiusX, radiusY, force}. Key events carry key, hand (Interaction.getKeyHand())
+ *   and target, scrolls scrollX and scrollY, focus events target. Paste, drop, beforeinput and
+ *   input events carry target and the inputType, size and length of Interaction.describeInput(),
+ *   copy and cut events target and the source and size of Interaction.describeCopy(), and
+ *   visibilitychange events hidden, whether the page was hidden. The window's own blur and focus
+ *   events carry nothing more. Type 'mutation' carries changes as Injection.describeMutation()
+ *   gives them.
+ * - truncated: whether events were dropped after MAX_EVENTS.
+ *
+ * Typed characters are not recorded, only that a character key was pressed and with which hand,
+ * nor is the text of answers or of what was copied, only its length. Answers set by a script
+ * without an event, and events in editor frames, are not recorded.
+ *
+ * @module     local_agentdetect/recording
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as BuiltinDetectors from 'local_agentdetect/builtin_detectors';
+import * as Comet from 'local_agentdetect/comet';
+import * as Detector from 'local_agentdetect/detector';
+import * as Fingerprint from 'local_agentdetect/fingerprint';
+import * as Injection from 'local_agentdetect/injection';
+import * as Interaction from 'local_agentdetect/interaction';
+import * as Registry from 'local_agentdetect/registry';
+import * as ScoringProfile from 'local_agentdetect/scoring_profile';
+
+/**
+ * Version of the recording format.
+ *
+ * Bump it, and add its entry to FORMAT_HISTORY, in the change that alters
+ * what is recorded. Replay rejects recordings of any other version, as the
+ * detectors would misread what an older one lacks.
+ *
+ * @type {number}
+ */
+export const FORMAT_VERSION = 6;
+
+/**
+ * What each version of the recording format recorded that the one before did not, oldest first.
+ *
+ * @type {Array<{version: number, changes: string}>}
+ */
+export const FORMAT_HISTORY = [
+    {version: 1, changes: 'Mouse, pointer, key, scroll, focus and mutation events.'},
+    {version: 2, changes: 'Touch and pointerup events; pointer events carry pointerId, pressure, width, height and buttons.'},
+    {version: 3, changes: 'Key events carry hand.'},
+    {version: 4, changes: 'Paste, drop, beforeinput and input events, with their inputType, isTrusted, size and length.'},
+    {version: 5, changes: 'Events carry isTrusted, mouse and pointer events screen and movement coordinates, clicks detail.'},
+    {version: 6, changes: 'Copy, cut and visibilitychange events, and blur and focus events of the window.'},
+];
+
+/**
+ * Most events kept in one recording.
+ *
+ * @type {number}
+ */
+export const MAX_EVENTS = 100000;
+
+/**
+ * Recorded DOM events and whether to listen in the capture phase.
+ *
+ * Mirrors the listeners of local_agentdetect/interaction, so the recording
+ * sees the same events.
+ *
+ * @type {Array<Array>}
+ */
+const LISTENERS = [
+    ['mousemove', false],
+    ['click', true],
+    ['mousedown', true],
+    ['mouseup', true],
+    ['mouseover', false],
+    ['mouseout', false],
+    ['keydown', true],
+    ['keyup', true],
+    ['scroll', false],
+    ['focusin', false],
+    ['focusout', false],
+    ['pointerdown', true],
+    ['pointermove', false],
+    ['pointerup', true],
+    ['touchstart', true],
+    ['touchmove', true],
+    ['touchend', true],
+    ['touchcancel', true],
+    ['paste', true],
+    ['drop', true],
+    ['beforeinput', true],
+    ['input', true],
+    ['visibilitychange', false],
+    ['copy', true],
+    ['cut', true],
+];
+
+/**
+ * Recorded events of the window itself.
+ *
+ * @type {Array<string>}
+ */
+const WINDOW_LISTENERS = ['scroll', 'blur', 'focus'];
+
+/**
+ * A key typed by each hand, to replay a recorded key event with.
+ *
+ * @type {Object<string, string>}
+ */
+const HAND_KEYS = {
+    left: 'KeyF',
+    right: 'KeyJ',
+    space: 'Space',
+};
+
+/**
+ * Recording in progress, null if not recording.
+ *
+ * @type {Object|null}
+ */
+let recording = null;
+
+/**
+ * Index into recording.targets of each element seen so far.
+ *
+ * @type {WeakMap<Element, number>|null}
+ */
+let targetIndexes = null;
+
+/**
+ * MutationObserver of the recording in progress.
+ *
+ * @type {MutationObserver|null}
+ */
+let observer = null;
+
+/**
+ * Start recording the page.
+ *
+ * @returns {void}
+ */
+export const start = () => {
+    if (recording) {
+        return;
+    }
+
+    const attemptInput = document.querySelector('#responseform input[name="attempt"]');
+    recording = {
+        version: FORMAT_VERSION,
+        startTime: Date.now(),
+        page: {
+            path: window.location.pathname + window.location.search,
+            attempt: attemptInput ? parseInt(attemptInput.value, 10) || 0 : 0,
+            viewport: {width: window.innerWidth, height: window.innerHeight},
+        },
+        targets: [],
+        scan: compactScan(Injection.describeScan()),
+        events: [],
+        truncated: false,
+    };
+    targetIndexes = new WeakMap();
+
+    LISTENERS.forEach(([type, capture]) => {
+        document.addEventListener(type, handleEvent, {capture, passive: true});
+    });
+    WINDOW_LISTENERS.forEach((type) => {
+        window.addEventListener(type, handleEvent, {passive: true});
+    });
+
+    observer = new MutationObserver(handleMutations);
+    observer.observe(document.body, Injection.OBSERVER_OPTIONS);
+};
+
+/**
+ * Stop recording. The recording is kept for export.
+ *
+ * @returns {void}
+ */
+export const stop = () => {
+    LISTENERS.forEach(([type, capture]) => {
+        document.removeEventListener(type, handleEvent, {capture});
+    });
+    WINDOW_LISTENERS.forEach((type) => {
+        window.removeEventListener(type, handleEvent);
+    });
+
+    if (observer) {
+        observer.disconnect();
+        observer = null;
+    }
+};
+
+/**
+ * Get the recording so far, with the browser fingerprint.
+ *
+ * @returns {Promise<Object|null>} Recording, or null if none was started.
+ */
+export const exportRecording = async() => {
+    if (!recording) {
+        return null;
+    }
+    const fingerprint = await Fingerprint.collect();
+    return JSON.parse(JSON.stringify({
+        ...recording,
+        duration: Date.now() - recording.startTime,
+        fingerprint,
+    }));
+};
+
+/**
+ * Replay a recording through the detectors.
+ *
+ * Date.now() follows the recorded timestamps while the replay runs, so
+ * time-based checks see the recorded timing. Replaying stops and resets
+ * the interaction and injection detectors of the page it runs on.
+ *
+ * @param {Object} source Recording from exportRecording().
+ * @param {Object} [options] Options.
+ * @param {Object} [options.profile] Scoring profile to score with, instead of the one in effect.
+ * @returns {Object} Detector results keyed by detector name, plus combinedScore, verdict and profileVersion.
+ */
+export const replay = (source, options = {}) => {
+    if (!source || source.version !== FORMAT_VERSION || !Array.isArray(source.events)) {
+        throw new Error('Unsupported recording version: ' + (source ? source.version : source));
+    }
+
+    if (!Registry.getNames().length) {
+        BuiltinDetectors.registerAll();
+    }
+    const previousProfile = ScoringProfile.getProfile();
+    if (options.profile) {
+        ScoringProfile.setProfile(options.profile);
+    }
+
+    const realNow = Date.now;
+    let now = source.startTime;
+    Date.now = () => now;
+    try {
+        Interaction.stopMonitoring();
+        Injection.stopMonitoring();
+        Interaction.reset();
+        Injection.reset();
+
+        if (source.scan) {
+            Injection.processScan(source.scan);
+        }
+
+        const targets = (source.targets || []).map(createTarget);
+        const attempt = source.page?.attempt || 0;
+        for (const event of source.events) {
+            now = source.startTime + event.t;
+            if (event.type === 'mutation') {
+                event.changes.forEach(Injection.processMutation);
+            } else {
+                Interaction.replayEvent(event.type, createEvent(event, targets), attempt);
+            }
+        }
+
+        now = source.startTime + (source.duration || 0);
+        // The recorded fingerprint was scored under the profile of the time.
+        const fingerprint = source.fingerprint || {signals: []};
+        const results = {
+            fingerprint: {...fingerprint, score: Fingerprint.calculateFingerprintScore(fingerprint)},
+            interaction: Interaction.analyze(),
+            injection: Injection.analyze(),
+        };
+        results.comet = Comet.analyze(results);
+
+        const combinedScore = Detector.calculateCombinedScore(results);
+        return {
+            ...results,
+            combinedScore,
+            verdict: ScoringProfile.getVerdict(combinedScore),
+            profileVersion: ScoringProfile.getVersion(),
+        };
+    } finally {
+        Date.now = realNow;
+        if (options.profile) {
+            ScoringProfile.setProfile(previousProfile);
+        }
+    }
+};
+
+/**
+ * Record a DOM event.
+ *
+ * @param {Event} e DOM event.
+ * @returns {void}
+ */
+const handleEvent = (e) => {
+    const event = {t: Date.now() - recording.startTime, type: e.type, isTrusted: e.isTrusted};
+
+    if (e.type === 'scroll') {
+        event.scrollX = window.scrollX;
+        event.scrollY = window.scrollY;
+    } else {
+        event.target = getTargetIndex(e.target);
+    }
+
+    if (typeof e.clientX === 'number') {
+        event.x = e.clientX;
+        event.y = e.clientY;
+        event.screenX = e.screenX;
+        event.screenY = e.screenY;
+        event.movementX = e.movementX;
+        event.movementY = e.movementY;
+    }
+    if (e.type === 'click' && e.target.getBoundingClientRect) {
+        const rect = e.target.getBoundingClientRect();
+        event.rect = {left: rect.left, top: rect.top, width: rect.width, height: rect.height};
+        event.detail = e.detail;
+    }
+    if (e.type.startsWith('pointer')) {
+        event.pointerType = e.pointerType;
+        event.pointerId = e.pointerId;
+        event.pressure = e.pressure;
+        event.width = e.width;
+        event.height = e.height;
+        event.buttons = e.buttons;
+    }
+    if (e.type.startsWith('touch')) {
+        event.touches = Array.from(e.changedTouches || [], (touch) => ({
+            id: touch.identifier,
+            x: touch.clientX,
+            y: touch.clientY,
+            radiusX: touch.radiusX,
+            radiusY: touch.radiusY,
+            force: touch.force,
+        }));
+    }
+    if (e.type.startsWith('key')) {
+        // As the interaction detector stores them: no typed characters.
+        event.key = e.key && e.key.length === 1 ? 'char' : e.key;
+        event.hand = Interaction.getKeyHand(e.code);
+    }
+    if (['paste', 'drop', 'beforeinput', 'input'].includes(e.type)) {
+        Object.assign(event, Interaction.describeInput(e));
+    }
+    if (['copy', 'cut'].includes(e.type)) {
+        Object.assign(event, Interaction.describeCopy(e));
+    }
+    if (e.type === 'visibilitychange') {
+        event.hidden = document.visibilityState === 'hidden';
+    }
+
+    addEvent(event);
+};
+
+/**
+ * Record DOM mutations.
+ *
+ * @param {MutationRecord[]} mutations Mutations.
+ * @returns {void}
+ */
+const handleMutations = (mutations) => {
+    const changes = [];
+    for (const mutation of mutations) {
+        for (const change of Injection.describeMutation(mutation)) {
+            // The checks skip Moodle's own elements; only added ones are checked further.
+            if (change.kind === 'added') {
+                changes.push({...change, descendants: change.descendants.filter((snapshot) => !snapshot.moodle)});
+            } else if (!change.node.moodle) {
+                changes.push(change);
+            }
+        }
+    }
+    if (changes.length) {
+        addEvent({t: Date.now() - recording.startTime, type: 'mutation', changes});
+    }
+};
+
+/**
+ * Add an event to the recording, unless it is full.
+ *
+ * @param {Object} event Recorded event.
+ * @returns {void}
+ */
+const addEvent = (event) => {
+    if (recording.events.length >= MAX_EVENTS) {
+        recording.truncated = true;
+        return;
+    }
+    recording.events.push(event);
+};
+
+/**
+ * Drop the Moodle elements from an initial scan; the checks skip them.
+ *
+ * @param {Object} scan Result of Injection.describeScan().
+ * @returns {Object} Scan without Moodle elements.
+ */
+const compactScan = (scan) => ({
+    elements: scan.elements.filter((snapshot) => !snapshot.moodle),
+    resources: scan.resources,
+});
+
+/**
+ * Get the index of an event target in recording.targets, adding it if new.
+ *
+ * @param {EventTarget} element Event target.
+ * @returns {number|null} Index, or null for targets that are not elements.
+ */
+const getTargetIndex = (element) => {
+    if (!element || !element.tagName) {
+        return null;
+    }
+    if (!targetIndexes.has(element)) {
+        const question = element.closest('.que[id^="question-"]');
+        targetIndexes.set(element, recording.targets.length);
+        recording.targets.push({
+            tagName: element.tagName,
+            id: element.id || '',
+            className: typeof element.className === 'string' ? element.className : element.getAttribute('class') || '',
+            type: element.type || '',
+            question: question ? question.id : null,
+        });
+    }
+    return targetIndexes.get(element);
+};
+
+/**
+ * Stand in for a recorded event target during replay.
+ *
+ * The same object stands in for every event on the target, as the
+ * interaction detector matches clicks with earlier hovers by identity.
+ *
+ * @param {Object} descriptor Recorded target.
+ * @returns {Object} Element-like object.
+ */
+const createTarget = (descriptor) => {
+    const question = descriptor.question ? {id: descriptor.question} : null;
+    return {
+        tagName: descriptor.tagName,
+        id: descriptor.id,
+        className: descriptor.className,
+        type: descriptor.type,
+        rect: {left: 0, top: 0, width: 0, height: 0},
+        getBoundingClientRect() {
+            return this.rect;
+        },
+        // The interaction detector only looks up the question container.
+        closest: () => question,
+    };
+};
+
+/**
+ * Rebuild a DOM event from a recorded one.
+ *
+ * @param {Object} event Recorded event.
+ * @param {Array<Object>} targets Stand-ins for the recorded targets.
+ * @returns {Object} Event-like object.
+ */
+const createEvent = (event, targets) => {
+    const target = event.target === null || event.target === undefined ? null : targets[event.target];
+    if (target && event.rect) {
+        target.rect = event.rect;
+    }
+    return {
+        type: event.type,
+        target,
+        clientX: event.x,
+        clientY: event.y,
+        screenX: event.screenX,
+        screenY: event.screenY,
+        movementX: event.movementX,
+        movementY: event.movementY,
+        detail: event.detail,
+        key: event.key,
+        code: HAND_KEYS[event.hand],
+        pointerType: event.pointerType,
+        pointerId: event.pointerId,
+        pressure: event.pressure,
+        width: event.width,
+        height: event.height,
+        buttons: event.buttons,
+        changedTouches: (event.touches || []).map((touch) => ({
+            identifier: touch.id,
+            clientX: touch.x,
+            clientY: touch.y,
+            radiusX: touch.radiusX,
+            radiusY: touch.radiusY,
+            force: touch.force,
+        })),
+        scrollX: event.scrollX,
+        scrollY: event.scrollY,
+        inputType: event.inputType,
+        isTrusted: event.isTrusted,
+        size: event.size,
+        length: event.length,
+        source: event.source,
+        hidden: event.hidden,
+    };
+};
+
+export default {
+    FORMAT_VERSION,
+    FORMAT_HISTORY,
+    MAX_EVENTS,
+    start,
+    stop,
+    exportRecording,
+    replay,
+};
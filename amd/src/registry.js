@@ -0,0 +1,270 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Detector registry.
+ *
+ * Detection modules register themselves here with a name, a start/stop
+ * lifecycle, an async analyze() and a scoring contribution. The main
+ * detector orchestrates whatever is registered, so adding a detector
+ * (including one shipped by another plugin) does not require editing
+ * the orchestrator or the combined-score formula.
+ *
+ * A detector definition looks like:
+ *
+ *     {
+ *         name: 'mydetector',               // Key of this detector's result in the report payload.
+ *         start: (options) => {},           // Optional. Called when detection starts.
+ *         stop: () => {},                   // Optional. Called on shutdown.
+ *         analyze: async(results) => ({score: 0}), // Receives results of detectors registered before it.
+ *         unloadData: () => ({}),           // Optional. Synchronous data merged into the unload beacon.
+ *         scoring: {mode: 'boost', tiers: [{min: 50, add: 25}]},
+ *     }
+ *
+ * Scoring modes:
+ * - 'base': the detector's score is the starting point of the combined score
+ *   (the highest base score wins when several are registered).
+ * - 'boost': the first tier whose `min` the score reaches is applied. A tier
+ *   may raise the running score to a `floor` and then `add` to it. Tiers set
+ *   for the detector's name in the scoring profile take precedence over the
+ *   definition's own.
+ * - 'none': the detector is reported but does not affect the combined score.
+ *
+ * @module     local_agentdetect/registry
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Log from 'core/log';
+
+/**
+ * Registered detectors, in registration order.
+ *
+ * @type {Map<string, Object>}
+ */
+const detectors = new Map();
+
+/**
+ * Names of the detectors whose start() threw.
+ *
+ * @type {Set<string>}
+ */
+const failed = new Set();
+
+/**
+ * Options passed to start(), kept so late registrations can be started too.
+ *
+ * @type {Object|null}
+ */
+let runningOptions = null;
+
+/**
+ * Register a detector.
+ *
+ * Registering a name that already exists replaces the previous definition.
+ * If detection is already running, the new detector is started immediately.
+ *
+ * @param {Object} definition Detector definition.
+ * @returns {void}
+ */
+export const register = (definition) => {
+    if (!definition || !definition.name || typeof definition.analyze !== 'function') {
+        Log.warn('[AgentDetect] Ignoring invalid detector definition', definition);
+        return;
+    }
+
+    if (detectors.has(definition.name)) {
+        unregister(definition.name);
+    }
+
+    detectors.set(definition.name, {
+        scoring: {mode: 'none'},
+        ...definition,
+    });
+
+    if (runningOptions) {
+        startDetector(detectors.get(definition.name), runningOptions);
+    }
+};
+
+/**
+ * Unregister a detector, stopping it first if detection is running.
+ *
+ * @param {string} name Detector name.
+ * @returns {void}
+ */
+export const unregister = (name) => {
+    const detector = detectors.get(name);
+    if (!detector) {
+        return;
+    }
+    if (runningOptions) {
+        stopDetector(detector);
+    }
+    detectors.delete(name);
+    failed.delete(name);
+};
+
+/**
+ * Get a registered detector by name.
+ *
+ * @param {string} name Detector name.
+ * @returns {Object|null} Detector definition.
+ */
+export const get = (name) => detectors.get(name) || null;
+
+/**
+ * Get all registered detectors in registration order.
+ *
+ * @returns {Array<Object>} Detector definitions.
+ */
+export const getDetectors = () => Array.from(detectors.values());
+
+/**
+ * Get the names of all registered detectors.
+ *
+ * @returns {Array<string>} Detector names.
+ */
+export const getNames = () => Array.from(detectors.keys());
+
+/**
+ * Whether a registered detector failed to start.
+ *
+ * @param {string} name Detector name.
+ * @returns {boolean}
+ */
+export const hasFailed = (name) => failed.has(name);
+
+/**
+ * Whether the registered detectors have been started.
+ *
+ * @returns {boolean}
+ */
+export const isRunning = () => runningOptions !== null;
+
+/**
+ * Start all registered detectors.
+ *
+ * @param {Object} options Detector configuration, passed to each start().
+ * @returns {void}
+ */
+export const startAll = (options = {}) => {
+    runningOptions = options;
+    for (const detector of detectors.values()) {
+        startDetector(detector, options);
+    }
+};
+
+/**
+ * Stop all registered detectors.
+ *
+ * @returns {void}
+ */
+export const stopAll = () => {
+    for (const detector of detectors.values()) {
+        stopDetector(detector);
+    }
+    runningOptions = null;
+};
+
+/**
+ * Run every registered detector's analyze() in registration order.
+ *
+ * Each detector receives the results of the detectors that ran before it,
+ * so derived detectors (e.g. Comet) can build on earlier results. A detector
+ * that throws is logged and left out of the results.
+ *
+ * @returns {Promise<Object>} Results keyed by detector name.
+ */
+export const analyzeAll = async() => {
+    const results = {};
+    for (const detector of detectors.values()) {
+        try {
+            results[detector.name] = await detector.analyze(results);
+        } catch (error) {
+            Log.error(`[AgentDetect] Detector "${detector.name}" failed to analyze`, error);
+        }
+    }
+    return results;
+};
+
+/**
+ * Collect synchronous unload data from every detector that provides it.
+ *
+ * @returns {Object} Merged unload data.
+ */
+export const collectUnloadData = () => {
+    const data = {};
+    for (const detector of detectors.values()) {
+        if (typeof detector.unloadData !== 'function') {
+            continue;
+        }
+        try {
+            Object.assign(data, detector.unloadData());
+        } catch (error) {
+            // Nothing useful can be done during unload.
+        }
+    }
+    return data;
+};
+
+/**
+ * Start a single detector, logging rather than propagating failures.
+ *
+ * @param {Object} detector Detector definition.
+ * @param {Object} options Detector configuration.
+ */
+const startDetector = (detector, options) => {
+    if (typeof detector.start !== 'function') {
+        return;
+    }
+    try {
+        detector.start(options);
+        failed.delete(detector.name);
+    } catch (error) {
+        failed.add(detector.name);
+        Log.error(`[AgentDetect] Detector "${detector.name}" failed to start`, error);
+    }
+};
+
+/**
+ * Stop a single detector, logging rather than propagating failures.
+ *
+ * @param {Object} detector Detector definition.
+ */
+const stopDetector = (detector) => {
+    if (typeof detector.stop !== 'function') {
+        return;
+    }
+    try {
+        detector.stop();
+    } catch (error) {
+        Log.error(`[AgentDetect] Detector "${detector.name}" failed to stop`, error);
+    }
+};
+
+export default {
+    register,
+    unregister,
+    get,
+    getDetectors,
+    getNames,
+    hasFailed,
+    isRunning,
+    startAll,
+    stopAll,
+    analyzeAll,
+    collectUnloadData,
+};
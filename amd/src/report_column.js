@@ -0,0 +1,504 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Agent detection column of the quiz report.
+ *
+ * Adds a column after the student's name to the attempts table of the
+ * quiz overview and responses reports, with the flag of each attempt:
+ * its own where the detector ran in it, and otherwise the student's flag
+ * for the quiz. The column sorts the attempts on the page by flag, and a
+ * filter above the table hides those not flagged. The quiz report offers
+ * plugins no way to add columns on the server, so the column is added
+ * here, and added again whenever the table is re-rendered.
+ *
+ * @module     local_agentdetect/report_column
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import Log from 'core/log';
+import {createBadge, FLAG_UPDATED_EVENT} from 'local_agentdetect/quiz_badge';
+
+/** @type {string} Selector of the attempts table. */
+const TABLE_SELECTOR = 'table.quizattemptsreport';
+
+/** @type {Object<string, number>} Order of the flag types, most serious first when sorted descending. */
+const SEVERITY = {
+    agent_confirmed: 5,
+    agent_suspected: 4,
+    low_suspicion: 3,
+    likely_human: 2,
+    cleared: 1,
+};
+
+/** @type {string[]} Flag types the filter keeps. */
+const FLAGGED = ['agent_confirmed', 'agent_suspected'];
+
+/** @type {number} Most attempts sent in one request, as accepted by local_agentdetect_get_quiz_flags. */
+const BATCH_SIZE = 1000;
+
+/** @type {number} Milliseconds to wait for a re-render to finish before updating the column. */
+const REFRESH_DELAY = 100;
+
+/** @type {string[]} Data formats offered for the verdicts download. */
+const DOWNLOAD_FORMATS = ['csv', 'excel'];
+
+/** @type {Object<number, string>} Value of aria-sort for each sort direction. */
+const ARIA_SORT = {
+    '1': 'descending',
+    '0': 'none',
+    '-1': 'ascending',
+};
+
+/** @type {Map<number, Object|null>} Flag of each attempt fetched, null if it has none. */
+const flags = new Map();
+
+/** @type {Object|null} Configuration from PHP. */
+let config = null;
+
+/** @type {MutationObserver|null} Observer of the report, to follow re-renders. */
+let observer = null;
+
+/** @type {HTMLElement|null} Element observed. */
+let root = null;
+
+/** @type {number|null} Pending refresh timer. */
+let refreshTimer = null;
+
+/** @type {number} Sort direction: 1 most serious first, -1 least serious first, 0 as the report ordered them. */
+let sortDirection = 0;
+
+/** @type {boolean} Whether only flagged attempts are shown. */
+let flaggedOnly = false;
+
+/**
+ * Initialise the column.
+ *
+ * @param {Object} cfg Configuration from PHP.
+ * @param {number} cfg.cmid Quiz course module ID.
+ * @param {string} cfg.reportUrl Base URL for the course report page.
+ * @param {string} cfg.downloadUrl URL of the verdicts download, without a data format.
+ * @returns {Promise} Resolved once the column is filled.
+ */
+export const init = (cfg) => {
+    config = cfg;
+    flaggedOnly = readFilter();
+
+    root = document.querySelector('[role="main"]') || document.body;
+    observer = new MutationObserver(() => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refresh, REFRESH_DELAY);
+    });
+    document.addEventListener(FLAG_UPDATED_EVENT, handleFlagUpdated);
+
+    return refresh();
+};
+
+/**
+ * Stop following the report.
+ */
+export const destroy = () => {
+    if (observer) {
+        observer.disconnect();
+    }
+    clearTimeout(refreshTimer);
+    document.removeEventListener(FLAG_UPDATED_EVENT, handleFlagUpdated);
+    observer = null;
+    root = null;
+    config = null;
+    flags.clear();
+    sortDirection = 0;
+};
+
+/**
+ * Show a flag confirmed or cleared from the popover of an attempt's badge.
+ *
+ * @param {CustomEvent} e Event with the flag as detail.
+ */
+const handleFlagUpdated = (e) => {
+    if (e.detail && e.detail.attemptid && flags.has(e.detail.attemptid)) {
+        refresh();
+    }
+};
+
+/**
+ * Add the column to the attempts table where it is missing, and fill it.
+ *
+ * @returns {Promise} Resolved once the flags of every attempt listed are shown.
+ */
+export const refresh = async() => {
+    const table = document.querySelector(TABLE_SELECTOR);
+    if (!table) {
+        observe();
+        return;
+    }
+
+    withoutObserving(() => addColumn(table));
+
+    const missing = getAttemptRows(table).map(getAttemptId).filter((attemptId) => !flags.has(attemptId));
+    if (missing.length) {
+        try {
+            await fetchFlags(missing);
+        } catch (err) {
+            Log.error('[AgentDetect Column] Failed to fetch flags:', err);
+        }
+    }
+
+    // The table may have been replaced while the flags were on their way.
+    const current = document.querySelector(TABLE_SELECTOR);
+    if (current) {
+        withoutObserving(() => {
+            addColumn(current);
+            fillColumn(current);
+            applySort(current);
+            applyFilter(current);
+        });
+    }
+};
+
+/**
+ * Run changes to the report without the observer taking them for a re-render.
+ *
+ * @param {Function} callback Makes the changes.
+ */
+const withoutObserving = (callback) => {
+    if (observer) {
+        observer.disconnect();
+    }
+    try {
+        callback();
+    } finally {
+        observe();
+    }
+};
+
+/**
+ * Start observing the report, if initialised.
+ */
+const observe = () => {
+    if (observer && root) {
+        observer.observe(root, {childList: true, subtree: true});
+    }
+};
+
+/**
+ * Fetch the flags of attempts, in batches.
+ *
+ * @param {number[]} attemptIds Attempts to fetch.
+ * @returns {Promise} Resolved once every batch is in.
+ */
+const fetchFlags = (attemptIds) => {
+    const requests = [];
+    for (let i = 0; i < attemptIds.length; i += BATCH_SIZE) {
+        requests.push({
+            methodname: 'local_agentdetect_get_quiz_flags',
+            args: {
+                cmid: config.cmid,
+                attemptids: attemptIds.slice(i, i + BATCH_SIZE),
+            },
+        });
+    }
+
+    return Promise.all(Ajax.call(requests)).then((batches) => {
+        // Attempts without a flag are remembered too, so they are not asked for again.
+        attemptIds.forEach((attemptId) => flags.set(attemptId, null));
+        batches.flat().forEach((flag) => {
+            // Only an attempt's own flag has the detail the badge popover explains.
+            flags.set(flag.attemptid, flag.source === 'attempt' ? flag : {...flag, attemptid: 0});
+        });
+        return batches;
+    });
+};
+
+/**
+ * Add the header, filter and cells of the column where they are missing.
+ *
+ * @param {HTMLTableElement} table The attempts table.
+ */
+const addColumn = (table) => {
+    const headerRow = table.tHead ? table.tHead.rows[0] : null;
+    if (!headerRow) {
+        return;
+    }
+
+    let header = headerRow.querySelector('.agentdetect-column');
+    if (!header) {
+        header = createHeader();
+        const index = getNameColumnIndex(headerRow);
+        headerRow.insertBefore(header, headerRow.cells[index + 1] || null);
+    }
+    const index = header.cellIndex;
+
+    Array.from(table.tBodies).forEach((body) => {
+        Array.from(body.rows).forEach((row) => {
+            if (row.querySelector('.agentdetect-column')) {
+                return;
+            }
+            if (row.dataset.agentdetectOrder === undefined) {
+                row.dataset.agentdetectOrder = row.sectionRowIndex;
+            }
+            const cell = row.insertCell(Math.min(index, row.cells.length));
+            cell.className = 'agentdetect-column cell';
+        });
+    });
+
+    addToolbar(table);
+};
+
+/**
+ * Find the column with the students' names.
+ *
+ * @param {HTMLTableRowElement} headerRow Header row of the table.
+ * @returns {number} Index of the column, or of the last column if there is none.
+ */
+const getNameColumnIndex = (headerRow) => {
+    const cells = Array.from(headerRow.cells);
+    const index = cells.findIndex((cell) => cell.querySelector('a[href*="tsort=firstname"], a[href*="tsort=lastname"]'));
+    return index === -1 ? cells.length - 1 : index;
+};
+
+/**
+ * Create the header of the column, which sorts the attempts on the page.
+ *
+ * @returns {HTMLTableCellElement} The header.
+ */
+const createHeader = () => {
+    const header = document.createElement('th');
+    header.className = 'agentdetect-column header';
+    header.scope = 'col';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'btn btn-link p-0 font-weight-bold';
+    button.textContent = getString('column:heading');
+    button.title = getString('column:sort');
+    button.addEventListener('click', () => {
+        sortDirection = sortDirection === 1 ? -1 : sortDirection + 1;
+        withoutObserving(() => applySort(header.closest('table')));
+    });
+    header.appendChild(button);
+
+    return header;
+};
+
+/**
+ * Add the filter and download links above the table.
+ *
+ * @param {HTMLTableElement} table The attempts table.
+ */
+const addToolbar = (table) => {
+    const anchor = table.closest('.no-overflow') || table;
+    if (anchor.previousElementSibling && anchor.previousElementSibling.classList.contains('agentdetect-toolbar')) {
+        return;
+    }
+
+    const toolbar = document.createElement('div');
+    toolbar.className = 'agentdetect-toolbar d-flex flex-wrap align-items-center my-2';
+
+    const filter = document.createElement('div');
+    filter.className = 'form-check mr-3';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'form-check-input';
+    checkbox.id = 'agentdetect-flaggedonly';
+    checkbox.checked = flaggedOnly;
+    checkbox.addEventListener('change', () => {
+        flaggedOnly = checkbox.checked;
+        saveFilter(flaggedOnly);
+        const current = document.querySelector(TABLE_SELECTOR);
+        if (current) {
+            withoutObserving(() => applyFilter(current));
+        }
+    });
+    const label = document.createElement('label');
+    label.className = 'form-check-label';
+    label.htmlFor = checkbox.id;
+    label.textContent = getString('column:flaggedonly');
+    filter.append(checkbox, label);
+    toolbar.appendChild(filter);
+
+    if (config.downloadUrl) {
+        const download = document.createElement('span');
+        download.textContent = getString('column:download') + ': ';
+        DOWNLOAD_FORMATS.forEach((format, i) => {
+            const link = document.createElement('a');
+            link.href = config.downloadUrl + '&dataformat=' + format;
+            link.textContent = M.util.get_string('dataformat', 'dataformat_' + format);
+            if (i) {
+                download.appendChild(document.createTextNode(' | '));
+            }
+            download.appendChild(link);
+        });
+        toolbar.appendChild(download);
+    }
+
+    anchor.parentElement.insertBefore(toolbar, anchor);
+};
+
+/**
+ * Show the flag of each attempt in its cell.
+ *
+ * @param {HTMLTableElement} table The attempts table.
+ */
+const fillColumn = (table) => {
+    getAttemptRows(table).forEach((row) => {
+        const attemptId = getAttemptId(row);
+        const flag = flags.get(attemptId);
+        const cell = row.querySelector('td.agentdetect-column');
+        const state = flag ? flag.flagtype + ':' + flag.maxscore : '';
+        if (!cell || cell.dataset.agentdetectState === state) {
+            return;
+        }
+
+        cell.dataset.agentdetectState = state;
+        if (!flag) {
+            cell.textContent = '';
+            return;
+        }
+
+        let label = cell.querySelector('.agentdetect-label');
+        if (!label) {
+            label = document.createElement('span');
+            label.className = 'agentdetect-label';
+            if (flag.source !== 'attempt') {
+                label.classList.add('text-muted');
+                label.title = getString('column:sourceuser');
+            }
+            cell.appendChild(label);
+        }
+        label.textContent = getString('flagtype:' + flag.flagtype) + ' (' + flag.maxscore + ')';
+
+        // A badge whose popover confirmed or cleared the flag restyles itself, and is kept open.
+        if (!cell.querySelector('.agentdetect-badge')) {
+            const badge = createBadge(flag, config);
+            if (badge) {
+                cell.appendChild(badge);
+            }
+        }
+    });
+};
+
+/**
+ * Order the attempt rows by flag, or back as the report ordered them.
+ *
+ * Rows that are not attempts, such as the averages, stay below them.
+ *
+ * @param {HTMLTableElement} table The attempts table.
+ */
+const applySort = (table) => {
+    const header = table.querySelector('th.agentdetect-column');
+    if (header) {
+        header.setAttribute('aria-sort', ARIA_SORT[sortDirection]);
+    }
+
+    Array.from(table.tBodies).forEach((body) => {
+        const rows = Array.from(body.rows);
+        const order = (row) => Number(row.dataset.agentdetectOrder) || 0;
+        const attempts = rows.filter((row) => getAttemptId(row)).sort((a, b) => {
+            const difference = getSortValue(b) - getSortValue(a);
+            return sortDirection && difference ? sortDirection * difference : order(a) - order(b);
+        });
+        const others = rows.filter((row) => !getAttemptId(row)).sort((a, b) => order(a) - order(b));
+
+        const sorted = attempts.concat(others);
+        if (sorted.some((row, i) => row !== rows[i])) {
+            sorted.forEach((row) => body.appendChild(row));
+        }
+    });
+};
+
+/**
+ * Get the value of a row to sort on.
+ *
+ * @param {HTMLTableRowElement} row An attempt row.
+ * @returns {number} Severity of the flag, then its score; -1 for no flag.
+ */
+const getSortValue = (row) => {
+    const flag = flags.get(getAttemptId(row));
+    return flag ? (SEVERITY[flag.flagtype] || 0) * 1000 + flag.maxscore : -1;
+};
+
+/**
+ * Hide the attempts not flagged, if the filter is on.
+ *
+ * @param {HTMLTableElement} table The attempts table.
+ */
+const applyFilter = (table) => {
+    getAttemptRows(table).forEach((row) => {
+        const flag = flags.get(getAttemptId(row));
+        row.classList.toggle('d-none', flaggedOnly && !(flag && FLAGGED.includes(flag.flagtype)));
+    });
+};
+
+/**
+ * Get the rows of the table that are attempts.
+ *
+ * @param {HTMLTableElement} table The attempts table.
+ * @returns {HTMLTableRowElement[]} Rows with an attempt.
+ */
+const getAttemptRows = (table) => Array.from(table.tBodies)
+    .flatMap((body) => Array.from(body.rows))
+    .filter((row) => getAttemptId(row));
+
+/**
+ * Get the quiz attempt a row of the attempts table is for.
+ *
+ * @param {HTMLElement} row Table row.
+ * @returns {number} Attempt ID from the row's review link, 0 if it has none.
+ */
+export const getAttemptId = (row) => {
+    const review = row.querySelector('a[href*="mod/quiz/review.php"]');
+    if (!review) {
+        return 0;
+    }
+    const url = new URL(review.href, window.location.origin);
+    return parseInt(url.searchParams.get('attempt'), 10) || 0;
+};
+
+/**
+ * Get whether only flagged attempts were being shown in this tab.
+ *
+ * @returns {boolean} Whether the filter is on.
+ */
+const readFilter = () => {
+    try {
+        return window.sessionStorage.getItem('agentdetect_flaggedonly_' + config.cmid) === '1';
+    } catch (e) {
+        return false;
+    }
+};
+
+/**
+ * Remember the filter while paging through the report in this tab.
+ *
+ * @param {boolean} on Whether the filter is on.
+ */
+const saveFilter = (on) => {
+    try {
+        window.sessionStorage.setItem('agentdetect_flaggedonly_' + config.cmid, on ? '1' : '0');
+    } catch (e) {
+        // Storage unavailable; the filter lasts until the page is left.
+    }
+};
+
+/**
+ * Get a string of this plugin.
+ *
+ * @param {string} key String key.
+ * @returns {string} The string.
+ */
+const getString = (key) => M.util.get_string(key, 'local_agentdetect');
@@ -0,0 +1,294 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Delta encoding for periodic analysis reports.
+ *
+ * The first report of a detection session is sent in full; later ones only
+ * carry what changed since the previous report, as a JSON merge patch
+ * (RFC 7396): changed values replace old ones, null removes a key, and nested
+ * objects are patched key by key. Lists of uniquely named objects, such as
+ * anomalies and injection signals, are patched item by item under ITEMS_KEY
+ * instead of being re-sent whole.
+ *
+ * Every report carries a revision; a delta also names the revision it
+ * applies to. The server rebuilds the full report from these in
+ * \local_agentdetect\report_delta, and asks for a full snapshot (see reset())
+ * when it cannot. A full snapshot also goes out every SNAPSHOT_INTERVAL
+ * reports, so a lost report never costs more than that.
+ *
+ * @module     local_agentdetect/report_delta
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * SessionStorage key for the last encoded report.
+ *
+ * @type {string}
+ */
+const STORAGE_KEY = 'agentdetect_report_base';
+
+/**
+ * Patch key holding item-by-item changes to a list of named objects.
+ *
+ * @type {string}
+ */
+export const ITEMS_KEY = '$items';
+
+/**
+ * Number of deltas sent between full snapshots.
+ *
+ * @type {number}
+ */
+export const SNAPSHOT_INTERVAL = 20;
+
+/**
+ * Last encoded report: {sessionId, revision, data, deltas}.
+ *
+ * @type {Object|null}
+ */
+let base = null;
+
+/**
+ * Encode an analysis result for reporting.
+ *
+ * @param {string} sessionId Detection session ID.
+ * @param {Object} data Full analysis result.
+ * @returns {Object} The full result plus its revision, or {revision, baseRevision, delta}.
+ */
+export const encode = (sessionId, data) => {
+    const previous = load(sessionId);
+    const current = JSON.parse(JSON.stringify(data));
+    const revision = previous ? previous.revision + 1 : 1;
+
+    let report;
+    let deltas = 0;
+    if (previous && previous.deltas < SNAPSHOT_INTERVAL) {
+        report = {revision, baseRevision: previous.revision, delta: diff(previous.data, current)};
+        deltas = previous.deltas + 1;
+    } else {
+        report = {...current, revision};
+    }
+
+    save({sessionId, revision, data: current, deltas});
+    return report;
+};
+
+/**
+ * Forget the last encoded report, so the next one is sent in full.
+ *
+ * @returns {void}
+ */
+export const reset = () => {
+    save(null);
+};
+
+/**
+ * Compute the patch that turns one JSON value into another.
+ *
+ * @param {*} previous Old value.
+ * @param {*} next New value.
+ * @returns {*} Patch; only meaningful when the values differ.
+ */
+export const diff = (previous, next) => {
+    if (isNamedList(previous) && isNamedList(next)) {
+        return diffItems(previous, next);
+    }
+    if (!isObject(previous) || !isObject(next)) {
+        return next;
+    }
+
+    const patch = {};
+    Object.keys(previous).forEach((key) => {
+        if (!(key in next)) {
+            patch[key] = null;
+        }
+    });
+    Object.keys(next).forEach((key) => {
+        if (!isEqual(previous[key], next[key])) {
+            patch[key] = key in previous ? diff(previous[key], next[key]) : next[key];
+        }
+    });
+    return patch;
+};
+
+/**
+ * Apply a patch from diff() to a JSON value.
+ *
+ * Mirrors \local_agentdetect\report_delta::apply(); keep both in step.
+ *
+ * @param {*} target Old value.
+ * @param {*} patch Patch.
+ * @returns {*} New value; the target is not modified.
+ */
+export const apply = (target, patch) => {
+    if (!isObject(patch)) {
+        return patch;
+    }
+    if (Object.keys(patch).length === 1 && ITEMS_KEY in patch) {
+        return applyItems(Array.isArray(target) ? target : [], patch[ITEMS_KEY]);
+    }
+
+    const result = isObject(target) ? {...target} : {};
+    Object.keys(patch).forEach((key) => {
+        if (patch[key] === null) {
+            delete result[key];
+        } else {
+            result[key] = apply(result[key], patch[key]);
+        }
+    });
+    return result;
+};
+
+/**
+ * Diff two lists of named objects item by item.
+ *
+ * Falls back to the whole new list when an item patch would not rebuild it
+ * exactly, e.g. when the items were reordered.
+ *
+ * @param {Array<Object>} previous Old list.
+ * @param {Array<Object>} next New list.
+ * @returns {Object|Array} Item patch, or the new list.
+ */
+const diffItems = (previous, next) => {
+    const items = {};
+    next.forEach((item) => {
+        const old = previous.find((candidate) => candidate.name === item.name);
+        if (!isEqual(old, item)) {
+            items[item.name] = item;
+        }
+    });
+    previous.forEach((item) => {
+        if (!next.some((candidate) => candidate.name === item.name)) {
+            items[item.name] = null;
+        }
+    });
+
+    const patch = {[ITEMS_KEY]: items};
+    return isEqual(apply(previous, patch), next) ? patch : next;
+};
+
+/**
+ * Apply item-by-item changes to a list of named objects.
+ *
+ * Changed items are replaced where they are, new ones are appended and
+ * items patched to null are removed.
+ *
+ * @param {Array<Object>} list Old list.
+ * @param {Object} items New items keyed by name, null to remove.
+ * @returns {Array<Object>} New list.
+ */
+const applyItems = (list, items) => {
+    const result = [...list];
+    Object.keys(items).forEach((name) => {
+        const index = result.findIndex((item) => isObject(item) && item.name === name);
+        if (items[name] === null) {
+            if (index >= 0) {
+                result.splice(index, 1);
+            }
+        } else if (index >= 0) {
+            result[index] = items[name];
+        } else {
+            result.push(items[name]);
+        }
+    });
+    return result;
+};
+
+/**
+ * Check whether a value is a plain JSON object.
+ *
+ * @param {*} value Value to check.
+ * @returns {boolean} True for objects that are not arrays or null.
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check whether a value is a list of objects with unique string names.
+ *
+ * @param {*} value Value to check.
+ * @returns {boolean} True if the list can be patched item by item.
+ */
+const isNamedList = (value) => Array.isArray(value) &&
+    value.every((item) => isObject(item) && typeof item.name === 'string') &&
+    new Set(value.map((item) => item.name)).size === value.length;
+
+/**
+ * Compare two JSON values.
+ *
+ * @param {*} a First value.
+ * @param {*} b Second value.
+ * @returns {boolean} True if they are deeply equal.
+ */
+const isEqual = (a, b) => {
+    if (a === b) {
+        return true;
+    }
+    if (Array.isArray(a) && Array.isArray(b)) {
+        return a.length === b.length && a.every((item, index) => isEqual(item, b[index]));
+    }
+    if (isObject(a) && isObject(b)) {
+        const keys = Object.keys(a);
+        return keys.length === Object.keys(b).length && keys.every((key) => key in b && isEqual(a[key], b[key]));
+    }
+    return false;
+};
+
+/**
+ * Get the last encoded report of a session.
+ *
+ * @param {string} sessionId Detection session ID.
+ * @returns {Object|null} Last encoded report, or null to start over.
+ */
+const load = (sessionId) => {
+    if (!base) {
+        try {
+            base = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        } catch (e) {
+            // SessionStorage unavailable or corrupt — start with a full snapshot.
+            base = null;
+        }
+    }
+    return base && base.sessionId === sessionId && Number.isInteger(base.revision) ? base : null;
+};
+
+/**
+ * Remember the last encoded report, across page loads where possible.
+ *
+ * @param {Object|null} value Last encoded report, or null to forget it.
+ * @returns {void}
+ */
+const save = (value) => {
+    base = value;
+    try {
+        if (value) {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify(value));
+        } else {
+            sessionStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (e) {
+        // Over quota or unavailable: the base still works for this page.
+    }
+};
+
+export default {
+    ITEMS_KEY,
+    SNAPSHOT_INTERVAL,
+    encode,
+    reset,
+    diff,
+    apply,
+};
@@ -0,0 +1,349 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Persistent retry queue for signal reports.
+ *
+ * Every report goes through the queue, which is kept in sessionStorage so it
+ * survives navigation and is flushed again on the next page load. Reports
+ * are sent strictly in order, in batches of consecutive reports for the same
+ * context: once a batch fails, later ones wait behind it, so the server never
+ * sees a sequence number out of order. Failed sends are retried with
+ * exponential backoff.
+ *
+ * Entries look like {id, args, key, attempts, queuedAt}, where args are the
+ * report_signals web service arguments (also accepted by beacon.php), id
+ * identifies the signed payload, so the same report is never queued twice,
+ * and key is the key of the channel the report was signed with. Keeping the
+ * key in sessionStorage gives nothing away: the page it was issued to
+ * already handed it to every script running there.
+ *
+ * Reports dropped when the queue is full have already been given sequence
+ * numbers, so the server would see a gap. The next queued report on the same
+ * channel carries the number dropped before it in args.dropped, and is signed
+ * again since the signature covers that count. The server records the count
+ * with the gap.
+ *
+ * @module     local_agentdetect/report_queue
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Log from 'core/log';
+
+/**
+ * SessionStorage key for the queue.
+ *
+ * @type {string}
+ */
+const STORAGE_KEY = 'agentdetect_report_queue';
+
+/**
+ * Maximum number of queued reports; the oldest are dropped first.
+ *
+ * @type {number}
+ */
+export const MAX_ENTRIES = 25;
+
+/**
+ * Maximum number of reports sent in one request.
+ *
+ * @type {number}
+ */
+export const BATCH_SIZE = 10;
+
+/**
+ * Delay before the first retry (ms); doubled after every further failure.
+ *
+ * @type {number}
+ */
+export const BASE_DELAY = 2000;
+
+/**
+ * Longest delay between retries (ms).
+ *
+ * @type {number}
+ */
+export const MAX_DELAY = 60000;
+
+/**
+ * Queued reports, oldest first.
+ *
+ * @type {Array<Object>}
+ */
+let entries = [];
+
+/**
+ * Function that sends a batch of entries.
+ *
+ * Resolves to true once the server has answered, whether it accepted the
+ * reports or not, and to false when the batch did not get through and should
+ * be tried again. Rejects if the batch can never be delivered.
+ *
+ * @type {Function|null}
+ */
+let sender = null;
+
+/**
+ * Function that signs report arguments with a channel key.
+ *
+ * @type {Function|null}
+ */
+let signer = null;
+
+/**
+ * Pending retry timer.
+ *
+ * @type {number|null}
+ */
+let retryTimer = null;
+
+/**
+ * Consecutive failed sends, used for the backoff.
+ *
+ * @type {number}
+ */
+let failures = 0;
+
+/**
+ * Whether a flush is in progress.
+ *
+ * @type {boolean}
+ */
+let flushing = false;
+
+/**
+ * Set up the queue, restoring reports left over from earlier pages.
+ *
+ * @param {Function} send Sends a batch of entries; see sender.
+ * @param {Function} sign Signs report arguments, given the channel key and the arguments.
+ * @returns {number} Number of restored reports.
+ */
+export const init = (send, sign) => {
+    sender = send;
+    signer = sign;
+    entries = load();
+    failures = 0;
+    return entries.length;
+};
+
+/**
+ * Add a report to the end of the queue.
+ *
+ * @param {string} id Payload ID, unique per signed report.
+ * @param {Object} args Web service arguments.
+ * @param {string} key Key of the channel the report was signed with.
+ * @returns {boolean} False if a report with this ID is already queued.
+ */
+export const enqueue = (id, args, key) => {
+    if (entries.some((entry) => entry.id === id)) {
+        return false;
+    }
+
+    entries.push({id, args, key, attempts: 0, queuedAt: Date.now()});
+    if (entries.length > MAX_ENTRIES) {
+        const dropped = entries.splice(0, entries.length - MAX_ENTRIES);
+        dropped.forEach(countDropped);
+        Log.warn('[AgentDetect] Report queue full, dropped ' + dropped.length + ' oldest report(s)');
+    }
+    save();
+    return true;
+};
+
+/**
+ * Send queued reports in order until the queue is empty or a batch fails.
+ *
+ * Does nothing while a retry is scheduled: the retry flushes instead.
+ *
+ * @returns {Promise<void>}
+ */
+export const flush = async() => {
+    if (flushing || retryTimer || !sender) {
+        return;
+    }
+
+    flushing = true;
+    try {
+        while (entries.length) {
+            const batch = getNextBatch();
+            try {
+                if (!await sender(batch)) {
+                    batch.forEach((entry) => entry.attempts++);
+                    save();
+                    scheduleRetry();
+                    return;
+                }
+            } catch (error) {
+                Log.error('[AgentDetect] Dropping ' + batch.length + ' report(s) that cannot be delivered:', error);
+            }
+
+            entries = entries.filter((queued) => !batch.includes(queued));
+            failures = 0;
+            save();
+        }
+    } finally {
+        flushing = false;
+    }
+};
+
+/**
+ * Hand every queued report to sendBeacon in one request, e.g. during page unload.
+ *
+ * Reports the browser takes leave the queue, so the next page does not send
+ * them again; if it refuses them, they stay queued.
+ *
+ * @param {Function} sendBeacon Sends a list of args without waiting; returns whether the browser took them.
+ * @param {Array<Object>} [following] Args of reports to send after the queued ones.
+ * @returns {boolean} Whether the browser took the reports.
+ */
+export const drain = (sendBeacon, following = []) => {
+    if (!sendBeacon([...entries.map((entry) => entry.args), ...following])) {
+        return false;
+    }
+    entries = [];
+    save();
+    return true;
+};
+
+/**
+ * Get the delay before the next retry.
+ *
+ * @param {number} failed Consecutive failed sends.
+ * @returns {number} Delay in ms.
+ */
+export const getRetryDelay = (failed) => Math.min(BASE_DELAY * Math.pow(2, Math.max(failed - 1, 0)), MAX_DELAY);
+
+/**
+ * Get the number of queued reports.
+ *
+ * @returns {number} Queue length.
+ */
+export const size = () => entries.length;
+
+/**
+ * Empty the queue and cancel any pending retry.
+ *
+ * @returns {void}
+ */
+export const clear = () => {
+    if (retryTimer) {
+        clearTimeout(retryTimer);
+        retryTimer = null;
+    }
+    entries = [];
+    failures = 0;
+    save();
+};
+
+/**
+ * Get the reports at the head of the queue that can go in one request.
+ *
+ * @returns {Array<Object>} Consecutive entries sharing a context and session key.
+ */
+const getNextBatch = () => {
+    const [first] = entries;
+    const batch = [];
+    for (const entry of entries) {
+        if (batch.length >= BATCH_SIZE ||
+                entry.args.contextid !== first.args.contextid || entry.args.sesskey !== first.args.sesskey) {
+            break;
+        }
+        batch.push(entry);
+    }
+    return batch;
+};
+
+/**
+ * Count a dropped report against the next queued report on its channel.
+ *
+ * If none is left, no later report on that channel can show a gap.
+ *
+ * @param {Object} dropped The dropped entry.
+ * @returns {void}
+ */
+const countDropped = (dropped) => {
+    const next = entries.find((entry) => entry.args.nonce === dropped.args.nonce);
+    if (next) {
+        next.args.dropped = (next.args.dropped || 0) + (dropped.args.dropped || 0) + 1;
+        next.args.signature = signer(next.key, next.args);
+    }
+};
+
+/**
+ * Schedule the next flush after a failed send.
+ *
+ * @returns {void}
+ */
+const scheduleRetry = () => {
+    failures++;
+    const delay = getRetryDelay(failures);
+    Log.debug('[AgentDetect] Report failed, retrying in ' + delay + 'ms (' + entries.length + ' queued)');
+
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        flush();
+    }, delay);
+};
+
+/**
+ * Read the queue from sessionStorage.
+ *
+ * @returns {Array<Object>} Queued reports.
+ */
+const load = () => {
+    try {
+        const stored = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        return Array.isArray(stored) ? stored.filter((entry) => entry && entry.id && entry.args && entry.key) : [];
+    } catch (e) {
+        // SessionStorage unavailable or corrupt — start empty.
+        return [];
+    }
+};
+
+/**
+ * Write the queue to sessionStorage, dropping the oldest reports if it does not fit.
+ *
+ * @returns {void}
+ */
+const save = () => {
+    for (let oldest = 0; oldest <= entries.length; oldest++) {
+        const kept = entries.slice(oldest);
+        try {
+            if (kept.length) {
+                sessionStorage.setItem(STORAGE_KEY, JSON.stringify(kept));
+            } else {
+                sessionStorage.removeItem(STORAGE_KEY);
+            }
+            return;
+        } catch (e) {
+            // Over quota: try again without the oldest report. If sessionStorage is
+            // unavailable altogether, the queue still works for this page.
+        }
+    }
+};
+
+export default {
+    MAX_ENTRIES,
+    BATCH_SIZE,
+    BASE_DELAY,
+    MAX_DELAY,
+    init,
+    enqueue,
+    flush,
+    drain,
+    getRetryDelay,
+    size,
+    clear,
+};
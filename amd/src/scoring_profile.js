@@ -0,0 +1,175 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Scoring profile.
+ *
+ * Holds the verdict bands, boost tiers, Comet tier lists and per-signal
+ * weight overrides used to score a session. The server sends the profile
+ * configured in the plugin settings (see \local_agentdetect\scoring_profile)
+ * to detector.init(); until then the built-in defaults below apply.
+ *
+ * @module     local_agentdetect/scoring_profile
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Built-in profile. Must stay in sync with scoring_profile::get_default().
+ *
+ * @type {Object}
+ */
+export const DEFAULT_PROFILE = {
+    version: 1,
+    threshold: 70,
+    // Verdict bands, highest first. Scores below the last band are LIKELY_HUMAN.
+    bands: [
+        {min: 80, verdict: 'HIGH_CONFIDENCE_AGENT'},
+        {min: 60, verdict: 'PROBABLE_AGENT'},
+        {min: 40, verdict: 'SUSPICIOUS'},
+        {min: 20, verdict: 'LOW_SUSPICION'},
+    ],
+    // Boost tiers per detector, highest first; the first tier reached applies.
+    boosts: {
+        // Fingerprint is a bonus - only helps when it detects something.
+        fingerprint: [
+            {min: 70, add: 30}, // Strong automation fingerprint - significant boost.
+            {min: 40, add: 15}, // Moderate fingerprint signals - modest boost.
+            {min: 20, add: 5}, // Weak fingerprint signals - small boost.
+        ],
+        // Injection is direct evidence of AI helper tools being present on the page.
+        injection: [
+            {min: 50, add: 25}, // Strong injection signals - significant boost.
+            {min: 25, add: 15}, // Moderate injection signals - modest boost.
+            {min: 10, add: 5}, // Weak injection signals - small boost.
+        ],
+        // With tier-aware scoring, only real agents reach cometScore >= 70.
+        comet: [
+            {min: 70, floor: 80, add: 10}, // Strong Comet agentic evidence — ensure HIGH_CONFIDENCE.
+            {min: 40, add: 15}, // Moderate Comet signals — modest boost.
+            {min: 20, add: 5}, // Weak Comet signals — small boost.
+        ],
+    },
+    comet: {
+        // Definitive signals = immediate high score (extension/runtime detection).
+        definitive: [
+            'comet_overlay_js',
+            'comet.extension.script_injected',
+            'comet.extension.resource_probe',
+            'comet_agent_src',
+            'network.perplexity_agent',
+        ],
+        definitivePrefixes: ['comet.runtime.'],
+        // Tier 1: physically-impossible signals; the weighted ones only count at tier1MinWeight.
+        tier1Weighted: [
+            'comet.ultra_precise_center',
+            'comet.low_mouse_to_action_ratio',
+            'comet.low_per_page_mouse_ratio',
+        ],
+        tier1MinWeight: 10,
+        tier1Any: ['comet.zero_keystrokes'],
+        // Tier 2: temporal/behavioral signals - anything with these prefixes not in Tier 1.
+        tier2Prefixes: ['comet.'],
+    },
+    // Per-signal weight overrides, keyed by signal name.
+    weights: {},
+};
+
+/**
+ * Profile in effect.
+ *
+ * @type {Object}
+ */
+let profile = DEFAULT_PROFILE;
+
+/**
+ * Set the profile in effect, layered over the defaults.
+ *
+ * Boost tiers and Comet lists are merged per key; bands and weights are
+ * replaced whole, matching the server-side merge.
+ *
+ * @param {Object|null} serverProfile Profile from the server.
+ * @returns {void}
+ */
+export const setProfile = (serverProfile) => {
+    if (!serverProfile) {
+        profile = DEFAULT_PROFILE;
+        return;
+    }
+    profile = {
+        ...DEFAULT_PROFILE,
+        ...serverProfile,
+        boosts: {...DEFAULT_PROFILE.boosts, ...(serverProfile.boosts || {})},
+        comet: {...DEFAULT_PROFILE.comet, ...(serverProfile.comet || {})},
+        weights: {...(serverProfile.weights || {})},
+    };
+};
+
+/**
+ * Get the profile in effect.
+ *
+ * @returns {Object} Scoring profile.
+ */
+export const getProfile = () => profile;
+
+/**
+ * Get the version of the profile in effect.
+ *
+ * @returns {number} Profile version.
+ */
+export const getVersion = () => profile.version;
+
+/**
+ * Get human-readable verdict from a combined score.
+ *
+ * @param {number} score Combined score.
+ * @returns {string} Verdict string.
+ */
+export const getVerdict = (score) => {
+    const band = profile.bands.find((b) => score >= b.min);
+    return band ? band.verdict : 'LIKELY_HUMAN';
+};
+
+/**
+ * Get the boost tiers configured for a detector.
+ *
+ * @param {string} name Detector name.
+ * @returns {Array|null} Tiers, or null if the profile does not configure this detector.
+ */
+export const getBoostTiers = (name) => profile.boosts[name] || null;
+
+/**
+ * Get the effective weight of a signal, applying any override.
+ *
+ * @param {Object} signal Signal or anomaly with a name and weight (or maxWeight).
+ * @returns {number} Weight.
+ */
+export const weightOf = (signal) => {
+    const override = profile.weights[signal.name];
+    if (typeof override === 'number') {
+        return override;
+    }
+    return signal.weight || signal.maxWeight || 0;
+};
+
+export default {
+    DEFAULT_PROFILE,
+    setProfile,
+    getProfile,
+    getVersion,
+    getVerdict,
+    getBoostTiers,
+    weightOf,
+};
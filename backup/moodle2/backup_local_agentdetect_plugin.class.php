@@ -51,8 +51,8 @@ class backup_local_agentdetect_plugin extends backup_local_plugin {
         $signals = new backup_nested_element('agentdetect_signals');
         $signal = new backup_nested_element('signal', ['id'], [
             'userid', 'contextid', 'sessionid', 'signaltype',
-            'fingerprintscore', 'interactionscore', 'combinedscore',
-            'verdict', 'signaldata', 'useragent', 'ipaddress', 'timecreated',
+            'fingerprintscore', 'interactionscore', 'combinedscore', 'clientscore',
+            'verdict', 'profileversion', 'signaldata', 'useragent', 'ipaddress', 'timecreated',
         ]);
 
         $flags = new backup_nested_element('agentdetect_flags');
@@ -18,7 +18,10 @@
  * Beacon endpoint for page unload signal reporting.
  *
  * This endpoint receives signals sent via navigator.sendBeacon()
- * during page unload events.
+ * during page unload events, and the detector's heartbeats. The body is a
+ * JSON list of signed reports, processed in order, so the reports still
+ * queued when a page unloads arrive in one request ahead of its unload
+ * report and the server sees their sequence numbers in order.
  *
  * @package    local_agentdetect
  * @copyright  2026 Joseph Thibault <joe@cursivetechnology.com>
@@ -39,46 +42,96 @@ if (empty($input)) {
     exit;
 }
 
-$data = json_decode($input, true);
-if (json_last_error() !== JSON_ERROR_NONE) {
+$reports = json_decode($input, true);
+if (json_last_error() !== JSON_ERROR_NONE || !is_array($reports) || !array_is_list($reports)) {
     http_response_code(400);
     exit;
 }
 
-// Validate required fields.
-$required = ['sesskey', 'sessionid', 'signaltype', 'signaldata'];
-foreach ($required as $field) {
-    if (empty($data[$field])) {
-        http_response_code(400);
-        exit;
-    }
-}
-
-// Validate session.
-if (!confirm_sesskey($data['sesskey'])) {
-    http_response_code(403);
+// At most a full report queue and the unload report.
+if (count($reports) > \local_agentdetect\signal_manager::MAX_DROPPED_REPORTS + 1) {
+    http_response_code(413);
     exit;
 }
 
-// Decode signal data.
-$signaldata = json_decode($data['signaldata'], true);
-if (json_last_error() !== JSON_ERROR_NONE) {
-    http_response_code(400);
-    exit;
-}
+// A report that fails is skipped; the status is that of the last one that failed.
+$status = 204; // No content - success.
+$required = ['sesskey', 'sessionid', 'signaltype', 'signaldata', 'nonce', 'sequence', 'signature'];
+foreach ($reports as $data) {
+    if (!is_array($data)) {
+        $status = 400;
+        continue;
+    }
+
+    // Validate required fields.
+    foreach ($required as $field) {
+        if (empty($data[$field])) {
+            $status = 400;
+            continue 2;
+        }
+    }
 
-// Store the signal.
-try {
-    $manager = new \local_agentdetect\signal_manager();
-    $manager->store_signal(
-        $USER->id,
-        $data['contextid'] ?? 0,
-        $data['sessionid'],
-        $data['signaltype'],
-        $signaldata
+    // Validate session.
+    if (!confirm_sesskey($data['sesskey'])) {
+        $status = 403;
+        continue;
+    }
+
+    // Verify the report signature and sequence.
+    $contextid = (int) ($data['contextid'] ?? 0);
+    $verification = \local_agentdetect\report_channel::verify(
+        (string) $data['nonce'],
+        (int) $data['sequence'],
+        (int) ($data['dropped'] ?? 0),
+        (string) $data['signature'],
+        $contextid,
+        (string) $data['sessionid'],
+        (string) $data['signaltype'],
+        (string) $data['signaldata']
     );
+    if (!$verification['valid']) {
+        $status = 409;
+        continue;
+    }
+
+    // Heartbeats are only counted; they carry nothing worth storing as a signal.
+    if ($data['signaltype'] === \local_agentdetect\heartbeat_monitor::SIGNAL_TYPE) {
+        $monitor = new \local_agentdetect\heartbeat_monitor();
+        $monitor->record($USER->id, $contextid, $data['sessionid']);
+        continue;
+    }
 
-    http_response_code(204); // No content - success.
-} catch (Exception $e) {
-    http_response_code(500);
+    // Decode signal data.
+    $signaldata = json_decode($data['signaldata'], true);
+    if (json_last_error() !== JSON_ERROR_NONE) {
+        $status = 400;
+        continue;
+    }
+
+    // Store the signal.
+    try {
+        $manager = new \local_agentdetect\signal_manager();
+        if ($verification['missing'] > 0) {
+            $manager->store_sequence_gap(
+                $USER->id,
+                $contextid,
+                $data['sessionid'],
+                $data['nonce'],
+                $verification['expected'],
+                (int) $data['sequence'],
+                (int) ($data['dropped'] ?? 0)
+            );
+        }
+        $manager->store_signal(
+            $USER->id,
+            $contextid,
+            $data['sessionid'],
+            $data['signaltype'],
+            $signaldata
+        );
+    } catch (\Throwable $e) {
+        $status = 500;
+    }
 }
+
+http_response_code($status);
@@ -0,0 +1,173 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Accessibility accommodations.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Accessibility accommodations granted to students on a quiz.
+ *
+ * Students who use a screen reader, switch access, voice control or only
+ * the keyboard raise some interaction anomalies however honestly they
+ * work. An accommodation tells the detector to suppress those anomalies,
+ * or keep them at a quarter of their weight, for one student on one quiz.
+ * It hangs off the student's quiz user override, where their other
+ * arrangements (extra time, attempts) already live, and goes with it.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class accommodation {
+    /** @var string Covered anomalies are kept at a reduced weight. */
+    const MODE_REWEIGHT = 'reweight';
+
+    /** @var string Covered anomalies are dropped. */
+    const MODE_SUPPRESS = 'suppress';
+
+    /** @var string[] Every mode. */
+    const MODES = [self::MODE_REWEIGHT, self::MODE_SUPPRESS];
+
+    /**
+     * Get the accommodation mode granted to a user in a context.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context ID.
+     * @return string|null Mode, or null without an accommodation.
+     */
+    public static function get_mode(int $userid, int $contextid): ?string {
+        global $DB;
+
+        $mode = $DB->get_field('local_agentdetect_accommodations', 'adjustment', [
+            'userid' => $userid,
+            'contextid' => $contextid,
+        ]);
+        return $mode === false ? null : $mode;
+    }
+
+    /**
+     * Get the user overrides of a quiz with the accommodation of each user.
+     *
+     * @param \cm_info|\stdClass $cm Quiz course module.
+     * @return \stdClass[] Overrides with the user's name fields, plus accommodationid, mode and reason, by user name.
+     */
+    public static function get_for_quiz($cm): array {
+        global $DB;
+
+        $context = \context_module::instance($cm->id);
+        $namefields = \core_user\fields::for_name()->get_sql('u')->selects;
+        $sql = "SELECT o.id, o.userid, a.id AS accommodationid, a.adjustment AS mode, a.reason {$namefields}
+                  FROM {quiz_overrides} o
+                  JOIN {user} u ON u.id = o.userid
+             LEFT JOIN {local_agentdetect_accommodations} a ON a.userid = o.userid AND a.contextid = :contextid
+                 WHERE o.quiz = :quizid
+              ORDER BY u.lastname, u.firstname, o.id";
+        return $DB->get_records_sql($sql, ['contextid' => $context->id, 'quizid' => $cm->instance]);
+    }
+
+    /**
+     * Get the accommodation of a user on a quiz.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context ID of the quiz.
+     * @return \stdClass|null Record, or null without an accommodation.
+     */
+    public static function get(int $userid, int $contextid): ?\stdClass {
+        global $DB;
+
+        $record = $DB->get_record('local_agentdetect_accommodations', ['userid' => $userid, 'contextid' => $contextid]);
+        return $record ?: null;
+    }
+
+    /**
+     * Grant, change or withdraw the accommodation of a user on a quiz.
+     *
+     * @param \cm_info|\stdClass $cm Quiz course module.
+     * @param int $userid User ID.
+     * @param string|null $mode Mode, or null to withdraw the accommodation.
+     * @param string $reason Why the accommodation is granted.
+     * @return \stdClass|null The accommodation, or null once withdrawn.
+     * @throws \moodle_exception If the user has no override on the quiz.
+     */
+    public static function set($cm, int $userid, ?string $mode, string $reason = ''): ?\stdClass {
+        global $DB, $USER;
+
+        if ($mode !== null && !in_array($mode, self::MODES, true)) {
+            throw new \coding_exception("Unknown accommodation mode '{$mode}'");
+        }
+        $override = $DB->get_record('quiz_overrides', ['quiz' => $cm->instance, 'userid' => $userid]);
+        if (!$override) {
+            throw new \moodle_exception('accommodation:nooverride', 'local_agentdetect');
+        }
+
+        $context = \context_module::instance($cm->id);
+        $record = self::get($userid, $context->id);
+        $now = time();
+
+        if ($mode === null) {
+            if (!$record) {
+                return null;
+            }
+            $DB->delete_records('local_agentdetect_accommodations', ['id' => $record->id]);
+        } else if ($record) {
+            $record->overrideid = $override->id;
+            $record->adjustment = $mode;
+            $record->reason = $reason;
+            $record->usermodified = $USER->id;
+            $record->timemodified = $now;
+            $DB->update_record('local_agentdetect_accommodations', $record);
+        } else {
+            $record = (object) [
+                'userid' => $userid,
+                'contextid' => $context->id,
+                'overrideid' => $override->id,
+                'adjustment' => $mode,
+                'reason' => $reason,
+                'usermodified' => $USER->id,
+                'timecreated' => $now,
+                'timemodified' => $now,
+            ];
+            $record->id = $DB->insert_record('local_agentdetect_accommodations', $record);
+        }
+
+        \local_agentdetect\event\accommodation_updated::create([
+            'objectid' => $record->id,
+            'context' => $context,
+            'relateduserid' => $userid,
+            'other' => ['mode' => $mode],
+        ])->trigger();
+
+        return $mode === null ? null : $record;
+    }
+
+    /**
+     * Withdraw the accommodation that belongs to a quiz user override.
+     *
+     * @param int $overrideid Override ID.
+     */
+    public static function delete_for_override(int $overrideid): void {
+        global $DB;
+
+        $DB->delete_records('local_agentdetect_accommodations', ['overrideid' => $overrideid]);
+    }
+}
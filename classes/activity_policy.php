@@ -0,0 +1,254 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Detection policy of a quiz or assignment.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Whether and how an activity is monitored, set from its settings form.
+ *
+ * Without a policy an activity is monitored on the page types of the
+ * plugin settings, flagged at the site threshold and reported on at the
+ * site interval. A policy can switch monitoring on for all the activity's
+ * pages or off altogether, make flagging stricter or more lenient, and
+ * set its own report interval.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class activity_policy {
+    /** @var string Monitored on the page types of the plugin settings. */
+    const MONITORING_DEFAULT = 'default';
+
+    /** @var string Monitored on every page of the activity. */
+    const MONITORING_ON = 'on';
+
+    /** @var string Never monitored. */
+    const MONITORING_OFF = 'off';
+
+    /** @var string[] Every monitoring setting. */
+    const MONITORING = [self::MONITORING_DEFAULT, self::MONITORING_ON, self::MONITORING_OFF];
+
+    /** @var string Flagged at the site threshold. */
+    const SENSITIVITY_STANDARD = 'standard';
+
+    /** @var string Flagged below the site threshold, for summative exams. */
+    const SENSITIVITY_STRICT = 'strict';
+
+    /** @var string Flagged above the site threshold, for practice. */
+    const SENSITIVITY_LENIENT = 'lenient';
+
+    /** @var int[] How far each sensitivity moves the flag threshold. */
+    const SENSITIVITY_OFFSETS = [
+        self::SENSITIVITY_STANDARD => 0,
+        self::SENSITIVITY_STRICT => -15,
+        self::SENSITIVITY_LENIENT => 15,
+    ];
+
+    /** @var string[] Activity types a policy can be set for. */
+    const MODNAMES = ['quiz', 'assign'];
+
+    /** @var int Default report interval (ms). */
+    const DEFAULT_REPORT_INTERVAL = 30000;
+
+    /** @var int Shortest report interval an activity may set (ms). */
+    const MIN_REPORT_INTERVAL = 5000;
+
+    /**
+     * Get the policy set for an activity.
+     *
+     * @param int $contextid Context ID of the activity.
+     * @return \stdClass|null Record, or null if the activity has none.
+     */
+    public static function get(int $contextid): ?\stdClass {
+        global $DB;
+
+        return $DB->get_record('local_agentdetect_policies', ['contextid' => $contextid]) ?: null;
+    }
+
+    /**
+     * Set the policy of an activity.
+     *
+     * A policy that changes nothing is removed instead.
+     *
+     * @param int $contextid Context ID of the activity.
+     * @param string $monitoring One of MONITORING.
+     * @param string $sensitivity A key of SENSITIVITY_OFFSETS.
+     * @param int|null $reportinterval Report interval (ms), or null for the site's.
+     * @return \stdClass|null The policy, or null once removed.
+     */
+    public static function set(int $contextid, string $monitoring, string $sensitivity, ?int $reportinterval): ?\stdClass {
+        global $DB;
+
+        if (!in_array($monitoring, self::MONITORING, true)) {
+            throw new \coding_exception("Unknown monitoring setting '{$monitoring}'");
+        }
+        if (!array_key_exists($sensitivity, self::SENSITIVITY_OFFSETS)) {
+            throw new \coding_exception("Unknown sensitivity '{$sensitivity}'");
+        }
+        if ($reportinterval !== null) {
+            $reportinterval = max($reportinterval, self::MIN_REPORT_INTERVAL);
+        }
+
+        $record = self::get($contextid);
+        if ($monitoring === self::MONITORING_DEFAULT && $sensitivity === self::SENSITIVITY_STANDARD && $reportinterval === null) {
+            if ($record) {
+                $DB->delete_records('local_agentdetect_policies', ['id' => $record->id]);
+            }
+            return null;
+        }
+
+        $record = $record ?: (object) ['contextid' => $contextid];
+        $record->monitoring = $monitoring;
+        $record->sensitivity = $sensitivity;
+        $record->reportinterval = $reportinterval;
+        $record->timemodified = time();
+        if (isset($record->id)) {
+            $DB->update_record('local_agentdetect_policies', $record);
+        } else {
+            $record->id = $DB->insert_record('local_agentdetect_policies', $record);
+        }
+        return $record;
+    }
+
+    /**
+     * Remove the policy of an activity.
+     *
+     * @param int $contextid Context ID.
+     */
+    public static function delete_for_context(int $contextid): void {
+        global $DB;
+
+        $DB->delete_records('local_agentdetect_policies', ['contextid' => $contextid]);
+    }
+
+    /**
+     * Remove the policies of activities whose context no longer exists.
+     */
+    public static function delete_for_deleted_contexts(): void {
+        global $DB;
+
+        $DB->delete_records_select('local_agentdetect_policies', 'contextid NOT IN (SELECT id FROM {context})');
+    }
+
+    /**
+     * Work out the policy in effect in a context, as passed to the detector.
+     *
+     * Contexts other than activities get the site's.
+     *
+     * @param \context $context Context the detector runs in.
+     * @return array Policy with monitoring, sensitivity, reportInterval (ms) and threshold.
+     */
+    public static function resolve(\context $context): array {
+        $record = $context->contextlevel == CONTEXT_MODULE ? self::get($context->id) : null;
+        $sensitivity = $record->sensitivity ?? self::SENSITIVITY_STANDARD;
+
+        return [
+            'monitoring' => $record->monitoring ?? self::MONITORING_DEFAULT,
+            'sensitivity' => $sensitivity,
+            'reportInterval' => (int) ($record->reportinterval ?? 0) ?: self::get_site_report_interval(),
+            'threshold' => self::get_threshold_for($sensitivity),
+        ];
+    }
+
+    /**
+     * Whether the detector runs on a page.
+     *
+     * @param array $policy Policy of the page's context, from resolve().
+     * @param string $pagetype Page type.
+     * @param string|null $modname Activity type of the page, if it belongs to one.
+     * @return bool
+     */
+    public static function is_monitored(array $policy, string $pagetype, ?string $modname = null): bool {
+        $monitoring = $policy['monitoring'];
+        if ($monitoring === self::MONITORING_OFF) {
+            return false;
+        }
+        if ($monitoring === self::MONITORING_ON && $modname !== null && str_starts_with($pagetype, 'mod-' . $modname . '-')) {
+            return true;
+        }
+        return self::matches_site_pagetypes($pagetype);
+    }
+
+    /**
+     * Get the combined score at or above which a user is flagged in a context.
+     *
+     * @param int|null $contextid Context ID, if any.
+     * @return int Threshold (0-100).
+     */
+    public static function get_flag_threshold(?int $contextid): int {
+        $record = $contextid ? self::get($contextid) : null;
+        return self::get_threshold_for($record->sensitivity ?? self::SENSITIVITY_STANDARD);
+    }
+
+    /**
+     * Move the site flag threshold by a sensitivity.
+     *
+     * The threshold stays within the scores that can flag a user at all.
+     *
+     * @param string $sensitivity A key of SENSITIVITY_OFFSETS.
+     * @return int Threshold (0-100).
+     */
+    protected static function get_threshold_for(string $sensitivity): int {
+        $threshold = scoring_profile::get_flag_threshold() + (self::SENSITIVITY_OFFSETS[$sensitivity] ?? 0);
+        return max(signal_manager::FLAG_THRESHOLD_SUSPICIOUS, min(100, $threshold));
+    }
+
+    /**
+     * Get the site report interval.
+     *
+     * @return int Report interval (ms).
+     */
+    protected static function get_site_report_interval(): int {
+        return (int) get_config('local_agentdetect', 'reportinterval') ?: self::DEFAULT_REPORT_INTERVAL;
+    }
+
+    /**
+     * Whether a page type is one of those the plugin settings monitor.
+     *
+     * An empty list monitors every page type.
+     *
+     * @param string $pagetype Page type.
+     * @return bool
+     */
+    protected static function matches_site_pagetypes(string $pagetype): bool {
+        $enabledpagetypes = get_config('local_agentdetect', 'pagetypes');
+        if (empty($enabledpagetypes)) {
+            return true;
+        }
+
+        foreach (explode(',', $enabledpagetypes) as $type) {
+            $type = trim($type);
+            if (empty($type)) {
+                continue;
+            }
+            // Support wildcards like mod-assign-*.
+            $pattern = '/^' . str_replace(['*', '-'], ['.*', '\-'], $type) . '$/';
+            if (preg_match($pattern, $pagetype)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
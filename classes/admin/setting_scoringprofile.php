@@ -0,0 +1,59 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Admin setting for the scoring profile override.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\admin;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/adminlib.php');
+
+use local_agentdetect\scoring_profile;
+
+/**
+ * JSON textarea validated against the scoring profile structure.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class setting_scoringprofile extends \admin_setting_configtextarea {
+    /**
+     * Validate the submitted JSON. An empty value restores the built-in defaults.
+     *
+     * @param string $data Submitted value.
+     * @return true|string True if valid, otherwise an error message.
+     */
+    public function validate($data) {
+        if (trim($data) === '') {
+            return true;
+        }
+
+        $decoded = json_decode($data, true);
+        if (!is_array($decoded) || (array_is_list($decoded) && !empty($decoded))) {
+            return get_string('scoringprofile:invalidjson', 'local_agentdetect');
+        }
+
+        return scoring_profile::validate($decoded);
+    }
+}
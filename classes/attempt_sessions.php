@@ -0,0 +1,434 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Detection sessions of quiz attempts.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Binds detection sessions to the quiz attempts they ran in.
+ *
+ * On the attempt and summary pages of a quiz the detector keys its session
+ * by the attempt, and says which attempt in its reports. The first report
+ * naming an attempt binds the session to it, once the attempt is found to
+ * be the user's own at the quiz reported from. An attempt continued in
+ * another tab gets a session of its own, so an attempt may have several.
+ *
+ * Each session keeps the highest combined score reported in it, which gives
+ * every attempt a flag of its own alongside the user's flag for the quiz.
+ * A session whose detector went quiet before the attempt was submitted is
+ * marked silenced, which flags the attempt whatever its scores.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class attempt_sessions {
+    /** @var string Flag type of an attempt with reports, none of them suspicious. */
+    const FLAG_LIKELY_HUMAN = 'likely_human';
+
+    /** @var string Flag type of an attempt with a suspicious report below the flag threshold. */
+    const FLAG_LOW_SUSPICION = 'low_suspicion';
+
+    /** @var string Source of a flag from the attempt's own sessions. */
+    const SOURCE_ATTEMPT = 'attempt';
+
+    /** @var string Source of a flag from the student's flag for the quiz. */
+    const SOURCE_USER = 'user';
+
+    /**
+     * Bind a detection session to a quiz attempt.
+     *
+     * @param int $userid User the session belongs to.
+     * @param int $contextid Context the session reported from.
+     * @param string $sessionid Detection session ID.
+     * @param int $attemptid Quiz attempt ID the session claims.
+     * @return bool Whether the session is bound to the attempt; false if the attempt is not
+     *              the user's at the quiz of the context, or the session belongs to another.
+     */
+    public function bind(int $userid, int $contextid, string $sessionid, int $attemptid): bool {
+        global $DB;
+
+        $bound = $this->get_attempt_id($userid, $sessionid);
+        if ($bound !== null) {
+            return $bound === $attemptid;
+        }
+
+        $context = \context::instance_by_id($contextid, IGNORE_MISSING);
+        if (!$context || $context->contextlevel != CONTEXT_MODULE) {
+            return false;
+        }
+        $cm = get_coursemodule_from_id('quiz', $context->instanceid);
+        if (!$cm || !$DB->record_exists('quiz_attempts', ['id' => $attemptid, 'quiz' => $cm->instance, 'userid' => $userid])) {
+            return false;
+        }
+
+        $now = time();
+        $DB->insert_record('local_agentdetect_attempts', (object) [
+            'attemptid' => $attemptid,
+            'userid' => $userid,
+            'contextid' => $contextid,
+            'sessionid' => $sessionid,
+            'maxscore' => 0,
+            'detectioncount' => 0,
+            'silenced' => 0,
+            'timecreated' => $now,
+            'timemodified' => $now,
+        ]);
+        return true;
+    }
+
+    /**
+     * Get the quiz attempt a detection session is bound to.
+     *
+     * @param int $userid User ID.
+     * @param string $sessionid Detection session ID.
+     * @return int|null Attempt ID, or null if the session is not bound.
+     */
+    public function get_attempt_id(int $userid, string $sessionid): ?int {
+        global $DB;
+
+        $attemptid = $DB->get_field('local_agentdetect_attempts', 'attemptid', ['userid' => $userid, 'sessionid' => $sessionid]);
+        return $attemptid === false ? null : (int) $attemptid;
+    }
+
+    /**
+     * Get the detection sessions bound to a quiz attempt.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     * @return string[] Session IDs, first bound first.
+     */
+    public function get_session_ids(int $attemptid): array {
+        global $DB;
+
+        return array_values($DB->get_fieldset_select('local_agentdetect_attempts', 'sessionid', 'attemptid = :attemptid',
+            ['attemptid' => $attemptid]));
+    }
+
+    /**
+     * Record the combined score of a report against the attempt of its session.
+     *
+     * Reports of sessions not bound to an attempt are ignored.
+     *
+     * @param int $userid User ID.
+     * @param string $sessionid Detection session ID.
+     * @param int|null $score Combined score of the report, null if it has none.
+     */
+    public function record_score(int $userid, string $sessionid, ?int $score): void {
+        global $DB;
+
+        if ($score === null) {
+            return;
+        }
+        $record = $DB->get_record('local_agentdetect_attempts', ['userid' => $userid, 'sessionid' => $sessionid]);
+        if (!$record) {
+            return;
+        }
+
+        $record->maxscore = max((int) $record->maxscore, $score);
+        if ($score >= signal_manager::FLAG_THRESHOLD_SUSPICIOUS) {
+            $record->detectioncount++;
+        }
+        $record->timemodified = time();
+        $DB->update_record('local_agentdetect_attempts', $record);
+    }
+
+    /**
+     * Mark a quiz attempt as submitted after its detector went quiet.
+     *
+     * Every session of the attempt is marked. An attempt without sessions
+     * gets the silenced session bound to it, unless that session already
+     * belongs to another attempt.
+     *
+     * @param int $userid User the attempt belongs to.
+     * @param int $contextid Context of the quiz.
+     * @param int $attemptid Quiz attempt ID.
+     * @param string $sessionid Detection session that went quiet.
+     */
+    public function mark_silenced(int $userid, int $contextid, int $attemptid, string $sessionid): void {
+        global $DB;
+
+        $now = time();
+        if ($DB->record_exists('local_agentdetect_attempts', ['attemptid' => $attemptid])) {
+            $DB->execute(
+                "UPDATE {local_agentdetect_attempts} SET silenced = 1, timemodified = :now WHERE attemptid = :attemptid",
+                ['now' => $now, 'attemptid' => $attemptid]
+            );
+            return;
+        }
+        if ($this->get_attempt_id($userid, $sessionid) !== null) {
+            return;
+        }
+
+        $DB->insert_record('local_agentdetect_attempts', (object) [
+            'attemptid' => $attemptid,
+            'userid' => $userid,
+            'contextid' => $contextid,
+            'sessionid' => $sessionid,
+            'maxscore' => 0,
+            'detectioncount' => 0,
+            'silenced' => 1,
+            'timecreated' => $now,
+            'timemodified' => $now,
+        ]);
+    }
+
+    /**
+     * Get the flags of quiz attempts.
+     *
+     * An attempt is suspected once a report in any of its sessions reaches
+     * the flag threshold of its quiz, or once it was submitted after its
+     * detector went quiet, and of low suspicion below the threshold down
+     * to the suspicious score. A teacher's decision on the user's flag for
+     * the quiz, confirmed or cleared, stands for all their attempts at it.
+     *
+     * Attempts the detector did not run in can be given the student's flag
+     * for the quiz instead, or their site-wide flag, unless it was cleared.
+     *
+     * @param int[] $attemptids Quiz attempt IDs.
+     * @param bool $userflags Whether attempts without sessions get the student's flag.
+     * @return array Flags keyed by attempt ID, each with attemptid, userid, contextid, flagtype,
+     *               maxscore, detectioncount, sessions and source; attempts without a flag are left out.
+     */
+    public function get_flags(array $attemptids, bool $userflags = false): array {
+        global $DB;
+
+        if (!$attemptids) {
+            return [];
+        }
+
+        [$insql, $params] = $DB->get_in_or_equal($attemptids, SQL_PARAMS_NAMED);
+        $sql = "SELECT a.attemptid, a.userid, a.contextid, MAX(a.maxscore) AS maxscore,
+                       SUM(a.detectioncount) AS detectioncount, COUNT(a.id) AS sessions, MAX(a.silenced) AS silenced,
+                       f.flagtype AS userflag
+                  FROM {local_agentdetect_attempts} a
+             LEFT JOIN {local_agentdetect_flags} f ON f.userid = a.userid AND f.contextid = a.contextid
+                 WHERE a.attemptid {$insql}
+              GROUP BY a.attemptid, a.userid, a.contextid, f.flagtype";
+
+        // Attempts mostly share a few quizzes, so each quiz's threshold is looked up once.
+        $thresholds = [];
+        $flags = [];
+        foreach ($DB->get_records_sql($sql, $params) as $record) {
+            $thresholds[$record->contextid] ??= activity_policy::get_flag_threshold((int) $record->contextid);
+            $flags[(int) $record->attemptid] = [
+                'attemptid' => (int) $record->attemptid,
+                'userid' => (int) $record->userid,
+                'contextid' => (int) $record->contextid,
+                'flagtype' => $this->get_flag_type(
+                    $thresholds[$record->contextid],
+                    (int) $record->maxscore,
+                    (bool) $record->silenced,
+                    $record->userflag
+                ),
+                'maxscore' => (int) $record->maxscore,
+                'detectioncount' => (int) $record->detectioncount,
+                'sessions' => (int) $record->sessions,
+                'source' => self::SOURCE_ATTEMPT,
+            ];
+        }
+
+        if ($userflags) {
+            $flags += $this->get_user_flags(array_diff($attemptids, array_keys($flags)));
+        }
+        return $flags;
+    }
+
+    /**
+     * Get the flag shown for each attempt at a quiz, as get_flags() with the student's flag.
+     *
+     * @param int $quizid Quiz ID.
+     * @param int[]|null $attemptids Attempts to get, null for every attempt at the quiz.
+     * @return array Flags with attemptid, userid, flagtype, maxscore and source, keyed by attempt ID.
+     */
+    public function get_quiz_flags(int $quizid, ?array $attemptids = null): array {
+        global $DB;
+
+        $select = 'quiz = :quizid';
+        $params = ['quizid' => $quizid];
+        if ($attemptids !== null) {
+            if (!$attemptids) {
+                return [];
+            }
+            [$insql, $inparams] = $DB->get_in_or_equal($attemptids, SQL_PARAMS_NAMED);
+            $select .= " AND id {$insql}";
+            $params += $inparams;
+        }
+        $ids = $DB->get_fieldset_select('quiz_attempts', 'id', $select, $params);
+
+        $flags = [];
+        foreach ($this->get_flags($ids, true) as $attemptid => $flag) {
+            $flags[$attemptid] = array_intersect_key($flag, array_flip(['attemptid', 'userid', 'flagtype', 'maxscore', 'source']));
+        }
+        ksort($flags);
+        return $flags;
+    }
+
+    /**
+     * Get the combined reports sent in the sessions of a quiz attempt.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     * @return \stdClass[] Signal records, earliest first, with deltas expanded.
+     */
+    public function get_reports(int $attemptid): array {
+        global $DB;
+
+        $sql = "SELECT s.id, s.userid, s.sessionid, s.signaltype, s.signaldata, s.combinedscore, s.verdict, s.timecreated
+                  FROM {local_agentdetect_signals} s
+                  JOIN {local_agentdetect_attempts} a ON a.userid = s.userid AND a.sessionid = s.sessionid
+                 WHERE a.attemptid = :attemptid
+                   AND s.signaltype = :signaltype
+              ORDER BY s.timecreated ASC, s.id ASC";
+        $params = ['attemptid' => $attemptid, 'signaltype' => signal_manager::SIGNAL_COMBINED];
+
+        return array_values((new signal_manager())->expand_signals($DB->get_records_sql($sql, $params)));
+    }
+
+    /**
+     * Remove the sessions of a deleted quiz attempt.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     */
+    public function delete_for_attempt(int $attemptid): void {
+        global $DB;
+
+        $DB->delete_records('local_agentdetect_attempts', ['attemptid' => $attemptid]);
+    }
+
+    /**
+     * Remove the attempt sessions recorded in a deleted context.
+     *
+     * @param int $contextid Context ID.
+     */
+    public function delete_for_context(int $contextid): void {
+        global $DB;
+
+        $DB->delete_records('local_agentdetect_attempts', ['contextid' => $contextid]);
+    }
+
+    /**
+     * Remove the attempt sessions recorded in contexts that no longer exist.
+     */
+    public function delete_for_deleted_contexts(): void {
+        global $DB;
+
+        $DB->delete_records_select('local_agentdetect_attempts', 'contextid NOT IN (SELECT id FROM {context})');
+    }
+
+    /**
+     * Get the student's flag for each attempt, for its quiz or else site-wide.
+     *
+     * The strongest flag counts; cleared flags do not.
+     *
+     * @param int[] $attemptids Quiz attempt IDs.
+     * @return array Flags keyed by attempt ID, shaped as get_flags().
+     */
+    protected function get_user_flags(array $attemptids): array {
+        global $DB;
+
+        if (!$attemptids) {
+            return [];
+        }
+
+        [$insql, $params] = $DB->get_in_or_equal($attemptids, SQL_PARAMS_NAMED);
+        $params['modulename'] = 'quiz';
+        $params['contextlevel'] = CONTEXT_MODULE;
+        $attempts = $DB->get_records_sql(
+            "SELECT qa.id, qa.userid, ctx.id AS contextid
+               FROM {quiz_attempts} qa
+               JOIN {modules} m ON m.name = :modulename
+               JOIN {course_modules} cm ON cm.module = m.id AND cm.instance = qa.quiz
+               JOIN {context} ctx ON ctx.instanceid = cm.id AND ctx.contextlevel = :contextlevel
+              WHERE qa.id {$insql}",
+            $params
+        );
+        if (!$attempts) {
+            return [];
+        }
+
+        [$usersql, $params] = $DB->get_in_or_equal(array_unique(array_column($attempts, 'userid')), SQL_PARAMS_NAMED);
+        [$contextsql, $contextparams] = $DB->get_in_or_equal(array_unique(array_column($attempts, 'contextid')),
+            SQL_PARAMS_NAMED);
+        $params += $contextparams;
+        $params['cleared'] = signal_manager::FLAG_CLEARED;
+        $records = $DB->get_records_select(
+            'local_agentdetect_flags',
+            "userid {$usersql} AND (contextid {$contextsql} OR contextid IS NULL) AND flagtype <> :cleared",
+            $params,
+            'maxscore ASC',
+            'id, userid, contextid, flagtype, maxscore, detectioncount'
+        );
+
+        // The strongest flag of each student, per quiz and site-wide.
+        $userflags = [];
+        foreach ($records as $record) {
+            $userflags[$record->userid][(int) $record->contextid] = $record;
+        }
+
+        $flags = [];
+        foreach ($attempts as $attempt) {
+            $candidates = array_filter([
+                $userflags[$attempt->userid][(int) $attempt->contextid] ?? null,
+                $userflags[$attempt->userid][0] ?? null,
+            ]);
+            if (!$candidates) {
+                continue;
+            }
+            usort($candidates, fn($a, $b) => $b->maxscore <=> $a->maxscore);
+            $flag = reset($candidates);
+
+            $flags[(int) $attempt->id] = [
+                'attemptid' => (int) $attempt->id,
+                'userid' => (int) $attempt->userid,
+                'contextid' => (int) $attempt->contextid,
+                'flagtype' => $flag->flagtype,
+                'maxscore' => (int) $flag->maxscore,
+                'detectioncount' => (int) $flag->detectioncount,
+                'sessions' => 0,
+                'source' => self::SOURCE_USER,
+            ];
+        }
+        return $flags;
+    }
+
+    /**
+     * Work out the flag type of an attempt.
+     *
+     * @param int $threshold Flag threshold of the quiz.
+     * @param int $maxscore Highest combined score reported in the attempt.
+     * @param bool $silenced Whether the attempt was submitted after its detector went quiet.
+     * @param string|null $userflag Flag type of the user at the quiz, if flagged.
+     * @return string Flag type.
+     */
+    protected function get_flag_type(int $threshold, int $maxscore, bool $silenced, ?string $userflag): string {
+        if ($userflag === signal_manager::FLAG_CONFIRMED || $userflag === signal_manager::FLAG_CLEARED) {
+            return $userflag;
+        }
+        if ($silenced || $maxscore >= $threshold) {
+            return signal_manager::FLAG_SUSPECTED;
+        }
+        if ($maxscore >= signal_manager::FLAG_THRESHOLD_SUSPICIOUS) {
+            return self::FLAG_LOW_SUSPICION;
+        }
+        return self::FLAG_LIKELY_HUMAN;
+    }
+}
@@ -0,0 +1,265 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Detection module switches.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Which detection modules run where.
+ *
+ * Each module has a site default in the plugin settings, which a course
+ * and then an activity can override. The resolved switches are sent to
+ * the detector, and every report it sends back carries a manifest of the
+ * modules that ran, so that a module that was off is not read as one
+ * that found nothing.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class detection_modules {
+    /** @var string Browser fingerprint: WebDriver, headless and automation extension checks. */
+    const FINGERPRINT = 'fingerprint';
+
+    /** @var string Mouse, touch, keyboard and focus analysis. */
+    const INTERACTION = 'interaction';
+
+    /** @var string Detection of elements injected by AI helper extensions. */
+    const INJECTION = 'injection';
+
+    /** @var string Comet extension, runtime and network probes, and the Comet score built on them. */
+    const COMET = 'comet';
+
+    /** @var string Loading known Comet extension resources to see whether it is installed. */
+    const EXTENSIONPROBE = 'extensionprobe';
+
+    /** @var string[] Plugin setting holding the site default of each module. */
+    const SETTINGS = [
+        self::FINGERPRINT => 'collectfingerprint',
+        self::INTERACTION => 'collectinteraction',
+        self::INJECTION => 'collectinjection',
+        self::COMET => 'cometprobes',
+        self::EXTENSIONPROBE => 'extensionprobes',
+    ];
+
+    /** @var array[] Modules that cannot run without others, keyed by the module that depends on them. */
+    const DEPENDENCIES = [
+        self::EXTENSIONPROBE => [self::FINGERPRINT, self::COMET],
+    ];
+
+    /** @var string Manifest status of a module that ran. */
+    const STATUS_RAN = 'ran';
+
+    /** @var string Manifest status of a module switched off. */
+    const STATUS_DISABLED = 'disabled';
+
+    /** @var string Manifest status of a module that was on but failed to start or analyze. */
+    const STATUS_FAILED = 'failed';
+
+    /**
+     * Get every module name.
+     *
+     * @return string[] Module names.
+     */
+    public static function get_modules(): array {
+        return array_keys(self::SETTINGS);
+    }
+
+    /**
+     * Get the site default of every module.
+     *
+     * A setting that was never saved counts as on, as its admin default is.
+     *
+     * @return bool[] Whether each module is on, by module name.
+     */
+    public static function get_site_defaults(): array {
+        $defaults = [];
+        foreach (self::SETTINGS as $module => $setting) {
+            $value = get_config('local_agentdetect', $setting);
+            $defaults[$module] = $value === false || (bool) $value;
+        }
+        return $defaults;
+    }
+
+    /**
+     * Get the overrides set in a context.
+     *
+     * @param int $contextid Context ID of a course or activity.
+     * @return bool[] Whether each overridden module is on, by module name.
+     */
+    public static function get_overrides(int $contextid): array {
+        global $DB;
+
+        $records = $DB->get_records('local_agentdetect_modules', ['contextid' => $contextid], '', 'id, module, enabled');
+        $overrides = [];
+        foreach ($records as $record) {
+            $overrides[$record->module] = (bool) $record->enabled;
+        }
+        return $overrides;
+    }
+
+    /**
+     * Work out which modules run in a context.
+     *
+     * The site defaults apply unless the course overrides them, and the
+     * course's unless the activity does. A module that needs one which is
+     * off is off too.
+     *
+     * @param \context $context Context the detector runs in.
+     * @return bool[] Whether each module is on, by module name.
+     */
+    public static function resolve(\context $context): array {
+        global $DB;
+
+        $modules = self::get_site_defaults();
+
+        // Course first, then the activity, so the activity has the last word.
+        $contextids = [];
+        $coursecontext = $context->get_course_context(false);
+        if ($coursecontext) {
+            $contextids[] = $coursecontext->id;
+        }
+        if ($context->contextlevel == CONTEXT_MODULE) {
+            $contextids[] = $context->id;
+        }
+
+        if ($contextids) {
+            $records = $DB->get_records_list('local_agentdetect_modules', 'contextid', $contextids);
+            foreach ($contextids as $contextid) {
+                foreach ($records as $record) {
+                    if ((int) $record->contextid === (int) $contextid && array_key_exists($record->module, $modules)) {
+                        $modules[$record->module] = (bool) $record->enabled;
+                    }
+                }
+            }
+        }
+
+        foreach (self::DEPENDENCIES as $module => $dependencies) {
+            foreach ($dependencies as $dependency) {
+                $modules[$module] = $modules[$module] && $modules[$dependency];
+            }
+        }
+
+        return $modules;
+    }
+
+    /**
+     * Override a module in a context, or remove the override.
+     *
+     * @param int $contextid Context ID of a course or activity.
+     * @param string $module Module name.
+     * @param bool|null $enabled Whether the module runs, or null to inherit.
+     */
+    public static function set_override(int $contextid, string $module, ?bool $enabled): void {
+        global $DB;
+
+        if (!array_key_exists($module, self::SETTINGS)) {
+            throw new \coding_exception("Unknown detection module '{$module}'");
+        }
+
+        $conditions = ['contextid' => $contextid, 'module' => $module];
+        if ($enabled === null) {
+            $DB->delete_records('local_agentdetect_modules', $conditions);
+            return;
+        }
+
+        $record = $DB->get_record('local_agentdetect_modules', $conditions);
+        if ($record) {
+            $record->enabled = (int) $enabled;
+            $record->timemodified = time();
+            $DB->update_record('local_agentdetect_modules', $record);
+        } else {
+            $DB->insert_record('local_agentdetect_modules', (object) ($conditions + [
+                'enabled' => (int) $enabled,
+                'timemodified' => time(),
+            ]));
+        }
+    }
+
+    /**
+     * Remove every override set in a context.
+     *
+     * @param int $contextid Context ID.
+     */
+    public static function delete_for_context(int $contextid): void {
+        global $DB;
+
+        $DB->delete_records('local_agentdetect_modules', ['contextid' => $contextid]);
+    }
+
+    /**
+     * Remove every override set in a context that no longer exists.
+     */
+    public static function delete_for_deleted_contexts(): void {
+        global $DB;
+
+        $DB->delete_records_select('local_agentdetect_modules', 'contextid NOT IN (SELECT id FROM {context})');
+    }
+
+    /**
+     * Get the manifest status of a module in a report.
+     *
+     * @param array $report Report data.
+     * @param string $module Module name.
+     * @return string|null Status, or null if the report has no manifest or does not list the module.
+     */
+    public static function get_status(array $report, string $module): ?string {
+        $manifest = $report['modules'] ?? null;
+        if (!is_array($manifest) || !is_string($manifest[$module] ?? null)) {
+            return null;
+        }
+        return $manifest[$module];
+    }
+
+    /**
+     * Whether a module ran for a report.
+     *
+     * Reports from before the manifest, and modules it does not list, are
+     * taken to have run, as every module then always did.
+     *
+     * @param array $report Report data.
+     * @param string $module Module name.
+     * @return bool
+     */
+    public static function ran(array $report, string $module): bool {
+        $status = self::get_status($report, $module);
+        return $status === null || $status === self::STATUS_RAN;
+    }
+
+    /**
+     * Get the modules a report says did not run.
+     *
+     * @param array $report Report data.
+     * @return string[] Statuses other than ran, by module name.
+     */
+    public static function get_not_run(array $report): array {
+        $notrun = [];
+        foreach (self::get_modules() as $module) {
+            $status = self::get_status($report, $module);
+            if ($status !== null && $status !== self::STATUS_RAN) {
+                $notrun[$module] = $status;
+            }
+        }
+        return $notrun;
+    }
+}
@@ -0,0 +1,95 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Event: accommodation_updated.
+ *
+ * Fired when a student's accessibility accommodation on a quiz is granted,
+ * changed or withdrawn.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\event;
+
+/**
+ * Event class for when a user's accessibility accommodation changes.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class accommodation_updated extends \core\event\base {
+    /**
+     * Initialise the event.
+     */
+    protected function init(): void {
+        $this->data['objecttable'] = 'local_agentdetect_accommodations';
+        $this->data['crud'] = 'u';
+        $this->data['edulevel'] = self::LEVEL_OTHER;
+    }
+
+    /**
+     * Return localised event name.
+     *
+     * @return string
+     */
+    public static function get_name(): string {
+        return get_string('event:accommodationupdated', 'local_agentdetect');
+    }
+
+    /**
+     * Returns description of what happened.
+     *
+     * @return string
+     */
+    public function get_description(): string {
+        $mode = $this->other['mode'] ?? null;
+        if ($mode === null) {
+            return "The user with id '{$this->userid}' withdrew the accessibility accommodation of the user " .
+                "with id '{$this->relateduserid}' in the quiz with course module id '{$this->contextinstanceid}'.";
+        }
+        return "The user with id '{$this->userid}' set the accessibility accommodation of the user " .
+            "with id '{$this->relateduserid}' in the quiz with course module id '{$this->contextinstanceid}' to '{$mode}'.";
+    }
+
+    /**
+     * Get URL related to the action.
+     *
+     * @return \moodle_url
+     */
+    public function get_url(): \moodle_url {
+        return new \moodle_url('/local/agentdetect/accommodations.php', [
+            'cmid' => $this->contextinstanceid,
+        ]);
+    }
+
+    /**
+     * Validate the event data.
+     */
+    protected function validate_data(): void {
+        parent::validate_data();
+
+        if (!isset($this->relateduserid)) {
+            throw new \coding_exception('The \'relateduserid\' must be set.');
+        }
+        if (!array_key_exists('mode', $this->other ?? [])) {
+            throw new \coding_exception('The \'mode\' must be set in other.');
+        }
+    }
+}
@@ -0,0 +1,158 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External API for the detection detail of a quiz attempt.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+use context_module;
+use local_agentdetect\attempt_sessions;
+use local_agentdetect\signal_explainer;
+use local_agentdetect\signal_manager;
+
+/**
+ * External function explaining the detection flag of a quiz attempt.
+ *
+ * Gives the scores reported over the attempt, the verdict and strongest
+ * signals of its highest-scoring report, and the student's flag notes.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_attempt_detail extends external_api {
+    /** @var int Most signals to give. */
+    const MAX_SIGNALS = 5;
+
+    /**
+     * Describes the parameters for this function.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'attemptid' => new external_value(PARAM_INT, 'Quiz attempt ID'),
+        ]);
+    }
+
+    /**
+     * Get the detection detail of a quiz attempt.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     * @return array Flag, score timeline, strongest signals and notes.
+     */
+    public static function execute(int $attemptid): array {
+        global $DB;
+
+        $params = self::validate_parameters(self::execute_parameters(), ['attemptid' => $attemptid]);
+        $attemptid = $params['attemptid'];
+
+        $attempt = $DB->get_record('quiz_attempts', ['id' => $attemptid], 'id, quiz, userid', MUST_EXIST);
+        $cm = get_coursemodule_from_instance('quiz', $attempt->quiz, 0, false, MUST_EXIST);
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('local/agentdetect:viewreports', $context);
+
+        $sessions = new attempt_sessions();
+        $flags = $sessions->get_flags([$attemptid]);
+        $flag = $flags[$attemptid] ?? null;
+
+        $timeline = [];
+        $strongest = null;
+        foreach ($sessions->get_reports($attemptid) as $report) {
+            if ($report->combinedscore === null) {
+                continue;
+            }
+            $timeline[] = ['time' => (int) $report->timecreated, 'score' => (int) $report->combinedscore];
+            if (!$strongest || $report->combinedscore > $strongest->combinedscore) {
+                $strongest = $report;
+            }
+        }
+
+        $signals = [];
+        if ($strongest) {
+            $data = json_decode($strongest->signaldata, true) ?: [];
+            foreach (array_slice(signal_explainer::get_signals($data), 0, self::MAX_SIGNALS) as $signal) {
+                $signals[] = [
+                    'name' => $signal['name'],
+                    'weight' => $signal['weight'],
+                    'explanation' => signal_explainer::explain($signal['name']) ?? '',
+                ];
+            }
+        }
+
+        $userflag = (new signal_manager())->get_flag((int) $attempt->userid, $context->id);
+
+        return [
+            'attemptid' => $attemptid,
+            'userid' => (int) $attempt->userid,
+            'contextid' => $context->id,
+            'flagtype' => $flag['flagtype'] ?? '',
+            'maxscore' => $flag['maxscore'] ?? 0,
+            'verdict' => $strongest->verdict ?? '',
+            'timeline' => $timeline,
+            'signals' => $signals,
+            'hasflag' => (bool) $userflag,
+            'notes' => $userflag ? (string) $userflag->notes : '',
+            'canmanage' => has_capability('local/agentdetect:manageflags', $context),
+        ];
+    }
+
+    /**
+     * Describes the return value for this function.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'attemptid' => new external_value(PARAM_INT, 'Quiz attempt ID'),
+            'userid' => new external_value(PARAM_INT, 'User ID'),
+            'contextid' => new external_value(PARAM_INT, 'Context ID of the quiz'),
+            'flagtype' => new external_value(PARAM_ALPHANUMEXT, 'Flag type of the attempt, empty if the detector did not run'),
+            'maxscore' => new external_value(PARAM_INT, 'Highest combined score reported in the attempt'),
+            'verdict' => new external_value(PARAM_ALPHAEXT, 'Verdict of the highest-scoring report'),
+            'timeline' => new external_multiple_structure(
+                new external_single_structure([
+                    'time' => new external_value(PARAM_INT, 'Time of the report'),
+                    'score' => new external_value(PARAM_INT, 'Combined score reported'),
+                ]),
+                'Scores reported over the attempt, earliest first'
+            ),
+            'signals' => new external_multiple_structure(
+                new external_single_structure([
+                    'name' => new external_value(PARAM_TEXT, 'Signal name'),
+                    'weight' => new external_value(PARAM_FLOAT, 'Signal weight'),
+                    'explanation' => new external_value(PARAM_TEXT, 'What the signal means, empty if not known'),
+                ]),
+                'Strongest signals of the highest-scoring report'
+            ),
+            'hasflag' => new external_value(PARAM_BOOL, 'Whether the student has a flag for the quiz'),
+            'notes' => new external_value(PARAM_TEXT, 'Notes on the student\'s flag'),
+            'canmanage' => new external_value(PARAM_BOOL, 'Whether the flag can be confirmed, cleared or noted'),
+        ]);
+    }
+}
@@ -0,0 +1,107 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External API for the detection flags of quiz attempts.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+use context_module;
+use local_agentdetect\attempt_sessions;
+
+/**
+ * External function giving the detection flag of each of a list of quiz attempts.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_attempt_flags extends external_api {
+    /**
+     * Describes the parameters for this function.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'attemptids' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Quiz attempt ID'),
+                'Quiz attempts to check'
+            ),
+        ]);
+    }
+
+    /**
+     * Get the detection flags of quiz attempts.
+     *
+     * The reports of every quiz the attempts belong to must be viewable.
+     *
+     * @param int[] $attemptids Quiz attempt IDs.
+     * @return array Flags of the attempts the detector ran in.
+     */
+    public static function execute(array $attemptids): array {
+        global $DB;
+
+        $params = self::validate_parameters(self::execute_parameters(), ['attemptids' => $attemptids]);
+        if (!$params['attemptids']) {
+            return [];
+        }
+
+        [$insql, $inparams] = $DB->get_in_or_equal($params['attemptids'], SQL_PARAMS_NAMED);
+        $quizids = $DB->get_fieldset_select('quiz_attempts', 'DISTINCT quiz', "id {$insql}", $inparams);
+        foreach ($quizids as $quizid) {
+            $cm = get_coursemodule_from_instance('quiz', $quizid, 0, false, MUST_EXIST);
+            $context = context_module::instance($cm->id);
+            self::validate_context($context);
+            require_capability('local/agentdetect:viewreports', $context);
+        }
+
+        $flags = (new attempt_sessions())->get_flags($params['attemptids']);
+        return array_values(array_map(function (array $flag): array {
+            unset($flag['contextid'], $flag['source']);
+            return $flag;
+        }, $flags));
+    }
+
+    /**
+     * Describes the return value for this function.
+     *
+     * @return external_multiple_structure
+     */
+    public static function execute_returns(): external_multiple_structure {
+        return new external_multiple_structure(
+            new external_single_structure([
+                'attemptid' => new external_value(PARAM_INT, 'Quiz attempt ID'),
+                'userid' => new external_value(PARAM_INT, 'User ID'),
+                'flagtype' => new external_value(PARAM_ALPHANUMEXT, 'Flag type'),
+                'maxscore' => new external_value(PARAM_INT, 'Highest combined score reported in the attempt'),
+                'detectioncount' => new external_value(PARAM_INT, 'Number of suspicious reports in the attempt'),
+                'sessions' => new external_value(PARAM_INT, 'Number of detection sessions bound to the attempt'),
+            ]),
+            'Flags of the attempts the detector ran in'
+        );
+    }
+}
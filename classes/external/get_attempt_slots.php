@@ -0,0 +1,103 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External API for per-question detection results of a quiz attempt.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+use context_module;
+use local_agentdetect\slot_attribution;
+
+/**
+ * External function giving the interaction score of each question of a quiz attempt.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_attempt_slots extends external_api {
+    /**
+     * Describes the parameters for this function.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'attemptid' => new external_value(PARAM_INT, 'Quiz attempt ID'),
+        ]);
+    }
+
+    /**
+     * Get the per-question results of a quiz attempt.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     * @return array Attempt ID and its questions.
+     */
+    public static function execute(int $attemptid): array {
+        global $DB;
+
+        $params = self::validate_parameters(self::execute_parameters(), ['attemptid' => $attemptid]);
+
+        $attempt = $DB->get_record('quiz_attempts', ['id' => $params['attemptid']], 'id, quiz, userid, timestart', MUST_EXIST);
+        $cm = get_coursemodule_from_instance('quiz', $attempt->quiz, 0, false, MUST_EXIST);
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('local/agentdetect:viewreports', $context);
+
+        return [
+            'attemptid' => (int) $attempt->id,
+            'slots' => (new slot_attribution())->get_attempt_slots($attempt, $context),
+        ];
+    }
+
+    /**
+     * Describes the return value for this function.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'attemptid' => new external_value(PARAM_INT, 'Quiz attempt ID'),
+            'slots' => new external_multiple_structure(
+                new external_single_structure([
+                    'slot' => new external_value(PARAM_INT, 'Question slot'),
+                    'score' => new external_value(PARAM_INT, 'Interaction score of the question (0-100)'),
+                    'clicks' => new external_value(PARAM_INT, 'Clicks recorded in the question'),
+                    'keystrokes' => new external_value(PARAM_INT, 'Keystrokes recorded in the question'),
+                    'anomalies' => new external_multiple_structure(
+                        new external_single_structure([
+                            'name' => new external_value(PARAM_RAW, 'Signal name'),
+                            'weight' => new external_value(PARAM_FLOAT, 'Signal weight'),
+                        ]),
+                        'Strongest signals of the question'
+                    ),
+                ]),
+                'Questions with recorded interaction, by slot'
+            ),
+        ]);
+    }
+}
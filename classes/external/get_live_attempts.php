@@ -0,0 +1,112 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External API for the live proctoring view.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+use context_module;
+use local_agentdetect\heartbeat_monitor;
+use local_agentdetect\live_monitor;
+
+/**
+ * External function listing a quiz's attempts in progress with their detection state.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_live_attempts extends external_api {
+    /**
+     * Describes the parameters for this function.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'cmid' => new external_value(PARAM_INT, 'Quiz course module ID'),
+        ]);
+    }
+
+    /**
+     * Get the attempts in progress at a quiz.
+     *
+     * @param int $cmid Quiz course module ID.
+     * @return array Server time, silence limit and attempts.
+     */
+    public static function execute(int $cmid): array {
+        $params = self::validate_parameters(self::execute_parameters(), ['cmid' => $cmid]);
+
+        $cm = get_coursemodule_from_id('quiz', $params['cmid'], 0, false, MUST_EXIST);
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('local/agentdetect:viewreports', $context);
+
+        $now = time();
+        return [
+            'timenow' => $now,
+            'silencelimit' => heartbeat_monitor::get_silence_limit(),
+            'attempts' => (new live_monitor())->get_attempts($cm->instance, $context, $now),
+        ];
+    }
+
+    /**
+     * Describes the return value for this function.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'timenow' => new external_value(PARAM_INT, 'Server time the data was collected'),
+            'silencelimit' => new external_value(PARAM_INT, 'Seconds without heartbeats before a detector counts as silenced'),
+            'attempts' => new external_multiple_structure(
+                new external_single_structure([
+                    'attemptid' => new external_value(PARAM_INT, 'Quiz attempt ID'),
+                    'userid' => new external_value(PARAM_INT, 'User ID'),
+                    'fullname' => new external_value(PARAM_TEXT, 'User full name'),
+                    'timestart' => new external_value(PARAM_INT, 'When the attempt was started'),
+                    'timereported' => new external_value(PARAM_INT, 'When the latest report arrived', VALUE_OPTIONAL),
+                    'combinedscore' => new external_value(PARAM_INT, 'Combined score of the latest report', VALUE_OPTIONAL),
+                    'verdict' => new external_value(PARAM_ALPHAEXT, 'Verdict of the latest report', VALUE_OPTIONAL),
+                    'anomalies' => new external_multiple_structure(
+                        new external_single_structure([
+                            'name' => new external_value(PARAM_RAW, 'Signal name'),
+                            'weight' => new external_value(PARAM_FLOAT, 'Signal weight'),
+                        ]),
+                        'Strongest signals of the latest report'
+                    ),
+                    'lastheartbeat' => new external_value(PARAM_INT, 'Time of the last heartbeat, 0 if none'),
+                    'silent' => new external_value(
+                        PARAM_BOOL,
+                        'Whether heartbeats stopped, or never came, for longer than the silence limit'
+                    ),
+                ]),
+                'Attempts in progress, earliest started first'
+            ),
+        ]);
+    }
+}
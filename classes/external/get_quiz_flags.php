@@ -0,0 +1,106 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External API for the detection flags of the attempts listed in a quiz report.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+use context_module;
+use local_agentdetect\attempt_sessions;
+
+/**
+ * External function giving the flag shown for each of a batch of attempts at one quiz.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class get_quiz_flags extends external_api {
+    /** @var int Most attempts in one batch, a generous page of the quiz report. */
+    const MAX_ATTEMPTS = 1000;
+
+    /**
+     * Describes the parameters for this function.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'cmid' => new external_value(PARAM_INT, 'Quiz course module ID'),
+            'attemptids' => new external_multiple_structure(
+                new external_value(PARAM_INT, 'Quiz attempt ID'),
+                'Attempts listed in the report'
+            ),
+        ]);
+    }
+
+    /**
+     * Get the flags of a batch of attempts at a quiz.
+     *
+     * @param int $cmid Quiz course module ID.
+     * @param int[] $attemptids Quiz attempt IDs.
+     * @return array Flags of the attempts that have one; attempts at other quizzes are left out.
+     */
+    public static function execute(int $cmid, array $attemptids): array {
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'cmid' => $cmid,
+            'attemptids' => $attemptids,
+        ]);
+        if (count($params['attemptids']) > self::MAX_ATTEMPTS) {
+            throw new \invalid_parameter_exception('At most ' . self::MAX_ATTEMPTS . ' attempts can be checked in one batch');
+        }
+
+        [, $cm] = get_course_and_cm_from_cmid($params['cmid'], 'quiz');
+        $context = context_module::instance($cm->id);
+        self::validate_context($context);
+        require_capability('local/agentdetect:viewreports', $context);
+
+        $flags = (new attempt_sessions())->get_quiz_flags($cm->instance, $params['attemptids']);
+        return array_values($flags);
+    }
+
+    /**
+     * Describes the return value for this function.
+     *
+     * @return external_multiple_structure
+     */
+    public static function execute_returns(): external_multiple_structure {
+        return new external_multiple_structure(
+            new external_single_structure([
+                'attemptid' => new external_value(PARAM_INT, 'Quiz attempt ID'),
+                'userid' => new external_value(PARAM_INT, 'User ID'),
+                'flagtype' => new external_value(PARAM_ALPHANUMEXT, 'Flag type'),
+                'maxscore' => new external_value(PARAM_INT, 'Highest combined score'),
+                'source' => new external_value(
+                    PARAM_ALPHA,
+                    'attempt if the detector ran in the attempt, user for the student\'s flag'
+                ),
+            ]),
+            'Flags of the attempts'
+        );
+    }
+}
@@ -30,6 +30,7 @@ use core_external\external_single_structure;
 use core_external\external_value;
 use context;
 use context_system;
+use local_agentdetect\report_channel;
 use local_agentdetect\signal_manager;
 
 /**
@@ -52,6 +53,11 @@ class report_signals extends external_api {
             'sessionid' => new external_value(PARAM_ALPHANUMEXT, 'Detection session ID'),
             'signaltype' => new external_value(PARAM_ALPHA, 'Signal type'),
             'signaldata' => new external_value(PARAM_RAW, 'JSON-encoded signal data'),
+            'nonce' => new external_value(PARAM_ALPHANUM, 'Reporting channel nonce issued with the page'),
+            'sequence' => new external_value(PARAM_INT, 'Report sequence number within the channel, starting at 1'),
+            'signature' => new external_value(PARAM_ALPHANUM, 'Hex HMAC-SHA256 signature of the report'),
+            'dropped' => new external_value(PARAM_INT, 'Reports on the channel dropped from a full queue before this one',
+                VALUE_DEFAULT, 0),
         ]);
     }
 
@@ -63,6 +69,10 @@ class report_signals extends external_api {
      * @param string $sessionid Detection session ID.
      * @param string $signaltype Type of signal being reported.
      * @param string $signaldata JSON-encoded signal data.
+     * @param string $nonce Reporting channel nonce.
+     * @param int $sequence Report sequence number.
+     * @param string $signature Report signature.
+     * @param int $dropped Reports dropped from the client's queue before this one.
      * @return array Result array.
      */
     public static function execute(
@@ -70,10 +80,12 @@ class report_signals extends external_api {
         int $contextid,
         string $sessionid,
         string $signaltype,
-        string $signaldata
+        string $signaldata,
+        string $nonce,
+        int $sequence,
+        string $signature,
+        int $dropped = 0
     ): array {
-        global $USER;
-
         // Parameter validation.
         $params = self::validate_parameters(self::execute_parameters(), [
             'sesskey' => $sesskey,
@@ -81,6 +93,10 @@ class report_signals extends external_api {
             'sessionid' => $sessionid,
             'signaltype' => $signaltype,
             'signaldata' => $signaldata,
+            'nonce' => $nonce,
+            'sequence' => $sequence,
+            'signature' => $signature,
+            'dropped' => $dropped,
         ]);
 
         // Validate session key.
@@ -107,8 +123,41 @@ class report_signals extends external_api {
 
         self::validate_context($context);
 
+        return self::process_report($context, $params);
+    }
+
+    /**
+     * Verify and store one signed report.
+     *
+     * The caller must have checked the session key and validated the context.
+     *
+     * @param context $context Validated context the report belongs to.
+     * @param array $report Cleaned report with sessionid, signaltype, signaldata, nonce, sequence, signature and dropped.
+     * @return array Result with success, message and, once stored, flagstatus and resync.
+     */
+    public static function process_report(context $context, array $report): array {
+        global $USER;
+
+        // Verify the report signature and sequence.
+        $verification = report_channel::verify(
+            $report['nonce'],
+            $report['sequence'],
+            $report['dropped'] ?? 0,
+            $report['signature'],
+            $context->id,
+            $report['sessionid'],
+            $report['signaltype'],
+            $report['signaldata']
+        );
+        if (!$verification['valid']) {
+            return [
+                'success' => false,
+                'message' => 'Report rejected: ' . $verification['error'],
+            ];
+        }
+
         // Decode and validate signal data.
-        $data = json_decode($params['signaldata'], true);
+        $data = json_decode($report['signaldata'], true);
         if (json_last_error() !== JSON_ERROR_NONE) {
             return [
                 'success' => false,
@@ -119,11 +168,22 @@ class report_signals extends external_api {
         // Store the signal.
         try {
             $manager = new signal_manager();
+            if ($verification['missing'] > 0) {
+                $manager->store_sequence_gap(
+                    $USER->id,
+                    $context->id,
+                    $report['sessionid'],
+                    $report['nonce'],
+                    $verification['expected'],
+                    $report['sequence'],
+                    $report['dropped'] ?? 0
+                );
+            }
             $result = $manager->store_signal(
                 $USER->id,
                 $context->id,
-                $params['sessionid'],
-                $params['signaltype'],
+                $report['sessionid'],
+                $report['signaltype'],
                 $data
             );
 
@@ -131,8 +191,10 @@ class report_signals extends external_api {
                 'success' => true,
                 'message' => 'Signal recorded',
                 'flagstatus' => $result['flag_status'] ?? 'none',
+                'resync' => !empty($result['resync']),
             ];
-        } catch (\Exception $e) {
+        } catch (\Throwable $e) {
+            // A malformed report fails on its own, not the batch it came in.
             return [
                 'success' => false,
                 'message' => 'Failed to store signal: ' . $e->getMessage(),
@@ -150,6 +212,7 @@ class report_signals extends external_api {
             'success' => new external_value(PARAM_BOOL, 'Whether the operation succeeded'),
             'message' => new external_value(PARAM_TEXT, 'Status message'),
             'flagstatus' => new external_value(PARAM_ALPHA, 'Current flag status', VALUE_OPTIONAL),
+            'resync' => new external_value(PARAM_BOOL, 'Whether the next report must be sent in full', VALUE_OPTIONAL),
         ]);
     }
 }
@@ -0,0 +1,158 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External API for reporting several agent detection signals at once.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_multiple_structure;
+use core_external\external_single_structure;
+use core_external\external_value;
+use context;
+use context_system;
+
+/**
+ * External function for reporting a batch of detection signals.
+ *
+ * All reports in a batch belong to one context; each is verified and stored
+ * on its own, in the order given, exactly as report_signals would.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class report_signals_batch extends external_api {
+    /** @var int Maximum number of reports accepted in one call. */
+    const MAX_REPORTS = 25;
+
+    /**
+     * Describes the parameters for this function.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'sesskey' => new external_value(PARAM_ALPHANUMEXT, 'Session key'),
+            'contextid' => new external_value(PARAM_INT, 'Context ID shared by all reports', VALUE_DEFAULT, 0),
+            'reports' => new external_multiple_structure(
+                new external_single_structure([
+                    'sessionid' => new external_value(PARAM_ALPHANUMEXT, 'Detection session ID'),
+                    'signaltype' => new external_value(PARAM_ALPHA, 'Signal type'),
+                    'signaldata' => new external_value(PARAM_RAW, 'JSON-encoded signal data'),
+                    'nonce' => new external_value(PARAM_ALPHANUM, 'Reporting channel nonce issued with the page'),
+                    'sequence' => new external_value(PARAM_INT, 'Report sequence number within the channel, starting at 1'),
+                    'signature' => new external_value(PARAM_ALPHANUM, 'Hex HMAC-SHA256 signature of the report'),
+                    'dropped' => new external_value(PARAM_INT, 'Reports on the channel dropped from a full queue before this one',
+                        VALUE_DEFAULT, 0),
+                ]),
+                'Reports, oldest first'
+            ),
+        ]);
+    }
+
+    /**
+     * Report a batch of detection signals.
+     *
+     * @param string $sesskey Session key for validation.
+     * @param int $contextid Context ID shared by all reports.
+     * @param array $reports Reports, oldest first.
+     * @return array Result array.
+     */
+    public static function execute(string $sesskey, int $contextid, array $reports): array {
+        // Parameter validation.
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'sesskey' => $sesskey,
+            'contextid' => $contextid,
+            'reports' => $reports,
+        ]);
+
+        if (count($params['reports']) > self::MAX_REPORTS) {
+            throw new \invalid_parameter_exception('At most ' . self::MAX_REPORTS . ' reports can be sent in one batch');
+        }
+
+        // Validate session key.
+        if (!confirm_sesskey($params['sesskey'])) {
+            return [
+                'success' => false,
+                'message' => 'Invalid session key',
+                'results' => [],
+            ];
+        }
+
+        // Validate context.
+        if ($params['contextid'] > 0) {
+            $context = context::instance_by_id($params['contextid'], IGNORE_MISSING);
+        } else {
+            $context = context_system::instance();
+        }
+
+        if (!$context) {
+            return [
+                'success' => false,
+                'message' => 'Invalid context',
+                'results' => [],
+            ];
+        }
+
+        self::validate_context($context);
+
+        $results = [];
+        foreach ($params['reports'] as $report) {
+            $results[] = [
+                'nonce' => $report['nonce'],
+                'sequence' => $report['sequence'],
+            ] + report_signals::process_report($context, $report);
+        }
+
+        $stored = count(array_filter(array_column($results, 'success')));
+        return [
+            'success' => true,
+            'message' => $stored . ' of ' . count($results) . ' signals recorded',
+            'results' => $results,
+        ];
+    }
+
+    /**
+     * Describes the return value for this function.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'success' => new external_value(PARAM_BOOL, 'Whether the batch was processed'),
+            'message' => new external_value(PARAM_TEXT, 'Status message'),
+            'results' => new external_multiple_structure(
+                new external_single_structure([
+                    'nonce' => new external_value(PARAM_ALPHANUM, 'Reporting channel nonce of the report'),
+                    'sequence' => new external_value(PARAM_INT, 'Sequence number of the report'),
+                    'success' => new external_value(PARAM_BOOL, 'Whether the report was recorded'),
+                    'message' => new external_value(PARAM_TEXT, 'Status message'),
+                    'flagstatus' => new external_value(PARAM_ALPHANUMEXT, 'Current flag status', VALUE_OPTIONAL),
+                    'resync' => new external_value(PARAM_BOOL, 'Whether the next report must be sent in full', VALUE_OPTIONAL),
+                ]),
+                'Result for each report, in the order sent'
+            ),
+        ]);
+    }
+}
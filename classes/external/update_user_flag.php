@@ -0,0 +1,135 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * External API for deciding on a student's detection flag.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\external;
+
+use core_external\external_api;
+use core_external\external_function_parameters;
+use core_external\external_single_structure;
+use core_external\external_value;
+use context;
+use local_agentdetect\signal_manager;
+
+/**
+ * External function confirming, clearing or adding a note to a student's flag.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class update_user_flag extends external_api {
+    /** @var string Confirm the student used an agent. */
+    const ACTION_CONFIRM = 'confirm';
+
+    /** @var string Clear the flag. */
+    const ACTION_CLEAR = 'clear';
+
+    /** @var string Add a note to the flag. */
+    const ACTION_NOTE = 'note';
+
+    /**
+     * Describes the parameters for this function.
+     *
+     * @return external_function_parameters
+     */
+    public static function execute_parameters(): external_function_parameters {
+        return new external_function_parameters([
+            'userid' => new external_value(PARAM_INT, 'User ID'),
+            'contextid' => new external_value(PARAM_INT, 'Context ID of the flag'),
+            'action' => new external_value(PARAM_ALPHA, 'confirm, clear or note'),
+            'note' => new external_value(PARAM_TEXT, 'Note to add', VALUE_DEFAULT, ''),
+        ]);
+    }
+
+    /**
+     * Confirm, clear or add a note to a student's flag.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context ID of the flag.
+     * @param string $action confirm, clear or note.
+     * @param string $note Note to add.
+     * @return array The flag as it now is.
+     */
+    public static function execute(int $userid, int $contextid, string $action, string $note = ''): array {
+        global $USER;
+
+        $params = self::validate_parameters(self::execute_parameters(), [
+            'userid' => $userid,
+            'contextid' => $contextid,
+            'action' => $action,
+            'note' => $note,
+        ]);
+
+        $context = context::instance_by_id($params['contextid']);
+        self::validate_context($context);
+        require_capability('local/agentdetect:manageflags', $context);
+
+        $manager = new signal_manager();
+        $flag = $manager->get_flag($params['userid'], $context->id);
+
+        switch ($params['action']) {
+            case self::ACTION_CONFIRM:
+                $manager->set_flag(
+                    $params['userid'],
+                    signal_manager::FLAG_CONFIRMED,
+                    $context->id,
+                    $flag ? $flag->notes : null,
+                    (int) $USER->id
+                );
+                break;
+            case self::ACTION_CLEAR:
+                $manager->clear_flag($params['userid'], $context->id, (int) $USER->id);
+                break;
+            case self::ACTION_NOTE:
+                $note = trim($params['note']);
+                if ($note === '') {
+                    throw new \invalid_parameter_exception('The note is empty');
+                }
+                if (!$manager->add_note($params['userid'], $context->id, $note, (int) $USER->id)) {
+                    throw new \invalid_parameter_exception('The user has no flag to add a note to');
+                }
+                break;
+            default:
+                throw new \invalid_parameter_exception('Unknown action: ' . $params['action']);
+        }
+
+        $flag = $manager->get_flag($params['userid'], $context->id);
+        return [
+            'flagtype' => $flag->flagtype,
+            'notes' => (string) $flag->notes,
+        ];
+    }
+
+    /**
+     * Describes the return value for this function.
+     *
+     * @return external_single_structure
+     */
+    public static function execute_returns(): external_single_structure {
+        return new external_single_structure([
+            'flagtype' => new external_value(PARAM_ALPHANUMEXT, 'Flag type'),
+            'notes' => new external_value(PARAM_TEXT, 'Notes on the flag'),
+        ]);
+    }
+}
@@ -0,0 +1,89 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Form to grant a student an accessibility accommodation on a quiz.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\form;
+
+use local_agentdetect\accommodation;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/formslib.php');
+
+/**
+ * Form to grant, change or withdraw an accessibility accommodation.
+ *
+ * Custom data: 'student', the name of the student the override is for.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class accommodation_form extends \moodleform {
+    /** @var string Select value for no accommodation. */
+    const MODE_NONE = 'none';
+
+    /**
+     * Define the form.
+     */
+    protected function definition(): void {
+        $mform = $this->_form;
+
+        $mform->addElement('hidden', 'cmid');
+        $mform->setType('cmid', PARAM_INT);
+        $mform->addElement('hidden', 'userid');
+        $mform->setType('userid', PARAM_INT);
+
+        $mform->addElement('static', 'student', get_string('accommodation:student', 'local_agentdetect'),
+            $this->_customdata['student']);
+
+        $mform->addElement('select', 'mode', get_string('accommodation:mode', 'local_agentdetect'), [
+            self::MODE_NONE => get_string('accommodation:mode_none', 'local_agentdetect'),
+            accommodation::MODE_REWEIGHT => get_string('accommodation:mode_reweight', 'local_agentdetect'),
+            accommodation::MODE_SUPPRESS => get_string('accommodation:mode_suppress', 'local_agentdetect'),
+        ]);
+        $mform->addHelpButton('mode', 'accommodation:mode', 'local_agentdetect');
+
+        $mform->addElement('textarea', 'reason', get_string('accommodation:reason', 'local_agentdetect'),
+            ['rows' => 3, 'cols' => 60]);
+        $mform->setType('reason', PARAM_TEXT);
+        $mform->hideIf('reason', 'mode', 'eq', self::MODE_NONE);
+
+        $this->add_action_buttons();
+    }
+
+    /**
+     * Require a reason for every accommodation.
+     *
+     * @param array $data Submitted data.
+     * @param array $files Submitted files.
+     * @return array Errors by element name.
+     */
+    public function validation($data, $files): array {
+        $errors = parent::validation($data, $files);
+        if ($data['mode'] !== self::MODE_NONE && trim($data['reason'] ?? '') === '') {
+            $errors['reason'] = get_string('accommodation:reasonrequired', 'local_agentdetect');
+        }
+        return $errors;
+    }
+}
@@ -0,0 +1,108 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Form to switch detection modules on or off for a course or activity.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect\form;
+
+use local_agentdetect\detection_modules;
+
+defined('MOODLE_INTERNAL') || die();
+
+require_once($CFG->libdir . '/formslib.php');
+
+/**
+ * Form to override the detection modules of a course or activity.
+ *
+ * Custom data: 'inherited', whether each module is on in the parent
+ * (the site, or the course of an activity), by module name.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class modules_form extends \moodleform {
+    /** @var string Select value for following the parent. */
+    const INHERIT = 'inherit';
+
+    /** @var string Select value for a module switched on. */
+    const ON = 'on';
+
+    /** @var string Select value for a module switched off. */
+    const OFF = 'off';
+
+    /**
+     * Define the form.
+     */
+    protected function definition(): void {
+        $mform = $this->_form;
+
+        $mform->addElement('hidden', 'contextid');
+        $mform->setType('contextid', PARAM_INT);
+
+        foreach (detection_modules::get_modules() as $module) {
+            $inherited = get_string(
+                !empty($this->_customdata['inherited'][$module]) ? 'modules:on' : 'modules:off',
+                'local_agentdetect'
+            );
+            $mform->addElement('select', $module, get_string('module:' . $module, 'local_agentdetect'), [
+                self::INHERIT => get_string('modules:inherit', 'local_agentdetect', $inherited),
+                self::ON => get_string('modules:on', 'local_agentdetect'),
+                self::OFF => get_string('modules:off', 'local_agentdetect'),
+            ]);
+            $mform->addHelpButton($module, 'module:' . $module, 'local_agentdetect');
+        }
+
+        $this->add_action_buttons();
+    }
+
+    /**
+     * Turn stored overrides into form values.
+     *
+     * @param bool[] $overrides Whether each overridden module is on, by module name.
+     * @return string[] Select values by module name.
+     */
+    public static function to_values(array $overrides): array {
+        $values = [];
+        foreach (detection_modules::get_modules() as $module) {
+            if (!array_key_exists($module, $overrides)) {
+                $values[$module] = self::INHERIT;
+            } else {
+                $values[$module] = $overrides[$module] ? self::ON : self::OFF;
+            }
+        }
+        return $values;
+    }
+
+    /**
+     * Turn a submitted form value into an override.
+     *
+     * @param string $value Select value.
+     * @return bool|null Whether the module runs, or null to inherit.
+     */
+    public static function to_override(string $value): ?bool {
+        if ($value === self::INHERIT) {
+            return null;
+        }
+        return $value === self::ON;
+    }
+}
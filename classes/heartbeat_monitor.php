@@ -0,0 +1,142 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Detector heartbeat tracking.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tracks detector heartbeats and spots detectors that went quiet.
+ *
+ * A detector that is disabled mid-session sends nothing, which on its own
+ * looks exactly like a clean session. Heartbeats are counted per user,
+ * context and detection session, so when the user submits work the last
+ * heartbeat can be compared with the time of submission.
+ *
+ * Heartbeats are signed like reports, so they show that the page kept
+ * reporting, not that the detector itself kept running (see report_channel).
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class heartbeat_monitor {
+    /** @var string Signal type heartbeats are sent as. */
+    const SIGNAL_TYPE = 'heartbeat';
+
+    /** @var int Default heartbeat interval in milliseconds. */
+    const DEFAULT_INTERVAL = 15000;
+
+    /** @var int Shortest heartbeat interval allowed, in milliseconds. */
+    const MIN_INTERVAL = 5000;
+
+    /** @var int Heartbeats that may be missed before the detector counts as silenced. */
+    const MISSED_HEARTBEATS = 4;
+
+    /**
+     * Get the configured heartbeat interval.
+     *
+     * @return int Interval in milliseconds.
+     */
+    public static function get_interval(): int {
+        $interval = (int) get_config('local_agentdetect', 'heartbeatinterval') ?: self::DEFAULT_INTERVAL;
+        return max($interval, self::MIN_INTERVAL);
+    }
+
+    /**
+     * Get how long heartbeats may stop before the detector counts as silenced.
+     *
+     * @return int Seconds.
+     */
+    public static function get_silence_limit(): int {
+        return (int) ceil(self::get_interval() * self::MISSED_HEARTBEATS / 1000);
+    }
+
+    /**
+     * Record a heartbeat.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context the detector runs in.
+     * @param string $sessionid Detection session ID.
+     * @param int|null $time Time of the heartbeat, defaults to now.
+     */
+    public function record(int $userid, int $contextid, string $sessionid, ?int $time = null): void {
+        global $DB;
+
+        $time = $time ?? time();
+        $conditions = ['userid' => $userid, 'contextid' => $contextid, 'sessionid' => $sessionid];
+
+        $record = $DB->get_record('local_agentdetect_heartbeats', $conditions);
+        if ($record) {
+            $record->beats++;
+            $record->lastbeat = max($record->lastbeat, $time);
+            $DB->update_record('local_agentdetect_heartbeats', $record);
+            return;
+        }
+
+        $record = (object) $conditions;
+        $record->beats = 1;
+        $record->firstbeat = $time;
+        $record->lastbeat = $time;
+        $DB->insert_record('local_agentdetect_heartbeats', $record);
+    }
+
+    /**
+     * Find a detection session whose heartbeats stopped before the given time.
+     *
+     * Only sessions with heartbeats between $timestart and $timeend are
+     * considered. If none exist the detector never ran, which is not the
+     * same as being silenced, so nothing is returned.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context ID.
+     * @param int $timestart Start of the period the detector should have been running.
+     * @param int $timeend End of the period, e.g. when an attempt was submitted.
+     * @param string[] $sessionids Only consider these sessions, e.g. those of a quiz attempt; empty for any.
+     * @return \stdClass|null Heartbeat record of the most recently heard session if it went
+     *                        quiet for longer than the silence limit, otherwise null.
+     */
+    public function find_silenced(int $userid, int $contextid, int $timestart, int $timeend, array $sessionids = []): ?\stdClass {
+        global $DB;
+
+        $select = 'userid = :userid AND contextid = :contextid AND lastbeat >= :timestart AND firstbeat <= :timeend';
+        $params = [
+            'userid' => $userid,
+            'contextid' => $contextid,
+            'timestart' => $timestart,
+            'timeend' => $timeend,
+        ];
+        if ($sessionids) {
+            [$insql, $inparams] = $DB->get_in_or_equal($sessionids, SQL_PARAMS_NAMED, 'sid');
+            $select .= " AND sessionid {$insql}";
+            $params += $inparams;
+        }
+        $records = $DB->get_records_select('local_agentdetect_heartbeats', $select, $params, 'lastbeat DESC', '*', 0, 1);
+        $latest = reset($records);
+
+        if (!$latest || $timeend - $latest->lastbeat <= self::get_silence_limit()) {
+            return null;
+        }
+
+        return $latest;
+    }
+}
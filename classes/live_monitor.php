@@ -0,0 +1,203 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Live detection state of quiz attempts in progress.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Collects what invigilators need to know about attempts still in progress.
+ *
+ * For every open attempt at a quiz this gives the latest combined report
+ * sent since the attempt started, its strongest signals and when the
+ * detector last sent a heartbeat, so trouble can be spotted while the
+ * student is still in the room.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class live_monitor {
+    /** @var int Number of signals listed per attempt. */
+    const TOP_ANOMALIES = 3;
+
+    /** @var int How often the live view refreshes, in milliseconds. */
+    const POLL_INTERVAL = 10000;
+
+    /**
+     * Get the attempts in progress at a quiz with their latest detection state.
+     *
+     * @param int $quizid Quiz ID.
+     * @param \context_module $context Quiz module context, which the detector reports in.
+     * @param int|null $now Current time, defaults to now.
+     * @return array Attempts, earliest started first, shaped as get_live_attempts returns them.
+     */
+    public function get_attempts(int $quizid, \context_module $context, ?int $now = null): array {
+        global $DB;
+
+        $now = $now ?? time();
+        $namefields = \core_user\fields::for_name()->get_sql('u')->selects;
+        $attempts = $DB->get_records_sql(
+            "SELECT qa.id, qa.userid, qa.timestart {$namefields}
+               FROM {quiz_attempts} qa
+               JOIN {user} u ON u.id = qa.userid
+              WHERE qa.quiz = :quizid
+                AND qa.state = :state
+                AND qa.preview = 0
+           ORDER BY qa.timestart ASC, qa.id ASC",
+            ['quizid' => $quizid, 'state' => 'inprogress']
+        );
+        if (!$attempts) {
+            return [];
+        }
+
+        $since = min(array_column($attempts, 'timestart'));
+        $signals = $this->get_latest_signals($context->id, $since);
+        $heartbeats = $this->get_last_heartbeats($context->id, $since);
+        $silencelimit = heartbeat_monitor::get_silence_limit();
+        $viewfullnames = has_capability('moodle/site:viewfullnames', $context);
+
+        $result = [];
+        foreach ($attempts as $attempt) {
+            $signal = $signals[$attempt->userid] ?? null;
+            if ($signal && $signal->timecreated < $attempt->timestart) {
+                $signal = null;
+            }
+            $lastbeat = (int) ($heartbeats[$attempt->userid] ?? 0);
+            if ($lastbeat < $attempt->timestart) {
+                $lastbeat = 0;
+            }
+
+            $entry = [
+                'attemptid' => (int) $attempt->id,
+                'userid' => (int) $attempt->userid,
+                'fullname' => fullname($attempt, $viewfullnames),
+                'timestart' => (int) $attempt->timestart,
+                'lastheartbeat' => $lastbeat,
+                // A detector blocked from the start never sends a heartbeat at all.
+                'silent' => $now - ($lastbeat ?: (int) $attempt->timestart) > $silencelimit,
+                'anomalies' => [],
+            ];
+            if ($signal) {
+                $entry['timereported'] = (int) $signal->timecreated;
+                if ($signal->combinedscore !== null) {
+                    $entry['combinedscore'] = (int) $signal->combinedscore;
+                }
+                if ($signal->verdict !== null) {
+                    $entry['verdict'] = $signal->verdict;
+                }
+                $data = json_decode($signal->signaldata, true);
+                $entry['anomalies'] = is_array($data) ? $this->get_top_anomalies($data) : [];
+            }
+            $result[] = $entry;
+        }
+        return $result;
+    }
+
+    /**
+     * Get the strongest signals in a combined report.
+     *
+     * @param array $data Decoded (full) combined report.
+     * @return array Up to TOP_ANOMALIES signals as ['name', 'weight'], strongest first.
+     */
+    public function get_top_anomalies(array $data): array {
+        $scorer = new scorer();
+        $lists = [
+            $data['interaction']['anomalies'] ?? [],
+            $data['comet']['signals'] ?? [],
+            $data['fingerprint']['signals'] ?? [],
+            $data['injection']['signals'] ?? [],
+        ];
+
+        $weights = [];
+        foreach ($lists as $list) {
+            if (!is_array($list)) {
+                continue;
+            }
+            foreach ($list as $signal) {
+                if (!is_array($signal) || !isset($signal['name']) || !is_string($signal['name'])) {
+                    continue;
+                }
+                $weight = $scorer->weight_of($signal);
+                if (is_numeric($weight) && $weight > ($weights[$signal['name']] ?? 0)) {
+                    $weights[$signal['name']] = $weight;
+                }
+            }
+        }
+
+        arsort($weights);
+        $top = [];
+        foreach (array_slice($weights, 0, self::TOP_ANOMALIES, true) as $name => $weight) {
+            $top[] = ['name' => (string) $name, 'weight' => (float) $weight];
+        }
+        return $top;
+    }
+
+    /**
+     * Get each user's latest combined report in a context, with deltas expanded.
+     *
+     * @param int $contextid Context ID.
+     * @param int $since Ignore reports older than this.
+     * @return array Signal records keyed by user ID.
+     */
+    protected function get_latest_signals(int $contextid, int $since): array {
+        global $DB;
+
+        $signals = $DB->get_records_sql(
+            "SELECT s.id, s.userid, s.sessionid, s.signaltype, s.signaldata, s.combinedscore, s.verdict, s.timecreated
+               FROM {local_agentdetect_signals} s
+               JOIN (SELECT userid, MAX(id) AS id
+                       FROM {local_agentdetect_signals}
+                      WHERE contextid = :contextid
+                        AND signaltype = :signaltype
+                        AND timecreated >= :since
+                   GROUP BY userid) latest ON latest.id = s.id",
+            ['contextid' => $contextid, 'signaltype' => signal_manager::SIGNAL_COMBINED, 'since' => $since]
+        );
+
+        $latest = [];
+        foreach ((new signal_manager())->expand_signals($signals) as $signal) {
+            $latest[$signal->userid] = $signal;
+        }
+        return $latest;
+    }
+
+    /**
+     * Get each user's last heartbeat in a context.
+     *
+     * @param int $contextid Context ID.
+     * @param int $since Ignore detection sessions that went quiet before this.
+     * @return array Time of the last heartbeat keyed by user ID.
+     */
+    protected function get_last_heartbeats(int $contextid, int $since): array {
+        global $DB;
+
+        return $DB->get_records_sql_menu(
+            "SELECT userid, MAX(lastbeat)
+               FROM {local_agentdetect_heartbeats}
+              WHERE contextid = :contextid
+                AND lastbeat >= :since
+           GROUP BY userid",
+            ['contextid' => $contextid, 'since' => $since]
+        );
+    }
+}
@@ -0,0 +1,119 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Event observers for local_agentdetect.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Event observers for local_agentdetect.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class observer {
+    /**
+     * Check the detector was still running when a student submitted a quiz attempt.
+     *
+     * If it was not, the student is flagged and the attempt marked silenced.
+     *
+     * Attempts submitted by someone else, or by cron when time runs out, are
+     * skipped: the student may have closed the page long before.
+     *
+     * @param \mod_quiz\event\attempt_submitted $event The event.
+     */
+    public static function quiz_attempt_submitted(\mod_quiz\event\attempt_submitted $event): void {
+        if ((int) ($event->other['submitterid'] ?? 0) !== (int) $event->relateduserid) {
+            return;
+        }
+
+        $attempt = $event->get_record_snapshot('quiz_attempts', $event->objectid);
+        $timesubmitted = $attempt->timefinish ?: $event->timecreated;
+
+        // Heartbeats of the attempt's own sessions, if the detector bound any to it.
+        $attemptsessions = new attempt_sessions();
+        $sessionids = $attemptsessions->get_session_ids($attempt->id);
+
+        $monitor = new heartbeat_monitor();
+        $silenced = $monitor->find_silenced($event->relateduserid, $event->contextid, $attempt->timestart, $timesubmitted,
+            $sessionids);
+        if (!$silenced) {
+            return;
+        }
+
+        $manager = new signal_manager();
+        $manager->store_silenced_signal($event->relateduserid, $event->contextid, $silenced->sessionid, [
+            'quizid' => (int) $event->other['quizid'],
+            'attemptid' => (int) $attempt->id,
+            'timesubmitted' => (int) $timesubmitted,
+            'lastbeat' => (int) $silenced->lastbeat,
+            'beats' => (int) $silenced->beats,
+            'silentfor' => $timesubmitted - $silenced->lastbeat,
+        ]);
+        $attemptsessions->mark_silenced($event->relateduserid, $event->contextid, $attempt->id, $silenced->sessionid);
+    }
+
+    /**
+     * Remove the detection sessions bound to a deleted quiz attempt.
+     *
+     * @param \mod_quiz\event\attempt_deleted $event The event.
+     */
+    public static function quiz_attempt_deleted(\mod_quiz\event\attempt_deleted $event): void {
+        (new attempt_sessions())->delete_for_attempt($event->objectid);
+    }
+
+    /**
+     * Withdraw the accessibility accommodation that belonged to a deleted quiz user override.
+     *
+     * @param \mod_quiz\event\user_override_deleted $event The event.
+     */
+    public static function quiz_user_override_deleted(\mod_quiz\event\user_override_deleted $event): void {
+        accommodation::delete_for_override($event->objectid);
+    }
+
+    /**
+     * Remove the detection module overrides, policy and attempt sessions of a deleted activity.
+     *
+     * @param \core\event\course_module_deleted $event The event.
+     */
+    public static function context_deleted(\core\event\course_module_deleted $event): void {
+        detection_modules::delete_for_context($event->contextid);
+        activity_policy::delete_for_context($event->contextid);
+        (new attempt_sessions())->delete_for_context($event->contextid);
+    }
+
+    /**
+     * Remove the detection module overrides, policies and attempt sessions of a deleted course and its activities.
+     *
+     * The activities are deleted with the course without a course_module_deleted
+     * event, and their contexts are gone by the time the course_deleted event is
+     * sent, so everything kept against a context that no longer exists goes.
+     *
+     * @param \core\event\course_deleted $event The event.
+     */
+    public static function course_deleted(\core\event\course_deleted $event): void {
+        detection_modules::delete_for_deleted_contexts();
+        activity_policy::delete_for_deleted_contexts();
+        (new attempt_sessions())->delete_for_deleted_contexts();
+    }
+}
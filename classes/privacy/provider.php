@@ -60,6 +60,7 @@ class provider implements
             'fingerprintscore' => 'privacy:metadata:local_agentdetect_signals:fingerprintscore',
             'interactionscore' => 'privacy:metadata:local_agentdetect_signals:interactionscore',
             'combinedscore' => 'privacy:metadata:local_agentdetect_signals:combinedscore',
+            'clientscore' => 'privacy:metadata:local_agentdetect_signals:clientscore',
             'verdict' => 'privacy:metadata:local_agentdetect_signals:verdict',
             'signaldata' => 'privacy:metadata:local_agentdetect_signals:signaldata',
             'useragent' => 'privacy:metadata:local_agentdetect_signals:useragent',
@@ -78,6 +79,37 @@ class provider implements
             'timemodified' => 'privacy:metadata:local_agentdetect_flags:timemodified',
         ], 'privacy:metadata:local_agentdetect_flags');
 
+        $collection->add_database_table('local_agentdetect_heartbeats', [
+            'userid' => 'privacy:metadata:local_agentdetect_heartbeats:userid',
+            'contextid' => 'privacy:metadata:local_agentdetect_heartbeats:contextid',
+            'sessionid' => 'privacy:metadata:local_agentdetect_heartbeats:sessionid',
+            'beats' => 'privacy:metadata:local_agentdetect_heartbeats:beats',
+            'firstbeat' => 'privacy:metadata:local_agentdetect_heartbeats:firstbeat',
+            'lastbeat' => 'privacy:metadata:local_agentdetect_heartbeats:lastbeat',
+        ], 'privacy:metadata:local_agentdetect_heartbeats');
+
+        $collection->add_database_table('local_agentdetect_accommodations', [
+            'userid' => 'privacy:metadata:local_agentdetect_accommodations:userid',
+            'contextid' => 'privacy:metadata:local_agentdetect_accommodations:contextid',
+            'adjustment' => 'privacy:metadata:local_agentdetect_accommodations:adjustment',
+            'reason' => 'privacy:metadata:local_agentdetect_accommodations:reason',
+            'usermodified' => 'privacy:metadata:local_agentdetect_accommodations:usermodified',
+            'timecreated' => 'privacy:metadata:local_agentdetect_accommodations:timecreated',
+            'timemodified' => 'privacy:metadata:local_agentdetect_accommodations:timemodified',
+        ], 'privacy:metadata:local_agentdetect_accommodations');
+
+        $collection->add_database_table('local_agentdetect_attempts', [
+            'attemptid' => 'privacy:metadata:local_agentdetect_attempts:attemptid',
+            'userid' => 'privacy:metadata:local_agentdetect_attempts:userid',
+            'contextid' => 'privacy:metadata:local_agentdetect_attempts:contextid',
+            'sessionid' => 'privacy:metadata:local_agentdetect_attempts:sessionid',
+            'maxscore' => 'privacy:metadata:local_agentdetect_attempts:maxscore',
+            'detectioncount' => 'privacy:metadata:local_agentdetect_attempts:detectioncount',
+            'silenced' => 'privacy:metadata:local_agentdetect_attempts:silenced',
+            'timecreated' => 'privacy:metadata:local_agentdetect_attempts:timecreated',
+            'timemodified' => 'privacy:metadata:local_agentdetect_attempts:timemodified',
+        ], 'privacy:metadata:local_agentdetect_attempts');
+
         return $collection;
     }
 
@@ -100,6 +132,21 @@ class provider implements
                  WHERE userid = :userid1 AND contextid IS NOT NULL";
         $contextlist->add_from_sql($sql, ['userid1' => $userid]);
 
+        // Heartbeats, which always have a context.
+        $sql = "SELECT DISTINCT contextid FROM {local_agentdetect_heartbeats}
+                 WHERE userid = :userid1";
+        $contextlist->add_from_sql($sql, ['userid1' => $userid]);
+
+        // Accommodations, which are always on a quiz.
+        $sql = "SELECT DISTINCT contextid FROM {local_agentdetect_accommodations}
+                 WHERE userid = :userid1";
+        $contextlist->add_from_sql($sql, ['userid1' => $userid]);
+
+        // Attempt sessions, which are always on a quiz.
+        $sql = "SELECT DISTINCT contextid FROM {local_agentdetect_attempts}
+                 WHERE userid = :userid1";
+        $contextlist->add_from_sql($sql, ['userid1' => $userid]);
+
         // Always include system context for records without a specific context.
         $contextlist->add_system_context();
 
@@ -121,6 +168,15 @@ class provider implements
 
             $sql = "SELECT DISTINCT userid FROM {local_agentdetect_flags}";
             $userlist->add_from_sql('userid', $sql, []);
+
+            $sql = "SELECT DISTINCT userid FROM {local_agentdetect_heartbeats}";
+            $userlist->add_from_sql('userid', $sql, []);
+
+            $sql = "SELECT DISTINCT userid FROM {local_agentdetect_accommodations}";
+            $userlist->add_from_sql('userid', $sql, []);
+
+            $sql = "SELECT DISTINCT userid FROM {local_agentdetect_attempts}";
+            $userlist->add_from_sql('userid', $sql, []);
         } else {
             // Get users with signals or flags in this specific context.
             $sql = "SELECT DISTINCT userid FROM {local_agentdetect_signals}
@@ -130,6 +186,18 @@ class provider implements
             $sql = "SELECT DISTINCT userid FROM {local_agentdetect_flags}
                      WHERE contextid = :contextid";
             $userlist->add_from_sql('userid', $sql, ['contextid' => $context->id]);
+
+            $sql = "SELECT DISTINCT userid FROM {local_agentdetect_heartbeats}
+                     WHERE contextid = :contextid";
+            $userlist->add_from_sql('userid', $sql, ['contextid' => $context->id]);
+
+            $sql = "SELECT DISTINCT userid FROM {local_agentdetect_accommodations}
+                     WHERE contextid = :contextid";
+            $userlist->add_from_sql('userid', $sql, ['contextid' => $context->id]);
+
+            $sql = "SELECT DISTINCT userid FROM {local_agentdetect_attempts}
+                     WHERE contextid = :contextid";
+            $userlist->add_from_sql('userid', $sql, ['contextid' => $context->id]);
         }
     }
 
@@ -169,6 +237,7 @@ class provider implements
                         'fingerprintscore' => $signal->fingerprintscore,
                         'interactionscore' => $signal->interactionscore,
                         'combinedscore' => $signal->combinedscore,
+                        'clientscore' => $signal->clientscore,
                         'verdict' => $signal->verdict,
                         'useragent' => $signal->useragent,
                         'ipaddress' => $signal->ipaddress,
@@ -212,6 +281,71 @@ class provider implements
                     (object) ['flags' => $exportdata]
                 );
             }
+
+            // Export heartbeats.
+            $heartbeats = $DB->get_records(
+                'local_agentdetect_heartbeats',
+                ['userid' => $userid, 'contextid' => $context->id]
+            );
+
+            if ($heartbeats) {
+                $exportdata = [];
+                foreach ($heartbeats as $heartbeat) {
+                    $exportdata[] = (object) [
+                        'sessionid' => $heartbeat->sessionid,
+                        'beats' => $heartbeat->beats,
+                        'firstbeat' => \core_privacy\local\request\transform::datetime($heartbeat->firstbeat),
+                        'lastbeat' => \core_privacy\local\request\transform::datetime($heartbeat->lastbeat),
+                    ];
+                }
+                writer::with_context($context)->export_data(
+                    array_merge($subcontext, ['heartbeats']),
+                    (object) ['heartbeats' => $exportdata]
+                );
+            }
+
+            // Export the accommodation.
+            $accommodation = $DB->get_record(
+                'local_agentdetect_accommodations',
+                ['userid' => $userid, 'contextid' => $context->id]
+            );
+
+            if ($accommodation) {
+                writer::with_context($context)->export_data(
+                    array_merge($subcontext, ['accommodation']),
+                    (object) [
+                        'adjustment' => $accommodation->adjustment,
+                        'reason' => $accommodation->reason,
+                        'timecreated' => \core_privacy\local\request\transform::datetime($accommodation->timecreated),
+                        'timemodified' => \core_privacy\local\request\transform::datetime($accommodation->timemodified),
+                    ]
+                );
+            }
+
+            // Export the detection sessions of quiz attempts.
+            $attempts = $DB->get_records(
+                'local_agentdetect_attempts',
+                ['userid' => $userid, 'contextid' => $context->id]
+            );
+
+            if ($attempts) {
+                $exportdata = [];
+                foreach ($attempts as $attempt) {
+                    $exportdata[] = (object) [
+                        'attemptid' => $attempt->attemptid,
+                        'sessionid' => $attempt->sessionid,
+                        'maxscore' => $attempt->maxscore,
+                        'detectioncount' => $attempt->detectioncount,
+                        'silenced' => \core_privacy\local\request\transform::yesno($attempt->silenced),
+                        'timecreated' => \core_privacy\local\request\transform::datetime($attempt->timecreated),
+                        'timemodified' => \core_privacy\local\request\transform::datetime($attempt->timemodified),
+                    ];
+                }
+                writer::with_context($context)->export_data(
+                    array_merge($subcontext, ['attempts']),
+                    (object) ['attempts' => $exportdata]
+                );
+            }
         }
     }
 
@@ -226,9 +360,15 @@ class provider implements
         if ($context instanceof \context_system) {
             $DB->delete_records('local_agentdetect_signals');
             $DB->delete_records('local_agentdetect_flags');
+            $DB->delete_records('local_agentdetect_heartbeats');
+            $DB->delete_records('local_agentdetect_accommodations');
+            $DB->delete_records('local_agentdetect_attempts');
         } else {
             $DB->delete_records('local_agentdetect_signals', ['contextid' => $context->id]);
             $DB->delete_records('local_agentdetect_flags', ['contextid' => $context->id]);
+            $DB->delete_records('local_agentdetect_heartbeats', ['contextid' => $context->id]);
+            $DB->delete_records('local_agentdetect_accommodations', ['contextid' => $context->id]);
+            $DB->delete_records('local_agentdetect_attempts', ['contextid' => $context->id]);
         }
     }
 
@@ -246,6 +386,9 @@ class provider implements
             if ($context instanceof \context_system) {
                 $DB->delete_records('local_agentdetect_signals', ['userid' => $userid]);
                 $DB->delete_records('local_agentdetect_flags', ['userid' => $userid]);
+                $DB->delete_records('local_agentdetect_heartbeats', ['userid' => $userid]);
+                $DB->delete_records('local_agentdetect_accommodations', ['userid' => $userid]);
+                $DB->delete_records('local_agentdetect_attempts', ['userid' => $userid]);
             } else {
                 $DB->delete_records('local_agentdetect_signals', [
                     'userid' => $userid,
@@ -255,6 +398,18 @@ class provider implements
                     'userid' => $userid,
                     'contextid' => $context->id,
                 ]);
+                $DB->delete_records('local_agentdetect_heartbeats', [
+                    'userid' => $userid,
+                    'contextid' => $context->id,
+                ]);
+                $DB->delete_records('local_agentdetect_accommodations', [
+                    'userid' => $userid,
+                    'contextid' => $context->id,
+                ]);
+                $DB->delete_records('local_agentdetect_attempts', [
+                    'userid' => $userid,
+                    'contextid' => $context->id,
+                ]);
             }
         }
     }
@@ -279,6 +434,9 @@ class provider implements
         if ($context instanceof \context_system) {
             $DB->delete_records_select('local_agentdetect_signals', "userid {$insql}", $params);
             $DB->delete_records_select('local_agentdetect_flags', "userid {$insql}", $params);
+            $DB->delete_records_select('local_agentdetect_heartbeats', "userid {$insql}", $params);
+            $DB->delete_records_select('local_agentdetect_accommodations', "userid {$insql}", $params);
+            $DB->delete_records_select('local_agentdetect_attempts', "userid {$insql}", $params);
         } else {
             $params['contextid'] = $context->id;
             $DB->delete_records_select(
@@ -291,6 +449,21 @@ class provider implements
                 "userid {$insql} AND contextid = :contextid",
                 $params
             );
+            $DB->delete_records_select(
+                'local_agentdetect_heartbeats',
+                "userid {$insql} AND contextid = :contextid",
+                $params
+            );
+            $DB->delete_records_select(
+                'local_agentdetect_accommodations',
+                "userid {$insql} AND contextid = :contextid",
+                $params
+            );
+            $DB->delete_records_select(
+                'local_agentdetect_attempts',
+                "userid {$insql} AND contextid = :contextid",
+                $params
+            );
         }
     }
 }
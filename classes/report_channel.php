@@ -0,0 +1,212 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Per-page signed reporting channel.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Issues per-page nonces and verifies signed, sequenced reports.
+ *
+ * Every page that loads the detector gets a channel: a random nonce and an
+ * HMAC-SHA256 key, kept in the user's session. Each report carries the
+ * nonce, a sequence number starting at 1 and a signature over both plus the
+ * number of reports dropped from the client's queue before it and the report
+ * itself. Replayed or reordered sequence numbers are rejected; skipped
+ * ones are accepted but reported as a gap, since a detector that stops
+ * reporting mid-page has usually been silenced. Heartbeats are numbered in
+ * their own stream, so they can be sent alongside reports without one
+ * overtaking the other.
+ *
+ * The key is handed to the detector in the page, where any other script on
+ * the page, such as a browser extension or an agent driving the browser, can
+ * read it too. A valid signature therefore only proves that a report came
+ * from a page this session loaded, not that the detector wrote it: a script
+ * holding the key can sign reports, and heartbeats, of its own. The channel
+ * stops reports being replayed, reordered or sent from elsewhere, and shows
+ * where reports went missing; it does not stop them being forged.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class report_channel {
+    /** @var int Maximum number of open channels kept per session; the oldest are dropped first. */
+    const MAX_CHANNELS = 50;
+
+    /** @var string Sequence stream for detection reports. */
+    const STREAM_REPORTS = 'reports';
+
+    /** @var string Sequence stream for heartbeats. */
+    const STREAM_HEARTBEAT = 'heartbeat';
+
+    /** @var string Rejection: the nonce was not issued in this session. */
+    const ERROR_UNKNOWN_CHANNEL = 'unknownchannel';
+
+    /** @var string Rejection: the report is for a different context than the channel. */
+    const ERROR_CONTEXT_MISMATCH = 'contextmismatch';
+
+    /** @var string Rejection: no sequence number. */
+    const ERROR_MISSING_SEQUENCE = 'missingsequence';
+
+    /** @var string Rejection: the sequence number was already used or is older than the last one. */
+    const ERROR_REPLAYED = 'replayed';
+
+    /** @var string Rejection: the signature does not match. */
+    const ERROR_BAD_SIGNATURE = 'badsignature';
+
+    /**
+     * Open a channel for the current page.
+     *
+     * @param int $contextid Context the detector runs in.
+     * @return array Channel with 'nonce' and 'key', passed to detector.init().
+     */
+    public static function open(int $contextid): array {
+        global $SESSION;
+
+        $nonce = random_string(32);
+        $key = bin2hex(random_bytes(32));
+
+        $channels = $SESSION->local_agentdetect_channels ?? [];
+        $channels[$nonce] = [
+            'key' => $key,
+            'contextid' => $contextid,
+            'lastsequence' => [],
+            'timecreated' => time(),
+        ];
+        if (count($channels) > self::MAX_CHANNELS) {
+            $channels = array_slice($channels, -self::MAX_CHANNELS, null, true);
+        }
+        $SESSION->local_agentdetect_channels = $channels;
+
+        return [
+            'nonce' => $nonce,
+            'key' => $key,
+        ];
+    }
+
+    /**
+     * Build the message a report signature covers.
+     *
+     * Must match signReport() in amd/src/detector.js.
+     *
+     * @param string $nonce Channel nonce.
+     * @param int $sequence Sequence number.
+     * @param int $dropped Number of reports the client dropped before this one.
+     * @param string $sessionid Detection session ID.
+     * @param string $signaltype Signal type.
+     * @param string $signaldata JSON-encoded signal data, exactly as sent.
+     * @return string Message.
+     */
+    public static function build_message(
+        string $nonce,
+        int $sequence,
+        int $dropped,
+        string $sessionid,
+        string $signaltype,
+        string $signaldata
+    ): string {
+        return implode("\n", [$nonce, $sequence, $dropped, $sessionid, $signaltype, $signaldata]);
+    }
+
+    /**
+     * Get the sequence stream a signal type is numbered in.
+     *
+     * Must match signReport() in amd/src/detector.js.
+     *
+     * @param string $signaltype Signal type.
+     * @return string One of the STREAM_ constants.
+     */
+    public static function get_stream(string $signaltype): string {
+        return $signaltype === heartbeat_monitor::SIGNAL_TYPE ? self::STREAM_HEARTBEAT : self::STREAM_REPORTS;
+    }
+
+    /**
+     * Verify a signed report and advance the sequence of its stream.
+     *
+     * @param string $nonce Channel nonce.
+     * @param int $sequence Sequence number.
+     * @param int $dropped Number of reports the client dropped before this one.
+     * @param string $signature Hex HMAC-SHA256 signature.
+     * @param int $contextid Context ID the report claims.
+     * @param string $sessionid Detection session ID.
+     * @param string $signaltype Signal type.
+     * @param string $signaldata JSON-encoded signal data, exactly as received.
+     * @return array With 'valid' (bool), 'error' (one of the ERROR_ constants or null),
+     *               'expected' (next sequence expected) and 'missing' (sequence numbers skipped).
+     */
+    public static function verify(
+        string $nonce,
+        int $sequence,
+        int $dropped,
+        string $signature,
+        int $contextid,
+        string $sessionid,
+        string $signaltype,
+        string $signaldata
+    ): array {
+        global $SESSION;
+
+        $channel = $SESSION->local_agentdetect_channels[$nonce] ?? null;
+        if (!$channel) {
+            return self::result(self::ERROR_UNKNOWN_CHANNEL);
+        }
+        if ((int) $channel['contextid'] !== $contextid) {
+            return self::result(self::ERROR_CONTEXT_MISMATCH);
+        }
+        if ($sequence < 1) {
+            return self::result(self::ERROR_MISSING_SEQUENCE);
+        }
+
+        $stream = self::get_stream($signaltype);
+        $expected = ($channel['lastsequence'][$stream] ?? 0) + 1;
+        if ($sequence < $expected) {
+            return self::result(self::ERROR_REPLAYED, $expected);
+        }
+
+        $message = self::build_message($nonce, $sequence, $dropped, $sessionid, $signaltype, $signaldata);
+        if (!hash_equals(hash_hmac('sha256', $message, $channel['key']), strtolower($signature))) {
+            return self::result(self::ERROR_BAD_SIGNATURE, $expected);
+        }
+
+        $SESSION->local_agentdetect_channels[$nonce]['lastsequence'][$stream] = $sequence;
+
+        return self::result(null, $expected, $sequence - $expected);
+    }
+
+    /**
+     * Build a verification result.
+     *
+     * @param string|null $error Error code, or null if valid.
+     * @param int $expected Sequence number that was expected.
+     * @param int $missing Number of skipped sequence numbers.
+     * @return array Result.
+     */
+    protected static function result(?string $error, int $expected = 0, int $missing = 0): array {
+        return [
+            'valid' => $error === null,
+            'error' => $error,
+            'expected' => $expected,
+            'missing' => $missing,
+        ];
+    }
+}
@@ -0,0 +1,144 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Reconstruction of delta-encoded reports.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Rebuilds full reports from the deltas sent by amd/src/report_delta.js.
+ *
+ * The state of a detection session is ['revision' => int, 'data' => array],
+ * the full report as of its latest revision. Reports without a revision are
+ * not delta-encoded and leave the state alone.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class report_delta {
+    /** @var string Patch key holding item-by-item changes to a list of named objects. */
+    const ITEMS_KEY = '$items';
+
+    /**
+     * Check whether a decoded report is delta-encoded.
+     *
+     * @param array $report Decoded signal data.
+     * @return bool True if the report carries a revision.
+     */
+    public static function is_revision(array $report): bool {
+        return isset($report['revision']) && is_numeric($report['revision']);
+    }
+
+    /**
+     * Apply a report to the state of its session.
+     *
+     * @param array|null $state Session state, null if none is known.
+     * @param array $report Decoded signal data: a full report or a delta.
+     * @return array|null New state, or null if the delta does not apply to the known state.
+     */
+    public static function advance(?array $state, array $report): ?array {
+        if (!self::is_revision($report)) {
+            return $state;
+        }
+
+        if (array_key_exists('delta', $report)) {
+            $baserevision = $report['baseRevision'] ?? null;
+            if (!$state || !is_numeric($baserevision) || (int) $baserevision !== $state['revision']) {
+                return null;
+            }
+            // An unchanged report has an empty delta, which decodes as an empty list.
+            $data = $report['delta'] === [] ? $state['data'] : self::apply($state['data'], $report['delta']);
+        } else {
+            $data = $report;
+            unset($data['revision']);
+        }
+
+        return [
+            'revision' => (int) $report['revision'],
+            'data' => is_array($data) ? $data : [],
+        ];
+    }
+
+    /**
+     * Apply a patch to a decoded JSON value.
+     *
+     * Mirrors apply() in amd/src/report_delta.js; keep both in step.
+     *
+     * @param mixed $target Old value.
+     * @param mixed $patch Patch.
+     * @return mixed New value.
+     */
+    public static function apply($target, $patch) {
+        if (!is_array($patch) || array_is_list($patch)) {
+            return $patch;
+        }
+        if (count($patch) === 1 && array_key_exists(self::ITEMS_KEY, $patch)) {
+            return self::apply_items(is_array($target) && array_is_list($target) ? $target : [], $patch[self::ITEMS_KEY]);
+        }
+
+        $result = is_array($target) && !array_is_list($target) ? $target : [];
+        foreach ($patch as $key => $value) {
+            if ($value === null) {
+                unset($result[$key]);
+            } else {
+                $result[$key] = self::apply($result[$key] ?? null, $value);
+            }
+        }
+        return $result;
+    }
+
+    /**
+     * Apply item-by-item changes to a list of named objects.
+     *
+     * @param array $list Old list.
+     * @param mixed $items New items keyed by name, null to remove.
+     * @return array New list.
+     */
+    protected static function apply_items(array $list, $items): array {
+        if (!is_array($items)) {
+            return $list;
+        }
+
+        foreach ($items as $name => $item) {
+            $index = null;
+            foreach ($list as $i => $existing) {
+                if (is_array($existing) && isset($existing['name']) && (string) $existing['name'] === (string) $name) {
+                    $index = $i;
+                    break;
+                }
+            }
+
+            if ($item === null) {
+                if ($index !== null) {
+                    unset($list[$index]);
+                    $list = array_values($list);
+                }
+            } else if ($index !== null) {
+                $list[$index] = $item;
+            } else {
+                $list[] = $item;
+            }
+        }
+        return $list;
+    }
+}
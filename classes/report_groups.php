@@ -0,0 +1,59 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Group mode restrictions of the quiz reports.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Works out whose attempts a quiz report shows under the activity's group mode.
+ *
+ * Follows the quiz's own attempts reports: the group selected in the report
+ * limits it to that group's members, and in separate groups mode someone
+ * without access to all groups sees nobody until they have a group.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class report_groups {
+    /**
+     * Get the users whose attempts the current user sees in the reports of an activity.
+     *
+     * @param \cm_info $cm Course module.
+     * @param \context_module $context Context of the course module.
+     * @return int[]|null User IDs, or null for every user.
+     */
+    public static function get_user_ids(\cm_info $cm, \context_module $context): ?array {
+        $groupmode = groups_get_activity_groupmode($cm);
+        $currentgroup = groups_get_activity_group($cm, true);
+
+        if (!$currentgroup) {
+            if ($groupmode == SEPARATEGROUPS && !has_capability('moodle/site:accessallgroups', $context)) {
+                return [];
+            }
+            return null;
+        }
+
+        return array_map('intval', array_keys(groups_get_members($currentgroup, 'u.id')));
+    }
+}
@@ -0,0 +1,486 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Server-side scorer for raw detection signals.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Re-scores the raw signal lists reported by the browser.
+ *
+ * Each method is a port of its JavaScript counterpart and must stay in step
+ * with it: calculateFingerprintScore (fingerprint.js), calculateInteractionScore
+ * (interaction.js), calculateInjectionScore (injection.js), extractSignals and
+ * calculateCometScore (comet.js) and calculateCombinedScore (detector.js).
+ * tests/fixtures/scoring_fixtures.json is the shared suite that keeps them in step.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class scorer {
+    /** @var string[] Detectors shipped with the plugin, i.e. those the server can re-score. */
+    const BUILTIN_DETECTORS = ['fingerprint', 'interaction', 'injection', 'comet'];
+
+    /** @var int Largest weight a detector gives a signal; weights the client reports are clamped to it. */
+    const MAX_WEIGHT = 10;
+
+    /** @var string[] Boosting detectors, in client registration order. */
+    const BOOST_ORDER = ['fingerprint', 'injection', 'comet'];
+
+    /** @var string[] Fingerprint result sections holding a list of signals. */
+    const FINGERPRINT_SECTIONS = [
+        'webdriver' => 'signals',
+        'headless' => 'signals',
+        'extensions' => 'signals',
+        'cometExtension' => 'signals',
+        'cometRuntime' => 'signals',
+        'perplexityNetwork' => 'signals',
+        'globals' => 'signals',
+        'domMarkers' => 'signals',
+        'canvas' => 'anomalies',
+        'webgl' => 'anomalies',
+    ];
+
+    /** @var string[] Interaction anomalies a human physically cannot produce. */
+    const STRONG_INTERACTION_SIGNALS = [
+        'click.center_precision',
+        'click.teleport_pattern',
+        'click.no_movement',
+        'comet.ultra_precise_center',
+        'comet.low_mouse_to_action_ratio',
+        'comet.zero_keystrokes',
+        'comet.low_per_page_mouse_ratio',
+        'event.untrusted',
+        'event.impossible_coordinates',
+    ];
+
+    /** @var string[] Strong signals that stay reliable even with very few events. */
+    const RELIABLE_SPARSE_SIGNALS = [
+        'click.center_precision',
+        'comet.ultra_precise_center',
+        'comet.low_mouse_to_action_ratio',
+        'comet.zero_keystrokes',
+        'comet.low_per_page_mouse_ratio',
+        'event.untrusted',
+    ];
+
+    /** @var string[] Interaction anomalies a human cannot produce on a touch screen or with a pen. */
+    const TOUCH_STRONG_INTERACTION_SIGNALS = [
+        'click.center_precision',
+        'comet.ultra_precise_center',
+        'touch.instant_tap',
+        'touch.fixed_tap_offset',
+        'touch.click_without_contact',
+        'event.untrusted',
+        'event.impossible_coordinates',
+    ];
+
+    /** @var string[] Strong touch signals that stay reliable even with very few events. */
+    const TOUCH_RELIABLE_SPARSE_SIGNALS = [
+        'click.center_precision',
+        'comet.ultra_precise_center',
+        'touch.instant_tap',
+        'touch.click_without_contact',
+        'event.untrusted',
+    ];
+
+    /** @var string[] Interaction anomalies that assume a mouse and keyboard, left out of the touch model. */
+    const DESKTOP_INTERACTION_SIGNALS = [
+        'mouse.insufficient_data',
+        'mouse.linear_movement',
+        'mouse.teleport',
+        'mouse.sparse_movement',
+        'mouse.constant_velocity',
+        'click.no_hover',
+        'click.no_movement',
+        'click.teleport_pattern',
+        'comet.low_mouse_to_action_ratio',
+        'comet.no_mousemove_trail',
+        'comet.low_per_page_mouse_ratio',
+        'comet.zero_keystrokes',
+        'sequence.low_hover_ratio',
+        'trajectory.smooth_curvature',
+        'trajectory.minimum_jerk',
+        'trajectory.no_correction',
+        'trajectory.fitts_violation',
+        'mouse.no_movement_delta',
+    ];
+
+    /** @var string Input modality of a mouse. */
+    const MODALITY_MOUSE = 'mouse';
+
+    /** @var string Input modality of a finger on a touch screen. */
+    const MODALITY_TOUCH = 'touch';
+
+    /** @var string Input modality of a pen. */
+    const MODALITY_PEN = 'pen';
+
+    /** @var string Comet extension ID, matched in injection signal names. */
+    const COMET_EXTENSION_ID = 'npclhjbddhklpbnacpjloidibaggcgon';
+
+    /** @var array Scoring profile. */
+    protected array $profile;
+
+    /**
+     * Constructor.
+     *
+     * @param array|null $profile Scoring profile; defaults to the current one.
+     */
+    public function __construct(?array $profile = null) {
+        $this->profile = $profile ?? scoring_profile::get_current();
+    }
+
+    /**
+     * Re-score a combined report payload.
+     *
+     * Only the raw signal lists are used; any scores, verdicts or Comet summary
+     * the client computed are ignored. Detectors the report's module manifest
+     * says did not run get no score and add nothing to the combined score.
+     *
+     * @param array $data Decoded report payload with fingerprint, interaction and injection results.
+     * @return array Scores keyed fingerprint, interaction, injection, comet and combined, plus verdict.
+     */
+    public function rescore(array $data): array {
+        $fingerprint = is_array($data['fingerprint'] ?? null) ? $data['fingerprint'] : [];
+        $interaction = is_array($data['interaction'] ?? null) ? $data['interaction'] : [];
+        $injection = is_array($data['injection'] ?? null) ? $data['injection'] : [];
+
+        $scores = [
+            'fingerprint' => $this->score_fingerprint($fingerprint),
+            'interaction' => $this->score_interaction($interaction),
+            'injection' => $this->score_injection($injection),
+            'comet' => $this->score_comet($this->extract_comet_signals($fingerprint, $interaction, $injection)),
+        ];
+        foreach (self::BUILTIN_DETECTORS as $name) {
+            if (!detection_modules::ran($data, $name)) {
+                unset($scores[$name]);
+            }
+        }
+        $scores['combined'] = $this->combine($scores);
+        $scores['verdict'] = $this->get_verdict($scores['combined']);
+
+        return $scores;
+    }
+
+    /**
+     * Get the effective weight of a signal, applying any profile override.
+     *
+     * The weight comes from the client, so anything but a number is ignored
+     * and the rest is clamped to 0..MAX_WEIGHT.
+     *
+     * @param array $signal Signal or anomaly with a name and weight (or maxWeight).
+     * @return int|float Weight.
+     */
+    public function weight_of(array $signal) {
+        $override = $this->profile['weights'][$signal['name'] ?? ''] ?? null;
+        if (is_int($override) || is_float($override)) {
+            return $override;
+        }
+        foreach (['weight', 'maxWeight'] as $key) {
+            $weight = $signal[$key] ?? null;
+            if (is_numeric($weight) && $weight != 0) {
+                return max(0, min(self::MAX_WEIGHT, $weight + 0));
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Score fingerprint results (port of calculateFingerprintScore).
+     *
+     * @param array $fingerprint Fingerprint results.
+     * @return int Score 0-100.
+     */
+    public function score_fingerprint(array $fingerprint): int {
+        $totalweight = 0;
+        $maxweight = 0;
+
+        foreach (self::FINGERPRINT_SECTIONS as $section => $listkey) {
+            foreach ($this->list_of($fingerprint[$section][$listkey] ?? []) as $signal) {
+                $totalweight += $this->weight_of($signal);
+                $maxweight += 10;
+            }
+        }
+
+        if ($maxweight === 0) {
+            return 0;
+        }
+
+        $rawscore = ($totalweight / max($maxweight, 50)) * 100;
+        return (int) min(100, round($rawscore));
+    }
+
+    /**
+     * Detect the input modality from event counts (port of detectModality).
+     *
+     * @param array $counts Interaction event counts.
+     * @return string One of the MODALITY_ constants: whatever pressed most, the mouse if tied.
+     */
+    public function detect_modality(array $counts): string {
+        $mouse = (int) ($counts['mousePresses'] ?? 0);
+        $touch = (int) ($counts['touchPresses'] ?? 0);
+        $pen = (int) ($counts['penPresses'] ?? 0);
+        if (max($touch, $pen) <= $mouse) {
+            return self::MODALITY_MOUSE;
+        }
+        return $pen > $touch ? self::MODALITY_PEN : self::MODALITY_TOUCH;
+    }
+
+    /**
+     * Score interaction results (port of calculateInteractionScore).
+     *
+     * Touch and pen input are scored by the touch model, which leaves out the
+     * desktop anomalies and counts contacts in place of mouse moves.
+     *
+     * @param array $interaction Interaction results with anomalies and eventCounts.
+     * @return int Score 0-100.
+     */
+    public function score_interaction(array $interaction): int {
+        $counts = is_array($interaction['eventCounts'] ?? null) ? $interaction['eventCounts'] : [];
+        $touchmodel = $this->detect_modality($counts) !== self::MODALITY_MOUSE;
+
+        $anomalies = $this->list_of($interaction['anomalies'] ?? []);
+        if ($touchmodel) {
+            $anomalies = array_values(array_filter($anomalies, function ($anomaly) {
+                return !in_array($anomaly['name'] ?? '', self::DESKTOP_INTERACTION_SIGNALS, true);
+            }));
+        }
+        if (empty($anomalies)) {
+            return 0;
+        }
+
+        $totalweight = 0;
+        $present = [];
+        foreach ($anomalies as $anomaly) {
+            $totalweight += $this->weight_of($anomaly);
+            $name = $anomaly['name'] ?? '';
+            // Only the extreme variant (movePerAction < 2, weight 10) is physically impossible.
+            if ($name === 'comet.low_mouse_to_action_ratio' && ($anomaly['weight'] ?? 0) < 10) {
+                continue;
+            }
+            $present[$name] = true;
+        }
+        $maxpossibleweight = count($anomalies) * 10;
+
+        $strong = $touchmodel ? self::TOUCH_STRONG_INTERACTION_SIGNALS : self::STRONG_INTERACTION_SIGNALS;
+        $strongsignals = count(array_intersect($strong, array_keys($present)));
+        $multiplier = 1.0;
+        if ($strongsignals >= 3) {
+            $multiplier = 1.5;
+        } else if ($strongsignals >= 2) {
+            $multiplier = 1.25;
+        }
+
+        $rawscore = ($totalweight / max($maxpossibleweight, 30)) * 100 * $multiplier;
+
+        // Confidence discount for sparse data.
+        $totalevents = (int) ($counts['clicks'] ?? 0) + (int) ($counts['keystrokes'] ?? 0)
+            + (int) ($counts[$touchmodel ? 'contacts' : 'mouseMoves'] ?? 0);
+
+        if ($totalevents < 10) {
+            $reliable = $touchmodel ? self::TOUCH_RELIABLE_SPARSE_SIGNALS : self::RELIABLE_SPARSE_SIGNALS;
+            $hasreliablesignal = !empty(array_intersect($reliable, array_keys($present)));
+            $rawscore *= $hasreliablesignal ? 0.7 : 0.3;
+        } else if ($totalevents < 25) {
+            $rawscore *= 0.85;
+        }
+
+        return (int) min(100, round($rawscore));
+    }
+
+    /**
+     * Score injection results (port of calculateInjectionScore).
+     *
+     * @param array $injection Injection results with signals.
+     * @return int Score 0-100.
+     */
+    public function score_injection(array $injection): int {
+        $signals = $this->list_of($injection['signals'] ?? []);
+        if (empty($signals)) {
+            return 0;
+        }
+
+        $totalweight = 0;
+        foreach ($signals as $signal) {
+            // Weight increases with count but with diminishing returns.
+            $countmultiplier = min((int) ($signal['count'] ?? 1), 5);
+            $totalweight += $this->weight_of($signal) * (1 + ($countmultiplier - 1) * 0.2);
+        }
+
+        $normalized = ($totalweight / 50) * 100;
+        return (int) min(100, round($normalized));
+    }
+
+    /**
+     * Extract Comet-specific signals from the other results (port of extractSignals).
+     *
+     * @param array $fingerprint Fingerprint results.
+     * @param array $interaction Interaction results.
+     * @param array $injection Injection results.
+     * @return array Comet signals.
+     */
+    public function extract_comet_signals(array $fingerprint, array $interaction, array $injection): array {
+        $signals = [];
+
+        foreach (['cometExtension', 'cometRuntime', 'perplexityNetwork'] as $section) {
+            array_push($signals, ...$this->list_of($fingerprint[$section]['signals'] ?? []));
+        }
+        foreach ($this->list_of($fingerprint['webdriver']['signals'] ?? []) as $signal) {
+            if (($signal['name'] ?? '') === 'webdriver.changed_mid_session') {
+                $signals[] = $signal;
+                break;
+            }
+        }
+
+        foreach ($this->list_of($interaction['anomalies'] ?? []) as $anomaly) {
+            if (str_starts_with($anomaly['name'] ?? '', 'comet.')) {
+                $signals[] = $anomaly;
+            }
+        }
+
+        foreach ($this->list_of($injection['signals'] ?? []) as $signal) {
+            $name = $signal['name'] ?? '';
+            if (str_contains($name, 'comet') || str_contains($name, 'perplexity') ||
+                    str_contains($name, self::COMET_EXTENSION_ID)) {
+                $signals[] = $signal;
+            }
+        }
+
+        return $signals;
+    }
+
+    /**
+     * Score Comet signals (port of calculateCometScore).
+     *
+     * @param array $signals Comet signals.
+     * @return int|float Score 0-100.
+     */
+    public function score_comet(array $signals) {
+        if (empty($signals)) {
+            return 0;
+        }
+
+        $tiers = $this->profile['comet'];
+        $totalweight = 0;
+        foreach ($signals as $signal) {
+            $totalweight += $this->weight_of($signal);
+        }
+
+        foreach ($signals as $signal) {
+            $name = $signal['name'] ?? '';
+            if (in_array($name, $tiers['definitive'], true) || $this->has_prefix($name, $tiers['definitivePrefixes'])) {
+                return min(100, 70 + $totalweight);
+            }
+        }
+
+        $tier1 = 0;
+        $tier2 = 0;
+        foreach ($signals as $signal) {
+            $name = $signal['name'] ?? '';
+            $weighted = in_array($name, $tiers['tier1Weighted'], true) && ($signal['weight'] ?? 0) >= $tiers['tier1MinWeight'];
+            if ($weighted || in_array($name, $tiers['tier1Any'], true)) {
+                $tier1++;
+            } else if ($this->has_prefix($name, $tiers['tier2Prefixes'])) {
+                $tier2++;
+            }
+        }
+
+        if ($tier1 >= 1 && $tier2 >= 2) {
+            return min(100, $totalweight * 2);
+        }
+        if ($tier1 >= 1) {
+            return min(100, round($totalweight * 1.5));
+        }
+        return min(40, $totalweight);
+    }
+
+    /**
+     * Combine detector scores (port of calculateCombinedScore for the built-in detectors).
+     *
+     * @param array $scores Scores keyed by detector name.
+     * @return int Combined score 0-100.
+     */
+    public function combine(array $scores): int {
+        $score = $scores['interaction'] ?? 0;
+
+        foreach (self::BOOST_ORDER as $name) {
+            $detectorscore = $scores[$name] ?? 0;
+            foreach ($this->profile['boosts'][$name] ?? [] as $tier) {
+                if ($detectorscore < $tier['min']) {
+                    continue;
+                }
+                if (!empty($tier['floor'])) {
+                    $score = max($score, $tier['floor']);
+                }
+                $score = min(100, $score + ($tier['add'] ?? 0));
+                break;
+            }
+        }
+
+        return (int) round($score);
+    }
+
+    /**
+     * Get the verdict for a combined score.
+     *
+     * @param int $score Combined score.
+     * @return string Verdict.
+     */
+    public function get_verdict(int $score): string {
+        foreach ($this->profile['bands'] as $band) {
+            if ($score >= $band['min']) {
+                return $band['verdict'];
+            }
+        }
+        return 'LIKELY_HUMAN';
+    }
+
+    /**
+     * Keep only the well-formed entries of a decoded signal list.
+     *
+     * @param mixed $list Decoded list.
+     * @return array Signals that are arrays, named with a string if at all.
+     */
+    protected function list_of($list): array {
+        if (!is_array($list)) {
+            return [];
+        }
+        return array_values(array_filter($list, fn($signal) => is_array($signal) && is_string($signal['name'] ?? '')));
+    }
+
+    /**
+     * Whether a name starts with any of the given prefixes.
+     *
+     * @param string $name Signal name.
+     * @param array $prefixes Prefixes.
+     * @return bool
+     */
+    protected function has_prefix(string $name, array $prefixes): bool {
+        foreach ($prefixes as $prefix) {
+            if (str_starts_with($name, $prefix)) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
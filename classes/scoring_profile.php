@@ -0,0 +1,279 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Scoring profile shared by the client-side detector and the server.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Versioned scoring profile: verdict bands, boost tiers, Comet tier lists and weight overrides.
+ *
+ * The built-in defaults mirror DEFAULT_PROFILE in amd/src/scoring_profile.js.
+ * Admins may override any section with JSON in the plugin settings; every
+ * saved change bumps the profile version, which each report records.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class scoring_profile {
+    /** @var string[] Top-level sections an override may contain. */
+    const SECTIONS = ['bands', 'boosts', 'comet', 'weights'];
+
+    /**
+     * Get the built-in default profile.
+     *
+     * @return array Profile without version or threshold.
+     */
+    public static function get_default(): array {
+        return [
+            'bands' => [
+                ['min' => 80, 'verdict' => 'HIGH_CONFIDENCE_AGENT'],
+                ['min' => 60, 'verdict' => 'PROBABLE_AGENT'],
+                ['min' => 40, 'verdict' => 'SUSPICIOUS'],
+                ['min' => 20, 'verdict' => 'LOW_SUSPICION'],
+            ],
+            'boosts' => [
+                'fingerprint' => [
+                    ['min' => 70, 'add' => 30],
+                    ['min' => 40, 'add' => 15],
+                    ['min' => 20, 'add' => 5],
+                ],
+                'injection' => [
+                    ['min' => 50, 'add' => 25],
+                    ['min' => 25, 'add' => 15],
+                    ['min' => 10, 'add' => 5],
+                ],
+                'comet' => [
+                    ['min' => 70, 'floor' => 80, 'add' => 10],
+                    ['min' => 40, 'add' => 15],
+                    ['min' => 20, 'add' => 5],
+                ],
+            ],
+            'comet' => [
+                'definitive' => [
+                    'comet_overlay_js',
+                    'comet.extension.script_injected',
+                    'comet.extension.resource_probe',
+                    'comet_agent_src',
+                    'network.perplexity_agent',
+                ],
+                'definitivePrefixes' => ['comet.runtime.'],
+                'tier1Weighted' => [
+                    'comet.ultra_precise_center',
+                    'comet.low_mouse_to_action_ratio',
+                    'comet.low_per_page_mouse_ratio',
+                ],
+                'tier1MinWeight' => 10,
+                'tier1Any' => ['comet.zero_keystrokes'],
+                'tier2Prefixes' => ['comet.'],
+            ],
+            'weights' => [],
+        ];
+    }
+
+    /**
+     * Get the profile currently in effect, as passed to the detector.
+     *
+     * @return array Profile including version and flag threshold.
+     */
+    public static function get_current(): array {
+        $override = self::parse(get_config('local_agentdetect', 'scoringprofile') ?: '');
+        $profile = self::apply_override(self::get_default(), $override ?? []);
+
+        $profile['version'] = self::get_version();
+        $profile['threshold'] = self::get_flag_threshold();
+
+        return $profile;
+    }
+
+    /**
+     * Layer override sections over a profile.
+     *
+     * Boost tiers and Comet lists are merged per key; bands and weights are
+     * replaced whole. setProfile() in amd/src/scoring_profile.js does the same.
+     *
+     * @param array $profile Base profile.
+     * @param array $override Validated override sections.
+     * @return array Resulting profile.
+     */
+    public static function apply_override(array $profile, array $override): array {
+        foreach ($override as $section => $value) {
+            if ($section === 'boosts' || $section === 'comet') {
+                $profile[$section] = array_merge($profile[$section], $value);
+            } else {
+                $profile[$section] = $value;
+            }
+        }
+        return $profile;
+    }
+
+    /**
+     * Get the current profile version.
+     *
+     * @return int Profile version; 1 is the built-in default.
+     */
+    public static function get_version(): int {
+        return (int) get_config('local_agentdetect', 'scoringprofileversion') ?: 1;
+    }
+
+    /**
+     * Get the profile in effect at a version, as the detector was given it then.
+     *
+     * bump_version() keeps every version it makes, so a report from a page
+     * loaded before a change can be re-scored as its detector scored it.
+     * Version 1 is the built-in default until the first change.
+     *
+     * @param int $version Profile version.
+     * @return array|null Profile including version and flag threshold, or null if the version was never issued or not kept.
+     */
+    public static function get_profile(int $version): ?array {
+        $current = self::get_version();
+        if ($version === $current) {
+            return self::get_current();
+        }
+        if ($version < 1 || $version > $current) {
+            return null;
+        }
+
+        $kept = json_decode(get_config('local_agentdetect', 'scoringprofile_' . $version) ?: '', true);
+        if (is_array($kept)) {
+            return $kept;
+        }
+        if ($version === 1) {
+            return self::get_default() + ['version' => 1, 'threshold' => self::get_flag_threshold()];
+        }
+        return null;
+    }
+
+    /**
+     * Keep the profile currently in effect under its version, for get_profile().
+     *
+     * @return void
+     */
+    public static function keep_current(): void {
+        $profile = self::get_current();
+        set_config('scoringprofile_' . $profile['version'], json_encode($profile), 'local_agentdetect');
+    }
+
+    /**
+     * Get the combined score at or above which a user is flagged as suspected.
+     *
+     * @return int Threshold (0-100).
+     */
+    public static function get_flag_threshold(): int {
+        $threshold = get_config('local_agentdetect', 'threshold');
+        if ($threshold === false || $threshold === '') {
+            return signal_manager::FLAG_THRESHOLD_HIGH;
+        }
+        return max(0, min(100, (int) $threshold));
+    }
+
+    /**
+     * Parse an admin override into profile sections.
+     *
+     * @param string $json JSON object with any of the top-level sections.
+     * @return array|null Sections to override, or null if empty or invalid.
+     */
+    public static function parse(string $json): ?array {
+        if (trim($json) === '') {
+            return null;
+        }
+        $decoded = json_decode($json, true);
+        if (!is_array($decoded) || self::validate($decoded) !== true) {
+            return null;
+        }
+        return array_intersect_key($decoded, array_flip(self::SECTIONS));
+    }
+
+    /**
+     * Validate an override's structure.
+     *
+     * @param array $override Decoded override.
+     * @return true|string True if valid, otherwise an error message.
+     */
+    public static function validate(array $override) {
+        foreach (array_keys($override) as $section) {
+            if (!in_array($section, self::SECTIONS, true)) {
+                return get_string('scoringprofile:unknownsection', 'local_agentdetect', $section);
+            }
+        }
+
+        if (isset($override['bands'])) {
+            if (!is_array($override['bands'])) {
+                return get_string('scoringprofile:invalidsection', 'local_agentdetect', 'bands');
+            }
+            foreach ($override['bands'] as $band) {
+                if (!is_array($band) || !is_numeric($band['min'] ?? null) || !is_string($band['verdict'] ?? null)) {
+                    return get_string('scoringprofile:invalidsection', 'local_agentdetect', 'bands');
+                }
+            }
+        }
+
+        if (isset($override['boosts'])) {
+            if (!is_array($override['boosts'])) {
+                return get_string('scoringprofile:invalidsection', 'local_agentdetect', 'boosts');
+            }
+            foreach ($override['boosts'] as $tiers) {
+                if (!is_array($tiers)) {
+                    return get_string('scoringprofile:invalidsection', 'local_agentdetect', 'boosts');
+                }
+                foreach ($tiers as $tier) {
+                    if (!is_array($tier) || !is_numeric($tier['min'] ?? null)) {
+                        return get_string('scoringprofile:invalidsection', 'local_agentdetect', 'boosts');
+                    }
+                }
+            }
+        }
+
+        if (isset($override['comet']) && !is_array($override['comet'])) {
+            return get_string('scoringprofile:invalidsection', 'local_agentdetect', 'comet');
+        }
+
+        if (isset($override['weights'])) {
+            if (!is_array($override['weights'])) {
+                return get_string('scoringprofile:invalidsection', 'local_agentdetect', 'weights');
+            }
+            foreach ($override['weights'] as $weight) {
+                if (!is_int($weight) && !is_float($weight)) {
+                    return get_string('scoringprofile:invalidsection', 'local_agentdetect', 'weights');
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Settings callback: bump the profile version after a scoring setting changes.
+     *
+     * The new version's profile is kept, since pages loaded before the next
+     * change go on reporting scores computed with it.
+     *
+     * @param string $name Full name of the changed setting.
+     * @return void
+     */
+    public static function bump_version(string $name = ''): void {
+        set_config('scoringprofileversion', self::get_version() + 1, 'local_agentdetect');
+        self::keep_current();
+    }
+}
@@ -0,0 +1,272 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Plain-language explanations of detection signals.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tells teachers what the signals of a report mean.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class signal_explainer {
+    /** @var string[] What each signal means, in terms a teacher can understand. */
+    const EXPLANATIONS = [
+        // Tier 1 — physically impossible for a human.
+        'click.center_precision' =>
+            'Clicks landed at the exact mathematical centre of page elements, '
+            . 'a pattern consistent with programmatic clicking rather than a human hand.',
+        'click.teleport_pattern' =>
+            'The mouse cursor jumped instantly between distant screen positions without '
+            . 'any intermediate movement — consistent with automated cursor positioning.',
+        'comet.ultra_precise_center' =>
+            'Multiple clicks hit the precise pixel centre of their target elements, '
+            . 'which is extremely unlikely for a human using a mouse or trackpad.',
+        'comet.low_mouse_to_action_ratio' =>
+            'Very few mouse movements were recorded relative to the number of clicks. '
+            . 'Human users naturally move the mouse before and between clicks.',
+        'comet.zero_keystrokes' =>
+            'No keyboard input was recorded during the session despite multiple clicks '
+            . 'and page navigations — the session appeared to be driven entirely by clicking.',
+        'comet.low_per_page_mouse_ratio' =>
+            'Across most quiz pages, the number of mouse movements was extremely low '
+            . 'compared to clicks — a strong indicator of programmatic interaction.',
+
+        // Tier 2 — behavioural / temporal.
+        'comet.action_burst' =>
+            'Rapid bursts of actions (clicking answers in quick succession) were detected '
+            . 'at a rate well above typical human quiz-taking speed.',
+        'comet.read_then_act' =>
+            'A repeated pattern of pausing (as if reading the question) followed by '
+            . 'an immediate precise answer was detected across multiple questions.',
+        'comet.no_mousemove_trail' =>
+            'Clicks occurred without any mouse movement trail beforehand — human users '
+            . 'almost always generate visible cursor movement before clicking.',
+        'comet.missing_pointer_events' =>
+            'Expected pointer interaction events (mouse down/up sequences) were missing '
+            . 'or incomplete during click actions.',
+        'comet.scroll_then_click' =>
+            'A high proportion of clicks were immediately preceded by a scroll event, '
+            . 'suggesting automated "scroll to element, then click" behaviour.',
+        'comet.rapid_focus_sequence' =>
+            'Page focus changed rapidly multiple times, consistent with an automated tool '
+            . 'switching between browser tabs or windows.',
+
+        // Click / interaction signals.
+        'click.no_movement' =>
+            'No mouse movement at all was detected during the session — all interaction '
+            . 'consisted of clicks without any visible cursor activity.',
+        'click.no_hover' =>
+            'Click targets were never hovered over before being clicked, which is unusual '
+            . 'for human mouse interaction.',
+        'click.superhuman_speed' =>
+            'Some clicks occurred faster than typical human reaction time allows.',
+        'click.perfect_timing' =>
+            'The timing between consecutive clicks was unusually uniform, suggesting '
+            . 'automated pacing rather than natural human rhythm.',
+        'click.zero_detail' =>
+            'Clicks followed a mouse button press but counted no press, as clicks injected by '
+            . 'automation drivers do.',
+        'mouse.no_movement_delta' =>
+            'The mouse moved across the page, but the browser reported no movement of the mouse '
+            . 'itself, as when automation software moves the pointer.',
+
+        // Event authenticity signals.
+        'event.untrusted' =>
+            'Clicks or key presses were dispatched by a script on the page rather than made with '
+            . 'the mouse or keyboard; the browser marks such events as untrusted.',
+        'event.impossible_coordinates' =>
+            'Clicks and mouse movements moved one way within the page and another way on the '
+            . 'screen, which only events made up by a script can do.',
+
+        // Sequence signals.
+        'sequence.low_hover_ratio' =>
+            'The proportion of elements hovered before clicking was unusually low compared '
+            . 'to typical human browsing patterns.',
+        'sequence.direct_focus' =>
+            'Form elements received focus directly without the preceding mouse movement '
+            . 'that would normally occur with human navigation.',
+
+        // Keystroke signals.
+        'comet.uniform_keystroke_cadence' =>
+            'Keystrokes were typed at a suspiciously uniform speed, lacking the natural '
+            . 'variation in timing that human typing exhibits.',
+        'comet.uniform_hold_duration' =>
+            'Keys were held down for nearly identical durations across all keystrokes, '
+            . 'which is atypical of natural human typing.',
+        'keystroke.flat_digraphs' =>
+            'In a written answer, keys following one typed by the same hand came no later than keys '
+            . 'following the other hand, as if the text was typed out rather than composed.',
+        'keystroke.no_pauses' =>
+            'A written answer was typed without the pauses between words and sentences that '
+            . 'people make while composing text.',
+        'keystroke.no_corrections' =>
+            'A long written answer was typed without a single deletion or correction.',
+        'keystroke.constant_rate' =>
+            'A written answer was typed at the same rate from beginning to end, which is typical '
+            . 'of extensions that type out a prepared answer.',
+
+        // Answer provenance signals.
+        'input.large_paste' =>
+            'A large block of text was pasted or dragged into an answer rather than typed.',
+        'input.programmatic_set' =>
+            'Text appeared in an answer without being typed, pasted or dropped: it was written '
+            . 'into the field by a script, as answer-writing browser extensions do.',
+
+        // Focus timeline signals.
+        'focus.question_copied' =>
+            'Text of a question was copied.',
+        'focus.copy_leave_paste' =>
+            'A question was copied, the student left the quiz for another tab or window, and pasted '
+            . 'an answer soon after coming back, as when asking a chatbot.',
+        'focus.paste_after_return' =>
+            'Text was pasted into an answer soon after the student came back from another tab or window.',
+
+        // Fingerprint / extension signals.
+        'comet.extension.cached' =>
+            'A known AI agent browser extension (Perplexity Comet) was detected as installed.',
+        'comet.extension.script_injected' =>
+            'Scripts associated with a known AI agent extension were found injected into the page.',
+        'comet.extension.link_injected' =>
+            'Resource links associated with a known AI agent extension were found in the page.',
+        'comet.extension.stylesheet' =>
+            'Stylesheets associated with a known AI agent extension were detected.',
+        'comet.extension.resource_probe' =>
+            'Probing for known AI agent extension resources returned a positive result.',
+        'comet.runtime.inline_style' =>
+            'Inline styles characteristic of an AI agent overlay were detected on the page.',
+        'comet.runtime.script' =>
+            'Runtime scripts characteristic of an AI agent were detected on the page.',
+        'comet.runtime.global' =>
+            'Global JavaScript variables associated with a known AI agent were found.',
+    ];
+
+    /**
+     * Get the signals of a report, strongest first.
+     *
+     * @param array $data Signal data of a combined report.
+     * @return array Signals with name, value and weight, one per name.
+     */
+    public static function get_signals(array $data): array {
+        $signals = [];
+
+        // Interaction anomalies.
+        foreach (self::get_list($data, 'interaction', 'anomalies') as $anomaly) {
+            $signals[] = self::make_signal($anomaly, $anomaly['weight'] ?? 0);
+        }
+
+        // Comet signals.
+        foreach (self::get_list($data, 'comet', 'signals') as $signal) {
+            $signals[] = self::make_signal($signal, $signal['weight'] ?? $signal['maxWeight'] ?? 0);
+        }
+
+        // Fingerprint signals.
+        foreach (self::get_list($data, 'fingerprint', 'signals') as $signal) {
+            $signals[] = self::make_signal($signal, $signal['weight'] ?? 0);
+        }
+
+        // Injection signals.
+        foreach (self::get_list($data, 'injection', 'signals') as $signal) {
+            $signals[] = self::make_signal($signal, $signal['maxWeight'] ?? $signal['weight'] ?? 0);
+        }
+
+        // Sort by weight descending, keeping the strongest of each name.
+        usort($signals, function ($a, $b) {
+            return $b['weight'] <=> $a['weight'];
+        });
+
+        $strongest = [];
+        foreach ($signals as $signal) {
+            $strongest[$signal['name']] = $strongest[$signal['name']] ?? $signal;
+        }
+        return array_values($strongest);
+    }
+
+    /**
+     * Explain the strongest signals of a report.
+     *
+     * Signals without an explanation are skipped.
+     *
+     * @param array $data Signal data of a combined report.
+     * @param int $limit Most explanations to give, to keep it readable.
+     * @return string[] Explanations, strongest signal first.
+     */
+    public static function get_explanations(array $data, int $limit = 8): array {
+        $explanations = [];
+        foreach (self::get_signals($data) as $signal) {
+            $explanation = self::explain($signal['name']);
+            if ($explanation) {
+                $explanations[] = $explanation;
+            }
+            if (count($explanations) >= $limit) {
+                break;
+            }
+        }
+        return $explanations;
+    }
+
+    /**
+     * Return a plain-language explanation for a detection signal.
+     *
+     * @param string $name The signal name.
+     * @return string|null Human-readable explanation, or null if not mapped.
+     */
+    public static function explain(string $name): ?string {
+        return self::EXPLANATIONS[$name] ?? null;
+    }
+
+    /**
+     * Get a list of signals of one detector from a report.
+     *
+     * @param array $data Signal data.
+     * @param string $detector Detector name.
+     * @param string $key Key of the list in the detector's result.
+     * @return array Signals that have a name.
+     */
+    protected static function get_list(array $data, string $detector, string $key): array {
+        $list = $data[$detector][$key] ?? null;
+        if (!is_array($list)) {
+            return [];
+        }
+        return array_filter($list, function ($signal) {
+            return is_array($signal) && isset($signal['name']);
+        });
+    }
+
+    /**
+     * Shape a signal of a report.
+     *
+     * @param array $signal Signal as reported.
+     * @param mixed $weight Its weight.
+     * @return array Signal with name, value and weight.
+     */
+    protected static function make_signal(array $signal, $weight): array {
+        return [
+            'name' => (string) $signal['name'],
+            'value' => $signal['value'] ?? null,
+            'weight' => is_numeric($weight) ? (float) $weight : 0.0,
+        ];
+    }
+}
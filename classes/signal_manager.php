@@ -32,7 +32,7 @@ namespace local_agentdetect;
  * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
  */
 class signal_manager {
-    /** @var int Threshold score for automatic flagging. */
+    /** @var int Default threshold score for automatic flagging, overridden by the threshold setting. */
     const FLAG_THRESHOLD_HIGH = 70;
 
     /** @var int Threshold score for suspicious activity. */
@@ -47,15 +47,44 @@ class signal_manager {
     /** @var string Flag type for cleared users. */
     const FLAG_CLEARED = 'cleared';
 
+    /** @var string Signal type of the periodic reports carrying every detector's result. */
+    const SIGNAL_COMBINED = 'combined';
+
+    /** @var string Signal type recorded when client-computed scores disagree with the server's. */
+    const SIGNAL_TAMPER = 'tamper';
+
+    /** @var string Signal type recorded when a page's reports skip sequence numbers. */
+    const SIGNAL_SEQUENCE_GAP = 'sequencegap';
+
+    /** @var string Signal type recorded when work is submitted after the detector's heartbeats stopped. */
+    const SIGNAL_SILENCED = 'detector.silenced';
+
+    /** @var int Largest score difference tolerated between client and server before flagging tamper. */
+    const TAMPER_TOLERANCE = 1;
+
+    /** @var int Most reports a client can have dropped before one report: its queue size, MAX_ENTRIES in report_queue.js. */
+    const MAX_DROPPED_REPORTS = 25;
+
     /**
      * Store a detection signal and update flags if necessary.
      *
+     * Scores are re-computed from the raw signal lists; the scores the client
+     * claims are kept for comparison only, and any mismatch is stored as a
+     * separate tamper signal. That catches a client whose scores disagree
+     * with its own signals, not one that forges both, which a signed report
+     * does not rule out (see report_channel).
+     *
+     * Combined reports that carry a revision may be deltas (see report_delta).
+     * They are stored as sent, but scored on the full report they rebuild; if
+     * that is impossible nothing is scored and the result asks the client to
+     * resync by sending a full report.
+     *
      * @param int $userid User ID.
      * @param int $contextid Context ID.
      * @param string $sessionid Detection session ID.
      * @param string $signaltype Type of signal.
      * @param array $data Signal data.
-     * @return array Result with flag status.
+     * @return array Result with flag status, tamper and resync flags.
      */
     public function store_signal(
         int $userid,
@@ -66,11 +95,26 @@ class signal_manager {
     ): array {
         global $DB;
 
-        // Extract scores from data.
-        $fingerprintscore = $data['fingerprint']['score'] ?? $data['fingerprintscore'] ?? null;
-        $interactionscore = $data['interaction']['score'] ?? $data['interactionscore'] ?? null;
-        $combinedscore = $data['combinedScore'] ?? $data['combinedscore'] ?? null;
-        $verdict = $data['verdict'] ?? null;
+        // Rebuild the full report from a delta before scoring it.
+        $report = $data;
+        $resync = false;
+        if ($signaltype === self::SIGNAL_COMBINED && report_delta::is_revision($data)) {
+            $state = $this->advance_session_state($userid, $sessionid, $data);
+            $report = $state['data'] ?? [];
+            $resync = $state === null;
+        }
+
+        // Re-score the raw signals; flat score keys are only used when there is nothing to re-score.
+        $claimed = $this->get_claimed_scores($signaltype, $report);
+        $server = $this->get_server_scores($signaltype, $report);
+
+        $fingerprintscore = $server['fingerprint'] ?? $report['fingerprintscore'] ?? null;
+        $interactionscore = $server['interaction'] ?? $report['interactionscore'] ?? null;
+        $combinedscore = $server['combined'] ?? $report['combinedscore'] ?? null;
+        $verdict = $server['verdict'] ?? $report['verdict'] ?? null;
+        $clientscore = $report['combinedScore'] ?? $report['combinedscore'] ?? null;
+        $clientscore = is_numeric($clientscore) ? (int) round($clientscore) : null;
+        $profileversion = isset($report['profileVersion']) ? (int) $report['profileVersion'] : null;
 
         // Build the record.
         $record = new \stdClass();
@@ -81,7 +125,9 @@ class signal_manager {
         $record->fingerprintscore = $fingerprintscore;
         $record->interactionscore = $interactionscore;
         $record->combinedscore = $combinedscore;
+        $record->clientscore = $clientscore;
         $record->verdict = $verdict;
+        $record->profileversion = $profileversion;
         $record->signaldata = json_encode($data);
         $record->useragent = \core_useragent::get_user_agent_string() ?? '';
         $record->ipaddress = getremoteaddr();
@@ -108,18 +154,424 @@ class signal_manager {
         ]);
         $event->trigger();
 
-        // Update user flag if score warrants it.
+        // Record a tamper signal if the client's scores disagree with ours, under the profile it scored with.
+        $mismatches = $this->find_profile_mismatch($claimed, $profileversion);
+        if (!$mismatches && $claimed) {
+            $profile = $profileversion === scoring_profile::get_version() ? null : scoring_profile::get_profile($profileversion);
+            $mismatches = $this->find_score_mismatches(
+                $claimed,
+                $profile ? $this->get_server_scores($signaltype, $report, $profile) : $server
+            );
+        }
+        $mismatches += $this->find_accommodation_mismatch($userid, $contextid, $report);
+        $mismatches += $this->find_module_mismatches($contextid, $report);
+        $mismatches += $this->bind_attempt($userid, $contextid, $sessionid, $report);
+        if ($mismatches) {
+            $this->store_tamper_signal($record, $mismatches);
+        }
+
+        // Update user flag if score warrants it, and the score of the session's quiz attempt.
         $flagstatus = $this->update_user_flag($userid, $contextid, $combinedscore, $sessionid);
+        (new attempt_sessions())->record_score($userid, $sessionid, $combinedscore);
 
         return [
             'signal_id' => $record->id,
             'flag_status' => $flagstatus,
+            'tampered' => !empty($mismatches),
+            'resync' => $resync,
         ];
     }
 
+    /**
+     * Bind the session of a report to the quiz attempt it names.
+     *
+     * An attempt that is not the user's at the quiz reported from, or a
+     * session already bound to another attempt, is tampered with.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context ID.
+     * @param string $sessionid Detection session ID.
+     * @param array $data Signal data.
+     * @return array The mismatch keyed 'attempt', with 'claimed' and 'server', or empty.
+     */
+    protected function bind_attempt(int $userid, int $contextid, string $sessionid, array $data): array {
+        $claimed = $data['attemptId'] ?? null;
+        if ($claimed === null) {
+            return [];
+        }
+
+        $attempts = new attempt_sessions();
+        if (is_numeric($claimed) && $attempts->bind($userid, $contextid, $sessionid, (int) $claimed)) {
+            return [];
+        }
+        return [
+            'attempt' => [
+                'claimed' => $claimed,
+                'server' => $attempts->get_attempt_id($userid, $sessionid),
+            ],
+        ];
+    }
+
+    /**
+     * Advance the rebuilt state of a detection session by one combined report.
+     *
+     * The state is cached between reports; on a cache miss it is replayed
+     * from the reports already stored for the session.
+     *
+     * @param int $userid User ID.
+     * @param string $sessionid Detection session ID.
+     * @param array $data Signal data of the new report.
+     * @return array|null New state from report_delta::advance(), null if the report does not apply.
+     */
+    protected function advance_session_state(int $userid, string $sessionid, array $data): ?array {
+        $cache = \cache::make('local_agentdetect', 'sessionstate');
+        $key = $userid . '_' . $sessionid;
+
+        $state = $cache->get($key);
+        if ($state === false) {
+            $states = $this->replay_session($userid, $sessionid);
+            $state = $states ? end($states) : null;
+        }
+
+        $state = report_delta::advance($state, $data);
+        if ($state) {
+            $cache->set($key, $state);
+        } else {
+            $cache->delete($key);
+        }
+        return $state;
+    }
+
+    /**
+     * Rebuild the state of a detection session after each of its stored combined reports.
+     *
+     * @param int $userid User ID.
+     * @param string $sessionid Detection session ID.
+     * @return array States keyed by signal ID, in order; null where a delta did not apply.
+     */
+    protected function replay_session(int $userid, string $sessionid): array {
+        global $DB;
+
+        $records = $DB->get_records(
+            'local_agentdetect_signals',
+            ['userid' => $userid, 'sessionid' => $sessionid, 'signaltype' => self::SIGNAL_COMBINED],
+            'id ASC',
+            'id, signaldata'
+        );
+
+        $states = [];
+        $state = null;
+        foreach ($records as $record) {
+            $data = json_decode($record->signaldata ?? '', true);
+            if (is_array($data) && report_delta::is_revision($data)) {
+                $state = report_delta::advance($state, $data);
+                $states[$record->id] = $state;
+            }
+        }
+        return $states;
+    }
+
+    /**
+     * Replace the data of delta-encoded signals with the full report each one rebuilds.
+     *
+     * @param \stdClass[] $signals Signal records with id, userid, sessionid, signaltype and signaldata.
+     * @return \stdClass[] The same records; deltas that cannot be rebuilt are left as sent.
+     */
+    public function expand_signals(array $signals): array {
+        $deltas = [];
+        foreach ($signals as $signal) {
+            $data = json_decode($signal->signaldata ?? '', true);
+            if ($signal->signaltype === self::SIGNAL_COMBINED && is_array($data) && array_key_exists('delta', $data)) {
+                $deltas[$signal->userid . '_' . $signal->sessionid][] = $signal;
+            }
+        }
+
+        foreach ($deltas as $sessionsignals) {
+            $first = reset($sessionsignals);
+            $states = $this->replay_session((int) $first->userid, (string) $first->sessionid);
+            foreach ($sessionsignals as $signal) {
+                if (!empty($states[$signal->id])) {
+                    $signal->signaldata = json_encode($states[$signal->id]['data']);
+                }
+            }
+        }
+        return $signals;
+    }
+
+    /**
+     * Record that a reporting channel skipped sequence numbers.
+     *
+     * Reports that never arrived usually mean the detector was silenced.
+     * The client may say it dropped some from a full queue; that count is
+     * recorded with the gap, capped at the queue size, for whoever reviews
+     * it to weigh. It is signed, but by a key any script on the page can
+     * read (see report_channel), so it never hides the gap.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context ID.
+     * @param string $sessionid Detection session ID.
+     * @param string $nonce Channel nonce.
+     * @param int $expected Sequence number that was expected.
+     * @param int $received Sequence number that arrived.
+     * @param int $dropped Number of reports the client says it dropped before this one.
+     * @return array Result with flag status, as store_signal().
+     */
+    public function store_sequence_gap(
+        int $userid,
+        int $contextid,
+        string $sessionid,
+        string $nonce,
+        int $expected,
+        int $received,
+        int $dropped = 0
+    ): array {
+        return $this->store_signal($userid, $contextid, $sessionid, self::SIGNAL_SEQUENCE_GAP, [
+            'nonce' => $nonce,
+            'expected' => $expected,
+            'received' => $received,
+            'missing' => $received - $expected,
+            'dropped' => max(0, min($dropped, self::MAX_DROPPED_REPORTS)),
+        ]);
+    }
+
+    /**
+     * Record that the detector went quiet before the user submitted their work.
+     *
+     * There are no scores to go on, so the user is flagged as if a report had
+     * reached the detection threshold.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context ID.
+     * @param string $sessionid Detection session ID that went quiet.
+     * @param array $data Details of the silence.
+     * @return array Result with flag status, as store_signal().
+     */
+    public function store_silenced_signal(int $userid, int $contextid, string $sessionid, array $data): array {
+        $result = $this->store_signal($userid, $contextid, $sessionid, self::SIGNAL_SILENCED, $data);
+        $result['flag_status'] = $this->update_user_flag(
+            $userid,
+            $contextid,
+            activity_policy::get_flag_threshold($contextid),
+            $sessionid
+        );
+
+        return $result;
+    }
+
+    /**
+     * Get the scores the client claims to have computed.
+     *
+     * @param string $signaltype Type of signal.
+     * @param array $data Signal data.
+     * @return array Scores keyed by detector name, plus 'combined'.
+     */
+    protected function get_claimed_scores(string $signaltype, array $data): array {
+        if ($signaltype === 'fingerprint') {
+            return isset($data['score']) ? ['fingerprint' => $data['score']] : [];
+        }
+
+        $claimed = [];
+        foreach (scorer::BUILTIN_DETECTORS as $name) {
+            if (isset($data[$name]['score'])) {
+                $claimed[$name] = $data[$name]['score'];
+            }
+        }
+
+        // Detectors registered by other plugins add to the client's combined score,
+        // which the server cannot reproduce, so it is only compared without them.
+        $detectors = $data['detectors'] ?? scorer::BUILTIN_DETECTORS;
+        if (isset($data['combinedScore']) && is_array($detectors) && !array_diff($detectors, scorer::BUILTIN_DETECTORS)) {
+            $claimed['combined'] = $data['combinedScore'];
+        }
+
+        return $claimed;
+    }
+
+    /**
+     * Re-score the raw signal lists in a report.
+     *
+     * Fingerprint reports carry the fingerprint result itself; combined reports
+     * carry every detector's result and get a combined score and verdict; other
+     * reports (e.g. unload) get whichever detector results they include.
+     *
+     * @param string $signaltype Type of signal.
+     * @param array $data Signal data.
+     * @param array|null $profile Scoring profile to score with; defaults to the current one.
+     * @return array Scores keyed by detector name, plus 'combined' and 'verdict' for combined reports.
+     */
+    protected function get_server_scores(string $signaltype, array $data, ?array $profile = null): array {
+        $scorer = new scorer($profile);
+
+        if ($signaltype === 'fingerprint' && array_key_exists('score', $data)) {
+            return ['fingerprint' => $scorer->score_fingerprint($data)];
+        }
+
+        if (array_key_exists('combinedScore', $data)) {
+            return $scorer->rescore($data);
+        }
+
+        $scores = [];
+        if (is_array($data['fingerprint'] ?? null)) {
+            $scores['fingerprint'] = $scorer->score_fingerprint($data['fingerprint']);
+        }
+        if (is_array($data['interaction'] ?? null)) {
+            $scores['interaction'] = $scorer->score_interaction($data['interaction']);
+        }
+        if (is_array($data['injection'] ?? null)) {
+            $scores['injection'] = $scorer->score_injection($data['injection']);
+        }
+        return $scores;
+    }
+
+    /**
+     * Check claimed scores were computed with a scoring profile the server can re-score with.
+     *
+     * Claimed scores are compared with the server's under the profile version
+     * they claim, which scoring_profile::get_profile() keeps. Skipping the
+     * comparison would let a client avoid it by claiming a version that cannot
+     * be re-scored, so a missing version, one never issued, or one from before
+     * profiles were kept, is itself a mismatch; the server's scores stand either way.
+     *
+     * @param array $claimed Client scores.
+     * @param int|null $profileversion Profile version the client claims, null if none.
+     * @return array The mismatch keyed 'profileVersion', with 'claimed' and 'server', or empty.
+     */
+    protected function find_profile_mismatch(array $claimed, ?int $profileversion): array {
+        if (!$claimed || ($profileversion !== null && scoring_profile::get_profile($profileversion) !== null)) {
+            return [];
+        }
+        return ['profileVersion' => ['claimed' => $profileversion, 'server' => scoring_profile::get_version()]];
+    }
+
+    /**
+     * Compare claimed scores against the server's.
+     *
+     * @param array $claimed Client scores.
+     * @param array $server Server scores.
+     * @return array Mismatches keyed by score name, each with 'claimed' and 'server'.
+     */
+    protected function find_score_mismatches(array $claimed, array $server): array {
+        $mismatches = [];
+        foreach ($claimed as $name => $claimedscore) {
+            if (!array_key_exists($name, $server)) {
+                continue;
+            }
+            if (!is_numeric($claimedscore) || abs($claimedscore - $server[$name]) > self::TAMPER_TOLERANCE) {
+                $mismatches[$name] = [
+                    'claimed' => $claimedscore,
+                    'server' => $server[$name],
+                ];
+            }
+        }
+        return $mismatches;
+    }
+
+    /**
+     * Check the accessibility accommodation a report was scored under was granted.
+     *
+     * The client applies the accommodation itself, so an interaction result
+     * that claims one, or carries accommodated anomalies, without the user
+     * having been granted that mode here is tampered with.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context ID.
+     * @param array $data Signal data.
+     * @return array The mismatch keyed 'accommodation', with 'claimed' and 'server', or empty.
+     */
+    protected function find_accommodation_mismatch(int $userid, int $contextid, array $data): array {
+        $interaction = $data['interaction'] ?? null;
+        if (!is_array($interaction)) {
+            return [];
+        }
+
+        $claimed = $interaction['accommodation']['mode'] ?? null;
+        $accommodated = array_filter(
+            is_array($interaction['anomalies'] ?? null) ? $interaction['anomalies'] : [],
+            fn($anomaly) => str_starts_with($anomaly['name'] ?? '', 'accommodated.')
+        );
+        if ($claimed === null && !$accommodated) {
+            return [];
+        }
+
+        $granted = $contextid ? accommodation::get_mode($userid, $contextid) : null;
+        if ($claimed === $granted && ($granted === accommodation::MODE_REWEIGHT || !$accommodated)) {
+            return [];
+        }
+        return ['accommodation' => ['claimed' => $claimed, 'server' => $granted]];
+    }
+
+    /**
+     * Check the modules a report says were switched off were switched off here.
+     *
+     * A detector that leaves out its results and marks itself disabled in the
+     * manifest would otherwise pass for one an administrator or teacher
+     * turned off.
+     *
+     * @param int $contextid Context ID.
+     * @param array $data Signal data.
+     * @return array Mismatches keyed 'modules.<module>', with 'claimed' and 'server' statuses.
+     */
+    protected function find_module_mismatches(int $contextid, array $data): array {
+        $context = $contextid ? \context::instance_by_id($contextid, IGNORE_MISSING) : null;
+        if (!$context) {
+            return [];
+        }
+
+        $mismatches = [];
+        $policy = detection_modules::resolve($context);
+        foreach (detection_modules::get_not_run($data) as $module => $status) {
+            if ($status === detection_modules::STATUS_DISABLED && $policy[$module]) {
+                $mismatches['modules.' . $module] = [
+                    'claimed' => detection_modules::STATUS_DISABLED,
+                    'server' => 'enabled',
+                ];
+            }
+        }
+        return $mismatches;
+    }
+
+    /**
+     * Store a tamper signal alongside the signal whose scores did not match.
+     *
+     * @param \stdClass $source The stored signal record.
+     * @param array $mismatches Mismatches from find_score_mismatches().
+     * @return int Tamper signal ID.
+     */
+    protected function store_tamper_signal(\stdClass $source, array $mismatches): int {
+        global $DB;
+
+        $record = clone $source;
+        unset($record->id);
+        $record->signaltype = self::SIGNAL_TAMPER;
+        $record->signaldata = json_encode([
+            'sourceSignalId' => $source->id,
+            'sourceSignalType' => $source->signaltype,
+            'mismatches' => $mismatches,
+        ]);
+        $record->id = $DB->insert_record('local_agentdetect_signals', $record);
+
+        $context = $source->contextid ? \context::instance_by_id($source->contextid, IGNORE_MISSING) : null;
+        $event = \local_agentdetect\event\signal_detected::create([
+            'objectid' => $record->id,
+            'context' => $context ?: \context_system::instance(),
+            'relateduserid' => $source->userid,
+            'other' => [
+                'sessionid' => $source->sessionid,
+                'signaltype' => self::SIGNAL_TAMPER,
+                'combinedscore' => $source->combinedscore,
+                'verdict' => $source->verdict,
+            ],
+        ]);
+        $event->trigger();
+
+        return $record->id;
+    }
+
     /**
      * Update user flag based on detection score.
      *
+     * Users are flagged as suspected at the threshold of the activity's policy.
+     *
      * @param int $userid User ID.
      * @param int|null $contextid Context ID.
      * @param int|null $score Combined detection score.
@@ -139,6 +591,7 @@ class signal_manager {
         }
 
         $now = time();
+        $threshold = activity_policy::get_flag_threshold($contextid);
 
         // Check for existing flag.
         $conditions = ['userid' => $userid];
@@ -167,7 +620,7 @@ class signal_manager {
 
             // Escalate flag type if score is high enough.
             $oldflagtype = $existingflag->flagtype;
-            if ($score >= self::FLAG_THRESHOLD_HIGH && $existingflag->flagtype !== self::FLAG_CONFIRMED) {
+            if ($score >= $threshold && $existingflag->flagtype !== self::FLAG_CONFIRMED) {
                 $existingflag->flagtype = self::FLAG_SUSPECTED;
             }
 
@@ -190,7 +643,7 @@ class signal_manager {
             $flag = new \stdClass();
             $flag->userid = $userid;
             $flag->contextid = $contextid ?: null;
-            $flag->flagtype = $score >= self::FLAG_THRESHOLD_HIGH ? self::FLAG_SUSPECTED : 'low_suspicion';
+            $flag->flagtype = $score >= $threshold ? self::FLAG_SUSPECTED : 'low_suspicion';
             $flag->maxscore = $score;
             $flag->detectioncount = 1;
             $flag->lastsessionid = $sessionid;
@@ -286,35 +739,35 @@ class signal_manager {
      *
      * @param int $userid User ID.
      * @param int $limit Maximum records to return.
-     * @return array Array of signal records.
+     * @return array Array of signal records, with deltas expanded.
      */
     public function get_user_signals(int $userid, int $limit = 100): array {
         global $DB;
 
-        return $DB->get_records(
+        return $this->expand_signals($DB->get_records(
             'local_agentdetect_signals',
             ['userid' => $userid],
             'timecreated DESC',
             '*',
             0,
             $limit
-        );
+        ));
     }
 
     /**
      * Get signals for a specific session.
      *
      * @param string $sessionid Session ID.
-     * @return array Array of signal records.
+     * @return array Array of signal records, with deltas expanded.
      */
     public function get_session_signals(string $sessionid): array {
         global $DB;
 
-        return $DB->get_records(
+        return $this->expand_signals($DB->get_records(
             'local_agentdetect_signals',
             ['sessionid' => $sessionid],
             'timecreated ASC'
-        );
+        ));
     }
 
     /**
@@ -382,6 +835,26 @@ class signal_manager {
         ) > 0;
     }
 
+    /**
+     * Add a note to a user's flag.
+     *
+     * @param int $userid User ID.
+     * @param int|null $contextid Context ID.
+     * @param string $note Note to add after those already on the flag.
+     * @param int $notedby User ID of who added the note.
+     * @return bool Whether the user has a flag to add it to.
+     */
+    public function add_note(int $userid, ?int $contextid, string $note, int $notedby = 0): bool {
+        $flag = $this->get_flag($userid, $contextid);
+        if (!$flag) {
+            return false;
+        }
+
+        $notes = trim((string) $flag->notes) === '' ? $note : $flag->notes . "\n\n" . $note;
+        $this->set_flag($userid, $flag->flagtype, $contextid, $notes, $notedby ?: (int) $flag->flaggedby);
+        return true;
+    }
+
     /**
      * Trigger the user_flagged event.
      *
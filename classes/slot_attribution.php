@@ -0,0 +1,115 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Per-question attribution of interaction anomalies.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Works out which questions of a quiz attempt looked automated.
+ *
+ * The interaction detector tags events with the attempt and question slot
+ * they happened in and analyses each slot on its own (see analyzeSlots() in
+ * amd/src/interaction.js). Every combined report carries these per-slot
+ * results; this class rescores them and keeps each slot's worst report.
+ *
+ * Older events drop out of the detector's bounded buffers as the attempt
+ * goes on, so a question answered early may be missing from later reports.
+ * Looking at every report of the attempt, not just the latest, covers it.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+class slot_attribution {
+    /**
+     * Get the per-question results of a quiz attempt.
+     *
+     * @param \stdClass $attempt Quiz attempt record; id, userid and timestart are used.
+     * @param \context_module $context Quiz module context, which the detector reports in.
+     * @return array Questions as ['slot', 'score', 'clicks', 'keystrokes', 'anomalies'], by slot.
+     */
+    public function get_attempt_slots(\stdClass $attempt, \context_module $context): array {
+        global $DB;
+
+        // No upper time bound: the last reports of an attempt may arrive after it
+        // was submitted, from the detector's retry queue.
+        $signals = $DB->get_records_select(
+            'local_agentdetect_signals',
+            'userid = :userid AND contextid = :contextid AND signaltype = :signaltype AND timecreated >= :since',
+            [
+                'userid' => $attempt->userid,
+                'contextid' => $context->id,
+                'signaltype' => signal_manager::SIGNAL_COMBINED,
+                'since' => $attempt->timestart,
+            ],
+            'id ASC',
+            'id, userid, sessionid, signaltype, signaldata'
+        );
+
+        $scorer = new scorer();
+        $monitor = new live_monitor();
+        $slots = [];
+        foreach ((new signal_manager())->expand_signals($signals) as $signal) {
+            $data = json_decode($signal->signaldata, true);
+            foreach ($this->get_report_slots($data, (int) $attempt->id) as $entry) {
+                $slot = (int) $entry['slot'];
+                $score = $scorer->score_interaction($entry);
+                // Later reports win ties, as they saw more of the question.
+                if (isset($slots[$slot]) && $slots[$slot]['score'] > $score) {
+                    continue;
+                }
+                $counts = is_array($entry['eventCounts'] ?? null) ? $entry['eventCounts'] : [];
+                $slots[$slot] = [
+                    'slot' => $slot,
+                    'score' => $score,
+                    'clicks' => (int) ($counts['clicks'] ?? 0),
+                    'keystrokes' => (int) ($counts['keystrokes'] ?? 0),
+                    'anomalies' => $monitor->get_top_anomalies(['interaction' => $entry]),
+                ];
+            }
+        }
+
+        ksort($slots);
+        return array_values($slots);
+    }
+
+    /**
+     * Get the per-slot results of one attempt from a combined report.
+     *
+     * @param mixed $data Decoded (full) combined report.
+     * @param int $attemptid Quiz attempt ID.
+     * @return array Per-slot results belonging to the attempt.
+     */
+    protected function get_report_slots($data, int $attemptid): array {
+        $slots = $data['interaction']['slots'] ?? null;
+        if (!is_array($slots)) {
+            return [];
+        }
+
+        return array_filter($slots, function ($entry) use ($attemptid) {
+            return is_array($entry)
+                && is_numeric($entry['attempt'] ?? null) && (int) $entry['attempt'] === $attemptid
+                && is_numeric($entry['slot'] ?? null) && (int) $entry['slot'] > 0;
+        });
+    }
+}
@@ -245,12 +245,13 @@ function display_student_signals(int $courseid, int $userid, context_course $con
         'HIGH_CONFIDENCE_AGENT' => 4,
     ];
 
+    $manager = new \local_agentdetect\signal_manager();
     foreach ($sessions as $session) {
         $totalsessions++;
 
         // Load the highest-scoring combined signal record for this session.
         $signalrecord = $DB->get_record_sql(
-            "SELECT s.signaldata, s.combinedscore, s.verdict
+            "SELECT s.id, s.userid, s.sessionid, s.signaltype, s.signaldata, s.combinedscore, s.verdict
                FROM {local_agentdetect_signals} s
               WHERE s.sessionid = :sessionid
                 AND s.userid = :userid
@@ -261,17 +262,22 @@ function display_student_signals(int $courseid, int $userid, context_course $con
         );
 
         $explanations = [];
+        $notrun = [];
         if ($signalrecord && $signalrecord->signaldata) {
-            $data = json_decode($signalrecord->signaldata);
-            $explanations = build_signal_explanations($data);
+            [$signalrecord] = $manager->expand_signals([$signalrecord]);
+            $data = json_decode($signalrecord->signaldata, true) ?: [];
+            $explanations = \local_agentdetect\signal_explainer::get_explanations($data);
+            $notrun = describe_modules_not_run($data);
         }
 
-        // Skip sessions with no explainable signal data.
-        if (empty($explanations)) {
+        // Skip sessions with no explainable signal data, unless part of it was never collected.
+        if (empty($explanations) && empty($notrun)) {
             continue;
         }
 
-        $sessionswithsignals++;
+        if ($explanations) {
+            $sessionswithsignals++;
+        }
 
         // Track roll-up metrics.
         $score = (int) $session->maxscore;
@@ -293,6 +299,7 @@ function display_student_signals(int $courseid, int $userid, context_course $con
         $sessioncards[] = [
             'session' => $session,
             'explanations' => $explanations,
+            'notrun' => $notrun,
         ];
     }
 
@@ -373,16 +380,27 @@ function display_student_signals(int $courseid, int $userid, context_course $con
         // Card body — signal explanations.
         echo html_writer::start_div('card-body');
 
-        echo html_writer::tag(
-            'p',
-            get_string('coursereport:whyflagged', 'local_agentdetect'),
-            ['class' => 'font-weight-bold mb-2']
-        );
-        echo html_writer::start_tag('ul', ['class' => 'mb-0']);
-        foreach ($explanations as $explanation) {
-            echo html_writer::tag('li', $explanation);
+        if ($explanations) {
+            echo html_writer::tag(
+                'p',
+                get_string('coursereport:whyflagged', 'local_agentdetect'),
+                ['class' => 'font-weight-bold mb-2']
+            );
+            echo html_writer::start_tag('ul', ['class' => 'mb-0']);
+            foreach ($explanations as $explanation) {
+                echo html_writer::tag('li', $explanation);
+            }
+            echo html_writer::end_tag('ul');
+        }
+
+        // Modules that did not run leave gaps in the scores above.
+        if ($card['notrun']) {
+            echo html_writer::tag(
+                'p',
+                get_string('modules:notrun', 'local_agentdetect', implode(', ', $card['notrun'])),
+                ['class' => 'text-muted small mb-0 mt-2']
+            );
         }
-        echo html_writer::end_tag('ul');
 
         echo html_writer::end_div(); // Card body.
         echo html_writer::end_div(); // Card.
@@ -416,6 +434,23 @@ function get_course_context_ids(context_course $context): array {
     return $DB->get_fieldset_select('context', 'id', "{$like} OR id = :selfid", $params);
 }
 
+/**
+ * Describe the detection modules a report says did not run.
+ *
+ * @param array $data Signal data.
+ * @return string[] Module names with why each did not run.
+ */
+function describe_modules_not_run(array $data): array {
+    $descriptions = [];
+    foreach (\local_agentdetect\detection_modules::get_not_run($data) as $module => $status) {
+        $name = get_string('module:' . $module, 'local_agentdetect');
+        $descriptions[] = get_string_manager()->string_exists('modules:status_' . $status, 'local_agentdetect')
+            ? get_string('modules:status_' . $status, 'local_agentdetect', $name)
+            : $name;
+    }
+    return $descriptions;
+}
+
 /**
  * Format a flag type as a Bootstrap badge.
  *
@@ -474,198 +509,3 @@ function format_verdict_badge(?string $verdict): string {
             return html_writer::tag('span', $verdict, ['class' => 'badge badge-secondary']);
     }
 }
-
-/**
- * Build plain-language explanations from signal data.
- *
- * Extracts the most significant signals from the JSON signal data and
- * returns teacher-friendly descriptions of what was detected.
- *
- * @param object $data Decoded JSON signal data.
- * @return array Array of explanation strings (HTML safe).
- */
-function build_signal_explanations(object $data): array {
-    $explanations = [];
-
-    // Collect all anomaly signals with their weights.
-    $signals = [];
-
-    // Interaction anomalies.
-    if (isset($data->interaction->anomalies) && is_array($data->interaction->anomalies)) {
-        foreach ($data->interaction->anomalies as $a) {
-            $signals[] = (object) [
-                'name' => $a->name,
-                'value' => $a->value ?? null,
-                'weight' => $a->weight ?? 0,
-            ];
-        }
-    }
-
-    // Comet signals.
-    if (isset($data->comet->signals) && is_array($data->comet->signals)) {
-        foreach ($data->comet->signals as $cs) {
-            $weight = $cs->weight ?? $cs->maxWeight ?? 0;
-            $signals[] = (object) [
-                'name' => $cs->name,
-                'value' => $cs->value ?? null,
-                'weight' => $weight,
-            ];
-        }
-    }
-
-    // Fingerprint signals.
-    if (isset($data->fingerprint->signals) && is_array($data->fingerprint->signals)) {
-        foreach ($data->fingerprint->signals as $fs) {
-            $signals[] = (object) [
-                'name' => $fs->name,
-                'value' => $fs->value ?? null,
-                'weight' => $fs->weight ?? 0,
-            ];
-        }
-    }
-
-    // Injection signals.
-    if (isset($data->injection->signals) && is_array($data->injection->signals)) {
-        foreach ($data->injection->signals as $is) {
-            $signals[] = (object) [
-                'name' => $is->name,
-                'value' => $is->value ?? null,
-                'weight' => $is->maxWeight ?? $is->weight ?? 0,
-            ];
-        }
-    }
-
-    // Sort by weight descending and take the most significant ones.
-    usort($signals, function ($a, $b) {
-        return $b->weight - $a->weight;
-    });
-
-    // Deduplicate by name.
-    $seen = [];
-    foreach ($signals as $signal) {
-        if (isset($seen[$signal->name])) {
-            continue;
-        }
-        $seen[$signal->name] = true;
-
-        $explanation = explain_signal($signal->name, $signal->value, $signal->weight);
-        if ($explanation) {
-            $explanations[] = $explanation;
-        }
-
-        // Cap at 8 explanations to keep it readable.
-        if (count($explanations) >= 8) {
-            break;
-        }
-    }
-
-    return $explanations;
-}
-
-/**
- * Return a plain-language explanation for a detection signal.
- *
- * @param string $name The signal name.
- * @param mixed $value The signal value.
- * @param int $weight The signal weight.
- * @return string|null Human-readable explanation, or null if not mapped.
- */
-function explain_signal(string $name, $value, int $weight): ?string {
-    // Signal-to-explanation mapping.
-    // Each entry describes what was detected in terms a teacher can understand.
-    $map = [
-        // Tier 1 — physically impossible for a human.
-        'click.center_precision' =>
-            'Clicks landed at the exact mathematical centre of page elements, '
-            . 'a pattern consistent with programmatic clicking rather than a human hand.',
-        'click.teleport_pattern' =>
-            'The mouse cursor jumped instantly between distant screen positions without '
-            . 'any intermediate movement — consistent with automated cursor positioning.',
-        'comet.ultra_precise_center' =>
-            'Multiple clicks hit the precise pixel centre of their target elements, '
-            . 'which is extremely unlikely for a human using a mouse or trackpad.',
-        'comet.low_mouse_to_action_ratio' =>
-            'Very few mouse movements were recorded relative to the number of clicks. '
-            . 'Human users naturally move the mouse before and between clicks.',
-        'comet.zero_keystrokes' =>
-            'No keyboard input was recorded during the session despite multiple clicks '
-            . 'and page navigations — the session appeared to be driven entirely by clicking.',
-        'comet.low_per_page_mouse_ratio' =>
-            'Across most quiz pages, the number of mouse movements was extremely low '
-            . 'compared to clicks — a strong indicator of programmatic interaction.',
-
-        // Tier 2 — behavioural / temporal.
-        'comet.action_burst' =>
-            'Rapid bursts of actions (clicking answers in quick succession) were detected '
-            . 'at a rate well above typical human quiz-taking speed.',
-        'comet.read_then_act' =>
-            'A repeated pattern of pausing (as if reading the question) followed by '
-            . 'an immediate precise answer was detected across multiple questions.',
-        'comet.no_mousemove_trail' =>
-            'Clicks occurred without any mouse movement trail beforehand — human users '
-            . 'almost always generate visible cursor movement before clicking.',
-        'comet.missing_pointer_events' =>
-            'Expected pointer interaction events (mouse down/up sequences) were missing '
-            . 'or incomplete during click actions.',
-        'comet.scroll_then_click' =>
-            'A high proportion of clicks were immediately preceded by a scroll event, '
-            . 'suggesting automated "scroll to element, then click" behaviour.',
-        'comet.rapid_focus_sequence' =>
-            'Page focus changed rapidly multiple times, consistent with an automated tool '
-            . 'switching between browser tabs or windows.',
-
-        // Click / interaction signals.
-        'click.no_movement' =>
-            'No mouse movement at all was detected during the session — all interaction '
-            . 'consisted of clicks without any visible cursor activity.',
-        'click.no_hover' =>
-            'Click targets were never hovered over before being clicked, which is unusual '
-            . 'for human mouse interaction.',
-        'click.superhuman_speed' =>
-            'Some clicks occurred faster than typical human reaction time allows.',
-        'click.perfect_timing' =>
-            'The timing between consecutive clicks was unusually uniform, suggesting '
-            . 'automated pacing rather than natural human rhythm.',
-
-        // Sequence signals.
-        'sequence.low_hover_ratio' =>
-            'The proportion of elements hovered before clicking was unusually low compared '
-            . 'to typical human browsing patterns.',
-        'sequence.direct_focus' =>
-            'Form elements received focus directly without the preceding mouse movement '
-            . 'that would normally occur with human navigation.',
-
-        // Keystroke signals.
-        'comet.uniform_keystroke_cadence' =>
-            'Keystrokes were typed at a suspiciously uniform speed, lacking the natural '
-            . 'variation in timing that human typing exhibits.',
-        'comet.uniform_hold_duration' =>
-            'Keys were held down for nearly identical durations across all keystrokes, '
-            . 'which is atypical of natural human typing.',
-
-        // Fingerprint / extension signals.
-        'comet.extension.cached' =>
-            'A known AI agent browser extension (Perplexity Comet) was detected as installed.',
-        'comet.extension.script_injected' =>
-            'Scripts associated with a known AI agent extension were found injected into the page.',
-        'comet.extension.link_injected' =>
-            'Resource links associated with a known AI agent extension were found in the page.',
-        'comet.extension.stylesheet' =>
-            'Stylesheets associated with a known AI agent extension were detected.',
-        'comet.extension.resource_probe' =>
-            'Probing for known AI agent extension resources returned a positive result.',
-        'comet.runtime.inline_style' =>
-            'Inline styles characteristic of an AI agent overlay were detected on the page.',
-        'comet.runtime.script' =>
-            'Runtime scripts characteristic of an AI agent were detected on the page.',
-        'comet.runtime.global' =>
-            'Global JavaScript variables associated with a known AI agent were found.',
-    ];
-
-    if (isset($map[$name])) {
-        return $map[$name];
-    }
-
-    // Fallback for unmapped signals — show the technical name.
-    return null;
-}
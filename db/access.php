@@ -47,6 +47,28 @@ $capabilities = [
         ],
     ],
 
+    // Grant accessibility accommodations to students with a quiz user override.
+    'local/agentdetect:manageaccommodations' => [
+        'captype' => 'write',
+        'contextlevel' => CONTEXT_MODULE,
+        'archetypes' => [
+            'editingteacher' => CAP_ALLOW,
+            'manager' => CAP_ALLOW,
+        ],
+        'riskbitmask' => RISK_PERSONAL,
+    ],
+
+    // Switch detection modules on or off for a course or activity.
+    'local/agentdetect:managemodules' => [
+        'captype' => 'write',
+        'contextlevel' => CONTEXT_COURSE,
+        'archetypes' => [
+            'editingteacher' => CAP_ALLOW,
+            'manager' => CAP_ALLOW,
+        ],
+        'riskbitmask' => RISK_CONFIG,
+    ],
+
     // View detailed signal data (may contain sensitive info).
     'local/agentdetect:viewsignals' => [
         'captype' => 'read',
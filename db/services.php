@@ -33,6 +33,14 @@ $functions = [
         'ajax' => true,
         'loginrequired' => true,
     ],
+    'local_agentdetect_report_signals_batch' => [
+        'classname' => 'local_agentdetect\external\report_signals_batch',
+        'methodname' => 'execute',
+        'description' => 'Report several agent detection signals from the browser in one call',
+        'type' => 'write',
+        'ajax' => true,
+        'loginrequired' => true,
+    ],
     'local_agentdetect_get_user_flags' => [
         'classname' => 'local_agentdetect\external\get_user_flags',
         'methodname' => 'execute',
@@ -41,4 +49,58 @@ $functions = [
         'ajax' => true,
         'loginrequired' => true,
     ],
+    'local_agentdetect_get_live_attempts' => [
+        'classname' => 'local_agentdetect\external\get_live_attempts',
+        'methodname' => 'execute',
+        'description' => 'Get the attempts in progress at a quiz with their latest detection state',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+        'capabilities' => 'local/agentdetect:viewreports',
+    ],
+    'local_agentdetect_get_attempt_slots' => [
+        'classname' => 'local_agentdetect\external\get_attempt_slots',
+        'methodname' => 'execute',
+        'description' => 'Get the interaction score of each question of a quiz attempt',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+        'capabilities' => 'local/agentdetect:viewreports',
+    ],
+    'local_agentdetect_get_attempt_flags' => [
+        'classname' => 'local_agentdetect\external\get_attempt_flags',
+        'methodname' => 'execute',
+        'description' => 'Get the detection flags of quiz attempts',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+        'capabilities' => 'local/agentdetect:viewreports',
+    ],
+    'local_agentdetect_get_attempt_detail' => [
+        'classname' => 'local_agentdetect\external\get_attempt_detail',
+        'methodname' => 'execute',
+        'description' => 'Get the score timeline and strongest signals of a quiz attempt',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+        'capabilities' => 'local/agentdetect:viewreports',
+    ],
+    'local_agentdetect_update_user_flag' => [
+        'classname' => 'local_agentdetect\external\update_user_flag',
+        'methodname' => 'execute',
+        'description' => 'Confirm, clear or add a note to a user detection flag',
+        'type' => 'write',
+        'ajax' => true,
+        'loginrequired' => true,
+        'capabilities' => 'local/agentdetect:manageflags',
+    ],
+    'local_agentdetect_get_quiz_flags' => [
+        'classname' => 'local_agentdetect\external\get_quiz_flags',
+        'methodname' => 'execute',
+        'description' => 'Get the detection flags of the attempts listed in a quiz report',
+        'type' => 'read',
+        'ajax' => true,
+        'loginrequired' => true,
+        'capabilities' => 'local/agentdetect:viewreports',
+    ],
 ];
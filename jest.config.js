@@ -0,0 +1,40 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Jest configuration for the JavaScript unit tests.
+ *
+ * The tests run the AMD sources from amd/src under jsdom. Module names
+ * resolve as Moodle's loader resolves them, with core/ajax, core/log and
+ * the Bootstrap popover replaced by the stand-ins in tests/js/mocks.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+module.exports = {
+    testEnvironment: 'jsdom',
+    roots: ['<rootDir>/tests/js'],
+    testMatch: ['**/*.test.js'],
+    moduleNameMapper: {
+        '^local_agentdetect/(.*)$': '<rootDir>/amd/src/$1',
+        '^core/(ajax|log)$': '<rootDir>/tests/js/mocks/core/$1',
+        '^theme_boost/bootstrap/popover$': '<rootDir>/tests/js/mocks/theme_boost/bootstrap/popover',
+    },
+    transform: {
+        // Inline, so that Moodle's own Babel setup never picks up a config file from the plugin.
+        '\\.js$': ['babel-jest', {presets: [['@babel/preset-env', {targets: {node: 'current'}}]]}],
+    },
+};
@@ -24,14 +24,39 @@
 
 defined('MOODLE_INTERNAL') || die();
 
+$string['accommodation:mode'] = 'Accommodation';
+$string['accommodation:mode_help'] = 'How the interaction anomalies that assistive technology explains are scored for this student. Screen readers, switch access, voice control and keyboard-only use raise anomalies such as no keystrokes, no mouse movement before a click, focus changes without a pointer and clicks at the exact centre of a control. Re-weighting keeps those anomalies in the report at a quarter of their weight; suppressing leaves them out. Either way the anomalies covered, and why, are recorded with each report, and anomalies that assistive technology does not explain are scored as usual.';
+$string['accommodation:mode_none'] = 'None';
+$string['accommodation:mode_reweight'] = 'Re-weight assistive technology anomalies';
+$string['accommodation:mode_suppress'] = 'Suppress assistive technology anomalies';
+$string['accommodation:nooverride'] = 'Accessibility accommodations can only be granted to students with a user override on this quiz.';
+$string['accommodation:reason'] = 'Reason';
+$string['accommodation:reasonrequired'] = 'Give the reason for the accommodation.';
+$string['accommodation:saved'] = 'Accessibility accommodation saved.';
+$string['accommodation:student'] = 'Student';
+$string['accommodations'] = 'Accessibility accommodations';
+$string['accommodations:intro'] = 'Students who use a screen reader, switch access, voice control or only the keyboard can be granted an accommodation so that the way they interact is not taken for automation. Accommodations are kept with the students\' <a href="{$a}">user overrides</a> on this quiz: add an override for a student first, and deleting it withdraws the accommodation.';
+$string['accommodations:nooverrides'] = 'This quiz has no user overrides.';
 $string['agentdetect:configure'] = 'Configure agent detection settings';
+$string['agentdetect:manageaccommodations'] = 'Manage accessibility accommodations for agent detection';
 $string['agentdetect:manageflags'] = 'Manage agent detection flags';
+$string['agentdetect:managemodules'] = 'Configure agent detection in courses and activities';
 $string['agentdetect:viewreports'] = 'View agent detection reports';
 $string['agentdetect:viewsignals'] = 'View detailed detection signal data';
 $string['badge:agentconfirmed'] = 'Agent confirmed - detection score {$a}';
 $string['badge:agentsuspected'] = 'Agent suspected - detection score {$a}';
 $string['badge:likelyhuman'] = 'Likely human - detection score {$a}';
 $string['badge:lowsuspicion'] = 'Low suspicion - detection score {$a}';
+$string['cachedef_sessionstate'] = 'Full reports of detection sessions, rebuilt from delta-encoded reports';
+$string['column:download'] = 'Download detection verdicts';
+$string['column:flaggedonly'] = 'Show only flagged attempts';
+$string['column:heading'] = 'Agent detection';
+$string['column:score'] = 'Detection score';
+$string['column:sort'] = 'Sort by agent detection';
+$string['column:source'] = 'Based on';
+$string['column:sourceattempt'] = 'This attempt';
+$string['column:sourceuser'] = 'The student\'s flag for the quiz';
+$string['column:verdicts'] = 'agent detection verdicts';
 $string['coursereport'] = 'Agent Detection Report';
 $string['coursereport:caveat'] = 'Important: These results are not definitive proof of academic dishonesty. This report is based on automated behavioural analysis of the student\'s browser session, including mouse movement patterns, click behaviour, and keyboard activity. Unusual patterns may have legitimate explanations. Please use this information as one factor among many when making academic integrity decisions.';
 $string['coursereport:date'] = 'Date';
@@ -57,11 +82,103 @@ $string['coursereport:viewadminreport'] = 'View admin report';
 $string['coursereport:viewdetails'] = 'View details';
 $string['coursereport:whyflagged'] = 'Why was this session flagged?';
 $string['error:debugonly'] = 'This page is only accessible when debug mode is enabled.';
+$string['event:accommodationupdated'] = 'Agent detection accommodation updated';
 $string['event:signaldetected'] = 'Agent detection signal recorded';
 $string['event:userflagged'] = 'User flagged by agent detection';
 $string['flag:clearedbyadmin'] = 'Cleared by admin';
+$string['flagtype:agent_confirmed'] = 'Agent confirmed';
+$string['flagtype:agent_suspected'] = 'Agent suspected';
+$string['flagtype:cleared'] = 'Cleared';
+$string['flagtype:likely_human'] = 'Likely human';
+$string['flagtype:low_suspicion'] = 'Low suspicion';
+$string['liveview'] = 'Live proctoring';
+$string['liveview:anomalies'] = 'Top signals';
+$string['liveview:caveat'] = 'Scores update as detection reports arrive during each attempt. A high score is a reason to look, not proof of misconduct.';
+$string['liveview:heartbeat'] = 'Detector';
+$string['liveview:noattempts'] = 'No attempts in progress.';
+$string['liveview:noheartbeat'] = 'No heartbeat';
+$string['liveview:noreport'] = 'No report yet';
+$string['liveview:score'] = 'Score';
+$string['liveview:secondsago'] = 'Last heartbeat {$a}s ago';
+$string['liveview:silent'] = 'Silent for {$a}s';
+$string['liveview:silentsincestart'] = 'No heartbeat in {$a}s since the start';
+$string['liveview:started'] = 'Started';
+$string['liveview:student'] = 'Student';
+$string['liveview:updated'] = 'Updated {$a}';
+$string['liveview:verdict'] = 'Verdict';
+$string['module:comet'] = 'Comet probes';
+$string['module:comet_help'] = 'Looks for the Perplexity Comet agentic browser: its extension\'s scripts and stylesheets in the page, traces it leaves while driving the page, and connections to Perplexity\'s agent servers. Its own score is built from these and from Comet-like interaction anomalies.';
+$string['module:extensionprobe'] = 'Extension resource probing';
+$string['module:extensionprobe_help'] = 'Asks the browser to load known files of the Comet extension; if one loads, the extension is installed. Needs the browser fingerprint and the Comet probes.';
+$string['module:fingerprint'] = 'Browser fingerprint';
+$string['module:fingerprint_help'] = 'Checks the browser for WebDriver flags, headless browser traits, automation globals and test framework markers, and the DOM for known automation extensions.';
+$string['module:injection'] = 'DOM injection detection';
+$string['module:injection_help'] = 'Watches the page for elements inserted by AI helper extensions.';
+$string['module:interaction'] = 'Interaction analysis';
+$string['module:interaction_help'] = 'Analyses mouse movement, touch and pen contacts, clicks, keystroke timing, scrolling, where answer text comes from and when the student leaves the page. Most scores start from this module; without it only definite signs of automation are reported.';
+$string['modules'] = 'Detection modules';
+$string['modules:badcontext'] = 'Detection modules can only be switched for a course or an activity.';
+$string['modules:inherit'] = 'Inherit ({$a})';
+$string['modules:intro'] = 'Modules left to inherit follow the course setting in an activity, and the site setting in a course. A module that is off is not run at all, and its score is missing from reports rather than zero.';
+$string['modules:notrun'] = 'Not collected in this session: {$a}. A missing score from these modules is not a clean one.';
+$string['modules:off'] = 'Off';
+$string['modules:on'] = 'On';
+$string['modules:saved'] = 'Detection modules saved.';
+$string['modules:status_disabled'] = '{$a} (switched off)';
+$string['modules:status_failed'] = '{$a} (failed to run)';
 $string['page'] = 'Page';
 $string['pluginname'] = 'Agent Detection';
+$string['policy'] = 'Agent detection';
+$string['policy:monitoring'] = 'Monitoring';
+$string['policy:monitoring_default'] = 'Site default';
+$string['policy:monitoring_help'] = 'Whether the agent detector runs in this activity. Site default runs it on the page types monitored by the plugin settings; On runs it on every page of the activity; Off never runs it here.';
+$string['policy:monitoring_off'] = 'Off';
+$string['policy:monitoring_on'] = 'On';
+$string['policy:reportinterval'] = 'Report interval';
+$string['policy:reportinterval_help'] = 'How often the detector sends its findings to the server during the activity. Leave it unset to use the site report interval.';
+$string['policy:reportintervaltooshort'] = 'The report interval must be at least {$a} seconds.';
+$string['policy:sensitivity'] = 'Sensitivity';
+$string['policy:sensitivity_help'] = 'How readily students are flagged. Strict flags them at a lower score than the site threshold, for summative exams; lenient at a higher one, for practice.';
+$string['policy:sensitivity_lenient'] = 'Lenient';
+$string['policy:sensitivity_standard'] = 'Standard';
+$string['policy:sensitivity_strict'] = 'Strict';
+$string['popover:actionfailed'] = 'The flag could not be updated.';
+$string['popover:addnote'] = 'Add note';
+$string['popover:clear'] = 'Clear flag';
+$string['popover:cleared'] = 'Flag cleared';
+$string['popover:confirm'] = 'Confirm agent use';
+$string['popover:confirmed'] = 'Agent use confirmed';
+$string['popover:failed'] = 'The detection detail could not be loaded.';
+$string['popover:fullreport'] = 'Full report';
+$string['popover:highestscore'] = 'Highest score: {$a}';
+$string['popover:loading'] = 'Loading...';
+$string['popover:noreports'] = 'No scores were reported in this attempt.';
+$string['popover:nosignals'] = 'No signals were reported.';
+$string['popover:noteadded'] = 'Note added';
+$string['popover:notes'] = 'Notes';
+$string['popover:savenote'] = 'Save note';
+$string['popover:signals'] = 'Strongest signals';
+$string['popover:timeline'] = 'Scores over the attempt';
+$string['popover:timelinelabel'] = '{$a->count} reports scoring from {$a->min} to {$a->max}';
+$string['popover:title'] = 'Agent detection';
+$string['privacy:metadata:local_agentdetect_accommodations'] = 'Stores the accessibility accommodations that change how a student\'s interaction is scored on a quiz.';
+$string['privacy:metadata:local_agentdetect_accommodations:adjustment'] = 'How the anomalies assistive technology explains are scored.';
+$string['privacy:metadata:local_agentdetect_accommodations:contextid'] = 'The quiz the accommodation applies to.';
+$string['privacy:metadata:local_agentdetect_accommodations:reason'] = 'Why the accommodation was granted.';
+$string['privacy:metadata:local_agentdetect_accommodations:timecreated'] = 'Timestamp when the accommodation was granted.';
+$string['privacy:metadata:local_agentdetect_accommodations:timemodified'] = 'Timestamp when the accommodation was last changed.';
+$string['privacy:metadata:local_agentdetect_accommodations:userid'] = 'The ID of the user the accommodation is granted to.';
+$string['privacy:metadata:local_agentdetect_accommodations:usermodified'] = 'The ID of the user who last changed the accommodation.';
+$string['privacy:metadata:local_agentdetect_attempts'] = 'Binds the detection sessions of a student\'s quiz attempts to the attempts, with the highest score reported in each.';
+$string['privacy:metadata:local_agentdetect_attempts:attemptid'] = 'The quiz attempt the detection session ran in.';
+$string['privacy:metadata:local_agentdetect_attempts:contextid'] = 'The quiz the attempt belongs to.';
+$string['privacy:metadata:local_agentdetect_attempts:detectioncount'] = 'The number of suspicious reports in the detection session.';
+$string['privacy:metadata:local_agentdetect_attempts:maxscore'] = 'The highest detection score reported in the detection session.';
+$string['privacy:metadata:local_agentdetect_attempts:sessionid'] = 'The detection session.';
+$string['privacy:metadata:local_agentdetect_attempts:silenced'] = 'Whether the attempt was submitted after the detector stopped reporting.';
+$string['privacy:metadata:local_agentdetect_attempts:timecreated'] = 'Timestamp when the detection session was bound to the attempt.';
+$string['privacy:metadata:local_agentdetect_attempts:timemodified'] = 'Timestamp of the last score recorded for the detection session.';
+$string['privacy:metadata:local_agentdetect_attempts:userid'] = 'The ID of the user who made the attempt.';
 $string['privacy:metadata:local_agentdetect_flags'] = 'Stores aggregated agent detection flags per user.';
 $string['privacy:metadata:local_agentdetect_flags:contextid'] = 'The Moodle context for this flag.';
 $string['privacy:metadata:local_agentdetect_flags:detectioncount'] = 'The number of suspicious detections recorded.';
@@ -71,7 +188,15 @@ $string['privacy:metadata:local_agentdetect_flags:notes'] = 'Admin notes about t
 $string['privacy:metadata:local_agentdetect_flags:timecreated'] = 'Timestamp when the flag was first created.';
 $string['privacy:metadata:local_agentdetect_flags:timemodified'] = 'Timestamp when the flag was last updated.';
 $string['privacy:metadata:local_agentdetect_flags:userid'] = 'The ID of the flagged user.';
+$string['privacy:metadata:local_agentdetect_heartbeats'] = 'Counts the detector\'s heartbeats for each detection session, to tell a silenced detector apart from a clean session.';
+$string['privacy:metadata:local_agentdetect_heartbeats:beats'] = 'The number of heartbeats received.';
+$string['privacy:metadata:local_agentdetect_heartbeats:contextid'] = 'The Moodle context the detector ran in.';
+$string['privacy:metadata:local_agentdetect_heartbeats:firstbeat'] = 'Timestamp of the first heartbeat.';
+$string['privacy:metadata:local_agentdetect_heartbeats:lastbeat'] = 'Timestamp of the most recent heartbeat.';
+$string['privacy:metadata:local_agentdetect_heartbeats:sessionid'] = 'The detection session the heartbeats belong to.';
+$string['privacy:metadata:local_agentdetect_heartbeats:userid'] = 'The ID of the user whose browser sent the heartbeats.';
 $string['privacy:metadata:local_agentdetect_signals'] = 'Stores browser fingerprint and interaction signals for agent detection.';
+$string['privacy:metadata:local_agentdetect_signals:clientscore'] = 'Combined detection score (0-100) as computed by the browser.';
 $string['privacy:metadata:local_agentdetect_signals:combinedscore'] = 'Combined detection score (0-100).';
 $string['privacy:metadata:local_agentdetect_signals:contextid'] = 'The Moodle context where the detection occurred.';
 $string['privacy:metadata:local_agentdetect_signals:fingerprintscore'] = 'Browser fingerprint detection score (0-100).';
@@ -106,18 +231,37 @@ $string['report:title'] = 'Agent Detection Signals';
 $string['report:userflags'] = 'User flags';
 $string['report:usersummary'] = 'User summary: ';
 $string['report:viewsignals'] = 'View signals';
+$string['review:slotscore'] = 'Interaction score {$a}';
+$string['review:slotsignals'] = 'Interaction with this question looked automated. Strongest signals: {$a}';
+$string['scoringprofile:invalidjson'] = 'The scoring profile must be a JSON object.';
+$string['scoringprofile:invalidsection'] = 'The "{$a}" section of the scoring profile is not valid.';
+$string['scoringprofile:unknownsection'] = 'Unknown scoring profile section "{$a}". Allowed sections: bands, boosts, comet, weights.';
+$string['settings:collectfingerprint'] = 'Browser fingerprint';
+$string['settings:collectfingerprint_desc'] = 'Check the browser for WebDriver flags, headless browser traits and known automation extensions.';
+$string['settings:collectinjection'] = 'Detect DOM injection';
+$string['settings:collectinjection_desc'] = 'Watch the page for elements inserted by AI helper extensions.';
 $string['settings:collectinteraction'] = 'Collect interaction data';
 $string['settings:collectinteraction_desc'] = 'Track mouse movements, click patterns, and keystroke timing for behavioral analysis.';
+$string['settings:cometprobes'] = 'Comet probes';
+$string['settings:cometprobes_desc'] = 'Look for the Perplexity Comet agentic browser\'s extension, runtime traces and network connections, and score them.';
 $string['settings:debug'] = 'Debug mode';
 $string['settings:debug_desc'] = 'Enable debug logging in browser console.';
 $string['settings:enabled'] = 'Enable agent detection';
 $string['settings:enabled_desc'] = 'When enabled, the plugin will collect browser signals and flag potential automated sessions.';
+$string['settings:extensionprobes'] = 'Extension resource probing';
+$string['settings:extensionprobes_desc'] = 'Load known files of the Comet extension to tell whether it is installed. Needs the browser fingerprint and the Comet probes.';
+$string['settings:heartbeatinterval'] = 'Heartbeat interval (ms)';
+$string['settings:heartbeatinterval_desc'] = 'How often the detector tells the server it is still running (in milliseconds, at least 5000). If a student submits a quiz attempt after the heartbeats stopped for more than four intervals, the detector is treated as silenced and the student is flagged.';
 $string['settings:minreportscore'] = 'Minimum report score';
 $string['settings:minreportscore_desc'] = 'Only report signals with combined score at or above this value (0-100).';
+$string['settings:modules'] = 'Detection modules';
+$string['settings:modules_desc'] = 'Which detection modules run by default. Courses and activities can override each of these from their own Detection modules page.';
 $string['settings:pagetypes'] = 'Page types to monitor';
 $string['settings:pagetypes_desc'] = 'Comma-separated list of page types to enable detection on. Use * for wildcard. Leave empty to monitor all pages. Examples: mod-assign-*, mod-quiz-*, mod-forum-*';
 $string['settings:reportinterval'] = 'Report interval (ms)';
 $string['settings:reportinterval_desc'] = 'How often to send detection reports to the server (in milliseconds).';
+$string['settings:scoringprofile'] = 'Scoring profile overrides';
+$string['settings:scoringprofile_desc'] = 'JSON object overriding parts of the built-in scoring profile: "bands" (verdict bands, highest first, e.g. [{"min": 80, "verdict": "HIGH_CONFIDENCE_AGENT"}]), "boosts" (boost tiers per detector, e.g. {"injection": [{"min": 50, "add": 25}]}), "comet" (Comet Tier-1/Tier-2 signal lists) and "weights" (per-signal weight overrides, e.g. {"click.center_precision": 6}). Leave empty to use the defaults. Saving this setting or the detection threshold creates a new profile version, which is recorded with every report. Current version: {$a}.';
 $string['settings:threshold'] = 'Detection threshold';
 $string['settings:threshold_desc'] = 'Agent probability score (0-100) above which a session is flagged. Lower values are more sensitive.';
 $string['signal:extension'] = 'Known automation extension detected';
@@ -132,11 +276,16 @@ $string['testpage:clickbuttons'] = 'Click these buttons:';
 $string['testpage:collecting'] = 'Collecting...';
 $string['testpage:combined'] = 'Combined Score';
 $string['testpage:description'] = 'This page loads the detection modules and displays results in real-time. Move your mouse, click, type, and scroll to generate interaction data.';
+$string['testpage:download'] = 'Download recording';
 $string['testpage:fingerprint'] = 'Fingerprint Detection';
 $string['testpage:inputplaceholder'] = 'Type to generate keystroke data...';
 $string['testpage:interaction'] = 'Interaction Analysis';
 $string['testpage:interactionarea'] = 'Test Interaction Area';
 $string['testpage:monitoring'] = 'Monitoring... (interact with the page)';
+$string['testpage:recording'] = 'Session recording';
+$string['testpage:recording_desc'] = 'Everything done on this page is recorded (without the characters typed). Download the recording to keep it, or replay a downloaded recording to re-score it with the current scoring profile. Replaying replaces the live interaction results above.';
+$string['testpage:replay'] = 'Replay a recording:';
+$string['testpage:replayfailed'] = 'Could not replay the recording: {$a}';
 $string['testpage:scrollarea'] = 'Scroll area - add more content here to test scrolling...';
 $string['testpage:typesomething'] = 'Type something here:';
 $string['type'] = 'Type';
@@ -53,45 +53,38 @@ function local_agentdetect_before_footer(): string {
 }
 
 /**
- * Load the detection engine on monitored page types.
+ * Load the detection engine on monitored pages.
+ *
+ * Pages are monitored when their type is one of the page types of the
+ * plugin settings, unless the policy of their activity says otherwise.
  */
 function local_agentdetect_load_detector(): void {
-    global $PAGE;
-
-    // Check if we should run on this page type.
-    $enabledpagetypes = get_config('local_agentdetect', 'pagetypes');
-    if (!empty($enabledpagetypes)) {
-        $types = explode(',', $enabledpagetypes);
-        $currenttype = $PAGE->pagetype;
-        $matches = false;
-        foreach ($types as $type) {
-            $type = trim($type);
-            if (empty($type)) {
-                continue;
-            }
-            // Support wildcards like mod-assign-*.
-            $pattern = '/^' . str_replace(['*', '-'], ['.*', '\-'], $type) . '$/';
-            if (preg_match($pattern, $currenttype)) {
-                $matches = true;
-                break;
-            }
-        }
-        if (!$matches) {
-            return;
-        }
-    }
+    global $PAGE, $USER;
 
     // Get context.
     $context = $PAGE->context;
 
+    // Check if we should run on this page.
+    $policy = \local_agentdetect\activity_policy::resolve($context);
+    $modname = $PAGE->cm ? $PAGE->cm->modname : null;
+    if (!\local_agentdetect\activity_policy::is_monitored($policy, $PAGE->pagetype, $modname)) {
+        return;
+    }
+
     // Prepare configuration for JavaScript.
     $config = [
         'enabled' => true,
-        'reportInterval' => (int) get_config('local_agentdetect', 'reportinterval') ?: 30000,
+        'reportInterval' => $policy['reportInterval'],
         'minReportScore' => (int) get_config('local_agentdetect', 'minreportscore') ?: 10,
+        'heartbeatInterval' => \local_agentdetect\heartbeat_monitor::get_interval(),
         'contextId' => $context->id,
         'sessionKey' => sesskey(),
         'debug' => (bool) get_config('local_agentdetect', 'debug'),
+        'scoringProfile' => \local_agentdetect\scoring_profile::get_current(),
+        'channel' => \local_agentdetect\report_channel::open($context->id),
+        'accommodation' => \local_agentdetect\accommodation::get_mode($USER->id, $context->id),
+        'modules' => \local_agentdetect\detection_modules::resolve($context),
+        'policy' => $policy,
     ];
 
     // Load the detector module.
@@ -105,8 +98,9 @@ function local_agentdetect_load_detector(): void {
 /**
  * Load quiz badge icons on quiz report/review pages for teachers.
  *
- * This runs independently of whether detection is enabled — teachers
- * can see badges even when detection is turned off.
+ * The reports get an agent detection column, and the review page a badge
+ * next to the student's name. This runs independently of whether detection
+ * is enabled — teachers can see badges even when detection is turned off.
  */
 function local_agentdetect_load_quiz_badges(): void {
     global $PAGE;
@@ -138,12 +132,42 @@ function local_agentdetect_load_quiz_badges(): void {
     $reporturl = new moodle_url('/local/agentdetect/coursereport.php', ['courseid' => $courseid]);
 
     $config = [
-        'mode' => $mode,
         'courseid' => $courseid,
         'contextid' => $coursecontext->id,
         'reportUrl' => $reporturl->out(false),
     ];
 
+    // Attempt badges open a popover explaining the flag of the attempt.
+    $PAGE->requires->strings_for_js([
+        'popover:actionfailed', 'popover:addnote', 'popover:clear', 'popover:cleared', 'popover:confirm',
+        'popover:confirmed', 'popover:failed', 'popover:fullreport', 'popover:highestscore', 'popover:loading',
+        'popover:noreports', 'popover:nosignals', 'popover:noteadded', 'popover:notes', 'popover:savenote',
+        'popover:signals', 'popover:timeline', 'popover:timelinelabel', 'popover:title',
+        'verdict:highconfidenceagent', 'verdict:likelyhuman', 'verdict:lowsuspicion', 'verdict:probableagent',
+        'verdict:suspicious',
+    ], 'local_agentdetect');
+
+    if ($mode === 'overview') {
+        if (!$PAGE->cm || $PAGE->cm->modname !== 'quiz') {
+            return;
+        }
+        $config['cmid'] = $PAGE->cm->id;
+        $config['downloadUrl'] = (new moodle_url('/local/agentdetect/verdicts.php', ['cmid' => $PAGE->cm->id]))->out(false);
+        $PAGE->requires->strings_for_js([
+            'column:download', 'column:flaggedonly', 'column:heading', 'column:sort', 'column:sourceuser',
+            'flagtype:agent_confirmed', 'flagtype:agent_suspected', 'flagtype:cleared', 'flagtype:likely_human',
+            'flagtype:low_suspicion',
+        ], 'local_agentdetect');
+        $PAGE->requires->strings_for_js(['dataformat'], 'dataformat_csv');
+        $PAGE->requires->strings_for_js(['dataformat'], 'dataformat_excel');
+        $PAGE->requires->js_call_amd('local_agentdetect/report_column', 'init', [$config]);
+        return;
+    }
+
+    // On the review page, mark the questions of the attempt that looked automated.
+    $config['attemptid'] = (int) $PAGE->url->get_param('attempt');
+    $PAGE->requires->strings_for_js(['review:slotscore', 'review:slotsignals'], 'local_agentdetect');
+
     $PAGE->requires->js_call_amd(
         'local_agentdetect/quiz_badge',
         'init',
@@ -152,9 +176,10 @@ function local_agentdetect_load_quiz_badges(): void {
 }
 
 /**
- * Extend course navigation with agent detection report link.
+ * Extend course navigation with agent detection report and module links.
  *
- * Adds "Agent Detection Report" to the course Reports section.
+ * Adds "Agent Detection Report" to the course Reports section, and the
+ * course's detection modules for those who may switch them.
  *
  * @param navigation_node $navigation The navigation node.
  * @param stdClass $course The course object.
@@ -165,19 +190,28 @@ function local_agentdetect_extend_navigation_course(
     stdClass $course,
     context $context
 ): void {
-    if (!has_capability('local/agentdetect:viewreports', $context)) {
-        return;
+    if (has_capability('local/agentdetect:viewreports', $context)) {
+        $url = new moodle_url('/local/agentdetect/coursereport.php', ['courseid' => $course->id]);
+        $navigation->add(
+            get_string('coursereport', 'local_agentdetect'),
+            $url,
+            navigation_node::TYPE_SETTING,
+            null,
+            'agentdetect_coursereport',
+            new pix_icon('i/report', '')
+        );
     }
 
-    $url = new moodle_url('/local/agentdetect/coursereport.php', ['courseid' => $course->id]);
-    $navigation->add(
-        get_string('coursereport', 'local_agentdetect'),
-        $url,
-        navigation_node::TYPE_SETTING,
-        null,
-        'agentdetect_coursereport',
-        new pix_icon('i/report', '')
-    );
+    if (has_capability('local/agentdetect:managemodules', $context)) {
+        $navigation->add(
+            get_string('modules', 'local_agentdetect'),
+            new moodle_url('/local/agentdetect/modules.php', ['contextid' => $context->id]),
+            navigation_node::TYPE_SETTING,
+            null,
+            'agentdetect_modules',
+            new pix_icon('i/settings', '')
+        );
+    }
 }
 
 /**
@@ -192,9 +226,11 @@ function local_agentdetect_extend_navigation(navigation_node $nav): void {
 /**
  * Extend settings navigation for the plugin.
  *
- * Intentionally left empty — the course report link is added via
- * local_agentdetect_extend_navigation_course() instead to avoid
- * duplicate navigation entries.
+ * Adds the detection modules to quiz and assignment settings, and the live
+ * proctoring view and the accessibility accommodations to quiz settings.
+ * The course report link is added via
+ * local_agentdetect_extend_navigation_course() instead to avoid duplicate
+ * navigation entries.
  *
  * @param settings_navigation $settingsnav The settings navigation object.
  * @param context $context The context.
@@ -203,5 +239,136 @@ function local_agentdetect_extend_settings_navigation(
     settings_navigation $settingsnav,
     context $context
 ): void {
-    // Course report link handled by extend_navigation_course().
+    global $PAGE;
+
+    if ($context->contextlevel != CONTEXT_MODULE || !$PAGE->cm || !in_array($PAGE->cm->modname, ['quiz', 'assign'])) {
+        return;
+    }
+
+    $modulesettings = $settingsnav->find('modulesettings', navigation_node::TYPE_SETTING);
+    if (!$modulesettings) {
+        return;
+    }
+
+    if (has_capability('local/agentdetect:managemodules', $context)) {
+        $modulesettings->add(
+            get_string('modules', 'local_agentdetect'),
+            new moodle_url('/local/agentdetect/modules.php', ['contextid' => $context->id]),
+            navigation_node::TYPE_SETTING,
+            null,
+            'agentdetect_modules',
+            new pix_icon('i/settings', '')
+        );
+    }
+
+    if ($PAGE->cm->modname !== 'quiz') {
+        return;
+    }
+
+    if (has_capability('local/agentdetect:viewreports', $context)) {
+        $modulesettings->add(
+            get_string('liveview', 'local_agentdetect'),
+            new moodle_url('/local/agentdetect/liveview.php', ['cmid' => $PAGE->cm->id]),
+            navigation_node::TYPE_SETTING,
+            null,
+            'agentdetect_liveview',
+            new pix_icon('i/report', '')
+        );
+    }
+
+    if (has_capability('local/agentdetect:manageaccommodations', $context)) {
+        $modulesettings->add(
+            get_string('accommodations', 'local_agentdetect'),
+            new moodle_url('/local/agentdetect/accommodations.php', ['cmid' => $PAGE->cm->id]),
+            navigation_node::TYPE_SETTING,
+            null,
+            'agentdetect_accommodations',
+            new pix_icon('i/settings', '')
+        );
+    }
+}
+
+/**
+ * Add the agent detection policy to quiz and assignment settings.
+ *
+ * @param moodleform_mod $formwrapper The activity settings form.
+ * @param MoodleQuickForm $mform The form being built.
+ */
+function local_agentdetect_coursemodule_standard_elements($formwrapper, $mform): void {
+    $current = $formwrapper->get_current();
+    if (!in_array($current->modulename ?? '', \local_agentdetect\activity_policy::MODNAMES)) {
+        return;
+    }
+
+    $cm = $formwrapper->get_coursemodule();
+    $context = $cm ? context_module::instance($cm->id) : context_course::instance($current->course);
+    if (!has_capability('local/agentdetect:managemodules', $context)) {
+        return;
+    }
+
+    $mform->addElement('header', 'agentdetect', get_string('policy', 'local_agentdetect'));
+    $off = \local_agentdetect\activity_policy::MONITORING_OFF;
+
+    $options = [];
+    foreach (\local_agentdetect\activity_policy::MONITORING as $monitoring) {
+        $options[$monitoring] = get_string('policy:monitoring_' . $monitoring, 'local_agentdetect');
+    }
+    $mform->addElement('select', 'agentdetect_monitoring', get_string('policy:monitoring', 'local_agentdetect'), $options);
+    $mform->addHelpButton('agentdetect_monitoring', 'policy:monitoring', 'local_agentdetect');
+
+    $options = [];
+    foreach (array_keys(\local_agentdetect\activity_policy::SENSITIVITY_OFFSETS) as $sensitivity) {
+        $options[$sensitivity] = get_string('policy:sensitivity_' . $sensitivity, 'local_agentdetect');
+    }
+    $mform->addElement('select', 'agentdetect_sensitivity', get_string('policy:sensitivity', 'local_agentdetect'), $options);
+    $mform->addHelpButton('agentdetect_sensitivity', 'policy:sensitivity', 'local_agentdetect');
+    $mform->hideIf('agentdetect_sensitivity', 'agentdetect_monitoring', 'eq', $off);
+
+    $mform->addElement('duration', 'agentdetect_reportinterval', get_string('policy:reportinterval', 'local_agentdetect'),
+        ['optional' => true, 'units' => [1, MINSECS]]);
+    $mform->addHelpButton('agentdetect_reportinterval', 'policy:reportinterval', 'local_agentdetect');
+    $mform->hideIf('agentdetect_reportinterval', 'agentdetect_monitoring', 'eq', $off);
+
+    $policy = $cm ? \local_agentdetect\activity_policy::get($context->id) : null;
+    $mform->setDefault('agentdetect_monitoring', $policy->monitoring ?? \local_agentdetect\activity_policy::MONITORING_DEFAULT);
+    $mform->setDefault('agentdetect_sensitivity', $policy->sensitivity ?? \local_agentdetect\activity_policy::SENSITIVITY_STANDARD);
+    $mform->setDefault('agentdetect_reportinterval', (int) ($policy->reportinterval ?? 0) / 1000);
+}
+
+/**
+ * Check the report interval of an activity's agent detection policy.
+ *
+ * @param moodleform_mod $formwrapper The activity settings form.
+ * @param array $data Submitted data.
+ * @return array Errors by element name.
+ */
+function local_agentdetect_coursemodule_validation($formwrapper, array $data): array {
+    $minimum = \local_agentdetect\activity_policy::MIN_REPORT_INTERVAL / 1000;
+    if (!empty($data['agentdetect_reportinterval']) && $data['agentdetect_reportinterval'] < $minimum) {
+        return ['agentdetect_reportinterval' => get_string('policy:reportintervaltooshort', 'local_agentdetect', $minimum)];
+    }
+    return [];
+}
+
+/**
+ * Save the agent detection policy of a quiz or assignment.
+ *
+ * @param stdClass $data Data submitted from the activity settings form.
+ * @param stdClass $course The course.
+ * @return stdClass The submitted data.
+ */
+function local_agentdetect_coursemodule_edit_post_actions($data, $course) {
+    if (!isset($data->agentdetect_monitoring)) {
+        return $data;
+    }
+
+    $context = context_module::instance($data->coursemodule);
+    \local_agentdetect\activity_policy::set(
+        $context->id,
+        $data->agentdetect_monitoring,
+        $data->agentdetect_sensitivity,
+        empty($data->agentdetect_reportinterval) ? null : (int) $data->agentdetect_reportinterval * 1000
+    );
+
+    return $data;
 }
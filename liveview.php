@@ -0,0 +1,83 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Live proctoring view for a quiz.
+ *
+ * Lists the attempts in progress with their current detection score and
+ * detector heartbeat; the table is refreshed by local_agentdetect/live_view.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+$cmid = required_param('cmid', PARAM_INT);
+
+[$course, $cm] = get_course_and_cm_from_cmid($cmid, 'quiz');
+require_login($course, false, $cm);
+
+$context = context_module::instance($cm->id);
+require_capability('local/agentdetect:viewreports', $context);
+
+$PAGE->set_url(new moodle_url('/local/agentdetect/liveview.php', ['cmid' => $cm->id]));
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('report');
+$PAGE->set_title(get_string('liveview', 'local_agentdetect') . ': ' . format_string($cm->name));
+$PAGE->set_heading($course->fullname);
+
+$PAGE->requires->strings_for_js([
+    'liveview:noattempts',
+    'liveview:noheartbeat',
+    'liveview:noreport',
+    'liveview:secondsago',
+    'liveview:silent',
+    'liveview:silentsincestart',
+    'liveview:updated',
+], 'local_agentdetect');
+$PAGE->requires->js_call_amd('local_agentdetect/live_view', 'init', [[
+    'cmid' => $cm->id,
+    'pollInterval' => \local_agentdetect\live_monitor::POLL_INTERVAL,
+    'reportUrl' => (new moodle_url('/local/agentdetect/coursereport.php', ['courseid' => $course->id]))->out(false),
+]]);
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('liveview', 'local_agentdetect') . ': ' . format_string($cm->name));
+
+echo html_writer::div(
+    get_string('liveview:caveat', 'local_agentdetect'),
+    'alert alert-warning'
+);
+
+$table = new html_table();
+$table->id = 'agentdetect-liveview';
+$table->head = [
+    get_string('liveview:student', 'local_agentdetect'),
+    get_string('liveview:started', 'local_agentdetect'),
+    get_string('liveview:score', 'local_agentdetect'),
+    get_string('liveview:verdict', 'local_agentdetect'),
+    get_string('liveview:anomalies', 'local_agentdetect'),
+    get_string('liveview:heartbeat', 'local_agentdetect'),
+];
+$table->attributes['class'] = 'table table-striped table-sm';
+$table->data = [];
+
+echo html_writer::div('', 'text-muted small mb-2', ['id' => 'agentdetect-liveview-updated']);
+echo html_writer::table($table);
+
+echo $OUTPUT->footer();
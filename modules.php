@@ -0,0 +1,75 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Detection modules of a course or activity.
+ *
+ * Switches each detection module on or off for the course or activity,
+ * or leaves it to follow the site default (or the course, for an activity).
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+use local_agentdetect\detection_modules;
+use local_agentdetect\form\modules_form;
+
+$contextid = required_param('contextid', PARAM_INT);
+
+$context = context::instance_by_id($contextid);
+if ($context->contextlevel == CONTEXT_MODULE) {
+    [$course, $cm] = get_course_and_cm_from_cmid($context->instanceid);
+    require_login($course, false, $cm);
+    $name = format_string($cm->name);
+    $returnurl = new moodle_url('/mod/' . $cm->modname . '/view.php', ['id' => $cm->id]);
+    $inherited = detection_modules::resolve($context->get_course_context());
+} else if ($context->contextlevel == CONTEXT_COURSE) {
+    $course = get_course($context->instanceid);
+    require_login($course);
+    $name = format_string($course->fullname);
+    $returnurl = new moodle_url('/course/view.php', ['id' => $course->id]);
+    $inherited = detection_modules::get_site_defaults();
+} else {
+    throw new moodle_exception('modules:badcontext', 'local_agentdetect');
+}
+require_capability('local/agentdetect:managemodules', $context);
+
+$PAGE->set_url(new moodle_url('/local/agentdetect/modules.php', ['contextid' => $context->id]));
+$PAGE->set_context($context);
+$PAGE->set_pagelayout('admin');
+$PAGE->set_title(get_string('modules', 'local_agentdetect') . ': ' . $name);
+$PAGE->set_heading($course->fullname);
+
+$form = new modules_form($PAGE->url, ['inherited' => $inherited]);
+$form->set_data(['contextid' => $context->id] + modules_form::to_values(detection_modules::get_overrides($context->id)));
+
+if ($form->is_cancelled()) {
+    redirect($returnurl);
+} else if ($data = $form->get_data()) {
+    foreach (detection_modules::get_modules() as $module) {
+        detection_modules::set_override($context->id, $module, modules_form::to_override($data->$module));
+    }
+    redirect($PAGE->url, get_string('modules:saved', 'local_agentdetect'), null, \core\output\notification::NOTIFY_SUCCESS);
+}
+
+echo $OUTPUT->header();
+echo $OUTPUT->heading(get_string('modules', 'local_agentdetect') . ': ' . $name);
+echo html_writer::div(get_string('modules:intro', 'local_agentdetect'), 'alert alert-info');
+$form->display();
+echo $OUTPUT->footer();
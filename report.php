@@ -57,6 +57,7 @@ if ($download === 'json') {
           ORDER BY s.timecreated DESC",
         $params
     );
+    $signals = (new \local_agentdetect\signal_manager())->expand_signals($signals);
 
     // Build JSON output.
     $output = [];
@@ -85,6 +86,7 @@ if ($download === 'json') {
             'comet_score' => $data->comet->score ?? null,
             'comet_signals' => $data->comet->signals ?? [],
             'detected_agent' => $data->detectedAgent ?? null,
+            'modules' => $data->modules ?? null,
             'ip_address' => $signal->ipaddress,
             'user_agent' => $signal->useragent,
         ];
@@ -222,6 +224,9 @@ $signals = $DB->get_records_sql(
     $limit
 );
 
+// Delta-encoded reports only hold what changed; show the full report instead.
+$signals = (new \local_agentdetect\signal_manager())->expand_signals($signals);
+
 if (empty($signals)) {
     echo html_writer::div(get_string('report:nosignals', 'local_agentdetect'), 'alert alert-info');
 } else {
@@ -385,6 +390,34 @@ if (empty($signals)) {
                 }
             }
 
+            // Modules that did not run, so their scores are missing rather than clean.
+            $notrun = \local_agentdetect\detection_modules::get_not_run(json_decode($signal->signaldata, true) ?: []);
+            foreach ($notrun as $module => $status) {
+                $details[] = '<span class="text-warning font-weight-bold">[NOT RUN] ' . s($module) . '</span> ' . s($status);
+            }
+
+            // Score mismatches recorded by a tamper signal.
+            if (isset($data->mismatches)) {
+                foreach ($data->mismatches as $name => $m) {
+                    // An accommodation mismatch has a null side where no accommodation was claimed or granted.
+                    $details[] = '<span class="text-danger font-weight-bold">[TAMPER] ' . s($name) . '</span> client:' .
+                        s($m->claimed ?? '-') . ' server:' . s($m->server ?? '-');
+                }
+            }
+
+            // Reports that never arrived, recorded by a sequence gap signal.
+            if (isset($data->missing, $data->expected, $data->received)) {
+                $details[] = '<span class="text-danger font-weight-bold">[GAP] ' . s($data->missing) .
+                    ' missing</span> expected:' . s($data->expected) . ' received:' . s($data->received) .
+                    ' dropped by client:' . s($data->dropped ?? 0);
+            }
+
+            // Quiz submitted after the detector's heartbeats stopped.
+            if (isset($data->silentfor, $data->attemptid)) {
+                $details[] = '<span class="text-danger font-weight-bold">[SILENCED] no heartbeat for ' .
+                    s($data->silentfor) . 's</span> before attempt ' . s($data->attemptid) . ' was submitted';
+            }
+
             // Event counts (for context).
             if (isset($data->interaction->eventCounts)) {
                 $ec = $data->interaction->eventCounts;
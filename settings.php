@@ -36,14 +36,26 @@ if ($hassiteconfig) {
             0
         ));
 
-        // Detection threshold.
-        $settings->add(new admin_setting_configtext(
+        // Detection threshold. Part of the scoring profile, so changes bump its version.
+        $setting = new admin_setting_configtext(
             'local_agentdetect/threshold',
             get_string('settings:threshold', 'local_agentdetect'),
             get_string('settings:threshold_desc', 'local_agentdetect'),
             70,
             PARAM_INT
-        ));
+        );
+        $setting->set_updatedcallback('\local_agentdetect\scoring_profile::bump_version');
+        $settings->add($setting);
+
+        // Scoring profile overrides (verdict bands, boost tiers, Comet tier lists, weights).
+        $setting = new \local_agentdetect\admin\setting_scoringprofile(
+            'local_agentdetect/scoringprofile',
+            get_string('settings:scoringprofile', 'local_agentdetect'),
+            get_string('settings:scoringprofile_desc', 'local_agentdetect', \local_agentdetect\scoring_profile::get_version()),
+            ''
+        );
+        $setting->set_updatedcallback('\local_agentdetect\scoring_profile::bump_version');
+        $settings->add($setting);
 
         // Minimum score to report.
         $settings->add(new admin_setting_configtext(
@@ -63,6 +75,15 @@ if ($hassiteconfig) {
             PARAM_INT
         ));
 
+        // Heartbeat interval.
+        $settings->add(new admin_setting_configtext(
+            'local_agentdetect/heartbeatinterval',
+            get_string('settings:heartbeatinterval', 'local_agentdetect'),
+            get_string('settings:heartbeatinterval_desc', 'local_agentdetect'),
+            \local_agentdetect\heartbeat_monitor::DEFAULT_INTERVAL,
+            PARAM_INT
+        ));
+
         // Page types to monitor.
         $settings->add(new admin_setting_configtextarea(
             'local_agentdetect/pagetypes',
@@ -71,14 +92,6 @@ if ($hassiteconfig) {
             'mod-assign-*,mod-quiz-*'
         ));
 
-        // Collect interaction data.
-        $settings->add(new admin_setting_configcheckbox(
-            'local_agentdetect/collectinteraction',
-            get_string('settings:collectinteraction', 'local_agentdetect'),
-            get_string('settings:collectinteraction_desc', 'local_agentdetect'),
-            1
-        ));
-
         // Debug mode.
         $settings->add(new admin_setting_configcheckbox(
             'local_agentdetect/debug',
@@ -86,6 +99,21 @@ if ($hassiteconfig) {
             get_string('settings:debug_desc', 'local_agentdetect'),
             0
         ));
+
+        // Detection modules, which courses and activities can override.
+        $settings->add(new admin_setting_heading(
+            'local_agentdetect/modules',
+            get_string('settings:modules', 'local_agentdetect'),
+            get_string('settings:modules_desc', 'local_agentdetect')
+        ));
+        foreach (\local_agentdetect\detection_modules::SETTINGS as $setting) {
+            $settings->add(new admin_setting_configcheckbox(
+                'local_agentdetect/' . $setting,
+                get_string('settings:' . $setting, 'local_agentdetect'),
+                get_string('settings:' . $setting . '_desc', 'local_agentdetect'),
+                1
+            ));
+        }
     }
 
     $ADMIN->add('localplugins', $settings);
@@ -89,9 +89,54 @@ echo html_writer::tag(
 );
 echo html_writer::end_div();
 
+// Session recording: download what was recorded, or replay a downloaded recording.
+echo html_writer::tag('h4', get_string('testpage:recording', 'local_agentdetect'), ['style' => 'margin-top: 30px;']);
+echo html_writer::tag('p', get_string('testpage:recording_desc', 'local_agentdetect'));
+echo html_writer::tag(
+    'button',
+    get_string('testpage:download', 'local_agentdetect'),
+    ['class' => 'btn btn-secondary', 'id' => 'recording-download', 'style' => 'margin-right: 10px;']
+);
+echo html_writer::tag('label', get_string('testpage:replay', 'local_agentdetect'), ['for' => 'recording-replay']);
+echo html_writer::empty_tag('input', ['type' => 'file', 'id' => 'recording-replay', 'accept' => '.json,application/json',
+    'style' => 'margin-left: 10px;']);
+echo html_writer::div('', '', ['id' => 'replay-results',
+    'style' => 'background: #f5f5f5; padding: 15px; margin-top: 15px; font-family: monospace; white-space: pre-wrap;']);
+
+$PAGE->requires->strings_for_js(['testpage:replayfailed'], 'local_agentdetect');
+
 // Inline JavaScript to run detection and display results.
 $PAGE->requires->js_amd_inline("
-require(['local_agentdetect/fingerprint', 'local_agentdetect/interaction'], function(Fingerprint, Interaction) {
+require(['local_agentdetect/fingerprint', 'local_agentdetect/interaction', 'local_agentdetect/recording'],
+        function(Fingerprint, Interaction, Recording) {
+
+    // Record the session from the start, so it can be downloaded and replayed.
+    Recording.start();
+
+    document.getElementById('recording-download').addEventListener('click', function() {
+        Recording.exportRecording().then(function(recording) {
+            var blob = new Blob([JSON.stringify(recording)], {type: 'application/json'});
+            var link = document.createElement('a');
+            link.href = URL.createObjectURL(blob);
+            link.download = 'agentdetect-recording-' + recording.startTime + '.json';
+            link.click();
+            URL.revokeObjectURL(link.href);
+        });
+    });
+
+    document.getElementById('recording-replay').addEventListener('change', function(e) {
+        var file = e.target.files[0];
+        var el = document.getElementById('replay-results');
+        if (!file) {
+            return;
+        }
+        file.text().then(function(text) {
+            var results = Recording.replay(JSON.parse(text));
+            el.textContent = JSON.stringify(results, null, 2);
+        }).catch(function(error) {
+            el.textContent = M.util.get_string('testpage:replayfailed', 'local_agentdetect', error.message);
+        });
+    });
 
     // Display fingerprint results.
     Fingerprint.collect().then(function(results) {
@@ -151,7 +196,7 @@ require(['local_agentdetect/fingerprint', 'local_agentdetect/interaction'], func
     // Initial update after short delay.
     setTimeout(updateInteraction, 1000);
 
-    console.log('Agent detection test loaded. Fingerprint and Interaction modules active.');
+    console.log('Agent detection test loaded. Fingerprint, Interaction and Recording modules active.');
 });
 ");
 
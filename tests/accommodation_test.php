@@ -0,0 +1,157 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the accommodation class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\accommodation
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the accommodation class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\accommodation
+ */
+final class accommodation_test extends \advanced_testcase {
+    /**
+     * Create a quiz with a student.
+     *
+     * @return array The quiz course module, its context and the student.
+     */
+    protected function create_quiz(): array {
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $user = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $cm = get_coursemodule_from_id('quiz', $quiz->cmid);
+
+        return [$cm, \context_module::instance($cm->id), $user];
+    }
+
+    /**
+     * Give a student a user override on a quiz.
+     *
+     * @param \stdClass $cm Quiz course module.
+     * @param int $userid Student.
+     * @return int Override ID.
+     */
+    protected function create_override(\stdClass $cm, int $userid): int {
+        global $DB;
+
+        return $DB->insert_record('quiz_overrides', ['quiz' => $cm->instance, 'userid' => $userid, 'timelimit' => 3600]);
+    }
+
+    /**
+     * Test an accommodation is granted, changed and withdrawn, with an event each time.
+     * @covers \local_agentdetect\accommodation::set
+     * @covers \local_agentdetect\accommodation::get_mode
+     */
+    public function test_set(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        [$cm, $context, $user] = $this->create_quiz();
+        $overrideid = $this->create_override($cm, $user->id);
+
+        $this->assertNull(accommodation::get_mode($user->id, $context->id));
+
+        $sink = $this->redirectEvents();
+        $record = accommodation::set($cm, $user->id, accommodation::MODE_SUPPRESS, 'Uses a screen reader');
+        $this->assertEquals($overrideid, $record->overrideid);
+        $this->assertEquals(accommodation::MODE_SUPPRESS, accommodation::get_mode($user->id, $context->id));
+
+        accommodation::set($cm, $user->id, accommodation::MODE_REWEIGHT, 'Uses voice control');
+        $this->assertEquals(accommodation::MODE_REWEIGHT, accommodation::get_mode($user->id, $context->id));
+        $this->assertEquals('Uses voice control', accommodation::get($user->id, $context->id)->reason);
+        $this->assertEquals(1, $DB->count_records('local_agentdetect_accommodations'));
+
+        $this->assertNull(accommodation::set($cm, $user->id, null));
+        $this->assertNull(accommodation::get_mode($user->id, $context->id));
+
+        $events = $sink->get_events();
+        $sink->close();
+        $this->assertCount(3, $events);
+        $this->assertInstanceOf(\local_agentdetect\event\accommodation_updated::class, $events[0]);
+        $this->assertEquals($user->id, $events[0]->relateduserid);
+        $this->assertEquals($context->id, $events[0]->contextid);
+        $this->assertEquals(accommodation::MODE_SUPPRESS, $events[0]->other['mode']);
+        $this->assertNull($events[2]->other['mode']);
+    }
+
+    /**
+     * Test only students with a user override on the quiz can be accommodated.
+     * @covers \local_agentdetect\accommodation::set
+     */
+    public function test_set_requires_override(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        [$cm, , $user] = $this->create_quiz();
+
+        $this->expectException(\moodle_exception::class);
+        $this->expectExceptionMessage(get_string('accommodation:nooverride', 'local_agentdetect'));
+        accommodation::set($cm, $user->id, accommodation::MODE_SUPPRESS, 'Uses a screen reader');
+    }
+
+    /**
+     * Test the user overrides of a quiz are listed with their accommodations.
+     * @covers \local_agentdetect\accommodation::get_for_quiz
+     */
+    public function test_get_for_quiz(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        [$cm, , $user] = $this->create_quiz();
+        $other = $this->getDataGenerator()->create_and_enrol(get_course($cm->course), 'student');
+        $this->create_override($cm, $user->id);
+        $this->create_override($cm, $other->id);
+        accommodation::set($cm, $user->id, accommodation::MODE_REWEIGHT, 'Keyboard only');
+
+        $overrides = array_column(accommodation::get_for_quiz($cm), null, 'userid');
+
+        $this->assertCount(2, $overrides);
+        $this->assertEquals(accommodation::MODE_REWEIGHT, $overrides[$user->id]->mode);
+        $this->assertEquals('Keyboard only', $overrides[$user->id]->reason);
+        $this->assertEquals($user->firstname, $overrides[$user->id]->firstname);
+        $this->assertNull($overrides[$other->id]->mode);
+    }
+
+    /**
+     * Test deleting the user override withdraws the accommodation.
+     * @covers \local_agentdetect\observer::quiz_user_override_deleted
+     */
+    public function test_override_deleted(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        [$cm, $context, $user] = $this->create_quiz();
+        $overrideid = $this->create_override($cm, $user->id);
+        accommodation::set($cm, $user->id, accommodation::MODE_SUPPRESS, 'Uses switch access');
+
+        \mod_quiz\event\user_override_deleted::create([
+            'objectid' => $overrideid,
+            'context' => $context,
+            'relateduserid' => $user->id,
+            'other' => ['quizid' => $cm->instance],
+        ])->trigger();
+
+        $this->assertNull(accommodation::get_mode($user->id, $context->id));
+    }
+}
@@ -0,0 +1,189 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the activity_policy class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\activity_policy
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the activity_policy class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\activity_policy
+ */
+final class activity_policy_test extends \advanced_testcase {
+    /**
+     * Test an activity without a policy gets the site settings.
+     * @covers \local_agentdetect\activity_policy::resolve
+     */
+    public function test_resolve_site_defaults(): void {
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+
+        set_config('reportinterval', 20000, 'local_agentdetect');
+        set_config('threshold', 60, 'local_agentdetect');
+
+        $this->assertEquals([
+            'monitoring' => activity_policy::MONITORING_DEFAULT,
+            'sensitivity' => activity_policy::SENSITIVITY_STANDARD,
+            'reportInterval' => 20000,
+            'threshold' => 60,
+        ], activity_policy::resolve(\context_module::instance($quiz->cmid)));
+    }
+
+    /**
+     * Test the policy of an activity is passed on, and only to that activity.
+     * @covers \local_agentdetect\activity_policy::resolve
+     * @covers \local_agentdetect\activity_policy::set
+     */
+    public function test_resolve(): void {
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $other = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $quizcontext = \context_module::instance($quiz->cmid);
+
+        activity_policy::set($quizcontext->id, activity_policy::MONITORING_ON, activity_policy::SENSITIVITY_STRICT, 10000);
+
+        $this->assertEquals([
+            'monitoring' => activity_policy::MONITORING_ON,
+            'sensitivity' => activity_policy::SENSITIVITY_STRICT,
+            'reportInterval' => 10000,
+            'threshold' => 55,
+        ], activity_policy::resolve($quizcontext));
+
+        $this->assertEquals(activity_policy::MONITORING_DEFAULT,
+            activity_policy::resolve(\context_module::instance($other->cmid))['monitoring']);
+        $this->assertEquals(activity_policy::MONITORING_DEFAULT,
+            activity_policy::resolve(\context_course::instance($course->id))['monitoring']);
+    }
+
+    /**
+     * Test setting a policy back to the defaults removes it.
+     * @covers \local_agentdetect\activity_policy::set
+     * @covers \local_agentdetect\activity_policy::delete_for_context
+     */
+    public function test_set_and_delete(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $contextid = \context_module::instance($quiz->cmid)->id;
+
+        $policy = activity_policy::set($contextid, activity_policy::MONITORING_OFF, activity_policy::SENSITIVITY_STANDARD, 1000);
+        $this->assertEquals(activity_policy::MIN_REPORT_INTERVAL, $policy->reportinterval);
+
+        activity_policy::set($contextid, activity_policy::MONITORING_DEFAULT, activity_policy::SENSITIVITY_LENIENT, null);
+        $this->assertEquals(1, $DB->count_records('local_agentdetect_policies', ['contextid' => $contextid]));
+        $this->assertEquals(activity_policy::MONITORING_DEFAULT, activity_policy::get($contextid)->monitoring);
+
+        $this->assertNull(activity_policy::set($contextid, activity_policy::MONITORING_DEFAULT,
+            activity_policy::SENSITIVITY_STANDARD, null));
+        $this->assertNull(activity_policy::get($contextid));
+
+        activity_policy::set($contextid, activity_policy::MONITORING_ON, activity_policy::SENSITIVITY_STANDARD, null);
+        activity_policy::delete_for_context($contextid);
+        $this->assertNull(activity_policy::get($contextid));
+    }
+
+    /**
+     * Test unknown settings are refused.
+     * @covers \local_agentdetect\activity_policy::set
+     */
+    public function test_set_unknown_sensitivity(): void {
+        $this->resetAfterTest();
+
+        $this->expectException(\coding_exception::class);
+        activity_policy::set(1, activity_policy::MONITORING_ON, 'paranoid', null);
+    }
+
+    /**
+     * Data provider for test_is_monitored.
+     *
+     * @return array
+     */
+    public static function is_monitored_provider(): array {
+        return [
+            'default on a listed page' => [activity_policy::MONITORING_DEFAULT, 'mod-quiz-attempt', 'quiz', true],
+            'default on an unlisted page' => [activity_policy::MONITORING_DEFAULT, 'mod-quiz-view', 'quiz', false],
+            'on on an unlisted page' => [activity_policy::MONITORING_ON, 'mod-quiz-view', 'quiz', true],
+            'on outside the activity' => [activity_policy::MONITORING_ON, 'course-view-topics', null, false],
+            'off on a listed page' => [activity_policy::MONITORING_OFF, 'mod-quiz-attempt', 'quiz', false],
+        ];
+    }
+
+    /**
+     * Test which pages the detector runs on.
+     * @covers \local_agentdetect\activity_policy::is_monitored
+     * @dataProvider is_monitored_provider
+     *
+     * @param string $monitoring Monitoring setting of the policy.
+     * @param string $pagetype Page type.
+     * @param string|null $modname Activity type of the page.
+     * @param bool $expected Whether the page is monitored.
+     */
+    public function test_is_monitored(string $monitoring, string $pagetype, ?string $modname, bool $expected): void {
+        $this->resetAfterTest();
+        set_config('pagetypes', 'mod-quiz-attempt,mod-assign-*', 'local_agentdetect');
+
+        $this->assertSame($expected, activity_policy::is_monitored(['monitoring' => $monitoring], $pagetype, $modname));
+    }
+
+    /**
+     * Test an empty page type list monitors every page.
+     * @covers \local_agentdetect\activity_policy::is_monitored
+     */
+    public function test_is_monitored_all_pages(): void {
+        $this->resetAfterTest();
+        set_config('pagetypes', '', 'local_agentdetect');
+
+        $policy = ['monitoring' => activity_policy::MONITORING_DEFAULT];
+        $this->assertTrue(activity_policy::is_monitored($policy, 'course-view-topics'));
+    }
+
+    /**
+     * Test sensitivity moves the flag threshold within the scores that can flag.
+     * @covers \local_agentdetect\activity_policy::get_flag_threshold
+     */
+    public function test_get_flag_threshold(): void {
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $contextid = \context_module::instance($quiz->cmid)->id;
+
+        $this->assertEquals(signal_manager::FLAG_THRESHOLD_HIGH, activity_policy::get_flag_threshold(null));
+        $this->assertEquals(signal_manager::FLAG_THRESHOLD_HIGH, activity_policy::get_flag_threshold($contextid));
+
+        activity_policy::set($contextid, activity_policy::MONITORING_DEFAULT, activity_policy::SENSITIVITY_LENIENT, null);
+        $this->assertEquals(85, activity_policy::get_flag_threshold($contextid));
+
+        activity_policy::set($contextid, activity_policy::MONITORING_DEFAULT, activity_policy::SENSITIVITY_STRICT, null);
+        $this->assertEquals(55, activity_policy::get_flag_threshold($contextid));
+
+        set_config('threshold', 45, 'local_agentdetect');
+        $this->assertEquals(signal_manager::FLAG_THRESHOLD_SUSPICIOUS, activity_policy::get_flag_threshold($contextid));
+    }
+}
@@ -0,0 +1,192 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the attempt_sessions class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\attempt_sessions
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the attempt_sessions class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\attempt_sessions
+ */
+final class attempt_sessions_test extends \advanced_testcase {
+    /**
+     * Add a quiz attempt in progress for a user.
+     *
+     * @param \stdClass $quiz Quiz.
+     * @param \stdClass $user Student.
+     * @param int $attempt Attempt number.
+     * @return int Attempt ID.
+     */
+    protected function create_attempt(\stdClass $quiz, \stdClass $user, int $attempt = 1): int {
+        global $DB;
+
+        return $DB->insert_record('quiz_attempts', (object) [
+            'quiz' => $quiz->id,
+            'userid' => $user->id,
+            'attempt' => $attempt,
+            'uniqueid' => 4300 + $attempt,
+            'layout' => '',
+            'state' => 'inprogress',
+            'timestart' => time() - 600,
+            'timefinish' => 0,
+        ]);
+    }
+
+    /**
+     * Test sessions are only bound to the user's own attempts at the quiz reported from.
+     * @covers \local_agentdetect\attempt_sessions::bind
+     * @covers \local_agentdetect\attempt_sessions::get_attempt_id
+     */
+    public function test_bind(): void {
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $otherquiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $other = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $attemptid = $this->create_attempt($quiz, $student);
+        $otherattemptid = $this->create_attempt($otherquiz, $student, 2);
+
+        $sessions = new attempt_sessions();
+        $this->assertFalse($sessions->bind($other->id, $context->id, 'session-a', $attemptid));
+        $this->assertFalse($sessions->bind($student->id, $context->id, 'session-a', $otherattemptid));
+        $this->assertFalse($sessions->bind($student->id, \context_course::instance($course->id)->id, 'session-a', $attemptid));
+        $this->assertNull($sessions->get_attempt_id($student->id, 'session-a'));
+
+        $this->assertTrue($sessions->bind($student->id, $context->id, 'session-a', $attemptid));
+        $this->assertTrue($sessions->bind($student->id, $context->id, 'session-a', $attemptid));
+        $this->assertEquals($attemptid, $sessions->get_attempt_id($student->id, 'session-a'));
+
+        // A session belongs to one attempt, but an attempt may have several sessions.
+        $this->assertFalse($sessions->bind($student->id, $context->id, 'session-a', $otherattemptid));
+        $this->assertTrue($sessions->bind($student->id, $context->id, 'session-b', $attemptid));
+        $this->assertEquals(['session-a', 'session-b'], $sessions->get_session_ids($attemptid));
+    }
+
+    /**
+     * Test each attempt is flagged on the scores reported in its own sessions.
+     * @covers \local_agentdetect\attempt_sessions::record_score
+     * @covers \local_agentdetect\attempt_sessions::get_flags
+     */
+    public function test_get_flags(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $first = $this->create_attempt($quiz, $student);
+        $second = $this->create_attempt($quiz, $student, 2);
+        $third = $this->create_attempt($quiz, $student, 3);
+
+        $sessions = new attempt_sessions();
+        $sessions->bind($student->id, $context->id, 'session-1', $first);
+        $sessions->bind($student->id, $context->id, 'session-2a', $second);
+        $sessions->bind($student->id, $context->id, 'session-2b', $second);
+
+        $sessions->record_score($student->id, 'session-1', 20);
+        $sessions->record_score($student->id, 'session-2a', 45);
+        $sessions->record_score($student->id, 'session-2b', 75);
+        $sessions->record_score($student->id, 'session-2b', null);
+        $sessions->record_score($student->id, 'unbound', 90);
+
+        $flags = $sessions->get_flags([$first, $second, $third]);
+        $this->assertEquals([$first, $second], array_keys($flags));
+        $this->assertEquals(attempt_sessions::FLAG_LIKELY_HUMAN, $flags[$first]['flagtype']);
+        $this->assertEquals(20, $flags[$first]['maxscore']);
+        $this->assertEquals(0, $flags[$first]['detectioncount']);
+        $this->assertEquals(signal_manager::FLAG_SUSPECTED, $flags[$second]['flagtype']);
+        $this->assertEquals(75, $flags[$second]['maxscore']);
+        $this->assertEquals(2, $flags[$second]['detectioncount']);
+        $this->assertEquals(2, $flags[$second]['sessions']);
+
+        // A lenient quiz flags later.
+        activity_policy::set($context->id, activity_policy::MONITORING_DEFAULT, activity_policy::SENSITIVITY_LENIENT, null);
+        $this->assertEquals(attempt_sessions::FLAG_LOW_SUSPICION, $sessions->get_flags([$second])[$second]['flagtype']);
+
+        // The quiz's policy is read once, however many of its attempts are flagged.
+        $reads = $DB->perf_get_reads();
+        $sessions->get_flags([$second]);
+        $onereads = $DB->perf_get_reads() - $reads;
+        $reads = $DB->perf_get_reads();
+        $sessions->get_flags([$first, $second]);
+        $this->assertEquals($onereads, $DB->perf_get_reads() - $reads);
+    }
+
+    /**
+     * Test a teacher's decision on the user's flag stands for every attempt.
+     * @covers \local_agentdetect\attempt_sessions::get_flags
+     */
+    public function test_get_flags_teacher_decision(): void {
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'editingteacher');
+        $attemptid = $this->create_attempt($quiz, $student);
+
+        $sessions = new attempt_sessions();
+        $sessions->bind($student->id, $context->id, 'session-1', $attemptid);
+        $sessions->record_score($student->id, 'session-1', 80);
+
+        $manager = new signal_manager();
+        $manager->set_flag($student->id, signal_manager::FLAG_CLEARED, $context->id, 'Checked with the student', $teacher->id);
+        $this->assertEquals(signal_manager::FLAG_CLEARED, $sessions->get_flags([$attemptid])[$attemptid]['flagtype']);
+
+        $manager->set_flag($student->id, signal_manager::FLAG_CONFIRMED, $context->id, null, $teacher->id);
+        $this->assertEquals(signal_manager::FLAG_CONFIRMED, $sessions->get_flags([$attemptid])[$attemptid]['flagtype']);
+    }
+
+    /**
+     * Test sessions go with their attempt and quiz.
+     * @covers \local_agentdetect\attempt_sessions::delete_for_attempt
+     * @covers \local_agentdetect\attempt_sessions::delete_for_context
+     */
+    public function test_delete(): void {
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $first = $this->create_attempt($quiz, $student);
+        $second = $this->create_attempt($quiz, $student, 2);
+
+        $sessions = new attempt_sessions();
+        $sessions->bind($student->id, $context->id, 'session-1', $first);
+        $sessions->bind($student->id, $context->id, 'session-2', $second);
+
+        $sessions->delete_for_attempt($first);
+        $this->assertNull($sessions->get_attempt_id($student->id, 'session-1'));
+        $this->assertEquals($second, $sessions->get_attempt_id($student->id, 'session-2'));
+
+        $sessions->delete_for_context($context->id);
+        $this->assertNull($sessions->get_attempt_id($student->id, 'session-2'));
+    }
+}
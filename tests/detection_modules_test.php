@@ -0,0 +1,142 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the detection_modules class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\detection_modules
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the detection_modules class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\detection_modules
+ */
+final class detection_modules_test extends \advanced_testcase {
+    /**
+     * Test every module is on until the site switches it off.
+     * @covers \local_agentdetect\detection_modules::get_site_defaults
+     */
+    public function test_site_defaults(): void {
+        $this->resetAfterTest();
+
+        $this->assertEquals(array_fill_keys(detection_modules::get_modules(), true), detection_modules::get_site_defaults());
+
+        set_config('collectinteraction', 0, 'local_agentdetect');
+        $this->assertFalse(detection_modules::get_site_defaults()[detection_modules::INTERACTION]);
+    }
+
+    /**
+     * Test the activity overrides the course, which overrides the site.
+     * @covers \local_agentdetect\detection_modules::resolve
+     * @covers \local_agentdetect\detection_modules::set_override
+     */
+    public function test_resolve(): void {
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $coursecontext = \context_course::instance($course->id);
+        $quizcontext = \context_module::instance($quiz->cmid);
+
+        set_config('collectinjection', 0, 'local_agentdetect');
+        detection_modules::set_override($coursecontext->id, detection_modules::INTERACTION, false);
+        detection_modules::set_override($quizcontext->id, detection_modules::INTERACTION, true);
+        detection_modules::set_override($coursecontext->id, detection_modules::INJECTION, true);
+
+        $course = detection_modules::resolve($coursecontext);
+        $this->assertFalse($course[detection_modules::INTERACTION]);
+        $this->assertTrue($course[detection_modules::INJECTION]);
+
+        $quiz = detection_modules::resolve($quizcontext);
+        $this->assertTrue($quiz[detection_modules::INTERACTION]);
+        $this->assertTrue($quiz[detection_modules::INJECTION]);
+        $this->assertTrue($quiz[detection_modules::FINGERPRINT]);
+
+        // Back to inheriting from the course.
+        detection_modules::set_override($quizcontext->id, detection_modules::INTERACTION, null);
+        $this->assertEmpty(detection_modules::get_overrides($quizcontext->id));
+        $this->assertFalse(detection_modules::resolve($quizcontext)[detection_modules::INTERACTION]);
+    }
+
+    /**
+     * Test the extension probe is off whenever a module it needs is.
+     * @covers \local_agentdetect\detection_modules::resolve
+     */
+    public function test_resolve_dependencies(): void {
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $context = \context_course::instance($course->id);
+
+        $this->assertTrue(detection_modules::resolve($context)[detection_modules::EXTENSIONPROBE]);
+
+        detection_modules::set_override($context->id, detection_modules::COMET, false);
+        $this->assertFalse(detection_modules::resolve($context)[detection_modules::EXTENSIONPROBE]);
+
+        detection_modules::set_override($context->id, detection_modules::COMET, null);
+        set_config('collectfingerprint', 0, 'local_agentdetect');
+        $this->assertFalse(detection_modules::resolve($context)[detection_modules::EXTENSIONPROBE]);
+    }
+
+    /**
+     * Test overrides go with the activity they were set for.
+     * @covers \local_agentdetect\observer::context_deleted
+     */
+    public function test_deleted_with_activity(): void {
+        global $CFG, $DB;
+        require_once($CFG->dirroot . '/course/lib.php');
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        detection_modules::set_override($context->id, detection_modules::COMET, false);
+
+        course_delete_module($quiz->cmid);
+
+        $this->assertEquals(0, $DB->count_records('local_agentdetect_modules', ['contextid' => $context->id]));
+    }
+
+    /**
+     * Test reading the module manifest of a report.
+     * @covers \local_agentdetect\detection_modules::ran
+     * @covers \local_agentdetect\detection_modules::get_not_run
+     */
+    public function test_manifest(): void {
+        $report = ['modules' => [
+            'fingerprint' => detection_modules::STATUS_RAN,
+            'interaction' => detection_modules::STATUS_DISABLED,
+            'injection' => detection_modules::STATUS_FAILED,
+        ]];
+
+        $this->assertTrue(detection_modules::ran($report, detection_modules::FINGERPRINT));
+        $this->assertFalse(detection_modules::ran($report, detection_modules::INTERACTION));
+        $this->assertFalse(detection_modules::ran($report, detection_modules::INJECTION));
+        $this->assertTrue(detection_modules::ran($report, detection_modules::COMET));
+        $this->assertTrue(detection_modules::ran([], detection_modules::INTERACTION));
+
+        $this->assertEquals([
+            'interaction' => detection_modules::STATUS_DISABLED,
+            'injection' => detection_modules::STATUS_FAILED,
+        ], detection_modules::get_not_run($report));
+    }
+}
@@ -0,0 +1,194 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the get_attempt_detail external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_attempt_detail
+ */
+
+namespace local_agentdetect;
+
+use core_external\external_api;
+use local_agentdetect\external\get_attempt_detail;
+
+/**
+ * Tests for the get_attempt_detail external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_attempt_detail
+ */
+final class get_attempt_detail_test extends \advanced_testcase {
+    /**
+     * Add a finished quiz attempt for a user.
+     *
+     * @param \stdClass $quiz Quiz.
+     * @param \stdClass $user Student.
+     * @return int Attempt ID.
+     */
+    protected function create_attempt(\stdClass $quiz, \stdClass $user): int {
+        global $DB;
+
+        return $DB->insert_record('quiz_attempts', (object) [
+            'quiz' => $quiz->id,
+            'userid' => $user->id,
+            'attempt' => 1,
+            'uniqueid' => 4600,
+            'layout' => '',
+            'state' => 'finished',
+            'timestart' => time() - 600,
+            'timefinish' => time() - 60,
+        ]);
+    }
+
+    /**
+     * Record a combined report.
+     *
+     * @param int $userid User ID.
+     * @param int $contextid Context ID.
+     * @param string $sessionid Detection session ID.
+     * @param int $score Combined score.
+     * @param string $verdict Verdict.
+     * @param array $data Signal data.
+     * @param int $time When the report arrived.
+     */
+    protected function add_report(
+        int $userid,
+        int $contextid,
+        string $sessionid,
+        int $score,
+        string $verdict,
+        array $data,
+        int $time
+    ): void {
+        global $DB;
+
+        $DB->insert_record('local_agentdetect_signals', (object) [
+            'userid' => $userid,
+            'contextid' => $contextid,
+            'sessionid' => $sessionid,
+            'signaltype' => signal_manager::SIGNAL_COMBINED,
+            'combinedscore' => $score,
+            'verdict' => $verdict,
+            'signaldata' => json_encode($data),
+            'timecreated' => $time,
+        ]);
+        (new attempt_sessions())->record_score($userid, $sessionid, $score);
+    }
+
+    /**
+     * Test teachers get the timeline and strongest signals of an attempt.
+     * @covers \local_agentdetect\external\get_attempt_detail::execute
+     */
+    public function test_execute(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'editingteacher');
+        $attemptid = $this->create_attempt($quiz, $student);
+        (new attempt_sessions())->bind($student->id, $context->id, 'session-1', $attemptid);
+
+        $now = time();
+        $this->add_report($student->id, $context->id, 'session-1', 20, 'LIKELY_HUMAN', [], $now - 120);
+        $this->add_report($student->id, $context->id, 'session-1', 85, 'HIGH_CONFIDENCE_AGENT', [
+            'interaction' => ['anomalies' => [
+                ['name' => 'comet.zero_keystrokes', 'weight' => 10],
+                ['name' => 'made.up.signal', 'weight' => 5],
+            ]],
+            'comet' => ['signals' => [['name' => 'click.center_precision', 'weight' => 30]]],
+        ], $now - 60);
+        $this->add_report($student->id, $context->id, 'session-1', 60, 'PROBABLE_AGENT', [], $now);
+
+        // A report of another session of the student is not part of the attempt.
+        $this->add_report($student->id, $context->id, 'session-2', 99, 'HIGH_CONFIDENCE_AGENT', [], $now);
+
+        (new signal_manager())->set_flag($student->id, signal_manager::FLAG_SUSPECTED, $context->id, 'Check question 3');
+
+        $this->setUser($teacher);
+        $result = external_api::clean_returnvalue(
+            get_attempt_detail::execute_returns(),
+            get_attempt_detail::execute($attemptid)
+        );
+
+        $this->assertEquals($attemptid, $result['attemptid']);
+        $this->assertEquals($context->id, $result['contextid']);
+        $this->assertEquals(signal_manager::FLAG_SUSPECTED, $result['flagtype']);
+        $this->assertEquals(85, $result['maxscore']);
+        $this->assertEquals('HIGH_CONFIDENCE_AGENT', $result['verdict']);
+        $this->assertEquals([20, 85, 60], array_column($result['timeline'], 'score'));
+        $this->assertEquals(
+            ['click.center_precision', 'comet.zero_keystrokes', 'made.up.signal'],
+            array_column($result['signals'], 'name')
+        );
+        $this->assertEquals(signal_explainer::explain('click.center_precision'), $result['signals'][0]['explanation']);
+        $this->assertSame('', $result['signals'][2]['explanation']);
+        $this->assertTrue($result['hasflag']);
+        $this->assertEquals('Check question 3', $result['notes']);
+        $this->assertTrue($result['canmanage']);
+    }
+
+    /**
+     * Test an attempt the detector did not run in has no detail.
+     * @covers \local_agentdetect\external\get_attempt_detail::execute
+     */
+    public function test_execute_without_reports(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'teacher');
+        $attemptid = $this->create_attempt($quiz, $student);
+
+        $this->setUser($teacher);
+        $result = external_api::clean_returnvalue(
+            get_attempt_detail::execute_returns(),
+            get_attempt_detail::execute($attemptid)
+        );
+
+        $this->assertSame('', $result['flagtype']);
+        $this->assertSame('', $result['verdict']);
+        $this->assertSame([], $result['timeline']);
+        $this->assertSame([], $result['signals']);
+        $this->assertFalse($result['hasflag']);
+        $this->assertFalse($result['canmanage']);
+    }
+
+    /**
+     * Test students cannot see the detail of attempts.
+     * @covers \local_agentdetect\external\get_attempt_detail::execute
+     */
+    public function test_execute_requires_capability(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $attemptid = $this->create_attempt($quiz, $student);
+        $this->setUser($student);
+
+        $this->expectException(\required_capability_exception::class);
+        get_attempt_detail::execute($attemptid);
+    }
+}
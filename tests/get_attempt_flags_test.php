@@ -0,0 +1,114 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the get_attempt_flags external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_attempt_flags
+ */
+
+namespace local_agentdetect;
+
+use core_external\external_api;
+use local_agentdetect\external\get_attempt_flags;
+
+/**
+ * Tests for the get_attempt_flags external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_attempt_flags
+ */
+final class get_attempt_flags_test extends \advanced_testcase {
+    /**
+     * Add a finished quiz attempt for a user.
+     *
+     * @param \stdClass $quiz Quiz.
+     * @param \stdClass $user Student.
+     * @param int $attempt Attempt number.
+     * @return int Attempt ID.
+     */
+    protected function create_attempt(\stdClass $quiz, \stdClass $user, int $attempt = 1): int {
+        global $DB;
+
+        return $DB->insert_record('quiz_attempts', (object) [
+            'quiz' => $quiz->id,
+            'userid' => $user->id,
+            'attempt' => $attempt,
+            'uniqueid' => 4500 + $attempt,
+            'layout' => '',
+            'state' => 'finished',
+            'timestart' => time() - 600,
+            'timefinish' => time() - 60,
+        ]);
+    }
+
+    /**
+     * Test teachers get the flag of each attempt the detector ran in.
+     * @covers \local_agentdetect\external\get_attempt_flags::execute
+     */
+    public function test_execute(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'teacher');
+        $first = $this->create_attempt($quiz, $student);
+        $second = $this->create_attempt($quiz, $student, 2);
+
+        $sessions = new attempt_sessions();
+        $sessions->bind($student->id, $context->id, 'session-1', $first);
+        $sessions->record_score($student->id, 'session-1', 50);
+
+        $this->setUser($teacher);
+        $result = external_api::clean_returnvalue(
+            get_attempt_flags::execute_returns(),
+            get_attempt_flags::execute([$first, $second])
+        );
+
+        $this->assertEquals([[
+            'attemptid' => $first,
+            'userid' => $student->id,
+            'flagtype' => attempt_sessions::FLAG_LOW_SUSPICION,
+            'maxscore' => 50,
+            'detectioncount' => 1,
+            'sessions' => 1,
+        ]], $result);
+    }
+
+    /**
+     * Test students cannot see the flags of attempts.
+     * @covers \local_agentdetect\external\get_attempt_flags::execute
+     */
+    public function test_execute_requires_capability(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $attemptid = $this->create_attempt($quiz, $student);
+        $this->setUser($student);
+
+        $this->expectException(\required_capability_exception::class);
+        get_attempt_flags::execute([$attemptid]);
+    }
+}
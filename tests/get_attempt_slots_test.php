@@ -0,0 +1,114 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the get_attempt_slots external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_attempt_slots
+ */
+
+namespace local_agentdetect;
+
+use core_external\external_api;
+use local_agentdetect\external\get_attempt_slots;
+
+/**
+ * Tests for the get_attempt_slots external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_attempt_slots
+ */
+final class get_attempt_slots_test extends \advanced_testcase {
+    /**
+     * Add a finished quiz attempt for a user.
+     *
+     * @param \stdClass $quiz Quiz.
+     * @param \stdClass $user Student.
+     * @return int Attempt ID.
+     */
+    protected function create_attempt(\stdClass $quiz, \stdClass $user): int {
+        global $DB;
+
+        return $DB->insert_record('quiz_attempts', (object) [
+            'quiz' => $quiz->id,
+            'userid' => $user->id,
+            'attempt' => 1,
+            'uniqueid' => 4243,
+            'layout' => '',
+            'state' => 'finished',
+            'timestart' => time() - 600,
+            'timefinish' => time() - 60,
+        ]);
+    }
+
+    /**
+     * Test teachers get the questions of an attempt.
+     * @covers \local_agentdetect\external\get_attempt_slots::execute
+     */
+    public function test_execute(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'teacher');
+        $attemptid = $this->create_attempt($quiz, $student);
+
+        (new signal_manager())->store_signal($student->id, $context->id, 'review-1', 'combined', [
+            'interaction' => ['slots' => [[
+                'name' => $attemptid . ':3',
+                'attempt' => $attemptid,
+                'slot' => 3,
+                'eventCounts' => ['mouseMoves' => 0, 'clicks' => 4, 'keystrokes' => 0],
+                'anomalies' => [['name' => 'click.teleport_pattern', 'value' => 0, 'weight' => 10]],
+            ]]],
+        ]);
+
+        $this->setUser($teacher);
+        $result = external_api::clean_returnvalue(
+            get_attempt_slots::execute_returns(),
+            get_attempt_slots::execute($attemptid)
+        );
+
+        $this->assertEquals($attemptid, $result['attemptid']);
+        $this->assertCount(1, $result['slots']);
+        $this->assertEquals(3, $result['slots'][0]['slot']);
+        $this->assertEquals('click.teleport_pattern', $result['slots'][0]['anomalies'][0]['name']);
+    }
+
+    /**
+     * Test students cannot see the question scores.
+     * @covers \local_agentdetect\external\get_attempt_slots::execute
+     */
+    public function test_execute_requires_capability(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $attemptid = $this->create_attempt($quiz, $student);
+        $this->setUser($student);
+
+        $this->expectException(\required_capability_exception::class);
+        get_attempt_slots::execute($attemptid);
+    }
+}
@@ -0,0 +1,88 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the get_live_attempts external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_live_attempts
+ */
+
+namespace local_agentdetect;
+
+use core_external\external_api;
+use local_agentdetect\external\get_live_attempts;
+
+/**
+ * Tests for the get_live_attempts external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_live_attempts
+ */
+final class get_live_attempts_test extends \advanced_testcase {
+    /**
+     * Test teachers get the attempts in progress.
+     * @covers \local_agentdetect\external\get_live_attempts::execute
+     */
+    public function test_execute(): void {
+        global $DB;
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'teacher');
+        $DB->insert_record('quiz_attempts', (object) [
+            'quiz' => $quiz->id,
+            'userid' => $student->id,
+            'attempt' => 1,
+            'uniqueid' => 4242,
+            'layout' => '',
+            'state' => 'inprogress',
+            'timestart' => time() - 60,
+        ]);
+
+        $this->setUser($teacher);
+        $result = external_api::clean_returnvalue(
+            get_live_attempts::execute_returns(),
+            get_live_attempts::execute($quiz->cmid)
+        );
+
+        $this->assertEquals(heartbeat_monitor::get_silence_limit(), $result['silencelimit']);
+        $this->assertCount(1, $result['attempts']);
+        $this->assertEquals($student->id, $result['attempts'][0]['userid']);
+        $this->assertEquals(0, $result['attempts'][0]['lastheartbeat']);
+    }
+
+    /**
+     * Test students cannot watch other attempts.
+     * @covers \local_agentdetect\external\get_live_attempts::execute
+     */
+    public function test_execute_requires_capability(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $this->setUser($this->getDataGenerator()->create_and_enrol($course, 'student'));
+
+        $this->expectException(\required_capability_exception::class);
+        get_live_attempts::execute($quiz->cmid);
+    }
+}
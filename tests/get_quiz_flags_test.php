@@ -0,0 +1,143 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the get_quiz_flags external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_quiz_flags
+ */
+
+namespace local_agentdetect;
+
+use core_external\external_api;
+use local_agentdetect\external\get_quiz_flags;
+
+/**
+ * Tests for the get_quiz_flags external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\get_quiz_flags
+ */
+final class get_quiz_flags_test extends \advanced_testcase {
+    /** @var int Next unique ID of a question usage. */
+    protected $uniqueid = 4700;
+
+    /**
+     * Add a finished quiz attempt for a user.
+     *
+     * @param \stdClass $quiz Quiz.
+     * @param \stdClass $user Student.
+     * @return int Attempt ID.
+     */
+    protected function create_attempt(\stdClass $quiz, \stdClass $user): int {
+        global $DB;
+
+        return $DB->insert_record('quiz_attempts', (object) [
+            'quiz' => $quiz->id,
+            'userid' => $user->id,
+            'attempt' => 1,
+            'uniqueid' => $this->uniqueid++,
+            'layout' => '',
+            'state' => 'finished',
+            'timestart' => time() - 600,
+            'timefinish' => time() - 60,
+        ]);
+    }
+
+    /**
+     * Test each attempt gets its own flag, or else the student's.
+     * @covers \local_agentdetect\external\get_quiz_flags::execute
+     * @covers \local_agentdetect\attempt_sessions::get_quiz_flags
+     */
+    public function test_execute(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $otherquiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'teacher');
+        $tracked = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $flagged = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $cleared = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $unseen = $this->getDataGenerator()->create_and_enrol($course, 'student');
+
+        $trackedattempt = $this->create_attempt($quiz, $tracked);
+        $flaggedattempt = $this->create_attempt($quiz, $flagged);
+        $clearedattempt = $this->create_attempt($quiz, $cleared);
+        $unseenattempt = $this->create_attempt($quiz, $unseen);
+        $otherattempt = $this->create_attempt($otherquiz, $flagged);
+
+        $sessions = new attempt_sessions();
+        $sessions->bind($tracked->id, $context->id, 'session-1', $trackedattempt);
+        $sessions->record_score($tracked->id, 'session-1', 20);
+
+        $manager = new signal_manager();
+        $manager->set_flag($flagged->id, signal_manager::FLAG_SUSPECTED, $context->id);
+        $manager->set_flag($cleared->id, signal_manager::FLAG_CLEARED, $context->id);
+
+        $this->setUser($teacher);
+        $result = external_api::clean_returnvalue(
+            get_quiz_flags::execute_returns(),
+            get_quiz_flags::execute($quiz->cmid, [$trackedattempt, $flaggedattempt, $clearedattempt, $unseenattempt, $otherattempt])
+        );
+
+        $this->assertEquals([
+            [
+                'attemptid' => $trackedattempt,
+                'userid' => $tracked->id,
+                'flagtype' => attempt_sessions::FLAG_LIKELY_HUMAN,
+                'maxscore' => 20,
+                'source' => attempt_sessions::SOURCE_ATTEMPT,
+            ],
+            [
+                'attemptid' => $flaggedattempt,
+                'userid' => $flagged->id,
+                'flagtype' => signal_manager::FLAG_SUSPECTED,
+                'maxscore' => 0,
+                'source' => attempt_sessions::SOURCE_USER,
+            ],
+        ], $result);
+
+        // Without a list, every attempt at the quiz is included.
+        $this->assertEquals(
+            [$trackedattempt, $flaggedattempt],
+            array_keys($sessions->get_quiz_flags($quiz->id))
+        );
+    }
+
+    /**
+     * Test students cannot see the flags of a quiz.
+     * @covers \local_agentdetect\external\get_quiz_flags::execute
+     */
+    public function test_execute_requires_capability(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $attemptid = $this->create_attempt($quiz, $student);
+        $this->setUser($student);
+
+        $this->expectException(\required_capability_exception::class);
+        get_quiz_flags::execute($quiz->cmid, [$attemptid]);
+    }
+}
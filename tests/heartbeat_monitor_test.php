@@ -0,0 +1,115 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the heartbeat_monitor class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\heartbeat_monitor
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the heartbeat_monitor class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\heartbeat_monitor
+ */
+final class heartbeat_monitor_test extends \advanced_testcase {
+    /**
+     * Test heartbeats are counted per detection session.
+     * @covers \local_agentdetect\heartbeat_monitor::record
+     */
+    public function test_record(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+
+        $monitor = new heartbeat_monitor();
+        $monitor->record($user->id, 5, 'hb-session-1', 1000);
+        $monitor->record($user->id, 5, 'hb-session-1', 1015);
+        $monitor->record($user->id, 5, 'hb-session-2', 1020);
+
+        $record = $DB->get_record('local_agentdetect_heartbeats', ['sessionid' => 'hb-session-1']);
+        $this->assertEquals(2, $record->beats);
+        $this->assertEquals(1000, $record->firstbeat);
+        $this->assertEquals(1015, $record->lastbeat);
+        $this->assertEquals(2, $DB->count_records('local_agentdetect_heartbeats', ['userid' => $user->id]));
+    }
+
+    /**
+     * Test a session whose heartbeats stopped well before the end counts as silenced.
+     * @covers \local_agentdetect\heartbeat_monitor::find_silenced
+     */
+    public function test_find_silenced(): void {
+        $this->resetAfterTest();
+        set_config('heartbeatinterval', 15000, 'local_agentdetect');
+        $user = $this->getDataGenerator()->create_user();
+
+        $monitor = new heartbeat_monitor();
+        $monitor->record($user->id, 5, 'hb-session', 1000);
+        $monitor->record($user->id, 5, 'hb-session', 1100);
+
+        // The silence limit is four intervals, one minute.
+        $this->assertEquals(60, heartbeat_monitor::get_silence_limit());
+        $this->assertNull($monitor->find_silenced($user->id, 5, 900, 1160));
+
+        $silenced = $monitor->find_silenced($user->id, 5, 900, 1500);
+        $this->assertNotNull($silenced);
+        $this->assertEquals('hb-session', $silenced->sessionid);
+        $this->assertEquals(1100, $silenced->lastbeat);
+    }
+
+    /**
+     * Test the most recent session is used, and sessions outside the period are ignored.
+     * @covers \local_agentdetect\heartbeat_monitor::find_silenced
+     */
+    public function test_find_silenced_ignores_other_sessions(): void {
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+
+        $monitor = new heartbeat_monitor();
+        $monitor->record($user->id, 5, 'hb-quiet', 1000);
+        $monitor->record($user->id, 5, 'hb-active', 1000);
+        $monitor->record($user->id, 5, 'hb-active', 1480);
+        $monitor->record($user->id, 6, 'hb-other-context', 1000);
+
+        // A newer session on the same page took over, so the detector was not silenced.
+        $this->assertNull($monitor->find_silenced($user->id, 5, 900, 1500));
+
+        // Heartbeats from before the period, or none at all, are not a silenced detector.
+        $this->assertNull($monitor->find_silenced($user->id, 5, 2000, 3000));
+        $this->assertNull($monitor->find_silenced($user->id, 7, 900, 1500));
+    }
+
+    /**
+     * Test the configured interval cannot go below the minimum.
+     * @covers \local_agentdetect\heartbeat_monitor::get_interval
+     */
+    public function test_get_interval(): void {
+        $this->resetAfterTest();
+
+        $this->assertEquals(heartbeat_monitor::DEFAULT_INTERVAL, heartbeat_monitor::get_interval());
+
+        set_config('heartbeatinterval', 1000, 'local_agentdetect');
+        $this->assertEquals(heartbeat_monitor::MIN_INTERVAL, heartbeat_monitor::get_interval());
+    }
+}
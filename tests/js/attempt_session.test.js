@@ -0,0 +1,115 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for keying detection sessions by the quiz attempt of the page.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as Detector from 'local_agentdetect/detector';
+import * as Registry from 'local_agentdetect/registry';
+
+/**
+ * Open a page of the given type at the given URL.
+ *
+ * @param {string} pagetype Moodle page type, e.g. 'mod-quiz-attempt'.
+ * @param {string} url Page URL.
+ * @param {string} [body] Page HTML.
+ */
+const openPage = (pagetype, url, body = '') => {
+    window.history.replaceState({}, '', url);
+    document.body.id = 'page-' + pagetype;
+    document.body.innerHTML = body;
+};
+
+/**
+ * Start the detector on the current page, without reporting, and get its session.
+ *
+ * @returns {Promise<Object>} Detector status.
+ */
+const startDetector = async() => {
+    await Detector.init({modules: {interaction: false, injection: false}});
+    const status = Detector.getStatus();
+    Detector.shutdown();
+    Registry.getNames().forEach(Registry.unregister);
+    return status;
+};
+
+beforeEach(() => {
+    // Jsdom has no canvas; the canvas and WebGL checks find nothing either way.
+    jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+    sessionStorage.clear();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    openPage('site-index', '/');
+});
+
+describe('getQuizAttemptId', () => {
+    test('reads the attempt from the URL of an attempt page', () => {
+        openPage('mod-quiz-attempt', '/mod/quiz/attempt.php?attempt=12&cmid=3&page=1');
+        expect(Detector.getQuizAttemptId()).toBe(12);
+    });
+
+    test('reads the attempt from the form of a summary page', () => {
+        openPage('mod-quiz-summary', '/mod/quiz/summary.php?cmid=3',
+            '<form action="processattempt.php"><input type="hidden" name="attempt" value="14"></form>');
+        expect(Detector.getQuizAttemptId()).toBe(14);
+    });
+
+    test('ignores other quiz pages', () => {
+        openPage('mod-quiz-review', '/mod/quiz/review.php?attempt=12');
+        expect(Detector.getQuizAttemptId()).toBe(0);
+
+        openPage('mod-quiz-view', '/mod/quiz/view.php?id=3');
+        expect(Detector.getQuizAttemptId()).toBe(0);
+    });
+});
+
+describe('sessions', () => {
+    test('every page of an attempt shares one session, however long the attempt lasts', async() => {
+        openPage('mod-quiz-attempt', '/mod/quiz/attempt.php?attempt=12&cmid=3');
+        const first = await startDetector();
+        expect(first.attemptId).toBe(12);
+
+        const later = Date.now() + 3 * 60 * 60 * 1000;
+        jest.spyOn(Date, 'now').mockReturnValue(later);
+        openPage('mod-quiz-summary', '/mod/quiz/summary.php?attempt=12&cmid=3');
+        const summary = await startDetector();
+
+        expect(summary.sessionId).toBe(first.sessionId);
+    });
+
+    test('each attempt in a tab gets a session of its own', async() => {
+        openPage('mod-quiz-attempt', '/mod/quiz/attempt.php?attempt=12&cmid=3');
+        const first = await startDetector();
+
+        openPage('mod-quiz-view', '/mod/quiz/view.php?id=3');
+        const view = await startDetector();
+
+        openPage('mod-quiz-attempt', '/mod/quiz/attempt.php?attempt=13&cmid=3');
+        const second = await startDetector();
+
+        openPage('mod-quiz-attempt', '/mod/quiz/attempt.php?attempt=12&cmid=3&page=2');
+        const resumed = await startDetector();
+
+        expect(view.attemptId).toBe(0);
+        expect(new Set([first.sessionId, view.sessionId, second.sessionId]).size).toBe(3);
+        expect(resumed.sessionId).toBe(first.sessionId);
+    });
+});
@@ -0,0 +1,327 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the benchmark tool in tools/benchmark.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as Interaction from 'local_agentdetect/interaction';
+import * as Benchmark from '../../tools/benchmark/benchmark';
+import * as Metrics from '../../tools/benchmark/metrics';
+import {
+    agentAnswer, agentTouchAnswer, autoTypeAnswer, chatbotAnswer, createRandom, humanAnswer, loadPage, scriptedAnswer, setAnswer,
+    touchAnswer, writeAnswer,
+} from './helpers/events';
+
+// Canvas and WebGL are missing under jsdom; the fingerprint is given per test instead.
+jest.mock('local_agentdetect/fingerprint', () => ({
+    ...jest.requireActual('local_agentdetect/fingerprint'),
+    collect: jest.fn(async() => ({})),
+}));
+
+/**
+ * Build a scored session for the metrics.
+ *
+ * @param {string} label Corpus label.
+ * @param {number} score Combined score.
+ * @param {Array<string>} [signals] Signal names.
+ * @returns {Object} Session.
+ */
+const session = (label, score, signals = []) => ({file: `${label}/${score}.json`, label, agent: Metrics.LABELS[label], score,
+    verdict: '', signals});
+
+const SESSIONS = [
+    session('human', 10, ['mouse.linear_movement']),
+    session('human', 45, ['mouse.linear_movement', 'click.center_precision']),
+    session('keyboard_only', 75, ['mouse.no_movement']),
+    session('comet', 90, ['click.center_precision', 'mouse.no_movement']),
+    session('selenium', 80, ['webdriver.flag']),
+    session('playwright', 30, ['click.center_precision']),
+];
+
+/**
+ * Record one quiz page, as a fresh page load does.
+ *
+ * @param {Function} answer Fills in the page.
+ * @returns {Promise<Object>} Recording.
+ */
+const record = async(answer) => {
+    let Recorder;
+    jest.isolateModules(() => {
+        Recorder = require('local_agentdetect/recording');
+    });
+    loadPage();
+    Recorder.start();
+    answer();
+    Recorder.stop();
+    return Recorder.exportRecording();
+};
+
+describe('metrics', () => {
+    test('confusionMatrix', () => {
+        expect(Metrics.confusionMatrix(SESSIONS, 70)).toEqual({
+            threshold: 70,
+            tp: 2,
+            fp: 1,
+            tn: 2,
+            fn: 1,
+            precision: 2 / 3,
+            recall: 2 / 3,
+            falsePositiveRate: 1 / 3,
+            accuracy: 4 / 6,
+        });
+    });
+
+    test('ratios are null without sessions to divide by', () => {
+        expect(Metrics.confusionMatrix([session('human', 10)], 70)).toMatchObject({precision: null, recall: null,
+            falsePositiveRate: 0, accuracy: 1});
+    });
+
+    test('labelBreakdown', () => {
+        expect(Metrics.labelBreakdown(SESSIONS, 40)).toEqual([
+            {label: 'human', agent: false, sessions: 2, flagged: 1, flaggedRate: 0.5, meanScore: 27.5},
+            {label: 'keyboard_only', agent: false, sessions: 1, flagged: 1, flaggedRate: 1, meanScore: 75},
+            {label: 'comet', agent: true, sessions: 1, flagged: 1, flaggedRate: 1, meanScore: 90},
+            {label: 'selenium', agent: true, sessions: 1, flagged: 1, flaggedRate: 1, meanScore: 80},
+            {label: 'playwright', agent: true, sessions: 1, flagged: 0, flaggedRate: 0, meanScore: 30},
+        ]);
+    });
+
+    test('signalStats', () => {
+        expect(Metrics.signalStats(SESSIONS, 40)).toEqual([
+            {name: 'click.center_precision', agents: 2, humans: 1, precision: 2 / 3, recall: 2 / 3, flaggedHumans: 1},
+            {name: 'mouse.linear_movement', agents: 0, humans: 2, precision: 0, recall: 0, flaggedHumans: 1},
+            {name: 'mouse.no_movement', agents: 1, humans: 1, precision: 0.5, recall: 1 / 3, flaggedHumans: 1},
+            {name: 'webdriver.flag', agents: 1, humans: 0, precision: 1, recall: 1 / 3, flaggedHumans: 0},
+        ]);
+    });
+
+    test('rocCurve', () => {
+        const curve = Metrics.rocCurve(SESSIONS);
+
+        expect(curve).toHaveLength(102);
+        expect(curve[0]).toEqual({threshold: 0, truePositiveRate: 1, falsePositiveRate: 1});
+        expect(curve[50]).toEqual({threshold: 50, truePositiveRate: 2 / 3, falsePositiveRate: 1 / 3});
+        expect(curve[101]).toEqual({threshold: 101, truePositiveRate: 0, falsePositiveRate: 0});
+    });
+
+    test.each([
+        ['separated scores', [session('human', 10), session('comet', 90)], 1],
+        // The share of agent and human pairs in which the agent scored higher.
+        ['overlapping scores', SESSIONS, 7 / 9],
+        ['reversed scores', [session('human', 90), session('comet', 10)], 0],
+        ['no human sessions', [session('comet', 90)], null],
+    ])('areaUnderCurve with %s', (_, sessions, expected) => {
+        const area = Metrics.areaUnderCurve(Metrics.rocCurve(sessions));
+
+        if (expected === null) {
+            expect(area).toBeNull();
+        } else {
+            expect(area).toBeCloseTo(expected, 10);
+        }
+    });
+});
+
+describe('evaluate', () => {
+    let corpus;
+
+    beforeAll(async() => {
+        jest.useFakeTimers({now: new Date('2026-03-02T09:00:00Z')});
+        sessionStorage.clear();
+        const random = createRandom(7);
+        corpus = [
+            {file: 'human/one.json', label: 'human', recording: await record(() => humanAnswer(random))},
+            {file: 'comet/one.json', label: 'comet', recording: await record(() => [1, 2, 3].forEach(agentAnswer))},
+        ];
+        corpus[1].recording.fingerprint = {webdriver: {signals: [{name: 'webdriver.flag', weight: 10}]}};
+        jest.useRealTimers();
+    });
+
+    afterAll(() => {
+        Interaction.reset();
+    });
+
+    test('separates the recorded sessions', () => {
+        const report = Benchmark.evaluate(corpus);
+
+        expect(report.threshold).toBe(70);
+        expect(report.profileVersion).toBe(1);
+        expect(report.sessions.map(({file, label, agent}) => ({file, label, agent}))).toEqual([
+            {file: 'human/one.json', label: 'human', agent: false},
+            {file: 'comet/one.json', label: 'comet', agent: true},
+        ]);
+        expect(report.sessions[0].score).toBeLessThan(40);
+        expect(report.sessions[1].score).toBeGreaterThanOrEqual(70);
+        expect(report.sessions[1].signals).toEqual(expect.arrayContaining(['click.center_precision', 'webdriver.flag']));
+        expect(report.confusion).toMatchObject({tp: 1, fp: 0, tn: 1, fn: 0});
+        expect(report.auc).toBe(1);
+    });
+
+    test('scores under a profile override', () => {
+        const report = Benchmark.evaluate(corpus, {profile: {version: 5, threshold: 101}});
+
+        expect(report.profileVersion).toBe(5);
+        expect(report.threshold).toBe(101);
+        expect(report.confusion).toMatchObject({tp: 0, fn: 1});
+    });
+
+    test('rescores the recorded fingerprint', () => {
+        const scores = [{}, {weights: {'webdriver.flag': 0}}].map((profile) => {
+            const recording = {...corpus[0].recording, fingerprint: corpus[1].recording.fingerprint};
+            return Benchmark.evaluate([{file: 'human/one.json', label: 'human', recording}], {profile}).sessions[0].score;
+        });
+
+        expect(scores[0]).toBeGreaterThan(scores[1]);
+    });
+
+    test('a threshold overrides the profile', () => {
+        expect(Benchmark.evaluate(corpus, {threshold: 0}).confusion).toMatchObject({tp: 1, fp: 1});
+    });
+
+    test('replays touch input', async() => {
+        jest.useFakeTimers({now: new Date('2026-03-02T09:00:00Z')});
+        const random = createRandom(7);
+        const tablet = [
+            {file: 'touch/one.json', label: 'touch', recording: await record(() => touchAnswer(random))},
+            {file: 'playwright/one.json', label: 'playwright', recording: await record(() => [1, 2].forEach(agentTouchAnswer))},
+        ];
+        jest.useRealTimers();
+
+        const report = Benchmark.evaluate(tablet);
+        expect(report.sessions[0].agent).toBe(false);
+        expect(report.sessions[0].score).toBeLessThan(40);
+        expect(report.sessions[0].signals.filter((name) => name.startsWith('mouse.'))).toEqual([]);
+        expect(report.sessions[1].signals).toEqual(expect.arrayContaining(['touch.instant_tap', 'touch.uniform_contact']));
+    });
+
+    test('replays the hand of each typed key', async() => {
+        jest.useFakeTimers({now: new Date('2026-03-02T09:00:00Z')});
+        const random = createRandom(7);
+        const essay = () => document.getElementById('q2-answer');
+        const essays = [
+            {file: 'human/essay.json', label: 'human', recording: await record(() => writeAnswer(essay(), random))},
+            {file: 'comet/essay.json', label: 'comet', recording: await record(() => autoTypeAnswer(essay(), random))},
+        ];
+        jest.useRealTimers();
+
+        const report = Benchmark.evaluate(essays);
+        expect(report.sessions[0].signals.filter((name) => name.startsWith('keystroke.'))).toEqual([]);
+        expect(report.sessions[1].signals).toEqual(expect.arrayContaining(['keystroke.flat_digraphs', 'keystroke.no_pauses',
+            'keystroke.no_corrections', 'keystroke.constant_rate']));
+    });
+
+    test('replays answers set by a script, without their text', async() => {
+        jest.useFakeTimers({now: new Date('2026-03-02T09:00:00Z')});
+        const recording = await record(() => setAnswer(document.getElementById('q2-answer'), 'An answer written elsewhere.'));
+        jest.useRealTimers();
+
+        expect(JSON.stringify(recording)).not.toContain('elsewhere');
+        const report = Benchmark.evaluate([{file: 'comet/set.json', label: 'comet', recording}]);
+        expect(report.sessions[0].signals).toContain('input.programmatic_set');
+    });
+
+    test('replays whether the browser trusted each event', async() => {
+        jest.useFakeTimers({now: new Date('2026-03-02T09:00:00Z')});
+        const recording = await record(() => [1, 2].forEach(scriptedAnswer));
+        jest.useRealTimers();
+
+        const report = Benchmark.evaluate([corpus[0], {file: 'comet/extension.json', label: 'comet', recording}]);
+        expect(report.sessions[0].signals.filter((name) => name.startsWith('event.'))).toEqual([]);
+        expect(report.sessions[1].signals).toEqual(expect.arrayContaining(['event.untrusted', 'event.impossible_coordinates']));
+    });
+
+    test('replays copies and departures, without the text copied', async() => {
+        jest.useFakeTimers({now: new Date('2026-03-02T09:00:00Z')});
+        const recording = await record(() => chatbotAnswer());
+        jest.useRealTimers();
+
+        expect(JSON.stringify(recording.events)).not.toContain('sky');
+        const report = Benchmark.evaluate([{file: 'human/chatbot.json', label: 'human', recording}]);
+        expect(report.sessions[0].signals).toEqual(expect.arrayContaining(['focus.question_copied', 'focus.copy_leave_paste']));
+    });
+
+    test('names the recording that cannot be replayed', () => {
+        expect(() => Benchmark.evaluate([{file: 'human/old.json', label: 'human', recording: {version: 0}}]))
+            .toThrow('human/old.json: Unsupported recording version: 0');
+    });
+
+    test('formatReport', () => {
+        const text = Benchmark.formatReport(Benchmark.evaluate(corpus));
+
+        expect(text).toContain('2 sessions: 1 human, 1 comet\n');
+        expect(text).toContain('Scoring profile version 1, flagged from 70\n');
+        expect(text).toMatch(/^agent +1 +0$/m);
+        expect(text).toMatch(/^human +0 +1$/m);
+        expect(text).toMatch(/^webdriver\.flag +1 +0 +1\.000 +1\.000 +0$/m);
+        expect(text).toContain('AUC 1.000\n');
+    });
+});
+
+describe('loadCorpus', () => {
+    let directory;
+
+    /**
+     * Write a file into the corpus directory.
+     *
+     * @param {string} name Path relative to the corpus.
+     * @param {string} content File content.
+     * @returns {void}
+     */
+    const write = (name, content) => {
+        fs.mkdirSync(path.dirname(path.join(directory, name)), {recursive: true});
+        fs.writeFileSync(path.join(directory, name), content);
+    };
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'agentdetect-corpus-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, {recursive: true, force: true});
+    });
+
+    test('reads the recordings of each label', () => {
+        write('README.md', '# Corpus');
+        write('.git/config', '');
+        write('human/b.json', '{"version": 1}');
+        write('human/a.json', '{"version": 1}');
+        write('human/notes.txt', 'Recorded in March');
+        write('selenium/chrome/c.json', '{"version": 1}');
+
+        expect(Benchmark.loadCorpus(directory)).toEqual([
+            {file: path.join('human', 'a.json'), label: 'human', recording: {version: 1}},
+            {file: path.join('human', 'b.json'), label: 'human', recording: {version: 1}},
+            {file: path.join('selenium', 'chrome', 'c.json'), label: 'selenium', recording: {version: 1}},
+        ]);
+    });
+
+    test('rejects unknown labels', () => {
+        write('bots/a.json', '{}');
+
+        expect(() => Benchmark.loadCorpus(directory)).toThrow('Unknown label directory "bots"');
+    });
+
+    test('names the file that is not JSON', () => {
+        write('comet/a.json', '{');
+
+        expect(() => Benchmark.loadCorpus(directory)).toThrow(path.join('comet', 'a.json') + ':');
+    });
+});
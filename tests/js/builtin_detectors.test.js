@@ -0,0 +1,152 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for local_agentdetect/builtin_detectors and the module switches.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as BuiltinDetectors from 'local_agentdetect/builtin_detectors';
+import * as Fingerprint from 'local_agentdetect/fingerprint';
+import * as Registry from 'local_agentdetect/registry';
+
+const {RAN, DISABLED, FAILED} = BuiltinDetectors.STATUS;
+
+const results = {fingerprint: {score: 0}, interaction: {score: 0}, injection: {score: 0}, comet: {score: 0}};
+
+afterEach(() => {
+    Registry.stopAll();
+    Registry.getNames().forEach(Registry.unregister);
+    jest.restoreAllMocks();
+});
+
+describe('registerAll', () => {
+    test('registers every detector by default', () => {
+        BuiltinDetectors.registerAll();
+
+        expect(Registry.getNames()).toEqual(['fingerprint', 'interaction', 'injection', 'comet']);
+        expect(BuiltinDetectors.getManifest({}, results)).toEqual({
+            fingerprint: RAN,
+            interaction: RAN,
+            injection: RAN,
+            comet: RAN,
+            extensionprobe: RAN,
+        });
+    });
+
+    test('leaves out the detectors of modules switched off', () => {
+        const modules = {fingerprint: true, interaction: false, injection: true, comet: true, extensionprobe: true};
+        BuiltinDetectors.registerAll(modules);
+
+        expect(Registry.getNames()).toEqual(['fingerprint', 'injection', 'comet']);
+        const ran = {...results};
+        delete ran.interaction;
+        expect(BuiltinDetectors.getManifest(modules, ran)).toEqual({
+            fingerprint: RAN,
+            interaction: DISABLED,
+            injection: RAN,
+            comet: RAN,
+            extensionprobe: RAN,
+        });
+    });
+
+    test('switches the extension probe off with the modules it needs', () => {
+        BuiltinDetectors.registerAll({comet: false});
+        expect(BuiltinDetectors.getManifest({comet: false}, results)).toMatchObject({
+            comet: DISABLED,
+            extensionprobe: DISABLED,
+        });
+
+        expect(BuiltinDetectors.getManifest({fingerprint: false}, results)).toMatchObject({
+            fingerprint: DISABLED,
+            extensionprobe: DISABLED,
+        });
+    });
+});
+
+describe('getManifest', () => {
+    test('marks modules that left no result as failed', () => {
+        BuiltinDetectors.registerAll();
+        const partial = {...results};
+        delete partial.injection;
+
+        expect(BuiltinDetectors.getManifest({}, partial)).toMatchObject({injection: FAILED, interaction: RAN});
+    });
+
+    test('marks detectors that failed to start as failed', () => {
+        BuiltinDetectors.registerAll();
+        Registry.register({
+            name: 'injection',
+            start: () => {
+                throw new Error('No MutationObserver');
+            },
+            analyze: () => ({score: 0}),
+        });
+        Registry.startAll({});
+
+        expect(Registry.hasFailed('injection')).toBe(true);
+        expect(BuiltinDetectors.getManifest({})).toMatchObject({injection: FAILED, fingerprint: RAN});
+    });
+
+    test('marks modules that are on but not registered as failed', () => {
+        expect(BuiltinDetectors.getManifest({interaction: false})).toEqual({
+            fingerprint: FAILED,
+            interaction: DISABLED,
+            injection: FAILED,
+            comet: FAILED,
+            extensionprobe: FAILED,
+        });
+    });
+});
+
+describe('fingerprint probes', () => {
+    beforeEach(() => {
+        // Jsdom has no canvas; the canvas and WebGL checks find nothing either way.
+        jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+    });
+
+    test('the Comet probes can be switched off', async() => {
+        const fingerprint = await Fingerprint.collect({comet: false});
+
+        expect(fingerprint.cometExtension).toBeNull();
+        expect(fingerprint.cometRuntime).toBeNull();
+        expect(fingerprint.perplexityNetwork).toBeNull();
+        expect(fingerprint.webdriver).toBeDefined();
+    });
+
+    test('extension resources are only loaded when probing is on', async() => {
+        const sources = [];
+        jest.spyOn(window, 'Image').mockImplementation(() => {
+            const image = {};
+            Object.defineProperty(image, 'src', {
+                set: (src) => {
+                    sources.push(src);
+                    image.onerror();
+                },
+            });
+            return image;
+        });
+
+        const unprobed = await Fingerprint.collect({extensionProbe: false});
+        expect(unprobed.cometExtension.detected).toBe(false);
+        expect(sources).toEqual([]);
+
+        await Fingerprint.collect();
+        expect(sources.length).toBeGreaterThan(0);
+        expect(sources.every((src) => src.startsWith('chrome-extension://'))).toBe(true);
+    });
+});
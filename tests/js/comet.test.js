@@ -0,0 +1,106 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for local_agentdetect/comet.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as Comet from 'local_agentdetect/comet';
+import * as ScoringProfile from 'local_agentdetect/scoring_profile';
+
+const signal = (name, weight) => ({name, weight});
+
+afterEach(() => {
+    ScoringProfile.setProfile(null);
+});
+
+describe('calculateCometScore', () => {
+    test.each([
+        ['no signals', [], 0],
+        ['a definitive signal', [signal('comet.extension.script_injected', 10)], 80],
+        ['a definitive signal with others', [signal('comet_overlay_js', 10), signal('comet.action_burst', 5),
+            signal('comet.read_then_act', 5), signal('comet.rapid_focus_sequence', 5), signal('comet.scroll_then_click', 8)], 100],
+        ['a runtime artifact', [signal('comet.runtime.sidecar_global', 6)], 76],
+        ['tier 1 compounded by tier 2', [signal('comet.ultra_precise_center', 10), signal('comet.action_burst', 5),
+            signal('comet.read_then_act', 5)], 40],
+        ['tier 1 compounded by more signals', [signal('comet.zero_keystrokes', 9), signal('comet.low_per_page_mouse_ratio', 10),
+            signal('comet.action_burst', 5), signal('comet.no_mousemove_trail', 6), signal('comet.scroll_then_click', 8)], 76],
+        ['tier 1 with one tier 2 signal', [signal('comet.zero_keystrokes', 9), signal('comet.action_burst', 5)], 21],
+        ['tier 1 alone', [signal('comet.low_mouse_to_action_ratio', 10)], 15],
+        ['a weighted tier 1 signal below its weight', [signal('comet.low_mouse_to_action_ratio', 5),
+            signal('comet.action_burst', 5), signal('comet.read_then_act', 5)], 15],
+        ['temporal signals only', [signal('comet.action_burst', 5), signal('comet.read_then_act', 5)], 10],
+        ['temporal signals only, capped', [signal('comet.action_burst', 5), signal('comet.read_then_act', 5),
+            signal('comet.no_mousemove_trail', 6), signal('comet.scroll_then_click', 8),
+            signal('comet.missing_pointer_events', 4), signal('comet.rapid_focus_sequence', 5),
+            signal('comet.uniform_keystroke_cadence', 9)], 40],
+    ])('%s', (_, signals, expected) => {
+        expect(Comet.calculateCometScore(signals)).toBe(expected);
+    });
+
+    test('follows the tier lists of the scoring profile', () => {
+        const signals = [signal('comet.action_burst', 5), signal('comet.read_then_act', 5), signal('comet.no_mousemove_trail', 6)];
+        expect(Comet.calculateCometScore(signals)).toBe(16);
+
+        ScoringProfile.setProfile({comet: {tier1Any: ['comet.action_burst']}});
+
+        expect(Comet.calculateCometScore(signals)).toBe(32);
+    });
+
+    test('applies weight overrides', () => {
+        ScoringProfile.setProfile({weights: {'comet.zero_keystrokes': 20}});
+
+        expect(Comet.calculateCometScore([signal('comet.zero_keystrokes', 9)])).toBe(30);
+    });
+});
+
+describe('extractSignals', () => {
+    test('collects Comet signals from every detector', () => {
+        const fingerprint = {
+            cometExtension: {signals: [signal('comet.extension.resource_probe', 10)]},
+            cometRuntime: {signals: []},
+            webdriver: {signals: [signal('webdriver.flag', 10), signal('webdriver.changed_mid_session', 9)]},
+        };
+        const interaction = {anomalies: [signal('comet.zero_keystrokes', 9), signal('click.center_precision', 10)]};
+        const injection = {signals: [
+            {name: 'element_pattern.comet_class', maxWeight: 9},
+            {name: 'element_pattern.chatgpt_class', maxWeight: 9},
+        ]};
+
+        const result = Comet.extractSignals(fingerprint, interaction, injection);
+
+        expect(result.signals.map((s) => s.name)).toEqual([
+            'comet.extension.resource_probe',
+            'webdriver.changed_mid_session',
+            'comet.zero_keystrokes',
+            'element_pattern.comet_class',
+        ]);
+        expect(result.detected).toBe(true);
+        expect(result.signalCount).toBe(4);
+        expect(result.score).toBe(100);
+    });
+
+    test('finds nothing in a clean session', () => {
+        expect(Comet.analyze({fingerprint: {}, interaction: {anomalies: []}, injection: {signals: []}})).toEqual({
+            detected: false,
+            signalCount: 0,
+            signals: [],
+            score: 0,
+        });
+    });
+});
@@ -0,0 +1,996 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Synthetic human and agent input for the detector tests.
+ *
+ * Events are dispatched on the jsdom document as the browser would, and
+ * the clock is Jest's fake one, so each step advances it first. Call
+ * jest.useFakeTimers() before using these. Human input is jittered by a
+ * seeded generator, so every run produces the same events. Input the
+ * browser would trust is dispatched as trusted through jsdom's internals,
+ * at the screen position the viewport gives it; only the input of page
+ * scripts and extensions is dispatched as a script would.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as Interaction from 'local_agentdetect/interaction';
+
+/**
+ * A quiz attempt page with a multiple choice question, an essay question and navigation.
+ *
+ * @type {string}
+ */
+export const QUIZ_PAGE = `
+<form id="responseform">
+    <input type="hidden" name="attempt" value="42">
+    <div class="que multichoice" id="question-7-1">
+        <div class="formulation">
+            <div class="qtext">What is the capital of France?</div>
+            <input type="radio" name="q1" id="q1-a"><label for="q1-a">Paris</label>
+            <input type="radio" name="q1" id="q1-b"><label for="q1-b">Lyon</label>
+            <input type="radio" name="q1" id="q1-c"><label for="q1-c">Nice</label>
+        </div>
+    </div>
+    <div class="que essay" id="question-7-2">
+        <div class="formulation">
+            <div class="qtext">Explain why the sky is blue.</div>
+            <textarea id="q2-answer"></textarea>
+        </div>
+    </div>
+    <input type="submit" id="mod_quiz-next-nav" value="Next page">
+</form>`;
+
+/**
+ * Where the viewport is on the screen: the window's position plus the browser's tab strip and toolbar.
+ *
+ * @type {Object}
+ */
+const SCREEN_OFFSET = {x: 0, y: 85};
+
+/**
+ * Where the mouse last moved to, for the movement deltas of the next move.
+ *
+ * @type {Object|null}
+ */
+let pointerAt = null;
+
+/**
+ * Create a random number generator with a fixed seed (mulberry32).
+ *
+ * @param {number} seed Seed.
+ * @returns {Function} Generator of numbers in [0, 1).
+ */
+export const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+/**
+ * Give an element a fixed position, as jsdom does no layout.
+ *
+ * @param {Element} element Element.
+ * @param {Object} rect {left, top, width, height}.
+ * @returns {Element} The element.
+ */
+export const place = (element, {left, top, width, height}) => {
+    element.getBoundingClientRect = () => ({
+        left, top, width, height,
+        x: left,
+        y: top,
+        right: left + width,
+        bottom: top + height,
+    });
+    return element;
+};
+
+/**
+ * Load a page into the document, with its form controls laid out one below the other.
+ *
+ * @param {string} [html] Body HTML.
+ * @returns {void}
+ */
+export const loadPage = (html = QUIZ_PAGE) => {
+    document.body.innerHTML = html;
+    // Jsdom cannot navigate, so forms stay on the page.
+    document.body.querySelectorAll('form').forEach((form) => {
+        form.addEventListener('submit', (e) => e.preventDefault());
+    });
+    document.body.querySelectorAll('input:not([type="hidden"]), textarea, button').forEach((element, index) => {
+        const small = element.type === 'radio';
+        place(element, {left: 100, top: 100 + index * 60, width: small ? 16 : 200, height: small ? 16 : 40});
+    });
+};
+
+/**
+ * Get the centre of an element.
+ *
+ * @param {Element} element Element.
+ * @returns {Object} {x, y}.
+ */
+export const centerOf = (element) => {
+    const rect = element.getBoundingClientRect();
+    return {x: rect.left + rect.width / 2, y: rect.top + rect.height / 2};
+};
+
+/**
+ * Let time pass.
+ *
+ * @param {number} ms Milliseconds.
+ * @returns {void}
+ */
+export const wait = (ms) => {
+    if (ms > 0) {
+        jest.advanceTimersByTime(ms);
+    }
+};
+
+/**
+ * Dispatch an event as the browser does for its own input, which a script cannot.
+ *
+ * @param {EventTarget} target Target.
+ * @param {Event} event Event.
+ * @returns {void}
+ */
+const dispatch = (target, event) => {
+    // Jsdom keeps the trust and the dispatch of an event on its internal implementation.
+    const impl = (wrapper) => wrapper[Object.getOwnPropertySymbols(wrapper).find((s) => s.description === 'impl')];
+    impl(event).isTrusted = true;
+    impl(target)._dispatch(impl(event));
+};
+
+/**
+ * Get the fields of a mouse event at a point of the viewport, placed on the screen.
+ *
+ * @param {number} x Horizontal position in the viewport.
+ * @param {number} y Vertical position in the viewport.
+ * @returns {Object} Mouse event init.
+ */
+const mouseInit = (x, y) => ({
+    bubbles: true,
+    clientX: x,
+    clientY: y,
+    screenX: x + SCREEN_OFFSET.x,
+    screenY: y + SCREEN_OFFSET.y,
+});
+
+/**
+ * Move the mouse through points.
+ *
+ * @param {Array<Object>} points Points as {x, y}, each reached after its delay (default 16ms).
+ * @param {EventTarget} [target] Element under the pointer.
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.deltas] Whether the events carry how far the mouse moved, which
+ *     drivers that inject moves leave at 0.
+ * @returns {void}
+ */
+export const moveMouse = (points, target = document.body, {deltas = true} = {}) => {
+    for (const {x, y, delay = 16} of points) {
+        wait(delay);
+        // Jsdom has no movementX or movementY.
+        const event = new MouseEvent('mousemove', mouseInit(x, y));
+        Object.defineProperties(event, {
+            movementX: {value: deltas && pointerAt ? x - pointerAt.x : 0},
+            movementY: {value: deltas && pointerAt ? y - pointerAt.y : 0},
+        });
+        dispatch(target, event);
+        pointerAt = {x, y};
+    }
+};
+
+/**
+ * Click an element.
+ *
+ * @param {Element} element Element.
+ * @param {Object} [options] Options.
+ * @param {number} [options.x] Where to click, the element's centre by default.
+ * @param {number} [options.y] Where to click, the element's centre by default.
+ * @param {boolean} [options.hover] Whether the pointer enters the element first.
+ * @param {boolean} [options.pointer] Whether pointer events come with the mouse events.
+ * @param {number} [options.hold] How long the button stays down (ms).
+ * @param {number} [options.detail] Click count, which drivers that leave it out give as 0.
+ * @returns {void}
+ */
+export const click = (element, {x, y, hover = false, pointer = false, hold = 0, detail = 1} = {}) => {
+    const center = centerOf(element);
+    const position = mouseInit(x ?? center.x, y ?? center.y);
+    if (hover) {
+        dispatch(element, new MouseEvent('mouseover', position));
+    }
+    if (pointer) {
+        // Jsdom has no PointerEvent; the detector only reads the mouse event fields.
+        dispatch(element, new MouseEvent('pointerdown', position));
+    }
+    dispatch(element, new MouseEvent('mousedown', {...position, detail}));
+    wait(hold);
+    dispatch(element, new MouseEvent('mouseup', {...position, detail}));
+    dispatch(element, new MouseEvent('click', {...position, detail}));
+};
+
+/**
+ * Dispatch a pointer event.
+ *
+ * @param {Element} element Target.
+ * @param {string} type Event type.
+ * @param {Object} init Mouse event fields, and the pointer fields pointerType, pointerId, pressure, width,
+ *     height and buttons.
+ * @returns {void}
+ */
+export const firePointer = (element, type, {pointerType, pointerId = 1, pressure = 0, width = 1, height = 1, ...init}) => {
+    // Jsdom has no PointerEvent, so the pointer fields are added to a mouse event.
+    const event = new MouseEvent(type, {...mouseInit(init.clientX, init.clientY), ...init});
+    Object.defineProperties(event, {
+        pointerType: {value: pointerType},
+        pointerId: {value: pointerId},
+        pressure: {value: pressure},
+        width: {value: width},
+        height: {value: height},
+    });
+    dispatch(element, event);
+};
+
+/**
+ * Dispatch a touch event for one touch.
+ *
+ * @param {Element} element Target.
+ * @param {string} type Event type.
+ * @param {Object} touch {identifier, clientX, clientY, radiusX, radiusY, force}.
+ * @returns {void}
+ */
+export const fireTouch = (element, type, touch) => {
+    // Jsdom has no Touch, so the changed touches are plain objects.
+    const event = new TouchEvent(type, {bubbles: true});
+    Object.defineProperty(event, 'changedTouches', {value: [touch]});
+    dispatch(element, event);
+};
+
+/**
+ * Tap an element with a finger or a pen, as a tablet reports it: pointer
+ * and touch events while in contact, then the mouse events browsers
+ * emulate, ending with the click.
+ *
+ * @param {Element} element Element.
+ * @param {Object} [options] Options.
+ * @param {number} [options.x] Where to tap, the element's centre by default.
+ * @param {number} [options.y] Where to tap, the element's centre by default.
+ * @param {number} [options.hold] How long the contact lasts (ms).
+ * @param {number} [options.radius] Contact radius (px).
+ * @param {number} [options.force] Contact pressure, from 0 to 1.
+ * @param {boolean} [options.pen] Whether a pen taps, which fires no touch events.
+ * @returns {void}
+ */
+export const tap = (element, {x, y, hold = 90, radius = 12, force = 0.4, pen = false} = {}) => {
+    const center = centerOf(element);
+    const position = {clientX: x ?? center.x, clientY: y ?? center.y};
+    const contact = {pointerType: pen ? 'pen' : 'touch', pressure: force, width: radius * 2, height: radius * 2};
+    const finger = {identifier: 0, ...position, radiusX: radius, radiusY: radius, force};
+
+    firePointer(element, 'pointerdown', {...position, ...contact, buttons: 1});
+    if (!pen) {
+        fireTouch(element, 'touchstart', finger);
+    }
+    wait(hold);
+    firePointer(element, 'pointerup', {...position, ...contact, pressure: 0});
+    if (!pen) {
+        fireTouch(element, 'touchend', {...finger, force: 0});
+    }
+    const mouse = mouseInit(position.clientX, position.clientY);
+    dispatch(element, new MouseEvent('mouseover', mouse));
+    dispatch(element, new MouseEvent('mousedown', {...mouse, detail: 1}));
+    dispatch(element, new MouseEvent('mouseup', {...mouse, detail: 1}));
+    dispatch(element, new MouseEvent('click', {...mouse, detail: 1}));
+};
+
+/**
+ * Swipe a finger through points.
+ *
+ * @param {Array<Object>} points Points as {x, y, radius, force}, each reached after its delay (default 16ms).
+ * @param {EventTarget} [target] Element under the finger.
+ * @returns {void}
+ */
+export const swipe = (points, target = document.body) => {
+    points.forEach(({x, y, radius = 12, force = 0.4, delay = 16}, i) => {
+        const finger = {identifier: 1, clientX: x, clientY: y, radiusX: radius, radiusY: radius, force};
+        if (i === 0) {
+            fireTouch(target, 'touchstart', finger);
+            return;
+        }
+        wait(delay);
+        fireTouch(target, 'touchmove', finger);
+    });
+    const last = points[points.length - 1];
+    fireTouch(target, 'touchend', {identifier: 1, clientX: last.x, clientY: last.y, radiusX: 0, radiusY: 0, force: 0});
+};
+
+/**
+ * Press character keys in an element.
+ *
+ * @param {Element} element Element with focus.
+ * @param {number} count Number of keys.
+ * @param {Function} interval Time from the previous key going down to key i going down (ms), by i.
+ * @param {Function} hold How long key i is held (ms), by i.
+ * @returns {void}
+ */
+export const type = (element, count, interval, hold) => {
+    typeKeys(element, Array.from({length: count}, () => ['a']), interval, hold);
+};
+
+/**
+ * Press keys in an element.
+ *
+ * @param {Element} element Element with focus.
+ * @param {Array<Array<string>>} keys Keys as [key, code].
+ * @param {Function} interval Time from the previous key going down to key i going down (ms), by i.
+ * @param {Function} hold How long key i is held (ms), by i.
+ * @returns {void}
+ */
+export const typeKeys = (element, keys, interval, hold) => {
+    let held = 0;
+    keys.forEach(([key, code], i) => {
+        wait(Math.max(interval(i) - held, 0));
+        dispatch(element, new KeyboardEvent('keydown', {bubbles: true, key, code}));
+        held = hold(i);
+        wait(held);
+        dispatch(element, new KeyboardEvent('keyup', {bubbles: true, key, code}));
+    });
+};
+
+/**
+ * Letters typed with the left hand on a QWERTY keyboard.
+ *
+ * @type {string}
+ */
+const LEFT_LETTERS = 'qwertasdfgzxcvb';
+
+/**
+ * Compose text as keys: words of random letters between spaces, with some
+ * letters deleted and typed again.
+ *
+ * @param {Function} random Seeded generator.
+ * @param {number} length Number of characters to type.
+ * @param {number} [mistakes] Chance of deleting each letter.
+ * @returns {Array<Array<string>>} Keys as [key, code].
+ */
+export const composeText = (random, length, mistakes = 0) => {
+    const keys = [];
+    let [characters, word] = [0, 0];
+    while (characters < length) {
+        if (word > 1 && random() < 0.2) {
+            keys.push([' ', 'Space']);
+            word = 0;
+        } else {
+            const letter = String.fromCharCode(97 + Math.floor(random() * 26));
+            keys.push([letter, 'Key' + letter.toUpperCase()]);
+            word++;
+            if (random() < mistakes) {
+                keys.push(['Backspace', 'Backspace']);
+            }
+        }
+        characters++;
+    }
+    return keys;
+};
+
+/**
+ * Write an answer as a person does: keys after one from the same hand come
+ * later, there are pauses between words and to think, and mistakes are deleted.
+ *
+ * @param {Element} element Element with focus.
+ * @param {Function} random Seeded generator.
+ * @param {number} [length] Number of characters.
+ * @returns {void}
+ */
+export const writeAnswer = (element, random, length = 300) => {
+    const keys = composeText(random, length, 0.04);
+    const hand = ([key = '']) => (key.length === 1 && key !== ' ' ? LEFT_LETTERS.includes(key) : null);
+    const intervals = keys.map((key, i) => {
+        const previous = keys[i - 1] || [];
+        let interval = 90 + random() ** 2 * 180;
+        if (hand(key) !== null && hand(key) === hand(previous)) {
+            interval += 40;
+        }
+        if (previous[0] === ' ' && random() < 0.25) {
+            interval += 400 + random() * 1200;
+        }
+        if (random() < 0.02) {
+            interval += 2000 + random() * 4000;
+        }
+        return interval;
+    });
+    typeKeys(element, keys, (i) => intervals[i], () => 60 + random() * 50);
+};
+
+/**
+ * Type an answer as an auto-typer extension does: every key of a prepared
+ * text, without mistakes, at a random gap from a fixed range.
+ *
+ * @param {Element} element Element with focus.
+ * @param {Function} random Seeded generator.
+ * @param {number} [length] Number of characters.
+ * @returns {void}
+ */
+export const autoTypeAnswer = (element, random, length = 300) => {
+    typeKeys(element, composeText(random, length), () => 80 + random() * 120, () => 30 + random() * 40);
+};
+
+/**
+ * Dispatch an event the browser trusts with fields jsdom's events lack.
+ *
+ * @param {string} type Event type.
+ * @param {Object} event The target, and the fields of the event besides type and trust.
+ * @returns {void}
+ */
+const trusted = (type, {target, ...fields}) => {
+    // Jsdom has no inputType on input events and no clipboardData on paste events.
+    const event = new Event(type, {bubbles: true});
+    Object.entries(fields).forEach(([name, value]) => Object.defineProperty(event, name, {value}));
+    dispatch(target, event);
+};
+
+/**
+ * Change the text of an answer field as the browser does: beforeinput, the change, then input.
+ *
+ * @param {Element} element Text area or text input.
+ * @param {string} value New text.
+ * @param {string|null} inputType Input type, or null for the plain input event of autofill.
+ * @returns {void}
+ */
+export const changeText = (element, value, inputType) => {
+    if (inputType) {
+        trusted('beforeinput', {target: element, inputType});
+    }
+    element.value = value;
+    trusted('input', {target: element, inputType: inputType || undefined});
+};
+
+/**
+ * Type text into an answer field, a key going down before each character.
+ *
+ * @param {Element} element Text area or text input.
+ * @param {string} text Text.
+ * @returns {void}
+ */
+export const typeText = (element, text) => {
+    Array.from(text).forEach((key) => {
+        wait(150);
+        dispatch(element, new KeyboardEvent('keydown', {bubbles: true, key}));
+        changeText(element, element.value + key, 'insertText');
+        wait(80);
+        dispatch(element, new KeyboardEvent('keyup', {bubbles: true, key}));
+    });
+};
+
+/**
+ * Paste or drop text at the end of an answer field.
+ *
+ * @param {Element} element Text area or text input.
+ * @param {string} text Text.
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.drop] Drag the text in instead.
+ * @returns {void}
+ */
+export const pasteText = (element, text, {drop = false} = {}) => {
+    const data = {getData: (format) => (format === 'text/plain' ? text : '')};
+    wait(500);
+    trusted(drop ? 'drop' : 'paste', {target: element, [drop ? 'dataTransfer' : 'clipboardData']: data});
+    changeText(element, element.value + text, drop ? 'insertFromDrop' : 'insertFromPaste');
+};
+
+/**
+ * Write an answer as an extension does: set the value, then tell the page with an input event.
+ *
+ * @param {Element} element Text area or text input.
+ * @param {string} text Text.
+ * @returns {void}
+ */
+export const setAnswer = (element, text) => {
+    wait(500);
+    element.value = text;
+    element.dispatchEvent(new Event('input', {bubbles: true}));
+};
+
+/**
+ * Select the text of an element and copy it.
+ *
+ * @param {Element} element Element.
+ * @returns {void}
+ */
+export const copyText = (element) => {
+    wait(300);
+    document.getSelection().selectAllChildren(element);
+    // Jsdom has no ClipboardEvent; the detector reads the selection.
+    dispatch(element, new Event('copy', {bubbles: true}));
+};
+
+/**
+ * Leave the page for a while and come back to it.
+ *
+ * @param {number} duration How long the student is away (ms).
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.hidden] Whether another tab is shown over the page, rather than another window beside it.
+ * @returns {void}
+ */
+export const leavePage = (duration, {hidden = true} = {}) => {
+    const show = (state) => {
+        Object.defineProperty(document, 'visibilityState', {value: state, configurable: true});
+        dispatch(document, new Event('visibilitychange', {bubbles: true}));
+        delete document.visibilityState;
+    };
+
+    // Jsdom's window has no internal implementation to dispatch trusted events on.
+    window.dispatchEvent(new FocusEvent('blur'));
+    if (hidden) {
+        show('hidden');
+    }
+    wait(duration);
+    if (hidden) {
+        show('visible');
+    }
+    window.dispatchEvent(new FocusEvent('focus'));
+};
+
+/**
+ * Answer the essay with a chatbot: copy the question, leave for the
+ * chatbot's tab, and paste its answer on coming back.
+ *
+ * @param {number} [away] How long the student is away (ms).
+ * @returns {void}
+ */
+export const chatbotAnswer = (away = 40000) => {
+    const essay = document.getElementById('q2-answer');
+    copyText(essay.closest('.formulation').querySelector('.qtext'));
+    wait(2000);
+    leavePage(away);
+    wait(3000);
+    click(essay);
+    pasteText(essay, 'Sunlight is scattered by the molecules of the air, and blue light the most.');
+};
+
+/**
+ * Press a key that types nothing, such as Tab or an arrow key.
+ *
+ * @param {Element} element Element with focus.
+ * @param {string} key Key name.
+ * @returns {void}
+ */
+export const press = (element, key) => {
+    dispatch(element, new KeyboardEvent('keydown', {bubbles: true, key}));
+    wait(90);
+    dispatch(element, new KeyboardEvent('keyup', {bubbles: true, key}));
+};
+
+/**
+ * Activate a control without a pointer, as the keyboard and the accessibility tree do:
+ * a click that counts no button press.
+ *
+ * @param {Element} element Control.
+ * @param {Object} [position] Where the click lands {x, y}; the centre by default.
+ * @returns {void}
+ */
+export const activate = (element, position = centerOf(element)) => {
+    // Keyboard clicks are at 0,0 on the screen as well as in the viewport.
+    const init = position.x || position.y ? mouseInit(position.x, position.y) : {bubbles: true, clientX: 0, clientY: 0};
+    dispatch(element, new MouseEvent('click', init));
+};
+
+/**
+ * Scroll the window.
+ *
+ * @param {number} y New vertical scroll position.
+ * @returns {void}
+ */
+export const scrollTo = (y) => {
+    Object.defineProperty(window, 'scrollY', {value: y, configurable: true});
+    window.dispatchEvent(new Event('scroll'));
+};
+
+/**
+ * Move focus into an element.
+ *
+ * @param {Element} element Element.
+ * @returns {void}
+ */
+export const focus = (element) => {
+    dispatch(element, new FocusEvent('focusin', {bubbles: true}));
+};
+
+/**
+ * Leave for the next page, as the detector carries its events across pages.
+ *
+ * @param {Object} [options] Options the detector is started with on the next page.
+ * @returns {void}
+ */
+export const nextPage = (options = {}) => {
+    Interaction.saveToSessionStorage();
+    Interaction.stopMonitoring();
+    Interaction.reset();
+    Interaction.startMonitoring(options);
+};
+
+/**
+ * Move the mouse along a curve with uneven steps, easing in and out.
+ *
+ * @param {Object} from Start point {x, y}.
+ * @param {Object} to End point {x, y}.
+ * @param {number} duration About how long the movement takes (ms).
+ * @param {Function} random Seeded generator.
+ * @param {EventTarget} target Element under the pointer.
+ * @returns {void}
+ */
+const sweep = (from, to, duration, random, target) => {
+    const bend = {x: (from.x + to.x) / 2 + 40 * (random() - 0.5), y: (from.y + to.y) / 2 + 60 * (random() - 0.5)};
+    const steps = Math.max(Math.round(duration / 16), 3);
+
+    const points = [];
+    for (let i = 1; i <= steps; i++) {
+        // Ease in and out, as a hand accelerates and then homes in.
+        const t = (1 - Math.cos(Math.PI * i / steps)) / 2;
+        points.push({
+            x: Math.round((1 - t) ** 2 * from.x + 2 * (1 - t) * t * bend.x + t ** 2 * to.x + random() * 2),
+            y: Math.round((1 - t) ** 2 * from.y + 2 * (1 - t) * t * bend.y + t ** 2 * to.y + random() * 2),
+            delay: 8 + Math.round(random() * 16),
+        });
+    }
+    moveMouse(points, target);
+};
+
+/**
+ * Move the mouse to an element the way a hand does: a primary movement
+ * that overshoots or falls short, then a correction, taking longer the
+ * farther and smaller the element is (Fitts's law).
+ *
+ * @param {Object} from Start point {x, y}.
+ * @param {Element} element Element to move onto.
+ * @param {Function} random Seeded generator.
+ * @returns {Object} The point reached, off the element's centre.
+ */
+export const reach = (from, element, random) => {
+    const center = centerOf(element);
+    const rect = element.getBoundingClientRect();
+    const to = {x: center.x + 3 + random() * 5, y: center.y - 3 - random() * 3};
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    const duration = 50 + 100 * Math.log2(distance / Math.min(rect.width, rect.height) + 1) + random() * 60;
+
+    // Miss along the line of the movement, past the element or short of it.
+    const miss = (random() < 0.4 ? 1 : -1) * (4 + random() * 8) / Math.max(distance, 1);
+    const aim = {x: Math.round(to.x + (to.x - from.x) * miss), y: Math.round(to.y + (to.y - from.y) * miss)};
+
+    sweep(from, aim, duration * 0.75, random, element);
+    wait(40 + random() * 40);
+    sweep(aim, to, duration * 0.25, random, element);
+    return to;
+};
+
+/**
+ * Answer a quiz page as a person: read, move to an option, click it, write a
+ * sentence with uneven rhythm, then go on.
+ *
+ * @param {Function} random Seeded generator.
+ * @param {Object} [from] Where the mouse starts.
+ * @returns {Object} Where the mouse ended.
+ */
+export const humanAnswer = (random, from = {x: 400, y: 20}) => {
+    const option = document.getElementById('q1-b');
+    const essay = document.getElementById('q2-answer');
+    const next = document.getElementById('mod_quiz-next-nav');
+    const human = {hover: true, pointer: true};
+
+    wait(2000 + random() * 3000);
+    let at = reach(from, option, random);
+    click(option, {...at, ...human, hold: 70 + random() * 60});
+
+    wait(800 + random() * 800);
+    at = reach(at, essay, random);
+    click(essay, {...at, ...human, hold: 70 + random() * 60});
+    focus(essay);
+    type(essay, 25, () => 120 + random() * 180, () => 50 + random() * 60);
+
+    wait(1000 + random() * 1000);
+    scrollTo(200 + Math.round(random() * 100));
+    wait(600 + random() * 400);
+    at = reach(at, next, random);
+    click(next, {...at, ...human, hold: 70 + random() * 60});
+    return at;
+};
+
+/**
+ * Answer a quiz page as a browser agent does: dispatched clicks at the exact
+ * centre of each element, no pointer trail, text inserted without keystrokes.
+ *
+ * @returns {void}
+ */
+export const agentAnswer = () => {
+    ['q1-b', 'q2-answer', 'mod_quiz-next-nav'].forEach((id) => {
+        wait(1500);
+        click(document.getElementById(id));
+    });
+};
+
+/**
+ * Answer a quiz page as a browser extension does: clicks dispatched from
+ * its script at the centre of each element, with no screen position or
+ * click count, and the essay written by setting its value.
+ *
+ * @returns {void}
+ */
+export const scriptedAnswer = () => {
+    ['q1-b', 'q2-answer', 'mod_quiz-next-nav'].forEach((id) => {
+        const element = document.getElementById(id);
+        const center = centerOf(element);
+        wait(1500);
+        element.dispatchEvent(new MouseEvent('click', {bubbles: true, clientX: center.x, clientY: center.y}));
+        if (id === 'q2-answer') {
+            setAnswer(element, 'An answer written elsewhere.');
+        }
+    });
+};
+
+/**
+ * Move the mouse to the centre of an element as newer browser agents do:
+ * along a cubic Bézier curve, eased in and out, in a fixed time.
+ *
+ * @param {Object} from Start point {x, y}.
+ * @param {Element} element Element to move onto.
+ * @returns {Object} The point reached, the element's centre.
+ */
+export const glide = (from, element) => {
+    const to = centerOf(element);
+    const normal = {x: from.y - to.y, y: to.x - from.x};
+    const controls = [
+        {x: from.x + (to.x - from.x) / 3 + normal.x * 0.2, y: from.y + (to.y - from.y) / 3 + normal.y * 0.2},
+        {x: from.x + (to.x - from.x) * 2 / 3 + normal.x * 0.1, y: from.y + (to.y - from.y) * 2 / 3 + normal.y * 0.1},
+    ];
+    const steps = 25;
+
+    const points = [];
+    for (let i = 1; i <= steps; i++) {
+        const t = (1 - Math.cos(Math.PI * i / steps)) / 2;
+        const [a, b, c, d] = [(1 - t) ** 3, 3 * (1 - t) ** 2 * t, 3 * (1 - t) * t ** 2, t ** 3];
+        points.push({
+            x: Math.round(a * from.x + b * controls[0].x + c * controls[1].x + d * to.x),
+            y: Math.round(a * from.y + b * controls[0].y + c * controls[1].y + d * to.y),
+        });
+    }
+    moveMouse(points, element);
+    return to;
+};
+
+/**
+ * Answer a quiz page as a browser agent that fakes a hand: it glides to
+ * each element before clicking, with pointer and hover events.
+ *
+ * @param {Object} [from] Where the mouse starts.
+ * @returns {Object} Where the mouse ended.
+ */
+export const glidingAgentAnswer = (from = {x: 400, y: 20}) => {
+    let at = from;
+    ['q1-b', 'q2-answer', 'mod_quiz-next-nav'].forEach((id) => {
+        const element = document.getElementById(id);
+        wait(1500);
+        at = glide(at, element);
+        click(element, {hover: true, pointer: true, hold: 80});
+    });
+    return at;
+};
+
+/**
+ * Answer a quiz page from the keyboard alone: Tab and the arrow keys move
+ * focus, and keyboard clicks land at the corner of the viewport.
+ *
+ * @param {Function} random Seeded generator.
+ * @returns {void}
+ */
+export const keyboardAnswer = (random) => {
+    const steps = [
+        ['Tab', 'q1-a'],
+        ['ArrowDown', 'q1-b'],
+        ['Tab', 'q2-answer'],
+        ['Tab', 'mod_quiz-next-nav'],
+    ];
+
+    let current = document.body;
+    wait(2000 + random() * 2000);
+    steps.forEach(([key, id]) => {
+        press(current, key);
+        current = document.getElementById(id);
+        focus(current);
+        if (key === 'ArrowDown') {
+            // Arrows select the radio button they move to.
+            activate(current, {x: 0, y: 0});
+        }
+        if (id === 'q2-answer') {
+            wait(300 + random() * 300);
+            type(current, 25, () => 120 + random() * 180, () => 50 + random() * 60);
+        }
+        wait(400 + random() * 600);
+    });
+
+    press(current, 'Enter');
+    activate(current, {x: 0, y: 0});
+};
+
+/**
+ * Answer a quiz page with a screen reader in browse mode: the virtual
+ * cursor moves focus onto each control, which is then activated at its
+ * centre without a pointer; the essay is typed in focus mode.
+ *
+ * @param {Function} random Seeded generator.
+ * @returns {void}
+ */
+export const screenReaderAnswer = (random) => {
+    ['q1-b', 'q2-answer', 'mod_quiz-next-nav'].forEach((id) => {
+        const element = document.getElementById(id);
+        wait(1500 + random() * 2000);
+        focus(element);
+        wait(300 + random() * 400);
+        activate(element);
+        if (id === 'q2-answer') {
+            type(element, 25, () => 150 + random() * 200, () => 60 + random() * 60);
+        }
+    });
+};
+
+/**
+ * Answer a quiz page on a tablet: swipe the page along, tap an option off
+ * its centre, tap the essay and type on the screen keyboard, then tap on.
+ * Finger contacts differ in size and pressure from one moment to the next.
+ *
+ * @param {Function} random Seeded generator.
+ * @param {Object} [options] Options.
+ * @param {boolean} [options.pen] Whether a pen taps instead of a finger.
+ * @returns {void}
+ */
+export const touchAnswer = (random, {pen = false} = {}) => {
+    const tapNear = (element) => {
+        const center = centerOf(element);
+        wait(600 + random() * 900);
+        tap(element, {
+            x: center.x + (random() - 0.3) * 14,
+            y: center.y + (random() - 0.2) * 12,
+            hold: 60 + random() * 80,
+            radius: 9 + random() * 6,
+            force: 0.2 + random() * 0.5,
+            pen,
+        });
+    };
+
+    wait(2000 + random() * 2000);
+    if (!pen) {
+        // A flick up the page: curved, quick and then slowing.
+        const from = {x: 300 + random() * 40, y: 600};
+        swipe(Array.from({length: 8}, (_, i) => ({
+            x: Math.round(from.x + 3 * i * i * random()),
+            y: Math.round(from.y - 200 * Math.sin(Math.PI * i / 16)),
+            radius: 10 + random() * 4,
+            force: 0.3 + random() * 0.3,
+            delay: 12 + Math.round(random() * 10),
+        })));
+        scrollTo(150 + Math.round(random() * 50));
+    }
+
+    tapNear(document.getElementById('q1-b'));
+    const essay = document.getElementById('q2-answer');
+    tapNear(essay);
+    focus(essay);
+    type(essay, 20, () => 180 + random() * 220, () => 60 + random() * 60);
+    tapNear(document.getElementById('mod_quiz-next-nav'));
+};
+
+/**
+ * Answer a quiz page as a browser agent dispatching touches: taps at the
+ * exact centre, lifted at once, with the same contact every time.
+ *
+ * @returns {void}
+ */
+export const agentTouchAnswer = () => {
+    ['q1-b', 'q2-answer', 'mod_quiz-next-nav'].forEach((id) => {
+        wait(1500);
+        tap(document.getElementById(id), {hold: 0, radius: 1, force: 1});
+    });
+};
+
+/**
+ * Take a quiz as a person, over several pages.
+ *
+ * @param {number} [pages] Number of pages.
+ * @param {number} [seed] Seed of the jitter.
+ * @returns {void}
+ */
+export const humanSession = (pages = 3, seed = 1) => {
+    const random = createRandom(seed);
+    let at = {x: 400, y: 20};
+    for (let page = 0; page < pages; page++) {
+        if (page > 0) {
+            nextPage();
+        }
+        at = humanAnswer(random, at);
+    }
+};
+
+/**
+ * Take a quiz with assistive technology, over several pages.
+ *
+ * @param {Function} answer Answers one page: keyboardAnswer or screenReaderAnswer.
+ * @param {number} [pages] Number of pages.
+ * @param {Object} [options] Options the detector is started with on each new page.
+ * @returns {void}
+ */
+export const assistedSession = (answer, pages = 3, options = {}) => {
+    const random = createRandom(pages);
+    for (let page = 0; page < pages; page++) {
+        if (page > 0) {
+            nextPage(options);
+        }
+        answer(random);
+    }
+};
+
+/**
+ * Take a quiz as a browser agent, over several pages.
+ *
+ * @param {number} [pages] Number of pages.
+ * @param {Object} [options] Options the detector is started with on each new page.
+ * @returns {void}
+ */
+export const agentSession = (pages = 3, options = {}) => {
+    for (let page = 0; page < pages; page++) {
+        if (page > 0) {
+            nextPage(options);
+        }
+        agentAnswer();
+    }
+};
+
+/**
+ * Take a quiz on a tablet, over several pages.
+ *
+ * @param {number} [pages] Number of pages.
+ * @param {Object} [options] Options.
+ * @param {number} [options.seed] Seed of the jitter.
+ * @param {boolean} [options.pen] Whether a pen taps instead of a finger.
+ * @returns {void}
+ */
+export const touchSession = (pages = 3, {seed = 1, pen = false} = {}) => {
+    const random = createRandom(seed);
+    for (let page = 0; page < pages; page++) {
+        if (page > 0) {
+            nextPage();
+        }
+        touchAnswer(random, {pen});
+    }
+};
+
+/**
+ * Take a quiz as a browser agent dispatching touches, over several pages.
+ *
+ * @param {number} [pages] Number of pages.
+ * @returns {void}
+ */
+export const agentTouchSession = (pages = 3) => {
+    for (let page = 0; page < pages; page++) {
+        if (page > 0) {
+            nextPage();
+        }
+        agentTouchAnswer();
+    }
+};
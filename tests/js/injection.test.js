@@ -0,0 +1,233 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for local_agentdetect/injection.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as Injection from 'local_agentdetect/injection';
+import {place} from './helpers/events';
+
+const COMET_EXTENSION = 'chrome-extension://npclhjbddhklpbnacpjloidibaggcgon';
+
+/**
+ * Scan a page and analyse what was found.
+ *
+ * @param {string} html Body HTML.
+ * @returns {Object} Injection analysis.
+ */
+const scan = (html) => {
+    document.body.innerHTML = html;
+    Injection.startMonitoring();
+    return Injection.analyze();
+};
+
+/**
+ * Wait for the MutationObserver to see the changes made so far.
+ *
+ * @returns {Promise<void>}
+ */
+const observed = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+beforeEach(() => {
+    document.body.innerHTML = '';
+    Injection.reset();
+});
+
+afterEach(() => {
+    Injection.stopMonitoring();
+});
+
+describe('text patterns', () => {
+    test.each([
+        ['get_answer', 'Show answer', 9],
+        ['solve_button', 'Solve this', 8],
+        ['explain_button', 'Step-by-step solution', 6],
+        ['ask_ai', 'Ask ChatGPT', 9],
+        ['ai_help', 'AI tutor', 8],
+        ['generate', 'Write for me', 7],
+        ['known_service', 'Open in Course Hero', 10],
+        ['math_solver', 'Check with Photomath', 8],
+        ['writing_helper', 'Paraphrase with QuillBot', 5],
+    ])('%s', (name, text, weight) => {
+        const results = scan(`<div><button>${text}</button></div>`);
+
+        expect(results.signals).toContainEqual({name: 'text_pattern.' + name, count: 1, maxWeight: weight, examples: [text]});
+    });
+
+    test('only leaf elements are matched', () => {
+        const results = scan('<div><span>Solve</span> <span>this</span> <em>for</em></div><p>Ask <b>GPT</b></p>');
+
+        expect(results.signals).toEqual([]);
+    });
+
+    test("Moodle's own controls are not matched", () => {
+        const results = scan('<button class="btn btn-secondary">Show answer</button><div data-region="answer">Solve this</div>');
+
+        expect(results.signals).toEqual([]);
+    });
+});
+
+describe('element patterns', () => {
+    test.each([
+        ['chatgpt_class', '<div class="chatgpt-panel"></div>', 'chatgpt-panel', 9],
+        ['chatgpt_id', '<div id="chatgpt-root"></div>', 'chatgpt-root', 9],
+        ['openai_class', '<div class="openai-helper"></div>', 'openai-helper', 9],
+        ['openai_id', '<div id="openaiWidget"></div>', 'openaiWidget', 9],
+        ['gpt_class', '<div class="gpt-sidebar"></div>', 'gpt-sidebar', 9],
+        ['claude_class', '<div class="claude-sidebar"></div>', 'claude-sidebar', 9],
+        ['gemini_class', '<div class="gemini-float"></div>', 'gemini-float', 9],
+        ['chegg', '<div class="chegg-study"></div>', 'chegg-study', 10],
+        ['brainly', '<div id="brainly-plugin"></div>', 'brainly-plugin', 10],
+        ['coursehero', '<div class="coursehero-widget"></div>', 'coursehero-widget', 10],
+        ['quizlet', '<div class="quizlet-live"></div>', 'quizlet-live', 8],
+        ['bartleby', '<div class="bartleby-answers"></div>', 'bartleby-answers', 10],
+        ['studocu', '<div class="studocu-banner"></div>', 'studocu-banner', 10],
+        ['comet_class', '<div class="comet-overlay"></div>', 'comet-overlay', 9],
+        ['comet_id', '<div id="comet-sidecar"></div>', 'comet-sidecar', 9],
+        ['perplexity_class', '<div class="perplexity-assistant"></div>', 'perplexity-assistant', 9],
+        ['perplexity_id', '<div id="perplexity-root"></div>', 'perplexity-root', 9],
+        ['comet_agent_src', `<script src="${COMET_EXTENSION}/overlay.js"></script>`, `${COMET_EXTENSION}/overlay.js`, 10],
+        ['comet_agent_href', `<link rel="stylesheet" href="${COMET_EXTENSION}/overlay.css">`, `${COMET_EXTENSION}/overlay.css`, 10],
+        ['chrome_ext_src', '<img src="chrome-extension://abcdefghijklmnop/icon.png">',
+            'chrome-extension://abcdefghijklmnop/icon.png', 7],
+        ['moz_ext_src', '<img src="moz-extension://1234-5678/icon.png">', 'moz-extension://1234-5678/icon.png', 7],
+    ])('%s', (name, html, value, weight) => {
+        const results = scan(html);
+
+        expect(results.signals).toContainEqual({name: 'element_pattern.' + name, count: 1, maxWeight: weight, examples: [value]});
+    });
+
+    test('names only match at the start', () => {
+        const results = scan('<div class="my-chatgpt-notes" id="not-comet"></div>');
+
+        expect(results.signals).toEqual([]);
+    });
+
+    test('extension resources are counted', () => {
+        const results = scan('<img src="chrome-extension://abcdefghijklmnop/icon.png">'
+            + '<iframe src="moz-extension://1234/panel.html"></iframe>');
+
+        expect(results.signals).toContainEqual({
+            name: 'extension.resources',
+            count: 2,
+            maxWeight: 7,
+            examples: ['image', 'iframe'],
+        });
+        expect(results.detectionCounts.extensionResources).toBe(2);
+    });
+});
+
+describe('injected UI', () => {
+    test('a large overlay above the page', () => {
+        document.body.innerHTML = '<div id="panel" style="position: fixed; z-index: 2147483647"></div>';
+        place(document.getElementById('panel'), {left: 900, top: 0, width: 380, height: 800});
+
+        Injection.startMonitoring();
+
+        expect(Injection.analyze().signals).toContainEqual({
+            name: 'floating_ui.injected_overlay',
+            count: 1,
+            maxWeight: 6,
+            examples: ['DIV'],
+        });
+    });
+
+    test.each([
+        ['a small overlay', 'position: fixed; z-index: 9999', 40],
+        ['an overlay in the page stack', 'position: absolute; z-index: 10', 380],
+        ['an element in the flow', 'position: static; z-index: 9999', 380],
+    ])('not %s', (_, style, size) => {
+        document.body.innerHTML = `<div id="panel" style="${style}"></div>`;
+        place(document.getElementById('panel'), {left: 900, top: 0, width: size, height: size});
+
+        Injection.startMonitoring();
+
+        expect(Injection.analyze().signals).toEqual([]);
+    });
+
+    test('a shadow root', () => {
+        document.body.innerHTML = '<div id="host"></div>';
+        document.getElementById('host').attachShadow({mode: 'open'});
+        Injection.startMonitoring();
+
+        expect(Injection.analyze().signals).toContainEqual({
+            name: 'shadow_dom.injected_shadow_root',
+            count: 1,
+            maxWeight: 7,
+            examples: ['DIV'],
+        });
+    });
+});
+
+describe('mutations', () => {
+    test('added elements and their children are checked', async() => {
+        scan('<div id="page"></div>');
+
+        const panel = document.createElement('section');
+        panel.innerHTML = '<button>Ask Claude</button>';
+        document.body.appendChild(panel);
+        await observed();
+
+        expect(Injection.getRawData().injectedElements).toEqual([
+            expect.objectContaining({source: 'mutation_added_child', tagName: 'BUTTON'}),
+        ]);
+        expect(Injection.analyze().signals).toContainEqual({name: 'text_pattern.ask_ai', count: 1, maxWeight: 9,
+            examples: ['Ask Claude']});
+    });
+
+    test('the Comet overlay script is recognised when injected', async() => {
+        scan('<div id="page"></div>');
+
+        const script = document.createElement('script');
+        script.src = COMET_EXTENSION + '/overlay.js';
+        document.body.appendChild(script);
+        await observed();
+
+        const names = Injection.analyze().signals.map((signal) => signal.name);
+        expect(names).toEqual(['element_pattern.comet_agent_src', 'element_pattern.chrome_ext_src',
+            'comet_agentic.comet_overlay_js']);
+    });
+
+    test('changed attributes are checked', async() => {
+        scan('<div id="page"></div>');
+
+        document.getElementById('page').className = 'chatgpt-overlay';
+        await observed();
+
+        expect(Injection.getRawData().injectedElements).toEqual([
+            expect.objectContaining({source: 'mutation_attribute', className: 'chatgpt-overlay'}),
+        ]);
+    });
+});
+
+describe('calculateInjectionScore', () => {
+    test.each([
+        ['no signals', [], 0],
+        ['one signal', [{name: 'element_pattern.chegg', count: 1, maxWeight: 10}], 20],
+        ['a repeated signal', [{name: 'text_pattern.solve_button', count: 3, maxWeight: 8}], 22],
+        ['repeats counted up to five', [{name: 'text_pattern.solve_button', count: 40, maxWeight: 8}], 29],
+        ['many signals', [
+            {name: 'element_pattern.chegg', count: 5, maxWeight: 10},
+            {name: 'element_pattern.brainly', count: 5, maxWeight: 10},
+            {name: 'text_pattern.known_service', count: 5, maxWeight: 10},
+        ], 100],
+    ])('%s', (_, signals, expected) => {
+        expect(Injection.calculateInjectionScore(signals)).toBe(expected);
+    });
+});
@@ -0,0 +1,1170 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for local_agentdetect/interaction.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import fs from 'fs';
+import path from 'path';
+import * as Interaction from 'local_agentdetect/interaction';
+import {
+    activate, agentSession, agentTouchSession, assistedSession, autoTypeAnswer, centerOf, changeText, chatbotAnswer, click,
+    composeText, copyText, createRandom, focus, glide, glidingAgentAnswer, humanSession, keyboardAnswer, leavePage, loadPage,
+    moveMouse, nextPage, pasteText, screenReaderAnswer, scriptedAnswer, scrollTo, setAnswer, swipe, tap, touchSession, type,
+    typeKeys, typeText, wait, writeAnswer,
+} from './helpers/events';
+
+/**
+ * Signals a person cannot produce, as calculateInteractionScore() counts them.
+ *
+ * @type {Array<string>}
+ */
+const STRONG_SIGNALS = [
+    'click.center_precision',
+    'click.teleport_pattern',
+    'click.no_movement',
+    'comet.ultra_precise_center',
+    'comet.zero_keystrokes',
+    'comet.low_per_page_mouse_ratio',
+    'event.untrusted',
+    'event.impossible_coordinates',
+];
+
+const option = () => document.getElementById('q1-b');
+const essay = () => document.getElementById('q2-answer');
+const next = () => document.getElementById('mod_quiz-next-nav');
+const essayText = () => document.querySelector('#question-7-2 .qtext');
+
+/**
+ * Mouse moves along a line, with steps of 10px every 16ms.
+ *
+ * @param {number} count Number of moves.
+ * @returns {Array<Object>} Points.
+ */
+const line = (count) => Array.from({length: count}, (_, i) => ({x: 10 + i * 10, y: 500}));
+
+/**
+ * Click an element several times.
+ *
+ * @param {Element} element Element.
+ * @param {number} count Number of clicks.
+ * @param {number} [gap] Time before each click (ms).
+ * @returns {void}
+ */
+const clickTimes = (element, count, gap = 700) => {
+    for (let i = 0; i < count; i++) {
+        wait(gap);
+        click(element);
+    }
+};
+
+/**
+ * Act in bursts: a pause to read, then a focus change and four quick clicks.
+ *
+ * @param {number} count Number of bursts.
+ * @returns {void}
+ */
+const actionBursts = (count) => {
+    for (let i = 0; i < count; i++) {
+        wait(5000);
+        focus(option());
+        clickTimes(option(), 4, 100);
+    }
+};
+
+/**
+ * Glide to the option and the navigation button in turn, clicking each, as an agent faking a hand.
+ *
+ * @param {number} count Number of clicks.
+ * @returns {void}
+ */
+const glideClicks = (count) => {
+    let at = {x: 400, y: 20};
+    for (let i = 0; i < count; i++) {
+        const element = i % 2 ? next() : option();
+        wait(1000);
+        at = glide(at, element);
+        click(element, {hover: true, pointer: true});
+    }
+};
+
+/**
+ * Tap an element several times with a finger.
+ *
+ * @param {Element} element Element.
+ * @param {number} count Number of taps.
+ * @param {Object} [options] Options of tap(), besides the offset from the centre.
+ * @param {number} [options.offset] How far right of the centre to tap (px).
+ * @returns {void}
+ */
+const tapTimes = (element, count, {offset = 0, ...options} = {}) => {
+    const center = centerOf(element);
+    for (let i = 0; i < count; i++) {
+        wait(700);
+        tap(element, {x: center.x + offset, y: center.y, ...options});
+    }
+};
+
+/**
+ * Type random words into an element, a key every 150ms.
+ *
+ * @param {Element} element Element.
+ * @param {number} length Number of characters.
+ * @returns {void}
+ */
+const typeWords = (element, length) => {
+    typeKeys(element, composeText(createRandom(1), length), () => 150, () => 50);
+};
+
+/**
+ * Each anomaly, with the shortest input that raises it and what it reports.
+ *
+ * @type {Array<Object>}
+ */
+const GOLDEN = [
+    {
+        title: 'mouse.insufficient_data',
+        input: () => moveMouse(line(5)),
+        anomaly: {name: 'mouse.insufficient_data', value: 5, weight: 2},
+    },
+    {
+        title: 'mouse.linear_movement',
+        input: () => moveMouse(line(30).map((point, i) => ({...point, delay: 10 + (i % 4) * 6}))),
+        anomaly: {name: 'mouse.linear_movement', value: 28 / 30, weight: 3},
+    },
+    {
+        title: 'mouse.teleport',
+        input: () => moveMouse([...line(20), {x: 30000, y: 500, delay: 1}]),
+        anomaly: {name: 'mouse.teleport', value: 1, weight: 8},
+    },
+    {
+        title: 'mouse.sparse_movement',
+        input: () => {
+            moveMouse(line(20));
+            wait(200000);
+        },
+        anomaly: {name: 'mouse.sparse_movement', value: 20, weight: 5},
+    },
+    {
+        title: 'mouse.constant_velocity',
+        input: () => moveMouse(line(25)),
+        anomaly: {name: 'mouse.constant_velocity', value: 0, weight: 6},
+    },
+    {
+        title: 'comet.low_mouse_to_action_ratio (extreme)',
+        input: () => {
+            moveMouse(line(20));
+            clickTimes(option(), 12);
+            nextPage();
+        },
+        anomaly: {name: 'comet.low_mouse_to_action_ratio', value: 20 / 12, weight: 10},
+    },
+    {
+        title: 'comet.low_mouse_to_action_ratio (low)',
+        input: () => {
+            moveMouse(line(20));
+            clickTimes(option(), 5);
+            nextPage();
+        },
+        anomaly: {name: 'comet.low_mouse_to_action_ratio', value: 4, weight: 5},
+    },
+    {
+        title: 'click.center_precision',
+        input: () => {
+            [3, 3, 3, 20].forEach((offset) => {
+                wait(700);
+                click(option(), {x: 108 + offset, y: 168});
+            });
+        },
+        anomaly: {name: 'click.center_precision', value: 0.75, weight: 10},
+    },
+    {
+        title: 'comet.ultra_precise_center',
+        input: () => clickTimes(option(), 3),
+        anomaly: {name: 'comet.ultra_precise_center', value: 1, weight: 10},
+    },
+    {
+        title: 'click.no_hover',
+        input: () => clickTimes(option(), 3),
+        anomaly: {name: 'click.no_hover', value: 1, weight: 6},
+    },
+    {
+        title: 'click.no_movement',
+        input: () => clickTimes(option(), 3),
+        anomaly: {name: 'click.no_movement', value: 1, weight: 9},
+    },
+    {
+        title: 'click.teleport_pattern',
+        input: () => {
+            moveMouse(line(2));
+            clickTimes(option(), 3);
+        },
+        anomaly: {name: 'click.teleport_pattern', value: 2 / 3, weight: 10},
+    },
+    {
+        title: 'click.superhuman_speed',
+        input: () => {
+            click(option());
+            wait(20);
+            click(option());
+            wait(500);
+            click(option());
+        },
+        anomaly: {name: 'click.superhuman_speed', value: 1, weight: 3},
+    },
+    {
+        title: 'click.perfect_timing',
+        input: () => clickTimes(next(), 4, 500),
+        anomaly: {name: 'click.perfect_timing', value: 0, weight: 8},
+    },
+    {
+        title: 'comet.zero_keystrokes',
+        input: () => {
+            clickTimes(option(), 5);
+            nextPage();
+        },
+        anomaly: {name: 'comet.zero_keystrokes', value: 0, weight: 9},
+    },
+    {
+        title: 'keystroke.perfect_timing',
+        input: () => type(essay(), 12, () => 100, (i) => 40 + (i % 3) * 15),
+        anomaly: {name: 'keystroke.perfect_timing', value: 0, weight: 9},
+    },
+    {
+        title: 'comet.uniform_keystroke_cadence',
+        input: () => type(essay(), 12, (i) => (i % 2 ? 205 : 195), (i) => 40 + (i % 3) * 15),
+        anomaly: {name: 'comet.uniform_keystroke_cadence', value: expect.closeTo(0.0248, 4), weight: 9},
+    },
+    {
+        title: 'keystroke.superhuman_speed',
+        input: () => type(essay(), 12, (i) => 20 + (i % 2) * 4, () => 10),
+        anomaly: {name: 'keystroke.superhuman_speed', value: 1, weight: 9},
+    },
+    {
+        title: 'keystroke.constant_hold',
+        input: () => type(essay(), 12, (i) => 150 + (i % 3) * 60, () => 50),
+        anomaly: {name: 'keystroke.constant_hold', value: 0, weight: 7},
+    },
+    {
+        title: 'comet.uniform_hold_duration',
+        input: () => type(essay(), 12, (i) => 150 + (i % 3) * 60, (i) => (i % 2 ? 82 : 78)),
+        anomaly: {name: 'comet.uniform_hold_duration', value: 0.025, weight: 8},
+    },
+    {
+        title: 'keystroke.flat_digraphs',
+        input: () => typeWords(essay(), 101),
+        anomaly: {name: 'keystroke.flat_digraphs', value: 1, weight: 4},
+    },
+    {
+        title: 'keystroke.no_pauses',
+        input: () => typeWords(essay(), 101),
+        anomaly: {name: 'keystroke.no_pauses', value: 0, weight: 5},
+    },
+    {
+        title: 'keystroke.no_corrections',
+        input: () => typeWords(essay(), 101),
+        anomaly: {name: 'keystroke.no_corrections', value: 0, weight: 4},
+    },
+    {
+        title: 'keystroke.constant_rate',
+        input: () => typeWords(essay(), 101),
+        anomaly: {name: 'keystroke.constant_rate', value: 0, weight: 5},
+    },
+    {
+        title: 'scroll.instant_jump',
+        input: () => {
+            [300, 600, 900, 1250].forEach((y) => {
+                wait(5);
+                scrollTo(y);
+            });
+        },
+        anomaly: {name: 'scroll.instant_jump', value: 0.75, weight: 6},
+    },
+    {
+        title: 'scroll.constant_amount',
+        input: () => {
+            [100, 200, 300, 400].forEach((y) => {
+                wait(100);
+                scrollTo(y);
+            });
+        },
+        anomaly: {name: 'scroll.constant_amount', value: 0, weight: 5},
+    },
+    {
+        title: 'sequence.low_hover_ratio',
+        input: () => clickTimes(option(), 3),
+        anomaly: {name: 'sequence.low_hover_ratio', value: 0, weight: 5},
+    },
+    {
+        title: 'sequence.direct_focus',
+        input: () => {
+            [option(), essay(), next()].forEach((element) => {
+                wait(1000);
+                focus(element);
+            });
+        },
+        anomaly: {name: 'sequence.direct_focus', value: 1, weight: 3},
+    },
+    {
+        title: 'comet.rapid_focus_sequence',
+        input: () => {
+            ['q1-a', 'q1-b', 'q1-c', 'q2-answer', 'mod_quiz-next-nav'].forEach((id) => {
+                wait(50);
+                focus(document.getElementById(id));
+            });
+        },
+        anomaly: {name: 'comet.rapid_focus_sequence', value: 4, weight: 5},
+    },
+    {
+        title: 'input.large_paste',
+        input: () => pasteText(essay(), 'x'.repeat(250)),
+        anomaly: {name: 'input.large_paste', value: 250, weight: 6},
+    },
+    {
+        title: 'input.programmatic_set',
+        input: () => {
+            essay().value = 'x'.repeat(30);
+        },
+        anomaly: {name: 'input.programmatic_set', value: 30, weight: 8},
+    },
+    {
+        title: 'focus.question_copied',
+        input: () => copyText(essayText()),
+        anomaly: {name: 'focus.question_copied', value: 1, weight: 3},
+    },
+    {
+        title: 'focus.copy_leave_paste',
+        input: () => {
+            copyText(essayText());
+            leavePage(40000);
+            pasteText(essay(), 'x'.repeat(50));
+        },
+        anomaly: {name: 'focus.copy_leave_paste', value: 1, weight: 9},
+    },
+    {
+        title: 'focus.paste_after_return',
+        input: () => {
+            leavePage(40000);
+            pasteText(essay(), 'x'.repeat(50));
+        },
+        anomaly: {name: 'focus.paste_after_return', value: 1, weight: 5},
+    },
+    {
+        title: 'event.untrusted',
+        input: () => [1, 2, 3].forEach(() => option().click()),
+        anomaly: {name: 'event.untrusted', value: 3, weight: 10},
+    },
+    {
+        title: 'event.impossible_coordinates',
+        input: () => [1, 2].forEach(scriptedAnswer),
+        anomaly: {name: 'event.impossible_coordinates', value: 1, weight: 9},
+    },
+    {
+        title: 'click.zero_detail',
+        input: () => {
+            for (let i = 0; i < 3; i++) {
+                wait(700);
+                click(option(), {detail: 0});
+            }
+        },
+        anomaly: {name: 'click.zero_detail', value: 3, weight: 7},
+    },
+    {
+        title: 'mouse.no_movement_delta',
+        input: () => moveMouse(line(21), document.body, {deltas: false}),
+        anomaly: {name: 'mouse.no_movement_delta', value: 20, weight: 6},
+    },
+    {
+        title: 'comet.action_burst',
+        input: () => actionBursts(3),
+        anomaly: {name: 'comet.action_burst', value: 3, weight: 5},
+    },
+    {
+        title: 'comet.read_then_act',
+        input: () => actionBursts(3),
+        anomaly: {name: 'comet.read_then_act', value: 2, weight: 5},
+    },
+    {
+        title: 'comet.no_mousemove_trail',
+        input: () => clickTimes(option(), 3),
+        anomaly: {name: 'comet.no_mousemove_trail', value: 1, weight: 6},
+    },
+    {
+        title: 'comet.missing_pointer_events',
+        input: () => clickTimes(option(), 3),
+        anomaly: {name: 'comet.missing_pointer_events', value: 0, weight: 4},
+    },
+    {
+        title: 'comet.low_per_page_mouse_ratio',
+        input: () => {
+            for (let page = 0; page < 3; page++) {
+                if (page > 0) {
+                    nextPage();
+                }
+                moveMouse(line(1));
+                clickTimes(option(), 2);
+            }
+        },
+        anomaly: {name: 'comet.low_per_page_mouse_ratio', value: 1, weight: 10},
+    },
+    {
+        title: 'comet.scroll_then_click',
+        input: () => {
+            for (let i = 1; i <= 5; i++) {
+                wait(900);
+                scrollTo(i * 150 + (i % 2) * 40);
+                wait(100);
+                click(option());
+            }
+        },
+        anomaly: {name: 'comet.scroll_then_click', value: 1, weight: 8},
+    },
+    {
+        title: 'trajectory.smooth_curvature',
+        input: () => glideClicks(5),
+        anomaly: {name: 'trajectory.smooth_curvature', value: 0.8, weight: 4},
+    },
+    {
+        title: 'trajectory.minimum_jerk',
+        input: () => glideClicks(5),
+        anomaly: {name: 'trajectory.minimum_jerk', value: 1, weight: 5},
+    },
+    {
+        title: 'trajectory.no_correction',
+        input: () => glideClicks(5),
+        anomaly: {name: 'trajectory.no_correction', value: 1, weight: 5},
+    },
+    {
+        title: 'trajectory.fitts_violation',
+        input: () => glideClicks(5),
+        anomaly: {name: 'trajectory.fitts_violation', value: 0, weight: 4},
+    },
+    {
+        title: 'touch.uniform_contact',
+        input: () => tapTimes(option(), 5, {offset: 6, radius: 1, force: 1}),
+        anomaly: {name: 'touch.uniform_contact', value: 5, weight: 6},
+    },
+    {
+        title: 'touch.instant_tap',
+        input: () => tapTimes(option(), 3, {offset: 6, hold: 0}),
+        anomaly: {name: 'touch.instant_tap', value: 1, weight: 8},
+    },
+    {
+        title: 'touch.linear_swipe',
+        input: () => {
+            for (let i = 0; i < 3; i++) {
+                wait(1000);
+                swipe(Array.from({length: 6}, (_, j) => ({x: 300, y: 600 - j * 30})));
+            }
+        },
+        anomaly: {name: 'touch.linear_swipe', value: 1, weight: 5},
+    },
+    {
+        title: 'touch.fixed_tap_offset',
+        input: () => tapTimes(option(), 5, {offset: 6}),
+        anomaly: {name: 'touch.fixed_tap_offset', value: 0, weight: 7},
+    },
+    {
+        title: 'touch.click_without_contact',
+        input: () => {
+            tapTimes(option(), 1, {offset: 6});
+            clickTimes(next(), 3, 1500);
+        },
+        anomaly: {name: 'touch.click_without_contact', value: 0.75, weight: 9},
+    },
+];
+
+beforeEach(() => {
+    jest.useFakeTimers({now: new Date('2026-03-02T09:00:00Z')});
+    sessionStorage.clear();
+    loadPage();
+    Interaction.reset();
+    Interaction.startMonitoring();
+});
+
+afterEach(() => {
+    Interaction.stopMonitoring();
+    jest.useRealTimers();
+});
+
+describe('anomalies', () => {
+    test.each(GOLDEN)('$title', ({input, anomaly}) => {
+        input();
+
+        expect(Interaction.analyze().anomalies).toContainEqual(anomaly);
+    });
+
+    test('every anomaly the module can raise has a golden case', () => {
+        const source = fs.readFileSync(path.join(__dirname, '../../amd/src/interaction.js'), 'utf8');
+        const raised = new Set(Array.from(source.matchAll(/name: '([a-z_]+\.[a-z_.]+)'/g), (match) => match[1]));
+
+        expect(new Set(GOLDEN.map((golden) => golden.anomaly.name))).toEqual(raised);
+    });
+});
+
+describe('sessions', () => {
+    test('a person taking a quiz raises no strong signal', () => {
+        humanSession(3);
+
+        const results = Interaction.analyze();
+        const names = results.anomalies.map((anomaly) => anomaly.name);
+        expect(names.filter((name) => STRONG_SIGNALS.includes(name))).toEqual([]);
+        expect(results.pageLoadCount).toBe(3);
+        expect(results.score).toBeLessThan(40);
+    });
+
+    test('a browser agent taking a quiz scores high', () => {
+        agentSession(3);
+
+        const results = Interaction.analyze();
+        const names = results.anomalies.map((anomaly) => anomaly.name);
+        expect(names).toEqual(expect.arrayContaining([
+            'click.center_precision',
+            'click.teleport_pattern',
+            'comet.ultra_precise_center',
+            'comet.zero_keystrokes',
+            'comet.low_per_page_mouse_ratio',
+        ]));
+        expect(results.score).toBeGreaterThanOrEqual(70);
+    });
+
+    test('a person aims, corrects and slows down for small targets', () => {
+        humanSession(3);
+
+        const names = Interaction.analyze().anomalies.map((anomaly) => anomaly.name);
+        expect(names.filter((name) => name.startsWith('trajectory.'))).toEqual([]);
+    });
+
+    test('an agent gliding along Bézier curves is given away by its trajectories', () => {
+        const at = glidingAgentAnswer();
+        nextPage();
+        glidingAgentAnswer(at);
+
+        const names = Interaction.analyze().anomalies.map((anomaly) => anomaly.name);
+        const mouseAnomalies = names.filter((name) => name.startsWith('mouse.') || name.startsWith('click.no_'));
+        expect(mouseAnomalies).toEqual(['mouse.linear_movement']);
+        expect(names).toEqual(expect.arrayContaining([
+            'trajectory.smooth_curvature',
+            'trajectory.minimum_jerk',
+            'trajectory.no_correction',
+            'trajectory.fitts_violation',
+        ]));
+    });
+
+    test('movements from earlier pages count towards the trajectories', () => {
+        glideClicks(3);
+        const firstPage = Interaction.analyze().anomalies.map((anomaly) => anomaly.name);
+        nextPage();
+        glideClicks(2);
+
+        expect(firstPage.filter((name) => name.startsWith('trajectory.'))).toEqual([]);
+        expect(Interaction.analyze().anomalies).toContainEqual({name: 'trajectory.fitts_violation', value: 0, weight: 4});
+    });
+
+    test('each question of the attempt is analysed on its own', () => {
+        humanSession(1);
+        wait(1000);
+        clickTimes(option(), 3);
+
+        const slots = Interaction.analyze().slots;
+        expect(slots.map((slot) => slot.name)).toEqual(['42:1', '42:2']);
+        expect(slots[0].anomalies.map((anomaly) => anomaly.name)).toContain('comet.ultra_precise_center');
+        expect(slots[0].score).toBeGreaterThanOrEqual(40);
+        expect(slots[1].eventCounts.keystrokes).toBe(25);
+        expect(slots[1].score).toBe(0);
+    });
+});
+
+describe('free text', () => {
+    /**
+     * Names of the anomalies raised by the free-text typing checks.
+     *
+     * @param {Array<Object>} anomalies Anomalies.
+     * @returns {Array<string>} Names.
+     */
+    const typingAnomalies = (anomalies) => anomalies.map((anomaly) => anomaly.name)
+        .filter((name) => ['keystroke.flat_digraphs', 'keystroke.no_pauses', 'keystroke.no_corrections',
+            'keystroke.constant_rate'].includes(name));
+
+    test('a person writing an essay types in bursts, corrects and slows down', () => {
+        writeAnswer(essay(), createRandom(3));
+
+        expect(typingAnomalies(Interaction.analyze().anomalies)).toEqual([]);
+    });
+
+    test('an auto-typer at a humanised cadence is caught', () => {
+        autoTypeAnswer(essay(), createRandom(3));
+
+        const names = Interaction.analyze().anomalies.map((anomaly) => anomaly.name);
+        expect(names).not.toContain('comet.uniform_keystroke_cadence');
+        expect(typingAnomalies(Interaction.analyze().anomalies)).toEqual([
+            'keystroke.flat_digraphs',
+            'keystroke.no_pauses',
+            'keystroke.no_corrections',
+            'keystroke.constant_rate',
+        ]);
+    });
+
+    test('keys pressed outside text fields are left out', () => {
+        typeWords(option(), 101);
+
+        expect(typingAnomalies(Interaction.analyze().anomalies)).toEqual([]);
+    });
+
+    test('a long break in typing is not taken for a pause', () => {
+        typeWords(essay(), 60);
+        wait(60000);
+        typeWords(essay(), 60);
+
+        expect(Interaction.analyze().anomalies).toContainEqual({name: 'keystroke.no_pauses', value: 0, weight: 5});
+    });
+
+    test('only which hand typed each key is stored', () => {
+        writeAnswer(essay(), createRandom(3), 60);
+
+        const keystrokes = Interaction.getRawData().keystrokes;
+        expect(new Set(keystrokes.map((k) => k.key))).toEqual(new Set(['char', 'Backspace']));
+        expect(new Set(keystrokes.map((k) => k.hand))).toEqual(new Set(['left', 'right', 'space', null]));
+        expect(keystrokes.every((k) => k.text)).toBe(true);
+    });
+
+    test('each answer is analysed on its own', () => {
+        autoTypeAnswer(essay(), createRandom(3));
+
+        const slots = Interaction.analyze().slots;
+        expect(slots.map((slot) => slot.name)).toEqual(['42:2']);
+        expect(typingAnomalies(slots[0].anomalies)).toContain('keystroke.constant_rate');
+    });
+
+    test.each([
+        ['KeyA', 'left'],
+        ['Digit5', 'left'],
+        ['KeyJ', 'right'],
+        ['Slash', 'right'],
+        ['Space', 'space'],
+        ['Enter', null],
+        ['', null],
+    ])('getKeyHand(%p)', (code, hand) => {
+        expect(Interaction.getKeyHand(code)).toBe(hand);
+    });
+});
+
+describe('answer provenance', () => {
+    /**
+     * Names of the anomalies raised about where answers came from.
+     *
+     * @param {Array<Object>} anomalies Anomalies.
+     * @returns {Array<string>} Names.
+     */
+    const inputAnomalies = (anomalies) => anomalies.map((anomaly) => anomaly.name).filter((name) => name.startsWith('input.'));
+
+    test('each change is classified by where it came from', () => {
+        typeText(essay(), 'ab');
+        pasteText(essay(), 'cde');
+        pasteText(essay(), 'fg', {drop: true});
+        wait(2000);
+        changeText(essay(), essay().value + 'hij', null);
+        changeText(essay(), essay().value + 'klmn', 'insertText');
+        setAnswer(essay(), essay().value + 'o');
+        essay().value += 'pq';
+        Interaction.analyze();
+
+        const inputs = Interaction.getRawData().inputs.map(({source, inputType, size, length, slot}) =>
+            ({source, inputType, size, length, slot}));
+        expect(inputs).toEqual([
+            {source: 'typed', inputType: 'insertText', size: 1, length: 1, slot: 2},
+            {source: 'typed', inputType: 'insertText', size: 1, length: 2, slot: 2},
+            {source: 'pasted', inputType: 'insertFromPaste', size: 3, length: 5, slot: 2},
+            {source: 'dropped', inputType: 'insertFromDrop', size: 2, length: 7, slot: 2},
+            {source: 'autofilled', inputType: null, size: 3, length: 10, slot: 2},
+            // Inserted by execCommand(), without a key going down.
+            {source: 'programmatic', inputType: 'insertText', size: 4, length: 14, slot: 2},
+            {source: 'programmatic', inputType: null, size: 1, length: 15, slot: 2},
+            // Set without an event, found when the detector looked.
+            {source: 'programmatic', inputType: null, size: 2, length: 17, slot: 2},
+        ]);
+    });
+
+    test('a person typing and pasting a quote raises nothing', () => {
+        typeText(essay(), 'As the author says ');
+        pasteText(essay(), '"the map is not the territory"');
+
+        expect(inputAnomalies(Interaction.analyze().anomalies)).toEqual([]);
+    });
+
+    test('an extension writing the answer is caught, in its question', () => {
+        setAnswer(essay(), 'x'.repeat(300));
+
+        const results = Interaction.analyze();
+        expect(results.anomalies).toContainEqual({name: 'input.programmatic_set', value: 300, weight: 8});
+        expect(results.slots.map((slot) => slot.name)).toEqual(['42:2']);
+        expect(inputAnomalies(results.slots[0].anomalies)).toEqual(['input.programmatic_set']);
+    });
+
+    test('the text of answers is never kept', () => {
+        pasteText(essay(), 'a secret answer');
+        typeText(essay(), 'xy');
+        Interaction.saveToSessionStorage();
+
+        expect(JSON.stringify(Interaction.getRawData().inputs)).not.toContain('secret');
+        expect(JSON.stringify(Object.values(sessionStorage))).not.toContain('secret');
+    });
+
+    test('changes are carried to the next page', () => {
+        pasteText(essay(), 'x'.repeat(250));
+        nextPage();
+
+        expect(inputAnomalies(Interaction.analyze().anomalies)).toEqual(['input.large_paste']);
+    });
+
+    test('answers already on the page are not changes', () => {
+        Interaction.stopMonitoring();
+        Interaction.reset();
+        essay().value = 'Saved from the previous visit to this page.';
+        Interaction.startMonitoring();
+
+        Interaction.analyze();
+        expect(Interaction.getRawData().inputs).toEqual([]);
+    });
+
+    test('a text area an editor has replaced is left out', () => {
+        essay().style.display = 'none';
+        essay().value = 'x'.repeat(100);
+
+        Interaction.analyze();
+        expect(Interaction.getRawData().inputs).toEqual([]);
+    });
+
+    test('changes in an editor frame belong to its question', () => {
+        const frame = document.createElement('iframe');
+        essay().parentNode.appendChild(frame);
+        const body = frame.contentDocument.body;
+        body.contentEditable = 'true';
+        focus(frame);
+
+        body.dispatchEvent(new KeyboardEvent('keydown', {bubbles: true, key: 'a'}));
+        body.textContent = 'a';
+        Interaction.replayEvent('input', {type: 'input', target: body, isTrusted: true, inputType: 'insertText'}, 42);
+        wait(2000);
+        body.textContent += 'x'.repeat(40);
+        body.dispatchEvent(new InputEvent('input', {bubbles: true, inputType: 'insertText'}));
+
+        const inputs = Interaction.getRawData().inputs.map(({source, size, slot}) => ({source, size, slot}));
+        expect(inputs).toEqual([
+            {source: 'typed', size: 1, slot: 2},
+            {source: 'programmatic', size: 40, slot: 2},
+        ]);
+    });
+});
+
+describe('leaving the page', () => {
+    /**
+     * Names of the anomalies raised about leaving the page.
+     *
+     * @param {Array<Object>} anomalies Anomalies.
+     * @returns {Array<string>} Names.
+     */
+    const focusAnomalies = (anomalies) => anomalies.map((anomaly) => anomaly.name).filter((name) => name.startsWith('focus.'));
+
+    test('departures are recorded with how long they lasted', () => {
+        leavePage(40000);
+        wait(1000);
+        leavePage(5000, {hidden: false});
+        wait(1000);
+        // Focus moving into an editor frame, and back.
+        leavePage(0, {hidden: false});
+
+        const departures = Interaction.getRawData().timeline.map(({type, duration, hidden}) => ({type, duration, hidden}));
+        expect(departures).toEqual([
+            {type: 'departure', duration: 40000, hidden: true},
+            {type: 'departure', duration: 5000, hidden: false},
+        ]);
+        expect(Interaction.analyze().eventCounts.departures).toBe(2);
+    });
+
+    test('copies record where the text came from, never the text', () => {
+        copyText(essayText());
+        essay().value = 'My own answer';
+        essay().setSelectionRange(0, 6);
+        essay().dispatchEvent(new Event('copy', {bubbles: true}));
+        document.body.insertAdjacentHTML('afterbegin', '<h2 id="title">Quiz</h2>');
+        copyText(document.getElementById('title'));
+        Interaction.saveToSessionStorage();
+
+        const copies = Interaction.getRawData().timeline.map(({type, source, size, slot}) => ({type, source, size, slot}));
+        expect(copies).toEqual([
+            {type: 'copy', source: 'question', size: 28, slot: 2},
+            {type: 'copy', source: 'answer', size: 6, slot: 2},
+            {type: 'copy', source: 'page', size: 4, slot: undefined},
+        ]);
+        expect(JSON.stringify(Object.values(sessionStorage))).not.toContain('sky');
+    });
+
+    test('a person looking away and typing on raises nothing', () => {
+        leavePage(20000);
+        typeText(essay(), 'The sky scatters blue light.');
+
+        expect(focusAnomalies(Interaction.analyze().anomalies)).toEqual([]);
+    });
+
+    test('asking a chatbot is caught, in its question', () => {
+        chatbotAnswer();
+
+        const results = Interaction.analyze();
+        expect(focusAnomalies(results.anomalies)).toEqual(['focus.question_copied', 'focus.copy_leave_paste']);
+        expect(results.slots.map((slot) => [slot.name, focusAnomalies(slot.anomalies)])).toEqual([
+            ['42:2', ['focus.question_copied', 'focus.copy_leave_paste']],
+        ]);
+    });
+
+    test('a paste long after coming back is not linked to leaving', () => {
+        copyText(essayText());
+        leavePage(40000);
+        wait(60000);
+        pasteText(essay(), 'x'.repeat(50));
+
+        expect(focusAnomalies(Interaction.analyze().anomalies)).toEqual(['focus.question_copied']);
+    });
+
+    test('copies and departures are carried to the next page', () => {
+        copyText(essayText());
+        leavePage(40000);
+        nextPage();
+        pasteText(essay(), 'x'.repeat(50));
+
+        expect(focusAnomalies(Interaction.analyze().anomalies)).toEqual(['focus.question_copied', 'focus.copy_leave_paste']);
+    });
+});
+
+describe('event authenticity', () => {
+    /**
+     * Names of the anomalies raised about where events came from.
+     *
+     * @param {Array<Object>} anomalies Anomalies.
+     * @returns {Array<string>} Names.
+     */
+    const authenticityAnomalies = (anomalies) => anomalies.map((anomaly) => anomaly.name)
+        .filter((name) => ['event.untrusted', 'event.impossible_coordinates', 'click.zero_detail',
+            'mouse.no_movement_delta'].includes(name));
+
+    test('a person raises nothing', () => {
+        humanSession(3);
+
+        expect(authenticityAnomalies(Interaction.analyze().anomalies)).toEqual([]);
+    });
+
+    test.each([
+        ['keyboard', keyboardAnswer],
+        ['screen reader', screenReaderAnswer],
+    ])('clicks made with the %s are not suspected', (_, answer) => {
+        assistedSession(answer, 3);
+
+        expect(authenticityAnomalies(Interaction.analyze().anomalies)).toEqual([]);
+    });
+
+    test('an extension clicking and writing the answers is caught, in each question', () => {
+        scriptedAnswer();
+        nextPage();
+        scriptedAnswer();
+        nextPage();
+        scriptedAnswer();
+
+        const results = Interaction.analyze();
+        expect(results.anomalies).toContainEqual({name: 'event.untrusted', value: 9, weight: 10});
+        expect(results.anomalies).toContainEqual({name: 'event.impossible_coordinates', value: 1, weight: 9});
+        expect(results.score).toBeGreaterThanOrEqual(70);
+        expect(results.slots.map((slot) => authenticityAnomalies(slot.anomalies))).toEqual([
+            ['event.untrusted'],
+            ['event.untrusted'],
+        ]);
+    });
+
+    test('a driver leaving out the click count and movement deltas is caught', () => {
+        let at = {x: 400, y: 20};
+        [option(), essay(), next()].forEach((element) => {
+            const to = centerOf(element);
+            wait(1000);
+            moveMouse(Array.from({length: 10}, (_, i) => ({
+                x: Math.round(at.x + (to.x - at.x) * (i + 1) / 10),
+                y: Math.round(at.y + (to.y - at.y) * (i + 1) / 10),
+            })), element, {deltas: false});
+            click(element, {hold: 50, detail: 0});
+            at = to;
+        });
+
+        expect(authenticityAnomalies(Interaction.analyze().anomalies)).toEqual(['click.zero_detail', 'mouse.no_movement_delta']);
+    });
+});
+
+describe('assistive technology', () => {
+    /**
+     * Start monitoring again with an accommodation.
+     *
+     * @param {string} mode Accommodation mode.
+     * @returns {Object} Options the detector was started with.
+     */
+    const accommodate = (mode) => {
+        const options = {accommodation: mode};
+        Interaction.stopMonitoring();
+        Interaction.startMonitoring(options);
+        return options;
+    };
+
+    const patternsOf = (results) => results.assistive.map((pattern) => pattern.name);
+    const namesOf = (anomalies) => anomalies.map((anomaly) => anomaly.name);
+
+    test('keyboard navigation is recognised', () => {
+        assistedSession(keyboardAnswer);
+
+        const results = Interaction.analyze();
+        expect(patternsOf(results)).toEqual(['assistive.keyboard_navigation']);
+        expect(namesOf(results.anomalies)).toContain('sequence.direct_focus');
+        expect(results.accommodation).toBeNull();
+    });
+
+    test('a screen reader virtual cursor is recognised', () => {
+        assistedSession(screenReaderAnswer);
+
+        expect(patternsOf(Interaction.analyze())).toEqual(['assistive.virtual_cursor']);
+    });
+
+    test('voice control is recognised', () => {
+        for (let i = 0; i < 5; i++) {
+            wait(2500);
+            activate(i % 2 ? next() : option());
+        }
+
+        expect(patternsOf(Interaction.analyze())).toEqual(['assistive.voice_control']);
+    });
+
+    test('a person using the mouse shows no pattern', () => {
+        humanSession(3);
+
+        expect(Interaction.analyze().assistive).toEqual([]);
+    });
+
+    test('suppression drops the anomalies assistive technology explains, and records why', () => {
+        assistedSession(keyboardAnswer, 3, accommodate(Interaction.ACCOMMODATION_MODES.SUPPRESS));
+
+        const results = Interaction.analyze();
+        expect(results.anomalies).toEqual([]);
+        expect(results.score).toBe(0);
+        expect(results.accommodation.mode).toBe('suppress');
+        expect(results.accommodation.anomalies).toEqual(expect.arrayContaining([
+            {name: 'sequence.direct_focus', weight: 3, because: 'accommodation'},
+            {name: 'click.no_movement', weight: 9, because: 'assistive.keyboard_navigation'},
+        ]));
+    });
+
+    test('re-weighting keeps the anomalies under another name at a quarter of their weight', () => {
+        agentSession(3);
+        const unaccommodated = Interaction.analyze().score;
+
+        Interaction.stopMonitoring();
+        sessionStorage.clear();
+        loadPage();
+        Interaction.reset();
+        agentSession(3, accommodate(Interaction.ACCOMMODATION_MODES.REWEIGHT));
+
+        const results = Interaction.analyze();
+        expect(results.anomalies).toContainEqual(
+            expect.objectContaining({name: 'accommodated.comet.zero_keystrokes', weight: 2.25})
+        );
+        expect(namesOf(results.anomalies)).toContain('click.perfect_timing');
+        expect(namesOf(results.anomalies).filter((name) => STRONG_SIGNALS.includes(name))).toEqual([]);
+        expect(results.score).toBeLessThan(unaccommodated);
+    });
+
+    test('anomalies no assistive pattern explains are kept', () => {
+        accommodate(Interaction.ACCOMMODATION_MODES.SUPPRESS);
+        clickTimes(option(), 5);
+
+        const results = Interaction.analyze();
+        expect(results.assistive).toEqual([]);
+        expect(namesOf(results.anomalies)).toContain('click.center_precision');
+        expect(namesOf(results.anomalies)).not.toContain('comet.missing_pointer_events');
+    });
+
+    test('an unknown mode is ignored', () => {
+        assistedSession(keyboardAnswer, 3, accommodate('ignore'));
+
+        const results = Interaction.analyze();
+        expect(results.accommodation).toBeNull();
+        expect(namesOf(results.anomalies)).toContain('sequence.direct_focus');
+    });
+
+    test('each question is accommodated', () => {
+        assistedSession(screenReaderAnswer, 1, accommodate(Interaction.ACCOMMODATION_MODES.SUPPRESS));
+
+        const slots = Interaction.analyze().slots;
+        expect(slots.length).toBeGreaterThan(0);
+        slots.forEach((slot) => {
+            expect(namesOf(slot.anomalies).filter((name) => Interaction.ACCOMMODATED_ANOMALIES.includes(name))).toEqual([]);
+            expect(namesOf(slot.anomalies)).not.toContain('click.center_precision');
+        });
+    });
+});
+
+describe('touch and pen', () => {
+    const namesOf = (anomalies) => anomalies.map((anomaly) => anomaly.name);
+
+    test('a person on a tablet is judged by the touch model', () => {
+        touchSession(3);
+
+        const results = Interaction.analyze();
+        expect(results.modality).toBe(Interaction.MODALITIES.TOUCH);
+        expect(results.eventCounts.touchPresses).toBe(12);
+        expect(namesOf(results.anomalies).filter((name) => Interaction.DESKTOP_ANOMALIES.includes(name))).toEqual([]);
+        expect(namesOf(results.anomalies).filter((name) => name.startsWith('touch.'))).toEqual([]);
+        expect(results.score).toBeLessThan(40);
+    });
+
+    test('an agent dispatching touches scores high', () => {
+        agentTouchSession(3);
+
+        const results = Interaction.analyze();
+        expect(results.modality).toBe(Interaction.MODALITIES.TOUCH);
+        expect(namesOf(results.anomalies)).toEqual(expect.arrayContaining([
+            'click.center_precision',
+            'comet.ultra_precise_center',
+            'touch.uniform_contact',
+            'touch.instant_tap',
+        ]));
+        expect(results.score).toBeGreaterThanOrEqual(70);
+    });
+
+    test('a pen is recognised by its pointer events', () => {
+        touchSession(2, {pen: true});
+
+        const results = Interaction.analyze();
+        expect(results.modality).toBe(Interaction.MODALITIES.PEN);
+        expect(results.eventCounts.penPresses).toBe(6);
+        expect(Interaction.getRawData().contacts.map((contact) => contact.type).slice(0, 2)).toEqual(['start', 'end']);
+        expect(namesOf(results.anomalies)).not.toContain('touch.uniform_contact');
+    });
+
+    test('a pen that never changes pressure has a uniform contact', () => {
+        tapTimes(option(), 5, {offset: 6, pen: true, radius: 0.5, force: 0.5});
+
+        expect(namesOf(Interaction.analyze().anomalies)).toContain('touch.uniform_contact');
+    });
+
+    test('screens that report no contact size or pressure are not suspected', () => {
+        tapTimes(option(), 5, {offset: 6, radius: 0, force: 0});
+
+        expect(namesOf(Interaction.analyze().anomalies)).not.toContain('touch.uniform_contact');
+    });
+
+    test('contacts are carried to the next page', () => {
+        tapTimes(option(), 2);
+        nextPage();
+
+        expect(Interaction.getRawData().contacts).toHaveLength(4);
+    });
+
+    test('each question is judged by the input it was answered with', () => {
+        touchSession(1);
+        wait(1000);
+        clickTimes(next(), 3);
+
+        const slots = Interaction.analyze().slots;
+        expect(slots.map((slot) => slot.name)).toEqual(['42:1', '42:2']);
+        slots.forEach((slot) => {
+            expect(slot.eventCounts.touchPresses).toBe(1);
+            expect(namesOf(slot.anomalies)).toEqual([]);
+        });
+    });
+});
+
+describe('detectModality', () => {
+    test.each([
+        ['nothing pressed', {}, 'mouse'],
+        ['a mouse', {mousePresses: 6, touchPresses: 1}, 'mouse'],
+        ['a tie', {mousePresses: 3, touchPresses: 3}, 'mouse'],
+        ['a finger', {mousePresses: 1, touchPresses: 4, penPresses: 2}, 'touch'],
+        ['a pen', {touchPresses: 2, penPresses: 5}, 'pen'],
+    ])('%s', (_, eventCounts, expected) => {
+        expect(Interaction.detectModality(eventCounts)).toBe(expected);
+    });
+});
+
+describe('calculateInteractionScore', () => {
+    test('scores nothing without anomalies', () => {
+        expect(Interaction.calculateInteractionScore([], {clicks: 50})).toBe(0);
+    });
+
+    test.each([
+        ['enough data', {mouseMoves: 40, clicks: 10}, 53],
+        ['moderate data', {mouseMoves: 8, clicks: 4}, 45],
+        ['sparse data', {mouseMoves: 2, clicks: 4}, 37],
+    ])('discounts %s', (_, eventCounts, expected) => {
+        const anomalies = [
+            {name: 'click.center_precision', weight: 10},
+            {name: 'click.no_hover', weight: 6},
+        ];
+
+        expect(Interaction.calculateInteractionScore(anomalies, eventCounts)).toBe(expected);
+    });
+
+    test('discounts sparse data more without a signal a person cannot produce', () => {
+        const anomalies = [
+            {name: 'click.no_hover', weight: 6},
+            {name: 'mouse.sparse_movement', weight: 5},
+        ];
+
+        expect(Interaction.calculateInteractionScore(anomalies, {mouseMoves: 3, clicks: 2})).toBe(11);
+    });
+
+    test('boosts strong signals that come together', () => {
+        const anomalies = [
+            {name: 'click.center_precision', weight: 10},
+            {name: 'click.no_movement', weight: 9},
+        ];
+
+        expect(Interaction.calculateInteractionScore(anomalies, {mouseMoves: 40, clicks: 10})).toBe(79);
+    });
+
+    test('leaves out desktop anomalies under the touch model', () => {
+        const anomalies = [
+            {name: 'click.center_precision', weight: 10},
+            {name: 'click.no_hover', weight: 6},
+        ];
+
+        expect(Interaction.calculateInteractionScore(anomalies, {mouseMoves: 40, clicks: 10})).toBe(53);
+        expect(Interaction.calculateInteractionScore(anomalies, {contacts: 40, clicks: 10, touchPresses: 10})).toBe(33);
+        expect(Interaction.calculateInteractionScore(anomalies.slice(1), {contacts: 40, clicks: 10, touchPresses: 10})).toBe(0);
+    });
+
+    test('counts contacts instead of mouse moves under the touch model', () => {
+        const anomalies = [{name: 'touch.linear_swipe', weight: 5}];
+
+        expect(Interaction.calculateInteractionScore(anomalies, {mouseMoves: 40, clicks: 2, touchPresses: 2})).toBe(5);
+        expect(Interaction.calculateInteractionScore(anomalies, {contacts: 40, clicks: 2, touchPresses: 2})).toBe(17);
+    });
+
+    test('boosts the strong signals of the touch model', () => {
+        const anomalies = [
+            {name: 'touch.instant_tap', weight: 8},
+            {name: 'touch.click_without_contact', weight: 9},
+        ];
+
+        expect(Interaction.calculateInteractionScore(anomalies, {mouseMoves: 40, clicks: 10})).toBe(57);
+        expect(Interaction.calculateInteractionScore(anomalies, {contacts: 40, clicks: 10, touchPresses: 10})).toBe(71);
+    });
+});
@@ -0,0 +1,42 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the recording format of local_agentdetect/recording.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as Recording from 'local_agentdetect/recording';
+
+describe('format', () => {
+    test('the current version is the newest in the history', () => {
+        const history = Recording.FORMAT_HISTORY;
+        expect(history[history.length - 1].version).toBe(Recording.FORMAT_VERSION);
+    });
+
+    test('the history has an entry for every version', () => {
+        expect(Recording.FORMAT_HISTORY.map(({version}) => version))
+            .toEqual(Array.from({length: Recording.FORMAT_VERSION}, (_, index) => index + 1));
+        Recording.FORMAT_HISTORY.forEach(({changes}) => expect(changes).not.toBe(''));
+    });
+
+    test('replay rejects recordings of an earlier version', () => {
+        const previous = Recording.FORMAT_VERSION - 1;
+        expect(() => Recording.replay({version: previous, startTime: 0, events: []}))
+            .toThrow('Unsupported recording version: ' + previous);
+    });
+});
@@ -0,0 +1,242 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the agent detection column of the quiz report.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import Ajax from 'core/ajax';
+import * as ReportColumn from 'local_agentdetect/report_column';
+
+/** Flags the server has, for attempts 11 to 14. */
+const FLAGS = [
+    {attemptid: 11, userid: 1, flagtype: 'likely_human', maxscore: 12, source: 'attempt'},
+    {attemptid: 12, userid: 2, flagtype: 'agent_suspected', maxscore: 88, source: 'attempt'},
+    {attemptid: 14, userid: 4, flagtype: 'agent_confirmed', maxscore: 40, source: 'user'},
+];
+
+const config = {
+    cmid: 7,
+    contextid: 30,
+    reportUrl: 'https://example.com/local/agentdetect/coursereport.php?courseid=2',
+    downloadUrl: 'https://example.com/local/agentdetect/verdicts.php?cmid=7',
+};
+
+/**
+ * Render the attempts table of the quiz report.
+ *
+ * @param {number[]} attemptIds Attempts listed, in order.
+ */
+const renderReport = (attemptIds) => {
+    const rows = attemptIds.map((id) => `
+        <tr>
+            <td class="cell c0"><a href="https://example.com/user/view.php?id=${id - 10}">Student ${id}</a></td>
+            <td class="cell c1"><a href="https://example.com/mod/quiz/review.php?attempt=${id}">Review attempt</a></td>
+            <td class="cell c2">${id}</td>
+        </tr>`).join('');
+    document.querySelector('[role="main"]').innerHTML = `
+        <div class="no-overflow">
+            <table class="quizattemptsreport">
+                <thead><tr>
+                    <th class="header c0"><a href="report.php?tsort=firstname">First name</a></th>
+                    <th class="header c1">Started</th>
+                    <th class="header c2">Grade</th>
+                </tr></thead>
+                <tbody>${rows}<tr class="averagerow"><td>Overall average</td><td></td><td>9</td></tr></tbody>
+            </table>
+        </div>`;
+};
+
+/**
+ * Get the text of the column and of the last cell of each row of the table, top to bottom.
+ *
+ * @returns {string[][]} Column text and grade of each row.
+ */
+const getRows = () => Array.from(document.querySelectorAll('table.quizattemptsreport tbody tr'))
+    .map((row) => [row.cells[1].textContent.trim(), row.cells[3].textContent.trim()]);
+
+/**
+ * Wait for the column to follow a re-render of the table.
+ *
+ * @returns {Promise} Resolved after the refresh delay.
+ */
+const waitForRefresh = () => new Promise((resolve) => setTimeout(resolve, 250));
+
+beforeEach(() => {
+    global.M = {
+        util: {
+            get_string: (key) => '[' + key + ']',
+            image_url: (name) => 'https://example.com/pix/' + name + '.svg',
+        },
+    };
+    document.body.innerHTML = '<div role="main"></div>';
+    sessionStorage.clear();
+    Ajax.call.mockImplementation((requests) => requests.map((request) => Promise.resolve(
+        FLAGS.filter((flag) => request.args.attemptids.includes(flag.attemptid))
+    )));
+});
+
+afterEach(() => {
+    ReportColumn.destroy();
+    Ajax.call.mockReset();
+    delete global.M;
+});
+
+describe('init', () => {
+    test('adds a column after the name with the flag of each attempt, fetched in one request', async() => {
+        renderReport([11, 12, 13, 14]);
+        await ReportColumn.init(config);
+
+        const header = document.querySelectorAll('table.quizattemptsreport thead th');
+        expect(header[1].textContent).toBe('[column:heading]');
+        expect(getRows()).toEqual([
+            ['[flagtype:likely_human] (12)', '11'],
+            ['[flagtype:agent_suspected] (88)', '12'],
+            ['', '13'],
+            ['[flagtype:agent_confirmed] (40)', '14'],
+            ['', '9'],
+        ]);
+
+        expect(Ajax.call).toHaveBeenCalledTimes(1);
+        expect(Ajax.call.mock.calls[0][0]).toEqual([{
+            methodname: 'local_agentdetect_get_quiz_flags',
+            args: {cmid: 7, attemptids: [11, 12, 13, 14]},
+        }]);
+    });
+
+    test('badges the flags, marking those that are the student\'s rather than the attempt\'s', async() => {
+        renderReport([12, 14]);
+        await ReportColumn.init(config);
+
+        const cells = document.querySelectorAll('td.agentdetect-column');
+        expect(cells[0].querySelector('.agentdetect-badge.text-danger').href).toBe(config.reportUrl + '&userid=2');
+        expect(cells[0].querySelector('.agentdetect-label').classList.contains('text-muted')).toBe(false);
+        expect(cells[1].querySelector('.agentdetect-label').title).toBe('[column:sourceuser]');
+    });
+
+    test('links to the verdicts download in each format', async() => {
+        renderReport([11]);
+        await ReportColumn.init(config);
+
+        const links = Array.from(document.querySelectorAll('.agentdetect-toolbar a')).map((link) => link.href);
+        expect(links).toEqual([config.downloadUrl + '&dataformat=csv', config.downloadUrl + '&dataformat=excel']);
+    });
+});
+
+describe('sorting', () => {
+    test('the header orders attempts by flag, then back as the report ordered them', async() => {
+        renderReport([11, 12, 13, 14]);
+        await ReportColumn.init(config);
+        const sort = document.querySelector('th.agentdetect-column button');
+        const grades = () => getRows().map((row) => row[1]);
+
+        sort.click();
+        expect(grades()).toEqual(['14', '12', '11', '13', '9']);
+        expect(sort.parentElement.getAttribute('aria-sort')).toBe('descending');
+
+        sort.click();
+        expect(grades()).toEqual(['13', '11', '12', '14', '9']);
+        expect(sort.parentElement.getAttribute('aria-sort')).toBe('ascending');
+
+        sort.click();
+        expect(grades()).toEqual(['11', '12', '13', '14', '9']);
+        expect(sort.parentElement.getAttribute('aria-sort')).toBe('none');
+    });
+});
+
+describe('filter', () => {
+    test('shows only flagged attempts, and is remembered for the quiz', async() => {
+        renderReport([11, 12, 13, 14]);
+        await ReportColumn.init(config);
+        const hidden = () => Array.from(document.querySelectorAll('table.quizattemptsreport tbody tr'))
+            .map((row) => row.classList.contains('d-none'));
+
+        const checkbox = document.getElementById('agentdetect-flaggedonly');
+        checkbox.click();
+        expect(hidden()).toEqual([true, false, true, false, false]);
+        expect(sessionStorage.getItem('agentdetect_flaggedonly_7')).toBe('1');
+
+        checkbox.click();
+        expect(hidden()).toEqual([false, false, false, false, false]);
+    });
+
+    test('starts on when it was left on', async() => {
+        sessionStorage.setItem('agentdetect_flaggedonly_7', '1');
+        renderReport([11, 12]);
+        await ReportColumn.init(config);
+
+        expect(document.getElementById('agentdetect-flaggedonly').checked).toBe(true);
+        expect(document.querySelectorAll('table.quizattemptsreport tbody tr.d-none')).toHaveLength(1);
+    });
+});
+
+describe('re-rendering', () => {
+    test('adds the column again to a re-rendered table, fetching only attempts not seen before', async() => {
+        renderReport([11, 12]);
+        await ReportColumn.init(config);
+
+        renderReport([12, 13, 14]);
+        await waitForRefresh();
+
+        expect(document.querySelectorAll('th.agentdetect-column')).toHaveLength(1);
+        expect(document.querySelectorAll('.agentdetect-toolbar')).toHaveLength(1);
+        expect(getRows().map((row) => row[0])).toEqual([
+            '[flagtype:agent_suspected] (88)',
+            '',
+            '[flagtype:agent_confirmed] (40)',
+            '',
+        ]);
+        expect(Ajax.call).toHaveBeenCalledTimes(2);
+        expect(Ajax.call.mock.calls[1][0][0].args.attemptids).toEqual([13, 14]);
+    });
+
+    test('re-rendered badges add no document listeners of their own', async() => {
+        const addEventListener = jest.spyOn(document, 'addEventListener');
+        renderReport([11, 12]);
+        await ReportColumn.init(config);
+        // The detail of an attempt never arrives.
+        Ajax.call.mockImplementation((requests) => requests.map(() => new Promise(() => null)));
+        const hoverAll = () => document.querySelectorAll('td.agentdetect-column .agentdetect-badge')
+            .forEach((badge) => badge.dispatchEvent(new Event('mouseenter')));
+
+        hoverAll();
+        renderReport([11, 12]);
+        await waitForRefresh();
+        hoverAll();
+
+        const types = addEventListener.mock.calls.map(([type]) => type);
+        expect(types.filter((type) => type === 'keydown').length).toBeLessThanOrEqual(1);
+        expect(types.filter((type) => type === 'click').length).toBeLessThanOrEqual(1);
+
+        document.dispatchEvent(new KeyboardEvent('keydown', {key: 'Escape'}));
+        const badges = document.querySelectorAll('td.agentdetect-column .agentdetect-badge');
+        expect(badges).toHaveLength(2);
+        badges.forEach((badge) => expect(badge.getAttribute('aria-expanded')).toBe('false'));
+        addEventListener.mockRestore();
+    });
+
+    test('does not take its own changes for a re-render', async() => {
+        renderReport([11, 12]);
+        await ReportColumn.init(config);
+        document.querySelector('th.agentdetect-column button').click();
+        await waitForRefresh();
+
+        expect(Ajax.call).toHaveBeenCalledTimes(1);
+        expect(document.querySelectorAll('td.agentdetect-column')).toHaveLength(3);
+    });
+});
@@ -0,0 +1,37 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for local_agentdetect/report_delta against the fixtures shared with the PHP side.
+ *
+ * The patches in tests/fixtures/delta_fixtures.json are what diff() gives;
+ * tests/report_delta_test.php checks the server rebuilds the reports from them.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import fixtures from '../fixtures/delta_fixtures.json';
+import * as ReportDelta from 'local_agentdetect/report_delta';
+
+describe.each(fixtures.map((fixture) => [fixture.name, fixture]))('%s', (_, {previous, patch, expected}) => {
+    test('diff gives the patch', () => {
+        expect(ReportDelta.diff(previous, expected)).toEqual(patch);
+    });
+
+    test('apply rebuilds the report', () => {
+        expect(ReportDelta.apply(previous, patch)).toEqual(expected);
+    });
+});
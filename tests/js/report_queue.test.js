@@ -0,0 +1,163 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for local_agentdetect/report_queue.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import * as ReportQueue from 'local_agentdetect/report_queue';
+
+/**
+ * Stand in for detector.js signing report arguments.
+ *
+ * @param {string} key Channel key.
+ * @param {Object} args Report arguments.
+ * @returns {string} Signature.
+ */
+const sign = (key, {nonce, sequence, dropped}) => [key, nonce, sequence, dropped].join(':');
+
+/**
+ * Queue a report the way detector.js does.
+ *
+ * @param {string} nonce Channel nonce.
+ * @param {number} sequence Sequence number.
+ * @returns {boolean} Result of enqueue().
+ */
+const enqueue = (nonce, sequence) => ReportQueue.enqueue(nonce + ':' + sequence, {
+    sesskey: 'sesskey',
+    contextid: 1,
+    sessionid: 'session',
+    signaltype: 'combined',
+    signaldata: '{}',
+    nonce,
+    sequence,
+    dropped: 0,
+    signature: sign('key-' + nonce, {nonce, sequence, dropped: 0}),
+}, 'key-' + nonce);
+
+/**
+ * Check reports in the order they arrive as report_channel::verify() and the
+ * gap check in report_signals::process_report() do.
+ *
+ * @param {Array<Object>} reports Report args as sent.
+ * @returns {number} Sequence numbers skipped without being accounted for as dropped.
+ */
+const countUnexplainedGaps = (reports) => {
+    const last = {};
+    let unexplained = 0;
+    reports.forEach(({nonce, sequence, dropped}) => {
+        const missing = sequence - ((last[nonce] || 0) + 1);
+        unexplained += Math.max(0, missing - (dropped || 0));
+        last[nonce] = sequence;
+    });
+    return unexplained;
+};
+
+describe('report_queue', () => {
+    let sent;
+
+    beforeEach(() => {
+        sessionStorage.clear();
+        sent = [];
+        ReportQueue.init(async(batch) => {
+            sent.push(...batch.map(({args}) => args));
+            return true;
+        }, sign);
+    });
+
+    afterEach(() => {
+        ReportQueue.clear();
+    });
+
+    test('queued reports are sent in order', async() => {
+        enqueue('a', 1);
+        enqueue('a', 2);
+        expect(enqueue('a', 2)).toBe(false);
+
+        await ReportQueue.flush();
+
+        expect(sent.map((args) => args.sequence)).toEqual([1, 2]);
+        expect(ReportQueue.size()).toBe(0);
+    });
+
+    test('the next report on the channel carries the number dropped on overflow', async() => {
+        const total = ReportQueue.MAX_ENTRIES + 3;
+        for (let sequence = 1; sequence <= total; sequence++) {
+            enqueue('a', sequence);
+        }
+        expect(ReportQueue.size()).toBe(ReportQueue.MAX_ENTRIES);
+
+        await ReportQueue.flush();
+
+        expect(sent[0]).toMatchObject({sequence: 4, dropped: 3, signature: 'key-a:a:4:3'});
+        expect(sent.slice(1).every((args) => !args.dropped)).toBe(true);
+        expect(countUnexplainedGaps(sent)).toBe(0);
+    });
+
+    test('drops add up and are counted per channel', async() => {
+        enqueue('a', 1);
+        enqueue('a', 2);
+        for (let sequence = 1; sequence < ReportQueue.MAX_ENTRIES; sequence++) {
+            enqueue('b', sequence);
+        }
+        enqueue('a', 3);
+
+        await ReportQueue.flush();
+
+        expect(sent.find((args) => args.nonce === 'a')).toMatchObject({sequence: 3, dropped: 2});
+        expect(sent.filter((args) => args.nonce === 'b').every((args) => !args.dropped)).toBe(true);
+        expect(countUnexplainedGaps(sent)).toBe(0);
+    });
+
+    test('drained reports go in one beacon ahead of the ones that follow, and leave the queue', () => {
+        enqueue('a', 1);
+        enqueue('a', 2);
+        const beacons = [];
+
+        expect(ReportQueue.drain((reports) => beacons.push(reports) > 0, [{nonce: 'a', sequence: 3}])).toBe(true);
+
+        expect(beacons).toHaveLength(1);
+        expect(beacons[0].map((args) => args.sequence)).toEqual([1, 2, 3]);
+        expect(ReportQueue.size()).toBe(0);
+        expect(sessionStorage.getItem('agentdetect_report_queue')).toBeNull();
+    });
+
+    test('reports stay queued when the browser refuses the beacon', async() => {
+        enqueue('a', 1);
+
+        expect(ReportQueue.drain(() => false, [{nonce: 'a', sequence: 2}])).toBe(false);
+        expect(ReportQueue.size()).toBe(1);
+
+        await ReportQueue.flush();
+        expect(sent.map((args) => args.sequence)).toEqual([1]);
+    });
+
+    test('a report that was never queued still shows as a gap', async() => {
+        for (let sequence = 1; sequence <= ReportQueue.MAX_ENTRIES + 1; sequence++) {
+            if (sequence !== 10) {
+                enqueue('a', sequence);
+            }
+        }
+        enqueue('a', ReportQueue.MAX_ENTRIES + 2);
+
+        await ReportQueue.flush();
+
+        expect(sent[0]).toMatchObject({sequence: 2, dropped: 1});
+        expect(countUnexplainedGaps(sent)).toBe(1);
+    });
+});
@@ -0,0 +1,73 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Tests for the JavaScript scorers against the fixtures shared with the PHP port.
+ *
+ * tests/fixtures/scoring_fixtures.json holds the scores these scorers give;
+ * tests/scorer_test.php checks \local_agentdetect\scorer against the same file.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import fixtures from '../fixtures/scoring_fixtures.json';
+import * as BuiltinDetectors from 'local_agentdetect/builtin_detectors';
+import * as Comet from 'local_agentdetect/comet';
+import * as Detector from 'local_agentdetect/detector';
+import * as Fingerprint from 'local_agentdetect/fingerprint';
+import * as Injection from 'local_agentdetect/injection';
+import * as Interaction from 'local_agentdetect/interaction';
+import * as ScoringProfile from 'local_agentdetect/scoring_profile';
+
+beforeAll(() => {
+    BuiltinDetectors.registerAll();
+});
+
+afterEach(() => {
+    ScoringProfile.setProfile(null);
+});
+
+test.each(fixtures.map((fixture) => [fixture.name, fixture]))('%s', (_, {profile, payload, expected}) => {
+    ScoringProfile.setProfile(profile || null);
+    const fingerprint = payload.fingerprint || {};
+    const interaction = payload.interaction || {};
+    const injection = payload.injection || {};
+
+    const results = {
+        fingerprint: {score: Fingerprint.calculateFingerprintScore(fingerprint)},
+        interaction: {score: interaction.anomalies ? Interaction.calculateInteractionScore(interaction.anomalies,
+            interaction.eventCounts) : 0},
+        injection: {score: injection.signals ? Injection.calculateInjectionScore(injection.signals) : 0},
+        comet: {score: Comet.extractSignals(fingerprint, interaction, injection).score},
+    };
+
+    // Detectors the manifest says did not run leave no result, as in the browser.
+    const scores = {};
+    for (const name of Object.keys(results)) {
+        if (payload.modules && payload.modules[name] !== BuiltinDetectors.STATUS.RAN) {
+            delete results[name];
+        } else {
+            scores[name] = results[name].score;
+        }
+    }
+    const combined = Detector.calculateCombinedScore(results);
+
+    expect({
+        ...scores,
+        combined,
+        verdict: ScoringProfile.getVerdict(combined),
+    }).toEqual(expected);
+});
@@ -0,0 +1,214 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the live_monitor class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\live_monitor
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the live_monitor class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\live_monitor
+ */
+final class live_monitor_test extends \advanced_testcase {
+    /**
+     * Add a quiz attempt for a user.
+     *
+     * @param \stdClass $quiz Quiz.
+     * @param \stdClass $user Student.
+     * @param int $timestart When the attempt was started.
+     * @param string $state Attempt state.
+     * @param int $preview 1 for a teacher preview.
+     * @return int Attempt ID.
+     */
+    protected function create_attempt(\stdClass $quiz, \stdClass $user, int $timestart, string $state = 'inprogress',
+            int $preview = 0): int {
+        global $DB;
+
+        return $DB->insert_record('quiz_attempts', (object) [
+            'quiz' => $quiz->id,
+            'userid' => $user->id,
+            'attempt' => 1,
+            'uniqueid' => random_int(100000, 999999999),
+            'layout' => '',
+            'preview' => $preview,
+            'state' => $state,
+            'timestart' => $timestart,
+            'timemodified' => $timestart,
+        ]);
+    }
+
+    /**
+     * Store a combined report at a given time.
+     *
+     * @param \stdClass $user Student.
+     * @param \context_module $context Quiz context.
+     * @param array $anomalies Interaction anomalies.
+     * @param int $time When the report arrived.
+     * @return int Signal ID.
+     */
+    protected function store_report(\stdClass $user, \context_module $context, array $anomalies, int $time): int {
+        global $DB;
+
+        $result = (new signal_manager())->store_signal($user->id, $context->id, 'live-' . $user->id, 'combined', [
+            'interaction' => [
+                'anomalies' => $anomalies,
+                'eventCounts' => ['mouseMoves' => 30, 'clicks' => 10, 'keystrokes' => 0],
+            ],
+            'combinedScore' => 0,
+        ]);
+        $DB->set_field('local_agentdetect_signals', 'timecreated', $time, ['id' => $result['signal_id']]);
+        return $result['signal_id'];
+    }
+
+    /**
+     * Test attempts in progress are listed with their latest report and heartbeat.
+     * @covers \local_agentdetect\live_monitor::get_attempts
+     */
+    public function test_get_attempts(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+
+        $now = time();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $active = $this->getDataGenerator()->create_and_enrol($course, 'student', ['firstname' => 'Ann']);
+        $quiet = $this->getDataGenerator()->create_and_enrol($course, 'student', ['firstname' => 'Bob']);
+        $finished = $this->getDataGenerator()->create_and_enrol($course, 'student');
+
+        $attemptid = $this->create_attempt($quiz, $active, $now - 600);
+        $this->create_attempt($quiz, $quiet, $now - 300);
+        $this->create_attempt($quiz, $finished, $now - 900, 'finished');
+        $this->create_attempt($quiz, $finished, $now - 100, 'inprogress', 1);
+
+        // An earlier report is superseded by the latest one.
+        $this->store_report($active, $context, [['name' => 'mouse.linear_movement', 'weight' => 3]], $now - 500);
+        $this->store_report($active, $context, [
+            ['name' => 'mouse.linear_movement', 'weight' => 3],
+            ['name' => 'click.center_precision', 'weight' => 10],
+            ['name' => 'click.teleport_pattern', 'weight' => 9],
+            ['name' => 'click.no_hover', 'weight' => 6],
+        ], $now - 60);
+        // Bob's only report predates his attempt.
+        $this->store_report($quiet, $context, [['name' => 'click.no_hover', 'weight' => 6]], $now - 400);
+
+        $monitor = new heartbeat_monitor();
+        $monitor->record($active->id, $context->id, 'live-' . $active->id, $now - 10);
+        $monitor->record($quiet->id, $context->id, 'live-' . $quiet->id, $now - 290);
+
+        $attempts = (new live_monitor())->get_attempts($quiz->id, $context, $now);
+
+        $this->assertCount(2, $attempts);
+        [$ann, $bob] = $attempts;
+
+        $this->assertEquals($attemptid, $ann['attemptid']);
+        $this->assertEquals(fullname($active), $ann['fullname']);
+        $this->assertEquals($now - 60, $ann['timereported']);
+        $this->assertEquals(88, $ann['combinedscore']);
+        $this->assertEquals('HIGH_CONFIDENCE_AGENT', $ann['verdict']);
+        $this->assertEquals(
+            ['click.center_precision', 'click.teleport_pattern', 'click.no_hover'],
+            array_column($ann['anomalies'], 'name')
+        );
+        $this->assertEquals($now - 10, $ann['lastheartbeat']);
+        $this->assertFalse($ann['silent']);
+
+        $this->assertEquals($quiet->id, $bob['userid']);
+        $this->assertArrayNotHasKey('combinedscore', $bob);
+        $this->assertEquals([], $bob['anomalies']);
+        $this->assertEquals($now - 290, $bob['lastheartbeat']);
+        $this->assertTrue($bob['silent']);
+    }
+
+    /**
+     * Test an attempt whose detector never sent a heartbeat is silent once the silence limit has passed.
+     * @covers \local_agentdetect\live_monitor::get_attempts
+     */
+    public function test_get_attempts_no_heartbeat(): void {
+        $this->resetAfterTest();
+        $this->setAdminUser();
+
+        $now = time();
+        $limit = heartbeat_monitor::get_silence_limit();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $blocked = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $starting = $this->getDataGenerator()->create_and_enrol($course, 'student');
+
+        $this->create_attempt($quiz, $blocked, $now - $limit - 60);
+        $this->create_attempt($quiz, $starting, $now - 5);
+
+        [$old, $new] = (new live_monitor())->get_attempts($quiz->id, $context, $now);
+
+        $this->assertEquals($blocked->id, $old['userid']);
+        $this->assertEquals(0, $old['lastheartbeat']);
+        $this->assertTrue($old['silent']);
+
+        // Just started: the first heartbeat may still be on its way.
+        $this->assertEquals($starting->id, $new['userid']);
+        $this->assertEquals(0, $new['lastheartbeat']);
+        $this->assertFalse($new['silent']);
+    }
+
+    /**
+     * Test a quiz without attempts in progress has nothing to show.
+     * @covers \local_agentdetect\live_monitor::get_attempts
+     */
+    public function test_get_attempts_none(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+
+        $this->assertEquals([], (new live_monitor())->get_attempts($quiz->id, \context_module::instance($quiz->cmid)));
+    }
+
+    /**
+     * Test the strongest signals are picked across detectors, once each.
+     * @covers \local_agentdetect\live_monitor::get_top_anomalies
+     */
+    public function test_get_top_anomalies(): void {
+        $this->resetAfterTest();
+
+        $top = (new live_monitor())->get_top_anomalies([
+            'interaction' => ['anomalies' => [
+                ['name' => 'mouse.linear_movement', 'weight' => 3],
+                ['name' => 'comet.low_mouse_to_action_ratio', 'weight' => 5],
+            ]],
+            'comet' => ['signals' => [['name' => 'comet.low_mouse_to_action_ratio', 'weight' => 5]]],
+            'injection' => ['signals' => [['name' => 'dom.overlay', 'maxWeight' => 8], 'malformed']],
+            'fingerprint' => ['signals' => [['name' => 'webdriver.present', 'weight' => 10]]],
+        ]);
+
+        $this->assertEquals([
+            ['name' => 'webdriver.present', 'weight' => 10.0],
+            ['name' => 'dom.overlay', 'weight' => 8.0],
+            ['name' => 'comet.low_mouse_to_action_ratio', 'weight' => 5.0],
+        ], $top);
+    }
+}
@@ -0,0 +1,254 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the event observers.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\observer
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the event observers.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\observer
+ */
+final class observer_test extends \advanced_testcase {
+    /**
+     * Create a quiz and a submitted attempt for a new student.
+     *
+     * @param int $timestart When the attempt was started.
+     * @param int $timefinish When the attempt was submitted.
+     * @return array The student, the quiz module context and the attempt.
+     */
+    protected function create_submitted_attempt(int $timestart, int $timefinish): array {
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $user = $this->getDataGenerator()->create_and_enrol($course, 'student');
+
+        $attempt = (object) [
+            'id' => 42,
+            'quiz' => $quiz->id,
+            'userid' => $user->id,
+            'timestart' => $timestart,
+            'timefinish' => $timefinish,
+        ];
+
+        return [$user, \context_module::instance($quiz->cmid), $attempt];
+    }
+
+    /**
+     * Trigger the quiz attempt submitted event.
+     *
+     * @param \stdClass $user Student the attempt belongs to.
+     * @param \context_module $context Quiz module context.
+     * @param \stdClass $attempt The attempt.
+     * @param int|null $submitterid Who submitted it; null when submitted by cron.
+     */
+    protected function submit_attempt(\stdClass $user, \context_module $context, \stdClass $attempt, ?int $submitterid): void {
+        $event = \mod_quiz\event\attempt_submitted::create([
+            'objectid' => $attempt->id,
+            'relateduserid' => $user->id,
+            'courseid' => $context->get_course_context()->instanceid,
+            'context' => $context,
+            'other' => [
+                'submitterid' => $submitterid,
+                'quizid' => $attempt->quiz,
+            ],
+        ]);
+        $event->add_record_snapshot('quiz_attempts', $attempt);
+        $event->trigger();
+    }
+
+    /**
+     * Test submitting an attempt after the heartbeats stopped records a silenced detector.
+     * @covers \local_agentdetect\observer::quiz_attempt_submitted
+     */
+    public function test_quiz_attempt_submitted_silenced(): void {
+        global $DB;
+        $this->resetAfterTest();
+
+        $now = time();
+        [$user, $context, $attempt] = $this->create_submitted_attempt($now - 1800, $now);
+        $monitor = new heartbeat_monitor();
+        $monitor->record($user->id, $context->id, 'hb-session', $now - 1790);
+        $monitor->record($user->id, $context->id, 'hb-session', $now - 1200);
+
+        $this->submit_attempt($user, $context, $attempt, $user->id);
+
+        $signal = $DB->get_record('local_agentdetect_signals', [
+            'userid' => $user->id,
+            'signaltype' => signal_manager::SIGNAL_SILENCED,
+        ]);
+        $this->assertNotFalse($signal);
+        $this->assertEquals($context->id, $signal->contextid);
+        $this->assertEquals('hb-session', $signal->sessionid);
+
+        $data = json_decode($signal->signaldata, true);
+        $this->assertEquals($attempt->id, $data['attemptid']);
+        $this->assertEquals(1200, $data['silentfor']);
+        $this->assertEquals(2, $data['beats']);
+
+        $flag = (new signal_manager())->get_flag($user->id, $context->id);
+        $this->assertEquals(signal_manager::FLAG_SUSPECTED, $flag->flagtype);
+    }
+
+    /**
+     * Test an attempt submitted after its detector went quiet is flagged whatever its scores.
+     * @covers \local_agentdetect\observer::quiz_attempt_submitted
+     * @covers \local_agentdetect\attempt_sessions::mark_silenced
+     */
+    public function test_quiz_attempt_submitted_silenced_attempt_flag(): void {
+        global $DB;
+        $this->resetAfterTest();
+
+        $now = time();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $attempts = [];
+        foreach (['bound', 'unbound'] as $number => $name) {
+            $user = $this->getDataGenerator()->create_and_enrol($course, 'student');
+            $attempt = (object) [
+                'quiz' => $quiz->id,
+                'userid' => $user->id,
+                'attempt' => 1,
+                'uniqueid' => 4500 + $number,
+                'layout' => '',
+                'state' => 'finished',
+                'timestart' => $now - 1800,
+                'timefinish' => $now,
+            ];
+            $attempt->id = $DB->insert_record('quiz_attempts', $attempt);
+            $attempts[$name] = [$user, $attempt];
+        }
+
+        // One attempt's session reported a low score before it went quiet, the other's never bound.
+        $sessions = new attempt_sessions();
+        [$user, $attempt] = $attempts['bound'];
+        $sessions->bind($user->id, $context->id, 'hb-bound', $attempt->id);
+        $sessions->record_score($user->id, 'hb-bound', 10);
+        (new heartbeat_monitor())->record($user->id, $context->id, 'hb-bound', $now - 1200);
+        [$user, $attempt] = $attempts['unbound'];
+        (new heartbeat_monitor())->record($user->id, $context->id, 'hb-unbound', $now - 1200);
+
+        foreach ($attempts as [$user, $attempt]) {
+            $this->submit_attempt($user, $context, $attempt, $user->id);
+        }
+
+        $ids = [$attempts['bound'][1]->id, $attempts['unbound'][1]->id];
+        $flags = $sessions->get_flags($ids);
+        foreach ($ids as $id) {
+            $this->assertEquals(signal_manager::FLAG_SUSPECTED, $flags[$id]['flagtype']);
+        }
+        $this->assertEquals(10, $flags[$ids[0]]['maxscore']);
+        $this->assertEquals(['hb-unbound'], $sessions->get_session_ids($ids[1]));
+    }
+
+    /**
+     * Test attempts submitted while the detector was running, or without one, are not flagged.
+     * @covers \local_agentdetect\observer::quiz_attempt_submitted
+     */
+    public function test_quiz_attempt_submitted_not_silenced(): void {
+        global $DB;
+        $this->resetAfterTest();
+
+        $now = time();
+        [$user, $context, $attempt] = $this->create_submitted_attempt($now - 1800, $now);
+        $monitor = new heartbeat_monitor();
+        $monitor->record($user->id, $context->id, 'hb-session', $now - 1790);
+        $monitor->record($user->id, $context->id, 'hb-session', $now - 10);
+        $this->submit_attempt($user, $context, $attempt, $user->id);
+
+        // No heartbeats at all: the detector never ran, e.g. detection was off.
+        [$other, $othercontext, $otherattempt] = $this->create_submitted_attempt($now - 1800, $now);
+        $this->submit_attempt($other, $othercontext, $otherattempt, $other->id);
+
+        $this->assertEquals(0, $DB->count_records('local_agentdetect_signals', [
+            'signaltype' => signal_manager::SIGNAL_SILENCED,
+        ]));
+    }
+
+    /**
+     * Test attempts submitted by cron or by someone else are not checked.
+     * @covers \local_agentdetect\observer::quiz_attempt_submitted
+     */
+    public function test_quiz_attempt_submitted_by_other(): void {
+        global $DB;
+        $this->resetAfterTest();
+
+        $now = time();
+        [$user, $context, $attempt] = $this->create_submitted_attempt($now - 1800, $now);
+        $monitor = new heartbeat_monitor();
+        $monitor->record($user->id, $context->id, 'hb-session', $now - 1790);
+
+        $this->submit_attempt($user, $context, $attempt, null);
+        $this->submit_attempt($user, $context, $attempt, get_admin()->id);
+
+        $this->assertEquals(0, $DB->count_records('local_agentdetect_signals', [
+            'signaltype' => signal_manager::SIGNAL_SILENCED,
+        ]));
+    }
+
+    /**
+     * Test deleting a course removes what was kept for its activities, which go without an event of their own.
+     * @covers \local_agentdetect\observer::course_deleted
+     */
+    public function test_course_deleted(): void {
+        global $DB;
+        $this->resetAfterTest();
+
+        $contexts = [];
+        foreach (['deleted', 'kept'] as $name) {
+            $course = $this->getDataGenerator()->create_course();
+            $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+            $user = $this->getDataGenerator()->create_and_enrol($course, 'student');
+            $context = \context_module::instance($quiz->cmid);
+            $coursecontext = \context_course::instance($course->id);
+
+            activity_policy::set($context->id, activity_policy::MONITORING_OFF, activity_policy::SENSITIVITY_STANDARD, null);
+            detection_modules::set_override($context->id, detection_modules::COMET, false);
+            detection_modules::set_override($coursecontext->id, detection_modules::INJECTION, false);
+            $DB->insert_record('local_agentdetect_attempts', (object) [
+                'attemptid' => 42,
+                'userid' => $user->id,
+                'contextid' => $context->id,
+                'sessionid' => 'session-' . $name,
+                'timecreated' => time(),
+                'timemodified' => time(),
+            ]);
+
+            $contexts[$name] = [$course, $context->id, $coursecontext->id];
+        }
+
+        delete_course($contexts['deleted'][0], false);
+
+        foreach (['deleted' => 0, 'kept' => 1] as $name => $count) {
+            [, $contextid, $coursecontextid] = $contexts[$name];
+            $this->assertEquals($count, $DB->count_records('local_agentdetect_policies', ['contextid' => $contextid]));
+            $this->assertEquals($count, $DB->count_records('local_agentdetect_modules', ['contextid' => $contextid]));
+            $this->assertEquals($count, $DB->count_records('local_agentdetect_modules', ['contextid' => $coursecontextid]));
+            $this->assertEquals($count, $DB->count_records('local_agentdetect_attempts', ['contextid' => $contextid]));
+        }
+    }
+}
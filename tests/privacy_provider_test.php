@@ -50,7 +50,7 @@ final class privacy_provider_test extends \core_privacy\tests\provider_testcase
         $collection = provider::get_metadata($collection);
 
         $items = $collection->get_collection();
-        $this->assertCount(2, $items);
+        $this->assertCount(5, $items);
 
         // Check table names are present.
         $tablenames = [];
@@ -59,6 +59,40 @@ final class privacy_provider_test extends \core_privacy\tests\provider_testcase
         }
         $this->assertContains('local_agentdetect_signals', $tablenames);
         $this->assertContains('local_agentdetect_flags', $tablenames);
+        $this->assertContains('local_agentdetect_heartbeats', $tablenames);
+        $this->assertContains('local_agentdetect_accommodations', $tablenames);
+        $this->assertContains('local_agentdetect_attempts', $tablenames);
+    }
+
+    /**
+     * Test an accessibility accommodation is found, exported and deleted with the user's data.
+     * @covers \local_agentdetect\privacy\provider::get_contexts_for_userid
+     * @covers \local_agentdetect\privacy\provider::export_user_data
+     * @covers \local_agentdetect\privacy\provider::delete_data_for_user
+     */
+    public function test_accommodation(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $user = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $cm = get_coursemodule_from_id('quiz', $quiz->cmid);
+        $quizcontext = \context_module::instance($cm->id);
+        $DB->insert_record('quiz_overrides', ['quiz' => $quiz->id, 'userid' => $user->id, 'timelimit' => 3600]);
+        accommodation::set($cm, $user->id, accommodation::MODE_SUPPRESS, 'Uses a screen reader');
+
+        $contextlist = provider::get_contexts_for_userid($user->id);
+        $this->assertContains((int) $quizcontext->id, array_map('intval', $contextlist->get_contextids()));
+
+        $approvedcontextlist = new approved_contextlist($user, 'local_agentdetect', $contextlist->get_contextids());
+        provider::export_user_data($approvedcontextlist);
+        $data = writer::with_context($quizcontext)->get_data([get_string('pluginname', 'local_agentdetect'), 'accommodation']);
+        $this->assertEquals(accommodation::MODE_SUPPRESS, $data->adjustment);
+        $this->assertEquals('Uses a screen reader', $data->reason);
+
+        provider::delete_data_for_user($approvedcontextlist);
+        $this->assertEquals(0, $DB->count_records('local_agentdetect_accommodations', ['userid' => $user->id]));
     }
 
     /**
@@ -187,6 +221,9 @@ final class privacy_provider_test extends \core_privacy\tests\provider_testcase
             'combined',
             ['combinedscore' => 70, 'verdict' => 'PROBABLE_AGENT']
         );
+        $monitor = new heartbeat_monitor();
+        $monitor->record($user1->id, $coursecontext->id, 'del-u1');
+        $monitor->record($user2->id, $coursecontext->id, 'del-u2');
 
         // Delete user1's data.
         $contextlist = provider::get_contexts_for_userid($user1->id);
@@ -200,9 +237,11 @@ final class privacy_provider_test extends \core_privacy\tests\provider_testcase
         // User1's data should be gone.
         $this->assertEquals(0, $DB->count_records('local_agentdetect_signals', ['userid' => $user1->id]));
         $this->assertEquals(0, $DB->count_records('local_agentdetect_flags', ['userid' => $user1->id]));
+        $this->assertEquals(0, $DB->count_records('local_agentdetect_heartbeats', ['userid' => $user1->id]));
 
         // User2's data should still exist.
         $this->assertGreaterThan(0, $DB->count_records('local_agentdetect_signals', ['userid' => $user2->id]));
+        $this->assertGreaterThan(0, $DB->count_records('local_agentdetect_heartbeats', ['userid' => $user2->id]));
     }
 
     /**
@@ -0,0 +1,217 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the report_channel class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\report_channel
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the report_channel class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\report_channel
+ */
+final class report_channel_test extends \advanced_testcase {
+    /**
+     * Sign a report the way detector.js does.
+     *
+     * @param array $channel Channel from report_channel::open().
+     * @param int $sequence Sequence number.
+     * @param string $signaldata JSON-encoded signal data.
+     * @param int $dropped Reports dropped from the queue before this one.
+     * @return string Signature.
+     */
+    protected function sign(array $channel, int $sequence, string $signaldata, int $dropped = 0): string {
+        $message = report_channel::build_message($channel['nonce'], $sequence, $dropped, 'sess-1', 'combined', $signaldata);
+        return hash_hmac('sha256', $message, $channel['key']);
+    }
+
+    /**
+     * Verify a report on the test channel.
+     *
+     * @param array $channel Channel from report_channel::open().
+     * @param int $sequence Sequence number.
+     * @param string|null $signature Signature, or null to sign correctly.
+     * @param int $contextid Context ID the report claims.
+     * @param int $dropped Reports the report says were dropped before it.
+     * @return array Verification result.
+     */
+    protected function verify(
+        array $channel,
+        int $sequence,
+        ?string $signature = null,
+        int $contextid = 5,
+        int $dropped = 0
+    ): array {
+        $signaldata = '{"combinedScore":12}';
+        return report_channel::verify(
+            $channel['nonce'],
+            $sequence,
+            $dropped,
+            $signature ?? $this->sign($channel, $sequence, $signaldata, $dropped),
+            $contextid,
+            'sess-1',
+            'combined',
+            $signaldata
+        );
+    }
+
+    /**
+     * Test consecutive signed reports are accepted.
+     * @covers \local_agentdetect\report_channel::verify
+     */
+    public function test_verify_in_sequence(): void {
+        $this->resetAfterTest();
+        $channel = report_channel::open(5);
+
+        $this->assertMatchesRegularExpression('/^[a-zA-Z0-9]{32}$/', $channel['nonce']);
+        $this->assertMatchesRegularExpression('/^[0-9a-f]{64}$/', $channel['key']);
+
+        foreach ([1, 2, 3] as $sequence) {
+            $result = $this->verify($channel, $sequence);
+            $this->assertTrue($result['valid']);
+            $this->assertEquals(0, $result['missing']);
+        }
+    }
+
+    /**
+     * Test replayed and reordered sequence numbers are rejected.
+     * @covers \local_agentdetect\report_channel::verify
+     */
+    public function test_verify_rejects_replay(): void {
+        $this->resetAfterTest();
+        $channel = report_channel::open(5);
+
+        $this->assertTrue($this->verify($channel, 1)['valid']);
+        $this->assertTrue($this->verify($channel, 3)['valid']);
+
+        $replayed = $this->verify($channel, 3);
+        $this->assertFalse($replayed['valid']);
+        $this->assertEquals(report_channel::ERROR_REPLAYED, $replayed['error']);
+
+        // Sequence 2 arriving after 3 counts as reordered.
+        $this->assertEquals(report_channel::ERROR_REPLAYED, $this->verify($channel, 2)['error']);
+        $this->assertEquals(report_channel::ERROR_MISSING_SEQUENCE, $this->verify($channel, 0)['error']);
+    }
+
+    /**
+     * Test skipped sequence numbers are accepted but reported as missing.
+     * @covers \local_agentdetect\report_channel::verify
+     */
+    public function test_verify_reports_gap(): void {
+        $this->resetAfterTest();
+        $channel = report_channel::open(5);
+
+        $this->assertTrue($this->verify($channel, 1)['valid']);
+        $result = $this->verify($channel, 5);
+
+        $this->assertTrue($result['valid']);
+        $this->assertEquals(2, $result['expected']);
+        $this->assertEquals(3, $result['missing']);
+    }
+
+    /**
+     * Test forged signatures, unknown nonces and other contexts are rejected.
+     * @covers \local_agentdetect\report_channel::verify
+     */
+    public function test_verify_rejects_forgery(): void {
+        $this->resetAfterTest();
+        $channel = report_channel::open(5);
+
+        $this->assertEquals(report_channel::ERROR_BAD_SIGNATURE, $this->verify($channel, 1, str_repeat('0', 64))['error']);
+        $this->assertEquals(report_channel::ERROR_CONTEXT_MISMATCH, $this->verify($channel, 1, null, 6)['error']);
+
+        // The number of dropped reports is signed too.
+        $signature = $this->sign($channel, 3, '{"combinedScore":12}', 1);
+        $this->assertEquals(report_channel::ERROR_BAD_SIGNATURE, $this->verify($channel, 3, $signature, 5, 20)['error']);
+
+        $other = ['nonce' => 'notissued', 'key' => $channel['key']];
+        $this->assertEquals(report_channel::ERROR_UNKNOWN_CHANNEL, $this->verify($other, 1)['error']);
+
+        // A rejected report does not consume the sequence number.
+        $this->assertTrue($this->verify($channel, 1)['valid']);
+    }
+
+    /**
+     * Test heartbeats are numbered separately from reports.
+     * @covers \local_agentdetect\report_channel::verify
+     */
+    public function test_verify_heartbeat_stream(): void {
+        $this->resetAfterTest();
+        $channel = report_channel::open(5);
+        $signaldata = '{"beat":1}';
+        $message = report_channel::build_message($channel['nonce'], 1, 0, 'sess-1', heartbeat_monitor::SIGNAL_TYPE, $signaldata);
+        $signature = hash_hmac('sha256', $message, $channel['key']);
+
+        $this->assertTrue($this->verify($channel, 1)['valid']);
+        $this->assertTrue($this->verify($channel, 2)['valid']);
+
+        $result = report_channel::verify(
+            $channel['nonce'],
+            1,
+            0,
+            $signature,
+            5,
+            'sess-1',
+            heartbeat_monitor::SIGNAL_TYPE,
+            $signaldata
+        );
+        $this->assertTrue($result['valid']);
+        $this->assertEquals(0, $result['missing']);
+
+        $this->assertEquals(report_channel::STREAM_HEARTBEAT, report_channel::get_stream(heartbeat_monitor::SIGNAL_TYPE));
+        $this->assertEquals(report_channel::STREAM_REPORTS, report_channel::get_stream('combined'));
+    }
+
+    /**
+     * Test the signature matches one computed by detector.js for the same report.
+     * @covers \local_agentdetect\report_channel::build_message
+     */
+    public function test_signature_matches_client(): void {
+        // Computed with hmacSha256() from amd/src/hmac.js.
+        $message = report_channel::build_message('abc123', 7, 2, 'lx1-abcdef', 'unload', '{"pageTitle":"Quiz ü"}');
+        $this->assertEquals(
+            '7b462911465d2c250aa53b3b330df06bc9620dda11c917df90b5e04a5769710e',
+            hash_hmac('sha256', $message, 'secretkey')
+        );
+    }
+
+    /**
+     * Test old channels are dropped once the per-session limit is reached.
+     * @covers \local_agentdetect\report_channel::open
+     */
+    public function test_open_limits_channels(): void {
+        global $SESSION;
+        $this->resetAfterTest();
+
+        $first = report_channel::open(5);
+        for ($i = 0; $i < report_channel::MAX_CHANNELS; $i++) {
+            report_channel::open(5);
+        }
+
+        $this->assertCount(report_channel::MAX_CHANNELS, $SESSION->local_agentdetect_channels);
+        $this->assertEquals(report_channel::ERROR_UNKNOWN_CHANNEL, $this->verify($first, 1)['error']);
+    }
+}
@@ -0,0 +1,102 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the report_delta class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\report_delta
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the report_delta class.
+ *
+ * The patches in fixtures/delta_fixtures.json were produced by diff() in
+ * amd/src/report_delta.js, so these tests prove the PHP side rebuilds what
+ * the client encoded.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\report_delta
+ */
+final class report_delta_test extends \advanced_testcase {
+    /**
+     * Shared JS/PHP delta fixtures.
+     *
+     * @return array Cases keyed by name.
+     */
+    public static function fixture_provider(): array {
+        $fixtures = json_decode(file_get_contents(__DIR__ . '/fixtures/delta_fixtures.json'), true);
+        $cases = [];
+        foreach ($fixtures as $fixture) {
+            $cases[$fixture['name']] = [$fixture['previous'], $fixture['patch'], $fixture['expected']];
+        }
+        return $cases;
+    }
+
+    /**
+     * Test a full report followed by a client delta rebuilds the client's report.
+     *
+     * @dataProvider fixture_provider
+     * @covers \local_agentdetect\report_delta::advance
+     * @covers \local_agentdetect\report_delta::apply
+     * @param array $previous Report the delta was computed against.
+     * @param mixed $patch Delta from the client.
+     * @param array $expected Report the client encoded.
+     */
+    public function test_advance_matches_fixture(array $previous, $patch, array $expected): void {
+        $state = report_delta::advance(null, $previous + ['revision' => 1]);
+        $this->assertEquals(['revision' => 1, 'data' => $previous], $state);
+
+        $state = report_delta::advance($state, ['revision' => 2, 'baseRevision' => 1, 'delta' => $patch]);
+
+        $this->assertEquals(2, $state['revision']);
+        $this->assertEquals($expected, $state['data']);
+    }
+
+    /**
+     * Test a delta against any other revision cannot be applied.
+     * @covers \local_agentdetect\report_delta::advance
+     */
+    public function test_advance_rejects_wrong_base(): void {
+        $state = ['revision' => 3, 'data' => ['combinedScore' => 10]];
+        $delta = ['combinedScore' => 20];
+
+        $this->assertNull(report_delta::advance(null, ['revision' => 4, 'baseRevision' => 3, 'delta' => $delta]));
+        $this->assertNull(report_delta::advance($state, ['revision' => 4, 'baseRevision' => 2, 'delta' => $delta]));
+        $this->assertNull(report_delta::advance($state, ['revision' => 4, 'delta' => $delta]));
+
+        $next = report_delta::advance($state, ['revision' => 4, 'baseRevision' => 3, 'delta' => $delta]);
+        $this->assertEquals(['revision' => 4, 'data' => ['combinedScore' => 20]], $next);
+    }
+
+    /**
+     * Test reports without a revision are not delta-encoded.
+     * @covers \local_agentdetect\report_delta::advance
+     */
+    public function test_advance_ignores_plain_reports(): void {
+        $state = ['revision' => 3, 'data' => ['combinedScore' => 10]];
+
+        $this->assertFalse(report_delta::is_revision(['combinedScore' => 50]));
+        $this->assertSame($state, report_delta::advance($state, ['combinedScore' => 50]));
+        $this->assertNull(report_delta::advance(null, ['combinedScore' => 50]));
+    }
+}
@@ -0,0 +1,89 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the report_groups class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\report_groups
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the report_groups class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\report_groups
+ */
+final class report_groups_test extends \advanced_testcase {
+    /**
+     * Test a non-editing teacher in separate groups only gets the students of their group.
+     * @covers \local_agentdetect\report_groups::get_user_ids
+     */
+    public function test_get_user_ids_separate_groups(): void {
+        $this->resetAfterTest();
+
+        $generator = $this->getDataGenerator();
+        $course = $generator->create_course(['groupmode' => SEPARATEGROUPS, 'groupmodeforce' => 1]);
+        $quiz = $generator->create_module('quiz', ['course' => $course->id]);
+        [, $cm] = get_course_and_cm_from_cmid($quiz->cmid, 'quiz');
+        $context = \context_module::instance($cm->id);
+
+        $ours = $generator->create_group(['courseid' => $course->id]);
+        $theirs = $generator->create_group(['courseid' => $course->id]);
+        $teacher = $generator->create_and_enrol($course, 'teacher');
+        $ungrouped = $generator->create_and_enrol($course, 'teacher');
+        $student = $generator->create_and_enrol($course, 'student');
+        $other = $generator->create_and_enrol($course, 'student');
+        $generator->create_group_member(['groupid' => $ours->id, 'userid' => $teacher->id]);
+        $generator->create_group_member(['groupid' => $ours->id, 'userid' => $student->id]);
+        $generator->create_group_member(['groupid' => $theirs->id, 'userid' => $other->id]);
+
+        $this->setUser($teacher);
+        $userids = report_groups::get_user_ids($cm, $context);
+        sort($userids);
+        $this->assertEquals([$teacher->id, $student->id], $userids);
+
+        // Without a group of their own, nobody.
+        $this->setUser($ungrouped);
+        $this->assertSame([], report_groups::get_user_ids($cm, $context));
+
+        // Those who can access all groups see everyone until they pick a group.
+        $this->setAdminUser();
+        $this->assertNull(report_groups::get_user_ids($cm, $context));
+    }
+
+    /**
+     * Test activities without groups are not restricted.
+     * @covers \local_agentdetect\report_groups::get_user_ids
+     */
+    public function test_get_user_ids_no_groups(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        [, $cm] = get_course_and_cm_from_cmid($quiz->cmid, 'quiz');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'teacher');
+
+        $this->setUser($teacher);
+        $this->assertNull(report_groups::get_user_ids($cm, \context_module::instance($cm->id)));
+    }
+}
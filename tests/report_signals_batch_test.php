@@ -0,0 +1,210 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the report_signals_batch external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\report_signals_batch
+ */
+
+namespace local_agentdetect;
+
+use core_external\external_api;
+use local_agentdetect\external\report_signals_batch;
+
+/**
+ * Tests for the report_signals_batch external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\report_signals_batch
+ */
+final class report_signals_batch_test extends \advanced_testcase {
+    /**
+     * Build a signed report the way detector.js does.
+     *
+     * @param array $channel Channel from report_channel::open().
+     * @param int $sequence Sequence number.
+     * @param int $score Combined score claimed by the report.
+     * @param int $dropped Reports dropped from the queue before this one.
+     * @param string|null $signaldata Signal data to send instead of a report claiming $score.
+     * @return array Report as sent in the batch.
+     */
+    protected function sign(array $channel, int $sequence, int $score = 10, int $dropped = 0, ?string $signaldata = null): array {
+        $signaldata ??= json_encode(['combinedscore' => $score, 'verdict' => 'LIKELY_HUMAN']);
+        $message = report_channel::build_message($channel['nonce'], $sequence, $dropped, 'batch-session', 'combined', $signaldata);
+        return [
+            'sessionid' => 'batch-session',
+            'signaltype' => 'combined',
+            'signaldata' => $signaldata,
+            'nonce' => $channel['nonce'],
+            'sequence' => $sequence,
+            'signature' => hash_hmac('sha256', $message, $channel['key']),
+            'dropped' => $dropped,
+        ];
+    }
+
+    /**
+     * Report a batch and clean the result as the web service layer would.
+     *
+     * @param int $contextid Context ID.
+     * @param array $reports Reports.
+     * @return array Result.
+     */
+    protected function report(int $contextid, array $reports): array {
+        $result = report_signals_batch::execute(sesskey(), $contextid, $reports);
+        return external_api::clean_returnvalue(report_signals_batch::execute_returns(), $result);
+    }
+
+    /**
+     * Test every report in a batch is stored, in order.
+     * @covers \local_agentdetect\external\report_signals_batch::execute
+     */
+    public function test_execute(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        $this->setUser($user);
+        $context = \context_system::instance();
+        $channel = report_channel::open($context->id);
+
+        $result = $this->report($context->id, [$this->sign($channel, 1), $this->sign($channel, 2, 45)]);
+
+        $this->assertTrue($result['success']);
+        $this->assertCount(2, $result['results']);
+        $this->assertEquals([1, 2], array_column($result['results'], 'sequence'));
+        $this->assertEquals([true, true], array_column($result['results'], 'success'));
+        $this->assertEquals('low_suspicion', $result['results'][1]['flagstatus']);
+        $this->assertEquals(2, $DB->count_records('local_agentdetect_signals', ['userid' => $user->id]));
+    }
+
+    /**
+     * Test each report gets its own result, and rejected ones do not stop the rest.
+     * @covers \local_agentdetect\external\report_signals_batch::execute
+     */
+    public function test_execute_per_report_results(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        $this->setUser($user);
+        $context = \context_system::instance();
+        $channel = report_channel::open($context->id);
+
+        $forged = $this->sign($channel, 2);
+        $forged['signature'] = str_repeat('0', 64);
+
+        $result = $this->report($context->id, [
+            $this->sign($channel, 1),
+            $this->sign($channel, 1),
+            $forged,
+            $this->sign($channel, 2),
+        ]);
+
+        $this->assertEquals([true, false, false, true], array_column($result['results'], 'success'));
+        $this->assertEquals('Report rejected: ' . report_channel::ERROR_REPLAYED, $result['results'][1]['message']);
+        $this->assertEquals('Report rejected: ' . report_channel::ERROR_BAD_SIGNATURE, $result['results'][2]['message']);
+        $this->assertEquals(2, $DB->count_records('local_agentdetect_signals', ['userid' => $user->id]));
+    }
+
+    /**
+     * Test a report that fails to store fails alone, not the batch.
+     * @covers \local_agentdetect\external\report_signals_batch::execute
+     */
+    public function test_execute_malformed_report(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        $this->setUser($user);
+        $context = \context_system::instance();
+        $channel = report_channel::open($context->id);
+
+        // Valid JSON, but not a report: storing it raises a TypeError.
+        $result = $this->report($context->id, [
+            $this->sign($channel, 1),
+            $this->sign($channel, 2, 10, 0, '5'),
+            $this->sign($channel, 3),
+        ]);
+
+        $this->assertEquals([true, false, true], array_column($result['results'], 'success'));
+        $this->assertStringStartsWith('Failed to store signal: ', $result['results'][1]['message']);
+        $this->assertEquals(2, $DB->count_records('local_agentdetect_signals', ['userid' => $user->id]));
+    }
+
+    /**
+     * Test every gap is recorded, with the number of reports the client says it dropped, capped at its queue size.
+     * @covers \local_agentdetect\external\report_signals_batch::execute
+     */
+    public function test_execute_dropped_reports(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        $this->setUser($user);
+        $context = \context_system::instance();
+        $channel = report_channel::open($context->id);
+
+        // The queue overflowed and dropped reports 2 and 3, then report 6 went missing, then a
+        // report claimed far more drops than the queue can hold.
+        $result = $this->report($context->id, [
+            $this->sign($channel, 1),
+            $this->sign($channel, 4, 10, 2),
+            $this->sign($channel, 5),
+            $this->sign($channel, 7),
+            $this->sign($channel, 108, 10, 1000),
+        ]);
+        $this->assertEquals([true, true, true, true, true], array_column($result['results'], 'success'));
+
+        $gaps = $DB->get_records('local_agentdetect_signals', [
+            'userid' => $user->id,
+            'signaltype' => signal_manager::SIGNAL_SEQUENCE_GAP,
+        ], 'id');
+        $this->assertEquals([
+            ['expected' => 2, 'missing' => 2, 'dropped' => 2],
+            ['expected' => 6, 'missing' => 1, 'dropped' => 0],
+            ['expected' => 8, 'missing' => 100, 'dropped' => signal_manager::MAX_DROPPED_REPORTS],
+        ], array_map(
+            fn($gap) => array_intersect_key(json_decode($gap->signaldata, true), array_flip(['expected', 'missing', 'dropped'])),
+            array_values($gaps)
+        ));
+
+        // A drop count changed after signing is rejected with the report.
+        $tampered = ['dropped' => 5] + $this->sign($channel, 110, 10, 1);
+        $result = $this->report($context->id, [$tampered]);
+        $this->assertEquals('Report rejected: ' . report_channel::ERROR_BAD_SIGNATURE, $result['results'][0]['message']);
+    }
+
+    /**
+     * Test oversized batches are refused.
+     * @covers \local_agentdetect\external\report_signals_batch::execute
+     */
+    public function test_execute_too_many_reports(): void {
+        $this->resetAfterTest();
+        $this->setUser($this->getDataGenerator()->create_user());
+        $context = \context_system::instance();
+        $channel = report_channel::open($context->id);
+
+        $reports = [];
+        for ($i = 1; $i <= report_signals_batch::MAX_REPORTS + 1; $i++) {
+            $reports[] = $this->sign($channel, $i);
+        }
+
+        $this->expectException(\invalid_parameter_exception::class);
+        report_signals_batch::execute(sesskey(), $context->id, $reports);
+    }
+}
@@ -0,0 +1,172 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the scorer class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\scorer
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the scorer class.
+ *
+ * The cases in fixtures/scoring_fixtures.json hold the scores the JavaScript
+ * scorers produce, as tests/js/scoring.test.js checks, so these tests prove
+ * the PHP port agrees with them.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\scorer
+ */
+final class scorer_test extends \advanced_testcase {
+    /**
+     * Shared JS/PHP scoring fixtures.
+     *
+     * @return array Cases keyed by name.
+     */
+    public static function fixture_provider(): array {
+        $fixtures = json_decode(file_get_contents(__DIR__ . '/fixtures/scoring_fixtures.json'), true);
+        $cases = [];
+        foreach ($fixtures as $fixture) {
+            $cases[$fixture['name']] = [$fixture['profile'] ?? [], $fixture['payload'], $fixture['expected']];
+        }
+        return $cases;
+    }
+
+    /**
+     * Test the PHP scorer matches the JavaScript scorers on every fixture.
+     *
+     * @dataProvider fixture_provider
+     * @covers \local_agentdetect\scorer::rescore
+     * @param array $override Scoring profile override.
+     * @param array $payload Report payload.
+     * @param array $expected Expected scores and verdict.
+     */
+    public function test_rescore_matches_fixture(array $override, array $payload, array $expected): void {
+        $profile = scoring_profile::apply_override(scoring_profile::get_default(), $override);
+        $scorer = new scorer($profile);
+
+        $scores = $scorer->rescore($payload);
+
+        $this->assertEquals($expected, $scores);
+    }
+
+    /**
+     * Test client-computed scores and summaries in the payload are ignored.
+     * @covers \local_agentdetect\scorer::rescore
+     */
+    public function test_rescore_ignores_client_scores(): void {
+        $scorer = new scorer(scoring_profile::get_default());
+
+        $scores = $scorer->rescore([
+            'interaction' => [
+                'anomalies' => [
+                    ['name' => 'click.center_precision', 'weight' => 10],
+                    ['name' => 'click.teleport_pattern', 'weight' => 10],
+                ],
+                'eventCounts' => ['mouseMoves' => 30, 'clicks' => 10, 'keystrokes' => 0],
+                'score' => 0,
+            ],
+            'comet' => ['detected' => false, 'score' => 0],
+            'combinedScore' => 0,
+            'verdict' => 'LIKELY_HUMAN',
+        ]);
+
+        $this->assertEquals(83, $scores['interaction']);
+        $this->assertEquals('HIGH_CONFIDENCE_AGENT', $scores['verdict']);
+    }
+
+    /**
+     * Test malformed signal lists score as empty rather than failing.
+     * @covers \local_agentdetect\scorer::rescore
+     */
+    public function test_rescore_malformed_payload(): void {
+        $scorer = new scorer(scoring_profile::get_default());
+
+        $scores = $scorer->rescore([
+            'fingerprint' => 'nope',
+            'interaction' => ['anomalies' => ['bad', null, ['name' => 'mouse.teleport', 'weight' => 8]]],
+            'injection' => ['signals' => 5],
+        ]);
+
+        $this->assertEquals(0, $scores['fingerprint']);
+        $this->assertEquals(0, $scores['injection']);
+        $this->assertEquals(8, $scores['interaction']);
+    }
+
+    /**
+     * Test weights that are not numbers are ignored and the rest clamped.
+     * @covers \local_agentdetect\scorer::weight_of
+     */
+    public function test_weight_of_client_weights(): void {
+        $scorer = new scorer(scoring_profile::get_default());
+
+        $this->assertEquals(0, $scorer->weight_of(['name' => 'mouse.teleport', 'weight' => 'high']));
+        $this->assertEquals(4, $scorer->weight_of(['name' => 'mouse.teleport', 'weight' => [8], 'maxWeight' => 4]));
+        $this->assertEquals(7, $scorer->weight_of(['name' => 'mouse.teleport', 'weight' => '7']));
+        $this->assertEquals(2.25, $scorer->weight_of(['name' => 'mouse.teleport', 'weight' => 2.25]));
+        $this->assertEquals(scorer::MAX_WEIGHT, $scorer->weight_of(['name' => 'mouse.teleport', 'weight' => 1e9]));
+        $this->assertEquals(0, $scorer->weight_of(['name' => 'mouse.teleport', 'weight' => -50]));
+
+        // A report full of them scores as if they were in range.
+        $counts = ['mouseMoves' => 100, 'clicks' => 10, 'keystrokes' => 10];
+        $malformed = $scorer->rescore(['interaction' => ['eventCounts' => $counts, 'anomalies' => [
+            ['name' => 'mouse.teleport', 'weight' => 'high'],
+            ['name' => 'mouse.linear_movement', 'weight' => 1e9],
+            ['name' => ['click.no_hover'], 'weight' => 10],
+        ]]]);
+        $clamped = $scorer->rescore(['interaction' => ['eventCounts' => $counts, 'anomalies' => [
+            ['name' => 'mouse.teleport', 'weight' => 0],
+            ['name' => 'mouse.linear_movement', 'weight' => 10],
+        ]]]);
+        $this->assertEquals($clamped, $malformed);
+    }
+
+    /**
+     * Input modality cases, as in the detectModality tests of tests/js/interaction.test.js.
+     *
+     * @return array Cases of [event counts, expected modality].
+     */
+    public static function modality_provider(): array {
+        return [
+            'nothing pressed' => [[], scorer::MODALITY_MOUSE],
+            'a mouse' => [['mousePresses' => 6, 'touchPresses' => 1], scorer::MODALITY_MOUSE],
+            'a tie' => [['mousePresses' => 3, 'touchPresses' => 3], scorer::MODALITY_MOUSE],
+            'a finger' => [['mousePresses' => 1, 'touchPresses' => 4, 'penPresses' => 2], scorer::MODALITY_TOUCH],
+            'a pen' => [['touchPresses' => 2, 'penPresses' => 5], scorer::MODALITY_PEN],
+        ];
+    }
+
+    /**
+     * Test the input modality is whatever pressed most.
+     *
+     * @dataProvider modality_provider
+     * @covers \local_agentdetect\scorer::detect_modality
+     * @param array $counts Interaction event counts.
+     * @param string $expected Expected modality.
+     */
+    public function test_detect_modality(array $counts, string $expected): void {
+        $scorer = new scorer(scoring_profile::get_default());
+
+        $this->assertEquals($expected, $scorer->detect_modality($counts));
+    }
+}
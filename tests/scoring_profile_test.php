@@ -0,0 +1,129 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the scoring_profile class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\scoring_profile
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the scoring_profile class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\scoring_profile
+ */
+final class scoring_profile_test extends \advanced_testcase {
+    /**
+     * Test the current profile falls back to the defaults when no override is set.
+     * @covers \local_agentdetect\scoring_profile::get_current
+     */
+    public function test_get_current_defaults(): void {
+        $this->resetAfterTest();
+        set_config('scoringprofile', '', 'local_agentdetect');
+        set_config('threshold', 65, 'local_agentdetect');
+
+        $profile = scoring_profile::get_current();
+
+        $default = scoring_profile::get_default();
+        $this->assertEquals($default['bands'], $profile['bands']);
+        $this->assertEquals($default['boosts'], $profile['boosts']);
+        $this->assertEquals(65, $profile['threshold']);
+        $this->assertEquals(1, $profile['version']);
+    }
+
+    /**
+     * Test overrides replace bands and weights but merge boosts per detector.
+     * @covers \local_agentdetect\scoring_profile::get_current
+     */
+    public function test_get_current_with_override(): void {
+        $this->resetAfterTest();
+        set_config('scoringprofile', json_encode([
+            'bands' => [['min' => 90, 'verdict' => 'HIGH_CONFIDENCE_AGENT']],
+            'boosts' => ['injection' => [['min' => 60, 'add' => 20]]],
+            'weights' => ['click.center_precision' => 4],
+        ]), 'local_agentdetect');
+
+        $profile = scoring_profile::get_current();
+
+        $this->assertCount(1, $profile['bands']);
+        $this->assertEquals(90, $profile['bands'][0]['min']);
+        $this->assertEquals([['min' => 60, 'add' => 20]], $profile['boosts']['injection']);
+        $this->assertEquals(scoring_profile::get_default()['boosts']['fingerprint'], $profile['boosts']['fingerprint']);
+        $this->assertEquals(4, $profile['weights']['click.center_precision']);
+    }
+
+    /**
+     * Test validation rejects unknown sections and malformed tiers.
+     * @covers \local_agentdetect\scoring_profile::validate
+     * @covers \local_agentdetect\scoring_profile::parse
+     */
+    public function test_validate(): void {
+        $this->assertTrue(scoring_profile::validate(['weights' => ['teleport' => 8]]));
+        $this->assertIsString(scoring_profile::validate(['unknown' => []]));
+        $this->assertIsString(scoring_profile::validate(['boosts' => ['comet' => [['add' => 5]]]]));
+        $this->assertIsString(scoring_profile::validate(['weights' => ['teleport' => 'high']]));
+
+        // Invalid overrides are ignored rather than half-applied.
+        $this->assertNull(scoring_profile::parse('{"bands": 5}'));
+        $this->assertNull(scoring_profile::parse('not json'));
+    }
+
+    /**
+     * Test the version callback increments the stored version.
+     * @covers \local_agentdetect\scoring_profile::bump_version
+     */
+    public function test_bump_version(): void {
+        $this->resetAfterTest();
+
+        $this->assertEquals(1, scoring_profile::get_version());
+        scoring_profile::bump_version('s_local_agentdetect_scoringprofile');
+        scoring_profile::bump_version('s_local_agentdetect_threshold');
+        $this->assertEquals(3, scoring_profile::get_version());
+    }
+
+    /**
+     * Test every version the callback makes is kept.
+     * @covers \local_agentdetect\scoring_profile::get_profile
+     */
+    public function test_get_profile(): void {
+        $this->resetAfterTest();
+
+        set_config('scoringprofile', json_encode(['weights' => ['webdriver.flag' => 2]]), 'local_agentdetect');
+        scoring_profile::bump_version('s_local_agentdetect_scoringprofile');
+        set_config('scoringprofile', json_encode(['weights' => ['webdriver.flag' => 4]]), 'local_agentdetect');
+        scoring_profile::bump_version('s_local_agentdetect_scoringprofile');
+
+        $this->assertEquals(scoring_profile::get_default()['weights'], scoring_profile::get_profile(1)['weights']);
+        $this->assertEquals(['webdriver.flag' => 2], scoring_profile::get_profile(2)['weights']);
+        $this->assertEquals(2, scoring_profile::get_profile(2)['version']);
+        $this->assertEquals(scoring_profile::get_current(), scoring_profile::get_profile(3));
+        $this->assertNull(scoring_profile::get_profile(0));
+        $this->assertNull(scoring_profile::get_profile(4));
+
+        // Versions made before profiles were kept cannot be re-scored.
+        set_config('scoringprofileversion', 6, 'local_agentdetect');
+        $this->assertNull(scoring_profile::get_profile(5));
+        $this->assertEquals(['webdriver.flag' => 2], scoring_profile::get_profile(2)['weights']);
+    }
+}
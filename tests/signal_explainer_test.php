@@ -0,0 +1,79 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the signal explainer.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\signal_explainer
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the signal explainer.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\signal_explainer
+ */
+final class signal_explainer_test extends \advanced_testcase {
+    /**
+     * Test the signals of every detector are gathered strongest first, once per name.
+     * @covers \local_agentdetect\signal_explainer::get_signals
+     */
+    public function test_get_signals(): void {
+        $signals = signal_explainer::get_signals([
+            'interaction' => ['anomalies' => [
+                ['name' => 'comet.zero_keystrokes', 'weight' => 10],
+                ['name' => 'click.center_precision', 'weight' => 12],
+            ]],
+            'comet' => ['signals' => [['name' => 'click.center_precision', 'maxWeight' => 30]]],
+            'fingerprint' => ['signals' => [['name' => 'webdriver', 'weight' => 25], ['weight' => 99]]],
+            'injection' => ['signals' => [['name' => 'injection.overlay', 'maxWeight' => 5, 'weight' => 1]]],
+        ]);
+
+        $this->assertEquals(
+            ['click.center_precision', 'webdriver', 'comet.zero_keystrokes', 'injection.overlay'],
+            array_column($signals, 'name')
+        );
+        $this->assertEquals([30.0, 25.0, 10.0, 5.0], array_column($signals, 'weight'));
+        $this->assertSame([], signal_explainer::get_signals(['interaction' => ['anomalies' => 'none']]));
+    }
+
+    /**
+     * Test only signals with an explanation are explained.
+     * @covers \local_agentdetect\signal_explainer::get_explanations
+     * @covers \local_agentdetect\signal_explainer::explain
+     */
+    public function test_get_explanations(): void {
+        $data = ['interaction' => ['anomalies' => [
+            ['name' => 'made.up.signal', 'weight' => 50],
+            ['name' => 'comet.zero_keystrokes', 'weight' => 10],
+            ['name' => 'click.center_precision', 'weight' => 20],
+        ]]];
+
+        $this->assertNull(signal_explainer::explain('made.up.signal'));
+        $this->assertEquals([
+            signal_explainer::explain('click.center_precision'),
+            signal_explainer::explain('comet.zero_keystrokes'),
+        ], signal_explainer::get_explanations($data));
+        $this->assertCount(1, signal_explainer::get_explanations($data, 1));
+    }
+}
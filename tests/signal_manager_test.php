@@ -237,6 +237,29 @@ final class signal_manager_test extends \advanced_testcase {
         $this->assertEquals('cleared', $flag->flagtype);
     }
 
+    /**
+     * Test notes are added after those already on a flag.
+     * @covers \local_agentdetect\signal_manager::add_note
+     */
+    public function test_add_note(): void {
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        $admin = $this->getDataGenerator()->create_user();
+
+        $manager = new signal_manager();
+        $this->assertFalse($manager->add_note($user->id, null, 'No flag yet', $admin->id));
+        $this->assertFalse($manager->get_flag($user->id, null));
+
+        $manager->set_flag($user->id, signal_manager::FLAG_SUSPECTED);
+        $this->assertTrue($manager->add_note($user->id, null, 'Looked at question 2', $admin->id));
+        $this->assertTrue($manager->add_note($user->id, null, 'And question 5', $admin->id));
+
+        $flag = $manager->get_flag($user->id, null);
+        $this->assertEquals(signal_manager::FLAG_SUSPECTED, $flag->flagtype);
+        $this->assertEquals("Looked at question 2\n\nAnd question 5", $flag->notes);
+        $this->assertEquals($admin->id, $flag->flaggedby);
+    }
+
     /**
      * Test context-specific flags remain separate.
      * @covers \local_agentdetect\signal_manager::store_signal
@@ -432,4 +455,470 @@ final class signal_manager_test extends \advanced_testcase {
         $flag = reset($flagged);
         $this->assertEquals($user2->id, $flag->userid);
     }
+
+    /**
+     * Test the threshold setting and the scoring profile version are honoured.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     */
+    public function test_store_signal_uses_scoring_profile(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        set_config('threshold', 90, 'local_agentdetect');
+
+        $manager = new signal_manager();
+        $result = $manager->store_signal(
+            $user->id,
+            0,
+            'test-session-profile',
+            'combined',
+            ['combinedscore' => 85, 'verdict' => 'HIGH_CONFIDENCE_AGENT', 'profileVersion' => 3]
+        );
+
+        // 85 is below the configured threshold of 90.
+        $this->assertEquals('low_suspicion', $result['flag_status']);
+        $signal = $DB->get_record('local_agentdetect_signals', ['id' => $result['signal_id']]);
+        $this->assertEquals(3, $signal->profileversion);
+    }
+
+    /**
+     * Test a forged combined score is replaced by the server's and recorded as tamper.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     */
+    public function test_store_signal_detects_forged_score(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+
+        $manager = new signal_manager();
+        $result = $manager->store_signal(
+            $user->id,
+            0,
+            'test-session-forged',
+            'combined',
+            [
+                'interaction' => [
+                    'anomalies' => [
+                        ['name' => 'click.center_precision', 'weight' => 10],
+                        ['name' => 'click.teleport_pattern', 'weight' => 10],
+                    ],
+                    'eventCounts' => ['mouseMoves' => 30, 'clicks' => 10, 'keystrokes' => 0],
+                    'score' => 0,
+                ],
+                'combinedScore' => 0,
+                'verdict' => 'LIKELY_HUMAN',
+                'profileVersion' => scoring_profile::get_version(),
+            ]
+        );
+
+        $this->assertTrue($result['tampered']);
+        $this->assertEquals('agent_suspected', $result['flag_status']);
+
+        $signal = $DB->get_record('local_agentdetect_signals', ['id' => $result['signal_id']]);
+        $this->assertEquals(83, $signal->combinedscore);
+        $this->assertEquals(0, $signal->clientscore);
+        $this->assertEquals('HIGH_CONFIDENCE_AGENT', $signal->verdict);
+
+        $tamper = $DB->get_record('local_agentdetect_signals', [
+            'sessionid' => 'test-session-forged',
+            'signaltype' => signal_manager::SIGNAL_TAMPER,
+        ]);
+        $this->assertNotFalse($tamper);
+        $data = json_decode($tamper->signaldata, true);
+        $this->assertEquals($signal->id, $data['sourceSignalId']);
+        $this->assertEquals(['claimed' => 0, 'server' => 83], $data['mismatches']['combined']);
+        $this->assertEquals(['claimed' => 0, 'server' => 83], $data['mismatches']['interaction']);
+    }
+
+    /**
+     * Test honest reports, including unload reports, scored with the current profile are not tamper.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     */
+    public function test_store_signal_without_tamper(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        $interaction = [
+            'anomalies' => [['name' => 'mouse.linear_movement', 'weight' => 3]],
+            'eventCounts' => ['mouseMoves' => 100, 'clicks' => 10, 'keystrokes' => 10],
+            'score' => 10,
+        ];
+
+        $manager = new signal_manager();
+        $honest = $manager->store_signal($user->id, 0, 'test-session-honest', 'combined', [
+            'interaction' => $interaction,
+            'combinedScore' => 10,
+            'profileVersion' => scoring_profile::get_version(),
+        ]);
+        $this->assertFalse($honest['tampered']);
+
+        // The unload report carries the interaction result alone.
+        $unload = $manager->store_signal($user->id, 0, 'test-session-honest', 'unload', [
+            'pageUrl' => 'https://example.com/mod/quiz/attempt.php?attempt=1',
+            'interaction' => $interaction,
+            'duration' => 60000,
+            'profileVersion' => scoring_profile::get_version(),
+        ]);
+        $this->assertFalse($unload['tampered']);
+
+        $this->assertEquals(0, $DB->count_records('local_agentdetect_signals', [
+            'signaltype' => signal_manager::SIGNAL_TAMPER,
+        ]));
+    }
+
+    /**
+     * Test scores claimed under an older profile are checked against that profile.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     */
+    public function test_store_signal_older_profile(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        $report = [
+            'interaction' => [
+                'anomalies' => [['name' => 'mouse.linear_movement', 'weight' => 3]],
+                'eventCounts' => ['mouseMoves' => 100, 'clicks' => 10, 'keystrokes' => 10],
+            ],
+        ];
+        $scores = (new scorer())->rescore($report);
+        $report['interaction']['score'] = $scores['interaction'];
+        $report['combinedScore'] = $scores['combined'];
+        $report['profileVersion'] = scoring_profile::get_version();
+
+        // The admin makes the anomaly count for more after the page loaded, twice.
+        set_config('scoringprofile', json_encode(['weights' => ['mouse.linear_movement' => 9]]), 'local_agentdetect');
+        scoring_profile::bump_version();
+        set_config('scoringprofile', json_encode(['weights' => ['mouse.linear_movement' => 10]]), 'local_agentdetect');
+        scoring_profile::bump_version();
+
+        $manager = new signal_manager();
+        $stale = $manager->store_signal($user->id, 0, 'test-session-stale', 'combined', $report);
+        $this->assertFalse($stale['tampered']);
+
+        // The server's scores are those of the current profile.
+        $signal = $DB->get_record('local_agentdetect_signals', ['id' => $stale['signal_id']]);
+        $this->assertGreaterThan($scores['combined'] + signal_manager::TAMPER_TOLERANCE, $signal->combinedscore);
+
+        // A kept version in between is re-scored too, and its scores differ from those claimed.
+        $report['profileVersion'] = scoring_profile::get_version() - 1;
+        $result = $manager->store_signal($user->id, 0, 'test-session-between', 'combined', $report);
+        $this->assertTrue($result['tampered']);
+        $tamper = $DB->get_record('local_agentdetect_signals', [
+            'sessionid' => 'test-session-between',
+            'signaltype' => signal_manager::SIGNAL_TAMPER,
+        ]);
+        $data = json_decode($tamper->signaldata, true);
+        $this->assertArrayNotHasKey('profileVersion', $data['mismatches']);
+        $this->assertEquals($scores['combined'], $data['mismatches']['combined']['claimed']);
+    }
+
+    /**
+     * Test scores claimed under a profile version that cannot be re-scored are recorded as tamper.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     */
+    public function test_store_signal_profile_version_mismatch(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+        $interaction = [
+            'anomalies' => [['name' => 'mouse.linear_movement', 'weight' => 3]],
+            'eventCounts' => ['mouseMoves' => 100, 'clicks' => 10, 'keystrokes' => 10],
+            'score' => 0,
+        ];
+        $current = scoring_profile::get_version();
+
+        $manager = new signal_manager();
+        foreach (['unissued' => 0, 'newer' => $current + 998, 'missing' => null] as $name => $version) {
+            $report = ['interaction' => $interaction, 'combinedScore' => 0];
+            if ($version !== null) {
+                $report['profileVersion'] = $version;
+            }
+            $result = $manager->store_signal($user->id, 0, 'test-session-' . $name, 'combined', $report);
+            $this->assertTrue($result['tampered']);
+
+            // The server's scores are kept regardless of the version claimed.
+            $signal = $DB->get_record('local_agentdetect_signals', ['id' => $result['signal_id']]);
+            $this->assertEqualsWithDelta(10, $signal->combinedscore, signal_manager::TAMPER_TOLERANCE);
+
+            $tamper = $DB->get_record('local_agentdetect_signals', [
+                'sessionid' => 'test-session-' . $name,
+                'signaltype' => signal_manager::SIGNAL_TAMPER,
+            ]);
+            $data = json_decode($tamper->signaldata, true);
+            $this->assertEquals(['claimed' => $version, 'server' => $current], $data['mismatches']['profileVersion']);
+        }
+    }
+
+    /**
+     * Test a report is only scored under the accessibility accommodation granted to the user.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     */
+    public function test_store_signal_accommodation(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $this->setAdminUser();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $user = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $cm = get_coursemodule_from_id('quiz', $quiz->cmid);
+        $context = \context_module::instance($cm->id);
+        $interaction = [
+            'anomalies' => [['name' => 'accommodated.comet.zero_keystrokes', 'weight' => 2.25]],
+            'eventCounts' => ['mouseMoves' => 100, 'clicks' => 10, 'keystrokes' => 0],
+            'accommodation' => [
+                'mode' => accommodation::MODE_REWEIGHT,
+                'anomalies' => [['name' => 'comet.zero_keystrokes', 'weight' => 9, 'because' => 'accommodation']],
+            ],
+        ];
+
+        $manager = new signal_manager();
+        $result = $manager->store_signal($user->id, $context->id, 'test-session-unaccommodated', 'combined', [
+            'interaction' => $interaction,
+        ]);
+        $this->assertTrue($result['tampered']);
+        $tamper = $DB->get_record('local_agentdetect_signals', [
+            'sessionid' => 'test-session-unaccommodated',
+            'signaltype' => signal_manager::SIGNAL_TAMPER,
+        ]);
+        $data = json_decode($tamper->signaldata, true);
+        $this->assertEquals(['claimed' => 'reweight', 'server' => null], $data['mismatches']['accommodation']);
+
+        $DB->insert_record('quiz_overrides', ['quiz' => $quiz->id, 'userid' => $user->id, 'timelimit' => 3600]);
+        accommodation::set($cm, $user->id, accommodation::MODE_REWEIGHT, 'Uses a screen reader');
+        $result = $manager->store_signal($user->id, $context->id, 'test-session-accommodated', 'combined', [
+            'interaction' => $interaction,
+        ]);
+        $this->assertFalse($result['tampered']);
+
+        // Accommodated anomalies without a claimed accommodation are not believed either.
+        unset($interaction['accommodation']);
+        $result = $manager->store_signal($user->id, $context->id, 'test-session-unclaimed', 'combined', [
+            'interaction' => $interaction,
+        ]);
+        $this->assertTrue($result['tampered']);
+    }
+
+    /**
+     * Test modules that did not run get no score, and claims of a module switched off are checked.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     */
+    public function test_store_signal_modules(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $user = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $context = \context_course::instance($course->id);
+        $report = [
+            'fingerprint' => ['webdriver' => ['signals' => [['name' => 'webdriver.flag', 'weight' => 10]]]],
+            'combinedScore' => 5,
+            'profileVersion' => scoring_profile::get_version(),
+            'modules' => [
+                'fingerprint' => detection_modules::STATUS_RAN,
+                'interaction' => detection_modules::STATUS_DISABLED,
+                'injection' => detection_modules::STATUS_RAN,
+                'comet' => detection_modules::STATUS_RAN,
+                'extensionprobe' => detection_modules::STATUS_RAN,
+            ],
+        ];
+
+        // Interaction is on here, so the client should not have switched it off.
+        $manager = new signal_manager();
+        $result = $manager->store_signal($user->id, $context->id, 'test-session-modules', 'combined', $report);
+        $this->assertTrue($result['tampered']);
+        $tamper = $DB->get_record('local_agentdetect_signals', [
+            'sessionid' => 'test-session-modules',
+            'signaltype' => signal_manager::SIGNAL_TAMPER,
+        ]);
+        $data = json_decode($tamper->signaldata, true);
+        $this->assertEquals(['claimed' => 'disabled', 'server' => 'enabled'], $data['mismatches']['modules.interaction']);
+
+        detection_modules::set_override($context->id, detection_modules::INTERACTION, false);
+        $result = $manager->store_signal($user->id, $context->id, 'test-session-modules-off', 'combined', $report);
+        $this->assertFalse($result['tampered']);
+
+        // Missing, not zero.
+        $signal = $DB->get_record('local_agentdetect_signals', ['id' => $result['signal_id']]);
+        $this->assertNull($signal->interactionscore);
+        $this->assertNotNull($signal->fingerprintscore);
+    }
+
+    /**
+     * Test reports naming a quiz attempt bind their session to it, unless it is not the user's.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     */
+    public function test_store_signal_binds_attempt(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $other = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $attemptid = $DB->insert_record('quiz_attempts', (object) [
+            'quiz' => $quiz->id,
+            'userid' => $student->id,
+            'attempt' => 1,
+            'uniqueid' => 4401,
+            'layout' => '',
+            'state' => 'inprogress',
+            'timestart' => time() - 600,
+            'timefinish' => 0,
+        ]);
+        $report = [
+            'interaction' => [
+                'anomalies' => [
+                    ['name' => 'click.center_precision', 'weight' => 10],
+                    ['name' => 'click.teleport_pattern', 'weight' => 10],
+                ],
+                'eventCounts' => ['mouseMoves' => 30, 'clicks' => 10, 'keystrokes' => 0],
+            ],
+            'combinedScore' => 83,
+            'profileVersion' => scoring_profile::get_version(),
+            'attemptId' => $attemptid,
+        ];
+
+        $manager = new signal_manager();
+        $result = $manager->store_signal($student->id, $context->id, 'test-session-attempt', 'combined', $report);
+        $this->assertFalse($result['tampered']);
+
+        $sessions = new attempt_sessions();
+        $this->assertEquals($attemptid, $sessions->get_attempt_id($student->id, 'test-session-attempt'));
+        $flag = $sessions->get_flags([$attemptid])[$attemptid];
+        $this->assertEquals(signal_manager::FLAG_SUSPECTED, $flag['flagtype']);
+        $this->assertEquals(83, $flag['maxscore']);
+
+        // Someone else's attempt.
+        $result = $manager->store_signal($other->id, $context->id, 'test-session-other', 'combined', $report);
+        $this->assertTrue($result['tampered']);
+        $tamper = $DB->get_record('local_agentdetect_signals', [
+            'sessionid' => 'test-session-other',
+            'signaltype' => signal_manager::SIGNAL_TAMPER,
+        ]);
+        $data = json_decode($tamper->signaldata, true);
+        $this->assertEquals(['claimed' => $attemptid, 'server' => null], $data['mismatches']['attempt']);
+        $this->assertEquals(['test-session-attempt'], $sessions->get_session_ids($attemptid));
+    }
+
+    /**
+     * Test skipped report sequence numbers are stored as their own signal.
+     * @covers \local_agentdetect\signal_manager::store_sequence_gap
+     */
+    public function test_store_sequence_gap(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+
+        $manager = new signal_manager();
+        $manager->store_sequence_gap($user->id, 0, 'test-session-gap', 'abc123', 3, 7);
+
+        $signal = $DB->get_record('local_agentdetect_signals', [
+            'userid' => $user->id,
+            'signaltype' => signal_manager::SIGNAL_SEQUENCE_GAP,
+        ]);
+        $this->assertNotFalse($signal);
+        $this->assertEquals('test-session-gap', $signal->sessionid);
+
+        $data = json_decode($signal->signaldata, true);
+        $this->assertEquals(['nonce' => 'abc123', 'expected' => 3, 'received' => 7, 'missing' => 4, 'dropped' => 0], $data);
+
+        // Reports the client says it dropped from its queue are recorded with the gap, up to its queue size.
+        $manager->store_sequence_gap($user->id, 0, 'test-session-dropped', 'abc123', 8, 10, 2);
+        $manager->store_sequence_gap($user->id, 0, 'test-session-dropped', 'abc123', 11, 500, 400);
+        $signals = $DB->get_records('local_agentdetect_signals', ['sessionid' => 'test-session-dropped'], 'id');
+        $dropped = array_map(fn($signal) => json_decode($signal->signaldata, true)['dropped'], $signals);
+        $this->assertEquals([2, signal_manager::MAX_DROPPED_REPORTS], array_values($dropped));
+    }
+
+    /**
+     * Test delta reports are scored on the full report they rebuild, even after the cache is lost.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     * @covers \local_agentdetect\signal_manager::expand_signals
+     */
+    public function test_store_signal_rebuilds_delta(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+
+        $manager = new signal_manager();
+        $manager->store_signal($user->id, 0, 'test-session-delta', 'combined', [
+            'interaction' => [
+                'anomalies' => [['name' => 'mouse.linear_movement', 'weight' => 3]],
+                'eventCounts' => ['mouseMoves' => 100, 'clicks' => 10, 'keystrokes' => 10],
+            ],
+            'combinedScore' => 10,
+            'profileVersion' => scoring_profile::get_version(),
+            'revision' => 1,
+        ]);
+
+        // Swap the anomalies for those of the forged report above, which scores 83.
+        $result = $manager->store_signal($user->id, 0, 'test-session-delta', 'combined', [
+            'revision' => 2,
+            'baseRevision' => 1,
+            'delta' => [
+                'interaction' => [
+                    'anomalies' => [report_delta::ITEMS_KEY => [
+                        'mouse.linear_movement' => null,
+                        'click.center_precision' => ['name' => 'click.center_precision', 'weight' => 10],
+                        'click.teleport_pattern' => ['name' => 'click.teleport_pattern', 'weight' => 10],
+                    ]],
+                    'eventCounts' => ['mouseMoves' => 30, 'keystrokes' => 0],
+                ],
+                'combinedScore' => 83,
+            ],
+        ]);
+
+        $this->assertFalse($result['resync']);
+        $this->assertFalse($result['tampered']);
+        $signal = $DB->get_record('local_agentdetect_signals', ['id' => $result['signal_id']]);
+        $this->assertEquals(83, $signal->combinedscore);
+        $this->assertArrayHasKey('delta', json_decode($signal->signaldata, true));
+
+        // The admin report sees the full report.
+        $signals = $manager->get_session_signals('test-session-delta');
+        $data = json_decode($signals[$result['signal_id']]->signaldata, true);
+        $names = array_column($data['interaction']['anomalies'], 'name');
+        $this->assertEquals(['click.center_precision', 'click.teleport_pattern'], $names);
+        $this->assertEquals(['mouseMoves' => 30, 'clicks' => 10, 'keystrokes' => 0], $data['interaction']['eventCounts']);
+
+        // Without the cache, the state is replayed from the stored reports.
+        \cache::make('local_agentdetect', 'sessionstate')->purge();
+        $result = $manager->store_signal($user->id, 0, 'test-session-delta', 'combined', [
+            'revision' => 3,
+            'baseRevision' => 2,
+            'delta' => [],
+        ]);
+
+        $this->assertFalse($result['resync']);
+        $this->assertEquals(83, $DB->get_field('local_agentdetect_signals', 'combinedscore', ['id' => $result['signal_id']]));
+    }
+
+    /**
+     * Test a delta that cannot be rebuilt is stored unscored and asks for a full report.
+     * @covers \local_agentdetect\signal_manager::store_signal
+     */
+    public function test_store_signal_delta_needs_resync(): void {
+        global $DB;
+        $this->resetAfterTest();
+        $user = $this->getDataGenerator()->create_user();
+
+        $manager = new signal_manager();
+        $result = $manager->store_signal($user->id, 0, 'test-session-resync', 'combined', [
+            'revision' => 5,
+            'baseRevision' => 4,
+            'delta' => ['combinedScore' => 0],
+        ]);
+
+        $this->assertTrue($result['resync']);
+        $this->assertFalse($result['tampered']);
+        $this->assertEquals('none', $result['flag_status']);
+        $signal = $DB->get_record('local_agentdetect_signals', ['id' => $result['signal_id']]);
+        $this->assertNull($signal->combinedscore);
+
+        // The full report the client sends next starts a new chain.
+        $result = $manager->store_signal($user->id, 0, 'test-session-resync', 'combined', [
+            'combinedScore' => 0,
+            'revision' => 1,
+        ]);
+        $this->assertFalse($result['resync']);
+    }
 }
@@ -0,0 +1,184 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the slot_attribution class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\slot_attribution
+ */
+
+namespace local_agentdetect;
+
+/**
+ * Tests for the slot_attribution class.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\slot_attribution
+ */
+final class slot_attribution_test extends \advanced_testcase {
+    /**
+     * Add a quiz attempt for a user.
+     *
+     * @param \stdClass $quiz Quiz.
+     * @param \stdClass $user Student.
+     * @param int $timestart When the attempt was started.
+     * @return \stdClass Attempt record.
+     */
+    protected function create_attempt(\stdClass $quiz, \stdClass $user, int $timestart): \stdClass {
+        global $DB;
+
+        $id = $DB->insert_record('quiz_attempts', (object) [
+            'quiz' => $quiz->id,
+            'userid' => $user->id,
+            'attempt' => 1,
+            'uniqueid' => random_int(100000, 999999999),
+            'layout' => '',
+            'state' => 'inprogress',
+            'timestart' => $timestart,
+            'timemodified' => $timestart,
+        ]);
+        return $DB->get_record('quiz_attempts', ['id' => $id]);
+    }
+
+    /**
+     * Build the per-slot result of the interaction detector.
+     *
+     * @param int $attemptid Quiz attempt ID.
+     * @param int $slot Question slot.
+     * @param bool $automated Whether the question was answered by teleporting clicks.
+     * @return array Per-slot result, as analyzeSlots() builds it.
+     */
+    protected function slot(int $attemptid, int $slot, bool $automated): array {
+        if ($automated) {
+            $anomalies = [
+                ['name' => 'click.center_precision', 'value' => 1, 'weight' => 10],
+                ['name' => 'click.no_movement', 'value' => 1, 'weight' => 9],
+                ['name' => 'click.teleport_pattern', 'value' => 0, 'weight' => 10],
+            ];
+            $counts = ['mouseMoves' => 0, 'clicks' => 4, 'keystrokes' => 0, 'focusChanges' => 2];
+        } else {
+            $anomalies = [];
+            $counts = ['mouseMoves' => 40, 'clicks' => 3, 'keystrokes' => 25, 'focusChanges' => 2];
+        }
+        return [
+            'name' => $attemptid . ':' . $slot,
+            'attempt' => $attemptid,
+            'slot' => $slot,
+            'eventCounts' => $counts,
+            'anomalies' => $anomalies,
+            'score' => 0,
+        ];
+    }
+
+    /**
+     * Store a combined report at a given time.
+     *
+     * @param \stdClass $user Student.
+     * @param \context_module $context Quiz context.
+     * @param array $data Report data.
+     * @param int $time When the report arrived.
+     * @return int Signal ID.
+     */
+    protected function store_report(\stdClass $user, \context_module $context, array $data, int $time): int {
+        global $DB;
+
+        $result = (new signal_manager())->store_signal($user->id, $context->id, 'slots-' . $user->id, 'combined', $data);
+        $DB->set_field('local_agentdetect_signals', 'timecreated', $time, ['id' => $result['signal_id']]);
+        return $result['signal_id'];
+    }
+
+    /**
+     * Test each question keeps its worst report of the attempt.
+     * @covers \local_agentdetect\slot_attribution::get_attempt_slots
+     */
+    public function test_get_attempt_slots(): void {
+        $this->resetAfterTest();
+
+        $now = time();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $other = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $attempt = $this->create_attempt($quiz, $student, $now - 600);
+        $id = (int) $attempt->id;
+
+        // Question 1 looked automated early on; question 2 only later.
+        $this->store_report($student, $context, ['interaction' => ['slots' => [
+            $this->slot($id, 1, true),
+            $this->slot($id, 2, false),
+            $this->slot($id + 1, 3, true),
+        ]]], $now - 500);
+        $this->store_report($student, $context, ['interaction' => ['slots' => [
+            $this->slot($id, 1, false),
+            $this->slot($id, 2, true),
+        ]]], $now - 60);
+        // Reports from before the attempt and by other students don't count.
+        $this->store_report($student, $context, ['interaction' => ['slots' => [$this->slot($id, 4, true)]]], $now - 700);
+        $this->store_report($other, $context, ['interaction' => ['slots' => [$this->slot($id, 5, true)]]], $now - 60);
+
+        $slots = (new slot_attribution())->get_attempt_slots($attempt, $context);
+
+        $this->assertEquals([1, 2], array_column($slots, 'slot'));
+        $this->assertEquals(100, $slots[0]['score']);
+        $this->assertEquals(4, $slots[0]['clicks']);
+        $this->assertEquals(100, $slots[1]['score']);
+        $this->assertEquals(
+            ['click.center_precision', 'click.teleport_pattern', 'click.no_movement'],
+            array_column($slots[1]['anomalies'], 'name')
+        );
+    }
+
+    /**
+     * Test questions in delta-encoded reports are found.
+     * @covers \local_agentdetect\slot_attribution::get_attempt_slots
+     */
+    public function test_get_attempt_slots_expands_deltas(): void {
+        $this->resetAfterTest();
+
+        $now = time();
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $attempt = $this->create_attempt($quiz, $student, $now - 600);
+        $id = (int) $attempt->id;
+
+        $this->store_report($student, $context, [
+            'revision' => 1,
+            'interaction' => ['slots' => [$this->slot($id, 1, false)]],
+        ], $now - 500);
+        $this->store_report($student, $context, [
+            'revision' => 2,
+            'baseRevision' => 1,
+            'delta' => ['interaction' => ['slots' => [report_delta::ITEMS_KEY => [
+                $id . ':2' => $this->slot($id, 2, true),
+            ]]]],
+        ], $now - 60);
+
+        $slots = (new slot_attribution())->get_attempt_slots($attempt, $context);
+
+        $this->assertEquals([1, 2], array_column($slots, 'slot'));
+        $this->assertEquals(0, $slots[0]['score']);
+        $this->assertEquals([], $slots[0]['anomalies']);
+        $this->assertEquals(100, $slots[1]['score']);
+    }
+}
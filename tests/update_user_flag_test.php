@@ -0,0 +1,113 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Unit tests for the update_user_flag external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\update_user_flag
+ */
+
+namespace local_agentdetect;
+
+use core_external\external_api;
+use local_agentdetect\external\update_user_flag;
+
+/**
+ * Tests for the update_user_flag external function.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ * @covers     \local_agentdetect\external\update_user_flag
+ */
+final class update_user_flag_test extends \advanced_testcase {
+    /**
+     * Test a teacher can confirm, note and clear a student's flag.
+     * @covers \local_agentdetect\external\update_user_flag::execute
+     */
+    public function test_execute(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'editingteacher');
+        $manager = new signal_manager();
+        $manager->set_flag($student->id, signal_manager::FLAG_SUSPECTED, $context->id, 'Seen by the invigilator');
+
+        $this->setUser($teacher);
+        $result = external_api::clean_returnvalue(
+            update_user_flag::execute_returns(),
+            update_user_flag::execute($student->id, $context->id, 'confirm')
+        );
+        $this->assertEquals(signal_manager::FLAG_CONFIRMED, $result['flagtype']);
+        $this->assertEquals('Seen by the invigilator', $result['notes']);
+        $this->assertEquals($teacher->id, $manager->get_flag($student->id, $context->id)->flaggedby);
+
+        $result = external_api::clean_returnvalue(
+            update_user_flag::execute_returns(),
+            update_user_flag::execute($student->id, $context->id, 'note', 'Admitted it')
+        );
+        $this->assertEquals(signal_manager::FLAG_CONFIRMED, $result['flagtype']);
+        $this->assertEquals("Seen by the invigilator\n\nAdmitted it", $result['notes']);
+
+        $result = external_api::clean_returnvalue(
+            update_user_flag::execute_returns(),
+            update_user_flag::execute($student->id, $context->id, 'clear')
+        );
+        $this->assertEquals(signal_manager::FLAG_CLEARED, $result['flagtype']);
+    }
+
+    /**
+     * Test a note needs a flag to be added to.
+     * @covers \local_agentdetect\external\update_user_flag::execute
+     */
+    public function test_execute_note_without_flag(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'editingteacher');
+        $this->setUser($teacher);
+
+        $this->expectException(\invalid_parameter_exception::class);
+        update_user_flag::execute($student->id, $context->id, 'note', 'Admitted it');
+    }
+
+    /**
+     * Test teachers who cannot manage flags cannot change them.
+     * @covers \local_agentdetect\external\update_user_flag::execute
+     */
+    public function test_execute_requires_capability(): void {
+        $this->resetAfterTest();
+
+        $course = $this->getDataGenerator()->create_course();
+        $quiz = $this->getDataGenerator()->create_module('quiz', ['course' => $course->id]);
+        $context = \context_module::instance($quiz->cmid);
+        $student = $this->getDataGenerator()->create_and_enrol($course, 'student');
+        $teacher = $this->getDataGenerator()->create_and_enrol($course, 'teacher');
+        $this->setUser($teacher);
+
+        $this->expectException(\required_capability_exception::class);
+        update_user_flag::execute($student->id, $context->id, 'confirm');
+    }
+}
@@ -0,0 +1,276 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Benchmark of the detectors over a labelled corpus of recorded sessions.
+ *
+ * The corpus is a directory with a subdirectory per label (see
+ * Metrics.LABELS) holding recordings from local_agentdetect/recording, as
+ * downloaded from the test page. Each recording is replayed through the
+ * detectors, optionally under a scoring profile override in the format of
+ * the plugin setting, and the scores are measured against the labels.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+import fs from 'fs';
+import path from 'path';
+import {parseArgs} from 'util';
+import * as Recording from 'local_agentdetect/recording';
+import * as ScoringProfile from 'local_agentdetect/scoring_profile';
+import * as Metrics from './metrics';
+
+/**
+ * Command line help.
+ *
+ * @type {string}
+ */
+const USAGE = `Usage: npm run benchmark -- [options] <corpus directory>
+
+Replays every recording in <corpus directory>/<label>/ and measures the scores
+against the labels: ${Object.keys(Metrics.LABELS).join(', ')}.
+
+Options:
+  --profile <file>    Score with this scoring profile override (JSON, as in the plugin settings).
+  --threshold <n>     Flag sessions scoring n or more; the profile's threshold by default.
+  --json              Print the full results, every session and ROC point included, as JSON.
+  -h, --help          Print this help.
+`;
+
+/**
+ * Find the recordings under a directory.
+ *
+ * @param {string} directory Directory.
+ * @returns {Array<string>} Paths of the .json files, in name order.
+ */
+const findRecordings = (directory) => fs.readdirSync(directory, {withFileTypes: true})
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((entry) => {
+        const file = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            return findRecordings(file);
+        }
+        return entry.name.endsWith('.json') ? [file] : [];
+    });
+
+/**
+ * Load a labelled corpus.
+ *
+ * @param {string} directory Corpus directory.
+ * @returns {Array<Object>} Entries as {file, label, recording}; file is relative to the corpus.
+ */
+export const loadCorpus = (directory) => {
+    const corpus = [];
+    const labels = fs.readdirSync(directory, {withFileTypes: true})
+        .filter((entry) => entry.isDirectory() && !entry.name.startsWith('.'))
+        .map((entry) => entry.name)
+        .sort();
+
+    for (const label of labels) {
+        if (!(label in Metrics.LABELS)) {
+            throw new Error(`Unknown label directory "${label}"; expected ${Object.keys(Metrics.LABELS).join(', ')}`);
+        }
+        for (const file of findRecordings(path.join(directory, label))) {
+            const name = path.relative(directory, file);
+            try {
+                corpus.push({file: name, label, recording: JSON.parse(fs.readFileSync(file, 'utf8'))});
+            } catch (e) {
+                throw new Error(`${name}: ${e.message}`);
+            }
+        }
+    }
+    return corpus;
+};
+
+/**
+ * Get the names of every signal and anomaly in detector results.
+ *
+ * @param {Object} results Results of Recording.replay().
+ * @returns {Array<string>} Names, sorted.
+ */
+const getSignalNames = (results) => {
+    const names = new Set();
+    const add = (list) => (Array.isArray(list) ? list : []).forEach((signal) => names.add(signal.name));
+
+    // Fingerprint results hold a group of signals per check.
+    Object.values(results.fingerprint || {}).forEach((group) => {
+        if (group && typeof group === 'object') {
+            add(group.signals);
+            add(group.anomalies);
+        }
+    });
+    add(results.interaction?.anomalies);
+    add(results.injection?.signals);
+    add(results.comet?.signals);
+    return Array.from(names).sort();
+};
+
+/**
+ * Replay a corpus and measure how well the scores separate agents from people.
+ *
+ * @param {Array<Object>} corpus Entries from loadCorpus().
+ * @param {Object} [options] Options.
+ * @param {Object} [options.profile] Scoring profile override.
+ * @param {number} [options.threshold] Lowest flagged score, the profile's threshold by default.
+ * @returns {Object} {profileVersion, threshold, sessions, confusion, labels, signals, roc, auc}.
+ */
+export const evaluate = (corpus, options = {}) => {
+    let profileVersion = ScoringProfile.getVersion();
+    const sessions = corpus.map(({file, label, recording}) => {
+        let results;
+        try {
+            results = Recording.replay(recording, {profile: options.profile});
+        } catch (e) {
+            throw new Error(`${file}: ${e.message}`);
+        }
+        profileVersion = results.profileVersion;
+        return {
+            file,
+            label,
+            agent: Metrics.LABELS[label],
+            score: results.combinedScore,
+            verdict: results.verdict,
+            signals: getSignalNames(results),
+        };
+    });
+
+    const threshold = options.threshold ?? options.profile?.threshold ?? ScoringProfile.DEFAULT_PROFILE.threshold;
+    const roc = Metrics.rocCurve(sessions);
+    return {
+        profileVersion,
+        threshold,
+        sessions,
+        confusion: Metrics.confusionMatrix(sessions, threshold),
+        labels: Metrics.labelBreakdown(sessions, threshold),
+        signals: Metrics.signalStats(sessions, threshold),
+        roc,
+        auc: Metrics.areaUnderCurve(roc),
+    };
+};
+
+/**
+ * Format a ratio for a table.
+ *
+ * @param {number|null} value Ratio.
+ * @returns {string} Value to three decimals, or '-' if undefined.
+ */
+const formatRatio = (value) => (value === null ? '-' : value.toFixed(3));
+
+/**
+ * Lay out rows as a text table, the first column left aligned and the others right aligned.
+ *
+ * @param {Array<string>} headers Column headers.
+ * @param {Array<Array>} rows Rows of cells.
+ * @returns {string} Table, one line per row.
+ */
+const formatTable = (headers, rows) => {
+    const cells = [headers, ...rows].map((row) => row.map(String));
+    const widths = headers.map((_, column) => Math.max(...cells.map((row) => row[column].length)));
+    return cells.map((row) => row
+        .map((cell, column) => (column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])))
+        .join('  ')
+        .trimEnd()
+    ).join('\n') + '\n';
+};
+
+/**
+ * Format results of evaluate() for reading.
+ *
+ * @param {Object} report Results of evaluate().
+ * @returns {string} Text report.
+ */
+export const formatReport = (report) => {
+    const {confusion} = report;
+    const counts = report.labels.map((row) => `${row.sessions} ${row.label}`).join(', ');
+
+    return [
+        `${report.sessions.length} sessions: ${counts}`,
+        `Scoring profile version ${report.profileVersion}, flagged from ${report.threshold}`,
+        '',
+        'Confusion matrix',
+        formatTable(['', 'flagged', 'not flagged'], [
+            ['agent', confusion.tp, confusion.fn],
+            ['human', confusion.fp, confusion.tn],
+        ]),
+        `Precision ${formatRatio(confusion.precision)}, recall ${formatRatio(confusion.recall)}, ` +
+            `false positive rate ${formatRatio(confusion.falsePositiveRate)}, accuracy ${formatRatio(confusion.accuracy)}`,
+        '',
+        'Labels',
+        formatTable(['label', 'sessions', 'flagged', 'flagged rate', 'mean score'], report.labels.map((row) => [
+            row.label, row.sessions, row.flagged, formatRatio(row.flaggedRate), row.meanScore.toFixed(1),
+        ])),
+        'Signals (flagged humans: flagged human sessions the signal was raised in)',
+        formatTable(['signal', 'agents', 'humans', 'precision', 'recall', 'flagged humans'], report.signals.map((row) => [
+            row.name, row.agents, row.humans, formatRatio(row.precision), formatRatio(row.recall), row.flaggedHumans,
+        ])),
+        'ROC (every 10 points; --json gives all)',
+        formatTable(['threshold', 'true positive rate', 'false positive rate'], report.roc
+            .filter((point) => point.threshold % 10 === 0)
+            .map((point) => [point.threshold, formatRatio(point.truePositiveRate), formatRatio(point.falsePositiveRate)])),
+        `AUC ${formatRatio(report.auc)}`,
+        '',
+    ].join('\n');
+};
+
+/**
+ * Run the benchmark from the command line.
+ *
+ * @param {Array<string>} argv Command line arguments.
+ * @returns {number} Exit status.
+ */
+export const main = (argv) => {
+    try {
+        const {values, positionals} = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                profile: {type: 'string'},
+                threshold: {type: 'string'},
+                json: {type: 'boolean', default: false},
+                help: {type: 'boolean', short: 'h', default: false},
+            },
+        });
+        if (values.help || positionals.length !== 1) {
+            (values.help ? process.stdout : process.stderr).write(USAGE);
+            return values.help ? 0 : 2;
+        }
+
+        const options = {};
+        if (values.profile) {
+            options.profile = JSON.parse(fs.readFileSync(values.profile, 'utf8'));
+        }
+        if (values.threshold !== undefined) {
+            options.threshold = Number(values.threshold);
+            if (!Number.isFinite(options.threshold)) {
+                throw new Error(`Invalid threshold "${values.threshold}"`);
+            }
+        }
+
+        const report = evaluate(loadCorpus(positionals[0]), options);
+        process.stdout.write(values.json ? JSON.stringify(report, null, 2) + '\n' : formatReport(report));
+        return 0;
+    } catch (e) {
+        process.stderr.write(`Error: ${e.message}\n`);
+        return 1;
+    }
+};
+
+export default {
+    loadCorpus,
+    evaluate,
+    formatReport,
+    main,
+};
@@ -0,0 +1,191 @@
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Detection quality measures over scored, labelled sessions.
+ *
+ * A session is {file, label, agent, score, verdict, signals}: agent tells
+ * whether the label is one of automation, score is the combined score and
+ * signals the names of every signal and anomaly raised. A session is
+ * flagged when its score reaches the threshold.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+/**
+ * Corpus labels, and whether each one is automation.
+ *
+ * The people labels are kept apart so that the tool can show whether a
+ * change hurts students who use assistive technology, no mouse, or a
+ * tablet or phone.
+ *
+ * @type {Object<string, boolean>}
+ */
+export const LABELS = {
+    human: false,
+    screen_reader: false,
+    keyboard_only: false,
+    touch: false,
+    comet: true,
+    selenium: true,
+    playwright: true,
+};
+
+/**
+ * Divide, or null when there is nothing to divide by.
+ *
+ * @param {number} count Numerator.
+ * @param {number} total Denominator.
+ * @returns {number|null} Ratio.
+ */
+const ratio = (count, total) => (total > 0 ? count / total : null);
+
+/**
+ * Count flagged and unflagged agent and human sessions.
+ *
+ * @param {Array<Object>} sessions Scored sessions.
+ * @param {number} threshold Lowest flagged score.
+ * @returns {Object} {threshold, tp, fp, tn, fn, precision, recall, falsePositiveRate, accuracy}.
+ */
+export const confusionMatrix = (sessions, threshold) => {
+    const matrix = {threshold, tp: 0, fp: 0, tn: 0, fn: 0};
+    for (const session of sessions) {
+        const flagged = session.score >= threshold;
+        if (session.agent) {
+            matrix[flagged ? 'tp' : 'fn']++;
+        } else {
+            matrix[flagged ? 'fp' : 'tn']++;
+        }
+    }
+    return {
+        ...matrix,
+        precision: ratio(matrix.tp, matrix.tp + matrix.fp),
+        recall: ratio(matrix.tp, matrix.tp + matrix.fn),
+        falsePositiveRate: ratio(matrix.fp, matrix.fp + matrix.tn),
+        accuracy: ratio(matrix.tp + matrix.tn, sessions.length),
+    };
+};
+
+/**
+ * Summarise the sessions of each label.
+ *
+ * @param {Array<Object>} sessions Scored sessions.
+ * @param {number} threshold Lowest flagged score.
+ * @returns {Array<Object>} {label, agent, sessions, flagged, flaggedRate, meanScore}, in LABELS order.
+ */
+export const labelBreakdown = (sessions, threshold) => Object.keys(LABELS)
+    .map((label) => {
+        const scores = sessions.filter((session) => session.label === label).map((session) => session.score);
+        const flagged = scores.filter((score) => score >= threshold).length;
+        return {
+            label,
+            agent: LABELS[label],
+            sessions: scores.length,
+            flagged,
+            flaggedRate: ratio(flagged, scores.length),
+            meanScore: ratio(scores.reduce((sum, score) => sum + score, 0), scores.length),
+        };
+    })
+    .filter((row) => row.sessions > 0);
+
+/**
+ * Measure each signal as a detector of its own.
+ *
+ * A signal counts as a positive wherever it was raised, whatever the score.
+ * flaggedHumans counts the flagged human sessions it was raised in: the
+ * false positives it may have contributed to.
+ *
+ * @param {Array<Object>} sessions Scored sessions.
+ * @param {number} threshold Lowest flagged score.
+ * @returns {Array<Object>} {name, agents, humans, precision, recall, flaggedHumans}, by name.
+ */
+export const signalStats = (sessions, threshold) => {
+    const agentCount = sessions.filter((session) => session.agent).length;
+    const stats = new Map();
+    for (const session of sessions) {
+        for (const name of session.signals) {
+            if (!stats.has(name)) {
+                stats.set(name, {name, agents: 0, humans: 0, flaggedHumans: 0});
+            }
+            const entry = stats.get(name);
+            if (session.agent) {
+                entry.agents++;
+            } else {
+                entry.humans++;
+                if (session.score >= threshold) {
+                    entry.flaggedHumans++;
+                }
+            }
+        }
+    }
+
+    return Array.from(stats.values())
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((entry) => ({
+            name: entry.name,
+            agents: entry.agents,
+            humans: entry.humans,
+            precision: ratio(entry.agents, entry.agents + entry.humans),
+            recall: ratio(entry.agents, agentCount),
+            flaggedHumans: entry.flaggedHumans,
+        }));
+};
+
+/**
+ * Trace the ROC curve over every threshold from 0 to 101.
+ *
+ * At 0 every session is flagged and at 101 none is, so the curve runs
+ * from (1, 1) down to (0, 0).
+ *
+ * @param {Array<Object>} sessions Scored sessions.
+ * @returns {Array<Object>} Points {threshold, truePositiveRate, falsePositiveRate}, by threshold.
+ */
+export const rocCurve = (sessions) => {
+    const points = [];
+    for (let threshold = 0; threshold <= 101; threshold++) {
+        const matrix = confusionMatrix(sessions, threshold);
+        points.push({threshold, truePositiveRate: matrix.recall, falsePositiveRate: matrix.falsePositiveRate});
+    }
+    return points;
+};
+
+/**
+ * Area under a ROC curve, by the trapezoidal rule.
+ *
+ * @param {Array<Object>} curve Points from rocCurve().
+ * @returns {number|null} Area from 0 to 1, or null without both agent and human sessions.
+ */
+export const areaUnderCurve = (curve) => {
+    if (curve.some((point) => point.truePositiveRate === null || point.falsePositiveRate === null)) {
+        return null;
+    }
+    let area = 0;
+    for (let i = 1; i < curve.length; i++) {
+        const [previous, point] = [curve[i - 1], curve[i]];
+        area += (previous.falsePositiveRate - point.falsePositiveRate) *
+            (previous.truePositiveRate + point.truePositiveRate) / 2;
+    }
+    return area;
+};
+
+export default {
+    LABELS,
+    confusionMatrix,
+    labelBreakdown,
+    signalStats,
+    rocCurve,
+    areaUnderCurve,
+};
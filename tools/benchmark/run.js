@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+
+/**
+ * Command line entry point of the benchmark: npm run benchmark -- --help.
+ *
+ * The detectors are AMD sources written for the browser, so they run here
+ * in a jsdom window, compiled on load with the module names mapped as in
+ * jest.config.js.
+ *
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+const path = require('path');
+const {JSDOM} = require('jsdom');
+
+const root = path.resolve(__dirname, '../..');
+
+const {window} = new JSDOM('<!DOCTYPE html><html><body></body></html>', {
+    url: 'https://moodle.invalid/',
+    pretendToBeVisual: true,
+});
+['window', 'document', 'navigator', 'screen', 'sessionStorage', 'localStorage',
+    'MutationObserver', 'Node', 'HTMLElement'].forEach((name) => {
+    Object.defineProperty(globalThis, name, {value: name === 'window' ? window : window[name], configurable: true});
+});
+
+require('@babel/register')({
+    babelrc: false,
+    configFile: false,
+    only: [path.join(root, 'amd/src'), __dirname],
+    presets: [['@babel/preset-env', {targets: {node: 'current'}}]],
+    plugins: [['module-resolver', {
+        alias: {
+            '^local_agentdetect/(.+)$': path.join(root, 'amd/src/\\1'),
+            '^core/(ajax|log)$': path.join(__dirname, 'stubs/\\1'),
+        },
+    }]],
+});
+
+process.exitCode = require('./benchmark').main(process.argv.slice(2));
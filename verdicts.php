@@ -0,0 +1,98 @@
+<?php
+// This file is part of Moodle - http://moodle.org/
+//
+// Moodle is free software: you can redistribute it and/or modify
+// it under the terms of the GNU General Public License as published by
+// the Free Software Foundation, either version 3 of the License, or
+// (at your option) any later version.
+//
+// Moodle is distributed in the hope that it will be useful,
+// but WITHOUT ANY WARRANTY; without even the implied warranty of
+// MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+// GNU General Public License for more details.
+//
+// You should have received a copy of the GNU General Public License
+// along with Moodle.  If not, see <http://www.gnu.org/licenses/>.
+
+/**
+ * Download the detection verdict of every attempt at a quiz.
+ *
+ * The quiz report's own download cannot be extended by a plugin, so the
+ * agent detection column of the report links here instead.
+ *
+ * @package    local_agentdetect
+ * @copyright  2026 Cursive Technology <joe@cursivetechnology.com>
+ * @license    http://www.gnu.org/copyleft/gpl.html GNU GPL v3 or later
+ */
+
+require_once(__DIR__ . '/../../config.php');
+
+$cmid = required_param('cmid', PARAM_INT);
+$dataformat = required_param('dataformat', PARAM_ALPHA);
+
+[$course, $cm] = get_course_and_cm_from_cmid($cmid, 'quiz');
+require_login($course, false, $cm);
+
+$context = context_module::instance($cm->id);
+require_capability('local/agentdetect:viewreports', $context);
+
+$flags = (new \local_agentdetect\attempt_sessions())->get_quiz_flags($cm->instance);
+
+$identityfields = \core_user\fields::get_identity_fields($context, false);
+$userfields = \core_user\fields::for_identity($context, false)->with_name();
+$userfieldssql = $userfields->get_sql('u', true, '', '', false);
+
+// Only the students of the group the quiz report shows.
+$groupsql = '';
+$groupparams = [];
+$userids = \local_agentdetect\report_groups::get_user_ids($cm, $context);
+if ($userids !== null) {
+    [$insql, $groupparams] = $DB->get_in_or_equal($userids ?: [0], SQL_PARAMS_NAMED, 'member');
+    $groupsql = "AND qa.userid {$insql}";
+}
+
+$sql = "SELECT qa.id, qa.attempt, qa.state, qa.timestart, qa.timefinish, qa.userid, {$userfieldssql->selects}
+          FROM {quiz_attempts} qa
+          JOIN {user} u ON u.id = qa.userid
+               {$userfieldssql->joins}
+         WHERE qa.quiz = :quizid
+           AND qa.preview = 0
+               {$groupsql}
+      ORDER BY u.lastname, u.firstname, qa.attempt";
+$attempts = $DB->get_recordset_sql($sql, array_merge($userfieldssql->params, ['quizid' => $cm->instance], $groupparams));
+
+$columns = ['fullname' => get_string('fullnameuser')];
+foreach ($identityfields as $field) {
+    $columns[$field] = \core_user\fields::get_display_name($field);
+}
+$columns += [
+    'attempt' => get_string('attemptnumber', 'quiz'),
+    'state' => get_string('attemptstate', 'quiz'),
+    'timestart' => get_string('startedon', 'quiz'),
+    'timefinish' => get_string('completedon', 'quiz'),
+    'flagtype' => get_string('column:heading', 'local_agentdetect'),
+    'maxscore' => get_string('column:score', 'local_agentdetect'),
+    'source' => get_string('column:source', 'local_agentdetect'),
+];
+
+$filename = clean_filename(format_string($cm->name) . '-' . get_string('column:verdicts', 'local_agentdetect'));
+\core\dataformat::download_data($filename, $dataformat, $columns, $attempts,
+    function ($attempt) use ($flags, $identityfields) {
+        $flag = $flags[$attempt->id] ?? null;
+
+        $row = ['fullname' => fullname($attempt)];
+        foreach ($identityfields as $field) {
+            $row[$field] = $attempt->{$field} ?? '';
+        }
+        return $row + [
+            'attempt' => $attempt->attempt,
+            'state' => \mod_quiz\quiz_attempt::state_name($attempt->state),
+            'timestart' => userdate($attempt->timestart),
+            'timefinish' => $attempt->timefinish ? userdate($attempt->timefinish) : '',
+            'flagtype' => $flag ? get_string('flagtype:' . $flag['flagtype'], 'local_agentdetect') : '',
+            'maxscore' => $flag ? $flag['maxscore'] : '',
+            'source' => $flag ? get_string('column:source' . $flag['source'], 'local_agentdetect') : '',
+        ];
+    }
+);
+$attempts->close();